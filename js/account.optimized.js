@@ -0,0 +1,54 @@
+/*! Freshflow Foods | generated from src/js by scripts/build.js - do not edit */
+(function(){'use strict';const{__locales_en,__validation,__rfq,__i18n,__storage,__utils,__form_engine,__form_guard,__form,__quote_cart}=window.__freshflowModules;const __buyer=(()=>{const{default:en}=__locales_en;const{ENQUIRY_SCHEMA}=__validation;const{DESTINATION_PORTS}=__rfq;const SIGN_IN_LINK_MINUTES=15;const ORDER_STATUSES=en.buyer.statuses;const SIGN_IN_SCHEMA={email:ENQUIRY_SCHEMA.email};const BUYER_PROFILE_SCHEMA={company:{required:true,minLength:2,maxLength:120},name:ENQUIRY_SCHEMA.name,phone:ENQUIRY_SCHEMA.phone,country:{maxLength:60},address:{maxLength:300},taxId:{maxLength:40},ports:{multiple:true,oneOf:DESTINATION_PORTS}};function toBuyerProfile(buyer){return{email:buyer.email,...Object.fromEntries(Object.keys(BUYER_PROFILE_SCHEMA).map(field=>[field,buyer[field]??(field==='ports'?[]:'')]))};}
+return{SIGN_IN_LINK_MINUTES,ORDER_STATUSES,SIGN_IN_SCHEMA,BUYER_PROFILE_SCHEMA,toBuyerProfile};})();const __buyer_session=(()=>{const{t,getLocale}=__i18n;const{readStorage,removeStorage}=__storage;const BUYER_ENDPOINT='/api/buyer';const SIGNED_IN_KEY='buyerSignedIn';async function buyerRequest(path,{method='GET',body,csrfToken}={}){let response;try{response=await fetch(`${BUYER_ENDPOINT}${path}`,{method,credentials:'same-origin',headers:{'Accept':'application/json','Accept-Language':getLocale(),...(body?{'Content-Type':'application/json'}:{}),...(csrfToken?{'X-CSRF-Token':csrfToken}:{})},body:body?JSON.stringify(body):undefined});}catch{const error=new Error(t('buyer.errors.loadFailed'));error.status=0;throw error;}
+const data=await response.json().catch(()=>({}));if(!response.ok||!data.ok){const error=new Error(data.error||t('buyer.errors.loadFailed'));error.status=response.status;error.fieldErrors=data.errors||{};throw error;}
+return data;}
+function fillEmpty(input,value){if(!input||!value||input.value.trim())return;input.value=value;input.dispatchEvent(new Event('input',{bubbles:true}));}
+async function initBuyerPrefill(){const contactForm=document.getElementById('contactForm');const quoteForm=document.getElementById('quoteForm');if((!contactForm&&!quoteForm)||!readStorage(SIGNED_IN_KEY,false))return;let buyer;try{({buyer}=await buyerRequest('/session'));}catch(err){if(err.status===401)removeStorage(SIGNED_IN_KEY);return;}
+[contactForm,quoteForm].filter(Boolean).forEach(form=>{['name','email','phone'].forEach(name=>fillEmpty(form.elements.namedItem(name),buyer[name]));});if(quoteForm&&buyer.ports.length)fillEmpty(quoteForm.elements.namedItem('destinationPort'),buyer.ports[0]);}
+return{BUYER_ENDPOINT,SIGNED_IN_KEY,buyerRequest,initBuyerPrefill};})();const __account=(()=>{const{escapeHtml}=__utils;const{t,getLocale}=__i18n;const{createForm}=__form_engine;const{createFormGuard}=__form_guard;const{postEnquiry,setButtonLoading}=__form;const{writeStorage,removeStorage}=__storage;const{loadCart,saveCart,createQuoteItem,localizedLabels}=__quote_cart;const{DESTINATION_PORTS,MAX_QUOTE_ITEMS,formatQuoteItem,validateQuoteItem}=__rfq;const{SIGN_IN_SCHEMA,BUYER_PROFILE_SCHEMA,ORDER_STATUSES,SIGN_IN_LINK_MINUTES}=__buyer;const{BUYER_ENDPOINT,SIGNED_IN_KEY,buyerRequest}=__buyer_session;const CONSIGNMENTS_ENDPOINT='/api/consignments';function formatDate(value){return new Intl.DateTimeFormat(getLocale(),{dateStyle:'medium'}).format(new Date(value));}
+function renderDetails(rows){return`<dl class="track-step-details">${rows.filter(([,value])=>value).map(([label,value])=>`<div><dt>${escapeHtml(t(`buyer.fields.${label}`))}</dt><dd>${escapeHtml(value)}</dd></div>`).join('')}</dl>`;}
+function renderOrder(order,labels){const status=Object.hasOwn(ORDER_STATUSES,order.status)?order.status:'new';const items=order.items.map(item=>`<li>${escapeHtml(formatQuoteItem(item,labels))}</li>`).join('');return`
+        <li class="track-result account-item" data-reference="${escapeHtml(order.reference)}">
+            <div class="track-summary">
+                <div>
+                    <p class="track-summary-label">${escapeHtml(t('buyer.fields.status'))}</p>
+                    <h3 class="track-summary-id">${escapeHtml(order.reference)}</h3>
+                </div>
+                <span class="track-status order-status-${status}">${escapeHtml(t(`buyer.statuses.${status}`))}</span>
+            </div>
+            <ul class="account-order-items">${items}</ul>
+            ${renderDetails([['requested',formatDate(order.createdAt)],['updated',formatDate(order.updatedAt)],['port',order.destinationPort]])}
+            <div class="account-actions">
+                <a href="index.html#quote" class="btn btn-secondary" data-reorder="${escapeHtml(order.reference)}" aria-label="${escapeHtml(t('buyer.reorderLabel',{reference:order.reference}))}">${escapeHtml(t('buyer.reorder'))}</a>
+            </div>
+        </li>`;}
+function renderShipment(shipment,labels){const id=encodeURIComponent(shipment.id);const product=[labels.species[shipment.product]||shipment.product,shipment.breed,labels.cuts[shipment.cut]||shipment.cut].filter(Boolean).join(' · ');const quantity=shipment.quantity?`${new Intl.NumberFormat(getLocale()).format(shipment.quantity.value)} ${labels.units[shipment.quantity.unit]||shipment.quantity.unit}`:'';const documents=shipment.documentsReady?`<a href="${BUYER_ENDPOINT}/shipments/${id}/documents" class="btn btn-primary" download>${escapeHtml(t('buyer.downloadDocuments'))}</a>`:`<p class="account-pending">${escapeHtml(t('buyer.documentsPending'))}</p>`;const report=shipment.hasReport?`<a href="${CONSIGNMENTS_ENDPOINT}/${id}/report?lang=${getLocale()}" class="btn btn-secondary" download>${escapeHtml(t('buyer.coldChainReport'))}</a>`:'';return`
+        <li class="track-result account-item" data-shipment="${escapeHtml(shipment.id)}">
+            <div class="track-summary">
+                <div>
+                    <p class="track-summary-label">${escapeHtml(t('buyer.fields.product'))}</p>
+                    <h3 class="track-summary-id">${escapeHtml(shipment.id)}</h3>
+                    <p class="track-summary-product">${escapeHtml(product)}</p>
+                </div>
+                ${shipment.state?`<span class="track-status">${escapeHtml(t(`catalog.processing.${shipment.state}`,{},shipment.state))}</span>`:''}
+            </div>
+            ${renderDetails([['quantity',quantity],['purchaseOrder',shipment.buyerReference],['port',shipment.portOfDischarge]])}
+            <div class="account-actions">
+                ${documents}
+                <a href="track.html?id=${id}" class="btn btn-secondary">${escapeHtml(t('buyer.trackShipment'))}</a>
+                ${report}
+            </div>
+        </li>`;}
+function renderPorts(list,checked){list.innerHTML=DESTINATION_PORTS.map(port=>`
+            <label class="partner-choice">
+                <input type="checkbox" name="ports" value="${escapeHtml(port)}"${checked.includes(port)?' checked':''}>
+                <span>${escapeHtml(port)}</span>
+            </label>`).join('');}
+function reorder(order){const items=order.items.map(item=>validateQuoteItem(item)).filter(result=>result.valid).slice(0,MAX_QUOTE_ITEMS).map(({item})=>({...item,id:createQuoteItem(item.species).id}));saveCart({items,destinationPort:order.destinationPort||loadCart().destinationPort});return items.length;}
+function initAccount(){const signInSection=document.getElementById('accountSignIn');const panel=document.getElementById('accountPanel');if(!signInSection||!panel)return;const signInForm=document.getElementById('signInForm');const signInSubmit=document.getElementById('signInSubmit');const signInMessage=document.getElementById('signInMessage');const signedInAs=document.getElementById('accountSignedInAs');const profileForm=document.getElementById('profileForm');const profileSubmit=document.getElementById('profileSubmit');const profileStatus=document.getElementById('profileStatus');const profileError=document.getElementById('profileFormError');const portList=document.getElementById('profilePortList');const orderList=document.getElementById('orderList');const ordersMessage=document.getElementById('ordersMessage');const shipmentList=document.getElementById('shipmentList');const shipmentsMessage=document.getElementById('shipmentsMessage');const guard=createFormGuard(signInForm);const signInEngine=createForm(signInForm,SIGN_IN_SCHEMA);renderPorts(portList,[]);const profileEngine=createForm(profileForm,BUYER_PROFILE_SCHEMA);let buyer=null;let csrfToken='';let orders=null;let shipments=null;let notice=null;const showNotice=(next)=>{notice=next;signInMessage.textContent=notice?(notice.text||t(notice.key,notice.params)):'';signInMessage.classList.toggle('track-message-error',Boolean(notice?.error));};const renderSignedIn=()=>{signedInAs.textContent=t('buyer.signedInAs',{email:buyer.email});};const renderOrders=()=>{if(!orders)return;const labels=localizedLabels();orderList.innerHTML=orders.map(order=>renderOrder(order,labels)).join('');ordersMessage.textContent=orders.length?'':t('buyer.noOrders');ordersMessage.classList.remove('track-message-error');};const renderShipments=()=>{if(!shipments)return;const labels=localizedLabels();shipmentList.innerHTML=shipments.map(shipment=>renderShipment(shipment,labels)).join('');shipmentsMessage.textContent=shipments.length?'':t('buyer.noShipments');shipmentsMessage.classList.remove('track-message-error');};const showProfile=(profile)=>{renderPorts(portList,profile.ports);profileEngine.setValues({...profile,ports:profile.ports});profileForm.elements.namedItem('phone').dispatchEvent(new Event('input'));};const loadLists=async()=>{const[ordersResult,shipmentsResult]=await Promise.allSettled([buyerRequest('/orders'),buyerRequest('/shipments')]);if(ordersResult.status==='fulfilled'){orders=ordersResult.value.orders;renderOrders();}else{ordersMessage.textContent=ordersResult.reason.message;ordersMessage.classList.add('track-message-error');}
+if(shipmentsResult.status==='fulfilled'){shipments=shipmentsResult.value.shipments;renderShipments();}else{shipmentsMessage.textContent=shipmentsResult.reason.message;shipmentsMessage.classList.add('track-message-error');}};const enter=(session)=>{buyer=session.buyer;csrfToken=session.csrfToken;writeStorage(SIGNED_IN_KEY,true);showNotice(null);signInSection.hidden=true;panel.hidden=false;renderSignedIn();showProfile(buyer);return loadLists();};const leave=(next)=>{buyer=null;csrfToken='';orders=null;shipments=null;removeStorage(SIGNED_IN_KEY);orderList.innerHTML='';shipmentList.innerHTML='';profileEngine.reset();panel.hidden=true;signInSection.hidden=false;showNotice(next);};signInForm.addEventListener('submit',async(e)=>{e.preventDefault();const{valid,values}=signInEngine.validate();if(!valid)return;setButtonLoading(signInSubmit,true);showNotice(null);try{await postEnquiry(signInForm.dataset.endpoint,{...values,...await guard.fields()});showNotice({key:'buyer.linkSent',params:{email:values.email,minutes:SIGN_IN_LINK_MINUTES}});}catch(err){signInEngine.showErrors(err.fieldErrors);showNotice({text:err.message,error:true});if(err.reason==='token')guard.refresh();}finally{setButtonLoading(signInSubmit,false);}});profileForm.addEventListener('submit',async(e)=>{e.preventDefault();profileError.hidden=true;profileStatus.textContent='';const{valid,values}=profileEngine.validate();if(!valid)return;setButtonLoading(profileSubmit,true);try{const result=await buyerRequest('/profile',{method:'PATCH',body:values,csrfToken});buyer=result.buyer;showProfile(buyer);profileStatus.textContent=t('buyer.profileSaved');}catch(err){if(err.status===401){leave({text:err.message,error:true});return;}
+profileEngine.showErrors(err.fieldErrors);profileError.textContent=err.message;profileError.hidden=false;}finally{setButtonLoading(profileSubmit,false);}});document.getElementById('signOut').addEventListener('click',async()=>{try{await buyerRequest('/session',{method:'DELETE',csrfToken});}catch(err){if(err.status!==401){profileError.textContent=err.message;profileError.hidden=false;return;}}
+leave({key:'buyer.signedOut'});});orderList.addEventListener('click',(e)=>{const link=e.target.closest('[data-reorder]');const order=link&&orders?.find(entry=>entry.reference===link.dataset.reorder);if(order)reorder(order);});document.addEventListener('localechange',()=>{if(notice)showNotice(notice);if(!buyer)return;renderSignedIn();renderOrders();renderShipments();});const start=async()=>{const token=new URLSearchParams(window.location.hash.slice(1)).get('token');if(token){history.replaceState(null,'',window.location.pathname+window.location.search);showNotice({key:'buyer.signingIn'});try{await enter(await buyerRequest('/session',{method:'POST',body:{token}}));return;}catch(err){showNotice({text:err.message,error:true});}}
+try{await enter(await buyerRequest('/session'));}catch(err){removeStorage(SIGNED_IN_KEY);if(err.status!==401)showNotice({text:err.message,error:true});}};start();}
+return{CONSIGNMENTS_ENDPOINT,reorder,initAccount};})();const{addPageFeature}=__utils;const{initAccount}=__account;addPageFeature(initAccount);})();
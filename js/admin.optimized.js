@@ -0,0 +1,483 @@
+/*! Freshflow Foods | generated from src/js by scripts/build.js - do not edit */
+(function(){'use strict';const __utils=(()=>{const MOBILE_BREAKPOINT=991;function debounce(func,wait){let timeout;return function(...args){clearTimeout(timeout);timeout=setTimeout(()=>func.apply(this,args),wait);};}
+function throttle(func,limit){let inThrottle;return function(...args){if(!inThrottle){func.apply(this,args);inThrottle=true;setTimeout(()=>inThrottle=false,limit);}};}
+function deferInit(callback){if('requestIdleCallback'in window){requestIdleCallback(callback,{timeout:2000});}else{setTimeout(callback,100);}}
+const pageFeatures=[];let pageFeaturesStarted=false;function addPageFeature(init){if(pageFeaturesStarted)deferInit(init);else pageFeatures.push(init);}
+function initPageFeatures(){pageFeaturesStarted=true;pageFeatures.splice(0).forEach(init=>init());}
+function onReady(callback){if(document.readyState==='loading'){document.addEventListener('DOMContentLoaded',callback);}else{callback();}}
+function prefersReducedMotion(){return window.matchMedia('(prefers-reduced-motion: reduce)').matches;}
+function isMobileViewport(){return window.innerWidth<=MOBILE_BREAKPOINT;}
+function escapeHtml(value){return String(value).replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;').replace(/"/g,'&quot;').replace(/'/g,'&#39;');}
+return{MOBILE_BREAKPOINT,debounce,throttle,deferInit,addPageFeature,initPageFeatures,onReady,prefersReducedMotion,isMobileViewport,escapeHtml};})();const __locales_en=(()=>{const data={"language":{"label":"Language","choose":"Choose language"},"validation":{"required":"This field is required.","email":"Please enter a valid email address.","name":"Name must be at least 2 characters.","message":"Message must be at least 10 characters.","phone":"Please enter a valid phone number.","subject":"Please select a valid subject.","tooLong":"This field is too long.","minLength":"Enter at least {min} characters.","pattern":"Please match the requested format.","choice":"Please choose one of the options.","phoneCountryCode":"Enter the number with its country code, e.g. +971 50 123 4567.","number":"Enter a number, using digits only.","range":"Enter a number from {min} to {max}."},"forms":{"summary":{"one":"There is 1 problem with this form","other":"There are {count} problems with this form"},"summaryItem":"{label}: {message}"},"phone":{"country":"Country code"},"rfq":{"noItems":"Add at least one product to your quote.","tooManyItems":"A quote can hold up to {max} products.","item":"Please check the product details in your quote.","quantity":"Enter a quantity greater than zero.","port":"Please enter a destination port."},"partners":{"businessTypes":{"importer":"Importer","distributor":"Distributor","wholesaler":"Wholesaler","retailer":"Retail chain","foodservice":"Foodservice (hotels, restaurants, catering)"},"coldStorage":{"own":"Our own cold store","thirdParty":"A third-party cold store","none":"No cold storage yet"},"documents":{"licenceDocument":"Import licence","registrationDocument":"Company registration certificate","storageDocument":"Cold-storage certificate or photos"},"statuses":{"received":"Received","reviewing":"Under review","infoRequested":"Information requested","approved":"Approved","declined":"Declined"},"statusNotes":{"received":"We have your application and will start reviewing it within 3 business days.","reviewing":"Our export team is checking your licence, documents and volumes.","infoRequested":"We need a little more information. Please see the message from our team below.","approved":"Welcome aboard! Our export manager will contact you to agree prices and terms.","declined":"We are unable to take your application further at the moment."},"errors":{"licence":"Enter the licence number as printed, using letters, digits, spaces, / . or -.","markets":"Choose at least one market.","volume":"Enter a monthly volume for at least one species.","fileType":"Upload a PDF, JPEG or PNG file.","fileSize":"Each file can be up to {max} MB.","notFound":"We could not find an application with that reference and email address.","rateLimited":"Too many status checks. Please wait a few minutes and try again.","lookupFailed":"Status checks are unavailable right now. Please try again later."},"draftRestored":"We restored the application you started on {date}. Documents are not saved on this device, so attach them again before you submit.","draftSaved":"Saved on this device. Come back to this page to carry on.","draftNotSaved":"Your browser did not let us save this application. Keep this page open until you send it.","notAttached":"Not attached","notGiven":"—","tonnes":"{amount} t","enterReference":"Enter the reference and email address from your application.","checking":"Checking your application…","fields":{"status":"Status","company":"Company","submitted":"Submitted","updated":"Last updated","message":"Message from our team"}},"buyer":{"statuses":{"new":"Received","contacted":"In discussion","quoted":"Quote sent","won":"Confirmed","lost":"Closed"},"email":{"subject":"Your Freshflow Foods sign-in link","body":"Hello,\n\nUse this link to sign in to your Freshflow Foods buyer account:\n\n{link}\n\nThe link works once and expires in {minutes} minutes. If you did not ask to sign in, you can ignore this email.\n\nFreshflow Foods"},"errors":{"linkExpired":"This sign-in link has expired or has already been used. Enter your email address to get a new one.","signedOut":"Please sign in to continue.","csrf":"Your session has changed. Reload the page and try again.","loadFailed":"We could not load your account. Please try again later.","notFound":"We could not find that shipment in your account.","documentsNotReady":"The documents for this shipment are not ready yet."},"linkSent":"We sent a sign-in link to {email}. It works once, within {minutes} minutes.","signingIn":"Signing you in…","signedInAs":"Signed in as {email}","signedOut":"You have signed out.","saving":"Saving…","profileSaved":"Profile saved. Your quote requests will be filled in with these details.","noOrders":"No quote requests from this account yet.","noShipments":"No shipments recorded for your account yet.","reorder":"Reorder","reorderLabel":"Reorder {reference}","downloadDocuments":"Download document pack","documentsPending":"Documents are being prepared","trackShipment":"Track shipment","coldChainReport":"Cold-chain report","fields":{"requested":"Requested","updated":"Last updated","port":"Destination port","product":"Product","purchaseOrder":"Your order","status":"Status","quantity":"Quantity"}},"subjects":{"general":"General Inquiry","products":"Product Information","export":"Export Inquiry","partnership":"Partnership Opportunity","other":"Other"},"errors":{"submit":"We could not send your message. Please check your connection and try again, or reach us on WhatsApp.","correctFields":"Please correct the highlighted fields.","formExpired":"Your form session has expired. Please send your message again.","tooFast":"That was sent a little too quickly. Please check your details and send it again.","rateLimited":"You have sent several messages in a short time. Please try again in {minutes} minutes, or reach us on WhatsApp.","duplicate":"We have already received this message and will reply soon. For anything urgent, reach us on WhatsApp.","spam":"Your message could not be sent because it looks like spam. Please remove links or promotional wording and try again.","rejected":"Your message could not be sent. Please reach us on WhatsApp or by email."},"whatsapp":{"enquiry":"*New Enquiry – Freshflow Foods*\n\n*Name:* {name}\n*Email:* {email}\n*Phone:* {phone}\n*Subject:* {subject}\n\n*Message:*\n{message}\n\n_Sent from Freshflow Foods website contact form._","notProvided":"Not provided"},"email":{"subject":"{subject} – {reference}","body":"Hello Freshflow Foods team,\n\nI am following up on my enquiry {reference}.\n\nName: {name}\nEmail: {email}\nPhone: {phone}\nSubject: {subject}\n\n{message}\n\nKind regards,\n{name}"},"hero":{"previous":"Previous slide","next":"Next slide","pause":"Pause slideshow","play":"Play slideshow","goToSlide":"Go to slide {{index}}","label":"Highlights","carousel":"carousel","slide":"slide","slideStatus":"Slide {index} of {total}: {title}"},"quote":{"toggle":"My Quote","title":"Request a Quote","close":"Close quote","empty":"Your quote is empty. Use \"Add to quote\" on any product or breed.","add":"+ Add to quote","addLabel":"Add {name} to quote","speciesProducts":"{species} products","remove":"Remove {name} from quote","cut":"Cut","breed":"Breed","anyBreed":"Any breed","quantity":"Quantity","unit":"Unit","storage":"Storage","packing":"Packing","units":{"kg":"kg","t":"tonnes"},"forms":{"carcass":"Carcass","primal":"Primal Cuts"},"port":"Destination Port","portPlaceholder":"e.g. Jebel Ali, UAE","name":"Full Name","emailAddress":"Email Address","phone":"Phone Number","notes":"Additional Notes","notesPlaceholder":"Delivery schedule, labelling, certificates required...","submit":"Submit Quote Request","sending":"Sending...","successTitle":"Quote Request Sent","successText":"Our export team will reply with pricing within 24 business hours.","reference":"Your reference:","whatsapp":"Follow Up on WhatsApp","emailFollowUp":"Follow Up by Email","restart":"Start a New Quote","destination":"Destination: {port}","rfqSubject":"Request for Quotation {reference}"},"search":{"button":"Search","dialog":"Search products, breeds and markets","placeholder":"Search products, breeds, regions, markets…","close":"Close search","filters":"Filters","species":"Species","allSpecies":"All species","processing":"Processing type","anyProcessing":"Any processing","halal":"Halal only","results":"Search results","noMatches":"No matches. Try another spelling or clear the filters.","count":{"one":"{count} result","other":"{count} results"},"hintMove":"to move","hintOpen":"to open","hintClose":"to close","types":{"product":"Product","breed":"Breed","region":"Region","market":"Markets","certification":"Certification"}},"catalog":{"learnMore":"Learn More","learnMoreLink":"Learn More →","learnMoreAbout":"Learn more about {title}"},"tracking":{"notFound":"We could not find a consignment with that ID. Please check the code on your label and try again.","rateLimited":"Too many lookups. Please wait a few minutes and try again.","loadError":"Tracking is unavailable right now. Please try again later.","noReport":"No temperature log has been uploaded for this consignment yet.","loading":"Looking up your consignment…","enterId":"Enter the lot or consignment ID printed on your label.","consignment":"Consignment","pending":"Pending","status":{"processing":"Processing","inStorage":"In cold storage","inTransit":"In transit","arrived":"Delivered"},"steps":{"origin":"Farm origin","slaughter":"Halal slaughter","processing":"Processing and packing","coldStorage":"Cold storage","container":"Container loaded","vessel":"Vessel departed","arrival":"Expected arrival","arrived":"Arrived"},"fields":{"farm":"Farm","region":"Region","breed":"Breed","plant":"Processing plant","location":"Location","halal":"Halal certified","yes":"Yes","storage":"Storage","form":"Packing","facility":"Facility","setPoint":"Set point","range":"Recorded range","latest":"Latest reading","container":"Container","type":"Type","seal":"Seal","vessel":"Vessel","voyage":"Voyage","from":"Port of loading","to":"Port of discharge"}},"coldChain":{"title":"Temperature log","chartTitle":"Temperature readings for consignment {id}","limitLabel":"{state} limit {limit}","readings":"Readings","period":"Logged","range":"Range","mean":"Average","humidity":"Humidity","excursions":"Excursions","noExcursions":"No excursions: every reading stayed at or below {limit}.","excursionsFound":"Readings went above {limit} {count} time(s), for {duration} in total.","started":"Started","ended":"Back in range","duration":"Duration","peak":"Peak","ongoing":"Not back in range","note":"Times are in UTC. An excursion runs from the first reading above the limit to the next reading back within it.","hours":"{hours} h {minutes} min","wholeHours":"{hours} h","minutes":"{minutes} min","download":"Download compliance report","report":{"title":"Cold-chain compliance report","consignment":"Consignment","product":"Product","container":"Container","vessel":"Vessel","limit":"Limit","source":"Logger file","generated":"Generated on {date}","result":"Result","pass":"Compliant","fail":"Excursions recorded","print":"Print or save as PDF"},"errors":{"columns":"The file needs a header row with timestamp and temperature columns.","empty":"The file has no readings.","tooMany":"Upload at most {max} readings at a time.","row":"Row {row} has an unreadable timestamp or temperature."}},"certificates":{"number":"No.","issuer":"Issued by","scope":"Scope","issuedOn":"Issued","validUntil":"Valid until","statusLabel":"Status","status":{"valid":"Valid","expiring":"Expiring soon","expired":"Expired"},"expiresIn":{"one":"Expires in {count} day","other":"Expires in {count} days"},"close":"Close","documentAlt":"Scanned {name}","openDocument":"Open full size","verify":"Verify with the issuer"},"estimator":{"product":"Product","cut":"Cut","storage":"Storage","quantity":"Quantity","unit":"Unit","incoterm":"Incoterm","port":"Destination port","container":"Container","currency":"Currency","incoterms":{"EXW":"EXW - ex works","FOB":"FOB - free on board","CFR":"CFR - cost and freight","CIF":"CIF - cost, insurance and freight"},"containers":{"reefer20":"20' reefer","reefer40":"40' reefer"},"containerCount":"{count} × {container}","lines":{"goods":"Meat at {price} per kg","origin":"Haulage, export clearance and port charges at {port}","freight":"Ocean freight to {port}","insurance":"Marine insurance","destination":"Port charges at {port}"},"breakdown":"Cost breakdown","item":"Item","amount":"Amount","who":"Paid in","included":"{incoterm} price","buyerCost":"Buyer's costs","price":"{incoterm} {place}","perKg":"{amount} per kg","landed":"Estimated landed cost at {port}","note":"Indicative only, from our rate table of {date}. Freight is charged per full container. Import duties, taxes and delivery from the port are not included.","exchangeRate":"1 {base} = {rate} {currency} ({date})","export":"Request a quote with this estimate","exported":"The estimate is in the enquiry form. Add your details and send it.","summary":"Indicative estimate from the website:\n{product}, {quantity}\n{containers} from {origin}\n{terms}: {price} ({perKg})\nEstimated landed cost at {port}: {landed}\nPlease send a firm quotation.","link":"Estimate the landed cost","errors":{"quantity":"Enter a quantity between 100 kg and {max} tonnes.","port":"We have no freight rates for this port yet. Send us a quote request instead.","invalid":"Choose a product, cut and storage type."}},"consent":{"region":"Privacy choices","banner":"We would like to count visits and use Google Maps and WhatsApp, which share data with other companies. Nothing optional is switched on until you choose.","rejectAll":"Reject All","acceptAll":"Accept All","choose":"Choose","title":"Privacy Settings","intro":"Choose which optional features to allow. You can change this at any time from \"Privacy Settings\" at the bottom of every page.","necessary":{"title":"Necessary","description":"Your language, enquiry drafts and enquiries saved while offline, kept on this device. Always on."},"categories":{"analytics":{"title":"Analytics","description":"Visit counts recorded by our own server, without cookies, so we can see which products buyers look at."},"maps":{"title":"Maps","description":"The Google Maps embed on the contact page. Google receives your IP address and may set cookies."},"messaging":{"title":"WhatsApp","description":"WhatsApp chat links and connecting to WhatsApp in advance. What you send, including your enquiry details, goes to WhatsApp (Meta)."}},"save":"Save Choices","close":"Close"}};return{default:data};})();const __data_phone_metadata=(()=>{const data={"IN":{"dialCode":"91","nationalPrefix":"0","lengths":[10],"example":"9876543210","formats":[{"leading":"[6-9]","groups":[5,5]},{"groups":[2,4,4]}]},"AE":{"dialCode":"971","nationalPrefix":"0","lengths":[8,9],"example":"501234567","formats":[{"leading":"5","groups":[2,3,4]},{"leading":"[2-4679]","groups":[1,3,4]}]},"SA":{"dialCode":"966","nationalPrefix":"0","lengths":[9],"example":"512345678","formats":[{"groups":[2,3,4]}]},"QA":{"dialCode":"974","lengths":[8],"example":"33123456","formats":[{"groups":[4,4]}]},"KW":{"dialCode":"965","lengths":[8],"example":"50012345","formats":[{"groups":[4,4]}]},"OM":{"dialCode":"968","lengths":[8],"example":"92123456","formats":[{"groups":[4,4]}]},"BH":{"dialCode":"973","lengths":[8],"example":"36001234","formats":[{"groups":[4,4]}]},"JO":{"dialCode":"962","nationalPrefix":"0","lengths":[8,9],"example":"790123456","formats":[{"leading":"7","groups":[1,4,4]},{"groups":[1,3,4]}]},"LB":{"dialCode":"961","nationalPrefix":"0","lengths":[7,8],"example":"71123456","formats":[{"leading":"[378]","groups":[2,3,3]},{"groups":[1,3,3]}]},"IQ":{"dialCode":"964","nationalPrefix":"0","lengths":[8,9,10],"example":"7912345678","formats":[{"leading":"7","groups":[3,3,4]},{"groups":[1,3,4]},{"groups":[2,3,4]}]},"YE":{"dialCode":"967","nationalPrefix":"0","lengths":[7,8,9],"example":"712345678","formats":[{"leading":"7","groups":[3,3,3]},{"groups":[1,3,3]},{"groups":[1,3,4]}]},"EG":{"dialCode":"20","nationalPrefix":"0","lengths":[9,10],"example":"1001234567","formats":[{"leading":"1","groups":[2,4,4]},{"groups":[1,4,4]}]},"MA":{"dialCode":"212","nationalPrefix":"0","lengths":[9],"example":"650123456","formats":[{"groups":[3,6]}]},"NG":{"dialCode":"234","nationalPrefix":"0","lengths":[8,10],"example":"8021234567","formats":[{"leading":"[789]","groups":[3,3,4]},{"groups":[1,3,4]}]},"KE":{"dialCode":"254","nationalPrefix":"0","lengths":[9],"example":"712123456","formats":[{"groups":[3,6]}]},"ZA":{"dialCode":"27","nationalPrefix":"0","lengths":[9],"example":"711234567","formats":[{"groups":[2,3,4]}]},"PK":{"dialCode":"92","nationalPrefix":"0","lengths":[9,10],"example":"3012345678","formats":[{"leading":"3","groups":[3,7]},{"groups":[2,8]},{"groups":[2,7]}]},"BD":{"dialCode":"880","nationalPrefix":"0","lengths":[8,9,10],"example":"1812345678","formats":[{"leading":"1","groups":[4,6]},{"groups":[1,7]},{"groups":[2,7]}]},"NP":{"dialCode":"977","nationalPrefix":"0","lengths":[8,10],"example":"9841234567","formats":[{"leading":"9","groups":[3,7]},{"groups":[1,7]}]},"LK":{"dialCode":"94","nationalPrefix":"0","lengths":[9],"example":"712345678","formats":[{"groups":[2,3,4]}]},"MV":{"dialCode":"960","lengths":[7],"example":"7712345","formats":[{"groups":[3,4]}]},"MY":{"dialCode":"60","nationalPrefix":"0","lengths":[8,9,10],"example":"123456789","formats":[{"leading":"11","groups":[2,4,4]},{"leading":"1","groups":[2,3,4]},{"groups":[1,4,4]},{"groups":[1,3,4]}]},"SG":{"dialCode":"65","lengths":[8],"example":"81234567","formats":[{"groups":[4,4]}]},"ID":{"dialCode":"62","nationalPrefix":"0","lengths":[9,10,11,12],"example":"812345678","formats":[{"groups":[3,3,3]},{"groups":[3,3,4]},{"groups":[3,4,4]},{"groups":[3,4,5]}]},"HK":{"dialCode":"852","lengths":[8],"example":"51234567","formats":[{"groups":[4,4]}]},"CN":{"dialCode":"86","nationalPrefix":"0","lengths":[10,11],"example":"13123456789","formats":[{"leading":"1","groups":[3,4,4]},{"groups":[2,4,4]}]},"TR":{"dialCode":"90","nationalPrefix":"0","lengths":[10],"example":"5012345678","formats":[{"groups":[3,3,2,2]}]},"GB":{"dialCode":"44","nationalPrefix":"0","lengths":[9,10],"example":"7400123456","formats":[{"leading":"2","groups":[2,4,4]},{"groups":[4,6]},{"groups":[4,5]}]},"FR":{"dialCode":"33","nationalPrefix":"0","lengths":[9],"example":"612345678","formats":[{"groups":[1,2,2,2,2]}]},"DE":{"dialCode":"49","nationalPrefix":"0","lengths":[7,8,9,10,11],"example":"15123456789","formats":[{"leading":"1[5-7]","groups":[3,8]},{"leading":"1[5-7]","groups":[3,7]},{"leading":"30|40|89","groups":[2,8]},{"leading":"30|40|89","groups":[2,7]}]},"US":{"dialCode":"1","nationalPrefix":"1","lengths":[10],"example":"2015550123","formats":[{"groups":[3,3,4]}]},"CA":{"dialCode":"1","nationalPrefix":"1","lengths":[10],"example":"5062345678","formats":[{"groups":[3,3,4]}]},"AU":{"dialCode":"61","nationalPrefix":"0","lengths":[9],"example":"412345678","formats":[{"leading":"4","groups":[3,3,3]},{"groups":[1,4,4]}]}};return{default:data};})();const __phone=(()=>{const{default:metadata}=__data_phone_metadata;const PHONE_METADATA=metadata;const DEFAULT_PHONE_COUNTRY='IN';const BY_DIAL_CODE=Object.entries(metadata).reduce((codes,[country,{dialCode}])=>{(codes[dialCode]||=[]).push(country);return codes;},{});function flagEmoji(country){return[...country.toUpperCase()].map(letter=>String.fromCodePoint(0x1F1A5+letter.charCodeAt(0))).join('');}
+function countryFromLanguages(languages=[]){for(const tag of languages){const region=String(tag).split(/[-_]/).slice(1).find(part=>/^[a-z]{2}$/i.test(part));if(region&&Object.hasOwn(metadata,region.toUpperCase()))return region.toUpperCase();}
+return DEFAULT_PHONE_COUNTRY;}
+function countryForDigits(digits,preferred){for(let length=1;length<=3;length++){const countries=BY_DIAL_CODE[digits.slice(0,length)];if(countries)return countries.includes(preferred)?preferred:countries[0];}
+return'';}
+function withoutTrunkPrefix(digits,country){const prefix=metadata[country]?.nationalPrefix;return prefix&&digits.startsWith(prefix)?digits.slice(prefix.length):digits;}
+function parsePhone(value,country=''){const text=String(value||'').trim();const empty={country:'',dialCode:'',nationalNumber:'',e164:'',valid:false};if(!text||!/^(?:\+|00)?[\d\s().-]+$/.test(text))return empty;const international=/^(?:\+|00)/.test(text);let digits=text.replace(/\D/g,'');if(text.startsWith('00'))digits=digits.slice(2);let target=country;let dialCode;let nationalNumber;if(international){target=countryForDigits(digits,country);dialCode=target?metadata[target].dialCode:'';nationalNumber=withoutTrunkPrefix(digits.slice(dialCode.length),target);}else{if(!metadata[country])return empty;dialCode=metadata[country].dialCode;nationalNumber=withoutTrunkPrefix(digits,country);}
+const e164=`+${dialCode}${nationalNumber}`;const valid=target?metadata[target].lengths.includes(nationalNumber.length):/^\+[1-9]\d{7,14}$/.test(e164);return{country:target,dialCode,nationalNumber,e164,valid};}
+function formatNationalNumber(nationalNumber,country){const format=metadata[country]?.formats.find(({leading,groups})=>groups.reduce((sum,size)=>sum+size,0)===nationalNumber.length&&(!leading||new RegExp(`^(?:${leading})`).test(nationalNumber)));if(!format)return nationalNumber;let start=0;return format.groups.map(size=>nationalNumber.slice(start,start+=size)).join(' ');}
+function formatPhone(value,country){const phone=parsePhone(value,country);if(!phone.dialCode)return String(value||'').trim();return`+${phone.dialCode} ${formatNationalNumber(phone.nationalNumber,phone.country)}`.trim();}
+function normalizePhone(value,country){const phone=parsePhone(value,country);return phone.valid?phone.e164:'';}
+return{PHONE_METADATA,DEFAULT_PHONE_COUNTRY,flagEmoji,countryFromLanguages,parsePhone,formatNationalNumber,formatPhone,normalizePhone};})();const __validation=(()=>{const{default:en}=__locales_en;const{parsePhone}=__phone;const ENQUIRY_SUBJECTS=en.subjects;const MAX_LENGTHS={name:100,email:254,phone:30,message:5000};const VALIDATION_MESSAGES=en.validation;function isValidEmail(email){return/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);}
+function isValidPhone(phone){return/^\+?[\d\s().-]+$/.test(phone)&&phone.replace(/\D/g,'').length>=6;}
+function isValidInternationalPhone(phone){return/^(?:\+|00)/.test(phone)&&parsePhone(phone).valid;}
+function fillMessage(message,params){return String(message).replace(/\{(\w+)\}/g,(match,name)=>(name in params?params[name]:match));}
+function matchesFormat(format,value){switch(format){case'email':return isValidEmail(value);case'phone':return isValidPhone(value);case'intlPhone':return isValidInternationalPhone(value);case'number':return/^\d+(?:\.\d+)?$/.test(value);default:return true;}}
+const DEFAULT_MESSAGE_KEYS={required:'required',minLength:'minLength',maxLength:'tooLong',pattern:'pattern',oneOf:'choice',email:'email',phone:'phone',intlPhone:'phone',number:'number',range:'range',countryCode:'phoneCountryCode'};function validateRule(rule,value,values={},messages=VALIDATION_MESSAGES){if(!rule||(rule.when&&!rule.when(values)))return'';const fail=(check)=>{const key=rule.messages?.[check]||DEFAULT_MESSAGE_KEYS[check];return fillMessage(messages[key]??VALIDATION_MESSAGES[key]??messages.required,{min:rule.min??rule.minLength,max:rule.max??rule.maxLength});};const isChoice=entry=>(Array.isArray(rule.oneOf)?rule.oneOf.includes(entry):Object.hasOwn(rule.oneOf,entry));const required=typeof rule.required==='function'?rule.required(values):Boolean(rule.required);if(Array.isArray(value)){if(!value.length)return required?fail('required'):'';return rule.oneOf&&!value.every(isChoice)?fail('oneOf'):'';}
+if(!value)return required?fail('required'):'';if(rule.maxLength&&value.length>rule.maxLength)return fail('maxLength');if(rule.minLength&&value.length<rule.minLength)return fail('minLength');if(rule.format&&!matchesFormat(rule.format,value)){return fail(rule.format==='intlPhone'&&!/^(?:\+|00)/.test(value)?'countryCode':rule.format);}
+if((rule.min!==undefined&&Number(value)<rule.min)||(rule.max!==undefined&&Number(value)>rule.max)){return fail('range');}
+if(rule.pattern&&!new RegExp(`^(?:${rule.pattern.source})$`,rule.pattern.flags).test(value))return fail('pattern');if(rule.oneOf&&!isChoice(value))return fail('oneOf');return'';}
+function validateSchema(schema,data,messages=VALIDATION_MESSAGES){const source=data&&typeof data==='object'?data:{};const values={};const errors={};const trim=raw=>(typeof raw==='string'?raw.trim():'');Object.entries(schema).forEach(([field,rule])=>{const raw=source[field];values[field]=rule.multiple?[...new Set([].concat(raw??[]).map(trim).filter(Boolean))]:trim(raw);});Object.entries(schema).forEach(([field,rule])=>{if(rule.when&&!rule.when(values)){values[field]=rule.multiple?[]:'';return;}
+const error=validateRule(rule,values[field],values,messages);if(error)errors[field]=error;});return{valid:Object.keys(errors).length===0,errors,values};}
+const ENQUIRY_SCHEMA={name:{required:true,minLength:2,maxLength:MAX_LENGTHS.name,messages:{minLength:'name'}},email:{required:true,maxLength:MAX_LENGTHS.email,format:'email'},phone:{maxLength:MAX_LENGTHS.phone,format:'intlPhone'},subject:{oneOf:ENQUIRY_SUBJECTS,messages:{oneOf:'subject'}},message:{required:true,minLength:10,maxLength:MAX_LENGTHS.message,messages:{minLength:'message'}}};function validateValue(type,value,messages=VALIDATION_MESSAGES){return validateRule(ENQUIRY_SCHEMA[type],value,{},messages);}
+function validateEnquiry(data,messages=VALIDATION_MESSAGES){return validateSchema(ENQUIRY_SCHEMA,data,messages);}
+return{ENQUIRY_SUBJECTS,MAX_LENGTHS,VALIDATION_MESSAGES,isValidEmail,isValidPhone,isValidInternationalPhone,validateRule,validateSchema,ENQUIRY_SCHEMA,validateValue,validateEnquiry};})();const __storage=(()=>{const PREFIX='freshflow.';function readStorage(key,fallback){try{const raw=window.localStorage.getItem(PREFIX+key);return raw===null?fallback:JSON.parse(raw);}catch{return fallback;}}
+function writeStorage(key,value){try{window.localStorage.setItem(PREFIX+key,JSON.stringify(value));return true;}catch{return false;}}
+function removeStorage(key){try{window.localStorage.removeItem(PREFIX+key);}catch{}}
+return{readStorage,writeStorage,removeStorage};})();const __i18n=(()=>{const{default:en}=__locales_en;const{readStorage,writeStorage}=__storage;const DEFAULT_LOCALE='en';const LOCALES={en:{name:'English',dir:'ltr'},ar:{name:'العربية',dir:'rtl'},fr:{name:'Français',dir:'ltr'}};const STORAGE_KEY='locale';const catalogs={en};let activeLocale=DEFAULT_LOCALE;const originals=new WeakMap();function detectLocale(){const requested=new URLSearchParams(window.location.search).get('lang');if(Object.hasOwn(LOCALES,requested)){writeStorage(STORAGE_KEY,requested);return requested;}
+const stored=readStorage(STORAGE_KEY,null);if(Object.hasOwn(LOCALES,stored))return stored;const preferred=(navigator.languages||[navigator.language||'']).map(tag=>String(tag).toLowerCase().split('-')[0]).find(lang=>Object.hasOwn(LOCALES,lang));return preferred||DEFAULT_LOCALE;}
+function lookup(messages,key){return key.split('.').reduce((node,part)=>(node==null?undefined:node[part]),messages);}
+function formatMessage(template,params={}){return template.replace(/\{(\w+)\}/g,(match,name)=>(Object.hasOwn(params,name)?String(params[name]):match));}
+function getLocale(){return activeLocale;}
+function getDirection(locale=activeLocale){return LOCALES[locale]?.dir||'ltr';}
+function t(key,params,fallback){const value=[catalogs[activeLocale],en].map(messages=>messages&&lookup(messages,key)).find(message=>typeof message==='string');return formatMessage(value??fallback??key,params);}
+function tPlural(key,count){const category=new Intl.PluralRules(activeLocale).select(count);const group=lookup(catalogs[activeLocale]||{},key);const form=group&&typeof group[category]==='string'?category:'other';return t(`${key}.${form}`,{count});}
+function getMessages(namespace){return{...en[namespace],...catalogs[activeLocale]?.[namespace]};}
+function parseAttrKeys(value){return value.split(';').map(pair=>pair.split(':').map(part=>part.trim())).filter(([attr,key])=>attr&&key);}
+function translatePage(root=document){const messages=catalogs[activeLocale];root.querySelectorAll('[data-i18n], [data-i18n-attr]').forEach(el=>{if(!originals.has(el)){originals.set(el,{text:el.textContent,attrs:Object.fromEntries(parseAttrKeys(el.dataset.i18nAttr||'').map(([attr])=>[attr,el.getAttribute(attr)]))});}
+const original=originals.get(el);const translate=(key,english)=>{const value=activeLocale===DEFAULT_LOCALE?undefined:lookup(messages,key);return typeof value==='string'?value:english;};if(el.dataset.i18n){const text=translate(el.dataset.i18n,original.text);if(el.textContent!==text)el.textContent=text;}
+parseAttrKeys(el.dataset.i18nAttr||'').forEach(([attr,key])=>{const value=translate(key,original.attrs[attr]);if(value!=null)el.setAttribute(attr,value);});});}
+function applyDocumentLocale(locale){document.documentElement.lang=locale;document.documentElement.dir=getDirection(locale);}
+async function loadCatalog(locale){const response=await fetch(`locales/${locale}.json`,{headers:{'Accept':'application/json'}});if(!response.ok)throw new Error(`Could not load locale "${locale}" (${response.status})`);const messages=await response.json();writeStorage(`messages.${locale}`,messages);return messages;}
+function activate(locale){activeLocale=locale;applyDocumentLocale(locale);translatePage();document.dispatchEvent(new CustomEvent('localechange',{detail:{locale,dir:getDirection(locale)}}));}
+async function setLocale(locale){if(!Object.hasOwn(LOCALES,locale))return false;if(!catalogs[locale]){try{catalogs[locale]=await loadCatalog(locale);}catch(err){console.warn(err.message);return false;}}
+writeStorage(STORAGE_KEY,locale);activate(locale);return true;}
+function initI18n(){const locale=detectLocale();if(locale===DEFAULT_LOCALE){applyDocumentLocale(locale);return;}
+const cached=readStorage(`messages.${locale}`,null);if(cached){catalogs[locale]=cached;activate(locale);}
+loadCatalog(locale).then(messages=>{catalogs[locale]=messages;if(activeLocale===locale||(!cached&&activeLocale===DEFAULT_LOCALE))activate(locale);}).catch(err=>console.warn(err.message));}
+return{DEFAULT_LOCALE,LOCALES,formatMessage,getLocale,getDirection,t,tPlural,getMessages,translatePage,setLocale,initI18n};})();const __phone_input=(()=>{const{PHONE_METADATA,parsePhone,formatPhone,formatNationalNumber,flagEmoji,countryFromLanguages}=__phone;const{t,getLocale}=__i18n;const{readStorage,writeStorage}=__storage;const STORAGE_KEY='phoneCountry';function countryNames(){try{const names=new Intl.DisplayNames([getLocale()],{type:'region'});return code=>names.of(code)||code;}catch{return code=>code;}}
+function renderCountries(select,selected){const name=countryNames();const collator=new Intl.Collator(getLocale());select.innerHTML='';Object.keys(PHONE_METADATA).map(code=>({code,label:name(code)})).sort((a,b)=>collator.compare(a.label,b.label)).forEach(({code,label})=>{const option=document.createElement('option');option.value=code;option.textContent=`${flagEmoji(code)} ${label} (+${PHONE_METADATA[code].dialCode})`;option.defaultSelected=option.selected=code===selected;select.appendChild(option);});}
+function createPhoneInput(input){const stored=readStorage(STORAGE_KEY,'');let country=parsePhone(input.value).country||(Object.hasOwn(PHONE_METADATA,stored)?stored:countryFromLanguages(navigator.languages||[navigator.language]));const field=document.createElement('div');field.className='phone-field';field.innerHTML=`
+        <div class="phone-country">
+            <span class="phone-country-display" aria-hidden="true"></span>
+            <select class="phone-country-select" id="${input.id}Country"></select>
+        </div>`;input.before(field);field.appendChild(input);input.setAttribute('autocomplete','tel');input.setAttribute('inputmode','tel');const select=field.querySelector('select');const display=field.querySelector('.phone-country-display');const label=()=>{select.setAttribute('aria-label',t('phone.country'));renderCountries(select,country);};const setCountry=(code)=>{country=code;[...select.options].forEach(option=>{option.defaultSelected=option.selected=option.value===code;});display.textContent=`${flagEmoji(code)} +${PHONE_METADATA[code].dialCode}`;};select.addEventListener('change',()=>{const previous=parsePhone(input.value,country);setCountry(select.value);writeStorage(STORAGE_KEY,country);if(previous.dialCode&&/^(?:\+|00)/.test(input.value.trim())){input.value=`+${PHONE_METADATA[country].dialCode} ${formatNationalNumber(previous.nationalNumber,country)}`.trim();}});input.addEventListener('input',()=>{if(!/^\s*(?:\+|00)/.test(input.value))return;const detected=parsePhone(input.value,country).country;if(detected&&detected!==country)setCountry(detected);});document.addEventListener('localechange',label);label();setCountry(country);return{commit(){const phone=parsePhone(input.value,country);if(!phone.dialCode)return;if(phone.country&&phone.country!==country)setCountry(phone.country);input.value=formatPhone(input.value,country);},getCountry:()=>country};}
+return{createPhoneInput};})();const __form_engine=(()=>{const{validateRule}=__validation;const{t,tPlural,getMessages}=__i18n;const{createPhoneInput}=__phone_input;function showFieldError(input,errorEl,message){input.classList.add('error');input.setAttribute('aria-invalid','true');if(errorEl)errorEl.textContent=message;}
+function clearFieldError(input,errorEl){input.classList.remove('error');input.removeAttribute('aria-invalid');if(errorEl)errorEl.textContent='';}
+function describeBy(el,id){const ids=(el.getAttribute('aria-describedby')||'').split(/\s+/).filter(Boolean);if(!ids.includes(id))el.setAttribute('aria-describedby',[...ids,id].join(' '));}
+function labelText(input){const label=input.tagName==='FIELDSET'?input.querySelector('legend'):input.id&&input.form?.querySelector(`label[for="${input.id}"]`);if(!label)return input.getAttribute('aria-label')||input.name;const copy=label.cloneNode(true);copy.querySelectorAll('.required').forEach(marker=>marker.remove());return copy.textContent.replace(/\s+/g,' ').trim();}
+function summaryElement(form){let summary=form.querySelector('.form-error-summary');if(!summary){summary=document.createElement('div');summary.className='form-error-summary';summary.hidden=true;summary.innerHTML='<p class="form-error-summary-title"></p><ul></ul>';form.prepend(summary);}
+summary.setAttribute('role','alert');summary.tabIndex=-1;return summary;}
+function createForm(form,schema,{messages=()=>getMessages('validation')}={}){const summary=summaryElement(form);const checked=new Set();let summaryErrors=null;const fields=Object.entries(schema).map(([name,rule])=>{const control=form.elements.namedItem(name);const input=rule.multiple?(control?.nodeType?control:control?.[0])?.closest('fieldset'):control;if(!input||!input.id)return null;const phone=rule.format==='intlPhone'&&input.type==='tel'?createPhoneInput(input):null;let errorEl=document.getElementById(`${input.id}Error`);if(!errorEl){errorEl=document.createElement('span');errorEl.className='error-message';errorEl.id=`${input.id}Error`;(input.closest('.phone-field')||input).after(errorEl);}
+describeBy(input,errorEl.id);const boxes=()=>[...input.querySelectorAll(`[name="${name}"]`)];return{name,rule,input,errorEl,commit:phone?phone.commit:()=>{},read:rule.multiple?()=>boxes().filter(box=>box.checked).map(box=>box.value):()=>input.value.trim(),write:rule.multiple?(value)=>boxes().forEach(box=>{box.checked=[].concat(value).includes(box.value);}):(value)=>{input.value=value;},focus:()=>(rule.multiple?boxes()[0]:input)?.focus()};}).filter(Boolean);const values=()=>Object.fromEntries(fields.map(({name,read})=>[name,read()]));const isActive=({rule},current)=>!rule.when||rule.when(current);const updateConditions=()=>{const current=values();fields.forEach(field=>{const active=isActive(field,current);if(field.rule.when){const group=field.input.closest('.form-group')||field.input;group.hidden=!active;field.input.disabled=!active;if(!active)clearFieldError(field.input,field.errorEl);}
+if(typeof field.rule.required==='function'){field.input.setAttribute('aria-required',String(active&&field.rule.required(current)));}});};const checkField=(field,current=values())=>{const message=isActive(field,current)?validateRule(field.rule,current[field.name],current,messages()):'';clearFieldError(field.input,field.errorEl);checked.delete(field.name);if(!message)return'';showFieldError(field.input,field.errorEl,message);checked.add(field.name);return message;};const renderSummary=(errors)=>{const invalid=fields.filter(({name})=>errors[name]);summaryErrors=invalid.length?errors:null;summary.hidden=invalid.length===0;if(!invalid.length)return;summary.querySelector('.form-error-summary-title').textContent=tPlural('forms.summary',invalid.length);const list=summary.querySelector('ul');list.innerHTML='';invalid.forEach(({name,input,focus})=>{const link=document.createElement('a');link.href=`#${input.id}`;link.textContent=t('forms.summaryItem',{label:labelText(input),message:errors[name]});link.addEventListener('click',(e)=>{e.preventDefault();focus();});const item=document.createElement('li');item.appendChild(link);list.appendChild(item);});};const focusFirstError=(errors)=>{fields.find(({name})=>errors[name])?.focus();};const validate=({focus=true,only}={})=>{const checking=only?fields.filter(({name})=>only.includes(name)):fields;checking.forEach(field=>field.commit());const current=values();const errors={};checking.forEach(field=>{const message=checkField(field,current);if(message)errors[field.name]=message;});fields.filter(field=>!isActive(field,current)).forEach(({name,rule})=>{current[name]=rule.multiple?[]:'';});renderSummary(errors);if(focus)focusFirstError(errors);return{valid:Object.keys(errors).length===0,errors,values:current};};const showErrors=(errors={},{focus=true}={})=>{fields.forEach(({name,input,errorEl})=>{if(!errors[name])return;showFieldError(input,errorEl,errors[name]);checked.delete(name);});renderSummary(errors);if(focus)focusFirstError(errors);};const clearErrors=()=>{fields.forEach(({input,errorEl})=>clearFieldError(input,errorEl));checked.clear();renderSummary({});};fields.forEach(field=>{field.input.addEventListener(field.rule.multiple?'focusout':'blur',(e)=>{if(field.input.disabled||field.input.contains(e.relatedTarget))return;field.commit();checkField(field);});field.input.addEventListener('input',()=>{clearFieldError(field.input,field.errorEl);checked.delete(field.name);});});if(fields.some(({rule})=>rule.when||typeof rule.required==='function')){form.addEventListener('input',updateConditions);form.addEventListener('change',updateConditions);updateConditions();}
+document.addEventListener('localechange',()=>{const current=values();const errors={...summaryErrors};fields.filter(({name})=>checked.has(name)).forEach(field=>{const message=checkField(field,current);if(summaryErrors?.[field.name])errors[field.name]=message;});if(summaryErrors)renderSummary(errors);});const setValues=(data={})=>{fields.forEach(field=>{if(!Object.hasOwn(data,field.name)||field.input.type==='file')return;field.write(data[field.name]??'');});updateConditions();};return{fields,values,setValues,validate,validateField:(name)=>{const field=fields.find(entry=>entry.name===name);return field?!checkField(field):true;},showErrors,clearErrors,reset:()=>{form.reset();clearErrors();updateConditions();}};}
+return{showFieldError,clearFieldError,labelText,createForm};})();const __form_guard=(()=>{const FORM_TOKEN_ENDPOINT='/api/form-token';const HONEYPOT_FIELD='website';async function fetchFormToken(endpoint){try{const response=await fetch(endpoint,{headers:{'Accept':'application/json'}});const data=await response.json();return response.ok&&typeof data.token==='string'?data.token:'';}catch{return'';}}
+function createFormGuard(form,{eager=true,endpoint=FORM_TOKEN_ENDPOINT}={}){let request=null;const refresh=()=>{request=fetchFormToken(endpoint);return request;};if(eager){refresh();}else{form.addEventListener('focusin',()=>request||refresh());}
+return{async fields(){const formToken=await(request||refresh());const honeypot=form.elements.namedItem(HONEYPOT_FIELD);return{formToken,[HONEYPOT_FIELD]:honeypot?honeypot.value:''};},refresh};}
+return{FORM_TOKEN_ENDPOINT,HONEYPOT_FIELD,createFormGuard};})();const __offline_queue=(()=>{const{FORM_TOKEN_ENDPOINT}=__form_guard;const SYNC_TAG='enquiry-queue';const QUEUE_MESSAGE='enquiry-queue';const DB_NAME='freshflow';const DB_VERSION=1;const STORE='enquiries';const TOKEN_MAX_AGE_MS=23*60*60*1000;const FRESH_TOKEN_WAIT_MS=3500;const RETRY_STATUSES=[408,429,500,502,503,504];function settle(target){return new Promise((resolve,reject)=>{if('oncomplete'in target){target.oncomplete=()=>resolve();target.onabort=target.onerror=()=>reject(target.error);}else{target.onsuccess=()=>resolve(target.result);target.onerror=()=>reject(target.error);}});}
+function openDatabase(){const request=indexedDB.open(DB_NAME,DB_VERSION);request.onupgradeneeded=()=>{request.result.createObjectStore(STORE,{keyPath:'id',autoIncrement:true});};return settle(request);}
+async function withStore(mode,action){const db=await openDatabase();try{const transaction=db.transaction(STORE,mode);const[result]=await Promise.all([settle(action(transaction.objectStore(STORE))),settle(transaction)]);return result;}finally{db.close();}}
+function canQueueEnquiries(){return typeof indexedDB!=='undefined';}
+function queueEnquiry(endpoint,payload,locale){return withStore('readwrite',store=>store.add({endpoint,payload,locale,queuedAt:new Date().toISOString()}));}
+function queuedEnquiries(){return withStore('readonly',store=>store.getAll());}
+function removeEnquiry(id){return withStore('readwrite',store=>store.delete(id));}
+function updateEnquiry(entry){return withStore('readwrite',store=>store.put(entry));}
+function tokenUsable(token,now){const issuedAt=Number(String(token||'').split('.')[0]);return issuedAt>0&&now-issuedAt<TOKEN_MAX_AGE_MS;}
+async function withFreshToken(payload){if(tokenUsable(payload.formToken,Date.now()))return payload;const response=await fetch(FORM_TOKEN_ENDPOINT,{headers:{'Accept':'application/json'}});const data=await response.json();if(!response.ok||typeof data.token!=='string')throw new Error('No form token');await new Promise(resolve=>setTimeout(resolve,FRESH_TOKEN_WAIT_MS));return{...payload,formToken:data.token};}
+async function sendQueuedEnquiries(){const entries=await queuedEnquiries();const sent=[];const rejected=[];for(const[index,entry]of entries.entries()){let response;try{const payload=await withFreshToken(entry.payload);response=await fetch(entry.endpoint,{method:'POST',headers:{'Content-Type':'application/json','Accept':'application/json','Accept-Language':entry.locale},body:JSON.stringify(payload)});}catch{return{sent,rejected,pending:entries.length-index};}
+const data=await response.json().catch(()=>({}));if(RETRY_STATUSES.includes(response.status))return{sent,rejected,pending:entries.length-index};if(data.reason==='token'||data.reason==='too_fast'){await updateEnquiry({...entry,payload:{...entry.payload,formToken:''}});return{sent,rejected,pending:entries.length-index};}
+await removeEnquiry(entry.id);if(response.ok&&data.ok){sent.push({id:entry.id,reference:data.reference,payload:entry.payload});}else if(data.reason==='duplicate'){sent.push({id:entry.id,reference:'',payload:entry.payload});}else{rejected.push({id:entry.id,error:data.error||'',payload:entry.payload});}}
+return{sent,rejected,pending:0};}
+return{SYNC_TAG,QUEUE_MESSAGE,canQueueEnquiries,queueEnquiry,queuedEnquiries,sendQueuedEnquiries};})();const __pwa=(()=>{const{SYNC_TAG,QUEUE_MESSAGE,canQueueEnquiries,queuedEnquiries,sendQueuedEnquiries}=__offline_queue;const SERVICE_WORKER_URL='sw.js';let flushing=null;function announce(detail){if(!detail.sent.length&&!detail.rejected.length)return;document.dispatchEvent(new CustomEvent('enquiryqueue',{detail}));}
+async function hasBackgroundSync(){if(!('serviceWorker'in navigator))return false;const registration=await navigator.serviceWorker.getRegistration();return Boolean(registration?.active&&'sync'in registration);}
+function flushQueue(){if(!flushing){flushing=queuedEnquiries().then(entries=>entries.length?sendQueuedEnquiries().then(announce):null).catch(err=>console.warn('Could not send queued enquiries:',err.message)).finally(()=>{flushing=null;});}
+return flushing;}
+async function requestQueueSync(){if(await hasBackgroundSync()){const registration=await navigator.serviceWorker.ready;try{await registration.sync.register(SYNC_TAG);return;}catch{}}
+if(navigator.onLine)flushQueue();}
+function initOfflineSupport(){if('serviceWorker'in navigator){navigator.serviceWorker.register(SERVICE_WORKER_URL).catch(err=>console.warn('Service worker registration failed:',err.message));navigator.serviceWorker.addEventListener('message',event=>{if(event.data?.type===QUEUE_MESSAGE)announce(event.data);});}
+if(!canQueueEnquiries())return;window.addEventListener('online',()=>{hasBackgroundSync().then(sync=>sync||flushQueue());});requestQueueSync();}
+return{SERVICE_WORKER_URL,requestQueueSync,initOfflineSupport};})();const __consent=(()=>{const{readStorage,writeStorage}=__storage;const{translatePage}=__i18n;const CONSENT_CATEGORIES={analytics:{title:'Analytics',description:'Visit counts recorded by our own server, without cookies, so we can see which products buyers look at.'},maps:{title:'Maps',description:'The Google Maps embed on the contact page. Google receives your IP address and may set cookies.'},messaging:{title:'WhatsApp',description:'WhatsApp chat links and connecting to WhatsApp in advance. What you send, including your enquiry details, goes to WhatsApp (Meta).'}};const STORAGE_KEY='consent';const CONSENT_VERSION=1;const CONSENT_MAX_AGE_MS=365*24*60*60*1000;let choices;const activated=new Map();function readChoices(){const stored=readStorage(STORAGE_KEY,null);const age=Date.now()-Date.parse(stored?.decidedAt);if(stored?.version!==CONSENT_VERSION||!(age<CONSENT_MAX_AGE_MS))return null;return Object.fromEntries(Object.keys(CONSENT_CATEGORIES).map(category=>[category,stored.choices?.[category]===true]));}
+function getConsent(){if(choices===undefined)choices=readChoices();return choices&&{...choices};}
+function hasConsent(category){return getConsent()?.[category]===true;}
+function onConsent(category,callback){if(hasConsent(category)){callback();return;}
+const listener=()=>{if(!hasConsent(category))return;document.removeEventListener('consentchange',listener);callback();};document.addEventListener('consentchange',listener);}
+function applyConsent(){document.querySelectorAll('template[data-consent]').forEach(template=>{const granted=hasConsent(template.dataset.consent);if(granted&&!activated.has(template)){const nodes=[...template.content.cloneNode(true).childNodes];template.after(...nodes);activated.set(template,nodes);}else if(!granted&&activated.has(template)){activated.get(template).forEach(node=>node.remove());activated.delete(template);}});document.querySelectorAll('iframe[data-consent]').forEach(frame=>{const granted=hasConsent(frame.dataset.consent);if(granted&&!frame.hasAttribute('src'))frame.src=frame.dataset.src;else if(!granted)frame.removeAttribute('src');});document.querySelectorAll('[data-consent-placeholder]').forEach(placeholder=>{placeholder.hidden=hasConsent(placeholder.dataset.consentPlaceholder);});}
+function setConsent(granted){choices=Object.fromEntries(Object.keys(CONSENT_CATEGORIES).map(category=>[category,granted[category]===true]));writeStorage(STORAGE_KEY,{version:CONSENT_VERSION,decidedAt:new Date().toISOString(),choices});applyConsent();document.dispatchEvent(new CustomEvent('consentchange',{detail:{consent:getConsent()}}));}
+function setAll(granted){setConsent(Object.fromEntries(Object.keys(CONSENT_CATEGORIES).map(category=>[category,granted])));}
+function createConsentUi(){const options=Object.entries(CONSENT_CATEGORIES).map(([category,{title,description}])=>`
+                        <label class="consent-option">
+                            <input type="checkbox" name="${category}">
+                            <span>
+                                <strong data-i18n="consent.categories.${category}.title">${title}</strong>
+                                <span data-i18n="consent.categories.${category}.description">${description}</span>
+                            </span>
+                        </label>`).join('');document.body.insertAdjacentHTML('beforeend',`
+        <div class="consent-banner" id="consentBanner" role="region" aria-label="Privacy choices" data-i18n-attr="aria-label:consent.region" hidden>
+            <p class="consent-text" data-i18n="consent.banner">We would like to count visits and use Google Maps and WhatsApp, which share data with other companies. Nothing optional is switched on until you choose.</p>
+            <div class="consent-actions">
+                <button type="button" class="btn btn-primary" data-consent-action="reject" data-i18n="consent.rejectAll">Reject All</button>
+                <button type="button" class="btn btn-primary" data-consent-action="accept" data-i18n="consent.acceptAll">Accept All</button>
+                <button type="button" class="btn btn-secondary" data-consent-action="open" data-i18n="consent.choose">Choose</button>
+            </div>
+        </div>
+        <div class="consent-dialog" id="consentDialog" hidden>
+            <div class="consent-backdrop" data-consent-action="close"></div>
+            <div class="consent-panel" role="dialog" aria-modal="true" aria-labelledby="consentTitle">
+                <h2 class="consent-title" id="consentTitle" data-i18n="consent.title">Privacy Settings</h2>
+                <p class="consent-intro" data-i18n="consent.intro">Choose which optional features to allow. You can change this at any time from "Privacy Settings" at the bottom of every page.</p>
+                <form class="consent-form" id="consentForm">
+                    <div class="consent-options">
+                        <label class="consent-option">
+                            <input type="checkbox" checked disabled>
+                            <span>
+                                <strong data-i18n="consent.necessary.title">Necessary</strong>
+                                <span data-i18n="consent.necessary.description">Your language, enquiry drafts and enquiries saved while offline, kept on this device. Always on.</span>
+                            </span>
+                        </label>${options}
+                    </div>
+                    <div class="consent-actions">
+                        <button type="button" class="btn btn-secondary" data-consent-action="reject" data-i18n="consent.rejectAll">Reject All</button>
+                        <button type="button" class="btn btn-secondary" data-consent-action="accept" data-i18n="consent.acceptAll">Accept All</button>
+                        <button type="submit" class="btn btn-primary" data-i18n="consent.save">Save Choices</button>
+                    </div>
+                </form>
+                <button type="button" class="consent-close" data-consent-action="close" aria-label="Close" data-i18n-attr="aria-label:consent.close">&times;</button>
+            </div>
+        </div>`);return{banner:document.getElementById('consentBanner'),dialog:document.getElementById('consentDialog')};}
+let openPreferences=()=>{};function openConsentPreferences(category){return openPreferences(category);}
+function initConsent(){applyConsent();const{banner,dialog}=createConsentUi();translatePage(banner);translatePage(dialog);const panel=dialog.querySelector('.consent-panel');const form=document.getElementById('consentForm');let opener=null;let settle=null;banner.hidden=getConsent()!==null;const close=()=>{if(dialog.hidden)return;dialog.hidden=true;document.body.style.overflow='';settle?.();settle=null;opener?.focus();};openPreferences=(category)=>{const current=getConsent()||{};Object.keys(CONSENT_CATEGORIES).forEach(name=>{form.elements[name].checked=current[name]===true;});opener=document.activeElement;dialog.hidden=false;document.body.style.overflow='hidden';(form.elements[category]||form.querySelector('input:not([disabled])')).focus();return new Promise(resolve=>{settle=()=>resolve(category?hasConsent(category):false);});};const decide=(action)=>{if(action==='accept'||action==='reject')setAll(action==='accept');banner.hidden=true;close();};banner.addEventListener('click',(e)=>{const action=e.target.closest('[data-consent-action]')?.dataset.consentAction;if(action==='open')openPreferences();else if(action)decide(action);});dialog.addEventListener('click',(e)=>{const action=e.target.closest('[data-consent-action]')?.dataset.consentAction;if(action==='close')close();else if(action)decide(action);});form.addEventListener('submit',(e)=>{e.preventDefault();setConsent(Object.fromEntries(Object.keys(CONSENT_CATEGORIES).map(name=>[name,form.elements[name].checked])));decide('save');});panel.addEventListener('keydown',(e)=>{if(e.key==='Escape'){e.preventDefault();close();}else if(e.key==='Tab'){const focusable=[...panel.querySelectorAll('input:not([disabled]), button')];const first=focusable[0];const last=focusable[focusable.length-1];if(e.shiftKey&&document.activeElement===first){e.preventDefault();last.focus();}else if(!e.shiftKey&&document.activeElement===last){e.preventDefault();first.focus();}}});document.addEventListener('click',(e)=>{const control=e.target.closest('[data-consent-open], [data-consent-grant]');if(control){if(control.dataset.consentGrant){setConsent({...getConsent(),[control.dataset.consentGrant]:true});banner.hidden=true;}else{openPreferences();}
+return;}
+const link=e.target.closest('a[data-consent]');if(!link||hasConsent(link.dataset.consent))return;e.preventDefault();openPreferences(link.dataset.consent).then(granted=>{if(!granted)return;if(link.target==='_blank')window.open(link.href,'_blank','noopener');else window.location.assign(link.href);});});}
+return{CONSENT_CATEGORIES,getConsent,hasConsent,onConsent,setConsent,openConsentPreferences,initConsent};})();const __analytics=(()=>{const{hasConsent,onConsent}=__consent;const ANALYTICS_ENDPOINT='/api/events';const ANALYTICS_EVENTS={pageview:['referrer'],hero_slide:['slide'],product_nav:['target'],breed_card_view:['breed','species'],form_start:[],form_error:['fields','reason'],form_submit:['subject','queued']};const FLUSH_DELAY_MS=2000;let enabled=false;let pending=[];let flushTimer=null;function isTrackingOptedOut(){const doNotTrack=navigator.doNotTrack??window.doNotTrack??navigator.msDoNotTrack;return doNotTrack==='1'||doNotTrack==='yes'||navigator.globalPrivacyControl===true;}
+function flush(){clearTimeout(flushTimer);flushTimer=null;if(pending.length===0)return;const body=JSON.stringify({events:pending});pending=[];if(navigator.sendBeacon?.(ANALYTICS_ENDPOINT,new Blob([body],{type:'application/json'})))return;fetch(ANALYTICS_ENDPOINT,{method:'POST',headers:{'Content-Type':'application/json'},body,keepalive:true}).catch(()=>{});}
+function trackEvent(name,props={}){if(!enabled||!hasConsent('analytics'))return;pending.push({name,page:window.location.pathname,props});if(!flushTimer)flushTimer=setTimeout(flush,FLUSH_DELAY_MS);}
+function externalReferrer(){try{const{host}=new URL(document.referrer);return host===window.location.host?'':host;}catch{return'';}}
+function initAnalytics(){if(isTrackingOptedOut())return;onConsent('analytics',()=>{enabled=true;trackEvent('pageview',{referrer:externalReferrer()});document.addEventListener('visibilitychange',()=>{if(document.visibilityState==='hidden')flush();});window.addEventListener('pagehide',flush);});document.addEventListener('consentchange',()=>{if(hasConsent('analytics'))return;clearTimeout(flushTimer);flushTimer=null;pending=[];});}
+return{ANALYTICS_ENDPOINT,ANALYTICS_EVENTS,isTrackingOptedOut,trackEvent,initAnalytics};})();const __form=(()=>{const{ENQUIRY_SCHEMA}=__validation;const{t,getLocale}=__i18n;const{createForm}=__form_engine;const{createFormGuard}=__form_guard;const{readStorage,writeStorage,removeStorage}=__storage;const{canQueueEnquiries,queueEnquiry}=__offline_queue;const{requestQueueSync}=__pwa;const{trackEvent}=__analytics;const WHATSAPP_NUMBER='917794084488';const ENQUIRY_EMAIL='freshflowfoods@gmail.com';const ENQUIRY_ENDPOINT='/api/enquiries';const DRAFT_KEY='enquiryDraft';const CONTACT_PAGE='contact.html';function templateParams(formData,subjectLabel){return{name:formData.name,email:formData.email,phone:formData.phone||t('whatsapp.notProvided'),subject:subjectLabel,message:formData.message};}
+function buildWhatsAppUrl(formData,subjectLabel,number=WHATSAPP_NUMBER){const message=t('whatsapp.enquiry',templateParams(formData,subjectLabel));return`https://wa.me/${number}?text=${encodeURIComponent(message)}`;}
+function buildEmailUrl(formData,subjectLabel,reference){const params={...templateParams(formData,subjectLabel),reference};const query=new URLSearchParams({subject:t('email.subject',params),body:t('email.body',params)});return`mailto:${ENQUIRY_EMAIL}?${query.toString().replace(/\+/g,'%20')}`;}
+async function postEnquiry(endpoint,payload){let response;try{response=await fetch(endpoint,{method:'POST',headers:{'Content-Type':'application/json','Accept':'application/json','Accept-Language':getLocale()},body:JSON.stringify(payload)});}catch{const error=new Error(t('errors.submit'));error.offline=true;throw error;}
+const data=await response.json().catch(()=>({}));if(!response.ok||!data.ok){const error=new Error(data.error||t('errors.submit'));error.fieldErrors=data.errors||{};error.reason=data.reason||'';throw error;}
+return data;}
+function setButtonLoading(button,loading){if(!button)return;button.querySelector('.btn-text').style.display=loading?'none':'inline';button.querySelector('.btn-loading').style.display=loading?'inline':'none';button.disabled=loading;}
+function fillEnquiry(form,{subject,message}){const subjectSelect=form.querySelector('#subject');const messageInput=form.querySelector('#message');if(subjectSelect&&[...subjectSelect.options].some(option=>option.value===subject))subjectSelect.value=subject;if(messageInput){const current=messageInput.value.trim();messageInput.value=current?`${current}\n\n${message}`:message;messageInput.classList.remove('error');messageInput.removeAttribute('aria-invalid');}}
+function prefillEnquiry(draft){const form=document.getElementById('contactForm');if(!form){writeStorage(DRAFT_KEY,draft);window.location.href=`${CONTACT_PAGE}#contactForm`;return false;}
+fillEnquiry(form,draft);form.style.display='block';document.getElementById('formSuccess')?.style.setProperty('display','none');document.getElementById('name')?.focus();return true;}
+function initContactForm(){const form=document.getElementById('contactForm');if(!form)return;const formSuccess=document.getElementById('formSuccess');const formQueued=document.getElementById('formQueued');const formQueuedError=document.getElementById('formQueuedError');const formError=document.getElementById('formError');const formReference=document.getElementById('formReference');const whatsappFollowUp=document.getElementById('whatsappFollowUp');const emailFollowUp=document.getElementById('emailFollowUp');const resetBtn=document.getElementById('resetForm');const resetQueuedBtn=document.getElementById('resetQueued');const submitBtn=document.getElementById('submitBtn');const endpoint=form.dataset.endpoint||ENQUIRY_ENDPOINT;const guard=createFormGuard(form);let queuedId=null;const draft=readStorage(DRAFT_KEY,null);if(typeof draft?.message==='string')fillEnquiry(form,draft);removeStorage(DRAFT_KEY);const engine=createForm(form,ENQUIRY_SCHEMA);const subjectSelect=form.elements.namedItem('subject');const partnershipHint=document.getElementById('partnershipHint');const updatePartnershipHint=()=>{if(partnershipHint&&subjectSelect)partnershipHint.hidden=subjectSelect.value!=='partnership';};subjectSelect?.addEventListener('change',updatePartnershipHint);updatePartnershipHint();const showFormError=(message)=>{if(!formError)return;formError.textContent=message;formError.hidden=!message;};const setLoading=(loading)=>{setButtonLoading(submitBtn,loading);form.setAttribute('aria-busy',String(loading));};const showSent=(formData,reference)=>{const subjectLabel=t(`subjects.${formData.subject||'general'}`);if(formReference)formReference.textContent=reference;if(whatsappFollowUp)whatsappFollowUp.href=buildWhatsAppUrl(formData,subjectLabel);if(emailFollowUp)emailFollowUp.href=buildEmailUrl(formData,subjectLabel,reference);form.style.display='none';if(formQueued)formQueued.hidden=true;if(formSuccess)formSuccess.style.display='block';};const queue=async(payload)=>{if(!formQueued||!canQueueEnquiries())return false;try{queuedId=await queueEnquiry(endpoint,payload,getLocale());}catch{return false;}
+form.style.display='none';if(formQueuedError)formQueuedError.hidden=true;formQueued.hidden=false;requestQueueSync();return true;};form.addEventListener('focusin',()=>trackEvent('form_start'),{once:true});form.addEventListener('submit',async(e)=>{e.preventDefault();showFormError('');const{valid,errors,values:formData}=engine.validate();if(!valid){trackEvent('form_error',{fields:Object.keys(errors).join(',')});return;}
+setLoading(true);const payload={...formData,...await guard.fields()};try{const result=await postEnquiry(endpoint,payload);trackEvent('form_submit',{subject:formData.subject||'general'});showSent(formData,result.reference);}catch(err){if(err.offline&&await queue(payload)){trackEvent('form_submit',{subject:formData.subject||'general',queued:true});return;}
+trackEvent('form_error',{fields:Object.keys(err.fieldErrors||{}).join(','),reason:err.reason||(err.offline?'offline':'server')});engine.showErrors(err.fieldErrors);showFormError(err.message||t('errors.submit'));if(err.reason==='token')guard.refresh();}finally{setLoading(false);}});document.addEventListener('enquiryqueue',({detail})=>{const sent=detail.sent.find(entry=>entry.id===queuedId);const rejected=detail.rejected.find(entry=>entry.id===queuedId);if(sent){queuedId=null;showSent(sent.payload,sent.reference);}else if(rejected&&formQueuedError){queuedId=null;formQueuedError.textContent=rejected.error||t('errors.submit');formQueuedError.hidden=false;}});[resetBtn,resetQueuedBtn].filter(Boolean).forEach(button=>{button.addEventListener('click',()=>{engine.reset();updatePartnershipHint();showFormError('');queuedId=null;form.style.display='block';if(formSuccess)formSuccess.style.display='none';if(formQueued)formQueued.hidden=true;});});}
+return{ENQUIRY_ENDPOINT,buildWhatsAppUrl,buildEmailUrl,postEnquiry,setButtonLoading,prefillEnquiry,initContactForm};})();const __data_freight_rates=(()=>{const data={"currency":"USD","updatedOn":"2026-10-01","works":"Vijayawada, India","portOfLoading":"Chennai, India","prices":{"goat":{"chilled":6.2,"frozen":5.4},"sheep":{"chilled":6.6,"frozen":5.8},"lamb":{"chilled":8.1,"frozen":7.2}},"cutFactors":{"carcass":1,"leg":1.18,"shoulder":1.08,"rack":1.65,"loin":1.45,"chops":1.35,"neck":0.92,"shank":1.02,"boneless":1.4,"mince":1.1},"containers":{"reefer20":{"payloadKg":12000,"originCharges":520},"reefer40":{"payloadKg":26000,"originCharges":780}},"insurance":{"rate":0.003,"cover":1.1},"ports":{"Jebel Ali, UAE":{"freight":{"reefer20":1100,"reefer40":1600},"destinationCharges":{"reefer20":450,"reefer40":600}},"Dammam, Saudi Arabia":{"freight":{"reefer20":1400,"reefer40":2000},"destinationCharges":{"reefer20":500,"reefer40":700}},"Jeddah, Saudi Arabia":{"freight":{"reefer20":1600,"reefer40":2300},"destinationCharges":{"reefer20":550,"reefer40":750}},"Hamad, Qatar":{"freight":{"reefer20":1350,"reefer40":1900},"destinationCharges":{"reefer20":500,"reefer40":700}},"Shuwaikh, Kuwait":{"freight":{"reefer20":1500,"reefer40":2150},"destinationCharges":{"reefer20":520,"reefer40":720}},"Sohar, Oman":{"freight":{"reefer20":1200,"reefer40":1750},"destinationCharges":{"reefer20":420,"reefer40":580}},"Khalifa Bin Salman, Bahrain":{"freight":{"reefer20":1450,"reefer40":2050},"destinationCharges":{"reefer20":480,"reefer40":660}},"Port Klang, Malaysia":{"freight":{"reefer20":1300,"reefer40":1850},"destinationCharges":{"reefer20":350,"reefer40":480}},"Singapore":{"freight":{"reefer20":1250,"reefer40":1750},"destinationCharges":{"reefer20":380,"reefer40":520}},"Tanjung Priok, Indonesia":{"freight":{"reefer20":1500,"reefer40":2100},"destinationCharges":{"reefer20":400,"reefer40":560}},"Mombasa, Kenya":{"freight":{"reefer20":2200,"reefer40":3100},"destinationCharges":{"reefer20":600,"reefer40":850}},"Lagos (Apapa), Nigeria":{"freight":{"reefer20":3200,"reefer40":4500},"destinationCharges":{"reefer20":900,"reefer40":1250}}}};return{default:data};})();const __data_exchange_rates=(()=>{const data={"base":"USD","updatedOn":"2026-10-01","rates":{"USD":1,"EUR":0.86,"GBP":0.75,"AED":3.6725,"SAR":3.75,"QAR":3.64,"KWD":0.306,"OMR":0.3845,"BHD":0.376,"MYR":4.22,"SGD":1.29,"IDR":16450,"KES":129.2,"NGN":1480,"INR":88.7}};return{default:data};})();const __data_catalog=(()=>{const data={"products":[{"id":"goat","name":"Goat","title":"Goat Products","page":"goat-products.html","description":"Premium quality goat meat processed under strict hygienic conditions, export-ready with complete traceability.","image":{"src":"images/products/goat.jpg","webp":"images/products/goat.webp","alt":"Premium Goat Meat - Export Quality","width":400,"height":300},"cuts":["carcass","leg","shoulder","rack","loin","chops","neck","shank","boneless","mince"],"processing":["chilled","frozen"],"halal":true,"specs":{"features":["Export-ready quality meeting international standards","Hygienic processing with RO water systems","Complete QR-code traceability","Cold chain maintained throughout","Vacuum-packed for freshness","Multiple cut options available"],"packaging":["Retail packs (500g, 1kg)","Bulk packaging for wholesale","Custom packaging as per buyer requirements","Export-compliant labeling"]}},{"id":"sheep","name":"Sheep","title":"Sheep Products","page":"sheep-products.html","description":"High-grade sheep meat sourced from sustainable farms, processed with care for international markets.","image":{"src":"images/products/sheep.jpg","webp":"images/products/sheep.webp","alt":"Premium Sheep Meat - Export Quality","width":400,"height":300},"cuts":["carcass","leg","shoulder","rack","loin","chops","neck","shank","boneless","mince"],"processing":["chilled","frozen"],"halal":true,"specs":{"features":["Premium grade selection from sustainable farms","International quality standards compliance","Hygienic processing in certified facilities","Refrigerated transport throughout supply chain","Complete traceability system","Various cuts available for different cuisines"],"packaging":["Retail packs (500g, 1kg)","Bulk packaging for wholesale","Custom packaging as per buyer requirements","Export-compliant labeling"]}},{"id":"lamb","name":"Lamb","title":"Lamb Products","page":"lamb-products.html","description":"Tender lamb meat from young animals, carefully selected and processed to meet export quality standards.","image":{"src":"images/products/lamb.jpg","webp":"images/products/lamb.webp","alt":"Premium Lamb Meat - Export Quality","width":400,"height":300},"cuts":["carcass","leg","shoulder","rack","loin","chops","neck","shank","boneless","mince"],"processing":["chilled","frozen"],"halal":true,"specs":{"features":["Young, tender meat from carefully selected lambs","Careful selection process ensuring premium quality","Export certification ready","Full traceability from farm to table","Processed in HACCP certified facilities","Multiple cuts available for various cuisines"],"packaging":["Retail packs (500g, 1kg)","Bulk packaging for wholesale","Custom packaging as per buyer requirements","Export-compliant labeling"]}}],"processing":[{"id":"chilled","name":"Chilled"},{"id":"frozen","name":"Frozen"}],"cuts":[{"id":"carcass","name":"Whole Carcass"},{"id":"leg","name":"Leg"},{"id":"shoulder","name":"Shoulder"},{"id":"rack","name":"Rack"},{"id":"loin","name":"Loin"},{"id":"chops","name":"Chops"},{"id":"neck","name":"Neck"},{"id":"shank","name":"Shank"},{"id":"boneless","name":"Boneless Cubes"},{"id":"mince","name":"Mince"}],"breeds":[{"id":"black-bengal","name":"Black Bengal","species":"goat","products":["goat"],"features":["Small-sized, highly prolific breed","Excellent meat quality with fine texture","Commonly found in West Bengal and Bangladesh","Preferred for premium meat export and domestic markets"]},{"id":"barbari","name":"Barbari","species":"goat","products":["goat"],"features":["Compact and small-bodied meat breed","Known for tender meat and fast growth","Widely raised in Uttar Pradesh and Gujarat"]},{"id":"tellicherry","name":"Tellicherry (Malabari)","species":"goat","products":["goat"],"features":["Popular meat breed from Kerala","Available in white, brown, black, and mixed colors","Well-suited for both domestic and export meat supply"]},{"id":"sirohi","name":"Sirohi","species":"goat","products":["goat"],"features":["Medium to large-sized breed","Dual-purpose (meat-focused in our supply chain)","Known for good carcass yield"]},{"id":"jamunapari","name":"Jamunapari","species":"goat","products":["goat"],"features":["Large-sized goat breed","Primarily dual-purpose, also used for premium meat cuts","Adds value for specialized market demand"]},{"id":"gaddi","name":"Gaddi","species":"sheep","region":"north-temperate","products":["sheep"],"summary":"Dual-purpose (meat and wool)"},{"id":"changthangi","name":"Changthangi","species":"sheep","region":"north-temperate","products":["sheep"],"summary":"Hardy, high-altitude breed"},{"id":"rampur-bushair","name":"Rampur Bushair","species":"sheep","region":"north-temperate","products":["sheep"],"summary":"Good meat quality and adaptability"},{"id":"karnah","name":"Karnah","species":"sheep","region":"north-temperate","products":["sheep"],"summary":"Suitable for meat and wool"},{"id":"marwari","name":"Marwari","species":"sheep","region":"north-western-arid","products":["sheep"],"summary":"Hardy desert breed with good meat yield"},{"id":"magra","name":"Magra","species":"sheep","region":"north-western-arid","products":["sheep"],"summary":"Resilient breed, carpet wool type"},{"id":"malpura","name":"Malpura","species":"sheep","region":"north-western-arid","products":["sheep"],"summary":"Popular meat breed"},{"id":"chokla","name":"Chokla","species":"sheep","region":"north-western-arid","products":["sheep"],"summary":"Heat-tolerant and fast-growing"},{"id":"jaisalmeri","name":"Jaisalmeri","species":"sheep","region":"north-western-arid","products":["sheep"],"summary":"Drought-resistant breed"},{"id":"nellore","name":"Nellore","species":"sheep","region":"southern-peninsular","products":["sheep","lamb"],"summary":"Tallest Indian sheep breed, premium meat"},{"id":"mandya","name":"Mandya","species":"sheep","region":"southern-peninsular","products":["sheep","lamb"],"summary":"High-quality mutton breed"},{"id":"vembur","name":"Vembur","species":"sheep","region":"southern-peninsular","products":["sheep"],"summary":"Adapted to dry regions"},{"id":"madras-red","name":"Madras Red","species":"sheep","region":"southern-peninsular","products":["sheep","lamb"],"summary":"Fast-growing meat breed"},{"id":"deccani","name":"Deccani","species":"sheep","region":"southern-peninsular","products":["sheep","lamb"],"summary":"Widely reared for meat"},{"id":"ganjam","name":"Ganjam","species":"sheep","region":"eastern","products":["sheep"],"summary":"Suitable for meat and wool"},{"id":"balangir","name":"Balangir","species":"sheep","region":"eastern","products":["sheep"],"summary":"Adaptable breed with steady meat yield"},{"id":"garole","name":"Garole","species":"sheep","region":"eastern","products":["sheep"],"summary":"Small-sized breed, meat and wool"}],"regions":[{"id":"north-temperate","name":"North Temperate Region","states":"J&K, Himachal Pradesh","species":"sheep"},{"id":"north-western-arid","name":"North-Western Arid Region","states":"Rajasthan, Gujarat","species":"sheep"},{"id":"southern-peninsular","name":"Southern Peninsular Region","states":"AP, TN, Karnataka","species":"sheep"},{"id":"eastern","name":"Eastern Region","states":"Odisha, West Bengal","species":"sheep"}],"markets":[{"id":"market-presence","name":"Market Presence","description":"Serving domestic and international markets with premium quality products","page":"markets.html","anchor":"market-presence"},{"id":"domestic-market","name":"Domestic Market","description":"Retailers, wholesalers and institutional buyers across the region","page":"markets.html","anchor":"domestic-market"},{"id":"export-market","name":"Export Market Strategy","description":"Export-ready processing for global buyers","page":"markets.html","anchor":"export-market"},{"id":"logistics","name":"Logistics & Cold Chain","description":"Cold chain management, refrigerated transport, QR-code tracking and export documentation","page":"markets.html","anchor":"logistics"}],"certifications":[{"id":"quality","name":"Quality Certified","description":"Rigorous quality control at every stage of production","page":"markets.html","anchor":"certifications"},{"id":"export-ready","name":"Export Ready","description":"Prepared to meet certification requirements for target export markets","page":"markets.html","anchor":"certifications"},{"id":"hygiene","name":"Hygiene Standards","description":"Hygienic processing in certified facilities","page":"markets.html","anchor":"certifications"}]};return{default:data};})();const __catalog=(()=>{const{default:catalog}=__data_catalog;const CATALOG=catalog;function getProduct(id){return catalog.products.find(product=>product.id===id);}
+function getProductCuts(productId){const product=getProduct(productId);if(!product)return[];return catalog.cuts.filter(cut=>product.cuts.includes(cut.id));}
+function getBreeds(species){return catalog.breeds.filter(breed=>breed.species===species);}
+function getProductBreeds(productId){return catalog.breeds.filter(breed=>breed.products.includes(productId));}
+function getRegions(species){return catalog.regions.filter(region=>region.species===species).map(region=>({...region,breeds:catalog.breeds.filter(breed=>breed.region===region.id)}));}
+function localizeCatalog(translate,source=catalog){const text=(key,english)=>translate(`catalog.${key}`,english);const list=(key,items=[])=>items.map((item,i)=>text(`${key}.${i}`,item));return{...source,products:source.products.map(product=>({...product,name:text(`products.${product.id}.name`,product.name),title:text(`products.${product.id}.title`,product.title),description:text(`products.${product.id}.description`,product.description),image:{...product.image,alt:text(`products.${product.id}.image_alt`,product.image.alt)},specs:Object.fromEntries(Object.entries(product.specs).map(([spec,items])=>[spec,list(`products.${product.id}.specs.${spec}`,items)]))})),processing:source.processing.map(type=>({...type,name:text(`processing.${type.id}`,type.name)})),cuts:source.cuts.map(cut=>({...cut,name:text(`cuts.${cut.id}`,cut.name)})),breeds:source.breeds.map(breed=>({...breed,...(breed.features&&{features:list(`breeds.${breed.id}.features`,breed.features)}),...(breed.summary&&{summary:text(`breeds.${breed.id}.summary`,breed.summary)})})),regions:source.regions.map(region=>({...region,name:text(`regions.${region.id}.name`,region.name),states:text(`regions.${region.id}.states`,region.states)})),markets:(source.markets||[]).map(item=>({...item,name:text(`markets.${item.id}.name`,item.name),description:text(`markets.${item.id}.description`,item.description)})),certifications:(source.certifications||[]).map(item=>({...item,name:text(`certifications.${item.id}.name`,item.name),description:text(`certifications.${item.id}.description`,item.description)}))};}
+return{CATALOG,getProduct,getProductCuts,getBreeds,getProductBreeds,getRegions,localizeCatalog};})();const __rfq=(()=>{const{default:en}=__locales_en;const{validateSchema,ENQUIRY_SCHEMA,VALIDATION_MESSAGES}=__validation;const{CATALOG,getProductCuts,getProductBreeds}=__catalog;const QUOTE_SPECIES=Object.fromEntries(CATALOG.products.map(product=>[product.id,product.name]));const QUOTE_CUTS=Object.fromEntries(CATALOG.cuts.map(cut=>[cut.id,cut.name]));const QUOTE_BREEDS=Object.fromEntries(CATALOG.products.map(product=>[product.id,getProductBreeds(product.id).map(breed=>breed.name)]));function getQuoteCuts(species){return Object.fromEntries(getProductCuts(species).map(cut=>[cut.id,cut.name]));}
+const ANY_BREED=en.quote.anyBreed;const QUANTITY_UNITS=en.quote.units;const PACKING_STATES=Object.fromEntries(CATALOG.processing.map(type=>[type.id,type.name]));const PACKING_FORMS=en.quote.forms;const DESTINATION_PORTS=['Jebel Ali, UAE','Dammam, Saudi Arabia','Jeddah, Saudi Arabia','Hamad, Qatar','Shuwaikh, Kuwait','Sohar, Oman','Khalifa Bin Salman, Bahrain','Port Klang, Malaysia','Singapore','Tanjung Priok, Indonesia','Mombasa, Kenya','Lagos (Apapa), Nigeria'];const MAX_QUOTE_ITEMS=20;const RFQ_MESSAGES=en.rfq;const QUOTE_LABELS={species:QUOTE_SPECIES,cuts:QUOTE_CUTS,anyBreed:ANY_BREED,units:QUANTITY_UNITS,states:PACKING_STATES,forms:PACKING_FORMS};function validateQuoteItem(item,messages=RFQ_MESSAGES){const raw=item&&typeof item==='object'?item:{};const breed=typeof raw.breed==='string'&&raw.breed.trim()?raw.breed.trim():ANY_BREED;const normalized={species:raw.species,breed,cut:raw.cut,quantity:Number(raw.quantity),unit:raw.unit,state:raw.state,form:raw.form};const known=Object.hasOwn(QUOTE_SPECIES,normalized.species)&&Object.hasOwn(getQuoteCuts(normalized.species),normalized.cut)&&Object.hasOwn(QUANTITY_UNITS,normalized.unit)&&Object.hasOwn(PACKING_STATES,normalized.state)&&Object.hasOwn(PACKING_FORMS,normalized.form)&&breed.length<=60;if(!known){return{valid:false,item:normalized,error:messages.item};}
+if(!Number.isFinite(normalized.quantity)||normalized.quantity<=0||normalized.quantity>100000){return{valid:false,item:normalized,error:messages.quantity};}
+return{valid:true,item:normalized,error:''};}
+const RFQ_SCHEMA={destinationPort:{required:true,maxLength:80,messages:{required:'port',maxLength:'port'}},name:ENQUIRY_SCHEMA.name,email:ENQUIRY_SCHEMA.email,phone:ENQUIRY_SCHEMA.phone,message:{...ENQUIRY_SCHEMA.message,required:false}};function validateRfq(data,messages=RFQ_MESSAGES,fieldMessages=VALIDATION_MESSAGES){const source=data&&typeof data==='object'?data:{};const{errors,values}=validateSchema(RFQ_SCHEMA,source,{...fieldMessages,port:messages.port});const items=Array.isArray(source.items)?source.items:[];if(items.length===0){errors.items=messages.noItems;}else if(items.length>MAX_QUOTE_ITEMS){errors.items=messages.tooManyItems.replace('{max}',MAX_QUOTE_ITEMS);}
+values.items=items.slice(0,MAX_QUOTE_ITEMS).map(item=>{const result=validateQuoteItem(item,messages);if(!result.valid&&!errors.items)errors.items=result.error;return result.item;});return{valid:Object.keys(errors).length===0,errors,values};}
+function formatQuoteItem(item,labels=QUOTE_LABELS){const breed=item.breed===ANY_BREED?labels.anyBreed:item.breed;return`${labels.species[item.species]}, ${breed} - ${labels.cuts[item.cut]} - ${item.quantity} ${labels.units[item.unit]} - ${labels.states[item.state]}, ${labels.forms[item.form]}`;}
+return{QUOTE_SPECIES,QUOTE_CUTS,QUOTE_BREEDS,getQuoteCuts,ANY_BREED,QUANTITY_UNITS,PACKING_STATES,PACKING_FORMS,DESTINATION_PORTS,MAX_QUOTE_ITEMS,RFQ_MESSAGES,QUOTE_LABELS,validateQuoteItem,RFQ_SCHEMA,validateRfq,formatQuoteItem};})();const __landed_cost=(()=>{const{default:en}=__locales_en;const{default:freightRates}=__data_freight_rates;const{default:exchangeRates}=__data_exchange_rates;const{QUOTE_SPECIES,PACKING_STATES,QUANTITY_UNITS,getQuoteCuts}=__rfq;const FREIGHT_RATES=freightRates;const EXCHANGE_RATES=exchangeRates;const INCOTERMS=['EXW','FOB','CFR','CIF'];const MAX_ESTIMATE_TONNES=500;const ESTIMATOR_MESSAGES=en.estimator.errors;const ESTIMATOR_PAGE='markets.html';const ESTIMATOR_PARAMS={product:'species',cut:'cut',state:'state',quantity:'quantity',unit:'unit',port:'port',incoterm:'incoterm',container:'container',currency:'currency'};const COST_LINES=[['goods','EXW'],['origin','FOB'],['freight','CFR'],['insurance','CIF'],['destination',null]];function roundMoney(value){return Math.round(value*100)/100;}
+function containersNeeded(kg,container,rates=FREIGHT_RATES){return Math.max(1,Math.ceil(kg/rates.containers[container].payloadKg));}
+function convertCurrency(amount,currency,exchange=EXCHANGE_RATES){return roundMoney(amount*exchange.rates[currency]);}
+function estimateLandedCost(input,{rates=FREIGHT_RATES,exchange=EXCHANGE_RATES,messages=ESTIMATOR_MESSAGES}={}){const quantity=Number(input.quantity);const kg=input.unit==='t'?quantity*1000:quantity;const fail=error=>({valid:false,estimate:null,error});const known=Object.hasOwn(QUOTE_SPECIES,input.species)&&Object.hasOwn(getQuoteCuts(input.species),input.cut)&&Object.hasOwn(PACKING_STATES,input.state)&&Object.hasOwn(QUANTITY_UNITS,input.unit)&&INCOTERMS.includes(input.incoterm)&&Object.hasOwn(rates.containers,input.container)&&Object.hasOwn(exchange.rates,input.currency)&&Number.isFinite(rates.prices[input.species]?.[input.state]);if(!known)return fail(messages.invalid);if(!Number.isFinite(kg)||kg<100||kg>MAX_ESTIMATE_TONNES*1000){return fail(messages.quantity.replace('{max}',MAX_ESTIMATE_TONNES));}
+if(!Object.hasOwn(rates.ports,input.port))return fail(messages.port);const port=rates.ports[input.port];const containers=containersNeeded(kg,input.container,rates);const basePrice=rates.prices[input.species][input.state]*(rates.cutFactors[input.cut]??1);const goods=kg*basePrice;const origin=containers*rates.containers[input.container].originCharges;const freight=containers*port.freight[input.container];const insurance=(goods+origin+freight)*rates.insurance.cover*rates.insurance.rate;const destination=containers*port.destinationCharges[input.container];const amounts={goods,origin,freight,insurance,destination};const included=INCOTERMS.indexOf(input.incoterm);const lines=COST_LINES.map(([id,from])=>({id,amount:convertCurrency(amounts[id],input.currency,exchange),included:from!==null&&INCOTERMS.indexOf(from)<=included}));const price=roundMoney(lines.filter(line=>line.included).reduce((sum,line)=>sum+line.amount,0));const landed=roundMoney(lines.reduce((sum,line)=>sum+line.amount,0));return{valid:true,estimate:{...input,quantity,kg,containers,unitPrice:convertCurrency(basePrice,input.currency,exchange),lines,price,landed,pricePerKg:roundMoney(price/kg),landedPerKg:roundMoney(landed/kg),exchangeRate:exchange.rates[input.currency],ratesUpdatedOn:rates.updatedOn},error:''};}
+function buildEstimatorUrl(values){const params=new URLSearchParams();Object.entries(ESTIMATOR_PARAMS).forEach(([param,field])=>{if(values[field]!==undefined&&values[field]!=='')params.set(param,values[field]);});return`${ESTIMATOR_PAGE}?${params}#estimator`;}
+return{FREIGHT_RATES,EXCHANGE_RATES,INCOTERMS,MAX_ESTIMATE_TONNES,ESTIMATOR_MESSAGES,ESTIMATOR_PAGE,ESTIMATOR_PARAMS,containersNeeded,convertCurrency,estimateLandedCost,buildEstimatorUrl};})();const __quote_cart=(()=>{const{escapeHtml}=__utils;const{readStorage,writeStorage}=__storage;const{t,getMessages,translatePage}=__i18n;const{createFormGuard,HONEYPOT_FIELD}=__form_guard;const{FREIGHT_RATES,buildEstimatorUrl}=__landed_cost;const{setButtonLoading,postEnquiry,buildWhatsAppUrl,buildEmailUrl,ENQUIRY_ENDPOINT}=__form;const{createForm}=__form_engine;const{QUOTE_SPECIES,QUOTE_BREEDS,ANY_BREED,QUOTE_LABELS,DESTINATION_PORTS,MAX_QUOTE_ITEMS,RFQ_SCHEMA,validateQuoteItem,formatQuoteItem,getQuoteCuts}=__rfq;const STORAGE_KEY='quoteCart';function loadCart(){const saved=readStorage(STORAGE_KEY,null);const items=Array.isArray(saved?.items)?saved.items:[];return{items:items.filter(item=>item&&typeof item.id==='string'&&validateQuoteItem(item).valid).slice(0,MAX_QUOTE_ITEMS),destinationPort:typeof saved?.destinationPort==='string'?saved.destinationPort:''};}
+function saveCart(cart){writeStorage(STORAGE_KEY,cart);}
+function createQuoteItem(species,breed){return{id:Date.now().toString(36)+Math.random().toString(36).slice(2,7),species,breed:breed||ANY_BREED,cut:Object.keys(getQuoteCuts(species))[0],quantity:1,unit:'t',state:'frozen',form:'carcass'};}
+function localizeChoices(choices,key){return Object.fromEntries(Object.entries(choices).map(([value,label])=>[value,t(key(value),{},label)]));}
+function localizedLabels(){return{species:localizeChoices(QUOTE_LABELS.species,id=>`catalog.products.${id}.name`),cuts:localizeChoices(QUOTE_LABELS.cuts,id=>`catalog.cuts.${id}`),anyBreed:t('quote.anyBreed'),units:localizeChoices(QUOTE_LABELS.units,id=>`quote.units.${id}`),states:localizeChoices(QUOTE_LABELS.states,id=>`catalog.processing.${id}`),forms:localizeChoices(QUOTE_LABELS.forms,id=>`quote.forms.${id}`)};}
+function buildQuoteFollowUp(rfq,reference){const labels=localizedLabels();const summary=[...rfq.items.map(item=>formatQuoteItem(item,labels)),t('quote.destination',{port:rfq.destinationPort}),rfq.message].filter(Boolean).join('\n');return{followUp:{...rfq,message:summary},subject:t('quote.rfqSubject',{reference})};}
+function renderOptions(choices,selected){return Object.entries(choices).map(([value,label])=>`<option value="${escapeHtml(value)}"${value===selected?' selected':''}>${escapeHtml(label)}</option>`).join('');}
+function renderItem(item,index,labels){const breeds=[ANY_BREED,...QUOTE_BREEDS[item.species]];if(!breeds.includes(item.breed))breeds.push(item.breed);const breedChoices=Object.fromEntries(breeds.map(breed=>[breed,breed===ANY_BREED?labels.anyBreed:breed]));const cuts=Object.fromEntries(Object.keys(getQuoteCuts(item.species)).map(cut=>[cut,labels.cuts[cut]]));const species=labels.species[item.species];const id=`quoteItem${index}`;return`
+        <li class="quote-item" data-id="${escapeHtml(item.id)}">
+            <div class="quote-item-header">
+                <h3 class="quote-item-title">${escapeHtml(species)}</h3>
+                <button type="button" class="quote-item-remove" data-action="remove" aria-label="${escapeHtml(t('quote.remove',{name:species}))}">&times;</button>
+            </div>
+            <div class="quote-item-grid">
+                <label class="quote-field">
+                    <span class="quote-field-label">${escapeHtml(t('quote.cut'))}</span>
+                    <select class="form-input form-select" data-field="cut">${renderOptions(cuts,item.cut)}</select>
+                </label>
+                <label class="quote-field">
+                    <span class="quote-field-label">${escapeHtml(t('quote.breed'))}</span>
+                    <select class="form-input form-select" data-field="breed">${renderOptions(breedChoices,item.breed)}</select>
+                </label>
+                <div class="quote-field quote-field-quantity">
+                    <label class="quote-field-label" for="${id}Quantity">${escapeHtml(t('quote.quantity'))}</label>
+                    <div class="quote-quantity">
+                        <input type="number" class="form-input" id="${id}Quantity" data-field="quantity" min="0.1" step="any" value="${escapeHtml(item.quantity)}">
+                        <select class="form-input form-select" data-field="unit" aria-label="${escapeHtml(t('quote.unit'))}">${renderOptions(labels.units,item.unit)}</select>
+                    </div>
+                </div>
+                <label class="quote-field">
+                    <span class="quote-field-label">${escapeHtml(t('quote.storage'))}</span>
+                    <select class="form-input form-select" data-field="state">${renderOptions(labels.states,item.state)}</select>
+                </label>
+                <label class="quote-field">
+                    <span class="quote-field-label">${escapeHtml(t('quote.packing'))}</span>
+                    <select class="form-input form-select" data-field="form">${renderOptions(labels.forms,item.form)}</select>
+                </label>
+            </div>
+        </li>`;}
+function createCartMarkup(){const ports=DESTINATION_PORTS.map(port=>`<option value="${escapeHtml(port)}"></option>`).join('');document.body.insertAdjacentHTML('beforeend',`
+        <button type="button" class="quote-cart-toggle" id="quoteCartToggle" aria-controls="quoteCart" aria-expanded="false" hidden>
+            <span data-i18n="quote.toggle">My Quote</span>
+            <span class="quote-cart-count" id="quoteCartCount">0</span>
+        </button>
+        <div class="quote-cart-backdrop" id="quoteCartBackdrop" hidden></div>
+        <aside class="quote-cart" id="quoteCart" aria-labelledby="quoteCartTitle" aria-hidden="true">
+            <div class="quote-cart-header">
+                <h2 class="quote-cart-title" id="quoteCartTitle" data-i18n="quote.title">Request a Quote</h2>
+                <button type="button" class="quote-cart-close" id="quoteCartClose" aria-label="Close quote" data-i18n-attr="aria-label:quote.close">&times;</button>
+            </div>
+            <div class="quote-cart-body">
+                <p class="quote-cart-empty" id="quoteCartEmpty" data-i18n="quote.empty">Your quote is empty. Use "Add to quote" on any product or breed.</p>
+                <ul class="quote-items" id="quoteItems"></ul>
+                <span class="error-message" id="quoteItemsError"></span>
+                <a href="markets.html#estimator" class="quote-estimate-link" id="quoteEstimateLink" data-i18n="estimator.link" hidden>Estimate the landed cost</a>
+
+                <form class="quote-form" id="quoteForm" novalidate>
+                    <div class="form-group">
+                        <label for="quotePort" class="form-label"><span data-i18n="quote.port">Destination Port</span> <span class="required">*</span></label>
+                        <input type="text" id="quotePort" name="destinationPort" class="form-input" list="quotePortList" placeholder="e.g. Jebel Ali, UAE" data-i18n-attr="placeholder:quote.portPlaceholder" required>
+                        <datalist id="quotePortList">${ports}</datalist>
+                        <span class="error-message" id="quotePortError"></span>
+                    </div>
+                    <div class="form-group">
+                        <label for="quoteName" class="form-label"><span data-i18n="quote.name">Full Name</span> <span class="required">*</span></label>
+                        <input type="text" id="quoteName" name="name" class="form-input" autocomplete="name" required>
+                        <span class="error-message" id="quoteNameError"></span>
+                    </div>
+                    <div class="form-group">
+                        <label for="quoteEmail" class="form-label"><span data-i18n="quote.emailAddress">Email Address</span> <span class="required">*</span></label>
+                        <input type="email" id="quoteEmail" name="email" class="form-input" autocomplete="email" required>
+                        <span class="error-message" id="quoteEmailError"></span>
+                    </div>
+                    <div class="form-group">
+                        <label for="quotePhone" class="form-label" data-i18n="quote.phone">Phone Number</label>
+                        <input type="tel" id="quotePhone" name="phone" class="form-input" autocomplete="tel">
+                        <span class="error-message" id="quotePhoneError"></span>
+                    </div>
+                    <div class="form-group">
+                        <label for="quoteMessage" class="form-label" data-i18n="quote.notes">Additional Notes</label>
+                        <textarea id="quoteMessage" name="message" class="form-input form-textarea" rows="3" placeholder="Delivery schedule, labelling, certificates required..." data-i18n-attr="placeholder:quote.notesPlaceholder"></textarea>
+                        <span class="error-message" id="quoteMessageError"></span>
+                    </div>
+                    <div class="form-honeypot" aria-hidden="true">
+                        <label for="quoteWebsite">Leave this field empty</label>
+                        <input type="text" id="quoteWebsite" name="${HONEYPOT_FIELD}" tabindex="-1" autocomplete="off">
+                    </div>
+                    <div class="form-error" id="quoteFormError" role="alert" hidden></div>
+                    <button type="submit" class="btn btn-primary btn-block" id="quoteSubmit">
+                        <span class="btn-text" data-i18n="quote.submit">Submit Quote Request</span>
+                        <span class="btn-loading" style="display: none;" data-i18n="quote.sending">Sending...</span>
+                    </button>
+                </form>
+
+                <div class="form-success quote-success" id="quoteSuccess" hidden>
+                    <h3 data-i18n="quote.successTitle">Quote Request Sent</h3>
+                    <p data-i18n="quote.successText">Our export team will reply with pricing within 24 business hours.</p>
+                    <p class="success-reference"><span data-i18n="quote.reference">Your reference:</span> <strong id="quoteReference"></strong></p>
+                    <div class="success-actions">
+                        <a href="https://wa.me/917794084488" class="whatsapp-link" id="quoteWhatsApp" target="_blank" rel="noopener" data-consent="messaging" data-i18n="quote.whatsapp">Follow Up on WhatsApp</a>
+                        <a href="mailto:freshflowfoods@gmail.com" class="btn btn-secondary" id="quoteEmailFollowUp" data-i18n="quote.emailFollowUp">Follow Up by Email</a>
+                        <button type="button" class="btn btn-secondary" id="quoteRestart" data-i18n="quote.restart">Start a New Quote</button>
+                    </div>
+                </div>
+            </div>
+        </aside>`);return document.getElementById('quoteCart');}
+function labelQuoteButtons(cards){const{species:speciesLabels}=localizedLabels();cards.forEach(card=>{const button=card.querySelector('.btn-quote');if(!button)return;const{species,breed}=card.dataset;const name=breed||t('quote.speciesProducts',{species:speciesLabels[species]});button.textContent=t('quote.add');button.setAttribute('aria-label',t('quote.addLabel',{name}));});}
+function addQuoteButtons(cards,onAdd){cards.forEach(card=>{const{species,breed}=card.dataset;if(!Object.hasOwn(QUOTE_SPECIES,species)||card.querySelector('.btn-quote'))return;const button=document.createElement('button');button.type='button';button.className='btn-quote';button.addEventListener('click',()=>onAdd(species,breed));(card.querySelector('.product-info')||card).appendChild(button);});labelQuoteButtons(cards);}
+function initQuoteCart(){const cards=document.querySelectorAll('.product-card[data-species], .breed-card[data-species]');let cart=loadCart();if(cards.length===0&&cart.items.length===0)return;const drawer=createCartMarkup();const toggle=document.getElementById('quoteCartToggle');translatePage(toggle);translatePage(drawer);const backdrop=document.getElementById('quoteCartBackdrop');const count=document.getElementById('quoteCartCount');const list=document.getElementById('quoteItems');const empty=document.getElementById('quoteCartEmpty');const itemsError=document.getElementById('quoteItemsError');const form=document.getElementById('quoteForm');const formError=document.getElementById('quoteFormError');const submitBtn=document.getElementById('quoteSubmit');const success=document.getElementById('quoteSuccess');const portInput=document.getElementById('quotePort');const estimateLink=document.getElementById('quoteEstimateLink');const guard=createFormGuard(form,{eager:false});const engine=createForm(form,RFQ_SCHEMA,{messages:()=>({...getMessages('validation'),port:t('rfq.port')})});const showFormError=(message)=>{formError.textContent=message;formError.hidden=!message;};const updateEstimateLink=()=>{const[item]=cart.items;estimateLink.hidden=!item;if(!item)return;const port=Object.hasOwn(FREIGHT_RATES.ports,cart.destinationPort.trim())?cart.destinationPort.trim():'';estimateLink.href=buildEstimatorUrl({...item,port});};const render=()=>{const labels=localizedLabels();list.innerHTML=cart.items.map((item,index)=>renderItem(item,index,labels)).join('');empty.hidden=cart.items.length>0;form.hidden=cart.items.length===0;count.textContent=cart.items.length;toggle.hidden=cart.items.length===0&&!drawer.classList.contains('open');if(cart.items.length>0)itemsError.textContent='';updateEstimateLink();};const update=()=>{saveCart(cart);render();};const open=()=>{drawer.classList.add('open');drawer.setAttribute('aria-hidden','false');toggle.setAttribute('aria-expanded','true');backdrop.hidden=false;toggle.hidden=false;};const close=()=>{drawer.classList.remove('open');drawer.setAttribute('aria-hidden','true');toggle.setAttribute('aria-expanded','false');backdrop.hidden=true;render();};addQuoteButtons(cards,(species,breed)=>{if(cart.items.length>=MAX_QUOTE_ITEMS){itemsError.textContent=t('rfq.tooManyItems',{max:MAX_QUOTE_ITEMS});open();return;}
+cart.items.push(createQuoteItem(species,breed));success.hidden=true;update();open();list.lastElementChild?.querySelector('[data-field="cut"]')?.focus();});list.addEventListener('change',(e)=>{const field=e.target.dataset.field;const item=cart.items.find(entry=>entry.id===e.target.closest('.quote-item')?.dataset.id);if(!field||!item)return;item[field]=field==='quantity'?Number(e.target.value):e.target.value;saveCart(cart);updateEstimateLink();});list.addEventListener('click',(e)=>{if(e.target.dataset.action!=='remove')return;const id=e.target.closest('.quote-item').dataset.id;cart.items=cart.items.filter(item=>item.id!==id);update();});portInput.value=cart.destinationPort;portInput.addEventListener('input',()=>{cart.destinationPort=portInput.value;saveCart(cart);updateEstimateLink();});toggle.addEventListener('click',()=>(drawer.classList.contains('open')?close():open()));document.getElementById('quoteCartClose').addEventListener('click',close);backdrop.addEventListener('click',close);document.addEventListener('keydown',(e)=>{if(e.key==='Escape'&&drawer.classList.contains('open'))close();});form.addEventListener('submit',async(e)=>{e.preventDefault();showFormError('');const{valid,values}=engine.validate();const rfqMessages=getMessages('rfq');const invalidItem=cart.items.map(item=>validateQuoteItem(item,rfqMessages)).find(result=>!result.valid);if(invalidItem)itemsError.textContent=invalidItem.error;if(!valid||invalidItem)return;const payload={type:'rfq',...values,items:cart.items.map(item=>validateQuoteItem(item).item)};setButtonLoading(submitBtn,true);try{const result=await postEnquiry(ENQUIRY_ENDPOINT,{...payload,...await guard.fields()});const{followUp,subject}=buildQuoteFollowUp(payload,result.reference);document.getElementById('quoteReference').textContent=result.reference;document.getElementById('quoteWhatsApp').href=buildWhatsAppUrl(followUp,subject);document.getElementById('quoteEmailFollowUp').href=buildEmailUrl(followUp,subject,result.reference);cart={items:[],destinationPort:cart.destinationPort};update();engine.reset();portInput.value=cart.destinationPort;empty.hidden=true;success.hidden=false;}catch(err){engine.showErrors(err.fieldErrors);if(err.fieldErrors?.items)itemsError.textContent=err.fieldErrors.items;showFormError(err.message);if(err.reason==='token')guard.refresh();}finally{setButtonLoading(submitBtn,false);}});document.getElementById('quoteRestart').addEventListener('click',()=>{success.hidden=true;render();});document.addEventListener('localechange',()=>{render();labelQuoteButtons(cards);});render();if(window.location.hash==='#quote'&&cart.items.length)open();}
+return{loadCart,saveCart,createQuoteItem,localizedLabels,buildQuoteFollowUp,initQuoteCart};})();const __admin_leads=(()=>{const LEAD_STATUSES={new:'New',contacted:'Contacted',quoted:'Quoted',won:'Won',lost:'Lost'};const LEAD_FILTERS=['q','status','subject','country','type'];const LEAD_LIMITS={assignee:60,country:60,notes:5000};function readLeadFilters(params){return Object.fromEntries(LEAD_FILTERS.map(name=>[name,(params.get(name)||'').trim()]));}
+function filterLeads(leads,{q='',status='',subject='',country='',type=''}={}){const query=q.toLowerCase();return leads.filter(lead=>(!status||lead.status===status)&&(!subject||lead.subject===subject)&&(!country||(lead.country||'').toLowerCase()===country.toLowerCase())&&(!type||lead.type===type)&&(!query||[lead.reference,lead.name,lead.email,lead.phone,lead.assignee,lead.message].some(value=>String(value||'').toLowerCase().includes(query))));}
+function sortLeads(leads){return[...leads].sort((a,b)=>String(b.createdAt).localeCompare(String(a.createdAt)));}
+return{LEAD_STATUSES,LEAD_FILTERS,LEAD_LIMITS,readLeadFilters,filterLeads,sortLeads};})();const __admin_dashboard=(()=>{const{escapeHtml}=__utils;const{ENQUIRY_SUBJECTS}=__validation;const{buildWhatsAppUrl}=__form;const{buildQuoteFollowUp}=__quote_cart;const{formatQuoteItem}=__rfq;const{formatPhone}=__phone;const{LEAD_STATUSES,LEAD_FILTERS,LEAD_LIMITS,readLeadFilters,filterLeads}=__admin_leads;const LEADS_ENDPOINT='/api/admin/enquiries';const dateFormat=new Intl.DateTimeFormat('en-GB',{dateStyle:'medium',timeStyle:'short'});function whatsAppNumber(phone){const value=String(phone||'').trim();return/^(?:\+|00)/.test(value)?value.replace(/^00/,'').replace(/\D/g,''):'';}
+function renderPhone(phone){if(!phone)return'—';const number=whatsAppNumber(phone);const text=escapeHtml(formatPhone(phone));return number?`<a href="tel:+${number}">${text}</a>`:text;}
+function buildReplyUrl(lead){const number=whatsAppNumber(lead.phone);if(lead.type==='rfq'){const{followUp,subject}=buildQuoteFollowUp(lead,lead.reference);return buildWhatsAppUrl(followUp,subject,number);}
+return buildWhatsAppUrl(lead,lead.subjectLabel||ENQUIRY_SUBJECTS[lead.subject],number);}
+function renderOptions(choices,selected){return Object.entries(choices).map(([value,label])=>`<option value="${escapeHtml(value)}"${value===selected?' selected':''}>${escapeHtml(label)}</option>`).join('');}
+function renderLead(lead){const id=`lead-${escapeHtml(lead.id)}`;const received=dateFormat.format(new Date(lead.createdAt));const details=[['Email',`<a href="mailto:${escapeHtml(lead.email)}">${escapeHtml(lead.email)}</a>`],['Phone',renderPhone(lead.phone)],['Subject',escapeHtml(lead.subjectLabel||ENQUIRY_SUBJECTS[lead.subject]||lead.subject)],['Destination',lead.destinationPort?escapeHtml(lead.destinationPort):'']].filter(([,value])=>value);const items=(lead.items||[]).map(item=>`<li>${escapeHtml(formatQuoteItem(item))}</li>`).join('');return`
+        <article class="lead-card lead-status-${escapeHtml(lead.status)}" data-id="${escapeHtml(lead.id)}" aria-labelledby="${id}-title">
+            <header class="lead-header">
+                <div>
+                    <span class="lead-type">${lead.type==='rfq'?'RFQ':'Enquiry'}</span>
+                    <h2 class="lead-title" id="${id}-title">${escapeHtml(lead.name)}</h2>
+                    <p class="lead-meta"><strong>${escapeHtml(lead.reference)}</strong> · <time datetime="${escapeHtml(lead.createdAt)}">${escapeHtml(received)}</time></p>
+                </div>
+                <span class="lead-badge">${escapeHtml(LEAD_STATUSES[lead.status])}</span>
+            </header>
+
+            <dl class="lead-details">
+                ${details.map(([term,value])=>`<div><dt>${term}</dt><dd>${value}</dd></div>`).join('')}
+            </dl>
+            ${items?`<ul class="lead-items">${items}</ul>`:''}
+            ${lead.message?`<p class="lead-message">${escapeHtml(lead.message)}</p>`:''}
+
+            <form class="lead-form" novalidate>
+                <label class="lead-field">
+                    <span class="form-label">Status</span>
+                    <select name="status" class="form-input form-select">${renderOptions(LEAD_STATUSES,lead.status)}</select>
+                </label>
+                <label class="lead-field">
+                    <span class="form-label">Assignee</span>
+                    <input type="text" name="assignee" class="form-input" list="assigneeList" maxlength="${LEAD_LIMITS.assignee}" value="${escapeHtml(lead.assignee)}">
+                </label>
+                <label class="lead-field">
+                    <span class="form-label">Country</span>
+                    <input type="text" name="country" class="form-input" maxlength="${LEAD_LIMITS.country}" value="${escapeHtml(lead.country)}">
+                </label>
+                <label class="lead-field lead-field-notes">
+                    <span class="form-label">Notes</span>
+                    <textarea name="notes" class="form-input form-textarea" rows="2" maxlength="${LEAD_LIMITS.notes}">${escapeHtml(lead.notes)}</textarea>
+                </label>
+                <div class="lead-actions">
+                    <button type="submit" class="btn btn-primary">Save</button>
+                    <a href="${escapeHtml(buildReplyUrl(lead))}" class="whatsapp-link" target="_blank" rel="noopener">Reply on WhatsApp</a>
+                    <span class="lead-saved" role="status"></span>
+                </div>
+            </form>
+        </article>`;}
+async function fetchLeads(){const response=await fetch(LEADS_ENDPOINT,{headers:{'Accept':'application/json'}});const data=await response.json().catch(()=>({}));if(!response.ok||!data.ok)throw new Error(data.error||'Could not load leads.');return data.enquiries;}
+async function saveLead(id,patch){const response=await fetch(`${LEADS_ENDPOINT}/${encodeURIComponent(id)}`,{method:'PATCH',headers:{'Content-Type':'application/json','Accept':'application/json'},body:JSON.stringify(patch)});const data=await response.json().catch(()=>({}));if(!response.ok||!data.ok){throw new Error(Object.values(data.errors||{})[0]||data.error||'Could not save.');}
+return data.enquiry;}
+async function initDashboard(){const filtersForm=document.getElementById('leadFilters');const list=document.getElementById('leadList');if(!filtersForm||!list)return;const status=document.getElementById('leadStatus');const stats=document.getElementById('leadStats');const exportLink=document.getElementById('exportCsv');const assignees=document.getElementById('assigneeList');let leads=[];filtersForm.elements.status.insertAdjacentHTML('beforeend',renderOptions(LEAD_STATUSES,''));filtersForm.elements.subject.insertAdjacentHTML('beforeend',renderOptions(ENQUIRY_SUBJECTS,''));const initial=readLeadFilters(new URLSearchParams(window.location.search));const currentFilters=()=>Object.fromEntries(LEAD_FILTERS.map(name=>[name,filtersForm.elements[name].value.trim()]));const renderStats=()=>{const pipeline=filterLeads(leads,{...currentFilters(),status:''});stats.innerHTML=Object.entries(LEAD_STATUSES).map(([value,label])=>`
+            <li class="admin-stat lead-status-${value}"><span>${escapeHtml(label)}</span> <strong>${pipeline.filter(lead=>lead.status===value).length}</strong></li>`).join('');};const render=()=>{const filters=currentFilters();const query=new URLSearchParams(Object.entries(filters).filter(([,value])=>value)).toString();history.replaceState(null,'',query?`?${query}`:window.location.pathname);exportLink.href=`${LEADS_ENDPOINT}.csv${query?`?${query}`:''}`;const shown=filterLeads(leads,filters);list.innerHTML=shown.map(renderLead).join('');status.textContent=`${shown.length} of ${leads.length} leads`;renderStats();};const fillChoices=()=>{const countries=[...new Set(leads.map(lead=>lead.country).filter(Boolean))].sort();const select=filtersForm.elements.country;const selected=select.value||initial.country;select.innerHTML=`<option value="">All countries</option>${renderOptions(Object.fromEntries(countries.map(country=>[country,country])),selected)}`;const names=[...new Set(leads.map(lead=>lead.assignee).filter(Boolean))].sort();assignees.innerHTML=names.map(name=>`<option value="${escapeHtml(name)}"></option>`).join('');};filtersForm.addEventListener('input',render);filtersForm.addEventListener('submit',(e)=>e.preventDefault());list.addEventListener('submit',async(e)=>{e.preventDefault();const form=e.target;const card=form.closest('.lead-card');const saved=form.querySelector('.lead-saved');const button=form.querySelector('button[type="submit"]');const patch=Object.fromEntries(['status','assignee','country','notes'].map(name=>[name,form.elements[name].value]));button.disabled=true;saved.textContent='Saving…';try{const updated=await saveLead(card.dataset.id,patch);leads=leads.map(lead=>(lead.id===updated.id?updated:lead));fillChoices();renderStats();card.insertAdjacentHTML('afterend',renderLead(updated));card.nextElementSibling.querySelector('.lead-saved').textContent='Saved';card.remove();}catch(err){saved.textContent=err.message;button.disabled=false;}});try{leads=await fetchLeads();}catch(err){status.textContent=err.message;return;}
+LEAD_FILTERS.forEach(name=>{if(name!=='country')filtersForm.elements[name].value=initial[name];});fillChoices();render();}
+return{LEADS_ENDPOINT,whatsAppNumber,buildReplyUrl,initDashboard};})();const __cold_chain=(()=>{const{default:en}=__locales_en;const COLD_CHAIN_LIMITS={chilled:4,frozen:-18};const MAX_READINGS=12000;const COLD_CHAIN_MESSAGES=en.coldChain;const DELIMITERS=[',',';','\t'];function splitCsv(text,delimiter){const rows=[];let row=[];let cell='';let quoted=false;for(let i=0;i<text.length;i++){const ch=text[i];if(quoted){if(ch==='"'&&text[i+1]==='"'){cell+='"';i++;}else if(ch==='"'){quoted=false;}else{cell+=ch;}}else if(ch==='"'){quoted=true;}else if(ch===delimiter){row.push(cell);cell='';}else if(ch==='\n'||ch==='\r'){if(ch==='\r'&&text[i+1]==='\n')i++;row.push(cell);rows.push(row);row=[];cell='';}else{cell+=ch;}}
+row.push(cell);rows.push(row);return rows.map(cells=>cells.map(value=>value.trim())).filter(cells=>cells.some(Boolean));}
+function parseTimestamp(value){const iso=/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{1,2}):(\d{2})(?::(\d{2}))?(?:\.\d+)?)?\s*(Z|[+-]\d{2}:?\d{2})?$/i.exec(value);const dayFirst=/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/.exec(value);if(!iso&&!dayFirst)return NaN;const[year,month,day]=iso?[iso[1],iso[2],iso[3]]:[dayFirst[3],dayFirst[2],dayFirst[1]];const[,,,,hours=0,minutes=0,seconds=0]=iso||dayFirst;const time=Date.UTC(Number(year),Number(month)-1,Number(day),Number(hours),Number(minutes),Number(seconds));const date=new Date(time);if(date.getUTCDate()!==Number(day)||date.getUTCMonth()!==Number(month)-1)return NaN;const offset=iso?.[7];if(!offset||offset.toUpperCase()==='Z')return time;const[,sign,offsetHours,offsetMinutes]=/([+-])(\d{2}):?(\d{2})/.exec(offset);return time-(sign==='-'?-1:1)*(Number(offsetHours)*60+Number(offsetMinutes))*60000;}
+function parseNumber(value){const cleaned=value.replace(/[^\d,.+-]/g,'').replace(',','.');return cleaned?Number(cleaned):NaN;}
+function findColumns(header){const names=header.map(name=>name.toLowerCase());const find=pattern=>names.findIndex(name=>pattern.test(name));const timestamp=find(/timestamp|date.?time|recorded/);const date=find(/date/);const time=find(/^time/);const temperature=find(/temp|°[cf]|celsius|fahrenheit/);return{date:timestamp>=0?timestamp:date>=0?date:time,time:timestamp<0&&date>=0?time:-1,temperature,humidity:find(/humid|\brh\b|%/),fahrenheit:temperature>=0&&/°f|fahrenheit|\(f\)/.test(names[temperature])};}
+function parseTemperatureLog(text,messages=COLD_CHAIN_MESSAGES){const source=String(text||'').replace(/^\uFEFF/,'');const firstLine=source.split(/\r?\n/,1)[0];const delimiter=DELIMITERS.reduce((best,candidate)=>(firstLine.split(candidate).length>firstLine.split(best).length?candidate:best));const[header=[],...rows]=splitCsv(source,delimiter);const columns=findColumns(header);if(columns.date<0||columns.temperature<0){return{valid:false,readings:[],error:messages.errors.columns};}
+if(rows.length===0){return{valid:false,readings:[],error:messages.errors.empty};}
+if(rows.length>MAX_READINGS){return{valid:false,readings:[],error:messages.errors.tooMany.replace('{max}',MAX_READINGS)};}
+const readings=[];for(const[index,cells]of rows.entries()){const stamp=columns.time>=0?`${cells[columns.date]} ${cells[columns.time]}`:cells[columns.date];const at=parseTimestamp(stamp||'');let celsius=parseNumber(cells[columns.temperature]||'');if(columns.fahrenheit)celsius=(celsius-32)*5/9;if(!Number.isFinite(at)||!Number.isFinite(celsius)||celsius<-60||celsius>60){return{valid:false,readings:[],error:messages.errors.row.replace('{row}',index+2)};}
+const reading={at:new Date(at).toISOString(),celsius:Math.round(celsius*10)/10};const humidity=columns.humidity>=0?parseNumber(cells[columns.humidity]||''):NaN;if(Number.isFinite(humidity))reading.humidity=humidity;readings.push(reading);}
+readings.sort((a,b)=>a.at.localeCompare(b.at));return{valid:true,readings,error:''};}
+function findExcursions(readings,limit){const excursions=[];let current=null;readings.forEach(reading=>{if(reading.celsius>limit){if(!current)current={start:reading.at,peak:reading.celsius};current.peak=Math.max(current.peak,reading.celsius);}else if(current){excursions.push({...current,end:reading.at,ongoing:false});current=null;}});if(current)excursions.push({...current,end:readings[readings.length-1].at,ongoing:true});return excursions.map(excursion=>({...excursion,durationMs:new Date(excursion.end)-new Date(excursion.start)}));}
+function summarizeTemperatureLog(readings,state){if(!readings?.length)return null;const limit=COLD_CHAIN_LIMITS[state]??COLD_CHAIN_LIMITS.chilled;const temperatures=readings.map(reading=>reading.celsius);const humidity=readings.map(reading=>reading.humidity).filter(Number.isFinite);const excursions=findExcursions(readings,limit);return{limit,count:readings.length,from:readings[0].at,to:readings[readings.length-1].at,min:Math.min(...temperatures),max:Math.max(...temperatures),mean:Math.round(temperatures.reduce((sum,value)=>sum+value,0)/temperatures.length*10)/10,humidity:humidity.length?{min:Math.min(...humidity),max:Math.max(...humidity)}:null,excursions,excursionMs:excursions.reduce((sum,excursion)=>sum+excursion.durationMs,0)};}
+function formatDuration(ms,messages=COLD_CHAIN_MESSAGES){const total=Math.round(ms/60000);const hours=Math.floor(total/60);const minutes=total%60;const template=!hours?messages.minutes:minutes?messages.hours:messages.wholeHours;return template.replace('{hours}',hours).replace('{minutes}',minutes);}
+return{COLD_CHAIN_LIMITS,MAX_READINGS,COLD_CHAIN_MESSAGES,parseTimestamp,parseTemperatureLog,findExcursions,summarizeTemperatureLog,formatDuration};})();const __admin_consignments=(()=>{const{escapeHtml}=__utils;const{QUOTE_LABELS}=__rfq;const{parseTemperatureLog,COLD_CHAIN_LIMITS}=__cold_chain;const CONSIGNMENTS_ADMIN_ENDPOINT='/api/admin/consignments';const EXPORT_DOCUMENTS={'proforma-invoice':'Proforma invoice','packing-list':'Packing list','certificate-of-origin':'Certificate of origin','halal-declaration':'Halal declaration'};const dateFormat=new Intl.DateTimeFormat('en-GB',{dateStyle:'medium',timeStyle:'short'});function renderDocuments(consignment){const base=`${CONSIGNMENTS_ADMIN_ENDPOINT}/${encodeURIComponent(consignment.id)}/documents`;const problems=consignment.documentProblems||[];const body=problems.length?`<p class="consignment-missing">Complete the consignment record first:</p>
+                <ul class="consignment-missing">${problems.map(problem=>`<li>${escapeHtml(problem)}</li>`).join('')}</ul>`:`<p class="consignment-document-links">
+                    <a href="${base}" class="admin-header-link" target="_blank" rel="noopener">Document pack</a>
+                    ${Object.entries(EXPORT_DOCUMENTS).map(([type,label])=>`<a href="${base}/${type}" class="admin-header-link" target="_blank" rel="noopener">${label}</a>`).join('\n                    ')}
+                </p>`;return`
+            <div class="consignment-documents">
+                <span class="form-label">Export documents</span>
+                ${body}
+            </div>`;}
+function renderConsignment(consignment){const id=`consignment-${escapeHtml(consignment.id)}`;const state=consignment.processing?.state;const log=consignment.temperatureLog;const product=[QUOTE_LABELS.species[consignment.product],consignment.breed,QUOTE_LABELS.cuts[consignment.cut],QUOTE_LABELS.states[state]].filter(Boolean).join(' · ');const logSummary=log?`<strong>${escapeHtml(log.fileName||'Logger file')}</strong> · ${log.count} readings · `+`${log.excursions?`<span class="consignment-excursions">${log.excursions} excursion(s)</span>`:'no excursions'} · `+`uploaded ${escapeHtml(dateFormat.format(new Date(log.uploadedAt)))}`:'No temperature log yet';const trackUrl=`/track.html?id=${encodeURIComponent(consignment.id)}`;return`
+        <article class="lead-card consignment-card" data-id="${escapeHtml(consignment.id)}" aria-labelledby="${id}-title">
+            <header class="lead-header">
+                <div>
+                    <span class="lead-type">${escapeHtml(consignment.buyer||'')}</span>
+                    <h2 class="lead-title" id="${id}-title">${escapeHtml(consignment.id)}</h2>
+                    <p class="lead-meta">${escapeHtml(product)}</p>
+                </div>
+                <span class="lead-badge">≤ ${COLD_CHAIN_LIMITS[state]??COLD_CHAIN_LIMITS.chilled} °C</span>
+            </header>
+
+            <p class="consignment-log">${logSummary}</p>
+${renderDocuments(consignment)}
+
+            <form class="lead-form consignment-upload" novalidate>
+                <label class="lead-field">
+                    <span class="form-label">Data-logger CSV</span>
+                    <input type="file" name="log" class="form-input" accept=".csv,.txt,text/csv" required>
+                </label>
+                <div class="lead-actions">
+                    <button type="submit" class="btn btn-primary">Upload log</button>
+                    <a href="${trackUrl}" class="admin-header-link" target="_blank" rel="noopener">Tracking page</a>
+                    ${log?`<a href="/api/consignments/${encodeURIComponent(consignment.id)}/report" class="admin-header-link" target="_blank" rel="noopener">Compliance report</a>`:''}
+                    <span class="lead-saved" role="status"></span>
+                </div>
+            </form>
+        </article>`;}
+async function fetchConsignments(){const response=await fetch(CONSIGNMENTS_ADMIN_ENDPOINT,{headers:{'Accept':'application/json'}});const data=await response.json().catch(()=>({}));if(!response.ok||!data.ok)throw new Error(data.error||'Could not load consignments.');return data.consignments;}
+async function uploadLog(id,file){const csv=await file.text();const{valid,error}=parseTemperatureLog(csv);if(!valid)throw new Error(error);const response=await fetch(`${CONSIGNMENTS_ADMIN_ENDPOINT}/${encodeURIComponent(id)}/temperature-log`,{method:'POST',headers:{'Content-Type':'application/json','Accept':'application/json'},body:JSON.stringify({fileName:file.name,csv})});const data=await response.json().catch(()=>({}));if(!response.ok||!data.ok)throw new Error(data.error||'Could not upload the log.');return data.consignment;}
+async function initConsignments(){const list=document.getElementById('consignmentList');if(!list)return;const status=document.getElementById('consignmentStatus');list.addEventListener('submit',async(e)=>{e.preventDefault();const form=e.target;const card=form.closest('.consignment-card');const saved=form.querySelector('.lead-saved');const button=form.querySelector('button[type="submit"]');const[file]=form.elements.log.files;if(!file){saved.textContent='Choose a CSV file first.';return;}
+button.disabled=true;saved.textContent='Uploading…';try{const updated=await uploadLog(card.dataset.id,file);card.insertAdjacentHTML('afterend',renderConsignment(updated));card.nextElementSibling.querySelector('.lead-saved').textContent='Uploaded';card.remove();}catch(err){saved.textContent=err.message;button.disabled=false;}});try{const consignments=await fetchConsignments();list.innerHTML=consignments.map(renderConsignment).join('');status.textContent=`${consignments.length} consignments`;}catch(err){status.textContent=err.message;}}
+return{CONSIGNMENTS_ADMIN_ENDPOINT,initConsignments};})();const __partner=(()=>{const{default:en}=__locales_en;const{validateSchema,MAX_LENGTHS,VALIDATION_MESSAGES}=__validation;const{QUOTE_SPECIES}=__rfq;const PARTNER_BUSINESS_TYPES=en.partners.businessTypes;const COLD_STORAGE_OPTIONS=en.partners.coldStorage;const PARTNER_MARKETS=['AE','SA','QA','KW','OM','BH','JO','LB','EG','MY','SG','ID','HK','MV','KE','NG'];const PARTNER_STATUSES=en.partners.statuses;const PARTNER_DOCUMENTS={licenceDocument:{label:en.partners.documents.licenceDocument,required:true},registrationDocument:{label:en.partners.documents.registrationDocument,required:true},storageDocument:{label:en.partners.documents.storageDocument,required:false}};const DOCUMENT_TYPES={'application/pdf':'pdf','image/jpeg':'jpg','image/png':'png'};const MAX_DOCUMENT_SIZE=3*1024*1024;const PARTNER_LIMITS={applicantMessage:2000,notes:5000};const PARTNER_MESSAGES={...VALIDATION_MESSAGES,...en.partners.errors};const volumeRule={format:'number',min:0.5,max:5000};const noVolume=values=>!Object.keys(QUOTE_SPECIES).some(species=>values[volumeField(species)]);function volumeField(species){return`volume${species.charAt(0).toUpperCase()}${species.slice(1)}`;}
+const PARTNER_SCHEMA={company:{required:true,minLength:2,maxLength:120},country:{required:true,minLength:2,maxLength:60},businessType:{required:true,oneOf:PARTNER_BUSINESS_TYPES},name:{required:true,minLength:2,maxLength:MAX_LENGTHS.name,messages:{minLength:'name'}},email:{required:true,maxLength:MAX_LENGTHS.email,format:'email'},phone:{required:true,maxLength:MAX_LENGTHS.phone,format:'intlPhone'},licenceNumber:{required:true,pattern:/[A-Za-z0-9][A-Za-z0-9/ .-]{3,39}/,messages:{pattern:'licence'}},markets:{required:true,multiple:true,oneOf:PARTNER_MARKETS,messages:{required:'markets'}},...Object.fromEntries(Object.keys(QUOTE_SPECIES).map((species,index)=>[volumeField(species),index===0?{...volumeRule,required:noVolume,messages:{required:'volume'}}:volumeRule])),coldStorage:{required:true,oneOf:COLD_STORAGE_OPTIONS},storageCapacity:{required:true,format:'number',min:1,max:100000,when:values=>Boolean(values.coldStorage)&&values.coldStorage!=='none'},message:{maxLength:2000}};function checkDocument({mimeType,size},messages=PARTNER_MESSAGES){if(!Object.hasOwn(DOCUMENT_TYPES,mimeType))return messages.fileType;if(!(size>0)||size>MAX_DOCUMENT_SIZE){return messages.fileSize.replace('{max}',MAX_DOCUMENT_SIZE/(1024*1024));}
+return'';}
+function checkDocuments(documents={},messages=PARTNER_MESSAGES){const errors={};Object.entries(PARTNER_DOCUMENTS).forEach(([field,{required}])=>{const file=documents[field];const error=file?checkDocument(file,messages):(required?messages.required:'');if(error)errors[field]=error;});return errors;}
+function validatePartnerApplication(data,documents,messages=PARTNER_MESSAGES){const result=validateSchema(PARTNER_SCHEMA,data,messages);const errors={...result.errors,...checkDocuments(documents,messages)};const values={...result.values};values.volumes=Object.fromEntries(Object.keys(QUOTE_SPECIES).map(species=>[species,Number(values[volumeField(species)])||0]));Object.keys(QUOTE_SPECIES).forEach(species=>delete values[volumeField(species)]);values.storageCapacity=Number(values.storageCapacity)||0;return{valid:Object.keys(errors).length===0,errors,values};}
+function normalizeReference(reference){return String(reference||'').trim().toUpperCase();}
+return{PARTNER_BUSINESS_TYPES,COLD_STORAGE_OPTIONS,PARTNER_MARKETS,PARTNER_STATUSES,PARTNER_DOCUMENTS,DOCUMENT_TYPES,MAX_DOCUMENT_SIZE,PARTNER_LIMITS,PARTNER_MESSAGES,volumeField,PARTNER_SCHEMA,checkDocument,checkDocuments,validatePartnerApplication,normalizeReference};})();const __admin_partners=(()=>{const{escapeHtml}=__utils;const{QUOTE_LABELS}=__rfq;const{formatPhone}=__phone;const{PARTNER_STATUSES,PARTNER_DOCUMENTS,PARTNER_LIMITS,PARTNER_BUSINESS_TYPES,COLD_STORAGE_OPTIONS}=__partner;const PARTNERS_ADMIN_ENDPOINT='/api/admin/partner-applications';const dateFormat=new Intl.DateTimeFormat('en-GB',{dateStyle:'medium',timeStyle:'short'});function renderOptions(choices,selected){return Object.entries(choices).map(([value,label])=>`<option value="${escapeHtml(value)}"${value===selected?' selected':''}>${escapeHtml(label)}</option>`).join('');}
+function formatVolumes(volumes={}){return Object.entries(volumes).filter(([,tonnes])=>tonnes>0).map(([species,tonnes])=>`${QUOTE_LABELS.species[species]||species} ${tonnes} t`).join(' · ');}
+function renderDocuments(application){const base=`${PARTNERS_ADMIN_ENDPOINT}/${encodeURIComponent(application.id)}/documents`;const links=Object.entries(PARTNER_DOCUMENTS).filter(([field])=>application.documents?.[field]).map(([field,{label}])=>{const{name,size}=application.documents[field];return`<a href="${base}/${field}" class="admin-header-link" target="_blank" rel="noopener" title="${escapeHtml(name)}">${escapeHtml(label)} (${Math.ceil(size/1024)} KB)</a>`;});return`
+            <div class="consignment-documents">
+                <span class="form-label">Documents</span>
+                <p class="consignment-document-links">${links.length?links.join('\n                    '):'None uploaded'}</p>
+            </div>`;}
+function renderApplication(application){const id=`partner-${escapeHtml(application.id)}`;const received=dateFormat.format(new Date(application.createdAt));const markets=new Intl.DisplayNames(['en'],{type:'region'});const storage=application.coldStorage==='none'?COLD_STORAGE_OPTIONS.none:`${COLD_STORAGE_OPTIONS[application.coldStorage]||application.coldStorage}, ${application.storageCapacity} t`;const details=[['Contact',escapeHtml(application.name)],['Email',`<a href="mailto:${escapeHtml(application.email)}">${escapeHtml(application.email)}</a>`],['Phone',application.phone?`<a href="tel:${escapeHtml(application.phone)}">${escapeHtml(formatPhone(application.phone))}</a>`:'—'],['Licence number',escapeHtml(application.licenceNumber)],['Markets',escapeHtml((application.markets||[]).map(code=>markets.of(code)||code).join(', '))],['Monthly volume',escapeHtml(formatVolumes(application.volumes))],['Cold storage',escapeHtml(storage)]];return`
+        <article class="lead-card partner-card partner-status-${escapeHtml(application.status)}" data-id="${escapeHtml(application.id)}" aria-labelledby="${id}-title">
+            <header class="lead-header">
+                <div>
+                    <span class="lead-type">${escapeHtml(PARTNER_BUSINESS_TYPES[application.businessType]||application.businessType)} · ${escapeHtml(application.country)}</span>
+                    <h2 class="lead-title" id="${id}-title">${escapeHtml(application.company)}</h2>
+                    <p class="lead-meta"><strong>${escapeHtml(application.reference)}</strong> · <time datetime="${escapeHtml(application.createdAt)}">${escapeHtml(received)}</time></p>
+                </div>
+                <span class="lead-badge">${escapeHtml(PARTNER_STATUSES[application.status])}</span>
+            </header>
+
+            <dl class="lead-details">
+                ${details.map(([term,value])=>`<div><dt>${term}</dt><dd>${value}</dd></div>`).join('')}
+            </dl>
+            ${application.message?`<p class="lead-message">${escapeHtml(application.message)}</p>`:''}
+${renderDocuments(application)}
+
+            <form class="lead-form" novalidate>
+                <label class="lead-field">
+                    <span class="form-label">Status</span>
+                    <select name="status" class="form-input form-select">${renderOptions(PARTNER_STATUSES,application.status)}</select>
+                </label>
+                <label class="lead-field lead-field-notes">
+                    <span class="form-label">Message to the applicant</span>
+                    <textarea name="applicantMessage" class="form-input form-textarea" rows="2" maxlength="${PARTNER_LIMITS.applicantMessage}">${escapeHtml(application.applicantMessage)}</textarea>
+                </label>
+                <label class="lead-field lead-field-notes">
+                    <span class="form-label">Internal notes</span>
+                    <textarea name="notes" class="form-input form-textarea" rows="2" maxlength="${PARTNER_LIMITS.notes}">${escapeHtml(application.notes)}</textarea>
+                </label>
+                <div class="lead-actions">
+                    <button type="submit" class="btn btn-primary">Save</button>
+                    <span class="lead-saved" role="status"></span>
+                </div>
+            </form>
+        </article>`;}
+async function fetchApplications(){const response=await fetch(PARTNERS_ADMIN_ENDPOINT,{headers:{'Accept':'application/json'}});const data=await response.json().catch(()=>({}));if(!response.ok||!data.ok)throw new Error(data.error||'Could not load applications.');return data.applications;}
+async function saveApplication(id,patch){const response=await fetch(`${PARTNERS_ADMIN_ENDPOINT}/${encodeURIComponent(id)}`,{method:'PATCH',headers:{'Content-Type':'application/json','Accept':'application/json'},body:JSON.stringify(patch)});const data=await response.json().catch(()=>({}));if(!response.ok||!data.ok){throw new Error(Object.values(data.errors||{})[0]||data.error||'Could not save.');}
+return data.application;}
+async function initPartnerApplications(){const list=document.getElementById('partnerList');if(!list)return;const status=document.getElementById('partnerListStatus');list.addEventListener('submit',async(e)=>{e.preventDefault();const form=e.target;const card=form.closest('.partner-card');const saved=form.querySelector('.lead-saved');const button=form.querySelector('button[type="submit"]');const patch=Object.fromEntries(['status','applicantMessage','notes'].map(name=>[name,form.elements[name].value]));button.disabled=true;saved.textContent='Saving…';try{const updated=await saveApplication(card.dataset.id,patch);card.insertAdjacentHTML('afterend',renderApplication(updated));card.nextElementSibling.querySelector('.lead-saved').textContent='Saved';card.remove();}catch(err){saved.textContent=err.message;button.disabled=false;}});try{const applications=await fetchApplications();list.innerHTML=applications.map(renderApplication).join('');status.textContent=`${applications.length} applications`;}catch(err){status.textContent=err.message;}}
+return{PARTNERS_ADMIN_ENDPOINT,initPartnerApplications};})();const __admin_analytics=(()=>{const{escapeHtml}=__utils;const ANALYTICS_ADMIN_ENDPOINT='/api/admin/analytics';const numberFormat=new Intl.NumberFormat('en-GB');const dateFormat=new Intl.DateTimeFormat('en-GB',{dateStyle:'medium'});function percent(part,whole){return whole?`${Math.round((part/whole)*100)}%`:'–';}
+function renderFunnel(funnel){const first=funnel[0]?.visitors||0;return funnel.map((step,index)=>{const previous=index>0?funnel[index-1].visitors:step.visitors;return`
+            <li class="funnel-step" style="--funnel-share: ${first?(step.visitors/first)*100:0}%">
+                <span class="funnel-label">${escapeHtml(step.label)}</span>
+                <span class="funnel-bar" aria-hidden="true"></span>
+                <strong>${numberFormat.format(step.visitors)}</strong>
+                <span class="funnel-rate">${index>0?`${percent(step.visitors,previous)} of the step before`:'visitors'}</span>
+            </li>`;}).join('');}
+function renderTable(caption,headings,rows){const body=rows.length?rows.map(row=>`<tr>${row.map((cell,index)=>index===0?`<th scope="row">${escapeHtml(cell)}</th>`:`<td>${escapeHtml(typeof cell==='number'?numberFormat.format(cell):cell)}</td>`).join('')}</tr>`).join(''):`<tr><td colspan="${headings.length}">No events yet</td></tr>`;return`
+            <div class="analytics-card">
+                <table class="analytics-table">
+                    <caption>${escapeHtml(caption)}</caption>
+                    <thead><tr>${headings.map(heading=>`<th scope="col">${escapeHtml(heading)}</th>`).join('')}</tr></thead>
+                    <tbody>${body}</tbody>
+                </table>
+            </div>`;}
+function renderTables(report){return[renderTable('Product pages',['Page','Views','Visitors','Then started the form','Then sent an enquiry'],report.productPages.map(row=>[row.page,row.views,row.visitors,row.formStarts,`${numberFormat.format(row.enquiries)} (${percent(row.enquiries,row.visitors)})`])),renderTable('Pages',['Page','Views','Visitors'],report.pages.map(row=>[row.page,row.views,row.visitors])),renderTable('Referring sites',['Site','Visits'],report.referrers.map(row=>[row.host,row.visits])),renderTable('Hero slides',['Slide','Impressions'],report.heroSlides.map(row=>[`Slide ${row.slide}`,row.impressions])),renderTable('Products menu',['Page chosen','Clicks'],report.productNav.map(row=>[row.target,row.clicks])),renderTable('Breed cards seen',['Breed','Views'],report.breedCards.map(row=>[row.name,row.views])),renderTable('Enquiry form errors',['Field or reason','Times'],report.formErrors.map(row=>[row.field,row.count]))].join('');}
+async function fetchReport(days){const response=await fetch(`${ANALYTICS_ADMIN_ENDPOINT}?days=${days}`,{headers:{'Accept':'application/json'}});const data=await response.json().catch(()=>({}));if(!response.ok||!data.ok)throw new Error(data.error||'Could not load the report.');return data.report;}
+async function initAnalyticsReport(){const range=document.getElementById('analyticsRange');const funnel=document.getElementById('analyticsFunnel');if(!range||!funnel)return;const status=document.getElementById('analyticsStatus');const totals=document.getElementById('analyticsTotals');const tables=document.getElementById('analyticsTables');const load=async()=>{status.textContent='Loading report…';try{const report=await fetchReport(range.value);totals.innerHTML=[['Visitors',report.totals.visitors],['Page views',report.totals.pageviews],['Enquiries sent',report.totals.enquiries]].map(([label,value])=>`
+                <li class="admin-stat"><span>${label}</span> <strong>${numberFormat.format(value)}</strong></li>`).join('');funnel.innerHTML=renderFunnel(report.funnel);tables.innerHTML=renderTables(report);status.textContent=`${dateFormat.format(new Date(report.from))} – ${dateFormat.format(new Date(report.to))}`;}catch(err){status.textContent=err.message;}};const days=new URLSearchParams(window.location.search).get('days');if(days&&[...range.options].some(option=>option.value===days))range.value=days;range.addEventListener('change',()=>{const url=new URL(window.location.href);url.searchParams.set('days',range.value);window.history.replaceState(null,'',url);load();});await load();}
+return{ANALYTICS_ADMIN_ENDPOINT,initAnalyticsReport};})();const{onReady}=__utils;const{initDashboard}=__admin_dashboard;const{initConsignments}=__admin_consignments;const{initPartnerApplications}=__admin_partners;const{initAnalyticsReport}=__admin_analytics;onReady(initDashboard);onReady(initConsignments);onReady(initPartnerApplications);onReady(initAnalyticsReport);})();
@@ -0,0 +1,45 @@
+/*! Freshflow Foods | generated from src/js by scripts/build.js - do not edit */
+(function(){'use strict';const{__utils,__i18n}=window.__freshflowModules;const __data_certifications=(()=>{const data=[{"id":"fssai","scheme":"FSSAI","name":"FSSAI Central Licence","issuer":"Food Safety and Standards Authority of India","number":"10026011000142","scope":"Slaughter house and meat processing unit, Enikepadu, Andhra Pradesh","issuedOn":"2024-04-01","validUntil":"2029-03-31","document":"images/certificates/fssai.svg","specimen":true,"verifyUrl":"https://foscos.fssai.gov.in/"},{"id":"apeda","scheme":"APEDA","name":"APEDA Registration-cum-Membership Certificate","issuer":"Agricultural and Processed Food Products Export Development Authority","number":"RCMC/APEDA/04512/2024-25","scope":"Export of fresh, chilled and frozen goat and sheep meat","issuedOn":"2024-05-20","validUntil":"2029-03-31","document":"images/certificates/apeda.svg","specimen":true,"verifyUrl":"https://apeda.gov.in/"},{"id":"halal","scheme":"Halal","name":"Halal Certificate","issuer":"Halal India Pvt. Ltd.","number":"HI-2025-MT-0318","scope":"Halal slaughter and processing of goat and sheep meat","issuedOn":"2025-12-16","validUntil":"2026-12-15","document":"images/certificates/halal.svg","specimen":true,"verifyUrl":"https://www.halalindia.org/"},{"id":"haccp","scheme":"HACCP","name":"HACCP Certificate","issuer":"TÜV SÜD South Asia Pvt. Ltd.","number":"HACCP-IN-2025-0412","scope":"Slaughtering, chilling, freezing and packing of goat and sheep meat","issuedOn":"2025-03-10","validUntil":"2028-03-09","document":"images/certificates/haccp.svg","specimen":true,"verifyUrl":"https://www.tuvsud.com/en-in"},{"id":"iso22000","scheme":"ISO 22000","name":"ISO 22000:2018 Food Safety Management System","issuer":"Bureau Veritas Certification (India) Pvt. Ltd.","number":"IND.25.10392/FSMS","scope":"Processing, storage and export of chilled and frozen goat and sheep meat","issuedOn":"2025-06-02","validUntil":"2028-06-01","document":"images/certificates/iso22000.svg","specimen":true,"verifyUrl":"https://www.bureauveritas.co.in/"}];return{default:data};})();const __certifications=(()=>{const{default:certificates}=__data_certifications;const{escapeHtml}=__utils;const{t,tPlural,getLocale}=__i18n;const CERTIFICATES=certificates;function publishedCertificates(list=CERTIFICATES){return list.filter(certificate=>!certificate.specimen);}
+const EXPIRING_WITHIN_DAYS=90;const DAY_MS=24*60*60*1000;const SHIELD_ICON=`<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="currentColor" aria-hidden="true">
+                                <path d="M12 1L3 5v6c0 5.55 3.84 10.74 9 12 5.16-1.26 9-6.45 9-12V5l-9-4zm-2 16l-4-4 1.41-1.41L10 14.17l6.59-6.59L18 9l-8 8z"/>
+                            </svg>`;function certificateStatus(certificate,now=new Date()){const expires=new Date(`${certificate.validUntil}T23:59:59.999Z`);const days=Math.floor((expires-now)/DAY_MS);if(expires<now)return{status:'expired',days:0};if(days<EXPIRING_WITHIN_DAYS)return{status:'expiring',days};return{status:'valid',days};}
+function formatDate(value){return new Intl.DateTimeFormat(getLocale(),{dateStyle:'medium',timeZone:'UTC'}).format(new Date(value));}
+function localized(certificate,field){return t(`certificates.registry.${certificate.id}.${field}`,{},certificate[field]);}
+function statusLabel({status,days}){return status==='expiring'?tPlural('certificates.expiresIn',days):t(`certificates.status.${status}`);}
+function renderCertificateBadge(certificate,now=new Date()){const state=certificateStatus(certificate,now);const id=escapeHtml(certificate.id);return`
+        <button type="button" class="cert-badge cert-status-${state.status}" data-certificate="${id}" aria-haspopup="dialog">
+            <span class="cert-icon">${SHIELD_ICON}</span>
+            <span class="cert-scheme">${escapeHtml(certificate.scheme)}</span>
+            <span class="cert-name">${escapeHtml(localized(certificate,'name'))}</span>
+            <span class="cert-number">${escapeHtml(t('certificates.number'))} ${escapeHtml(certificate.number)}</span>
+            <span class="cert-validity">${escapeHtml(t('certificates.validUntil'))} ${escapeHtml(formatDate(certificate.validUntil))}</span>
+            <span class="cert-status">${escapeHtml(statusLabel(state))}</span>
+        </button>`;}
+function renderCertificateDetails(certificate){const state=certificateStatus(certificate);const scan=escapeHtml(certificate.document);const details=[['issuer',escapeHtml(certificate.issuer)],['number',escapeHtml(certificate.number)],['scope',escapeHtml(localized(certificate,'scope'))],['issuedOn',escapeHtml(formatDate(certificate.issuedOn))],['validUntil',escapeHtml(formatDate(certificate.validUntil))],['statusLabel',`<span class="cert-status cert-status-${state.status}">${escapeHtml(statusLabel(state))}</span>`]];return`
+        <div class="cert-modal-header">
+            <div>
+                <p class="cert-scheme">${escapeHtml(certificate.scheme)}</p>
+                <h2 class="cert-modal-title" id="certModalTitle">${escapeHtml(localized(certificate,'name'))}</h2>
+            </div>
+            <button type="button" class="cert-modal-close" data-action="close" aria-label="${escapeHtml(t('certificates.close'))}">×</button>
+        </div>
+        <div class="cert-modal-body">
+            <a href="${scan}" class="cert-document" target="_blank" rel="noopener">
+                <img src="${scan}" alt="${escapeHtml(t('certificates.documentAlt',{name:localized(certificate,'name')}))}" loading="lazy">
+            </a>
+            <div>
+                <dl class="cert-details">
+                    ${details.map(([label,value])=>`<div><dt>${escapeHtml(t(`certificates.${label}`))}</dt><dd>${value}</dd></div>`).join('')}
+                </dl>
+                <div class="cert-modal-actions">
+                    <a href="${scan}" class="btn btn-secondary" target="_blank" rel="noopener">${escapeHtml(t('certificates.openDocument'))}</a>
+                    ${certificate.verifyUrl?`<a href="${escapeHtml(certificate.verifyUrl)}" class="btn btn-primary" target="_blank" rel="noopener">${escapeHtml(t('certificates.verify'))}</a>`:''}
+                </div>
+            </div>
+        </div>`;}
+function initCertifications(){const containers=document.querySelectorAll('[data-certifications]');const published=publishedCertificates();if(containers.length===0||published.length===0)return;document.body.insertAdjacentHTML('beforeend',`
+        <div class="cert-modal" id="certModal" hidden>
+            <div class="cert-modal-backdrop" data-action="close"></div>
+            <div class="cert-modal-panel" role="dialog" aria-modal="true" aria-labelledby="certModalTitle"></div>
+        </div>`);const modal=document.getElementById('certModal');const panel=modal.querySelector('.cert-modal-panel');let opener=null;let current=null;const render=()=>{containers.forEach(container=>{container.innerHTML=published.map(certificate=>renderCertificateBadge(certificate)).join('');});if(current)panel.innerHTML=renderCertificateDetails(current);};const close=()=>{if(modal.hidden)return;modal.hidden=true;current=null;document.body.style.overflow='';opener?.focus();};const open=(certificate,button)=>{opener=button;current=certificate;panel.innerHTML=renderCertificateDetails(certificate);modal.hidden=false;document.body.style.overflow='hidden';panel.querySelector('.cert-modal-close').focus();};containers.forEach(container=>container.addEventListener('click',(e)=>{const button=e.target.closest('[data-certificate]');const certificate=button&&published.find(item=>item.id===button.dataset.certificate);if(certificate)open(certificate,button);}));modal.addEventListener('click',(e)=>{if(e.target.closest('[data-action="close"]'))close();});panel.addEventListener('keydown',(e)=>{if(e.key==='Escape'){e.preventDefault();close();}else if(e.key==='Tab'){const focusable=[...panel.querySelectorAll('a[href], button')];const first=focusable[0];const last=focusable[focusable.length-1];if(e.shiftKey&&document.activeElement===first){e.preventDefault();last.focus();}else if(!e.shiftKey&&document.activeElement===last){e.preventDefault();first.focus();}}});document.addEventListener('localechange',()=>{render();if(opener)opener=document.querySelector(`[data-certificate="${opener.dataset.certificate}"]`);});render();}
+return{CERTIFICATES,publishedCertificates,EXPIRING_WITHIN_DAYS,certificateStatus,renderCertificateBadge,initCertifications};})();const{addPageFeature}=__utils;const{initCertifications}=__certifications;addPageFeature(initCertifications);})();
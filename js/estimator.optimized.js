@@ -0,0 +1,74 @@
+/*! Freshflow Foods | generated from src/js by scripts/build.js - do not edit */
+(function(){'use strict';const{__utils,__i18n,__rfq,__form,__landed_cost}=window.__freshflowModules;const __cost_estimator=(()=>{const{escapeHtml}=__utils;const{t,getLocale,getMessages}=__i18n;const{QUOTE_SPECIES,QUOTE_LABELS,getQuoteCuts}=__rfq;const{prefillEnquiry}=__form;const{FREIGHT_RATES,EXCHANGE_RATES,INCOTERMS,ESTIMATOR_PARAMS,estimateLandedCost}=__landed_cost;const DEFAULTS={species:'goat',cut:'carcass',state:'frozen',quantity:20,unit:'t',incoterm:'CFR',port:Object.keys(FREIGHT_RATES.ports)[0],container:'reefer40',currency:FREIGHT_RATES.currency};let instances=0;function initialValues(){const params=new URLSearchParams(window.location.search);const values={...DEFAULTS};Object.entries(ESTIMATOR_PARAMS).forEach(([param,field])=>{if(params.has(param))values[field]=params.get(param);});if(!Object.hasOwn(QUOTE_SPECIES,values.species))values.species=DEFAULTS.species;return values;}
+function renderOptions(choices,selected){return choices.map(([value,label])=>`<option value="${escapeHtml(value)}"${String(value)===String(selected)?' selected':''}>${escapeHtml(label)}</option>`).join('');}
+function localizedChoices(species){const currencyNames=new Intl.DisplayNames(getLocale(),{type:'currency'});return{species:Object.entries(QUOTE_LABELS.species).map(([id,name])=>[id,t(`catalog.products.${id}.name`,{},name)]),cuts:Object.entries(getQuoteCuts(species)).map(([id,name])=>[id,t(`catalog.cuts.${id}`,{},name)]),states:Object.entries(QUOTE_LABELS.states).map(([id,name])=>[id,t(`catalog.processing.${id}`,{},name)]),units:Object.keys(QUOTE_LABELS.units).map(id=>[id,t(`quote.units.${id}`)]),incoterms:INCOTERMS.map(term=>[term,t(`estimator.incoterms.${term}`)]),ports:Object.keys(FREIGHT_RATES.ports).map(port=>[port,port]),containers:Object.keys(FREIGHT_RATES.containers).map(id=>[id,t(`estimator.containers.${id}`)]),currencies:Object.keys(EXCHANGE_RATES.rates).map(code=>[code,`${code} - ${currencyNames.of(code)}`])};}
+function renderForm(prefix,values){const choices=localizedChoices(values.species);const select=(field,label,options)=>`
+                <label class="estimator-field">
+                    <span class="quote-field-label">${escapeHtml(t(`estimator.${label}`))}</span>
+                    <select class="form-input form-select" name="${field}">${renderOptions(options,values[field])}</select>
+                </label>`;return`
+        <form class="estimator-form" novalidate>
+            <div class="estimator-grid">
+                ${select('species','product',choices.species)}
+                ${select('cut','cut',choices.cuts)}
+                ${select('state','storage',choices.states)}
+                <div class="estimator-field">
+                    <label class="quote-field-label" for="${prefix}Quantity">${escapeHtml(t('estimator.quantity'))}</label>
+                    <div class="quote-quantity">
+                        <input type="number" class="form-input" id="${prefix}Quantity" name="quantity" min="0.1" step="any" value="${escapeHtml(values.quantity)}">
+                        <select class="form-input form-select" name="unit" aria-label="${escapeHtml(t('estimator.unit'))}">${renderOptions(choices.units,values.unit)}</select>
+                    </div>
+                </div>
+                ${select('incoterm','incoterm',choices.incoterms)}
+                ${select('port','port',choices.ports)}
+                ${select('container','container',choices.containers)}
+                ${select('currency','currency',choices.currencies)}
+            </div>
+            <div class="estimator-result" aria-live="polite"></div>
+            <button type="submit" class="btn btn-primary estimator-export">${escapeHtml(t('estimator.export'))}</button>
+            <p class="estimator-exported" role="status"></p>
+        </form>`;}
+function moneyFormat(currency){const format=new Intl.NumberFormat(getLocale(),{style:'currency',currency,maximumFractionDigits:0});const precise=new Intl.NumberFormat(getLocale(),{style:'currency',currency,minimumFractionDigits:2,maximumFractionDigits:2});return(amount,exact=false)=>(exact?precise:format).format(amount);}
+function lineLabel(line,estimate,money){return t(`estimator.lines.${line.id}`,{price:money(estimate.unitPrice,true),port:line.id==='origin'?FREIGHT_RATES.portOfLoading:estimate.port});}
+function namedPlace(estimate){if(estimate.incoterm==='EXW')return FREIGHT_RATES.works;if(estimate.incoterm==='FOB')return FREIGHT_RATES.portOfLoading;return estimate.port;}
+function renderEstimate({valid,estimate,error}){if(!valid)return`<p class="estimator-error">${escapeHtml(error)}</p>`;const money=moneyFormat(estimate.currency);const date=new Intl.DateTimeFormat(getLocale(),{dateStyle:'medium',timeZone:'UTC'}).format(new Date(estimate.ratesUpdatedOn));const containers=t('estimator.containerCount',{count:estimate.containers,container:t(`estimator.containers.${estimate.container}`)});const rows=estimate.lines.map(line=>`
+                    <tr class="${line.included?'estimator-included':'estimator-buyer'}">
+                        <td>${escapeHtml(lineLabel(line,estimate,money))}</td>
+                        <td class="estimator-amount">${escapeHtml(money(line.amount))}</td>
+                        <td>${escapeHtml(line.included?t('estimator.included',{incoterm:estimate.incoterm}):t('estimator.buyerCost'))}</td>
+                    </tr>`).join('');return`
+            <div class="estimator-totals">
+                <div class="estimator-total">
+                    <span class="estimator-total-label">${escapeHtml(t('estimator.price',{incoterm:estimate.incoterm,place:namedPlace(estimate)}))}</span>
+                    <strong class="estimator-total-value">${escapeHtml(money(estimate.price))}</strong>
+                    <span class="estimator-total-unit">${escapeHtml(t('estimator.perKg',{amount:money(estimate.pricePerKg,true)}))}</span>
+                </div>
+                <div class="estimator-total estimator-total-landed">
+                    <span class="estimator-total-label">${escapeHtml(t('estimator.landed',{port:estimate.port}))}</span>
+                    <strong class="estimator-total-value">${escapeHtml(money(estimate.landed))}</strong>
+                    <span class="estimator-total-unit">${escapeHtml(t('estimator.perKg',{amount:money(estimate.landedPerKg,true)}))}</span>
+                </div>
+            </div>
+            <div class="estimator-table-wrap">
+                <table class="estimator-table">
+                    <caption>${escapeHtml(t('estimator.breakdown'))} · ${escapeHtml(containers)}</caption>
+                    <thead>
+                        <tr>
+                            <th scope="col">${escapeHtml(t('estimator.item'))}</th>
+                            <th scope="col" class="estimator-amount">${escapeHtml(t('estimator.amount'))}</th>
+                            <th scope="col">${escapeHtml(t('estimator.who'))}</th>
+                        </tr>
+                    </thead>
+                    <tbody>${rows}
+                    </tbody>
+                </table>
+            </div>
+            <p class="estimator-note">
+                ${escapeHtml(t('estimator.note',{date}))}
+                ${estimate.currency===EXCHANGE_RATES.base?'':escapeHtml(t('estimator.exchangeRate',{base:EXCHANGE_RATES.base,rate:new Intl.NumberFormat(getLocale(),{maximumSignificantDigits:6}).format(estimate.exchangeRate),currency:estimate.currency,date:new Intl.DateTimeFormat(getLocale(),{dateStyle:'medium',timeZone:'UTC'}).format(new Date(EXCHANGE_RATES.updatedOn))}))}
+            </p>`;}
+function buildEstimateSummary(estimate){const money=moneyFormat(estimate.currency);const product=[t(`catalog.products.${estimate.species}.name`,{},QUOTE_LABELS.species[estimate.species]),t(`catalog.cuts.${estimate.cut}`,{},QUOTE_LABELS.cuts[estimate.cut]),t(`catalog.processing.${estimate.state}`,{},QUOTE_LABELS.states[estimate.state])].join(' - ');return t('estimator.summary',{product,quantity:`${estimate.quantity} ${t(`quote.units.${estimate.unit}`)}`,containers:t('estimator.containerCount',{count:estimate.containers,container:t(`estimator.containers.${estimate.container}`)}),origin:FREIGHT_RATES.portOfLoading,terms:t('estimator.price',{incoterm:estimate.incoterm,place:namedPlace(estimate)}),port:estimate.port,price:money(estimate.price),perKg:t('estimator.perKg',{amount:money(estimate.pricePerKg,true)}),landed:money(estimate.landed)});}
+function setupEstimator(container){const prefix=`estimator${++instances}`;let values=initialValues();let result=null;const read=(form)=>Object.fromEntries(new FormData(form).entries());const update=()=>{const form=container.querySelector('.estimator-form');result=estimateLandedCost(values,{messages:getMessages('estimator').errors});form.querySelector('.estimator-result').innerHTML=renderEstimate(result);form.querySelector('.estimator-export').disabled=!result.valid;};const render=()=>{container.innerHTML=renderForm(prefix,values);values=read(container.querySelector('.estimator-form'));update();};container.addEventListener('change',(e)=>{const form=e.target.closest('.estimator-form');if(!form)return;const species=values.species;values=read(form);container.querySelector('.estimator-exported').textContent='';if(values.species!==species){const cuts=getQuoteCuts(values.species);if(!Object.hasOwn(cuts,values.cut))values.cut=Object.keys(cuts)[0];render();container.querySelector('[name="species"]').focus();return;}
+update();});container.addEventListener('input',(e)=>{if(e.target.name!=='quantity')return;values.quantity=e.target.value;update();});container.addEventListener('submit',(e)=>{e.preventDefault();if(!result?.valid)return;if(prefillEnquiry({subject:'export',message:buildEstimateSummary(result.estimate)})){container.querySelector('.estimator-exported').textContent=t('estimator.exported');}});document.addEventListener('localechange',render);render();}
+function initCostEstimator(){document.querySelectorAll('[data-cost-estimator]').forEach(setupEstimator);}
+return{buildEstimateSummary,initCostEstimator};})();const{addPageFeature}=__utils;const{initCostEstimator}=__cost_estimator;addPageFeature(initCostEstimator);})();
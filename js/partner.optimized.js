@@ -0,0 +1,42 @@
+/*! Freshflow Foods | generated from src/js by scripts/build.js - do not edit */
+(function(){'use strict';const{__locales_en,__validation,__rfq,__utils,__i18n,__form_engine,__form_guard,__form,__storage,__phone}=window.__freshflowModules;const __partner=(()=>{const{default:en}=__locales_en;const{validateSchema,MAX_LENGTHS,VALIDATION_MESSAGES}=__validation;const{QUOTE_SPECIES}=__rfq;const PARTNER_BUSINESS_TYPES=en.partners.businessTypes;const COLD_STORAGE_OPTIONS=en.partners.coldStorage;const PARTNER_MARKETS=['AE','SA','QA','KW','OM','BH','JO','LB','EG','MY','SG','ID','HK','MV','KE','NG'];const PARTNER_STATUSES=en.partners.statuses;const PARTNER_DOCUMENTS={licenceDocument:{label:en.partners.documents.licenceDocument,required:true},registrationDocument:{label:en.partners.documents.registrationDocument,required:true},storageDocument:{label:en.partners.documents.storageDocument,required:false}};const DOCUMENT_TYPES={'application/pdf':'pdf','image/jpeg':'jpg','image/png':'png'};const MAX_DOCUMENT_SIZE=3*1024*1024;const PARTNER_LIMITS={applicantMessage:2000,notes:5000};const PARTNER_MESSAGES={...VALIDATION_MESSAGES,...en.partners.errors};const volumeRule={format:'number',min:0.5,max:5000};const noVolume=values=>!Object.keys(QUOTE_SPECIES).some(species=>values[volumeField(species)]);function volumeField(species){return`volume${species.charAt(0).toUpperCase()}${species.slice(1)}`;}
+const PARTNER_SCHEMA={company:{required:true,minLength:2,maxLength:120},country:{required:true,minLength:2,maxLength:60},businessType:{required:true,oneOf:PARTNER_BUSINESS_TYPES},name:{required:true,minLength:2,maxLength:MAX_LENGTHS.name,messages:{minLength:'name'}},email:{required:true,maxLength:MAX_LENGTHS.email,format:'email'},phone:{required:true,maxLength:MAX_LENGTHS.phone,format:'intlPhone'},licenceNumber:{required:true,pattern:/[A-Za-z0-9][A-Za-z0-9/ .-]{3,39}/,messages:{pattern:'licence'}},markets:{required:true,multiple:true,oneOf:PARTNER_MARKETS,messages:{required:'markets'}},...Object.fromEntries(Object.keys(QUOTE_SPECIES).map((species,index)=>[volumeField(species),index===0?{...volumeRule,required:noVolume,messages:{required:'volume'}}:volumeRule])),coldStorage:{required:true,oneOf:COLD_STORAGE_OPTIONS},storageCapacity:{required:true,format:'number',min:1,max:100000,when:values=>Boolean(values.coldStorage)&&values.coldStorage!=='none'},message:{maxLength:2000}};function checkDocument({mimeType,size},messages=PARTNER_MESSAGES){if(!Object.hasOwn(DOCUMENT_TYPES,mimeType))return messages.fileType;if(!(size>0)||size>MAX_DOCUMENT_SIZE){return messages.fileSize.replace('{max}',MAX_DOCUMENT_SIZE/(1024*1024));}
+return'';}
+function checkDocuments(documents={},messages=PARTNER_MESSAGES){const errors={};Object.entries(PARTNER_DOCUMENTS).forEach(([field,{required}])=>{const file=documents[field];const error=file?checkDocument(file,messages):(required?messages.required:'');if(error)errors[field]=error;});return errors;}
+function validatePartnerApplication(data,documents,messages=PARTNER_MESSAGES){const result=validateSchema(PARTNER_SCHEMA,data,messages);const errors={...result.errors,...checkDocuments(documents,messages)};const values={...result.values};values.volumes=Object.fromEntries(Object.keys(QUOTE_SPECIES).map(species=>[species,Number(values[volumeField(species)])||0]));Object.keys(QUOTE_SPECIES).forEach(species=>delete values[volumeField(species)]);values.storageCapacity=Number(values.storageCapacity)||0;return{valid:Object.keys(errors).length===0,errors,values};}
+function normalizeReference(reference){return String(reference||'').trim().toUpperCase();}
+return{PARTNER_BUSINESS_TYPES,COLD_STORAGE_OPTIONS,PARTNER_MARKETS,PARTNER_STATUSES,PARTNER_DOCUMENTS,DOCUMENT_TYPES,MAX_DOCUMENT_SIZE,PARTNER_LIMITS,PARTNER_MESSAGES,volumeField,PARTNER_SCHEMA,checkDocument,checkDocuments,validatePartnerApplication,normalizeReference};})();const __partner_application=(()=>{const{escapeHtml}=__utils;const{t,getLocale,getMessages}=__i18n;const{createForm,labelText}=__form_engine;const{createFormGuard}=__form_guard;const{postEnquiry,setButtonLoading}=__form;const{readStorage,writeStorage,removeStorage}=__storage;const{flagEmoji}=__phone;const{PARTNER_SCHEMA,PARTNER_DOCUMENTS,PARTNER_MARKETS,PARTNER_STATUSES,checkDocuments,normalizeReference}=__partner;const PARTNER_ENDPOINT='/api/partner-applications';const PARTNER_STATUS_ENDPOINT=`${PARTNER_ENDPOINT}/status`;const DRAFT_KEY='partnerDraft';const FORM_SCHEMA={...PARTNER_SCHEMA,...Object.fromEntries(Object.entries(PARTNER_DOCUMENTS).map(([field,{required}])=>[field,{required}]))};function formatDate(value){return new Intl.DateTimeFormat(getLocale(),{dateStyle:'medium'}).format(new Date(value));}
+function countryNames(){try{const names=new Intl.DisplayNames([getLocale()],{type:'region'});return code=>names.of(code)||code;}catch{return code=>code;}}
+function renderMarkets(list,checked){const name=countryNames();const collator=new Intl.Collator(getLocale());list.innerHTML=PARTNER_MARKETS.map(code=>({code,label:name(code)})).sort((a,b)=>collator.compare(a.label,b.label)).map(({code,label})=>`
+            <label class="partner-choice">
+                <input type="checkbox" name="markets" value="${code}"${checked.includes(code)?' checked':''}>
+                <span><span aria-hidden="true">${flagEmoji(code)}</span> ${escapeHtml(label)}</span>
+            </label>`).join('');}
+function readBase64(file){return new Promise((resolve,reject)=>{const reader=new window.FileReader();reader.onload=()=>resolve(String(reader.result).split(',')[1]||'');reader.onerror=()=>reject(reader.error);reader.readAsDataURL(file);});}
+function chosenFiles(form){return Object.fromEntries(Object.keys(PARTNER_DOCUMENTS).map(field=>[field,form.elements.namedItem(field)?.files?.[0]]).filter(([,file])=>file));}
+function reviewValue(field,value){const{input}=field;if(Array.isArray(value)){const name=countryNames();return value.map(name).join(', ');}
+if(!value)return'';if(input.tagName==='SELECT')return input.selectedOptions[0]?.textContent.trim()||value;if(input.type==='number')return t('partners.tonnes',{amount:new Intl.NumberFormat(getLocale()).format(Number(value))});return value;}
+function initPartnerApplication(){const form=document.getElementById('partnerForm');if(!form)return;const steps=[...form.querySelectorAll('.partner-step')];const progress=[...document.querySelectorAll('#partnerProgress li')];const marketList=document.getElementById('partnerMarketList');const draftNotice=document.getElementById('partnerDraft');const draftText=document.getElementById('partnerDraftText');const discardBtn=document.getElementById('partnerDiscard');const backBtn=document.getElementById('partnerBack');const nextBtn=document.getElementById('partnerNext');const saveBtn=document.getElementById('partnerSave');const submitBtn=document.getElementById('partnerSubmit');const saved=document.getElementById('partnerSaved');const formError=document.getElementById('partnerFormError');const success=document.getElementById('partnerSuccess');const review=document.getElementById('partnerReview');const guard=createFormGuard(form,{eager:false});let current=0;const draft=readStorage(DRAFT_KEY,null);const restored=draft&&typeof draft.values==='object'?draft:null;renderMarkets(marketList,[].concat(restored?.values.markets??[]));const engine=createForm(form,FORM_SCHEMA,{messages:()=>({...getMessages('validation'),...getMessages('partners').errors})});const stepFields=step=>engine.fields.filter(({input})=>step.contains(input)).map(({name})=>name);const stepOf=name=>steps.findIndex(step=>stepFields(step).includes(name));const showFormError=(message)=>{formError.textContent=message;formError.hidden=!message;};const renderReview=()=>{const values=engine.values();review.innerHTML=engine.fields.filter(field=>!steps.at(-1).contains(field.input)&&!field.input.disabled).map(field=>`<div><dt>${escapeHtml(labelText(field.input))}</dt><dd>${escapeHtml(reviewValue(field,values[field.name])||t('partners.notGiven'))}</dd></div>`).join('');};const showStep=(index,{focus=true}={})=>{current=Math.max(0,Math.min(index,steps.length-1));steps.forEach((step,i)=>{step.hidden=i!==current;});progress.forEach((item,i)=>{item.classList.toggle('is-done',i<current);if(i===current)item.setAttribute('aria-current','step');else item.removeAttribute('aria-current');});const last=current===steps.length-1;backBtn.hidden=current===0;nextBtn.hidden=last;submitBtn.hidden=!last;if(last)renderReview();if(focus)steps[current].querySelector('.partner-step-title')?.focus();};const saveDraft=()=>{const values=Object.fromEntries(Object.entries(engine.values()).filter(([name])=>!Object.hasOwn(PARTNER_DOCUMENTS,name)));return writeStorage(DRAFT_KEY,{step:current,values,savedAt:new Date().toISOString()});};const showDraftNotice=()=>{draftText.textContent=t('partners.draftRestored',{date:formatDate(restored.savedAt)});};if(restored){engine.setValues(restored.values);showStep(Number(restored.step)||0,{focus:false});if(restored.savedAt){showDraftNotice();draftNotice.hidden=false;}}else{showStep(0,{focus:false});}
+form.addEventListener('input',()=>{saved.textContent='';saveDraft();});form.addEventListener('change',()=>saveDraft());nextBtn.addEventListener('click',()=>{const{valid}=engine.validate({only:stepFields(steps[current])});if(!valid)return;showStep(current+1);saveDraft();});backBtn.addEventListener('click',()=>{engine.clearErrors();showStep(current-1);saveDraft();});saveBtn.addEventListener('click',()=>{saved.textContent=saveDraft()?t('partners.draftSaved'):t('partners.draftNotSaved');});discardBtn.addEventListener('click',()=>{removeStorage(DRAFT_KEY);engine.reset();renderMarkets(marketList,[]);draftNotice.hidden=true;showFormError('');saved.textContent='';showStep(0);});const showErrorsInStep=(errors)=>{const first=engine.fields.find(({name})=>errors[name]);if(first)showStep(stepOf(first.name),{focus:false});engine.showErrors(errors);};form.addEventListener('submit',async(e)=>{e.preventDefault();showFormError('');const files=chosenFiles(form);const{errors,values}=engine.validate({focus:false});const documentErrors=checkDocuments(Object.fromEntries(Object.entries(files).map(([field,file])=>[field,{mimeType:file.type,size:file.size}])),{...getMessages('validation'),...getMessages('partners').errors});const allErrors={...errors,...documentErrors};if(Object.keys(allErrors).length){showErrorsInStep(allErrors);return;}
+setButtonLoading(submitBtn,true);form.setAttribute('aria-busy','true');try{const documents={};for(const[field,file]of Object.entries(files)){documents[field]={name:file.name,data:await readBase64(file)};}
+const payload={...values,documents,...await guard.fields()};Object.keys(PARTNER_DOCUMENTS).forEach(field=>delete payload[field]);const result=await postEnquiry(form.dataset.endpoint||PARTNER_ENDPOINT,payload);removeStorage(DRAFT_KEY);document.getElementById('partnerReference').textContent=result.reference;document.getElementById('statusReference').value=result.reference;document.getElementById('statusEmail').value=values.email;form.hidden=true;draftNotice.hidden=true;document.getElementById('partnerProgress').hidden=true;success.hidden=false;}catch(err){if(err.fieldErrors&&Object.keys(err.fieldErrors).length)showErrorsInStep(err.fieldErrors);showFormError(err.message||t('errors.submit'));if(err.reason==='token')guard.refresh();}finally{setButtonLoading(submitBtn,false);form.setAttribute('aria-busy','false');}});document.addEventListener('localechange',()=>{renderMarkets(marketList,engine.values().markets);if(current===steps.length-1)renderReview();if(!draftNotice.hidden&&restored?.savedAt)showDraftNotice();});}
+function renderStatus(application){const status=Object.hasOwn(PARTNER_STATUSES,application.status)?application.status:'received';const details=[['company',application.company],['submitted',formatDate(application.createdAt)],['updated',formatDate(application.updatedAt)]].map(([label,value])=>`<div><dt>${escapeHtml(t(`partners.fields.${label}`))}</dt><dd>${escapeHtml(value)}</dd></div>`).join('');return`
+        <div class="track-summary">
+            <div>
+                <p class="track-summary-label">${escapeHtml(t('partners.fields.status'))}</p>
+                <h3 class="track-summary-id">${escapeHtml(application.reference)}</h3>
+            </div>
+            <span class="track-status partner-status-${status}">${escapeHtml(t(`partners.statuses.${status}`))}</span>
+        </div>
+        <p class="partner-status-note">${escapeHtml(t(`partners.statusNotes.${status}`))}</p>
+        <dl class="track-step-details">${details}</dl>
+        ${application.applicantMessage?`
+        <div class="partner-status-message">
+            <h4>${escapeHtml(t('partners.fields.message'))}</h4>
+            <p>${escapeHtml(application.applicantMessage)}</p>
+        </div>`:''}`;}
+async function fetchStatus(reference,email){let response;try{response=await fetch(PARTNER_STATUS_ENDPOINT,{method:'POST',headers:{'Content-Type':'application/json','Accept':'application/json','Accept-Language':getLocale()},body:JSON.stringify({reference,email})});}catch{throw new Error(t('partners.errors.lookupFailed'));}
+const data=await response.json().catch(()=>({}));if(!response.ok||!data.ok)throw new Error(data.error||t('partners.errors.lookupFailed'));return data.application;}
+function initPartnerStatus(){const form=document.getElementById('partnerStatusForm');const result=document.getElementById('partnerStatusResult');if(!form||!result)return;const message=document.getElementById('partnerStatusMessage');const referenceInput=form.elements.namedItem('reference');const emailInput=form.elements.namedItem('email');let application=null;const showMessage=(text,isError=false)=>{message.textContent=text;message.classList.toggle('track-message-error',isError);};form.addEventListener('submit',async(e)=>{e.preventDefault();application=null;result.hidden=true;referenceInput.value=normalizeReference(referenceInput.value);const email=emailInput.value.trim();if(!referenceInput.value||!email){showMessage(t('partners.enterReference'),true);return;}
+showMessage(t('partners.checking'));form.setAttribute('aria-busy','true');try{application=await fetchStatus(referenceInput.value,email);showMessage('');result.innerHTML=renderStatus(application);result.hidden=false;}catch(err){showMessage(err.message,true);}finally{form.setAttribute('aria-busy','false');}});document.addEventListener('localechange',()=>{if(application)result.innerHTML=renderStatus(application);});}
+return{PARTNER_ENDPOINT,PARTNER_STATUS_ENDPOINT,initPartnerApplication,initPartnerStatus};})();const{addPageFeature}=__utils;const{initPartnerApplication,initPartnerStatus}=__partner_application;addPageFeature(initPartnerApplication);addPageFeature(initPartnerStatus);})();
@@ -0,0 +1,8 @@
+/*! Freshflow Foods | generated from src/js by scripts/build.js - do not edit */
+(function(){'use strict';const{__i18n,__storage,__utils}=window.__freshflowModules;const __buyer_session=(()=>{const{t,getLocale}=__i18n;const{readStorage,removeStorage}=__storage;const BUYER_ENDPOINT='/api/buyer';const SIGNED_IN_KEY='buyerSignedIn';async function buyerRequest(path,{method='GET',body,csrfToken}={}){let response;try{response=await fetch(`${BUYER_ENDPOINT}${path}`,{method,credentials:'same-origin',headers:{'Accept':'application/json','Accept-Language':getLocale(),...(body?{'Content-Type':'application/json'}:{}),...(csrfToken?{'X-CSRF-Token':csrfToken}:{})},body:body?JSON.stringify(body):undefined});}catch{const error=new Error(t('buyer.errors.loadFailed'));error.status=0;throw error;}
+const data=await response.json().catch(()=>({}));if(!response.ok||!data.ok){const error=new Error(data.error||t('buyer.errors.loadFailed'));error.status=response.status;error.fieldErrors=data.errors||{};throw error;}
+return data;}
+function fillEmpty(input,value){if(!input||!value||input.value.trim())return;input.value=value;input.dispatchEvent(new Event('input',{bubbles:true}));}
+async function initBuyerPrefill(){const contactForm=document.getElementById('contactForm');const quoteForm=document.getElementById('quoteForm');if((!contactForm&&!quoteForm)||!readStorage(SIGNED_IN_KEY,false))return;let buyer;try{({buyer}=await buyerRequest('/session'));}catch(err){if(err.status===401)removeStorage(SIGNED_IN_KEY);return;}
+[contactForm,quoteForm].filter(Boolean).forEach(form=>{['name','email','phone'].forEach(name=>fillEmpty(form.elements.namedItem(name),buyer[name]));});if(quoteForm&&buyer.ports.length)fillEmpty(quoteForm.elements.namedItem('destinationPort'),buyer.ports[0]);}
+return{BUYER_ENDPOINT,SIGNED_IN_KEY,buyerRequest,initBuyerPrefill};})();const{addPageFeature}=__utils;const{initBuyerPrefill}=__buyer_session;addPageFeature(initBuyerPrefill);})();
@@ -0,0 +1,98 @@
+/*! Freshflow Foods | generated from src/js by scripts/build.js - do not edit */
+(function(){'use strict';const{__locales_en,__utils,__i18n,__rfq}=window.__freshflowModules;const __cold_chain=(()=>{const{default:en}=__locales_en;const COLD_CHAIN_LIMITS={chilled:4,frozen:-18};const MAX_READINGS=12000;const COLD_CHAIN_MESSAGES=en.coldChain;const DELIMITERS=[',',';','\t'];function splitCsv(text,delimiter){const rows=[];let row=[];let cell='';let quoted=false;for(let i=0;i<text.length;i++){const ch=text[i];if(quoted){if(ch==='"'&&text[i+1]==='"'){cell+='"';i++;}else if(ch==='"'){quoted=false;}else{cell+=ch;}}else if(ch==='"'){quoted=true;}else if(ch===delimiter){row.push(cell);cell='';}else if(ch==='\n'||ch==='\r'){if(ch==='\r'&&text[i+1]==='\n')i++;row.push(cell);rows.push(row);row=[];cell='';}else{cell+=ch;}}
+row.push(cell);rows.push(row);return rows.map(cells=>cells.map(value=>value.trim())).filter(cells=>cells.some(Boolean));}
+function parseTimestamp(value){const iso=/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{1,2}):(\d{2})(?::(\d{2}))?(?:\.\d+)?)?\s*(Z|[+-]\d{2}:?\d{2})?$/i.exec(value);const dayFirst=/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/.exec(value);if(!iso&&!dayFirst)return NaN;const[year,month,day]=iso?[iso[1],iso[2],iso[3]]:[dayFirst[3],dayFirst[2],dayFirst[1]];const[,,,,hours=0,minutes=0,seconds=0]=iso||dayFirst;const time=Date.UTC(Number(year),Number(month)-1,Number(day),Number(hours),Number(minutes),Number(seconds));const date=new Date(time);if(date.getUTCDate()!==Number(day)||date.getUTCMonth()!==Number(month)-1)return NaN;const offset=iso?.[7];if(!offset||offset.toUpperCase()==='Z')return time;const[,sign,offsetHours,offsetMinutes]=/([+-])(\d{2}):?(\d{2})/.exec(offset);return time-(sign==='-'?-1:1)*(Number(offsetHours)*60+Number(offsetMinutes))*60000;}
+function parseNumber(value){const cleaned=value.replace(/[^\d,.+-]/g,'').replace(',','.');return cleaned?Number(cleaned):NaN;}
+function findColumns(header){const names=header.map(name=>name.toLowerCase());const find=pattern=>names.findIndex(name=>pattern.test(name));const timestamp=find(/timestamp|date.?time|recorded/);const date=find(/date/);const time=find(/^time/);const temperature=find(/temp|°[cf]|celsius|fahrenheit/);return{date:timestamp>=0?timestamp:date>=0?date:time,time:timestamp<0&&date>=0?time:-1,temperature,humidity:find(/humid|\brh\b|%/),fahrenheit:temperature>=0&&/°f|fahrenheit|\(f\)/.test(names[temperature])};}
+function parseTemperatureLog(text,messages=COLD_CHAIN_MESSAGES){const source=String(text||'').replace(/^\uFEFF/,'');const firstLine=source.split(/\r?\n/,1)[0];const delimiter=DELIMITERS.reduce((best,candidate)=>(firstLine.split(candidate).length>firstLine.split(best).length?candidate:best));const[header=[],...rows]=splitCsv(source,delimiter);const columns=findColumns(header);if(columns.date<0||columns.temperature<0){return{valid:false,readings:[],error:messages.errors.columns};}
+if(rows.length===0){return{valid:false,readings:[],error:messages.errors.empty};}
+if(rows.length>MAX_READINGS){return{valid:false,readings:[],error:messages.errors.tooMany.replace('{max}',MAX_READINGS)};}
+const readings=[];for(const[index,cells]of rows.entries()){const stamp=columns.time>=0?`${cells[columns.date]} ${cells[columns.time]}`:cells[columns.date];const at=parseTimestamp(stamp||'');let celsius=parseNumber(cells[columns.temperature]||'');if(columns.fahrenheit)celsius=(celsius-32)*5/9;if(!Number.isFinite(at)||!Number.isFinite(celsius)||celsius<-60||celsius>60){return{valid:false,readings:[],error:messages.errors.row.replace('{row}',index+2)};}
+const reading={at:new Date(at).toISOString(),celsius:Math.round(celsius*10)/10};const humidity=columns.humidity>=0?parseNumber(cells[columns.humidity]||''):NaN;if(Number.isFinite(humidity))reading.humidity=humidity;readings.push(reading);}
+readings.sort((a,b)=>a.at.localeCompare(b.at));return{valid:true,readings,error:''};}
+function findExcursions(readings,limit){const excursions=[];let current=null;readings.forEach(reading=>{if(reading.celsius>limit){if(!current)current={start:reading.at,peak:reading.celsius};current.peak=Math.max(current.peak,reading.celsius);}else if(current){excursions.push({...current,end:reading.at,ongoing:false});current=null;}});if(current)excursions.push({...current,end:readings[readings.length-1].at,ongoing:true});return excursions.map(excursion=>({...excursion,durationMs:new Date(excursion.end)-new Date(excursion.start)}));}
+function summarizeTemperatureLog(readings,state){if(!readings?.length)return null;const limit=COLD_CHAIN_LIMITS[state]??COLD_CHAIN_LIMITS.chilled;const temperatures=readings.map(reading=>reading.celsius);const humidity=readings.map(reading=>reading.humidity).filter(Number.isFinite);const excursions=findExcursions(readings,limit);return{limit,count:readings.length,from:readings[0].at,to:readings[readings.length-1].at,min:Math.min(...temperatures),max:Math.max(...temperatures),mean:Math.round(temperatures.reduce((sum,value)=>sum+value,0)/temperatures.length*10)/10,humidity:humidity.length?{min:Math.min(...humidity),max:Math.max(...humidity)}:null,excursions,excursionMs:excursions.reduce((sum,excursion)=>sum+excursion.durationMs,0)};}
+function formatDuration(ms,messages=COLD_CHAIN_MESSAGES){const total=Math.round(ms/60000);const hours=Math.floor(total/60);const minutes=total%60;const template=!hours?messages.minutes:minutes?messages.hours:messages.wholeHours;return template.replace('{hours}',hours).replace('{minutes}',minutes);}
+return{COLD_CHAIN_LIMITS,MAX_READINGS,COLD_CHAIN_MESSAGES,parseTimestamp,parseTemperatureLog,findExcursions,summarizeTemperatureLog,formatDuration};})();const __temperature_chart=(()=>{const{escapeHtml}=__utils;const PADDING={top:16,right:16,bottom:36,left:52};function niceTicks(min,max,count=5){const span=max-min||1;const raw=span/count;const magnitude=10**Math.floor(Math.log10(raw));const step=[1,2,5,10].map(factor=>factor*magnitude).find(value=>value>=raw);const ticks=[];for(let value=Math.ceil(min/step)*step;value<=max+step/1000;value+=step){ticks.push(Math.round(value*100)/100);}
+return ticks;}
+function renderTemperatureChart(readings,{limit,excursions=[],title='',limitLabel='',formatTime=time=>new Date(time).toISOString().slice(5,10),formatTemperature=celsius=>`${celsius} °C`,width=720,height=280}){const times=readings.map(reading=>new Date(reading.at).getTime());const temperatures=readings.map(reading=>reading.celsius);const start=times[0];const end=times[times.length-1]>start?times[times.length-1]:start+1;const low=Math.min(...temperatures,limit);const high=Math.max(...temperatures,limit);const margin=Math.max((high-low)*0.1,0.5);const yTicks=niceTicks(low-margin,high+margin);const yMin=Math.min(yTicks[0],low-margin);const yMax=Math.max(yTicks[yTicks.length-1],high+margin);const plotWidth=width-PADDING.left-PADDING.right;const plotHeight=height-PADDING.top-PADDING.bottom;const x=time=>PADDING.left+(time-start)/(end-start)*plotWidth;const y=celsius=>PADDING.top+(yMax-celsius)/(yMax-yMin)*plotHeight;const round=value=>Math.round(value*10)/10;const grid=yTicks.map(tick=>`
+        <line x1="${PADDING.left}" x2="${width-PADDING.right}" y1="${round(y(tick))}" y2="${round(y(tick))}" class="chart-grid"/>
+        <text x="${PADDING.left-8}" y="${round(y(tick))}" class="chart-label" text-anchor="end" dominant-baseline="middle">${escapeHtml(formatTemperature(tick))}</text>`).join('');const xTickCount=Math.min(6,readings.length);const xTicks=Array.from({length:xTickCount},(_,i)=>start+(end-start)*(xTickCount>1?i/(xTickCount-1):0));const xLabels=xTicks.map((time,i)=>{const anchor=i===0?'start':i===xTicks.length-1?'end':'middle';return`<text x="${round(x(time))}" y="${height-PADDING.bottom+20}" class="chart-label" text-anchor="${anchor}">${escapeHtml(formatTime(time))}</text>`;}).join('');const bands=excursions.map(excursion=>{const from=x(new Date(excursion.start).getTime());const to=x(new Date(excursion.end).getTime());return`<rect x="${round(from)}" y="${PADDING.top}" width="${round(Math.max(to-from,2))}" height="${plotHeight}" class="chart-excursion"/>`;}).join('');const points=readings.map((reading,i)=>`${round(x(times[i]))},${round(y(reading.celsius))}`).join(' ');const limitY=round(y(limit));return`<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" class="temperature-chart" role="img"${title?` aria-label="${escapeHtml(title)}"`:''}>
+        <style>
+            .temperature-chart { direction: ltr; }
+            .chart-grid { stroke: #EEEEEE; }
+            .chart-axis { stroke: #9E9E9E; }
+            .chart-label { fill: #616161; font: 11px 'Segoe UI', Tahoma, sans-serif; }
+            .chart-limit { stroke: #C62828; stroke-dasharray: 6 4; }
+            .chart-limit-label { fill: #C62828; font: 600 11px 'Segoe UI', Tahoma, sans-serif; }
+            .chart-excursion { fill: rgba(229, 57, 53, 0.15); }
+            .chart-line { fill: none; stroke: #1565C0; stroke-width: 2; stroke-linejoin: round; }
+        </style>
+        ${grid}
+        ${bands}
+        <line x1="${PADDING.left}" x2="${PADDING.left}" y1="${PADDING.top}" y2="${height-PADDING.bottom}" class="chart-axis"/>
+        <line x1="${PADDING.left}" x2="${width-PADDING.right}" y1="${height-PADDING.bottom}" y2="${height-PADDING.bottom}" class="chart-axis"/>
+        <line x1="${PADDING.left}" x2="${width-PADDING.right}" y1="${limitY}" y2="${limitY}" class="chart-limit"/>
+        ${limitLabel?`<text x="${width-PADDING.right}" y="${limitY-6}" class="chart-limit-label" text-anchor="end">${escapeHtml(limitLabel)}</text>`:''}
+        <polyline points="${points}" class="chart-line"/>
+        ${xLabels}
+    </svg>`;}
+return{renderTemperatureChart};})();const __track=(()=>{const{escapeHtml}=__utils;const{t,getLocale,getMessages}=__i18n;const{QUOTE_LABELS}=__rfq;const{summarizeTemperatureLog,formatDuration}=__cold_chain;const{renderTemperatureChart}=__temperature_chart;const CONSIGNMENTS_ENDPOINT='/api/consignments';function formatDate(value){return new Intl.DateTimeFormat(getLocale(),{dateStyle:'medium',timeZone:'UTC'}).format(new Date(value));}
+function formatDateTime(value){return new Intl.DateTimeFormat(getLocale(),{dateStyle:'medium',timeStyle:'short',timeZone:'UTC'}).format(new Date(value));}
+function formatTemperature(celsius){return new Intl.NumberFormat(getLocale(),{style:'unit',unit:'celsius',maximumFractionDigits:1}).format(celsius);}
+function buildTimeline(consignment,now=new Date()){const{origin={},slaughter={},processing={},coldStorage,container,vessel}=consignment;const readings=coldStorage?.readings||[];const temperatures=readings.map(reading=>reading.celsius);const steps=[{key:'origin',date:origin.collectedOn,details:[['farm',origin.farm],['region',origin.region],['breed',consignment.breed]]},{key:'slaughter',date:slaughter.date,details:[['plant',slaughter.plant],['location',slaughter.location],['halal',slaughter.halal?t('tracking.fields.yes'):'']]},{key:'processing',date:processing.packedOn,details:[['storage',processing.state&&t(`catalog.processing.${processing.state}`,{},QUOTE_LABELS.states[processing.state]||processing.state)],['form',processing.form&&t(`quote.forms.${processing.form}`,{},QUOTE_LABELS.forms[processing.form]||processing.form)]]},{key:'coldStorage',date:readings[0]?.at,details:coldStorage?[['facility',coldStorage.facility],['setPoint',coldStorage.setPoint!=null?formatTemperature(coldStorage.setPoint):''],['range',temperatures.length?`${formatTemperature(Math.min(...temperatures))} – ${formatTemperature(Math.max(...temperatures))}`:''],['latest',readings.length?`${formatTemperature(readings[readings.length-1].celsius)} (${formatDate(readings[readings.length-1].at)})`:'']]:[]},{key:'container',date:container?.loadedOn,details:container?[['container',container.number],['type',container.type],['seal',container.seal]]:[]},{key:'vessel',date:vessel?.departedOn,details:vessel?[['vessel',vessel.name],['voyage',vessel.voyage],['from',vessel.portOfLoading],['to',vessel.portOfDischarge]]:[]},{key:consignment.arrivedOn?'arrived':'arrival',date:consignment.arrivedOn||consignment.eta,details:vessel?[['to',vessel.portOfDischarge]]:[]}];return steps.map(step=>({...step,done:Boolean(step.date)&&step.key!=='arrival'&&new Date(step.date)<=now,details:step.details.filter(([,value])=>value)}));}
+function trackingStatus(timeline){const done=new Set(timeline.filter(step=>step.done).map(step=>step.key));if(done.has('arrived'))return'arrived';if(done.has('vessel')||done.has('container'))return'inTransit';if(done.has('coldStorage'))return'inStorage';return'processing';}
+function renderTemperatureLog(consignment){const readings=consignment.temperatureLog?.readings;const state=consignment.processing?.state;const summary=summarizeTemperatureLog(readings,state);if(!summary)return'';const messages=getMessages('coldChain');const limit=formatTemperature(summary.limit);const chart=renderTemperatureChart(readings,{limit:summary.limit,excursions:summary.excursions,title:t('coldChain.chartTitle',{id:consignment.id}),limitLabel:t('coldChain.limitLabel',{state:t(`catalog.processing.${state}`,{},QUOTE_LABELS.states[state]||state),limit}),formatTime:time=>new Intl.DateTimeFormat(getLocale(),{day:'numeric',month:'short',timeZone:'UTC'}).format(time),formatTemperature});const stats=[['readings',new Intl.NumberFormat(getLocale()).format(summary.count)],['period',`${formatDateTime(summary.from)} – ${formatDateTime(summary.to)}`],['range',`${formatTemperature(summary.min)} – ${formatTemperature(summary.max)}`],['mean',formatTemperature(summary.mean)],['humidity',summary.humidity?`${summary.humidity.min}% – ${summary.humidity.max}%`:'']].filter(([,value])=>value).map(([label,value])=>`<div><dt>${escapeHtml(t(`coldChain.${label}`))}</dt><dd>${escapeHtml(value)}</dd></div>`).join('');const rows=summary.excursions.map(excursion=>`
+        <tr>
+            <td>${escapeHtml(formatDateTime(excursion.start))}</td>
+            <td>${escapeHtml(excursion.ongoing?t('coldChain.ongoing'):formatDateTime(excursion.end))}</td>
+            <td>${escapeHtml(formatDuration(excursion.durationMs,messages))}</td>
+            <td>${escapeHtml(formatTemperature(excursion.peak))}</td>
+        </tr>`).join('');const verdict=summary.excursions.length?t('coldChain.excursionsFound',{limit,count:summary.excursions.length,duration:formatDuration(summary.excursionMs,messages)}):t('coldChain.noExcursions',{limit});return`
+        <section class="track-log" aria-labelledby="trackLogTitle">
+            <h3 class="track-log-title" id="trackLogTitle">${escapeHtml(t('coldChain.title'))}</h3>
+            <div class="track-log-chart">${chart}</div>
+            <dl class="track-step-details track-log-stats">${stats}</dl>
+            <p class="track-log-verdict ${summary.excursions.length?'track-log-fail':'track-log-pass'}">${escapeHtml(verdict)}</p>
+            ${rows?`
+            <div class="track-log-table-wrap">
+                <table class="track-log-table">
+                    <caption>${escapeHtml(t('coldChain.excursions'))}</caption>
+                    <thead>
+                        <tr>
+                            <th scope="col">${escapeHtml(t('coldChain.started'))}</th>
+                            <th scope="col">${escapeHtml(t('coldChain.ended'))}</th>
+                            <th scope="col">${escapeHtml(t('coldChain.duration'))}</th>
+                            <th scope="col">${escapeHtml(t('coldChain.peak'))}</th>
+                        </tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>`:''}
+            <p class="track-log-note">${escapeHtml(t('coldChain.note'))}</p>
+            <a href="${CONSIGNMENTS_ENDPOINT}/${encodeURIComponent(consignment.id)}/report?lang=${getLocale()}" class="btn btn-secondary" download>${escapeHtml(t('coldChain.download'))}</a>
+        </section>`;}
+function renderConsignment(consignment){const timeline=buildTimeline(consignment);const status=trackingStatus(timeline);const lastDone=timeline.map(step=>step.done).lastIndexOf(true);const{quantity={}}=consignment;const product=[t(`catalog.products.${consignment.product}.name`,{},QUOTE_LABELS.species[consignment.product]||consignment.product),consignment.breed,consignment.cut&&t(`catalog.cuts.${consignment.cut}`,{},QUOTE_LABELS.cuts[consignment.cut]||consignment.cut)].filter(Boolean).join(' · ');const amount=quantity.value?`${quantity.value} ${t(`quote.units.${quantity.unit}`,{},QUOTE_LABELS.units[quantity.unit]||quantity.unit)}`:'';const steps=timeline.map((step,index)=>{const state=index===lastDone?'current':step.done?'done':'upcoming';const details=step.details.map(([label,value])=>`<div><dt>${escapeHtml(t(`tracking.fields.${label}`))}</dt><dd>${escapeHtml(value)}</dd></div>`).join('');return`
+            <li class="track-step track-step-${state}"${state==='current'?' aria-current="step"':''}>
+                <div class="track-step-marker" aria-hidden="true"></div>
+                <div class="track-step-body">
+                    <h3 class="track-step-title">${escapeHtml(t(`tracking.steps.${step.key}`))}</h3>
+                    <p class="track-step-date">${step.date?escapeHtml(formatDate(step.date)):escapeHtml(t('tracking.pending'))}</p>
+                    ${details?`<dl class="track-step-details">${details}</dl>`:''}
+                </div>
+            </li>`;}).join('');return`
+        <div class="track-summary">
+            <div>
+                <p class="track-summary-label">${escapeHtml(t('tracking.consignment'))}</p>
+                <h2 class="track-summary-id">${escapeHtml(consignment.id)}</h2>
+                <p class="track-summary-product">${escapeHtml([amount,product].filter(Boolean).join(' · '))}</p>
+            </div>
+            <span class="track-status track-status-${status}">${escapeHtml(t(`tracking.status.${status}`))}</span>
+        </div>
+        <ol class="track-timeline">${steps}</ol>
+        ${renderTemperatureLog(consignment)}`;}
+async function fetchConsignment(id){let response;try{response=await fetch(`${CONSIGNMENTS_ENDPOINT}/${encodeURIComponent(id)}`,{headers:{'Accept':'application/json','Accept-Language':getLocale()}});}catch{throw new Error(t('tracking.loadError'));}
+const data=await response.json().catch(()=>({}));if(!response.ok||!data.ok)throw new Error(data.error||t('tracking.loadError'));return data.consignment;}
+function initTracking(){const form=document.getElementById('trackForm');const result=document.getElementById('trackResult');if(!form||!result)return;const input=document.getElementById('trackId');const message=document.getElementById('trackMessage');let consignment=null;const showMessage=(text,isError=false)=>{message.textContent=text;message.classList.toggle('track-message-error',isError);};const lookup=async(id)=>{consignment=null;result.hidden=true;if(!id){showMessage(t('tracking.enterId'),true);return;}
+showMessage(t('tracking.loading'));form.setAttribute('aria-busy','true');try{consignment=await fetchConsignment(id);showMessage('');result.innerHTML=renderConsignment(consignment);result.hidden=false;}catch(err){showMessage(err.message,true);}finally{form.setAttribute('aria-busy','false');}};form.addEventListener('submit',(e)=>{e.preventDefault();const id=input.value.trim().toUpperCase();input.value=id;const url=new URL(window.location.href);url.searchParams.set('id',id);history.pushState(null,'',url);lookup(id);});window.addEventListener('popstate',()=>{input.value=new URLSearchParams(window.location.search).get('id')||'';lookup(input.value.trim());});document.addEventListener('localechange',()=>{if(consignment)result.innerHTML=renderConsignment(consignment);});const scanned=new URLSearchParams(window.location.search).get('id');if(scanned){input.value=scanned.trim().toUpperCase();lookup(input.value);}}
+return{CONSIGNMENTS_ENDPOINT,buildTimeline,initTracking};})();const{onReady}=__utils;const{initTracking}=__track;onReady(initTracking);})();
@@ -0,0 +1,36 @@
+/* ============================================
+   END-TO-END TESTS (PLAYWRIGHT)
+   Runs test/e2e in headless Chromium against
+   the local server, with its JSON stores in a
+   temporary directory.
+
+   Usage: npx playwright install chromium (once)
+          npm run test:e2e
+   ============================================ */
+
+import os from 'node:os';
+import path from 'node:path';
+import { defineConfig, devices } from '@playwright/test';
+
+const PORT = Number(process.env.E2E_PORT) || 4173;
+
+export default defineConfig({
+    testDir: 'test/e2e',
+    forbidOnly: Boolean(process.env.CI),
+    retries: process.env.CI ? 1 : 0,
+    reporter: process.env.CI ? 'line' : 'list',
+    use: {
+        baseURL: `http://127.0.0.1:${PORT}`,
+        ...devices['Desktop Chrome'],
+        serviceWorkers: 'block'
+    },
+    webServer: {
+        command: 'node server/index.js',
+        url: `http://127.0.0.1:${PORT}/index.html`,
+        reuseExistingServer: !process.env.CI,
+        env: {
+            PORT: String(PORT),
+            DATA_DIR: path.join(os.tmpdir(), 'freshflow-e2e')
+        }
+    }
+});
@@ -0,0 +1,449 @@
+#!/usr/bin/env node
+/* ============================================
+   FRESHFLOW FOODS - JAVASCRIPT BUILD
+   Bundles the ES modules in src/js into the
+   deferred script every page loads, the scripts
+   only some pages add after it (src/js/pages)
+   and the admin dashboard script, then minifies
+   them. Then
+   refreshes the sitemap, robots.txt and
+   structured data (scripts/seo.js), inlines
+   each page's critical CSS
+   (scripts/critical-css.js) and, last, bundles
+   the service worker with the list of files it
+   precaches (scripts/service-worker.js).
+
+   Usage: node scripts/build.js [--no-minify]
+   ============================================ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { buildCriticalCss } from './critical-css.js';
+import { buildSeo } from './seo.js';
+import { precacheManifest, injectPrecacheManifest } from './service-worker.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const MAIN_ENTRY = path.join(ROOT, 'src/js/main.js');
+
+/**
+ * Page bundles hold features only one or two pages use. Those pages load
+ * them after js/main.optimized.js, which lends them the modules they share
+ * (`sharedWith`), so the main bundle doesn't grow with every page feature.
+ */
+export const BUNDLES = [
+    { entry: MAIN_ENTRY, output: path.join(ROOT, 'js/main.optimized.js'), shares: true },
+    { entry: path.join(ROOT, 'src/js/pages/partner.js'), output: path.join(ROOT, 'js/partner.optimized.js'), sharedWith: MAIN_ENTRY },
+    { entry: path.join(ROOT, 'src/js/pages/account.js'), output: path.join(ROOT, 'js/account.optimized.js'), sharedWith: MAIN_ENTRY },
+    { entry: path.join(ROOT, 'src/js/pages/quote.js'), output: path.join(ROOT, 'js/quote.optimized.js'), sharedWith: MAIN_ENTRY },
+    { entry: path.join(ROOT, 'src/js/pages/track.js'), output: path.join(ROOT, 'js/track.optimized.js'), sharedWith: MAIN_ENTRY },
+    { entry: path.join(ROOT, 'src/js/pages/estimator.js'), output: path.join(ROOT, 'js/estimator.optimized.js'), sharedWith: MAIN_ENTRY },
+    { entry: path.join(ROOT, 'src/js/pages/certifications.js'), output: path.join(ROOT, 'js/certifications.optimized.js'), sharedWith: MAIN_ENTRY },
+    { entry: path.join(ROOT, 'src/js/admin/main.js'), output: path.join(ROOT, 'js/admin.optimized.js') }
+];
+
+// Where the main bundle leaves its modules for the page bundles
+const SHARED_MODULES = 'window.__freshflowModules';
+
+// Built after everything it precaches, which includes the pages the steps before it rewrite
+const SERVICE_WORKER = { entry: path.join(ROOT, 'src/js/sw/main.js'), output: path.join(ROOT, 'sw.js') };
+
+const BANNER = '/*! Freshflow Foods | generated from src/js by scripts/build.js - do not edit */\n';
+
+/* ============================================
+   BUNDLER
+   ============================================ */
+
+const IMPORT_RE = /^import\s+(?:(?:([A-Za-z_$][\w$]*)|\{([^}]*)\})\s+from\s+)?['"]([^'"]+)['"](?:\s+with\s+\{[^}]*\})?;?[ \t]*$/gm;
+const EXPORT_DECL_RE = /^export\s+(?:async\s+)?(function\*?|const|let|class)\s+([A-Za-z_$][\w$]*)/gm;
+const EXPORT_LIST_RE = /^export\s+\{([^}]*)\};?[ \t]*$/gm;
+
+/**
+ * Split an import/export specifier list ("a, b as c")
+ * @param {string} list - Text between the braces
+ * @returns {Array<{name: string, alias: string}>}
+ */
+function parseSpecifiers(list) {
+    return list.split(',')
+        .map(part => part.trim())
+        .filter(Boolean)
+        .map(part => {
+            const [name, alias] = part.split(/\s+as\s+/);
+            return { name, alias: alias || name };
+        });
+}
+
+/**
+ * Turn a module path into a safe variable name
+ * @param {string} file - Absolute module path
+ * @returns {string}
+ */
+function moduleId(file) {
+    const relative = path.relative(path.join(ROOT, 'src/js'), file)
+        .replace(/\.(?:js|json)$/, '')
+        .replace(/^(?:\.\.[\\/])+/, '');
+    return '__' + relative.replace(/[^\w$]/g, '_');
+}
+
+/**
+ * Read a module and rewrite its import/export statements
+ * JSON files become modules whose default export is the parsed data
+ * @param {string} file - Absolute module path
+ * @returns {{file: string, deps: string[], code: string, exports: string[]}}
+ */
+function loadModule(file) {
+    let code = fs.readFileSync(file, 'utf8');
+    const deps = [];
+    const exports = [];
+
+    if (file.endsWith('.json')) {
+        let data;
+        try {
+            data = JSON.parse(code);
+        } catch (err) {
+            throw new Error(`${path.relative(ROOT, file)}: ${err.message}`);
+        }
+        return { file, deps, code: `const data = ${JSON.stringify(data)};`, exports: ['default: data'] };
+    }
+
+    code = code.replace(IMPORT_RE, (statement, defaultName, list, specifier) => {
+        if (!specifier.startsWith('.')) {
+            throw new Error(`${path.relative(ROOT, file)}: only relative imports are supported ("${specifier}")`);
+        }
+        const dep = path.resolve(path.dirname(file), specifier);
+        deps.push(dep);
+
+        if (defaultName) {
+            if (!dep.endsWith('.json')) {
+                throw new Error(`${path.relative(ROOT, file)}: default imports are only supported for JSON ("${specifier}")`);
+            }
+            return `const { default: ${defaultName} } = ${moduleId(dep)};`;
+        }
+        if (!list) return '';
+
+        const bindings = parseSpecifiers(list)
+            .map(({ name, alias }) => name === alias ? name : `${name}: ${alias}`)
+            .join(', ');
+        return `const { ${bindings} } = ${moduleId(dep)};`;
+    });
+
+    code = code.replace(EXPORT_DECL_RE, (statement, kind, name) => {
+        exports.push(name);
+        return statement.replace(/^export\s+/, '');
+    });
+
+    code = code.replace(EXPORT_LIST_RE, (statement, list) => {
+        parseSpecifiers(list).forEach(({ name, alias }) => exports.push(alias === name ? name : `${alias}: ${name}`));
+        return '';
+    });
+
+    if (/^(?:import|export)[\s{*]/m.test(code)) {
+        throw new Error(`${path.relative(ROOT, file)}: unsupported import/export syntax`);
+    }
+
+    return { file, deps, code, exports };
+}
+
+/**
+ * Collect modules depth-first so dependencies come before their importers
+ * @param {string} entry - Absolute path of the entry module
+ * @param {Set<string>} [skip] - Modules another bundle provides; left out with their imports
+ * @returns {Array} - Modules in evaluation order
+ */
+function collectModules(entry, skip = new Set()) {
+    const ordered = [];
+    const state = new Map();
+
+    (function visit(file, trail) {
+        if (skip.has(file) || state.get(file) === 'done') return;
+        if (state.get(file) === 'visiting') {
+            throw new Error(`Circular import: ${[...trail, file].map(f => path.relative(ROOT, f)).join(' -> ')}`);
+        }
+        if (!fs.existsSync(file)) {
+            throw new Error(`Module not found: ${path.relative(ROOT, file)} (imported by ${path.relative(ROOT, trail[trail.length - 1])})`);
+        }
+
+        state.set(file, 'visiting');
+        const mod = loadModule(file);
+        mod.deps.forEach(dep => visit(dep, [...trail, file]));
+        state.set(file, 'done');
+        ordered.push(mod);
+    })(entry, []);
+
+    return ordered;
+}
+
+/**
+ * Every module another bundle's entry pulls in, besides the entry itself
+ * @param {string} entry - Absolute path of the entry module
+ * @returns {Set<string>} - Absolute module paths
+ */
+export function sharedModules(entry) {
+    return new Set(collectModules(entry).map(mod => mod.file).filter(file => file !== entry));
+}
+
+/**
+ * Bundle the module graph into one IIFE
+ * Each module keeps its own scope and hands its exports to importers
+ * @param {string} entry - Absolute path of the entry module
+ * @param {Object} [options]
+ * @param {boolean} [options.shares] - Leave the modules in SHARED_MODULES for page bundles
+ * @param {Set<string>} [options.shared] - Modules to take from SHARED_MODULES instead of bundling
+ * @returns {string}
+ */
+export function bundle(entry, { shares = false, shared = new Set() } = {}) {
+    const modules = collectModules(entry, shared);
+    const borrowed = [...new Set(modules.flatMap(mod => mod.deps).filter(dep => shared.has(dep)))];
+
+    const body = modules.map(mod => {
+        const header = `// ${path.relative(ROOT, mod.file).split(path.sep).join('/')}`;
+        if (mod.file === entry) {
+            return `${header}\n${mod.code.trim()}`;
+        }
+        return `${header}\nconst ${moduleId(mod.file)} = (() => {\n${mod.code.trim()}\nreturn { ${mod.exports.join(', ')} };\n})();`;
+    });
+
+    if (borrowed.length) {
+        body.unshift(`const { ${borrowed.map(moduleId).join(', ')} } = ${SHARED_MODULES};`);
+    }
+    if (shares) {
+        // Before the entry runs, since the page bundles run after it
+        const ids = modules.filter(mod => mod.file !== entry).map(mod => moduleId(mod.file));
+        body.splice(body.length - 1, 0, `${SHARED_MODULES} = Object.freeze({ ${ids.join(', ')} });`);
+    }
+
+    return `(function() {\n'use strict';\n\n${body.join('\n\n')}\n})();\n`;
+}
+
+/* ============================================
+   MINIFIER
+   A small tokenizer that drops comments and
+   whitespace while keeping strings, template
+   literals, regexes and ASI-relevant newlines.
+   ============================================ */
+
+const PUNCTUATORS = [
+    '>>>=', '...', '===', '!==', '**=', '<<=', '>>=', '>>>', '&&=', '||=', '??=',
+    '=>', '==', '!=', '<=', '>=', '&&', '||', '??', '?.', '++', '--', '+=', '-=',
+    '*=', '/=', '%=', '&=', '|=', '^=', '**', '<<', '>>'
+];
+
+const REGEX_KEYWORDS = new Set([
+    'return', 'typeof', 'instanceof', 'in', 'of', 'new', 'delete', 'void',
+    'throw', 'case', 'do', 'else', 'yield', 'await'
+]);
+
+// `if (a) /x/.test(b)`: the ) closing the condition of these is followed by a statement
+const CONDITION_KEYWORDS = new Set(['if', 'while', 'for', 'with']);
+
+// A newline after these tokens (or before the next set) never ends a statement
+const JOINS_AFTER = new Set([
+    '{', '(', '[', ',', ';', ':', '?', '=', '=>', '&&', '||', '??', '==', '===',
+    '!=', '!==', '<', '>', '<=', '>=', '+', '-', '*', '/', '%', '!', '...',
+    '+=', '-=', '*=', '/=', '%=', '&&=', '||=', '??=', '.', '?.'
+]);
+const JOINS_BEFORE = new Set([')', ']', '}', ',', ';', '.', '?.', ':', '?', '=', '=>', '&&', '||', '??']);
+
+const isWordChar = (ch) => /[\w$\u0080-\uffff]/.test(ch);
+
+/**
+ * Split JavaScript source into tokens
+ * @param {string} src - Source code
+ * @returns {Array<{type: string, value: string, newlineBefore: boolean}>}
+ */
+export function tokenize(src) {
+    const tokens = [];
+    const templateDepth = [];
+    // Per open (, whether it starts an if/while/for condition
+    const parens = [];
+    const conditionEnds = new Set();
+    let braceDepth = 0;
+    let newlineBefore = false;
+    let i = 0;
+
+    const push = (type, value) => {
+        tokens.push({ type, value, newlineBefore });
+        newlineBefore = false;
+    };
+
+    const regexAllowed = () => {
+        const prev = tokens[tokens.length - 1];
+        if (!prev) return true;
+        if (prev.type === 'punct' && prev.value === ')') return conditionEnds.has(prev);
+        if (prev.type === 'punct') return ![']', '}'].includes(prev.value);
+        if (prev.type === 'template') return prev.value.endsWith('${');
+        return prev.type === 'word' && REGEX_KEYWORDS.has(prev.value);
+    };
+
+    // Reads template characters from i up to the closing backtick or the next ${
+    const readTemplateChunk = () => {
+        const start = i;
+        while (i < src.length) {
+            if (src[i] === '\\') { i += 2; continue; }
+            if (src[i] === '`') { i++; return { value: src.slice(start, i), open: false }; }
+            if (src[i] === '$' && src[i + 1] === '{') { i += 2; return { value: src.slice(start, i), open: true }; }
+            i++;
+        }
+        throw new Error('Unterminated template literal');
+    };
+
+    while (i < src.length) {
+        const ch = src[i];
+
+        if (ch === '\n') { newlineBefore = true; i++; continue; }
+        if (/\s/.test(ch)) { i++; continue; }
+
+        if (ch === '/' && src[i + 1] === '/') {
+            while (i < src.length && src[i] !== '\n') i++;
+            continue;
+        }
+        if (ch === '/' && src[i + 1] === '*') {
+            const end = src.indexOf('*/', i + 2);
+            if (end === -1) throw new Error('Unterminated comment');
+            if (src.slice(i, end).includes('\n')) newlineBefore = true;
+            i = end + 2;
+            continue;
+        }
+
+        if (ch === '"' || ch === "'") {
+            const start = i++;
+            while (i < src.length && src[i] !== ch) {
+                if (src[i] === '\\') i++;
+                if (src[i] === '\n') throw new Error('Unterminated string literal');
+                i++;
+            }
+            i++;
+            push('string', src.slice(start, i));
+            continue;
+        }
+
+        if (ch === '`') {
+            i++;
+            const chunk = readTemplateChunk();
+            push('template', '`' + chunk.value);
+            if (chunk.open) templateDepth.push(braceDepth);
+            continue;
+        }
+
+        if (ch === '}' && templateDepth.length && templateDepth[templateDepth.length - 1] === braceDepth) {
+            templateDepth.pop();
+            i++;
+            const chunk = readTemplateChunk();
+            push('template', '}' + chunk.value);
+            if (chunk.open) templateDepth.push(braceDepth);
+            continue;
+        }
+
+        if (ch === '/' && regexAllowed()) {
+            const start = i++;
+            let inClass = false;
+            while (i < src.length && (src[i] !== '/' || inClass)) {
+                if (src[i] === '\\') i++;
+                else if (src[i] === '[') inClass = true;
+                else if (src[i] === ']') inClass = false;
+                else if (src[i] === '\n') throw new Error('Unterminated regular expression');
+                i++;
+            }
+            i++;
+            while (i < src.length && /[a-z]/i.test(src[i])) i++;
+            push('regex', src.slice(start, i));
+            continue;
+        }
+
+        if (isWordChar(ch)) {
+            const start = i;
+            while (i < src.length && isWordChar(src[i])) i++;
+            push('word', src.slice(start, i));
+            continue;
+        }
+
+        const punct = PUNCTUATORS.find(p => src.startsWith(p, i)) || ch;
+        if (punct === '{') braceDepth++;
+        if (punct === '}') braceDepth--;
+        if (punct === '(') {
+            const keyword = tokens[tokens.length - 1];
+            const before = tokens[tokens.length - 2];
+            // Not a method that happens to share the name (x.if())
+            parens.push(keyword?.type === 'word' && CONDITION_KEYWORDS.has(keyword.value) &&
+                !(before?.type === 'punct' && ['.', '?.'].includes(before.value)));
+        }
+        i += punct.length;
+        push('punct', punct);
+        if (punct === ')' && parens.pop()) conditionEnds.add(tokens[tokens.length - 1]);
+    }
+
+    return tokens;
+}
+
+const joinsAfter = (token) => (token.type === 'punct' && JOINS_AFTER.has(token.value)) ||
+    (token.type === 'template' && token.value.endsWith('${'));
+const joinsBefore = (token) => (token.type === 'punct' && JOINS_BEFORE.has(token.value)) ||
+    (token.type === 'template' && token.value[0] === '}');
+
+/**
+ * Minify JavaScript source
+ * @param {string} src - Source code
+ * @returns {string}
+ */
+export function minify(src) {
+    let out = '';
+    let prev = null;
+
+    tokenize(src).forEach(token => {
+        if (prev) {
+            const last = prev.value[prev.value.length - 1];
+            const first = token.value[0];
+            const keepNewline = token.newlineBefore && !joinsAfter(prev) && !joinsBefore(token);
+
+            if (keepNewline) {
+                out += '\n';
+            } else if ((isWordChar(last) && isWordChar(first)) ||
+                (last === '+' && first === '+') || (last === '-' && first === '-') ||
+                (last === '/' && first === '/')) {
+                out += ' ';
+            }
+        }
+        out += token.value;
+        prev = token;
+    });
+
+    return out + '\n';
+}
+
+/* ============================================
+   MAIN
+   ============================================ */
+
+export function build() {
+    const minified = !process.argv.includes('--no-minify');
+
+    BUNDLES.forEach(({ entry, output: file, shares, sharedWith }) => {
+        const bundled = bundle(entry, { shares, shared: sharedWith ? sharedModules(sharedWith) : undefined });
+        const output = BANNER + (minified ? minify(bundled) : bundled);
+
+        fs.writeFileSync(file, output);
+        console.log(`Built ${path.relative(ROOT, file)} (${(Buffer.byteLength(output) / 1024).toFixed(1)} KB${minified ? ', minified' : ''})`);
+    });
+
+    const seo = buildSeo();
+    console.log(`Wrote sitemap.xml (${seo.urls} URLs) and robots.txt; structured data in ${seo.pages.length} pages`);
+
+    const pages = buildCriticalCss();
+    const largest = pages.reduce((max, page) => page.bytes > max.bytes ? page : max);
+    console.log(`Inlined critical CSS in ${pages.length} pages (largest ${largest.page}, ${(largest.bytes / 1024).toFixed(1)} KB)`);
+
+    const worker = bundle(SERVICE_WORKER.entry);
+    const manifest = precacheManifest();
+    const precacheBytes = manifest.reduce((sum, { url }) => sum + fs.statSync(path.join(ROOT, url)).size, 0);
+    fs.writeFileSync(SERVICE_WORKER.output, injectPrecacheManifest(BANNER + (minified ? minify(worker) : worker), manifest));
+    console.log(`Built sw.js (precaches ${manifest.length} files, ${(precacheBytes / 1024 / 1024).toFixed(1)} MB)`);
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    try {
+        build();
+    } catch (err) {
+        console.error(`Build failed: ${err.message}`);
+        process.exit(1);
+    }
+}
@@ -0,0 +1,483 @@
+#!/usr/bin/env node
+/* ============================================
+   FRESHFLOW FOODS - CRITICAL CSS
+   Inlines the above-the-fold rules of every page:
+   the rules of its async stylesheets that can
+   match the header and the first <section> (the
+   hero), minified into the page's <style> block.
+   Runs as part of scripts/build.js and fails the
+   build when a page's inline CSS outgrows
+   CRITICAL_CSS_BUDGET.
+
+   Usage: node scripts/critical-css.js
+   ============================================ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+/** Most critical CSS one page may inline, in bytes (minified, before compression) */
+export const CRITICAL_CSS_BUDGET = 14 * 1024;
+
+// Classes scripts add before the full stylesheet may have arrived (a reload halfway down the page)
+const RUNTIME_CLASSES = ['scrolled'];
+
+// Attributes set on <html> by the inline language script before first paint
+const RUNTIME_ATTRIBUTES = ['dir', 'lang'];
+
+// States that need a visitor and so never show at first paint
+const INTERACTION_PSEUDO = /(?<!:):(?:hover|focus|focus-visible|focus-within|active|visited|checked|target)(?![\w-])/;
+
+/* ============================================
+   PARSER
+   ============================================ */
+
+/**
+ * Index just past a string or comment starting at `i`, or `i` if there is none
+ * @param {string} css - Stylesheet
+ * @param {number} i - Position
+ * @returns {number}
+ */
+function skipStringOrComment(css, i) {
+    const char = css[i];
+    if (char === '"' || char === "'") {
+        let j = i + 1;
+        while (j < css.length && css[j] !== char) j += css[j] === '\\' ? 2 : 1;
+        return j + 1;
+    }
+    if (char === '/' && css[i + 1] === '*') {
+        const end = css.indexOf('*/', i + 2);
+        return end === -1 ? css.length : end + 2;
+    }
+    return i;
+}
+
+/**
+ * Remove comments, leaving strings alone
+ * @param {string} css - CSS text
+ * @returns {string}
+ */
+function stripComments(css) {
+    let out = '';
+    for (let i = 0; i < css.length;) {
+        const next = skipStringOrComment(css, i);
+        if (next === i) {
+            out += css[i++];
+        } else {
+            if (css[i] !== '/') out += css.slice(i, next);
+            i = next;
+        }
+    }
+    return out;
+}
+
+/**
+ * Index of the brace closing the block opened at `open`
+ * @param {string} css - Stylesheet
+ * @param {number} open - Index of the {
+ * @returns {number}
+ */
+function closingBrace(css, open) {
+    let depth = 0;
+    for (let i = open; i < css.length;) {
+        const next = skipStringOrComment(css, i);
+        if (next !== i) {
+            i = next;
+            continue;
+        }
+        if (css[i] === '{') depth++;
+        if (css[i] === '}' && --depth === 0) return i;
+        i++;
+    }
+    throw new Error(`Unclosed block at ${css.slice(open - 40, open).trim()}`);
+}
+
+/**
+ * Parse a stylesheet into rules, grouping at-rules (@media, @supports) and other at-rules
+ * @param {string} css - Stylesheet
+ * @returns {Array<Object>} - {type: 'rule', selector, body} | {type: 'group', prelude, children} | {type: 'at', prelude, body}
+ */
+export function parseCss(css) {
+    const nodes = [];
+    let i = 0;
+    while (i < css.length) {
+        let j = i;
+        while (j < css.length && css[j] !== '{' && css[j] !== ';' && css[j] !== '}') {
+            const next = skipStringOrComment(css, j);
+            j = next === j ? j + 1 : next;
+        }
+        const prelude = stripComments(css.slice(i, j)).trim();
+        if (j >= css.length || css[j] === '}') break;
+        if (css[j] === ';') {
+            if (prelude) nodes.push({ type: 'at', prelude, body: null });
+            i = j + 1;
+            continue;
+        }
+
+        const close = closingBrace(css, j);
+        const body = css.slice(j + 1, close);
+        if (/^@(?:media|supports)\b/i.test(prelude)) {
+            nodes.push({ type: 'group', prelude, children: parseCss(body) });
+        } else if (prelude.startsWith('@')) {
+            nodes.push({ type: 'at', prelude, body });
+        } else {
+            nodes.push({ type: 'rule', selector: prelude, body });
+        }
+        i = close + 1;
+    }
+    return nodes;
+}
+
+/**
+ * Split on a separator outside parentheses, brackets and strings
+ * @param {string} text - Selector list or declaration block
+ * @param {string} separator - Single character
+ * @returns {string[]}
+ */
+function splitTopLevel(text, separator) {
+    const parts = [];
+    let depth = 0;
+    let start = 0;
+    for (let i = 0; i < text.length;) {
+        const next = skipStringOrComment(text, i);
+        if (next !== i) {
+            i = next;
+            continue;
+        }
+        const char = text[i];
+        if (char === '(' || char === '[') depth++;
+        if (char === ')' || char === ']') depth--;
+        if (char === separator && depth === 0) {
+            parts.push(text.slice(start, i));
+            start = i + 1;
+        }
+        i++;
+    }
+    parts.push(text.slice(start));
+    return parts.map(part => part.trim()).filter(Boolean);
+}
+
+/* ============================================
+   MINIFIER
+   ============================================ */
+
+/**
+ * Collapse whitespace outside strings with a replacer
+ * @param {string} text - CSS text without comments
+ * @param {Function} squeeze - Applied to each run between strings
+ * @returns {string}
+ */
+function outsideStrings(text, squeeze) {
+    return text.split(/("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*')/).map((part, index) => index % 2 ? part : squeeze(part)).join('');
+}
+
+/**
+ * Minify a selector or at-rule prelude
+ * @param {string} text - Selector
+ * @returns {string}
+ */
+function minifySelector(text) {
+    return outsideStrings(text, part => part.replace(/\s+/g, ' ').replace(/\s*([>,~+])\s*/g, '$1')).trim();
+}
+
+/**
+ * Minify a @media/@supports prelude, keeping the space after the keyword
+ * @param {string} text - Prelude
+ * @returns {string}
+ */
+function minifyPrelude(text) {
+    return outsideStrings(text, part => part.replace(/\s+/g, ' ').replace(/\(\s*([\w-]+)\s*:\s*/g, '($1:').replace(/\s*\)/g, ')')).trim();
+}
+
+/**
+ * Parse and minify a declaration block
+ * @param {string} body - Text between the braces
+ * @returns {Array<Array<string>>} - [property, value] pairs
+ */
+function parseDeclarations(body) {
+    return splitTopLevel(stripComments(body), ';')
+        .map(declaration => {
+            const colon = declaration.indexOf(':');
+            if (colon === -1) return null;
+            const property = declaration.slice(0, colon).trim();
+            const value = outsideStrings(declaration.slice(colon + 1), part => part
+                .replace(/\s+/g, ' ')
+                .replace(/\s*,\s*/g, ',')
+                .replace(/\s*!\s*important/gi, '!important')
+                .replace(/\(\s+/g, '(')
+                .replace(/\s+\)/g, ')')).trim();
+            return [property.startsWith('--') ? property : property.toLowerCase(), value];
+        })
+        .filter(Boolean);
+}
+
+/**
+ * Serialize parsed nodes back to minified CSS
+ * @param {Array<Object>} nodes - From parseCss, rules carrying `declarations`
+ * @returns {string}
+ */
+function serialize(nodes) {
+    return nodes.map(node => {
+        if (node.type === 'group') return `${minifyPrelude(node.prelude)}{${serialize(node.children)}}`;
+        if (node.type === 'at') {
+            if (node.body === null) return `${minifyPrelude(node.prelude)};`;
+            if (/^@font-face\b/i.test(node.prelude)) {
+                return `@font-face{${parseDeclarations(node.body).map(([property, value]) => `${property}:${value}`).join(';')}}`;
+            }
+            const frames = parseCss(node.body).map(frame => ({ ...frame, selectors: splitTopLevel(frame.selector, ','), declarations: parseDeclarations(frame.body) }));
+            return `${minifyPrelude(node.prelude)}{${serialize(frames)}}`;
+        }
+        return `${node.selectors.map(minifySelector).join(',')}{${node.declarations.map(([property, value]) => `${property}:${value}`).join(';')}}`;
+    }).join('');
+}
+
+/* ============================================
+   ABOVE THE FOLD
+   ============================================ */
+
+/**
+ * Tags, classes, ids and attributes of the header and first section of a page
+ * @param {string} html - Page
+ * @returns {{tags: Set<string>, classes: Set<string>, ids: Set<string>, attributes: Set<string>}}
+ */
+export function foldElements(html) {
+    const bodyStart = html.search(/<body\b/i);
+    const sectionEnd = html.indexOf('</section>', bodyStart);
+    const fold = html.slice(Math.max(bodyStart, 0), sectionEnd === -1 ? undefined : sectionEnd);
+    const found = {
+        tags: new Set(['html', 'body']),
+        classes: new Set(RUNTIME_CLASSES),
+        ids: new Set(),
+        attributes: new Set(RUNTIME_ATTRIBUTES)
+    };
+
+    for (const [, tag, attributes] of fold.matchAll(/<([a-zA-Z][\w-]*)([^>]*)>/g)) {
+        found.tags.add(tag.toLowerCase());
+        for (const [, name, value = ''] of attributes.matchAll(/([^\s=/>]+)(?:\s*=\s*"([^"]*)")?/g)) {
+            found.attributes.add(name.toLowerCase());
+            if (name === 'class') value.split(/\s+/).filter(Boolean).forEach(cls => found.classes.add(cls));
+            if (name === 'id') found.ids.add(value);
+        }
+    }
+    return found;
+}
+
+/**
+ * Whether a single selector can match something above the fold
+ * Structure (descent, order) is not checked: every class, id, tag and
+ * attribute it names only has to appear somewhere in the fold.
+ * @param {string} selector - One selector, no commas
+ * @param {Object} fold - From foldElements
+ * @returns {boolean}
+ */
+export function matchesFold(selector, fold) {
+    if (INTERACTION_PSEUDO.test(selector) || selector.startsWith(':host')) return false;
+    const attributes = [...selector.matchAll(/\[\s*([\w-]+)/g)].map(([, name]) => name.toLowerCase());
+    const simple = selector
+        .replace(/\[[^\]]*\]/g, ' ')
+        .replace(/::?[\w-]+(?:\([^)]*\))?/g, ' ');
+
+    const classes = [...simple.matchAll(/\.([\w-]+)/g)].map(([, name]) => name);
+    const ids = [...simple.matchAll(/#([\w-]+)/g)].map(([, name]) => name);
+    const tags = simple.split(/[\s>+~]+/)
+        .map(compound => compound.match(/^[a-zA-Z][\w-]*/)?.[0].toLowerCase())
+        .filter(Boolean);
+
+    return classes.every(name => fold.classes.has(name)) &&
+        ids.every(name => fold.ids.has(name)) &&
+        tags.every(name => fold.tags.has(name)) &&
+        attributes.every(name => fold.attributes.has(name));
+}
+
+/**
+ * Keep the rules, and the selectors within them, that can match above the fold
+ * @param {Array<Object>} nodes - From parseCss
+ * @param {Object} fold - From foldElements
+ * @returns {Array<Object>}
+ */
+function selectRules(nodes, fold) {
+    return nodes.flatMap(node => {
+        if (node.type === 'group') {
+            const children = selectRules(node.children, fold);
+            return children.length ? [{ ...node, children }] : [];
+        }
+        // Kept for now; pruneUnused drops the ones no selected rule uses
+        if (node.type === 'at') return /^@(?:keyframes|font-face)\b/i.test(node.prelude) ? [node] : [];
+        const selectors = splitTopLevel(node.selector, ',').filter(selector => matchesFold(selector, fold));
+        const declarations = parseDeclarations(node.body);
+        return selectors.length && declarations.length ? [{ ...node, selectors, declarations }] : [];
+    });
+}
+
+/**
+ * Visit every style rule, inside groups too
+ * @param {Array<Object>} nodes - Selected nodes
+ * @param {Function} visit - Called with each rule
+ */
+function eachRule(nodes, visit) {
+    nodes.forEach(node => {
+        if (node.type === 'group') eachRule(node.children, visit);
+        if (node.type === 'rule') visit(node);
+    });
+}
+
+/**
+ * Drop the custom properties, @keyframes and @font-face rules nothing selected uses
+ * @param {Array<Object>} nodes - Selected nodes
+ * @returns {Array<Object>}
+ */
+function pruneUnused(nodes) {
+    const definitions = new Map();
+    const used = new Set();
+    const animations = new Set();
+    const fonts = new Set();
+    const usesOf = value => [...value.matchAll(/var\(\s*(--[\w-]+)/g)].map(([, name]) => name);
+
+    eachRule(nodes, rule => rule.declarations.forEach(([property, value]) => {
+        if (property.startsWith('--')) {
+            definitions.set(property, [...(definitions.get(property) || []), ...usesOf(value)]);
+        } else {
+            usesOf(value).forEach(name => used.add(name));
+            // Any word of an animation value may be a @keyframes name
+            if (property === 'animation' || property === 'animation-name') {
+                value.split(/[\s,]+/).forEach(word => animations.add(word));
+            }
+            if (property === 'font-family' || property === 'font') {
+                value.split(',').forEach(family => fonts.add(family.trim().replace(/^.*\s(?=\S+$)|['"]/g, '')));
+            }
+        }
+    }));
+
+    // Custom properties defined in terms of others
+    const pending = [...used];
+    while (pending.length) {
+        (definitions.get(pending.pop()) || []).forEach(name => {
+            if (!used.has(name)) {
+                used.add(name);
+                pending.push(name);
+            }
+        });
+    }
+
+    const prune = list => list.flatMap(node => {
+        if (node.type === 'group') {
+            const children = prune(node.children);
+            return children.length ? [{ ...node, children }] : [];
+        }
+        if (node.type === 'at' && /^@font-face\b/i.test(node.prelude)) {
+            const family = parseDeclarations(node.body).find(([property]) => property === 'font-family');
+            return family && fonts.has(family[1].replace(/['"]/g, '')) ? [node] : [];
+        }
+        if (node.type === 'at') {
+            return animations.has(node.prelude.replace(/^@keyframes\s+/i, '').trim()) ? [node] : [];
+        }
+        const declarations = node.declarations.filter(([property]) => !property.startsWith('--') || used.has(property));
+        return declarations.length ? [{ ...node, declarations }] : [];
+    });
+    return prune(nodes);
+}
+
+/**
+ * Point url()s written relative to a stylesheet at the same files from the page
+ * @param {string} css - Minified CSS
+ * @param {string} sheet - Stylesheet path relative to the root, e.g. css/style.css
+ * @returns {string}
+ */
+function rebaseUrls(css, sheet) {
+    const dir = path.posix.dirname(sheet);
+    return css.replace(/url\((['"]?)([^'")]+)\1\)/g, (match, quote, url) => {
+        if (/^(?:[a-z]+:|\/|#)/i.test(url)) return match;
+        return `url(${quote}${path.posix.normalize(path.posix.join(dir, url))}${quote})`;
+    });
+}
+
+/**
+ * Critical CSS for a page
+ * @param {string} html - Page
+ * @param {Array<{href: string, css: string}>} sheets - Its async stylesheets, in order
+ * @returns {string}
+ */
+export function extractCriticalCss(html, sheets) {
+    const fold = foldElements(html);
+    return sheets
+        .map(({ href, css }) => rebaseUrls(serialize(pruneUnused(selectRules(parseCss(css), fold))), href))
+        .join('');
+}
+
+/* ============================================
+   PAGES
+   ============================================ */
+
+/**
+ * Stylesheets a page loads with the preload + onload pattern
+ * @param {string} html - Page
+ * @returns {string[]} - hrefs relative to the root
+ */
+export function asyncStylesheets(html) {
+    return [...html.matchAll(/<link\b[^>]*\brel="preload"[^>]*>/g)]
+        .map(([tag]) => tag)
+        .filter(tag => /\bas="style"/.test(tag) && /\bonload=/.test(tag))
+        .map(tag => tag.match(/\bhref="([^"]+)"/)[1]);
+}
+
+/**
+ * Replace the contents of a page's first <style> block in <head>
+ * @param {string} html - Page
+ * @param {string} css - Minified CSS
+ * @returns {string}
+ */
+export function injectCriticalCss(html, css) {
+    const head = html.indexOf('</head>');
+    const match = /([ \t]*)<style>[\s\S]*?<\/style>/.exec(html);
+    if (!match || match.index > head) throw new Error('no <style> block in <head> to fill');
+    const indent = match[1];
+    return html.slice(0, match.index) + `${indent}<style>\n${indent}${css}\n${indent}</style>` + html.slice(match.index + match[0].length);
+}
+
+/**
+ * Inline the critical CSS of every page in the root
+ * Nothing is written unless every page is within the budget.
+ * @param {Object} [options]
+ * @param {number} [options.budget] - Bytes per page
+ * @returns {Array<{page: string, bytes: number}>}
+ */
+export function buildCriticalCss({ budget = CRITICAL_CSS_BUDGET } = {}) {
+    const cache = new Map();
+    const readSheet = href => {
+        if (!cache.has(href)) cache.set(href, fs.readFileSync(path.join(ROOT, href), 'utf8'));
+        return cache.get(href);
+    };
+
+    const results = fs.readdirSync(ROOT)
+        .filter(file => file.endsWith('.html'))
+        .sort()
+        .map(page => {
+            const html = fs.readFileSync(path.join(ROOT, page), 'utf8');
+            const sheets = asyncStylesheets(html).map(href => ({ href, css: readSheet(href) }));
+            const css = extractCriticalCss(html, sheets);
+            return { page, html, css, bytes: Buffer.byteLength(css) };
+        });
+
+    const over = results.filter(({ bytes }) => bytes > budget);
+    if (over.length) {
+        throw new Error(`critical CSS over the ${(budget / 1024).toFixed(1)} KB budget: ` +
+            over.map(({ page, bytes }) => `${page} (${(bytes / 1024).toFixed(1)} KB)`).join(', '));
+    }
+
+    results.forEach(({ page, html, css }) => {
+        const output = injectCriticalCss(html, css);
+        if (output !== html) fs.writeFileSync(path.join(ROOT, page), output);
+    });
+    return results.map(({ page, bytes }) => ({ page, bytes }));
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    try {
+        buildCriticalCss().forEach(({ page, bytes }) => console.log(`Inlined ${(bytes / 1024).toFixed(1)} KB of critical CSS in ${page}`));
+    } catch (err) {
+        console.error(`Critical CSS failed: ${err.message}`);
+        process.exit(1);
+    }
+}
@@ -0,0 +1,99 @@
+#!/usr/bin/env node
+/* ============================================
+   FRESHFLOW FOODS - EXPORT DOCUMENT PACK
+   Writes the proforma invoice, packing list,
+   certificate of origin draft and halal
+   declaration for a consignment, each as its own
+   printable page plus the whole pack in one.
+
+   Usage: node scripts/export-documents.js ID [--type TYPE] [--date YYYY-MM-DD] [--out DIR]
+   Types: proforma-invoice, packing-list,
+          certificate-of-origin, halal-declaration
+   Defaults: the whole pack, today,
+             data/documents/<ID>/
+   ============================================ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+import { JsonStore } from '../server/lib/json-store.js';
+import { normalizeConsignmentId } from '../server/consignments.js';
+import { DOCUMENT_TYPES, findDocumentProblems, renderExportDocuments, sampleRegistrations } from '../server/lib/export-documents.js';
+import { parseTimestamp } from '../src/js/cold-chain.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+/**
+ * Generate the documents
+ */
+async function main() {
+    const { values, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            type: { type: 'string', multiple: true },
+            date: { type: 'string' },
+            out: { type: 'string', default: path.join(ROOT, 'data/documents') }
+        }
+    });
+
+    const [rawId] = positionals;
+    const types = values.type || Object.keys(DOCUMENT_TYPES);
+    const unknownTypes = types.filter(type => !Object.hasOwn(DOCUMENT_TYPES, type));
+    const time = values.date ? parseTimestamp(values.date) : Date.now();
+
+    if (!rawId) {
+        console.error('Usage: node scripts/export-documents.js ID [--type TYPE] [--date YYYY-MM-DD] [--out DIR]');
+        process.exitCode = 1;
+        return;
+    }
+    if (unknownTypes.length) {
+        console.error(`Unknown document type: ${unknownTypes.join(', ')} (use ${Object.keys(DOCUMENT_TYPES).join(', ')})`);
+        process.exitCode = 1;
+        return;
+    }
+    if (Number.isNaN(time)) {
+        console.error(`Not a date: ${values.date} (use YYYY-MM-DD)`);
+        process.exitCode = 1;
+        return;
+    }
+
+    // Same store the server uses, so the sample lots work before real ones exist
+    const store = new JsonStore(path.join(ROOT, 'data/consignments.json'), {
+        seed: path.join(ROOT, 'server/fixtures/consignments.json')
+    });
+    const id = normalizeConsignmentId(rawId);
+    const consignment = await store.get(id);
+    if (!consignment) {
+        console.error(`Unknown consignment ID: ${id}`);
+        process.exitCode = 1;
+        return;
+    }
+
+    const date = new Date(time);
+    const problems = findDocumentProblems(consignment, { types, date });
+    if (problems.length) {
+        console.error(`Cannot issue documents for ${id}:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+        process.exitCode = 1;
+        return;
+    }
+
+    const dir = path.resolve(values.out, id);
+    await fs.mkdir(dir, { recursive: true });
+    const files = types.map(type => [`${id}-${DOCUMENT_TYPES[type].code}.html`, [type]]);
+    if (types.length > 1) files.push([`${id}-documents.html`, types]);
+
+    for (const [file, fileTypes] of files) {
+        await fs.writeFile(path.join(dir, file), renderExportDocuments(consignment, { types: fileTypes, date }));
+    }
+    console.log(`Wrote ${files.length} file(s) to ${path.relative(process.cwd(), dir)}`);
+
+    const samples = sampleRegistrations();
+    if (samples.length) {
+        console.warn(`Marked as drafts: the ${samples.join(', ')} numbers are samples (src/data/company.json, src/data/certifications.json)`);
+    }
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    main();
+}
@@ -0,0 +1,611 @@
+#!/usr/bin/env node
+/* ============================================
+   FRESHFLOW FOODS - IMAGE PIPELINE
+   Encodes every photo under images/ as AVIF, WebP
+   and a JPEG fallback (PNG when it has
+   transparency) at several widths into
+   images/generated/, then points the hero
+   <picture> elements, the page-hero backgrounds
+   and their preloads at them. Also renders the
+   web app manifest's icons from the logo.
+   images/generated/manifest.json records a hash of
+   each source, so only new or changed images are
+   encoded again.
+
+   Usage: node scripts/images.js [--force]
+          node scripts/images.js --markup IMAGE [--sizes SIZES] [--alt TEXT]
+   Needs the sharp dev dependency (npm install).
+   ============================================ */
+
+import crypto from 'node:crypto';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const IMAGES_DIR = path.join(ROOT, 'images');
+const OUTPUT_DIR = path.join(IMAGES_DIR, 'generated');
+const MANIFEST_FILE = path.join(OUTPUT_DIR, 'manifest.json');
+const STYLESHEETS = [path.join(ROOT, 'css/style.css')];
+
+/** Widths generated for every image, never wider than the source */
+export const WIDTHS = [480, 768, 1280, 1920];
+
+// Encoder settings per output format; part of every source hash, so editing them re-encodes everything
+const FORMATS = {
+    avif: { mime: 'image/avif', options: { quality: 50, effort: 4 } },
+    webp: { mime: 'image/webp', options: { quality: 75 } },
+    jpg: { mime: 'image/jpeg', options: { quality: 80, mozjpeg: true } },
+    png: { mime: 'image/png', options: { compressionLevel: 9, palette: true, quality: 90 } }
+};
+
+// Most preferred source first: the WebP copies convert-images.ps1 left next to photos are not originals
+const SOURCE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.webp'];
+
+/** Hero carousel images fill the viewport width */
+export const HERO_SIZES = '100vw';
+
+/** Page-hero backgrounds: a smaller image up to `mobile.maxWidth` viewports */
+export const BACKGROUND = { width: 1920, mobile: { maxWidth: 768, width: 1280 } };
+
+const SETTINGS_HASH = JSON.stringify({ WIDTHS, FORMATS });
+
+/** Manifest key of the image the app icons are made from */
+export const APP_ICON_SOURCE = 'brand/logo';
+
+/** Icons for manifest.webmanifest */
+export const APP_ICONS = [
+    { file: 'images/generated/icons/icon-192.png', size: 192, purpose: 'any' },
+    { file: 'images/generated/icons/icon-512.png', size: 512, purpose: 'any' },
+    { file: 'images/generated/icons/icon-maskable-512.png', size: 512, purpose: 'maskable' }
+];
+
+// Background behind maskable icons, which platforms crop to their own shape
+const MASKABLE_BACKGROUND = '#FFFFFF';
+
+/* ============================================
+   ENCODING
+   ============================================ */
+
+/**
+ * Output widths for a source image
+ * @param {number} width - Source width in pixels
+ * @returns {number[]}
+ */
+export function outputWidths(width) {
+    const widths = WIDTHS.filter(w => w <= width);
+    if (width < WIDTHS.at(-1) && !widths.includes(width)) widths.push(width);
+    return widths;
+}
+
+/**
+ * Path of a generated file, relative to the site root
+ * @param {string} key - Source path below images/ without its extension
+ * @param {number} width - Output width
+ * @param {string} format - Key of FORMATS
+ * @returns {string}
+ */
+export function outputFile(key, width, format) {
+    return `images/generated/${key}-${width}.${format}`;
+}
+
+/**
+ * Every file generated for a manifest entry
+ * @param {string} key - Manifest key
+ * @param {Object} entry - Manifest entry
+ * @returns {string[]}
+ */
+function entryFiles(key, entry) {
+    return entry.widths.flatMap(width => ['avif', 'webp', entry.fallback].map(format => outputFile(key, width, format)));
+}
+
+/**
+ * List the source images below images/, one per key
+ * @returns {Promise<Map<string, string>>} - Key to absolute path
+ */
+async function findSources() {
+    const sources = new Map();
+    const entries = await fs.readdir(IMAGES_DIR, { recursive: true, withFileTypes: true });
+    const files = entries
+        .filter(entry => entry.isFile())
+        .map(entry => path.join(entry.parentPath ?? entry.path, entry.name))
+        .filter(file => !file.startsWith(OUTPUT_DIR + path.sep))
+        .filter(file => SOURCE_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+        .sort((a, b) => SOURCE_EXTENSIONS.indexOf(path.extname(a).toLowerCase()) - SOURCE_EXTENSIONS.indexOf(path.extname(b).toLowerCase()));
+
+    for (const file of files) {
+        const key = path.relative(IMAGES_DIR, file).split(path.sep).join('/').replace(/\.[^.]+$/, '');
+        if (!sources.has(key)) sources.set(key, file);
+    }
+    return sources;
+}
+
+/**
+ * Hash a source image together with the encoder settings
+ * @param {Buffer} buffer - Source file contents
+ * @returns {string}
+ */
+function hashSource(buffer) {
+    return crypto.createHash('sha256').update(SETTINGS_HASH).update(buffer).digest('hex').slice(0, 16);
+}
+
+/**
+ * Read the manifest, or an empty one before the first run
+ * @returns {Promise<Object>} - Key to {source, hash, width, height, fallback, widths}
+ */
+export async function readManifest() {
+    try {
+        return JSON.parse(await fs.readFile(MANIFEST_FILE, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return {};
+        throw error;
+    }
+}
+
+/**
+ * Whether every file of an entry is on disk
+ * @param {string} key - Manifest key
+ * @param {Object} entry - Manifest entry
+ * @returns {Promise<boolean>}
+ */
+async function hasAllFiles(key, entry) {
+    const found = await Promise.all(entryFiles(key, entry).map(file => fs.access(path.join(ROOT, file)).then(() => true, () => false)));
+    return found.every(Boolean);
+}
+
+/**
+ * Encode one source at every width and format
+ * @param {Function} sharp - The sharp module
+ * @param {string} key - Manifest key
+ * @param {Buffer} buffer - Source file contents
+ * @returns {Promise<Object>} - Manifest entry without source and hash
+ */
+async function encodeImage(sharp, key, buffer) {
+    // Phone photos carry an EXIF orientation; rotate() applies it
+    const image = sharp(buffer).rotate();
+    const metadata = await image.metadata();
+    const { width, height } = metadata.autoOrient ?? metadata;
+    const { isOpaque } = await image.stats();
+    const fallback = isOpaque ? 'jpg' : 'png';
+    const widths = outputWidths(width);
+
+    await fs.mkdir(path.dirname(path.join(ROOT, outputFile(key, widths[0], fallback))), { recursive: true });
+    for (const outputWidth of widths) {
+        for (const format of ['avif', 'webp', fallback]) {
+            const encoder = format === 'jpg' ? 'jpeg' : format;
+            await image.clone()
+                .resize({ width: outputWidth })
+                [encoder](FORMATS[format].options)
+                .toFile(path.join(ROOT, outputFile(key, outputWidth, format)));
+        }
+    }
+    return { width, height, fallback, widths };
+}
+
+/**
+ * Encode new and changed images and drop the files of removed ones
+ * @param {Function} sharp - The sharp module
+ * @param {Object} [options]
+ * @param {boolean} [options.force] - Encode everything again
+ * @returns {Promise<{manifest: Object, encoded: string[], unchanged: number, removed: string[]}>}
+ */
+export async function buildImages(sharp, { force = false } = {}) {
+    const previous = await readManifest();
+    const sources = await findSources();
+    const manifest = {};
+    const encoded = [];
+    const removed = [];
+    let unchanged = 0;
+
+    for (const [key, file] of [...sources].sort(([a], [b]) => a.localeCompare(b))) {
+        const buffer = await fs.readFile(file);
+        const hash = hashSource(buffer);
+        const source = path.relative(ROOT, file).split(path.sep).join('/');
+        const old = previous[key];
+
+        if (!force && old?.hash === hash && old.source === source && await hasAllFiles(key, old)) {
+            manifest[key] = old;
+            unchanged++;
+            continue;
+        }
+
+        console.log(`Encoding ${source}`);
+        manifest[key] = { source, hash, ...await encodeImage(sharp, key, buffer) };
+        encoded.push(key);
+    }
+
+    // Files the new manifest no longer lists: removed sources, dropped widths, a changed fallback
+    const keep = new Set(Object.entries(manifest).flatMap(([key, entry]) => entryFiles(key, entry)));
+    for (const [key, entry] of Object.entries(previous)) {
+        const stale = entryFiles(key, entry).filter(file => !keep.has(file));
+        await Promise.all(stale.map(file => fs.rm(path.join(ROOT, file), { force: true })));
+        if (!manifest[key]) removed.push(key);
+    }
+
+    await fs.mkdir(OUTPUT_DIR, { recursive: true });
+    await fs.writeFile(MANIFEST_FILE, JSON.stringify(manifest, null, 4) + '\n');
+    return { manifest, encoded, unchanged, removed };
+}
+
+/**
+ * Render the app icons from the logo's source
+ * @param {Function} sharp - The sharp module
+ * @param {Object} manifest - Image manifest, for the logo's source
+ * @param {Object} [options]
+ * @param {boolean} [options.force] - Render icons that already exist
+ * @returns {Promise<string[]>} - Icons written
+ */
+export async function buildAppIcons(sharp, manifest, { force = false } = {}) {
+    const entry = manifest[APP_ICON_SOURCE];
+    if (!entry) throw new Error(`No ${APP_ICON_SOURCE} image for the app icons`);
+
+    const written = [];
+    for (const { file, size, purpose } of APP_ICONS) {
+        const target = path.join(ROOT, file);
+        if (!force && await fs.access(target).then(() => true, () => false)) continue;
+
+        // The logo sits on a transparent canvas; trim it so it fills the icon
+        const logo = sharp(path.join(ROOT, entry.source)).rotate().trim();
+        // Maskable icons keep the logo inside the central 80% safe zone
+        const inner = purpose === 'maskable' ? Math.round(size * 0.8) : size;
+        const start = Math.floor((size - inner) / 2);
+        const end = size - inner - start;
+        const icon = purpose === 'maskable'
+            ? logo.resize(inner, inner, { fit: 'contain', background: MASKABLE_BACKGROUND })
+                .extend({ top: start, bottom: end, left: start, right: end, background: MASKABLE_BACKGROUND })
+                .flatten({ background: MASKABLE_BACKGROUND })
+            : logo.resize(size, size, { fit: 'contain', background: { r: 0, g: 0, b: 0, alpha: 0 } });
+
+        await fs.mkdir(path.dirname(target), { recursive: true });
+        await icon.png(FORMATS.png.options).toFile(target);
+        written.push(file);
+    }
+    return written;
+}
+
+/* ============================================
+   MARKUP
+   ============================================ */
+
+/**
+ * Manifest key an image reference points at
+ * Accepts sources (images/hero/hero1.jpg), their old WebP
+ * copies and generated files, with or without a leading ../
+ * @param {string} ref - src, href or url() value
+ * @param {Object} manifest - Image manifest
+ * @returns {string|null}
+ */
+export function resolveImage(ref, manifest) {
+    const clean = ref.trim().replace(/^(?:\.\.?\/)+/, '');
+    let key = null;
+    if (clean.startsWith('images/generated/')) {
+        key = clean.slice('images/generated/'.length).replace(/-\d+\.\w+$/, '');
+    } else if (clean.startsWith('images/')) {
+        key = clean.slice('images/'.length).replace(/\.\w+$/, '');
+    }
+    return key && Object.hasOwn(manifest, key) ? key : null;
+}
+
+/**
+ * Largest generated width up to a target, or the smallest there is
+ * @param {Object} entry - Manifest entry
+ * @param {number} target - Wanted width
+ * @returns {number}
+ */
+export function pickWidth(entry, target) {
+    return entry.widths.filter(width => width <= target).at(-1) ?? entry.widths[0];
+}
+
+/**
+ * srcset value for one format
+ * @param {string} key - Manifest key
+ * @param {Object} entry - Manifest entry
+ * @param {string} format - avif, webp or the entry's fallback
+ * @param {string} [prefix] - Path prefix, '../' from a stylesheet
+ * @returns {string}
+ */
+export function buildSrcset(key, entry, format, prefix = '') {
+    return entry.widths.map(width => `${prefix}${outputFile(key, width, format)} ${width}w`).join(', ');
+}
+
+/**
+ * CSS image-set() for a background at one width, best format first
+ * @param {string} key - Manifest key
+ * @param {Object} entry - Manifest entry
+ * @param {number} width - Generated width
+ * @param {string} [prefix] - Path prefix, '../' from a stylesheet
+ * @returns {string[]} - url() type() items
+ */
+function imageSetItems(key, entry, width, prefix = '') {
+    return ['avif', 'webp', entry.fallback].map(format => `url('${prefix}${outputFile(key, width, format)}') type('${FORMATS[format].mime}')`);
+}
+
+/**
+ * Split an HTML tag's attributes into [name, value] pairs, in order
+ * @param {string} text - Everything between the tag name and >
+ * @returns {Array<Array<string>>} - value is null for boolean attributes
+ */
+function parseAttributes(text) {
+    return [...text.matchAll(/([^\s=/>]+)(?:\s*=\s*"([^"]*)")?/g)].map(([, name, value]) => [name, value ?? null]);
+}
+
+/**
+ * Render attributes back to HTML
+ * @param {Array<Array<string>>} attributes - [name, value] pairs
+ * @returns {string[]}
+ */
+function renderAttributes(attributes) {
+    return attributes.map(([name, value]) => value === null ? name : `${name}="${value}"`);
+}
+
+/**
+ * <picture> markup for an image: AVIF and WebP sources and a fallback <img>
+ * @param {string} key - Manifest key
+ * @param {Object} entry - Manifest entry
+ * @param {Object} [options]
+ * @param {string} [options.sizes] - sizes attribute
+ * @param {Array<Array<string>>} [options.attributes] - Other <img> attributes, e.g. [['alt', '...']]
+ * @param {string} [options.indent] - Indentation of the <picture> tag
+ * @returns {string}
+ */
+export function renderPicture(key, entry, { sizes = HERO_SIZES, attributes = [], indent = '' } = {}) {
+    const inner = indent + '    ';
+    const largest = entry.widths.at(-1);
+    const img = [
+        ['src', outputFile(key, pickWidth(entry, 1280), entry.fallback)],
+        ['srcset', buildSrcset(key, entry, entry.fallback)],
+        ['sizes', sizes],
+        ...attributes
+    ];
+    if (!attributes.some(([name]) => name === 'width')) {
+        img.push(['width', String(largest)], ['height', String(Math.round(entry.height * largest / entry.width))]);
+    }
+
+    return [
+        `${indent}<picture>`,
+        `${inner}<source type="image/avif" srcset="${buildSrcset(key, entry, 'avif')}" sizes="${sizes}">`,
+        `${inner}<source type="image/webp" srcset="${buildSrcset(key, entry, 'webp')}" sizes="${sizes}">`,
+        `${inner}<img`,
+        ...renderAttributes(img).map(attribute => `${inner}    ${attribute}`),
+        `${inner}>`,
+        `${indent}</picture>`
+    ].join('\n');
+}
+
+/**
+ * Rewrite the hero carousel's <picture> elements from the manifest
+ * The <img> keeps its other attributes (alt, class, loading...)
+ * @param {string} html - Page
+ * @param {Object} manifest - Image manifest
+ * @returns {{html: string, keys: string[]}} - keys of the high-priority heroes
+ */
+export function rewriteHeroPictures(html, manifest) {
+    const keys = [];
+    const output = html.replace(/^([ \t]*)<picture>([\s\S]*?)<\/picture>/gm, (match, indent, inner) => {
+        const img = inner.match(/<img\b([\s\S]*?)\/?>/);
+        if (!img) return match;
+        const attributes = parseAttributes(img[1]);
+        const get = name => attributes.find(([attribute]) => attribute === name)?.[1];
+        if (!(get('class') || '').split(/\s+/).includes('hero-slide-img')) return match;
+        const key = resolveImage(get('src') || '', manifest);
+        if (!key) return match;
+
+        if (get('fetchpriority') === 'high') keys.push(key);
+        return renderPicture(key, manifest[key], {
+            attributes: attributes.filter(([name]) => !['src', 'srcset', 'sizes'].includes(name)),
+            indent
+        });
+    });
+    return { html: output, keys };
+}
+
+/**
+ * Point page-hero background-image rules at the generated images
+ * Each rule gets an image-set() of AVIF, WebP and the fallback, with a
+ * plain url() before it for browsers without image-set(), and a media
+ * query with the smaller image for narrow screens. Works on readable
+ * stylesheets and minified inline <style> alike, and again on its own output.
+ * @param {string} css - Stylesheet
+ * @param {Object} manifest - Image manifest
+ * @returns {{css: string, keys: string[]}} - keys of the backgrounds found
+ */
+export function rewriteBackgrounds(css, manifest) {
+    const { maxWidth } = BACKGROUND.mobile;
+    const keys = [];
+
+    // Drop the narrow-screen rules of a previous run; they are added again below
+    const mobileRule = new RegExp(`\\s*@media \\(max-width: ?${maxWidth}px\\) ?\\{\\s*[^{}]+\\{\\s*background-image:[^{}]*?images/generated/[^{}]*\\}\\s*\\}`, 'g');
+    const cleaned = css.replace(mobileRule, '');
+
+    const output = cleaned.replace(/([^{}]+)\{([^{}]*)\}/g, (match, selector, body) => {
+        const name = selector.replace(/\/\*[\s\S]*?\*\//g, '').trim();
+        if (!/\.page-hero(?![\w-])/.test(name) || name.includes('@')) return match;
+        const declarations = [...body.matchAll(/([ \t]*)background-image\s*:[^;}]*(?:;|(?=\s*$))/g)];
+        if (!declarations.length) return match;
+        const url = declarations[0][0].match(/url\(\s*['"]?([^'")]+)/);
+        const key = url && resolveImage(url[1], manifest);
+        if (!key) return match;
+
+        keys.push(key);
+        const entry = manifest[key];
+        const pretty = body.includes('\n');
+        const indent = declarations[0][1];
+        const prefix = url[1].trim().startsWith('../') ? '../' : '';
+        const important = declarations.some(([text]) => text.includes('!important')) ? (pretty ? ' !important' : '!important') : '';
+
+        const declare = (width, declarationIndent) => {
+            const fallback = `url('${prefix}${outputFile(key, width, entry.fallback)}')`;
+            const items = imageSetItems(key, entry, width, prefix);
+            return pretty
+                ? `${declarationIndent}background-image: ${fallback}${important};\n` +
+                    `${declarationIndent}background-image: image-set(\n${items.map(item => `${declarationIndent}    ${item}`).join(',\n')}\n${declarationIndent})${important};`
+                : `background-image:${fallback}${important};background-image:image-set(${items.join(',')})${important}`;
+        };
+
+        // The first background-image declaration becomes the pair, the rest go
+        const desktop = pickWidth(entry, BACKGROUND.width);
+        const mobile = pickWidth(entry, BACKGROUND.mobile.width);
+        let first = true;
+        let newBody = body.replace(/([ \t]*)background-image\s*:[^;}]*(?:;|(?=\s*$))\n?/g, (text) => {
+            if (!first) return '';
+            first = false;
+            const trailingNewline = text.endsWith('\n') ? '\n' : '';
+            return declare(desktop, indent) + (pretty ? '' : ';') + trailingNewline;
+        });
+        // Minified rules keep their last declaration without a semicolon
+        if (!pretty && !body.trimEnd().endsWith(';')) newBody = newBody.replace(/;$/, '');
+
+        let rule = `${selector}{${newBody}}`;
+        if (mobile !== desktop) {
+            rule += pretty
+                ? `\n\n@media (max-width: ${maxWidth}px) {\n    ${name} {\n${declare(mobile, '        ')}\n    }\n}`
+                : `@media (max-width:${maxWidth}px){${name}{${declare(mobile, '')}}}`;
+        }
+        return rule;
+    });
+    return { css: output, keys };
+}
+
+/**
+ * Image preload links for a page's hero
+ * @param {string} key - Manifest key
+ * @param {Object} entry - Manifest entry
+ * @param {'picture'|'background'} kind - How the page shows it
+ * @param {string} extra - Attributes kept from the old link, e.g. ' fetchpriority="high"'
+ * @returns {string[]}
+ */
+function preloadLinks(key, entry, kind, extra) {
+    if (kind === 'picture') {
+        return [`<link rel="preload" as="image" type="image/avif" imagesrcset="${buildSrcset(key, entry, 'avif')}" imagesizes="${HERO_SIZES}"${extra}>`];
+    }
+    const { maxWidth } = BACKGROUND.mobile;
+    const mobile = pickWidth(entry, BACKGROUND.mobile.width);
+    const desktop = pickWidth(entry, BACKGROUND.width);
+    if (mobile === desktop) {
+        return [`<link rel="preload" as="image" type="image/avif" href="${outputFile(key, desktop, 'avif')}"${extra}>`];
+    }
+    return [
+        `<link rel="preload" as="image" type="image/avif" href="${outputFile(key, mobile, 'avif')}" media="(max-width: ${maxWidth}px)"${extra}>`,
+        `<link rel="preload" as="image" type="image/avif" href="${outputFile(key, desktop, 'avif')}" media="(min-width: ${maxWidth + 1}px)"${extra}>`
+    ];
+}
+
+/**
+ * Rewrite a page's preloads of its hero image to the generated AVIF files
+ * Preloads of other images (the logo) are left alone; duplicates go.
+ * @param {string} html - Page
+ * @param {Object} manifest - Image manifest
+ * @param {Object<string, string>} heroes - Key to 'picture' or 'background'
+ * @returns {string}
+ */
+export function rewritePreloads(html, manifest, heroes) {
+    const done = new Set();
+    return html.replace(/^([ \t]*)<link rel="preload" as="image"([^>]*)>\n/gm, (match, indent, rest) => {
+        const attributes = parseAttributes(rest);
+        const get = name => attributes.find(([attribute]) => attribute === name)?.[1];
+        const ref = get('href') || (get('imagesrcset') || '').split(/[\s,]/)[0];
+        const key = resolveImage(ref, manifest);
+        if (!key || !heroes[key]) return match;
+        if (done.has(key)) return '';
+        done.add(key);
+
+        const extra = get('fetchpriority') ? ` fetchpriority="${get('fetchpriority')}"` : '';
+        return preloadLinks(key, manifest[key], heroes[key], extra).map(link => `${indent}${link}\n`).join('');
+    });
+}
+
+/**
+ * Point a page's hero pictures, inline page-hero backgrounds and preloads at the generated images
+ * @param {string} html - Page
+ * @param {Object} manifest - Image manifest
+ * @returns {string}
+ */
+export function rewritePage(html, manifest) {
+    const heroes = {};
+    const pictures = rewriteHeroPictures(html, manifest);
+    pictures.keys.forEach(key => { heroes[key] = 'picture'; });
+
+    const styled = pictures.html.replace(/(<style[^>]*>)([\s\S]*?)(<\/style>)/g, (match, open, css, close) => {
+        const backgrounds = rewriteBackgrounds(css, manifest);
+        backgrounds.keys.forEach(key => { heroes[key] ??= 'background'; });
+        return open + backgrounds.css + close;
+    });
+    return rewritePreloads(styled, manifest, heroes);
+}
+
+/* ============================================
+   CLI
+   ============================================ */
+
+/**
+ * Rewrite the pages and stylesheets, writing only the files that change
+ * @param {Object} manifest - Image manifest
+ * @returns {Promise<string[]>} - Changed files, relative to the root
+ */
+async function rewriteSite(manifest) {
+    const pages = (await fs.readdir(ROOT)).filter(file => file.endsWith('.html')).map(file => path.join(ROOT, file));
+    const changed = [];
+
+    for (const file of [...pages, ...STYLESHEETS]) {
+        const text = await fs.readFile(file, 'utf8');
+        const output = file.endsWith('.html') ? rewritePage(text, manifest) : rewriteBackgrounds(text, manifest).css;
+        if (output !== text) {
+            await fs.writeFile(file, output);
+            changed.push(path.relative(ROOT, file));
+        }
+    }
+    return changed;
+}
+
+/**
+ * Encode the images and rewrite the pages, or print markup for one image
+ */
+async function main() {
+    const { values } = parseArgs({
+        options: {
+            force: { type: 'boolean', default: false },
+            markup: { type: 'string' },
+            sizes: { type: 'string', default: HERO_SIZES },
+            alt: { type: 'string', default: '' }
+        }
+    });
+
+    if (values.markup) {
+        const manifest = await readManifest();
+        const key = resolveImage(values.markup, manifest);
+        if (!key) {
+            console.error(`Not in ${path.relative(process.cwd(), MANIFEST_FILE)}: ${values.markup} (run npm run images first)`);
+            process.exitCode = 1;
+            return;
+        }
+        const alt = values.alt.replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+        console.log(renderPicture(key, manifest[key], {
+            sizes: values.sizes,
+            attributes: [['alt', alt], ['loading', 'lazy'], ['decoding', 'async']]
+        }));
+        return;
+    }
+
+    let sharp;
+    try {
+        ({ default: sharp } = await import('sharp'));
+    } catch {
+        console.error('The image pipeline needs sharp: run npm install first.');
+        process.exitCode = 1;
+        return;
+    }
+
+    const { manifest, encoded, unchanged, removed } = await buildImages(sharp, { force: values.force });
+    console.log(`Encoded ${encoded.length} image(s), ${unchanged} unchanged${removed.length ? `, removed ${removed.join(', ')}` : ''}`);
+
+    const icons = await buildAppIcons(sharp, manifest, { force: values.force || encoded.includes(APP_ICON_SOURCE) });
+    if (icons.length) console.log(`Rendered ${icons.join(', ')}`);
+
+    const changed = await rewriteSite(manifest);
+    console.log(changed.length ? `Updated ${changed.join(', ')}` : 'Pages already up to date');
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    main();
+}
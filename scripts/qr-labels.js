@@ -0,0 +1,126 @@
+#!/usr/bin/env node
+/* ============================================
+   FRESHFLOW FOODS - QR TRACKING LABELS
+   Writes a printable page of QR labels, one per
+   consignment, each linking to its tracking page
+   (track.html?id=<ID>).
+
+   Usage: node scripts/qr-labels.js [ID...] [--base URL] [--out FILE]
+   Defaults: every consignment, SITE_URL or
+             https://freshflow.co.in, data/qr-labels.html
+   ============================================ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+import { qrToSvg } from '../src/js/qr.js';
+import { escapeHtml } from '../src/js/utils.js';
+import { QUOTE_LABELS } from '../src/js/rfq.js';
+import { JsonStore } from '../server/lib/json-store.js';
+import { normalizeConsignmentId } from '../server/consignments.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const DEFAULT_BASE = 'https://freshflow.co.in';
+
+/**
+ * Tracking page URL for a consignment
+ * @param {string} base - Site origin
+ * @param {string} id - Consignment ID
+ * @returns {string}
+ */
+export function trackingUrl(base, id) {
+    return `${base.replace(/\/+$/, '')}/track.html?id=${encodeURIComponent(id)}`;
+}
+
+/**
+ * Render one label
+ * @param {Object} consignment - Stored consignment
+ * @param {string} base - Site origin
+ * @returns {string}
+ */
+function renderLabel(consignment, base) {
+    const product = [
+        QUOTE_LABELS.species[consignment.product] || consignment.product,
+        consignment.breed,
+        QUOTE_LABELS.cuts[consignment.cut] || consignment.cut
+    ].filter(Boolean).join(' · ');
+
+    return `
+        <figure class="label">
+            ${qrToSvg(trackingUrl(base, consignment.id), { title: `Track ${consignment.id}` })}
+            <figcaption>
+                <strong>${escapeHtml(consignment.id)}</strong>
+                <span>${escapeHtml(product)}</span>
+                <small>Scan to track this shipment</small>
+            </figcaption>
+        </figure>`;
+}
+
+/**
+ * Render the printable label sheet
+ * @param {Array<Object>} consignments - Consignments to label
+ * @param {string} base - Site origin
+ * @returns {string} - HTML document
+ */
+export function renderLabelSheet(consignments, base) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>Freshflow Foods - QR tracking labels</title>
+    <style>
+        @page { size: A4; margin: 10mm; }
+        body { margin: 0; font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; color: #212121; }
+        .sheet { display: grid; grid-template-columns: repeat(3, 1fr); gap: 6mm; }
+        .label { margin: 0; padding: 4mm; border: 1px dashed #BDBDBD; text-align: center; break-inside: avoid; }
+        .label svg { width: 100%; max-width: 45mm; height: auto; }
+        .label figcaption { display: grid; gap: 1mm; font-size: 9pt; }
+        .label strong { font-size: 12pt; letter-spacing: 0.05em; }
+        .label small { color: #616161; }
+    </style>
+</head>
+<body>
+    <main class="sheet">${consignments.map(consignment => renderLabel(consignment, base)).join('')}
+    </main>
+</body>
+</html>
+`;
+}
+
+/**
+ * Generate the label sheet
+ */
+async function main() {
+    const { values, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            base: { type: 'string', default: process.env.SITE_URL || DEFAULT_BASE },
+            out: { type: 'string', default: path.join(ROOT, 'data/qr-labels.html') }
+        }
+    });
+
+    // Same store the server uses, so the sample lots work before real ones exist
+    const store = new JsonStore(path.join(ROOT, 'data/consignments.json'), {
+        seed: path.join(ROOT, 'server/fixtures/consignments.json')
+    });
+    const all = await store.all();
+
+    const ids = positionals.map(normalizeConsignmentId);
+    const unknown = ids.filter(id => !all.some(consignment => consignment.id === id));
+    if (unknown.length) {
+        console.error(`Unknown consignment ID: ${unknown.join(', ')}`);
+        process.exitCode = 1;
+        return;
+    }
+
+    const consignments = ids.length ? all.filter(consignment => ids.includes(consignment.id)) : all;
+    const out = path.resolve(values.out);
+    await fs.mkdir(path.dirname(out), { recursive: true });
+    await fs.writeFile(out, renderLabelSheet(consignments, values.base));
+    console.log(`Wrote ${consignments.length} label(s) to ${path.relative(process.cwd(), out)}`);
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    main();
+}
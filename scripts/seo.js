@@ -0,0 +1,513 @@
+#!/usr/bin/env node
+/* ============================================
+   FRESHFLOW FOODS - SITEMAP, ROBOTS AND STRUCTURED DATA
+   Crawls the pages linked from index.html and writes
+   sitemap.xml (with lastmod and an hreflang
+   alternate per locale) and robots.txt. Each page
+   gets one JSON-LD block built from src/data:
+   Organization (company.json), Product per species
+   (catalog.json, priced from freight-rates.json),
+   BreadcrumbList from its .breadcrumb markup and
+   FAQPage (faq.json, also rendered into the page).
+   Runs as part of scripts/build.js; invalid
+   structured data fails the build.
+
+   Usage: node scripts/seo.js
+   ============================================ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { execFileSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import company from '../src/data/company.json' with { type: 'json' };
+import catalog from '../src/data/catalog.json' with { type: 'json' };
+import faq from '../src/data/faq.json' with { type: 'json' };
+import freightRates from '../src/data/freight-rates.json' with { type: 'json' };
+import { LOCALES, DEFAULT_LOCALE } from '../src/js/i18n.js';
+import { escapeHtml } from '../src/js/utils.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+export const SITE_URL = company.website.replace(/\/$/, '');
+
+// Paths crawlers have no business in (the server 404s scripts/ and src/ anyway).
+// Prefixes: /admin also covers the dashboard at /admin itself, not just its subpages
+const DISALLOW = ['/admin', '/api/'];
+
+const ORGANIZATION_ID = `${SITE_URL}/#organization`;
+
+/* ============================================
+   CRAWLER
+   ============================================ */
+
+/**
+ * Absolute URL of a page, with index.html as the site root
+ * @param {string} page - Page path relative to the site root
+ * @param {string} [locale] - Locale of the variant; the default locale has no parameter
+ * @returns {string}
+ */
+export function pageUrl(page, locale = DEFAULT_LOCALE) {
+    const url = `${SITE_URL}/${page.replace(/(?:^|\/)index\.html$/, '')}`;
+    return locale === DEFAULT_LOCALE ? url : `${url}?lang=${locale}`;
+}
+
+/**
+ * Whether a page asks not to be indexed
+ * @param {string} html - Page markup
+ * @returns {boolean}
+ */
+function isNoindex(html) {
+    const meta = html.match(/<meta\s+name=["']robots["']\s+content=["']([^"']*)["']/i);
+    return Boolean(meta && /noindex/i.test(meta[1]));
+}
+
+/**
+ * Same-site pages a page links to
+ * @param {string} html - Page markup
+ * @param {string} page - Path of the page, for resolving relative links
+ * @returns {string[]} - Paths relative to the site root
+ */
+export function pageLinks(html, page) {
+    const base = new URL(page, 'http://site/');
+    const links = [...html.matchAll(/<a\s[^>]*href=["']([^"']+)["']/gi)]
+        .map(([, href]) => new URL(href, base))
+        .filter(url => url.host === 'site' && url.pathname.endsWith('.html'))
+        .map(url => decodeURIComponent(url.pathname.slice(1)));
+    return [...new Set(links)];
+}
+
+/**
+ * Breadth-first crawl of the pages reachable from the home page
+ * @param {string} [start] - First page
+ * @returns {Array<{page: string, html: string}>} - Indexable pages in crawl order
+ */
+export function crawlPages(start = 'index.html') {
+    const seen = new Set([start]);
+    const queue = [start];
+    const pages = [];
+
+    while (queue.length) {
+        const page = queue.shift();
+        const file = path.join(ROOT, page);
+        if (!fs.existsSync(file)) continue;
+
+        const html = fs.readFileSync(file, 'utf8');
+        if (isNoindex(html)) continue;
+        pages.push({ page, html });
+
+        pageLinks(html, page).filter(link => !seen.has(link)).forEach(link => {
+            seen.add(link);
+            queue.push(link);
+        });
+    }
+    return pages;
+}
+
+/**
+ * Date a page last changed: its last commit, or the file's mtime while it has uncommitted changes
+ * @param {string} page - Page path
+ * @returns {string} - YYYY-MM-DD
+ */
+export function lastModified(page) {
+    const git = args => execFileSync('git', args, { cwd: ROOT, encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+    try {
+        if (!git(['status', '--porcelain', '--', page])) {
+            const committed = git(['log', '-1', '--format=%cs', '--', page]);
+            if (committed) return committed;
+        }
+    } catch {
+        // Not a git checkout
+    }
+    return fs.statSync(path.join(ROOT, page)).mtime.toISOString().slice(0, 10);
+}
+
+/* ============================================
+   SITEMAP AND ROBOTS
+   ============================================ */
+
+/**
+ * Escape text for XML
+ * @param {string} text - Text
+ * @returns {string}
+ */
+function escapeXml(text) {
+    return String(text).replace(/[&<>"']/g, char => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;'
+    })[char]);
+}
+
+/**
+ * sitemap.xml with one <url> per page and locale, each listing every locale as an alternate
+ * @param {Array<{page: string, lastmod: string}>} pages - Pages in crawl order
+ * @returns {string}
+ */
+export function renderSitemap(pages) {
+    const locales = Object.keys(LOCALES);
+    const urls = pages.flatMap(({ page, lastmod }) => {
+        const alternates = [
+            ...locales.map(locale => [locale, pageUrl(page, locale)]),
+            ['x-default', pageUrl(page)]
+        ].map(([hreflang, href]) => `    <xhtml:link rel="alternate" hreflang="${hreflang}" href="${escapeXml(href)}"/>`);
+
+        return locales.map(locale => [
+            '  <url>',
+            `    <loc>${escapeXml(pageUrl(page, locale))}</loc>`,
+            `    <lastmod>${lastmod}</lastmod>`,
+            `    <priority>${page === 'index.html' ? '1.0' : '0.8'}</priority>`,
+            ...alternates,
+            '  </url>'
+        ].join('\n'));
+    });
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">',
+        ...urls,
+        '</urlset>',
+        ''
+    ].join('\n');
+}
+
+/**
+ * robots.txt pointing crawlers at the sitemap
+ * @returns {string}
+ */
+export function renderRobots() {
+    return [
+        '# Generated by scripts/seo.js - do not edit',
+        'User-agent: *',
+        ...DISALLOW.map(dir => `Disallow: ${dir}`),
+        '',
+        `Sitemap: ${SITE_URL}/sitemap.xml`,
+        ''
+    ].join('\n');
+}
+
+/* ============================================
+   STRUCTURED DATA
+   ============================================ */
+
+/**
+ * Round a price to cents
+ * @param {number} value - Amount
+ * @returns {number}
+ */
+function roundPrice(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * Decode the entities the pages use in text
+ * @param {string} text - HTML text
+ * @returns {string}
+ */
+function decodeEntities(text) {
+    return text
+        .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(Number(code)))
+        .replace(/&(amp|lt|gt|quot|apos|nbsp);/g, (match, name) => ({
+            amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' '
+        })[name]);
+}
+
+/**
+ * Plain text of a fragment of markup
+ * @param {string} html - Markup
+ * @returns {string}
+ */
+function textContent(html) {
+    return decodeEntities(html.replace(/<[^>]*>/g, '')).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * The company as a schema.org Organization
+ * @returns {Object}
+ */
+export function organizationSchema() {
+    return {
+        '@type': 'Organization',
+        '@id': ORGANIZATION_ID,
+        name: company.name,
+        description: company.description,
+        url: `${SITE_URL}/`,
+        logo: `${SITE_URL}/${company.logo}`,
+        address: { '@type': 'PostalAddress', ...company.postalAddress },
+        contactPoint: {
+            '@type': 'ContactPoint',
+            contactType: 'sales',
+            telephone: company.phone.replace(/\s+/g, '-'),
+            email: company.email
+        }
+    };
+}
+
+/**
+ * A catalog product as a schema.org Product, priced per kg over its cuts and packing states
+ * @param {Object} product - Entry of catalog.json
+ * @param {Object} [rates] - Rate table with prices and cut factors
+ * @returns {Object}
+ */
+export function productSchema(product, rates = freightRates) {
+    const prices = product.processing.flatMap(state => product.cuts.map(cut =>
+        rates.prices[product.id][state] * (rates.cutFactors[cut] ?? 1)));
+    const lowPrice = roundPrice(Math.min(...prices));
+    const highPrice = roundPrice(Math.max(...prices));
+
+    return {
+        '@type': 'Product',
+        '@id': `${pageUrl(product.page)}#product`,
+        name: product.title,
+        description: product.description,
+        image: `${SITE_URL}/${product.image.src}`,
+        category: 'Meat Products',
+        brand: { '@type': 'Brand', name: company.name },
+        offers: {
+            '@type': 'AggregateOffer',
+            url: pageUrl(product.page),
+            priceCurrency: rates.currency,
+            lowPrice,
+            highPrice,
+            offerCount: prices.length,
+            availability: 'https://schema.org/InStock',
+            priceSpecification: {
+                '@type': 'UnitPriceSpecification',
+                priceCurrency: rates.currency,
+                minPrice: lowPrice,
+                maxPrice: highPrice,
+                referenceQuantity: { '@type': 'QuantitativeValue', value: 1, unitCode: 'KGM' }
+            },
+            seller: { '@type': 'Organization', '@id': ORGANIZATION_ID, name: company.name, url: `${SITE_URL}/` }
+        }
+    };
+}
+
+/**
+ * A page's .breadcrumb links as a schema.org BreadcrumbList
+ * @param {string} html - Page markup
+ * @param {string} page - Page path, for resolving the links
+ * @returns {Object|null} - Null if the page has no breadcrumb
+ */
+export function breadcrumbSchema(html, page) {
+    const nav = html.match(/<nav\s[^>]*class="breadcrumb"[^>]*>([\s\S]*?)<\/nav>/);
+    if (!nav) return null;
+
+    const crumbs = [...nav[1].matchAll(/<a\s[^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>|<span\s[^>]*class="breadcrumb-current"[^>]*>([\s\S]*?)<\/span>/g)]
+        .map(([, href, link, current]) => href !== undefined
+            ? { name: textContent(link), item: new URL(href, pageUrl(page)).href.replace(/index\.html(?=#|$)/, '') }
+            : { name: textContent(current), item: pageUrl(page) });
+
+    return {
+        '@type': 'BreadcrumbList',
+        itemListElement: crumbs.map((crumb, index) => ({
+            '@type': 'ListItem',
+            position: index + 1,
+            ...crumb
+        }))
+    };
+}
+
+/**
+ * The FAQ as a schema.org FAQPage
+ * @param {Array<{question: string, answer: string}>} [questions] - Entries of faq.json
+ * @returns {Object}
+ */
+export function faqSchema(questions = faq.questions) {
+    return {
+        '@type': 'FAQPage',
+        mainEntity: questions.map(({ question, answer }) => ({
+            '@type': 'Question',
+            name: question,
+            acceptedAnswer: { '@type': 'Answer', text: answer }
+        }))
+    };
+}
+
+/**
+ * Every structured-data node a page should carry
+ * @param {string} page - Page path
+ * @param {string} html - Page markup
+ * @returns {Object[]}
+ */
+export function pageSchemas(page, html) {
+    const nodes = [];
+    if (page === 'index.html' || page === 'profile.html') nodes.push(organizationSchema());
+    catalog.products.filter(product => product.page === page).forEach(product => nodes.push(productSchema(product)));
+    if (page === faq.page) nodes.push(faqSchema());
+
+    const breadcrumb = breadcrumbSchema(html, page);
+    if (breadcrumb) nodes.push(breadcrumb);
+    return nodes;
+}
+
+/* ============================================
+   VALIDATION
+   ============================================ */
+
+// Properties each type must carry (search engines' required fields, plus what the site relies on)
+const REQUIRED = {
+    Organization: ['name', 'url'],
+    PostalAddress: ['addressLocality', 'addressCountry'],
+    ContactPoint: ['contactType'],
+    Product: ['name', 'description', 'image', 'offers'],
+    Brand: ['name'],
+    AggregateOffer: ['priceCurrency', 'lowPrice', 'highPrice', 'availability'],
+    UnitPriceSpecification: ['priceCurrency', 'referenceQuantity'],
+    QuantitativeValue: ['value', 'unitCode'],
+    BreadcrumbList: ['itemListElement'],
+    ListItem: ['position', 'name', 'item'],
+    FAQPage: ['mainEntity'],
+    Question: ['name', 'acceptedAnswer'],
+    Answer: ['text']
+};
+
+const URL_PROPERTIES = ['url', 'logo', 'image', 'item', 'availability'];
+
+const PRICE_PROPERTIES = ['lowPrice', 'highPrice', 'minPrice', 'maxPrice', 'price'];
+
+/**
+ * Problems with a structured-data node and everything nested in it
+ * @param {*} node - Node, array or value
+ * @param {string} [where] - Path of the node, for messages
+ * @returns {string[]}
+ */
+export function validateSchema(node, where = '') {
+    if (Array.isArray(node)) {
+        if (!node.length) return [`${where} is empty`];
+        return node.flatMap((child, index) => validateSchema(child, `${where}[${index}]`));
+    }
+    if (node === null || typeof node !== 'object') return [];
+
+    const errors = [];
+    const type = node['@type'];
+    const label = `${where || 'root'}${type ? ` (${type})` : ''}`;
+
+    if (type !== undefined && !Object.hasOwn(REQUIRED, type)) errors.push(`${label}: unknown type`);
+    if (type === undefined && !node['@id'] && !node['@graph']) errors.push(`${label}: no @type`);
+
+    (REQUIRED[type] || []).forEach(prop => {
+        const value = node[prop];
+        if (value === undefined || value === null || value === '' || (Array.isArray(value) && !value.length)) {
+            errors.push(`${label}: missing ${prop}`);
+        }
+    });
+
+    Object.entries(node).forEach(([prop, value]) => {
+        if (URL_PROPERTIES.includes(prop) && typeof value === 'string' && !/^https:\/\/[^\s]+$/.test(value)) {
+            errors.push(`${label}: ${prop} is not an absolute https URL`);
+        }
+        if (PRICE_PROPERTIES.includes(prop) && !(Number.isFinite(value) && value >= 0)) {
+            errors.push(`${label}: ${prop} is not a price`);
+        }
+        if (prop === 'priceCurrency' && !/^[A-Z]{3}$/.test(value)) {
+            errors.push(`${label}: priceCurrency is not an ISO 4217 code`);
+        }
+    });
+
+    if (type === 'AggregateOffer' && node.lowPrice > node.highPrice) errors.push(`${label}: lowPrice above highPrice`);
+    if (type === 'BreadcrumbList' && Array.isArray(node.itemListElement)) {
+        node.itemListElement.forEach((item, index) => {
+            if (item.position !== index + 1) errors.push(`${label}: item ${index} has position ${item.position}`);
+        });
+    }
+
+    Object.entries(node)
+        .filter(([prop]) => !prop.startsWith('@'))
+        .forEach(([prop, value]) => errors.push(...validateSchema(value, where ? `${where}.${prop}` : prop)));
+    return errors;
+}
+
+/* ============================================
+   PAGES
+   ============================================ */
+
+const JSON_LD_RE = /[ \t]*(?:<!--\s*Structured Data[^>]*-->\s*)?<script type="application\/ld\+json">[\s\S]*?<\/script>\n(?:[ \t]*\n)?/g;
+
+/**
+ * The page's <script type="application/ld+json"> block
+ * @param {Object[]} nodes - Structured-data nodes
+ * @param {string} indent - Indent of the <head> children
+ * @returns {string}
+ */
+function renderJsonLd(nodes, indent) {
+    const data = { '@context': 'https://schema.org', '@graph': nodes };
+    // "<" escaped so no string can close the script element
+    const json = JSON.stringify(data, null, 4).replace(/</g, '\\u003c');
+    return `${indent}<!-- Structured Data for SEO (generated by scripts/seo.js) -->\n` +
+        `${indent}<script type="application/ld+json">\n` +
+        json.split('\n').map(line => indent + line).join('\n') +
+        `\n${indent}</script>\n${indent}\n`;
+}
+
+/**
+ * Replace a page's JSON-LD with the generated block, in place of the first existing one or before </head>
+ * @param {string} html - Page markup
+ * @param {Object[]} nodes - Structured-data nodes; none removes the block
+ * @returns {string}
+ */
+export function injectJsonLd(html, nodes) {
+    let block = nodes.length ? renderJsonLd(nodes, '    ') : '';
+    const replaced = html.replace(JSON_LD_RE, () => {
+        const first = block;
+        block = '';
+        return first;
+    });
+    return block ? replaced.replace(/<\/head>/, `${block}</head>`) : replaced;
+}
+
+/**
+ * Fill a page's .faq-list with the questions, translated through faq.<id>.question and .answer
+ * @param {string} html - Page markup
+ * @param {Array<{id: string, question: string, answer: string}>} [questions] - Entries of faq.json
+ * @returns {string}
+ */
+export function injectFaq(html, questions = faq.questions) {
+    return html.replace(/(([ \t]*)<div class="faq-list"[^>]*>)[\s\S]*?(\n[ \t]*<\/div>)/, (match, open, indent, close) => {
+        const item = `${indent}    `;
+        const items = questions.map(({ id, question, answer }) => [
+            `${item}<details class="faq-item">`,
+            `${item}    <summary data-i18n="faq.${id}.question">${escapeHtml(question)}</summary>`,
+            `${item}    <p data-i18n="faq.${id}.answer">${escapeHtml(answer)}</p>`,
+            `${item}</details>`
+        ].join('\n'));
+        return `${open}\n${items.join('\n')}${close}`;
+    });
+}
+
+/* ============================================
+   MAIN
+   ============================================ */
+
+/**
+ * Write sitemap.xml and robots.txt and refresh every crawled page's structured data
+ * Validates everything before writing anything
+ * @returns {{pages: string[], urls: number}}
+ */
+export function buildSeo() {
+    const pages = crawlPages().map(({ page, html }) => {
+        const updated = page === faq.page ? injectFaq(html) : html;
+        return { page, html, updated, nodes: pageSchemas(page, updated) };
+    });
+
+    if (!pages.some(({ page }) => page === faq.page)) throw new Error(`FAQ page ${faq.page} is not linked from the site`);
+    const errors = pages.flatMap(({ page, nodes }) => validateSchema(nodes).map(error => `${page}: ${error}`));
+    if (errors.length) throw new Error(`invalid structured data:\n  ${errors.join('\n  ')}`);
+
+    pages.forEach(({ page, html, updated, nodes }) => {
+        const output = injectJsonLd(updated, nodes);
+        if (output !== html) fs.writeFileSync(path.join(ROOT, page), output);
+    });
+
+    const sitemap = pages.map(({ page }) => ({ page, lastmod: lastModified(page) }));
+    fs.writeFileSync(path.join(ROOT, 'sitemap.xml'), renderSitemap(sitemap));
+    fs.writeFileSync(path.join(ROOT, 'robots.txt'), renderRobots());
+    return { pages: pages.map(({ page }) => page), urls: pages.length * Object.keys(LOCALES).length };
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    try {
+        const { pages, urls } = buildSeo();
+        console.log(`Wrote sitemap.xml (${urls} URLs) and robots.txt; structured data in ${pages.length} pages`);
+    } catch (err) {
+        console.error(`SEO failed: ${err.message}`);
+        process.exit(1);
+    }
+}
@@ -0,0 +1,129 @@
+/* ============================================
+   FRESHFLOW FOODS - SERVICE WORKER PRECACHE
+   Lists what sw.js stores for offline use, with a
+   content hash per file: every page, the main
+   and page bundles, the stylesheet, Swiper, the
+   locale catalogs, the app icons and the WebP
+   images the pages, stylesheet and catalog refer
+   to, in one width each. The worker caches the
+   other widths as they are shown.
+   scripts/build.js bundles src/js/sw/main.js into
+   sw.js and injects this list; a changed hash
+   makes browsers install the new worker, which
+   only downloads the files that changed.
+   ============================================ */
+
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { APP_ICONS } from './images.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+/** Placeholder in src/js/sw/main.js replaced by the precache list */
+export const PRECACHE_PLACEHOLDER = 'self.__PRECACHE_MANIFEST';
+
+// Precached besides the pages and images
+const ASSETS = [
+    'js/main.optimized.js',
+    'js/partner.optimized.js',
+    'js/account.optimized.js',
+    'js/quote.optimized.js',
+    'js/track.optimized.js',
+    'js/estimator.optimized.js',
+    'js/certifications.optimized.js',
+    'css/style.css',
+    'libs/swiper/swiper-bundle.min.css',
+    'libs/swiper/swiper-bundle.min.js',
+    'locales/ar.json',
+    'locales/fr.json',
+    'manifest.webmanifest',
+    ...APP_ICONS.map(icon => icon.file)
+];
+
+// Files whose WebP references are precached, and the directory those references are relative to
+const IMAGE_REFERRERS = [
+    { file: 'css/style.css', base: 'css' },
+    { file: 'src/data/catalog.json', base: '' }
+];
+
+/** Of an image generated at several widths, the precache keeps the one nearest this */
+export const PRECACHE_IMAGE_WIDTH = 768;
+
+// Width suffix of the generated images, e.g. hero1-768.webp
+const WIDTH_SUFFIX_RE = /-(\d+)\.webp$/;
+
+/**
+ * WebP images a file refers to, as paths from the site root
+ * @param {string} text - File contents
+ * @param {string} base - Directory the references are relative to
+ * @returns {string[]}
+ */
+export function webpReferences(text, base) {
+    return [...text.matchAll(/[\w./-]+\.webp\b/g)]
+        .map(([reference]) => path.posix.normalize(path.posix.join(base, reference)))
+        .filter(file => !file.startsWith('..'));
+}
+
+/**
+ * Keep one width of each image generated at several (see scripts/images.js)
+ * The nearest to PRECACHE_IMAGE_WIDTH, the smaller of two as near
+ * @param {string[]} images - WebP paths
+ * @returns {string[]}
+ */
+export function oneWidthPerImage(images) {
+    const kept = new Map();
+    const distance = width => Math.abs(width - PRECACHE_IMAGE_WIDTH);
+
+    for (const file of images) {
+        const match = file.match(WIDTH_SUFFIX_RE);
+        const name = match ? file.slice(0, match.index) : file;
+        const width = match ? Number(match[1]) : 0;
+        const current = kept.get(name);
+        if (!current || distance(width) < distance(current.width) || (distance(width) === distance(current.width) && width < current.width)) {
+            kept.set(name, { file, width });
+        }
+    }
+    return [...kept.values()].map(({ file }) => file);
+}
+
+/**
+ * Every file sw.js precaches, from the site root
+ * @returns {string[]}
+ */
+export function precacheFiles() {
+    const pages = fs.readdirSync(ROOT).filter(file => file.endsWith('.html')).sort();
+    const referrers = [
+        ...pages.map(file => ({ file, base: '' })),
+        ...IMAGE_REFERRERS
+    ];
+    const images = oneWidthPerImage(referrers.flatMap(({ file, base }) => webpReferences(fs.readFileSync(path.join(ROOT, file), 'utf8'), base)));
+
+    const files = [...new Set([...pages, ...ASSETS, ...images])];
+    const missing = files.filter(file => !fs.existsSync(path.join(ROOT, file)));
+    if (missing.length) throw new Error(`precached files not found: ${missing.join(', ')}`);
+    return files;
+}
+
+/**
+ * The precache list with a revision per file
+ * @returns {Array<{url: string, revision: string}>}
+ */
+export function precacheManifest() {
+    return precacheFiles().map(url => ({
+        url,
+        revision: crypto.createHash('sha256').update(fs.readFileSync(path.join(ROOT, url))).digest('hex').slice(0, 12)
+    }));
+}
+
+/**
+ * Put the precache list into the bundled worker
+ * @param {string} code - Bundled src/js/sw/main.js
+ * @param {Array<{url: string, revision: string}>} manifest - From precacheManifest()
+ * @returns {string}
+ */
+export function injectPrecacheManifest(code, manifest) {
+    if (!code.includes(PRECACHE_PLACEHOLDER)) throw new Error(`${PRECACHE_PLACEHOLDER} not found in the service worker`);
+    return code.replace(PRECACHE_PLACEHOLDER, () => JSON.stringify(manifest));
+}
@@ -0,0 +1,159 @@
+/* ============================================
+   ADMIN DASHBOARD
+   GET   /admin                     - dashboard page
+   GET   /admin/consignments        - cold-chain logs and
+                                      export documents
+   GET   /admin/analytics           - visitor funnel report
+   GET   /admin/partners            - partner applications
+   GET   /api/admin/enquiries       - leads, newest first
+   GET   /api/admin/enquiries.csv   - filtered CSV export
+   PATCH /api/admin/enquiries/:id   - status, assignee,
+                                      country and notes
+   Every route requires the admin password.
+   ============================================ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { HttpError, readBody, sendJson } from './lib/http.js';
+import { toCsv } from './lib/csv.js';
+import { guessCountry } from './lib/countries.js';
+import { formatQuoteItem } from '../src/js/rfq.js';
+import { LEAD_STATUSES, LEAD_LIMITS, readLeadFilters, filterLeads, sortLeads } from '../src/js/admin/leads.js';
+
+/**
+ * Fill in fields that older records were stored without
+ * @param {Object} record - Stored enquiry or RFQ
+ * @returns {Object} - Lead as sent to the dashboard
+ */
+function toLead(record) {
+    const { fingerprint, ...lead } = record;
+    return {
+        assignee: '',
+        notes: '',
+        ...lead,
+        status: Object.hasOwn(LEAD_STATUSES, record.status) ? record.status : 'new',
+        country: record.country ?? guessCountry(record)
+    };
+}
+
+/**
+ * All leads matching the request's query string
+ * @param {JsonStore} store - Enquiry store
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<Array<Object>>}
+ */
+async function findLeads(store, req) {
+    const { searchParams } = new URL(req.url, 'http://localhost');
+    return filterLeads(sortLeads((await store.all()).map(toLead)), readLeadFilters(searchParams));
+}
+
+/**
+ * Validate the editable fields of a lead
+ * @param {Object} body - Request body
+ * @returns {Object} - Fields to update
+ * @throws {HttpError} - 422 with field errors
+ */
+function validateLeadPatch(body) {
+    const patch = {};
+    const errors = {};
+
+    if (body.status !== undefined) {
+        if (Object.hasOwn(LEAD_STATUSES, body.status)) patch.status = body.status;
+        else errors.status = 'Unknown status.';
+    }
+    Object.entries(LEAD_LIMITS).forEach(([field, max]) => {
+        if (body[field] === undefined) return;
+        const value = typeof body[field] === 'string' ? body[field].trim() : '';
+        if (value.length > max) errors[field] = `Use at most ${max} characters.`;
+        else patch[field] = value;
+    });
+
+    if (Object.keys(errors).length > 0) {
+        throw new HttpError(422, 'Please correct the highlighted fields.', { errors });
+    }
+    return patch;
+}
+
+/**
+ * Send an admin page, never cached or framed
+ * @param {http.ServerResponse} res - Response
+ * @param {string} file - Path of the HTML file
+ */
+async function sendAdminPage(res, file) {
+    const html = await fs.readFile(file);
+    res.writeHead(200, {
+        'Content-Type': 'text/html; charset=utf-8',
+        'Cache-Control': 'no-store',
+        'X-Frame-Options': 'DENY',
+        'X-Robots-Tag': 'noindex'
+    });
+    res.end(html);
+}
+
+/**
+ * Register the admin routes
+ * @param {Router} router - Application router
+ * @param {Object} deps
+ * @param {JsonStore} deps.store - Enquiry store
+ * @param {Function} deps.requireAdmin - From createAdminAuth()
+ * @param {string} deps.root - Site root, for admin/index.html
+ */
+export function registerAdminRoutes(router, { store, requireAdmin, root }) {
+    router.get('/admin', async (req, res) => {
+        requireAdmin(req, res);
+        await sendAdminPage(res, path.join(root, 'admin/index.html'));
+    });
+
+    router.get('/admin/consignments', async (req, res) => {
+        requireAdmin(req, res);
+        await sendAdminPage(res, path.join(root, 'admin/consignments.html'));
+    });
+
+    router.get('/admin/analytics', async (req, res) => {
+        requireAdmin(req, res);
+        await sendAdminPage(res, path.join(root, 'admin/analytics.html'));
+    });
+
+    router.get('/admin/partners', async (req, res) => {
+        requireAdmin(req, res);
+        await sendAdminPage(res, path.join(root, 'admin/partners.html'));
+    });
+
+    router.get('/api/admin/enquiries', async (req, res) => {
+        requireAdmin(req, res);
+        sendJson(res, 200, { ok: true, statuses: LEAD_STATUSES, enquiries: await findLeads(store, req) });
+    });
+
+    router.get('/api/admin/enquiries.csv', async (req, res) => {
+        requireAdmin(req, res);
+        const leads = await findLeads(store, req);
+        const csv = toCsv(
+            ['Reference', 'Received', 'Type', 'Status', 'Assignee', 'Name', 'Email', 'Phone', 'Country',
+                'Subject', 'Destination Port', 'Items', 'Message', 'Notes'],
+            leads.map(lead => [
+                lead.reference, lead.createdAt, lead.type, LEAD_STATUSES[lead.status], lead.assignee,
+                lead.name, lead.email, lead.phone, lead.country, lead.subjectLabel, lead.destinationPort,
+                (lead.items || []).map(item => formatQuoteItem(item)).join('; '), lead.message, lead.notes
+            ])
+        );
+        const date = new Date().toISOString().slice(0, 10);
+
+        res.writeHead(200, {
+            'Content-Type': 'text/csv; charset=utf-8',
+            'Content-Disposition': `attachment; filename="freshflow-leads-${date}.csv"`,
+            'Cache-Control': 'no-store'
+        });
+        res.end(csv);
+    });
+
+    router.patch('/api/admin/enquiries/:id', async (req, res, { id }) => {
+        const user = requireAdmin(req, res);
+        const patch = validateLeadPatch(await readBody(req));
+
+        const record = await store.update(id, patch);
+        if (!record) throw new HttpError(404, 'Lead not found.');
+
+        console.log(`Lead ${record.reference} updated by ${user} (${Object.keys(patch).join(', ')})`);
+        sendJson(res, 200, { ok: true, enquiry: toLead(record) });
+    });
+}
@@ -0,0 +1,243 @@
+/* ============================================
+   ANALYTICS API
+   POST /api/events          - page views and funnel
+        events from src/js/analytics.js, sent with
+        sendBeacon
+   GET  /api/admin/analytics - funnel report (?days=)
+   Visitors are told apart by a hash of their IP
+   address and browser with a salt that is kept in
+   memory and replaced every day; neither the IP
+   nor the salt is stored, and requests with Do
+   Not Track or Global Privacy Control are dropped.
+   ============================================ */
+
+import crypto from 'node:crypto';
+import { HttpError, readBody, sendJson } from './lib/http.js';
+import { RateLimiter } from './lib/spam.js';
+import { ANALYTICS_ENDPOINT, ANALYTICS_EVENTS } from '../src/js/analytics.js';
+import catalog from '../src/data/catalog.json' with { type: 'json' };
+
+/** Days of events kept, and the longest report */
+export const ANALYTICS_RETENTION_DAYS = 60;
+
+const DEFAULT_REPORT_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A page view sends one batch, the rest of the page a few more
+const MAX_EVENTS_PER_REQUEST = 20;
+const MAX_VALUE_LENGTH = 100;
+
+// Crawlers and previews run the scripts too
+const BOT_PATTERN = /bot|crawl|spider|slurp|headless|lighthouse|preview/i;
+
+const PRODUCT_PAGES = catalog.products.map(product => `/${product.page}`);
+const BREED_NAMES = Object.fromEntries(catalog.breeds.map(breed => [breed.id, breed.name]));
+const CONTACT_PAGE = '/contact.html';
+
+/** Steps towards an enquiry, in the order a visitor has to reach them */
+export const FUNNEL_STEPS = [
+    { id: 'visit', label: 'Visited the site', matches: event => event.name === 'pageview' },
+    { id: 'product', label: 'Viewed a product page', matches: event => event.name === 'pageview' && PRODUCT_PAGES.includes(event.page) },
+    { id: 'contact', label: 'Opened the contact page', matches: event => event.name === 'pageview' && event.page === CONTACT_PAGE },
+    { id: 'form_start', label: 'Started the enquiry form', matches: event => event.name === 'form_start' },
+    { id: 'form_submit', label: 'Sent an enquiry', matches: event => event.name === 'form_submit' }
+];
+
+/**
+ * Create the visitor id function
+ * The salt changes at midnight UTC (and on restart), so ids cannot be linked across days
+ * @returns {Function} - (req, [now]) => 16 hex characters
+ */
+export function createVisitorHasher() {
+    let day = '';
+    let salt = null;
+
+    return (req, now = new Date()) => {
+        const today = now.toISOString().slice(0, 10);
+        if (today !== day) {
+            day = today;
+            salt = crypto.randomBytes(16);
+        }
+        return crypto.createHash('sha256')
+            .update(salt)
+            .update(`${req.socket.remoteAddress || ''}\n${req.headers['user-agent'] || ''}`)
+            .digest('hex')
+            .slice(0, 16);
+    };
+}
+
+/**
+ * Whether a request should not be counted: opted out, or not a person
+ * @param {http.IncomingMessage} req - Request
+ * @returns {boolean}
+ */
+function isIgnored(req) {
+    const agent = req.headers['user-agent'] || '';
+    return req.headers.dnt === '1' || req.headers['sec-gpc'] === '1' || !agent || BOT_PATTERN.test(agent);
+}
+
+/**
+ * A page path as the report groups it: "/" is the home page
+ * @param {*} page - location.pathname from the browser
+ * @returns {string} - '' if it is not a page of the site
+ */
+function normalizePage(page) {
+    const path = String(page || '').replace(/\/$/, '/index.html');
+    return /^\/[\w-]+\.html$/.test(path) ? path : '';
+}
+
+/**
+ * Check an event from the browser and keep only its known properties
+ * @param {*} raw - { name, page, props }
+ * @returns {Object|null} - { name, page, props }, or null if it is not valid
+ */
+export function normalizeEvent(raw) {
+    if (!raw || typeof raw !== 'object' || !Object.hasOwn(ANALYTICS_EVENTS, raw.name)) return null;
+
+    const page = normalizePage(raw.page);
+    if (!page) return null;
+
+    const props = {};
+    ANALYTICS_EVENTS[raw.name].forEach(key => {
+        const value = raw.props?.[key];
+        if (typeof value === 'string' && value.trim()) props[key] = value.trim().slice(0, MAX_VALUE_LENGTH);
+        else if ((typeof value === 'number' && Number.isFinite(value)) || typeof value === 'boolean') props[key] = value;
+    });
+    return { name: raw.name, page, props };
+}
+
+/**
+ * Counts of a value, most frequent first
+ * @param {Array<string>} values
+ * @returns {Array<{value: string, count: number}>}
+ */
+function countValues(values) {
+    const counts = new Map();
+    values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+    return [...counts]
+        .map(([value, count]) => ({ value, count }))
+        .sort((a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value)));
+}
+
+/**
+ * Summarize stored events: the enquiry funnel, which product pages lead to enquiries,
+ * and the hero, menu, breed card and form events
+ * @param {Array<Object>} events - Stored events, oldest first
+ * @param {Object} [options]
+ * @param {number} [options.days] - Report on the last this many days
+ * @param {number} [options.now] - Current time
+ * @returns {Object}
+ */
+export function buildAnalyticsReport(events, { days = DEFAULT_REPORT_DAYS, now = Date.now() } = {}) {
+    const since = new Date(now - days * DAY_MS).toISOString();
+    const recent = events.filter(event => event.createdAt >= since);
+    const pageviews = recent.filter(event => event.name === 'pageview');
+    const named = (name) => recent.filter(event => event.name === name);
+
+    const byVisitor = new Map();
+    recent.forEach(event => {
+        if (!byVisitor.has(event.visitor)) byVisitor.set(event.visitor, []);
+        byVisitor.get(event.visitor).push(event);
+    });
+
+    // How far along the funnel each visitor got
+    const reached = FUNNEL_STEPS.map(() => 0);
+    byVisitor.forEach(visits => {
+        let step = 0;
+        visits.forEach(event => {
+            if (step < FUNNEL_STEPS.length && FUNNEL_STEPS[step].matches(event)) step += 1;
+        });
+        for (let index = 0; index < step; index++) reached[index] += 1;
+    });
+
+    // Visitors who went on to start or send an enquiry after seeing a page
+    const laterOn = (page, name) => [...byVisitor.values()].filter(visits => {
+        const seen = visits.findIndex(event => event.name === 'pageview' && event.page === page);
+        return seen !== -1 && visits.slice(seen).some(event => event.name === name);
+    }).length;
+    const visitorsOf = (page) => new Set(pageviews.filter(event => event.page === page).map(event => event.visitor)).size;
+
+    return {
+        days,
+        from: since,
+        to: new Date(now).toISOString(),
+        totals: {
+            visitors: byVisitor.size,
+            pageviews: pageviews.length,
+            enquiries: named('form_submit').length
+        },
+        funnel: FUNNEL_STEPS.map(({ id, label }, index) => ({ id, label, visitors: reached[index] })),
+        productPages: PRODUCT_PAGES.map(page => ({
+            page,
+            views: pageviews.filter(event => event.page === page).length,
+            visitors: visitorsOf(page),
+            formStarts: laterOn(page, 'form_start'),
+            enquiries: laterOn(page, 'form_submit')
+        })),
+        pages: countValues(pageviews.map(event => event.page))
+            .map(({ value, count }) => ({ page: value, views: count, visitors: visitorsOf(value) })),
+        referrers: countValues(pageviews.map(event => event.props.referrer).filter(Boolean))
+            .map(({ value, count }) => ({ host: value, visits: count })),
+        heroSlides: countValues(named('hero_slide').map(event => event.props.slide))
+            .map(({ value, count }) => ({ slide: value, impressions: count }))
+            .sort((a, b) => a.slide - b.slide),
+        productNav: countValues(named('product_nav').map(event => event.props.target))
+            .map(({ value, count }) => ({ target: value, clicks: count })),
+        breedCards: countValues(named('breed_card_view').map(event => event.props.breed))
+            .map(({ value, count }) => ({ breed: value, name: BREED_NAMES[value] || value, views: count })),
+        formErrors: countValues(named('form_error').flatMap(event => (event.props.fields || event.props.reason || '').split(',')).filter(Boolean))
+            .map(({ value, count }) => ({ field: value, count }))
+    };
+}
+
+/**
+ * Register the analytics routes
+ * @param {Router} router - Application router
+ * @param {Object} deps
+ * @param {JsonStore} deps.store - Event store
+ * @param {Function} deps.requireAdmin - From createAdminAuth()
+ */
+export function registerAnalyticsRoutes(router, { store, requireAdmin }) {
+    const limiter = new RateLimiter({ limit: 120, windowMs: 10 * 60 * 1000 });
+    const visitorId = createVisitorHasher();
+    let prunedOn = '';
+
+    // Drop events past the retention period, once a day
+    const prune = async (now) => {
+        const today = now.toISOString().slice(0, 10);
+        if (today === prunedOn) return;
+        prunedOn = today;
+        const cutoff = new Date(now - ANALYTICS_RETENTION_DAYS * DAY_MS).toISOString();
+        await store.removeWhere(event => event.createdAt < cutoff);
+    };
+
+    router.post(ANALYTICS_ENDPOINT, async (req, res) => {
+        if (!isIgnored(req)) {
+            if (!limiter.hit(req.socket.remoteAddress || 'unknown').allowed) {
+                throw new HttpError(429, 'Too many events.');
+            }
+            const body = await readBody(req);
+            const events = (Array.isArray(body.events) ? body.events : [])
+                .slice(0, MAX_EVENTS_PER_REQUEST)
+                .map(normalizeEvent)
+                .filter(Boolean);
+
+            if (events.length > 0) {
+                const now = new Date();
+                const visitor = visitorId(req, now);
+                await prune(now);
+                await store.insertMany(events.map(event => ({ ...event, visitor })));
+            }
+        }
+        res.writeHead(204, { 'Cache-Control': 'no-store' });
+        res.end();
+    });
+
+    router.get('/api/admin/analytics', async (req, res) => {
+        requireAdmin(req, res);
+        const { searchParams } = new URL(req.url, 'http://localhost');
+        const days = Math.min(Math.max(Math.round(Number(searchParams.get('days'))) || DEFAULT_REPORT_DAYS, 1), ANALYTICS_RETENTION_DAYS);
+
+        sendJson(res, 200, { ok: true, report: buildAnalyticsReport(await store.all(), { days }) });
+    });
+}
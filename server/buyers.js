@@ -0,0 +1,230 @@
+/* ============================================
+   BUYER PORTAL API
+   POST   /api/buyer/login    - email a one-time
+          sign-in link (no password to remember)
+   POST   /api/buyer/session  - swap the link's token
+          for a session cookie; the account is
+          created on the first sign-in
+   GET    /api/buyer/session  - the signed-in buyer
+          and the session's CSRF token
+   DELETE /api/buyer/session  - sign out
+   PATCH  /api/buyer/profile  - company profile and
+          saved delivery ports
+   GET    /api/buyer/orders   - RFQs sent while
+          signed in, with their status
+   GET    /api/buyer/shipments - consignments whose
+          buyerEmail is the account's address
+   GET    /api/buyer/shipments/:id/documents
+          - the shipment's export document pack
+   Changes need the X-CSRF-Token header.
+   ============================================ */
+
+import { HttpError, readBody, sendJson } from './lib/http.js';
+import { pickLocale, getMessages } from './lib/i18n.js';
+import { RateLimiter } from './lib/spam.js';
+import { createToken, hashToken, checkOrigin } from './lib/sessions.js';
+import { findDocumentProblems, renderExportDocuments } from './lib/export-documents.js';
+import { checkSubmission, enforceLimit } from './enquiries.js';
+import { normalizeConsignmentId } from './consignments.js';
+import { validateSchema } from '../src/js/validation.js';
+import { normalizePhone } from '../src/js/phone.js';
+import { SIGN_IN_SCHEMA, SIGN_IN_LINK_MINUTES, BUYER_PROFILE_SCHEMA, toBuyerProfile } from '../src/js/buyer.js';
+
+/**
+ * An RFQ as the buyer sees it, without the sales team's notes
+ * @param {Object} record - Stored RFQ
+ * @returns {Object}
+ */
+function toOrder(record) {
+    return {
+        reference: record.reference,
+        status: record.status,
+        destinationPort: record.destinationPort || '',
+        items: record.items || [],
+        message: record.message || '',
+        createdAt: record.createdAt,
+        updatedAt: record.updatedAt
+    };
+}
+
+/**
+ * A consignment as listed in the buyer's account
+ * @param {Object} record - Stored consignment
+ * @returns {Object}
+ */
+function toShipment(record) {
+    return {
+        id: record.id,
+        product: record.product,
+        breed: record.breed || '',
+        cut: record.cut,
+        state: record.processing?.state || '',
+        quantity: record.quantity,
+        buyerReference: record.trade?.buyerReference || '',
+        portOfDischarge: record.trade?.portOfDischarge || '',
+        documentsReady: findDocumentProblems(record).length === 0,
+        hasReport: Boolean(record.temperatureLog?.readings?.length)
+    };
+}
+
+/**
+ * Whether a record belongs to an email address
+ * @param {string} value - Address on the record
+ * @param {string} email - Account address (lower case)
+ * @returns {boolean}
+ */
+const sameEmail = (value, email) => typeof value === 'string' && value.trim().toLowerCase() === email;
+
+/**
+ * Register the buyer portal routes
+ * @param {Router} router - Application router
+ * @param {Object} deps
+ * @param {JsonStore} deps.store - Buyer accounts
+ * @param {JsonStore} deps.logins - Pending sign-in links
+ * @param {Object} deps.sessions - From createSessions()
+ * @param {JsonStore} deps.enquiries - Enquiry and RFQ store
+ * @param {JsonStore} deps.consignments - Consignment store
+ * @param {Object} deps.mailer - From createMailer()
+ * @param {string} deps.secret - Key for signing form tokens
+ * @param {string} deps.siteUrl - Public address of the site, for the link in the email
+ */
+export function registerBuyerRoutes(router, { store, logins, sessions, enquiries, consignments, mailer, secret, siteUrl }) {
+    const ipLimiter = new RateLimiter({ limit: 10, windowMs: 10 * 60 * 1000 });
+    const emailLimiter = new RateLimiter({ limit: 3, windowMs: 60 * 60 * 1000 });
+
+    /**
+     * The signed-in buyer
+     * @returns {Promise<{session: Object, buyer: Object, messages: Object}>}
+     * @throws {HttpError} - 401 when signed out, or the account is gone
+     */
+    const requireBuyer = async (req) => {
+        const messages = getMessages(pickLocale(req), 'buyer').errors;
+        const session = await sessions.requireSession(req, messages.signedOut);
+        const buyer = await store.get(session.buyerId);
+        if (!buyer) throw new HttpError(401, messages.signedOut);
+        return { session, buyer, messages };
+    };
+
+    router.post('/api/buyer/login', async (req, res) => {
+        const locale = pickLocale(req);
+        const errors = getMessages(locale, 'errors');
+        checkOrigin(req);
+
+        enforceLimit(res, ipLimiter.hit(req.socket.remoteAddress || 'unknown'), errors);
+
+        const body = await readBody(req);
+        checkSubmission(body, secret, errors);
+
+        const result = validateSchema(SIGN_IN_SCHEMA, body, getMessages(locale, 'validation'));
+        if (!result.valid) {
+            throw new HttpError(422, errors.correctFields, { errors: result.errors });
+        }
+        const email = result.values.email.toLowerCase();
+        enforceLimit(res, emailLimiter.hit(email), errors);
+
+        // Only the newest link works, and expired ones are cleared out
+        await logins.removeWhere(link => link.email === email || Date.parse(link.expiresAt) <= Date.now());
+        const { token, hash } = createToken();
+        await logins.insert({
+            hash,
+            email,
+            expiresAt: new Date(Date.now() + SIGN_IN_LINK_MINUTES * 60 * 1000).toISOString()
+        });
+
+        // In the fragment, so the token stays out of server logs and Referer headers
+        const link = `${siteUrl}/account.html#token=${token}`;
+        const { subject, body: text } = getMessages(locale, 'buyer').email;
+        await mailer.send({
+            to: email,
+            subject,
+            text: text.replace('{link}', link).replace('{minutes}', SIGN_IN_LINK_MINUTES)
+        });
+
+        sendJson(res, 200, { ok: true, minutes: SIGN_IN_LINK_MINUTES });
+    });
+
+    router.post('/api/buyer/session', async (req, res) => {
+        const messages = getMessages(pickLocale(req), 'buyer').errors;
+        checkOrigin(req);
+
+        const body = await readBody(req);
+        const hash = hashToken(typeof body.token === 'string' ? body.token : '');
+        const link = (await logins.all()).find(record => record.hash === hash);
+        // One use only, whether or not it is still valid
+        if (link) await logins.removeWhere(record => record.hash === hash);
+        if (!link || Date.parse(link.expiresAt) <= Date.now()) {
+            throw new HttpError(400, messages.linkExpired, { reason: 'link_expired' });
+        }
+
+        const existing = (await store.all()).find(buyer => buyer.email === link.email);
+        const buyer = existing
+            ? await store.update(existing.id, { lastSignInAt: new Date().toISOString() })
+            : await store.insert({ ...toBuyerProfile({ email: link.email }), lastSignInAt: new Date().toISOString() });
+        const session = await sessions.start(req, res, { buyerId: buyer.id });
+
+        console.log(`Buyer ${buyer.email} signed in${existing ? '' : ' (new account)'}`);
+        sendJson(res, 200, { ok: true, buyer: toBuyerProfile(buyer), csrfToken: session.csrfToken });
+    });
+
+    router.get('/api/buyer/session', async (req, res) => {
+        const { session, buyer } = await requireBuyer(req);
+        sendJson(res, 200, { ok: true, buyer: toBuyerProfile(buyer), csrfToken: session.csrfToken });
+    });
+
+    router.delete('/api/buyer/session', async (req, res) => {
+        const { session, messages } = await requireBuyer(req);
+        sessions.requireCsrf(req, session, messages.csrf);
+        await sessions.end(req, res);
+        sendJson(res, 200, { ok: true });
+    });
+
+    router.patch('/api/buyer/profile', async (req, res) => {
+        const locale = pickLocale(req);
+        const { session, buyer, messages } = await requireBuyer(req);
+        sessions.requireCsrf(req, session, messages.csrf);
+
+        const result = validateSchema(BUYER_PROFILE_SCHEMA, await readBody(req), getMessages(locale, 'validation'));
+        if (!result.valid) {
+            throw new HttpError(422, getMessages(locale, 'errors').correctFields, { errors: result.errors });
+        }
+        const updated = await store.update(buyer.id, { ...result.values, phone: normalizePhone(result.values.phone) });
+
+        sendJson(res, 200, { ok: true, buyer: toBuyerProfile(updated) });
+    });
+
+    router.get('/api/buyer/orders', async (req, res) => {
+        const { buyer } = await requireBuyer(req);
+        // Not matched by email: anyone can send an RFQ with someone else's address
+        const orders = (await enquiries.all())
+            .filter(record => record.type === 'rfq' && record.buyerId === buyer.id)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+        sendJson(res, 200, { ok: true, orders: orders.map(toOrder) });
+    });
+
+    router.get('/api/buyer/shipments', async (req, res) => {
+        const { buyer } = await requireBuyer(req);
+        const shipments = (await consignments.all())
+            .filter(record => sameEmail(record.buyerEmail, buyer.email))
+            .sort((a, b) => b.id.localeCompare(a.id));
+        sendJson(res, 200, { ok: true, shipments: shipments.map(toShipment) });
+    });
+
+    router.get('/api/buyer/shipments/:id/documents', async (req, res, params) => {
+        const { buyer, messages } = await requireBuyer(req);
+        const consignment = await consignments.get(normalizeConsignmentId(params.id));
+        // Someone else's shipment looks the same as a missing one
+        if (!consignment || !sameEmail(consignment.buyerEmail, buyer.email)) throw new HttpError(404, messages.notFound);
+        if (findDocumentProblems(consignment).length) throw new HttpError(422, messages.documentsNotReady);
+
+        const html = renderExportDocuments(consignment);
+        res.writeHead(200, {
+            'Content-Type': 'text/html; charset=utf-8',
+            'Content-Length': Buffer.byteLength(html),
+            'Content-Disposition': `attachment; filename="${consignment.id}-documents.html"`,
+            'Cache-Control': 'no-store',
+            'X-Robots-Tag': 'noindex'
+        });
+        res.end(html);
+        console.log(`Export documents for ${consignment.id} downloaded by ${buyer.email}`);
+    });
+}
@@ -0,0 +1,193 @@
+/* ============================================
+   CONSIGNMENT TRACKING API
+   GET  /api/consignments/:id        - public tracking
+        details for a lot/consignment ID, as printed
+        on the QR labels and read by track.html
+   GET  /api/consignments/:id/report - cold-chain
+        compliance report (HTML, ?lang=)
+   GET  /api/admin/consignments      - all consignments
+   POST /api/admin/consignments/:id/temperature-log
+        - upload a data-logger CSV export
+   GET  /api/admin/consignments/:id/documents[/:type]
+        - export document pack, or one document
+          (HTML, ?date=YYYY-MM-DD to reissue)
+   ============================================ */
+
+import { HttpError, readBody, sendJson } from './lib/http.js';
+import { pickLocale, getMessages, isSupportedLocale } from './lib/i18n.js';
+import { RateLimiter } from './lib/spam.js';
+import { renderColdChainReport } from './lib/cold-chain-report.js';
+import { DOCUMENT_TYPES, findDocumentProblems, renderExportDocuments } from './lib/export-documents.js';
+import { parseTemperatureLog, summarizeTemperatureLog, parseTimestamp } from '../src/js/cold-chain.js';
+
+/** Lot/consignment IDs as printed on labels, e.g. FF-2609-0142 */
+export const CONSIGNMENT_ID_PATTERN = /^[A-Z0-9][A-Z0-9-]{2,31}$/;
+
+// Fields only sales, the admin and the buyer's own account see
+const PRIVATE_FIELDS = ['buyer', 'buyerEmail', 'trade'];
+
+// Logger exports run to a few hundred kilobytes
+const MAX_LOG_SIZE = 2 * 1024 * 1024;
+
+/**
+ * Normalize a scanned or typed ID
+ * @param {string} id - Raw ID
+ * @returns {string}
+ */
+export function normalizeConsignmentId(id) {
+    return String(id || '').trim().toUpperCase();
+}
+
+/**
+ * Drop internal fields from a consignment
+ * @param {Object} record - Stored consignment
+ * @returns {Object}
+ */
+function toPublic(record) {
+    return Object.fromEntries(Object.entries(record).filter(([key]) => !PRIVATE_FIELDS.includes(key)));
+}
+
+/**
+ * Consignment as listed in the admin
+ * @param {Object} record - Stored consignment
+ * @returns {Object}
+ */
+function toAdminSummary(record) {
+    const { temperatureLog, ...consignment } = record;
+    const summary = summarizeTemperatureLog(temperatureLog?.readings, record.processing?.state);
+    return {
+        ...consignment,
+        temperatureLog: temperatureLog ? {
+            fileName: temperatureLog.fileName,
+            uploadedAt: temperatureLog.uploadedAt,
+            count: summary?.count || 0,
+            excursions: summary?.excursions.length || 0
+        } : null,
+        documentProblems: findDocumentProblems(record)
+    };
+}
+
+/**
+ * Register the tracking routes
+ * @param {Router} router - Application router
+ * @param {Object} deps
+ * @param {JsonStore} deps.store - Consignment store
+ * @param {Function} deps.requireAdmin - From createAdminAuth()
+ */
+export function registerConsignmentRoutes(router, { store, requireAdmin }) {
+    // Generous for people, but slows down guessing IDs
+    const limiter = new RateLimiter({ limit: 60, windowMs: 10 * 60 * 1000 });
+
+    /**
+     * Rate-limit a public lookup and load the consignment
+     * @returns {Promise<Object>} - Stored consignment
+     * @throws {HttpError} - 429 or 404
+     */
+    const findConsignment = async (req, res, rawId, messages) => {
+        const { allowed, retryAfter } = limiter.hit(req.socket.remoteAddress || 'unknown');
+        if (!allowed) {
+            res.setHeader('Retry-After', String(retryAfter));
+            throw new HttpError(429, messages.rateLimited);
+        }
+
+        const id = normalizeConsignmentId(rawId);
+        const consignment = CONSIGNMENT_ID_PATTERN.test(id) ? await store.get(id) : undefined;
+        if (!consignment) throw new HttpError(404, messages.notFound);
+        return consignment;
+    };
+
+    router.get('/api/consignments/:id', async (req, res, params) => {
+        const consignment = await findConsignment(req, res, params.id, getMessages(pickLocale(req), 'tracking'));
+        sendJson(res, 200, { ok: true, consignment: toPublic(consignment) });
+    });
+
+    router.get('/api/consignments/:id/report', async (req, res, params) => {
+        // The tracking page passes its language, since a download link sends no preference
+        const lang = new URL(req.url, 'http://localhost').searchParams.get('lang');
+        const locale = isSupportedLocale(lang) ? lang : pickLocale(req);
+        const messages = getMessages(locale, 'tracking');
+
+        const consignment = await findConsignment(req, res, params.id, messages);
+        if (!consignment.temperatureLog?.readings?.length) throw new HttpError(404, messages.noReport);
+
+        const html = renderColdChainReport(consignment, { locale });
+        res.writeHead(200, {
+            'Content-Type': 'text/html; charset=utf-8',
+            'Content-Length': Buffer.byteLength(html),
+            'Content-Disposition': `inline; filename="cold-chain-report-${consignment.id}.html"`,
+            'Cache-Control': 'no-store',
+            'X-Robots-Tag': 'noindex'
+        });
+        res.end(html);
+    });
+
+    router.get('/api/admin/consignments', async (req, res) => {
+        requireAdmin(req, res);
+        const consignments = (await store.all()).sort((a, b) => b.id.localeCompare(a.id));
+        sendJson(res, 200, { ok: true, consignments: consignments.map(toAdminSummary) });
+    });
+
+    router.post('/api/admin/consignments/:id/temperature-log', async (req, res, params) => {
+        const user = requireAdmin(req, res);
+        const body = await readBody(req, MAX_LOG_SIZE);
+        const id = normalizeConsignmentId(params.id);
+        if (!await store.get(id)) throw new HttpError(404, 'Consignment not found.');
+
+        const { valid, readings, error } = parseTemperatureLog(body.csv);
+        if (!valid) throw new HttpError(422, error);
+
+        const fileName = typeof body.fileName === 'string' ? body.fileName.trim().slice(0, 120) : '';
+        const record = await store.update(id, {
+            temperatureLog: { fileName, uploadedAt: new Date().toISOString(), readings }
+        });
+
+        console.log(`Temperature log for ${id} uploaded by ${user} (${readings.length} readings)`);
+        sendJson(res, 200, { ok: true, consignment: toAdminSummary(record) });
+    });
+
+    /**
+     * Send export documents as an HTML page
+     * @param {http.IncomingMessage} req - Request
+     * @param {http.ServerResponse} res - Response
+     * @param {string} rawId - Consignment ID from the URL
+     * @param {string} [type] - Key of DOCUMENT_TYPES, or the whole pack
+     */
+    const sendDocuments = async (req, res, rawId, type) => {
+        const user = requireAdmin(req, res);
+        if (type !== undefined && !Object.hasOwn(DOCUMENT_TYPES, type)) throw new HttpError(404, 'Unknown document type.');
+        const types = type ? [type] : Object.keys(DOCUMENT_TYPES);
+        const consignment = await store.get(normalizeConsignmentId(rawId));
+        if (!consignment) throw new HttpError(404, 'Consignment not found.');
+
+        // Reprints keep the original issue date
+        const dateParam = new URL(req.url, 'http://localhost').searchParams.get('date');
+        const time = dateParam ? parseTimestamp(dateParam) : Date.now();
+        if (dateParam && (!/^\d{4}-\d{2}-\d{2}$/.test(dateParam) || Number.isNaN(time))) {
+            throw new HttpError(400, 'Use a date in the form YYYY-MM-DD.');
+        }
+        const date = new Date(time);
+
+        const problems = findDocumentProblems(consignment, { types, date });
+        if (problems.length) throw new HttpError(422, 'These documents cannot be issued yet.', { problems });
+
+        const html = renderExportDocuments(consignment, { types, date });
+        const name = type ? `${consignment.id}-${DOCUMENT_TYPES[type].code}` : `${consignment.id}-documents`;
+        res.writeHead(200, {
+            'Content-Type': 'text/html; charset=utf-8',
+            'Content-Length': Buffer.byteLength(html),
+            'Content-Disposition': `inline; filename="${name}.html"`,
+            'Cache-Control': 'no-store',
+            'X-Robots-Tag': 'noindex'
+        });
+        res.end(html);
+        console.log(`Export documents (${types.join(', ')}) for ${consignment.id} issued by ${user}`);
+    };
+
+    router.get('/api/admin/consignments/:id/documents', async (req, res, params) => {
+        await sendDocuments(req, res, params.id);
+    });
+
+    router.get('/api/admin/consignments/:id/documents/:type', async (req, res, params) => {
+        await sendDocuments(req, res, params.id, params.type);
+    });
+}
@@ -0,0 +1,197 @@
+/* ============================================
+   ENQUIRIES API
+   GET  /api/form-token - signed timestamp for a
+   form, requested when the page loads
+   POST /api/enquiries - validate and store a
+   contact form enquiry, or a request for
+   quotation when `type` is "rfq" (kept with
+   the buyer's account when sent signed in)
+   ============================================ */
+
+import crypto from 'node:crypto';
+import { HttpError, readBody, sendJson } from './lib/http.js';
+import { pickLocale, getMessages } from './lib/i18n.js';
+import { guessCountry } from './lib/countries.js';
+import { validateEnquiry, ENQUIRY_SUBJECTS } from '../src/js/validation.js';
+import { validateRfq } from '../src/js/rfq.js';
+import { normalizePhone } from '../src/js/phone.js';
+import {
+    HONEYPOT_FIELD, SPAM_THRESHOLD, RateLimiter,
+    createFormToken, verifyFormToken, spamScore, messageFingerprint
+} from './lib/spam.js';
+
+/** Forms sent sooner than this after the token was issued are treated as bots */
+const MIN_FILL_MS = 3000;
+
+/** Window in which the same sender and text counts as a duplicate */
+const DUPLICATE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Build a short, human friendly reference such as ENQ-20260118-7K2Q
+ * @param {string} prefix - Reference prefix
+ * @returns {string}
+ */
+export function createReference(prefix = 'ENQ') {
+    const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+    const suffix = crypto.randomBytes(3).readUIntBE(0, 3).toString(36).toUpperCase().padStart(4, '0').slice(-4);
+    return `${prefix}-${date}-${suffix}`;
+}
+
+/**
+ * Register the enquiry routes
+ * @param {Router} router - Application router
+ * @param {Object} deps
+ * @param {JsonStore} deps.store - Enquiry store
+ * @param {string} deps.secret - Key for signing form tokens
+ * @param {Object} [deps.sessions] - Buyer sessions, from createSessions()
+ */
+export function registerEnquiryRoutes(router, { store, secret, sessions }) {
+    const ipLimiter = new RateLimiter({ limit: 10, windowMs: 10 * 60 * 1000 });
+    const emailLimiter = new RateLimiter({ limit: 3, windowMs: 60 * 60 * 1000 });
+    
+    router.get('/api/form-token', async (req, res) => {
+        sendJson(res, 200, { ok: true, token: createFormToken(secret) });
+    });
+    
+    router.post('/api/enquiries', async (req, res) => {
+        const locale = pickLocale(req);
+        const errors = getMessages(locale, 'errors');
+        
+        enforceLimit(res, ipLimiter.hit(req.socket.remoteAddress || 'unknown'), errors);
+        
+        const body = await readBody(req);
+        checkSubmission(body, secret, errors);
+        
+        const record = body.type === 'rfq' ? buildRfq(body, locale) : buildEnquiry(body, locale);
+        // RFQ notes are optional, so the quoted items are part of the text
+        const text = record.items ? `${record.message}\n${JSON.stringify(record.items)}` : record.message;
+        const fingerprint = messageFingerprint(record.email, text);
+        
+        if (spamScore(`${record.name} ${record.message}`) >= SPAM_THRESHOLD) {
+            throw new HttpError(422, errors.spam, { reason: 'spam' });
+        }
+        if (await isDuplicate(store, fingerprint)) {
+            throw new HttpError(409, errors.duplicate, { reason: 'duplicate' });
+        }
+        enforceLimit(res, emailLimiter.hit(record.email.toLowerCase()), errors);
+        
+        // The buyer's order history lists only these. The session cookie is
+        // SameSite=Lax, so a form on another site can't file one under an account.
+        const session = record.type === 'rfq' && sessions ? await sessions.read(req) : null;
+        
+        const enquiry = await store.insert({
+            reference: createReference(record.type === 'rfq' ? 'RFQ' : 'ENQ'),
+            status: 'new',
+            locale,
+            fingerprint,
+            country: guessCountry(record),
+            assignee: '',
+            notes: '',
+            ...record,
+            ...(session ? { buyerId: session.buyerId } : {})
+        });
+        
+        console.log(`${record.type === 'rfq' ? 'RFQ' : 'Enquiry'} ${enquiry.reference} stored (${record.subject})`);
+        sendJson(res, 201, { ok: true, reference: enquiry.reference });
+    });
+}
+
+/**
+ * Reject a request that went over a rate limit
+ * @param {http.ServerResponse} res - Response, for the Retry-After header
+ * @param {{allowed: boolean, retryAfter: number}} result - From RateLimiter#hit
+ * @param {Object} errors - Localized error messages
+ * @throws {HttpError} - 429
+ */
+export function enforceLimit(res, { allowed, retryAfter }, errors) {
+    if (allowed) return;
+    res.setHeader('Retry-After', String(retryAfter));
+    const minutes = Math.max(1, Math.ceil(retryAfter / 60));
+    throw new HttpError(429, errors.rateLimited.replace('{minutes}', minutes), { reason: 'rate_limited', retryAfter });
+}
+
+/**
+ * Bot checks that run before the fields are validated:
+ * the honeypot must be empty and the form token valid and not too fresh
+ * @param {Object} body - Request body
+ * @param {string} secret - Form token key
+ * @param {Object} errors - Localized error messages
+ * @throws {HttpError} - 400 with a `reason`
+ */
+export function checkSubmission(body, secret, errors) {
+    if (body[HONEYPOT_FIELD]) {
+        throw new HttpError(400, errors.rejected, { reason: 'honeypot' });
+    }
+    
+    const token = verifyFormToken(secret, body.formToken);
+    if (!token.valid) {
+        throw new HttpError(400, errors.formExpired, { reason: 'token' });
+    }
+    if (token.age < MIN_FILL_MS) {
+        throw new HttpError(400, errors.tooFast, { reason: 'too_fast' });
+    }
+}
+
+/**
+ * Check for the same sender and message in the last day
+ * @param {JsonStore} store - Enquiry store
+ * @param {string} fingerprint - From messageFingerprint()
+ * @returns {Promise<boolean>}
+ */
+async function isDuplicate(store, fingerprint) {
+    const since = Date.now() - DUPLICATE_WINDOW_MS;
+    return (await store.all()).some(record =>
+        record.fingerprint === fingerprint && Date.parse(record.createdAt) >= since);
+}
+
+/**
+ * Validate a contact form enquiry
+ * @param {Object} body - Request body
+ * @param {string} locale - Language for error messages
+ * @returns {Object} - Fields to store
+ * @throws {HttpError} - 422 with field errors
+ */
+function buildEnquiry(body, locale) {
+    const { valid, errors, values } = validateEnquiry(body, getMessages(locale, 'validation'));
+    if (!valid) {
+        throw new HttpError(422, getMessages(locale, 'errors').correctFields, { errors });
+    }
+    
+    const subject = values.subject || 'general';
+    return {
+        type: 'enquiry',
+        name: values.name,
+        email: values.email,
+        // E.164, so the dashboard's WhatsApp and call links work
+        phone: normalizePhone(values.phone),
+        subject,
+        subjectLabel: ENQUIRY_SUBJECTS[subject],
+        message: values.message
+    };
+}
+
+/**
+ * Validate a request for quotation from the quote cart
+ * @param {Object} body - Request body
+ * @param {string} locale - Language for error messages
+ * @returns {Object} - Fields to store
+ * @throws {HttpError} - 422 with field errors
+ */
+function buildRfq(body, locale) {
+    const { valid, errors, values } = validateRfq(body, getMessages(locale, 'rfq'), getMessages(locale, 'validation'));
+    if (!valid) {
+        throw new HttpError(422, getMessages(locale, 'errors').correctFields, { errors });
+    }
+    
+    return {
+        type: 'rfq',
+        name: values.name,
+        email: values.email,
+        phone: normalizePhone(values.phone),
+        subject: 'export',
+        subjectLabel: 'Request for Quotation',
+        message: values.message,
+        destinationPort: values.destinationPort,
+        items: values.items
+    };
+}
@@ -0,0 +1,121 @@
+#!/usr/bin/env node
+/* ============================================
+   FRESHFLOW FOODS - LOCAL SERVER
+   Serves the site and the JSON API.
+
+   Usage: node server/index.js
+   Environment: PORT (3000), HOST (127.0.0.1),
+                DATA_DIR (./data), FORM_SECRET,
+                ADMIN_USER (admin), ADMIN_PASSWORD,
+                SITE_URL (http://HOST:PORT)
+   ============================================ */
+
+import http from 'node:http';
+import crypto from 'node:crypto';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { Router } from './lib/router.js';
+import { JsonStore } from './lib/json-store.js';
+import { createStaticHandler } from './lib/static.js';
+import { createAdminAuth } from './lib/auth.js';
+import { sendJson } from './lib/http.js';
+import { createSessions } from './lib/sessions.js';
+import { createMailer } from './lib/mailer.js';
+import { registerEnquiryRoutes } from './enquiries.js';
+import { registerAdminRoutes } from './admin.js';
+import { registerConsignmentRoutes } from './consignments.js';
+import { registerAnalyticsRoutes } from './analytics.js';
+import { registerPartnerRoutes } from './partners.js';
+import { registerBuyerRoutes } from './buyers.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const BUYER_SESSION_DAYS = 30;
+
+/**
+ * Create the request handler
+ * @param {Object} [options]
+ * @param {string} [options.root] - Public site directory
+ * @param {string} [options.dataDir] - Directory for JSON stores and uploaded documents
+ * @param {string} [options.formSecret] - Key for signing form tokens (random per process if unset)
+ * @param {Object} [options.admin] - Admin credentials ({ user, password }); no password disables /admin
+ * @param {string} [options.siteUrl] - Public address of the site, used in emailed links
+ * @returns {Function} - (req, res) request listener
+ */
+export function createApp({
+    root = ROOT,
+    dataDir = path.join(ROOT, 'data'),
+    formSecret = crypto.randomBytes(32).toString('hex'),
+    admin = {},
+    siteUrl = 'http://127.0.0.1:3000'
+} = {}) {
+    const router = new Router();
+    const stores = {
+        enquiries: new JsonStore(path.join(dataDir, 'enquiries.json')),
+        // Starts from the sample consignments until real lots are recorded
+        consignments: new JsonStore(path.join(dataDir, 'consignments.json'), {
+            seed: path.join(ROOT, 'server/fixtures/consignments.json')
+        }),
+        analytics: new JsonStore(path.join(dataDir, 'analytics.json')),
+        partners: new JsonStore(path.join(dataDir, 'partner-applications.json')),
+        buyers: new JsonStore(path.join(dataDir, 'buyers.json')),
+        buyerLogins: new JsonStore(path.join(dataDir, 'buyer-logins.json')),
+        buyerSessions: new JsonStore(path.join(dataDir, 'buyer-sessions.json'))
+    };
+    
+    // RFQs sent while signed in are filed under the buyer's account
+    const buyerSessions = createSessions({
+        store: stores.buyerSessions,
+        cookie: 'ff_buyer',
+        maxAgeMs: BUYER_SESSION_DAYS * 24 * 60 * 60 * 1000
+    });
+    
+    registerEnquiryRoutes(router, { store: stores.enquiries, secret: formSecret, sessions: buyerSessions });
+    const requireAdmin = createAdminAuth(admin);
+    registerAdminRoutes(router, { store: stores.enquiries, requireAdmin, root });
+    registerConsignmentRoutes(router, { store: stores.consignments, requireAdmin });
+    registerAnalyticsRoutes(router, { store: stores.analytics, requireAdmin });
+    registerPartnerRoutes(router, {
+        store: stores.partners,
+        secret: formSecret,
+        requireAdmin,
+        documentDir: path.join(dataDir, 'partner-documents')
+    });
+    registerBuyerRoutes(router, {
+        store: stores.buyers,
+        logins: stores.buyerLogins,
+        sessions: buyerSessions,
+        enquiries: stores.enquiries,
+        consignments: stores.consignments,
+        // Sign-in emails land in data/outbox until a real mail relay is configured
+        mailer: createMailer({ outbox: path.join(dataDir, 'outbox') }),
+        secret: formSecret,
+        siteUrl: siteUrl.replace(/\/+$/, '')
+    });
+    
+    const serveStatic = createStaticHandler(root);
+    
+    return async function app(req, res) {
+        if (await router.handle(req, res)) return;
+        if (serveStatic(req, res)) return;
+        
+        if (req.url.startsWith('/api/')) {
+            sendJson(res, 404, { ok: false, error: 'Not found.' });
+        } else {
+            res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+            res.end('Not found');
+        }
+    };
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    const port = Number(process.env.PORT) || 3000;
+    const host = process.env.HOST || '127.0.0.1';
+    const dataDir = process.env.DATA_DIR ? path.resolve(process.env.DATA_DIR) : undefined;
+    const formSecret = process.env.FORM_SECRET || undefined;
+    const admin = { user: process.env.ADMIN_USER || undefined, password: process.env.ADMIN_PASSWORD };
+    const siteUrl = process.env.SITE_URL || `http://${host}:${port}`;
+    
+    http.createServer(createApp({ dataDir, formSecret, admin, siteUrl })).listen(port, host, () => {
+        console.log(`Freshflow Foods running at http://${host}:${port}/`);
+    });
+}
@@ -0,0 +1,93 @@
+/* ============================================
+   ADMIN AUTHENTICATION
+   HTTP Basic auth for the local admin pages and
+   API. Disabled unless a password is configured.
+   Browsers resend Basic credentials with requests
+   from other sites, so changes must come from this
+   site's own pages and be sent as JSON, which a
+   cross-site form can't do.
+   ============================================ */
+
+import crypto from 'node:crypto';
+import { HttpError } from './http.js';
+import { RateLimiter } from './spam.js';
+import { checkOrigin } from './sessions.js';
+
+// Methods that only read
+const SAFE_METHODS = ['GET', 'HEAD'];
+
+/**
+ * Compare two strings in constant time
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+function safeEqual(a, b) {
+    // Hash first so inputs of different lengths can still be compared
+    const digest = (value) => crypto.createHash('sha256').update(value).digest();
+    return crypto.timingSafeEqual(digest(a), digest(b));
+}
+
+/**
+ * Read the user and password from an Authorization header
+ * @param {string} [header] - "Basic base64(user:password)"
+ * @returns {{user: string, password: string}|null}
+ */
+function parseBasicAuth(header) {
+    const [scheme, encoded] = String(header || '').split(' ');
+    if (scheme !== 'Basic' || !encoded) return null;
+
+    const decoded = Buffer.from(encoded, 'base64').toString('utf8');
+    const separator = decoded.indexOf(':');
+    if (separator === -1) return null;
+    return { user: decoded.slice(0, separator), password: decoded.slice(separator + 1) };
+}
+
+/**
+ * Reject a change sent from another site or as a form
+ * @param {http.IncomingMessage} req - Request
+ * @throws {HttpError} - 403 or 415
+ */
+function checkAdminChange(req) {
+    if (SAFE_METHODS.includes(req.method)) return;
+    checkOrigin(req);
+    const type = (req.headers['content-type'] || '').split(';')[0].trim();
+    if (type !== 'application/json') throw new HttpError(415, 'Admin changes must be sent as JSON.');
+}
+
+/**
+ * Create a guard for admin routes
+ * @param {Object} options
+ * @param {string} [options.user] - Admin user name
+ * @param {string} [options.password] - Admin password; admin is disabled when empty
+ * @returns {Function} - (req, res) => string, the user name; throws HttpError otherwise
+ */
+export function createAdminAuth({ user = 'admin', password = '' } = {}) {
+    const failures = new RateLimiter({ limit: 10, windowMs: 15 * 60 * 1000 });
+
+    return function requireAdmin(req, res) {
+        if (!password) {
+            throw new HttpError(503, 'The admin area is disabled. Set ADMIN_PASSWORD to enable it.');
+        }
+        checkAdminChange(req);
+
+        const ip = req.socket.remoteAddress || 'unknown';
+        const credentials = parseBasicAuth(req.headers.authorization);
+
+        // Only wrong credentials count, not the browser's first unauthenticated request
+        if (credentials) {
+            const retryAfter = failures.retryAfter(ip);
+            if (retryAfter) {
+                res.setHeader('Retry-After', String(retryAfter));
+                throw new HttpError(429, 'Too many failed sign-in attempts. Please try again later.');
+            }
+            if (safeEqual(credentials.user, user) && safeEqual(credentials.password, password)) {
+                return credentials.user;
+            }
+            failures.hit(ip);
+        }
+
+        res.setHeader('WWW-Authenticate', 'Basic realm="Freshflow Foods admin", charset="UTF-8"');
+        throw new HttpError(401, 'Sign in to continue.');
+    };
+}
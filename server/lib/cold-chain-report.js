@@ -0,0 +1,153 @@
+/* ============================================
+   COLD-CHAIN COMPLIANCE REPORT
+   Self-contained HTML page (inline styles and
+   SVG chart) with a consignment's temperature
+   log and excursions. Print it, or save it as
+   a PDF from the browser's print dialog.
+   ============================================ */
+
+import { escapeHtml } from '../../src/js/utils.js';
+import { LOCALES, formatMessage } from '../../src/js/i18n.js';
+import { QUOTE_LABELS } from '../../src/js/rfq.js';
+import { summarizeTemperatureLog, formatDuration } from '../../src/js/cold-chain.js';
+import { renderTemperatureChart } from '../../src/js/temperature-chart.js';
+import { getMessages } from './i18n.js';
+
+/**
+ * Render the compliance report
+ * @param {Object} consignment - Stored consignment with a temperatureLog
+ * @param {Object} [options]
+ * @param {string} [options.locale] - Report language
+ * @param {Date} [options.now] - Generation time
+ * @returns {string} - HTML document
+ */
+export function renderColdChainReport(consignment, { locale = 'en', now = new Date() } = {}) {
+    const messages = getMessages(locale, 'coldChain');
+    const catalog = getMessages(locale, 'catalog');
+    const { readings = [], fileName = '' } = consignment.temperatureLog || {};
+    const state = consignment.processing?.state;
+    const summary = summarizeTemperatureLog(readings, state);
+
+    const number = new Intl.NumberFormat(locale, { maximumFractionDigits: 1 });
+    const temperature = celsius => new Intl.NumberFormat(locale, { style: 'unit', unit: 'celsius', maximumFractionDigits: 1 }).format(celsius);
+    const dateTime = value => new Intl.DateTimeFormat(locale, { dateStyle: 'medium', timeStyle: 'short', timeZone: 'UTC' }).format(new Date(value));
+    const stateLabel = catalog.processing?.[state] || QUOTE_LABELS.states[state] || state;
+    const limit = temperature(summary.limit);
+
+    const product = [
+        catalog.products?.[consignment.product]?.name || QUOTE_LABELS.species[consignment.product],
+        consignment.breed,
+        catalog.cuts?.[consignment.cut] || QUOTE_LABELS.cuts[consignment.cut],
+        stateLabel
+    ].filter(Boolean).join(' · ');
+
+    const facts = [
+        [messages.report.consignment, consignment.id],
+        [messages.report.product, product],
+        [messages.report.container, consignment.container && `${consignment.container.number} (${consignment.container.type})`],
+        [messages.report.vessel, consignment.vessel && `${consignment.vessel.name} ${consignment.vessel.voyage} · ${consignment.vessel.portOfLoading} → ${consignment.vessel.portOfDischarge}`],
+        [messages.report.source, fileName],
+        [messages.report.limit, `${stateLabel} ≤ ${limit}`],
+        [messages.readings, number.format(summary.count)],
+        [messages.period, `${dateTime(summary.from)} – ${dateTime(summary.to)}`],
+        [messages.range, `${temperature(summary.min)} – ${temperature(summary.max)}`],
+        [messages.mean, temperature(summary.mean)],
+        [messages.humidity, summary.humidity && `${summary.humidity.min}% – ${summary.humidity.max}%`]
+    ].filter(([, value]) => value);
+
+    const passed = summary.excursions.length === 0;
+    const verdict = passed
+        ? formatMessage(messages.noExcursions, { limit })
+        : formatMessage(messages.excursionsFound, { limit, count: summary.excursions.length, duration: formatDuration(summary.excursionMs, messages) });
+
+    const chart = renderTemperatureChart(readings, {
+        limit: summary.limit,
+        excursions: summary.excursions,
+        title: formatMessage(messages.chartTitle, { id: consignment.id }),
+        limitLabel: formatMessage(messages.limitLabel, { state: stateLabel, limit }),
+        formatTime: time => new Intl.DateTimeFormat(locale, { day: 'numeric', month: 'short', timeZone: 'UTC' }).format(time),
+        formatTemperature: temperature
+    });
+
+    const rows = summary.excursions.map((excursion, index) => `
+                <tr>
+                    <td>${index + 1}</td>
+                    <td>${escapeHtml(dateTime(excursion.start))}</td>
+                    <td>${escapeHtml(excursion.ongoing ? messages.ongoing : dateTime(excursion.end))}</td>
+                    <td>${escapeHtml(formatDuration(excursion.durationMs, messages))}</td>
+                    <td>${escapeHtml(temperature(excursion.peak))}</td>
+                </tr>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="${locale}" dir="${LOCALES[locale]?.dir || 'ltr'}">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="robots" content="noindex">
+    <title>${escapeHtml(`${messages.report.title} - ${consignment.id}`)}</title>
+    <style>
+        @page { size: A4; margin: 14mm; }
+        body { max-width: 800px; margin: 0 auto; padding: 24px; font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; color: #212121; line-height: 1.5; }
+        header { display: flex; justify-content: space-between; align-items: flex-start; gap: 16px; padding-bottom: 12px; border-bottom: 3px solid #2E7D32; }
+        h1 { margin: 0; font-size: 22px; color: #1B5E20; }
+        h2 { margin: 24px 0 8px; font-size: 16px; }
+        .brand { margin: 0; color: #616161; font-size: 13px; }
+        .result { padding: 4px 14px; border-radius: 20px; color: #fff; font-weight: 600; white-space: nowrap; }
+        .pass { background: #2E7D32; }
+        .fail { background: #C62828; }
+        dl { display: grid; grid-template-columns: max-content 1fr; gap: 4px 16px; margin: 16px 0; font-size: 14px; }
+        dt { color: #616161; }
+        dd { margin: 0; }
+        .verdict { padding: 10px 14px; border-radius: 8px; background: #F1F5F1; }
+        .verdict.fail { background: #FDECEA; color: #B71C1C; }
+        table { width: 100%; border-collapse: collapse; font-size: 14px; }
+        th, td { padding: 6px 8px; border-bottom: 1px solid #E0E0E0; text-align: start; }
+        th { background: #F5F5F5; }
+        svg { width: 100%; height: auto; }
+        footer { margin-top: 24px; color: #757575; font-size: 12px; }
+        .print { margin-top: 16px; padding: 8px 16px; border: 2px solid #2E7D32; border-radius: 8px; background: #fff; color: #2E7D32; font: inherit; font-weight: 600; cursor: pointer; }
+        @media print { body { padding: 0; } .print { display: none; } }
+    </style>
+</head>
+<body>
+    <header>
+        <div>
+            <p class="brand">Freshflow Foods</p>
+            <h1>${escapeHtml(messages.report.title)}</h1>
+        </div>
+        <span class="result ${passed ? 'pass' : 'fail'}">${escapeHtml(passed ? messages.report.pass : messages.report.fail)}</span>
+    </header>
+
+    <dl>
+        ${facts.map(([term, value]) => `<dt>${escapeHtml(term)}</dt><dd>${escapeHtml(value)}</dd>`).join('\n        ')}
+    </dl>
+
+    <p class="verdict${passed ? '' : ' fail'}">${escapeHtml(verdict)}</p>
+
+    ${chart}
+${rows ? `
+    <h2>${escapeHtml(messages.excursions)}</h2>
+    <table>
+        <thead>
+            <tr>
+                <th scope="col">#</th>
+                <th scope="col">${escapeHtml(messages.started)}</th>
+                <th scope="col">${escapeHtml(messages.ended)}</th>
+                <th scope="col">${escapeHtml(messages.duration)}</th>
+                <th scope="col">${escapeHtml(messages.peak)}</th>
+            </tr>
+        </thead>
+        <tbody>${rows}
+        </tbody>
+    </table>
+` : ''}
+    <footer>
+        <p>${escapeHtml(messages.note)}</p>
+        <p>${escapeHtml(formatMessage(messages.report.generated, { date: dateTime(now) }))}</p>
+    </footer>
+
+    <button type="button" class="print" onclick="window.print()">${escapeHtml(messages.report.print)}</button>
+</body>
+</html>
+`;
+}
@@ -0,0 +1,78 @@
+/* ============================================
+   LEAD COUNTRY
+   Best guess of a lead's country for filtering:
+   the RFQ destination port first, then the phone
+   number's international dialling code.
+   ============================================ */
+
+// Dialling codes of the markets we sell to and hear from most
+const DIAL_CODES = {
+    '1': 'United States / Canada',
+    '20': 'Egypt',
+    '27': 'South Africa',
+    '33': 'France',
+    '44': 'United Kingdom',
+    '49': 'Germany',
+    '60': 'Malaysia',
+    '61': 'Australia',
+    '62': 'Indonesia',
+    '65': 'Singapore',
+    '86': 'China',
+    '90': 'Turkey',
+    '91': 'India',
+    '92': 'Pakistan',
+    '212': 'Morocco',
+    '234': 'Nigeria',
+    '254': 'Kenya',
+    '852': 'Hong Kong',
+    '880': 'Bangladesh',
+    '960': 'Maldives',
+    '961': 'Lebanon',
+    '962': 'Jordan',
+    '964': 'Iraq',
+    '965': 'Kuwait',
+    '966': 'Saudi Arabia',
+    '967': 'Yemen',
+    '968': 'Oman',
+    '971': 'UAE',
+    '973': 'Bahrain',
+    '974': 'Qatar',
+    '977': 'Nepal'
+};
+
+/**
+ * Country from an international phone number ("+971 4 ..." or "00971 4 ...")
+ * @param {string} phone - Phone number as typed
+ * @returns {string} - Country name, or '' for local or unknown numbers
+ */
+export function countryFromPhone(phone) {
+    const match = String(phone || '').trim().match(/^(?:\+|00)\s*([\d\s().-]+)/);
+    if (!match) return '';
+
+    const digits = match[1].replace(/\D/g, '');
+    // Dialling codes are prefix-free, so the first match is the only one
+    for (let length = 1; length <= 3; length++) {
+        const country = DIAL_CODES[digits.slice(0, length)];
+        if (country) return country;
+    }
+    return '';
+}
+
+/**
+ * Country from a destination port ("Jebel Ali, UAE" -> "UAE")
+ * @param {string} port - Destination port
+ * @returns {string}
+ */
+export function countryFromPort(port) {
+    const parts = String(port || '').split(',').map(part => part.trim()).filter(Boolean);
+    return parts.length > 0 ? parts[parts.length - 1] : '';
+}
+
+/**
+ * Best guess of a lead's country
+ * @param {Object} lead - Stored enquiry or RFQ
+ * @returns {string} - Country name, or '' if unknown
+ */
+export function guessCountry(lead) {
+    return countryFromPort(lead.destinationPort) || countryFromPhone(lead.phone);
+}
@@ -0,0 +1,32 @@
+/* ============================================
+   CSV
+   RFC 4180 output that opens cleanly in Excel
+   ============================================ */
+
+// Cells starting with these are run as formulas by spreadsheet apps
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+// ...unless the whole cell is a plain number, such as -18.5 or a phone number in E.164
+const PLAIN_NUMBER = /^[+-]?\d+(?:\.\d+)?$/;
+
+/**
+ * Quote one cell when needed
+ * @param {*} value - Cell value
+ * @returns {string}
+ */
+function formatCell(value) {
+    let text = value == null ? '' : String(value);
+    // Anything that could be read as a formula ("+1-2" too) is kept as text
+    if (FORMULA_START.test(text) && !PLAIN_NUMBER.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build a CSV document
+ * @param {string[]} header - Column titles
+ * @param {Array<Array>} rows - Cell values
+ * @returns {string} - CSV with a byte order mark so Excel reads UTF-8
+ */
+export function toCsv(header, rows) {
+    return '\uFEFF' + [header, ...rows].map(row => row.map(formatCell).join(',')).join('\r\n') + '\r\n';
+}
@@ -0,0 +1,575 @@
+/* ============================================
+   EXPORT DOCUMENT PACK
+   Proforma invoice, packing list, certificate of
+   origin draft and halal declaration for a
+   consignment, as self-contained HTML pages to
+   print or save as PDF. The numbers come from the
+   consignment ID (FF-2609-0142/PI, /PL, /CO, /HD),
+   so every document in a pack names the others.
+   While any registration it prints is a sample,
+   every document is marked as a draft.
+   ============================================ */
+
+import { escapeHtml } from '../../src/js/utils.js';
+import { QUOTE_LABELS } from '../../src/js/rfq.js';
+import { COLD_CHAIN_LIMITS } from '../../src/js/cold-chain.js';
+import { CERTIFICATES, certificateStatus } from '../../src/js/certifications.js';
+import company from '../../src/data/company.json' with { type: 'json' };
+
+/** Documents in a pack, in print order, with their number suffix */
+export const DOCUMENT_TYPES = {
+    'proforma-invoice': { code: 'PI', title: 'Proforma Invoice' },
+    'packing-list': { code: 'PL', title: 'Packing List' },
+    'certificate-of-origin': { code: 'CO', title: 'Certificate of Origin (Draft)' },
+    'halal-declaration': { code: 'HD', title: 'Halal Declaration' }
+};
+
+/** Days a proforma invoice's prices hold */
+export const PROFORMA_VALID_DAYS = 14;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 4 to 8 digits, with or without dots, e.g. 0204.50.00
+const HS_CODE_PATTERN = /^\d{4}(\.?\d{2}){0,2}$/;
+
+const dateFormat = new Intl.DateTimeFormat('en-GB', { dateStyle: 'medium', timeZone: 'UTC' });
+const weightFormat = new Intl.NumberFormat('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+const countFormat = new Intl.NumberFormat('en-US');
+
+/**
+ * Document number, e.g. "FF-2609-0142/PI"
+ * @param {Object} consignment - Stored consignment
+ * @param {string} type - Key of DOCUMENT_TYPES
+ * @returns {string}
+ */
+export function documentNumber(consignment, type) {
+    return `${consignment.id}/${DOCUMENT_TYPES[type].code}`;
+}
+
+// Registrations the documents print, and where each comes from
+const REGISTRATIONS = [
+    { label: 'IEC', company: 'iec' },
+    { label: 'GSTIN', company: 'gstin' },
+    { label: 'FSSAI', certificate: 'fssai' },
+    { label: 'APEDA RCMC', certificate: 'apeda' },
+    { label: 'Halal certificate', certificate: 'halal' }
+];
+
+/**
+ * Registrations the documents would print that are samples, not real
+ * numbers: the company's IEC and GSTIN while company.json has
+ * sampleRegistrations, and certificates marked specimen
+ * @param {Object} [sources]
+ * @param {Object} [sources.company] - company.json
+ * @param {Array<Object>} [sources.certificates] - certifications.json
+ * @returns {Array<string>} - Labels, e.g. ['IEC', 'GSTIN']; empty when all are real
+ */
+export function sampleRegistrations({ company: details = company, certificates = CERTIFICATES } = {}) {
+    return REGISTRATIONS.filter(registration => registration.company
+        ? Boolean(details.sampleRegistrations && details[registration.company])
+        : Boolean(certificates.find(item => item.id === registration.certificate)?.specimen)
+    ).map(registration => registration.label);
+}
+
+/**
+ * Everything that stops a pack from being issued
+ * @param {Object} consignment - Stored consignment
+ * @param {Object} [options]
+ * @param {Array<string>} [options.types] - Documents to check, default all
+ * @param {Date} [options.date] - Issue date
+ * @returns {Array<string>} - One sentence per problem; empty when ready
+ */
+export function findDocumentProblems(consignment, { types = Object.keys(DOCUMENT_TYPES), date = new Date() } = {}) {
+    const { trade } = consignment;
+    const problems = [];
+    const check = (path, value, valid = Boolean(value)) => {
+        if (value === undefined || value === null || value === '') problems.push(`${path} is missing.`);
+        else if (!valid) problems.push(`${path} is not valid.`);
+    };
+
+    if (!trade) {
+        problems.push('trade is missing.');
+    } else {
+        check('trade.consignee.name', trade.consignee?.name);
+        check('trade.consignee.address', trade.consignee?.address, Array.isArray(trade.consignee?.address) && trade.consignee.address.length > 0);
+        check('trade.consignee.country', trade.consignee?.country);
+        ['incoterm', 'portOfLoading', 'portOfDischarge'].forEach(field => check(`trade.${field}`, trade[field]));
+        check('trade.currency', trade.currency, /^[A-Z]{3}$/.test(trade.currency));
+
+        if (!Array.isArray(trade.lines) || trade.lines.length === 0) problems.push('trade.lines is missing.');
+        else trade.lines.forEach((line, index) => {
+            const path = `trade.lines[${index}]`;
+            check(`${path}.lot`, line.lot);
+            check(`${path}.description`, line.description);
+            check(`${path}.hsCode`, line.hsCode, HS_CODE_PATTERN.test(line.hsCode));
+            check(`${path}.cartons`, line.cartons, Number.isInteger(line.cartons) && line.cartons > 0);
+            check(`${path}.netKg`, line.netKg, line.netKg > 0);
+            check(`${path}.grossKg`, line.grossKg, line.grossKg >= line.netKg);
+            check(`${path}.unitPrice`, line.unitPrice, line.unitPrice >= 0);
+        });
+    }
+
+    if (types.includes('halal-declaration')) {
+        const certificate = CERTIFICATES.find(item => item.id === 'halal');
+        if (!consignment.slaughter?.halal) {
+            problems.push('slaughter.halal is not set, so there is no halal declaration to make.');
+        } else if (!certificate) {
+            problems.push('There is no halal certificate in src/data/certifications.json.');
+        } else if (certificateStatus(certificate, date).status === 'expired') {
+            problems.push(`Halal certificate ${certificate.number} expired on ${certificate.validUntil}.`);
+        }
+    }
+
+    return problems;
+}
+
+/**
+ * Totals of the line items
+ * @param {Array<Object>} lines - trade.lines
+ * @returns {{cartons: number, netKg: number, grossKg: number, amount: number}}
+ */
+export function summarizeLines(lines) {
+    return lines.reduce((totals, line) => ({
+        cartons: totals.cartons + line.cartons,
+        netKg: totals.netKg + line.netKg,
+        grossKg: totals.grossKg + line.grossKg,
+        amount: Math.round((totals.amount + lineAmount(line)) * 100) / 100
+    }), { cartons: 0, netKg: 0, grossKg: 0, amount: 0 });
+}
+
+/**
+ * Invoice amount of one line, priced per kg net
+ * @param {Object} line - Line item
+ * @returns {number}
+ */
+function lineAmount(line) {
+    return Math.round(line.netKg * line.unitPrice * 100) / 100;
+}
+
+/**
+ * Everything the templates share, worked out once per pack
+ * @param {Object} consignment - Stored consignment
+ * @param {Date} date - Issue date
+ * @returns {Object}
+ */
+function buildContext(consignment, date) {
+    const { trade } = consignment;
+    const state = consignment.processing?.state;
+
+    // Cartons are numbered through the whole consignment: lot A 1-450, lot B 451-900
+    let carton = 0;
+    const lines = trade.lines.map(line => {
+        const from = carton + 1;
+        carton += line.cartons;
+        return { ...line, from, to: carton, amount: lineAmount(line) };
+    });
+
+    const money = new Intl.NumberFormat('en-US', { style: 'currency', currency: trade.currency, currencyDisplay: 'code' });
+    const destination = trade.portOfDischarge.split(',')[0].trim();
+
+    return {
+        consignment,
+        trade,
+        lines,
+        totals: summarizeLines(trade.lines),
+        date,
+        numbers: Object.fromEntries(Object.keys(DOCUMENT_TYPES).map(type => [type, documentNumber(consignment, type)])),
+        certificates: Object.fromEntries(CERTIFICATES.map(certificate => [certificate.id, certificate])),
+        samples: sampleRegistrations(),
+        storage: `Keep ${(QUOTE_LABELS.states[state] || 'chilled').toLowerCase()} at ${COLD_CHAIN_LIMITS[state] ?? COLD_CHAIN_LIMITS.chilled} °C or below`,
+        terms: `${trade.incoterm} ${destination}`,
+        marks: line => `FRESHFLOW FOODS / ${line.lot} / ${destination.toUpperCase()} / PRODUCT OF INDIA / C/NO ${line.from}-${line.to}`,
+        vessel: consignment.vessel ? `${consignment.vessel.name} ${consignment.vessel.voyage}` : 'To be advised',
+        container: consignment.container ? `${consignment.container.number} (${consignment.container.type}), seal ${consignment.container.seal}` : 'To be advised',
+        money: value => money.format(value),
+        weight: value => `${weightFormat.format(value)} kg`,
+        count: value => countFormat.format(value),
+        formatDate: value => dateFormat.format(new Date(value))
+    };
+}
+
+/**
+ * Exporter block with the registrations buyers and customs ask for
+ * @param {Object} context - From buildContext()
+ * @returns {string}
+ */
+function renderExporter({ certificates }) {
+    const registrations = [
+        ['IEC', company.iec],
+        ['GSTIN', company.gstin],
+        ['FSSAI', certificates.fssai?.number],
+        ['APEDA RCMC', certificates.apeda?.number]
+    ].filter(([, value]) => value);
+
+    return `
+            <strong>${escapeHtml(company.name)}</strong><br>
+            ${company.address.map(escapeHtml).join('<br>')}<br>
+            ${escapeHtml(company.phone)} · ${escapeHtml(company.email)}
+            <span class="registrations">${registrations.map(([label, value]) => `${label} ${escapeHtml(value)}`).join(' · ')}</span>`;
+}
+
+/**
+ * Consignee block
+ * @param {Object} context - From buildContext()
+ * @returns {string}
+ */
+function renderConsignee({ trade }) {
+    const { consignee } = trade;
+    return `
+            <strong>${escapeHtml(consignee.name)}</strong><br>
+            ${[...consignee.address, consignee.country].map(escapeHtml).join('<br>')}
+            ${consignee.taxId ? `<span class="registrations">${escapeHtml(consignee.taxId)}</span>` : ''}`;
+}
+
+/**
+ * Definition list of references
+ * @param {Array<Array<string>>} facts - [label, value] pairs; empty values are skipped
+ * @returns {string}
+ */
+function renderFacts(facts) {
+    return `<dl class="facts">${facts.filter(([, value]) => value).map(([term, value]) => `<dt>${escapeHtml(term)}</dt><dd>${escapeHtml(value)}</dd>`).join('')}</dl>`;
+}
+
+/**
+ * Signature block
+ * @returns {string}
+ */
+function renderSignature() {
+    return `
+        <div class="signature">
+            <p>For ${escapeHtml(company.name)}</p>
+            <p class="signature-line">${escapeHtml(company.signatory)}</p>
+        </div>`;
+}
+
+/* ============================================
+   TEMPLATES
+   One per document type: (context) => HTML of
+   the page body below the shared header
+   ============================================ */
+
+const TEMPLATES = {
+    'proforma-invoice': (context) => {
+        const { trade, lines, totals, numbers, money, weight, count } = context;
+        const validUntil = context.formatDate(context.date.getTime() + PROFORMA_VALID_DAYS * DAY_MS);
+
+        return `
+        <div class="parties">
+            <section><h2>Seller</h2>${renderExporter(context)}</section>
+            <section><h2>Buyer</h2>${renderConsignee(context)}</section>
+        </div>
+        ${renderFacts([
+            ['Buyer reference', trade.buyerReference],
+            ['Terms of delivery', `${context.terms} (Incoterms® 2020)`],
+            ['Port of loading', trade.portOfLoading],
+            ['Port of discharge', trade.portOfDischarge],
+            ['Payment terms', trade.paymentTerms],
+            ['Prices valid until', validUntil],
+            ['Packing list', numbers['packing-list']]
+        ])}
+        <table>
+            <thead>
+                <tr>
+                    <th scope="col">#</th>
+                    <th scope="col">Lot</th>
+                    <th scope="col">Description</th>
+                    <th scope="col">HS code</th>
+                    <th scope="col" class="number">Cartons</th>
+                    <th scope="col" class="number">Net weight</th>
+                    <th scope="col" class="number">Price per kg</th>
+                    <th scope="col" class="number">Amount</th>
+                </tr>
+            </thead>
+            <tbody>${lines.map((line, index) => `
+                <tr>
+                    <td>${index + 1}</td>
+                    <td>${escapeHtml(line.lot)}</td>
+                    <td>${escapeHtml(line.description)}</td>
+                    <td>${escapeHtml(line.hsCode)}</td>
+                    <td class="number">${count(line.cartons)}</td>
+                    <td class="number">${weight(line.netKg)}</td>
+                    <td class="number">${escapeHtml(money(line.unitPrice))}</td>
+                    <td class="number">${escapeHtml(money(line.amount))}</td>
+                </tr>`).join('')}
+            </tbody>
+            <tfoot>
+                <tr>
+                    <th scope="row" colspan="4">Total ${escapeHtml(context.terms)}</th>
+                    <td class="number">${count(totals.cartons)}</td>
+                    <td class="number">${weight(totals.netKg)}</td>
+                    <td></td>
+                    <td class="number"><strong>${escapeHtml(money(totals.amount))}</strong></td>
+                </tr>
+            </tfoot>
+        </table>
+        <p class="note">Country of origin: India. ${escapeHtml(context.storage)}. Bank details for payment are confirmed by phone before each transfer; do not act on changed details received by email.</p>
+        <p class="note">We declare that this invoice shows the actual price of the goods described and that all particulars are true and correct.</p>
+        ${renderSignature()}`;
+    },
+
+    'packing-list': (context) => {
+        const { trade, lines, totals, numbers, weight, count } = context;
+
+        return `
+        <div class="parties">
+            <section><h2>Exporter</h2>${renderExporter(context)}</section>
+            <section><h2>Consignee</h2>${renderConsignee(context)}</section>
+        </div>
+        ${renderFacts([
+            ['Proforma invoice', numbers['proforma-invoice']],
+            ['Buyer reference', trade.buyerReference],
+            ['Container', context.container],
+            ['Vessel and voyage', context.vessel],
+            ['Port of loading', trade.portOfLoading],
+            ['Port of discharge', trade.portOfDischarge],
+            ['Storage', context.storage]
+        ])}
+        <table>
+            <thead>
+                <tr>
+                    <th scope="col">Lot</th>
+                    <th scope="col">Description</th>
+                    <th scope="col">Carton numbers</th>
+                    <th scope="col" class="number">Cartons</th>
+                    <th scope="col" class="number">Net weight</th>
+                    <th scope="col" class="number">Gross weight</th>
+                </tr>
+            </thead>
+            <tbody>${lines.map(line => `
+                <tr>
+                    <td>${escapeHtml(line.lot)}</td>
+                    <td>${escapeHtml(line.description)}</td>
+                    <td>${line.from}-${line.to}</td>
+                    <td class="number">${count(line.cartons)}</td>
+                    <td class="number">${weight(line.netKg)}</td>
+                    <td class="number">${weight(line.grossKg)}</td>
+                </tr>`).join('')}
+            </tbody>
+            <tfoot>
+                <tr>
+                    <th scope="row" colspan="3">Total</th>
+                    <td class="number">${count(totals.cartons)}</td>
+                    <td class="number">${weight(totals.netKg)}</td>
+                    <td class="number">${weight(totals.grossKg)}</td>
+                </tr>
+            </tfoot>
+        </table>
+        <h2>Shipping marks</h2>
+        <ul class="marks">${lines.map(line => `<li>${escapeHtml(context.marks(line))}</li>`).join('')}</ul>
+        ${renderSignature()}`;
+    },
+
+    'certificate-of-origin': (context) => {
+        const { trade, lines, totals, numbers, weight, count } = context;
+        const goods = lines.map((line, index) => `
+                <tr>
+                    <td>${index + 1}</td>
+                    <td>${escapeHtml(context.marks(line))}</td>
+                    <td>${count(line.cartons)} cartons, ${escapeHtml(line.description)}</td>
+                    <td>${escapeHtml(line.hsCode)}</td>
+                    <td class="number">${weight(line.grossKg)} gross</td>
+                </tr>`).join('');
+
+        return `
+        <p class="draft-note">Draft for the issuing authority. Not valid until certified and stamped.</p>
+        <div class="boxes">
+            <section><h2>1. Exporter</h2>${renderExporter(context)}</section>
+            <section><h2>2. Consignee</h2>${renderConsignee(context)}</section>
+            <section><h2>3. Means of transport and route</h2>
+                By sea, ${escapeHtml(context.vessel)}<br>
+                ${escapeHtml(trade.portOfLoading)} to ${escapeHtml(trade.portOfDischarge)}</section>
+            <section><h2>4. Country of origin</h2><strong>India</strong></section>
+        </div>
+        <table>
+            <thead>
+                <tr>
+                    <th scope="col">5. Item</th>
+                    <th scope="col">6. Marks and numbers</th>
+                    <th scope="col">7. Packages and description of goods</th>
+                    <th scope="col">8. HS code</th>
+                    <th scope="col" class="number">9. Quantity</th>
+                </tr>
+            </thead>
+            <tbody>${goods}
+            </tbody>
+            <tfoot>
+                <tr>
+                    <th scope="row" colspan="2">Total</th>
+                    <td>${count(totals.cartons)} cartons, ${weight(totals.netKg)} net</td>
+                    <td></td>
+                    <td class="number">${weight(totals.grossKg)} gross</td>
+                </tr>
+            </tfoot>
+        </table>
+        ${renderFacts([
+            ['10. Invoice', `${numbers['proforma-invoice']} of ${context.formatDate(context.date)}`],
+            ['Packing list', numbers['packing-list']]
+        ])}
+        <div class="boxes">
+            <section><h2>11. Declaration by the exporter</h2>
+                The undersigned declares that the above details and statements are correct, that all the goods
+                were produced in India and that they comply with the origin requirements for export to
+                ${escapeHtml(trade.consignee.country)}.
+                ${renderSignature()}</section>
+            <section><h2>12. Certification</h2><span class="registrations">For the issuing authority</span></section>
+        </div>`;
+    },
+
+    'halal-declaration': (context) => {
+        const { consignment, trade, lines, totals, numbers, weight } = context;
+        const { slaughter } = consignment;
+        const certificate = context.certificates.halal;
+
+        return `
+        <div class="parties">
+            <section><h2>Producer and exporter</h2>${renderExporter(context)}</section>
+            <section><h2>Consignee</h2>${renderConsignee(context)}</section>
+        </div>
+        <p>
+            We, ${escapeHtml(company.name)}, declare that the meat listed below was obtained from animals slaughtered
+            by a Muslim slaughterman according to Islamic rites at ${escapeHtml(slaughter.plant)},
+            ${escapeHtml(slaughter.location)}, on ${escapeHtml(context.formatDate(slaughter.date))}, and was processed,
+            packed and stored apart from any non-halal product.
+        </p>
+        ${renderFacts([
+            ['Halal certificate', `${certificate.number}, ${certificate.issuer}`],
+            ['Certificate valid until', context.formatDate(certificate.validUntil)],
+            ['Packed on', consignment.processing?.packedOn && context.formatDate(consignment.processing.packedOn)],
+            ['Proforma invoice', numbers['proforma-invoice']],
+            ['Packing list', numbers['packing-list']],
+            ['Container', context.container],
+            ['Port of discharge', trade.portOfDischarge]
+        ])}
+        <table>
+            <thead>
+                <tr>
+                    <th scope="col">Lot</th>
+                    <th scope="col">Description</th>
+                    <th scope="col">Carton numbers</th>
+                    <th scope="col" class="number">Net weight</th>
+                </tr>
+            </thead>
+            <tbody>${lines.map(line => `
+                <tr>
+                    <td>${escapeHtml(line.lot)}</td>
+                    <td>${escapeHtml(line.description)}</td>
+                    <td>${line.from}-${line.to}</td>
+                    <td class="number">${weight(line.netKg)}</td>
+                </tr>`).join('')}
+            </tbody>
+            <tfoot>
+                <tr>
+                    <th scope="row" colspan="3">Total</th>
+                    <td class="number">${weight(totals.netKg)}</td>
+                </tr>
+            </tfoot>
+        </table>
+        ${renderSignature()}`;
+    }
+};
+
+/**
+ * A document's title, marked as a draft when it prints sample registrations
+ * @param {string} type - Key of DOCUMENT_TYPES
+ * @param {boolean} draft - Whether any registration is a sample
+ * @returns {string}
+ */
+function documentTitle(type, draft) {
+    const { title } = DOCUMENT_TYPES[type];
+    return draft && !title.includes('(Draft)') ? `${title} (Draft)` : title;
+}
+
+/**
+ * One document as a printed page
+ * @param {string} type - Key of DOCUMENT_TYPES
+ * @param {Object} context - From buildContext()
+ * @returns {string}
+ */
+function renderSection(type, context) {
+    const draft = context.samples.length > 0;
+    const title = documentTitle(type, draft);
+    const set = Object.keys(DOCUMENT_TYPES).map(other => context.numbers[other]).join(' · ');
+
+    return `
+    <article class="document document-${type}${draft ? ' document-draft' : ''}">
+        ${draft ? `<p class="draft-note">Draft, not for shipping or customs: the ${escapeHtml(context.samples.join(', '))} ${context.samples.length === 1 ? 'number is a sample' : 'numbers are samples'}.</p>` : ''}
+        <header>
+            <div>
+                <p class="brand">${escapeHtml(company.name)}</p>
+                <h1>${escapeHtml(title)}</h1>
+            </div>
+            ${renderFacts([
+                ['Number', context.numbers[type]],
+                ['Date', context.formatDate(context.date)],
+                ['Consignment', context.consignment.id]
+            ])}
+        </header>
+        ${TEMPLATES[type](context)}
+        <footer>Document set ${escapeHtml(set)} · ${escapeHtml(company.website)}</footer>
+    </article>`;
+}
+
+/**
+ * Render documents of a consignment as one HTML page, a page per document
+ * Check findDocumentProblems() first; the templates expect complete trade details
+ * @param {Object} consignment - Stored consignment with trade details
+ * @param {Object} [options]
+ * @param {Array<string>} [options.types] - Keys of DOCUMENT_TYPES, default the whole pack
+ * @param {Date} [options.date] - Issue date
+ * @returns {string} - HTML document
+ */
+export function renderExportDocuments(consignment, { types = Object.keys(DOCUMENT_TYPES), date = new Date() } = {}) {
+    const context = buildContext(consignment, date);
+    const draft = context.samples.length > 0;
+    const title = types.length === 1
+        ? `${documentTitle(types[0], draft)} ${context.numbers[types[0]]}`
+        : `Export documents ${consignment.id}${draft ? ' (Draft)' : ''}`;
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="robots" content="noindex">
+    <title>${escapeHtml(`${title} - ${company.name}`)}</title>
+    <style>
+        @page { size: A4; margin: 12mm; }
+        body { margin: 0; font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; color: #212121; font-size: 13px; line-height: 1.45; }
+        .document { max-width: 820px; margin: 0 auto; padding: 24px; }
+        .document + .document { break-before: page; border-top: 1px dashed #BDBDBD; }
+        header { display: flex; justify-content: space-between; align-items: flex-start; gap: 16px; padding-bottom: 10px; border-bottom: 3px solid #2E7D32; }
+        h1 { margin: 0; font-size: 22px; color: #1B5E20; }
+        h2 { margin: 0 0 4px; font-size: 11px; color: #616161; text-transform: uppercase; letter-spacing: 0.04em; }
+        .brand { margin: 0; color: #616161; }
+        .parties, .boxes { display: grid; grid-template-columns: 1fr 1fr; gap: 12px; margin: 16px 0; }
+        .boxes section { padding: 8px 10px; border: 1px solid #BDBDBD; min-height: 60px; }
+        .registrations { display: block; margin-top: 4px; color: #616161; font-size: 12px; }
+        .facts { display: grid; grid-template-columns: max-content 1fr; gap: 2px 16px; margin: 12px 0; }
+        header .facts { margin: 0; }
+        dt { color: #616161; }
+        dd { margin: 0; }
+        table { width: 100%; border-collapse: collapse; margin: 12px 0; }
+        th, td { padding: 5px 6px; border-bottom: 1px solid #E0E0E0; text-align: start; vertical-align: top; }
+        thead th { background: #F5F5F5; font-size: 12px; }
+        tfoot th, tfoot td { border-top: 2px solid #9E9E9E; font-weight: 600; }
+        .number { text-align: end; white-space: nowrap; }
+        .marks { padding-inline-start: 18px; font-family: Consolas, monospace; font-size: 12px; }
+        .note { color: #424242; font-size: 12px; }
+        .draft-note { padding: 6px 10px; border-radius: 6px; background: #FFF3E0; color: #E65100; font-weight: 600; }
+        .document-certificate-of-origin, .document-draft { position: relative; }
+        .document-certificate-of-origin::before, .document-draft::before { content: 'DRAFT'; position: absolute; top: 45%; left: 50%; transform: translate(-50%, -50%) rotate(-30deg); font-size: 140px; font-weight: 700; color: rgba(230, 81, 0, 0.08); pointer-events: none; }
+        .signature { margin-top: 28px; }
+        .signature p { margin: 0; }
+        .signature-line { display: inline-block; margin-top: 36px; padding-top: 4px; border-top: 1px solid #212121; min-width: 220px; }
+        footer { margin-top: 20px; color: #757575; font-size: 11px; }
+        .print { display: block; margin: 16px auto 24px; padding: 8px 16px; border: 2px solid #2E7D32; border-radius: 8px; background: #fff; color: #2E7D32; font: inherit; font-weight: 600; cursor: pointer; }
+        @media print { .document { padding: 0; } .document + .document { border: 0; } .print { display: none; } }
+    </style>
+</head>
+<body>${types.map(type => renderSection(type, context)).join('')}
+
+    <button type="button" class="print" onclick="window.print()">Print or save as PDF</button>
+</body>
+</html>
+`;
+}
@@ -0,0 +1,100 @@
+/* ============================================
+   HTTP HELPERS
+   ============================================ */
+
+/** Error that maps straight onto an HTTP response */
+export class HttpError extends Error {
+    /**
+     * @param {number} status - HTTP status code
+     * @param {string} message - Message sent to the client
+     * @param {Object} [details] - Extra JSON fields (e.g. field errors)
+     */
+    constructor(status, message, details) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+        this.details = details;
+    }
+}
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status code
+ * @param {Object} body - Serializable body
+ * @param {Object} [headers] - Extra headers
+ */
+export function sendJson(res, status, body, headers = {}) {
+    const payload = JSON.stringify(body);
+    res.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Content-Length': Buffer.byteLength(payload),
+        'Cache-Control': 'no-store',
+        ...headers
+    });
+    res.end(payload);
+}
+
+/**
+ * Send an error as JSON, hiding internals for unexpected errors
+ * @param {http.ServerResponse} res - Response
+ * @param {Error} err - Thrown error
+ */
+export function sendError(res, err) {
+    if (err instanceof HttpError) {
+        sendJson(res, err.status, { ok: false, error: err.message, ...err.details });
+        return;
+    }
+    console.error(err);
+    sendJson(res, 500, { ok: false, error: 'Something went wrong. Please try again later.' });
+}
+
+/**
+ * Read and parse a JSON or form-encoded request body
+ * @param {http.IncomingMessage} req - Request
+ * @param {number} [limit] - Maximum body size in bytes
+ * @returns {Promise<Object>}
+ */
+export function readBody(req, limit = 16 * 1024) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > limit) {
+                reject(new HttpError(413, 'Request body is too large.'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        
+        req.on('end', () => {
+            const raw = Buffer.concat(chunks).toString('utf8');
+            const type = (req.headers['content-type'] || '').split(';')[0].trim();
+            
+            if (!raw) return resolve({});
+            
+            if (type === 'application/json') {
+                try {
+                    const parsed = JSON.parse(raw);
+                    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+                        throw new TypeError('Expected an object');
+                    }
+                    resolve(parsed);
+                } catch {
+                    reject(new HttpError(400, 'Request body must be a JSON object.'));
+                }
+                return;
+            }
+            if (type === 'application/x-www-form-urlencoded') {
+                resolve(Object.fromEntries(new URLSearchParams(raw)));
+                return;
+            }
+            reject(new HttpError(415, 'Unsupported content type.'));
+        });
+        
+        req.on('error', reject);
+    });
+}
@@ -0,0 +1,52 @@
+/* ============================================
+   SERVER MESSAGES
+   Picks the visitor's language from the
+   Accept-Language header and reads messages from
+   the same locales/*.json files as the site.
+   ============================================ */
+
+import en from '../../locales/en.json' with { type: 'json' };
+import ar from '../../locales/ar.json' with { type: 'json' };
+import fr from '../../locales/fr.json' with { type: 'json' };
+
+const CATALOGS = { en, ar, fr };
+
+export const DEFAULT_LOCALE = 'en';
+
+/**
+ * Whether a locale has a catalog
+ * @param {string} locale - Locale code, e.g. from a ?lang= parameter
+ * @returns {boolean}
+ */
+export function isSupportedLocale(locale) {
+    return typeof locale === 'string' && Object.hasOwn(CATALOGS, locale);
+}
+
+/**
+ * Choose the best supported locale for a request
+ * @param {http.IncomingMessage} req - Request
+ * @returns {string} - Locale code
+ */
+export function pickLocale(req) {
+    const header = req.headers['accept-language'] || '';
+    const ranked = header.split(',')
+        .map(part => {
+            const [tag, ...params] = part.trim().split(';');
+            const q = params.map(param => param.trim()).find(param => param.startsWith('q='));
+            return { lang: tag.toLowerCase().split('-')[0], q: q ? Number(q.slice(2)) : 1 };
+        })
+        .filter(({ lang, q }) => isSupportedLocale(lang) && q > 0)
+        .sort((a, b) => b.q - a.q);
+
+    return ranked[0]?.lang || DEFAULT_LOCALE;
+}
+
+/**
+ * All messages of one namespace, the locale over English
+ * @param {string} locale - Locale code
+ * @param {string} namespace - Top-level key, e.g. "validation"
+ * @returns {Object}
+ */
+export function getMessages(locale, namespace) {
+    return { ...en[namespace], ...CATALOGS[locale]?.[namespace] };
+}
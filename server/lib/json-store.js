@@ -0,0 +1,152 @@
+/* ============================================
+   JSON STORE
+   A collection of records persisted to one JSON
+   file. Writes are serialized and atomic (write
+   to a temp file, then rename). An optional seed
+   file provides the records until the first save.
+   ============================================ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import crypto from 'node:crypto';
+
+export class JsonStore {
+    /**
+     * @param {string} file - Path of the JSON file
+     * @param {Object} [options]
+     * @param {string} [options.seed] - JSON file read when `file` does not exist yet
+     */
+    constructor(file, { seed } = {}) {
+        this.file = file;
+        this.seed = seed;
+        this.records = null;
+        this.loading = null;
+        this.queue = Promise.resolve();
+    }
+    
+    /**
+     * Load records from disk on first use. Callers that arrive while
+     * the file is being read share that read, so none of them can
+     * replace records another has already added.
+     * @returns {Promise<Array>}
+     */
+    load() {
+        if (this.records) return Promise.resolve(this.records);
+        this.loading ??= this.read().then(
+            records => {
+                this.records = records;
+                return records;
+            },
+            err => {
+                // Let the next caller try again
+                this.loading = null;
+                throw err;
+            }
+        );
+        return this.loading;
+    }
+    
+    /**
+     * Read the file, or the seed when it does not exist yet
+     * @returns {Promise<Array>}
+     */
+    async read() {
+        try {
+            return JSON.parse(await fs.readFile(this.file, 'utf8'));
+        } catch (err) {
+            if (err.code !== 'ENOENT') throw err;
+            return this.seed ? JSON.parse(await fs.readFile(this.seed, 'utf8')) : [];
+        }
+    }
+    
+    /**
+     * Persist records, one write at a time. A failed write rejects
+     * only its own caller; the next save still runs.
+     * @returns {Promise<void>}
+     */
+    save() {
+        const run = this.queue.then(async () => {
+            const tmp = `${this.file}.${process.pid}.tmp`;
+            await fs.mkdir(path.dirname(this.file), { recursive: true });
+            await fs.writeFile(tmp, JSON.stringify(this.records, null, 2));
+            await fs.rename(tmp, this.file);
+        });
+        this.queue = run.catch(() => {});
+        return run;
+    }
+    
+    /**
+     * @returns {Promise<Array>} - Copy of all records
+     */
+    async all() {
+        return [...await this.load()];
+    }
+    
+    /**
+     * @param {string} id - Record id
+     * @returns {Promise<Object|undefined>}
+     */
+    async get(id) {
+        return (await this.load()).find(record => record.id === id);
+    }
+    
+    /**
+     * Add a record, assigning an id and timestamps
+     * @param {Object} data - Record fields
+     * @returns {Promise<Object>} - Stored record
+     */
+    async insert(data) {
+        const [record] = await this.insertMany([data]);
+        return record;
+    }
+    
+    /**
+     * Add several records with one write
+     * @param {Array<Object>} list - Record fields
+     * @returns {Promise<Array<Object>>} - Stored records
+     */
+    async insertMany(list) {
+        const records = await this.load();
+        const now = new Date().toISOString();
+        const added = list.map(data => ({ id: crypto.randomUUID(), ...data, createdAt: now, updatedAt: now }));
+        records.push(...added);
+        try {
+            await this.save();
+        } catch (err) {
+            // Not stored, so the next save mustn't write them either
+            this.records = this.records.filter(record => !added.includes(record));
+            throw err;
+        }
+        return added;
+    }
+    
+    /**
+     * Delete every record a test matches
+     * @param {Function} test - (record) => boolean
+     * @returns {Promise<number>} - Records deleted
+     */
+    async removeWhere(test) {
+        const records = await this.load();
+        const kept = records.filter(record => !test(record));
+        const removed = records.length - kept.length;
+        if (removed === 0) return 0;
+        
+        this.records = kept;
+        await this.save();
+        return removed;
+    }
+    
+    /**
+     * Merge fields into an existing record
+     * @param {string} id - Record id
+     * @param {Object} patch - Fields to change
+     * @returns {Promise<Object|undefined>} - Updated record, or undefined if missing
+     */
+    async update(id, patch) {
+        const record = await this.get(id);
+        if (!record) return undefined;
+        Object.assign(record, patch, { id, updatedAt: new Date().toISOString() });
+        await this.save();
+        return record;
+    }
+}
@@ -0,0 +1,63 @@
+/* ============================================
+   MAILER
+   Local stand-in for an SMTP relay: every email
+   is written as an .eml file to an outbox folder
+   (open it with any mail client) and logged.
+   Swap send() for a real transport in production.
+   ============================================ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import company from '../../src/data/company.json' with { type: 'json' };
+
+/**
+ * Encode a header value that isn't plain ASCII (RFC 2047)
+ * @param {string} value
+ * @returns {string}
+ */
+function encodeHeader(value) {
+    return /^[\x20-\x7E]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value).toString('base64')}?=`;
+}
+
+/**
+ * Build a plain-text email
+ * @param {Object} message
+ * @param {string} message.to - Recipient address
+ * @param {string} message.subject - Subject line
+ * @param {string} message.text - Body
+ * @param {Date} [message.date] - Send time
+ * @returns {string} - RFC 5322 message with CRLF line endings
+ */
+export function renderEmail({ to, subject, text, date = new Date() }) {
+    const headers = [
+        `From: ${encodeHeader(company.name)} <${company.email}>`,
+        `To: <${to}>`,
+        `Subject: ${encodeHeader(subject)}`,
+        `Date: ${date.toUTCString()}`,
+        `Message-ID: <${crypto.randomUUID()}@${new URL(company.website).hostname}>`,
+        'MIME-Version: 1.0',
+        'Content-Type: text/plain; charset=utf-8',
+        'Content-Transfer-Encoding: 8bit'
+    ];
+    return `${headers.join('\r\n')}\r\n\r\n${text.replace(/\r?\n/g, '\r\n')}\r\n`;
+}
+
+/**
+ * Create a mailer that writes to an outbox folder
+ * @param {Object} options
+ * @param {string} options.outbox - Folder for the .eml files
+ * @returns {{send: Function}} - send({to, subject, text}) resolves to the file written
+ */
+export function createMailer({ outbox }) {
+    return {
+        async send(message) {
+            const date = new Date();
+            const file = path.join(outbox, `${date.toISOString().replace(/[:.]/g, '-')}-${crypto.randomBytes(3).toString('hex')}.eml`);
+            await fs.mkdir(outbox, { recursive: true });
+            await fs.writeFile(file, renderEmail({ ...message, date }));
+            console.log(`Email to ${message.to} ("${message.subject}") written to ${file}`);
+            return file;
+        }
+    };
+}
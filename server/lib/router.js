@@ -0,0 +1,70 @@
+/* ============================================
+   ROUTER
+   Minimal method + path matching with :params
+   ============================================ */
+
+import { HttpError, sendError } from './http.js';
+
+export class Router {
+    constructor() {
+        this.routes = [];
+    }
+    
+    /**
+     * Register a route
+     * @param {string} method - HTTP method
+     * @param {string} pattern - Path such as /api/enquiries/:id
+     * @param {Function} handler - async (req, res, params) => void
+     * @returns {Router}
+     */
+    add(method, pattern, handler) {
+        const keys = [];
+        const source = pattern.replace(/:(\w+)/g, (match, key) => {
+            keys.push(key);
+            return '([^/]+)';
+        });
+        this.routes.push({ method, pattern, regex: new RegExp(`^${source}/?$`), keys, handler });
+        return this;
+    }
+    
+    get(pattern, handler) { return this.add('GET', pattern, handler); }
+    post(pattern, handler) { return this.add('POST', pattern, handler); }
+    patch(pattern, handler) { return this.add('PATCH', pattern, handler); }
+    delete(pattern, handler) { return this.add('DELETE', pattern, handler); }
+    
+    /**
+     * Dispatch a request to its route
+     * @param {http.IncomingMessage} req - Request
+     * @param {http.ServerResponse} res - Response
+     * @returns {Promise<boolean>} - False if no route matched the path
+     */
+    async handle(req, res) {
+        const { pathname } = new URL(req.url, 'http://localhost');
+        const matches = this.routes
+            .map(route => ({ route, match: route.regex.exec(pathname) }))
+            .filter(({ match }) => match);
+        
+        if (matches.length === 0) return false;
+        
+        const found = matches.find(({ route }) => route.method === req.method);
+        try {
+            if (!found) {
+                const allowed = [...new Set(matches.map(({ route }) => route.method))].join(', ');
+                res.setHeader('Allow', allowed);
+                throw new HttpError(405, 'Method not allowed.');
+            }
+            const params = {};
+            found.route.keys.forEach((key, index) => {
+                try {
+                    params[key] = decodeURIComponent(found.match[index + 1]);
+                } catch {
+                    throw new HttpError(400, 'Malformed URL.');
+                }
+            });
+            await found.route.handler(req, res, params);
+        } catch (err) {
+            sendError(res, err);
+        }
+        return true;
+    }
+}
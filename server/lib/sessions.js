@@ -0,0 +1,195 @@
+/* ============================================
+   SESSIONS
+   Cookie sessions for signed-in buyers. The
+   cookie holds a random token; only its SHA-256
+   hash is stored, so the data file can't be used
+   to sign in. Each session has its own CSRF
+   token, sent back in the X-CSRF-Token header on
+   every request that changes something.
+   ============================================ */
+
+import crypto from 'node:crypto';
+import { HttpError } from './http.js';
+
+export const CSRF_HEADER = 'x-csrf-token';
+
+/**
+ * A random token and the hash it is stored under
+ * @returns {{token: string, hash: string}}
+ */
+export function createToken() {
+    const token = crypto.randomBytes(32).toString('base64url');
+    return { token, hash: hashToken(token) };
+}
+
+/**
+ * @param {string} token
+ * @returns {string} - Hex SHA-256
+ */
+export function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Read one cookie from a request
+ * @param {http.IncomingMessage} req - Request
+ * @param {string} name - Cookie name
+ * @returns {string} - Value, or '' when it isn't set
+ */
+export function readCookie(req, name) {
+    const pair = String(req.headers.cookie || '').split(';')
+        .map(part => part.trim())
+        .find(part => part.startsWith(`${name}=`));
+    if (!pair) return '';
+    try {
+        return decodeURIComponent(pair.slice(name.length + 1));
+    } catch {
+        // A mangled cookie is no session
+        return '';
+    }
+}
+
+/**
+ * Set-Cookie value for an HttpOnly, SameSite=Lax cookie
+ * @param {string} name - Cookie name
+ * @param {string} value - Value; '' with maxAge 0 deletes the cookie
+ * @param {Object} options
+ * @param {number} options.maxAge - Lifetime in seconds
+ * @param {boolean} [options.secure] - Only send over HTTPS
+ * @returns {string}
+ */
+export function serializeCookie(name, value, { maxAge, secure = false }) {
+    return [
+        `${name}=${encodeURIComponent(value)}`,
+        'Path=/',
+        `Max-Age=${maxAge}`,
+        'HttpOnly',
+        'SameSite=Lax',
+        secure ? 'Secure' : ''
+    ].filter(Boolean).join('; ');
+}
+
+/**
+ * Reject requests sent from another site's page
+ * Browsers send Origin with every POST, PATCH and DELETE
+ * @param {http.IncomingMessage} req - Request
+ * @throws {HttpError} - 403
+ */
+export function checkOrigin(req) {
+    const origin = req.headers.origin;
+    if (!origin) return;
+    let host;
+    try {
+        host = new URL(origin).host;
+    } catch {
+        host = '';
+    }
+    if (host !== req.headers.host) throw new HttpError(403, 'Cross-site requests are not allowed.');
+}
+
+/**
+ * Create a session manager
+ * @param {Object} options
+ * @param {JsonStore} options.store - Session store
+ * @param {string} options.cookie - Cookie name
+ * @param {number} options.maxAgeMs - Session lifetime
+ * @returns {Object} - start(), read(), end(), requireSession() and requireCsrf()
+ */
+export function createSessions({ store, cookie, maxAgeMs }) {
+    // Behind a TLS proxy the cookie must not travel over plain HTTP
+    const isSecure = req => Boolean(req.socket.encrypted) || req.headers['x-forwarded-proto'] === 'https';
+
+    /**
+     * Drop expired sessions
+     * @returns {Promise<void>}
+     */
+    const prune = () => store.removeWhere(session => Date.parse(session.expiresAt) <= Date.now());
+
+    return {
+        /**
+         * Start a session and set its cookie
+         * @param {http.IncomingMessage} req - Request
+         * @param {http.ServerResponse} res - Response
+         * @param {Object} data - Fields to keep with the session (e.g. buyerId)
+         * @returns {Promise<Object>} - Stored session, with its csrfToken
+         */
+        async start(req, res, data) {
+            await prune();
+            const { token, hash } = createToken();
+            const session = await store.insert({
+                ...data,
+                hash,
+                csrfToken: crypto.randomBytes(24).toString('base64url'),
+                expiresAt: new Date(Date.now() + maxAgeMs).toISOString()
+            });
+            res.setHeader('Set-Cookie', serializeCookie(cookie, token, { maxAge: Math.floor(maxAgeMs / 1000), secure: isSecure(req) }));
+            return session;
+        },
+
+        /**
+         * The request's session
+         * @param {http.IncomingMessage} req - Request
+         * @returns {Promise<Object|null>}
+         */
+        async read(req) {
+            const token = readCookie(req, cookie);
+            if (!token) return null;
+            const hash = hashToken(token);
+            const session = (await store.all()).find(record => record.hash === hash);
+            return session && Date.parse(session.expiresAt) > Date.now() ? session : null;
+        },
+
+        /**
+         * End the request's session and clear its cookie
+         * @param {http.IncomingMessage} req - Request
+         * @param {http.ServerResponse} res - Response
+         * @returns {Promise<void>}
+         */
+        async end(req, res) {
+            const token = readCookie(req, cookie);
+            if (token) {
+                const hash = hashToken(token);
+                await store.removeWhere(session => session.hash === hash);
+            }
+            res.setHeader('Set-Cookie', serializeCookie(cookie, '', { maxAge: 0, secure: isSecure(req) }));
+        },
+
+        /**
+         * End every session matching a test, e.g. all of one buyer's
+         * @param {Function} test - (session) => boolean
+         * @returns {Promise<number>} - Sessions ended
+         */
+        endWhere(test) {
+            return store.removeWhere(test);
+        },
+
+        /**
+         * The request's session, or a 401
+         * @param {http.IncomingMessage} req - Request
+         * @param {string} message - Error message
+         * @returns {Promise<Object>}
+         * @throws {HttpError} - 401
+         */
+        async requireSession(req, message) {
+            const session = await this.read(req);
+            if (!session) throw new HttpError(401, message);
+            return session;
+        },
+
+        /**
+         * Check the CSRF token of a request that changes something
+         * @param {http.IncomingMessage} req - Request
+         * @param {Object} session - From read()
+         * @param {string} message - Error message
+         * @throws {HttpError} - 403
+         */
+        requireCsrf(req, session, message) {
+            checkOrigin(req);
+            const sent = Buffer.from(String(req.headers[CSRF_HEADER] || ''));
+            const expected = Buffer.from(session.csrfToken);
+            if (sent.length !== expected.length || !crypto.timingSafeEqual(sent, expected)) {
+                throw new HttpError(403, message, { reason: 'csrf' });
+            }
+        }
+    };
+}
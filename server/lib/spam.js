@@ -0,0 +1,147 @@
+/* ============================================
+   SPAM & ABUSE PROTECTION
+   Signed form tokens, in-memory rate limits,
+   duplicate fingerprints and a keyword/link
+   spam score for public form submissions.
+   ============================================ */
+
+import crypto from 'node:crypto';
+
+/** Name of the hidden field people never see and bots tend to fill */
+export const HONEYPOT_FIELD = 'website';
+
+/** Spam score at or above which a message is rejected */
+export const SPAM_THRESHOLD = 5;
+
+// Phrases common in SEO, crypto and pharma spam; each hit adds 2 points
+const SPAM_KEYWORDS = [
+    'backlink', 'bitcoin', 'casino', 'cialis', 'click here', 'crypto', 'forex',
+    'guest post', 'loan offer', 'make money', 'porn', 'seo service', 'viagra',
+    'web design service', 'work from home', 'ranking on google'
+];
+
+const LINK_PATTERN = /\b(?:https?:\/\/|www\.)\S+|\[url=|<a\s+href/gi;
+
+/**
+ * Sign an issue time with the server secret
+ * @param {string} secret - Server secret
+ * @param {number} issuedAt - Milliseconds since the epoch
+ * @returns {string}
+ */
+function sign(secret, issuedAt) {
+    return crypto.createHmac('sha256', secret).update(String(issuedAt)).digest('base64url');
+}
+
+/**
+ * Issue a form token ("<issuedAt>.<signature>")
+ * @param {string} secret - Server secret
+ * @param {number} [now] - Issue time
+ * @returns {string}
+ */
+export function createFormToken(secret, now = Date.now()) {
+    return `${now}.${sign(secret, now)}`;
+}
+
+/**
+ * Check a form token and how long ago it was issued
+ * @param {string} secret - Server secret
+ * @param {*} token - Token from the request body
+ * @param {Object} [options]
+ * @param {number} [options.maxAge] - Oldest accepted token in ms
+ * @param {number} [options.now] - Current time
+ * @returns {{valid: boolean, age: number}}
+ */
+export function verifyFormToken(secret, token, { maxAge = 24 * 60 * 60 * 1000, now = Date.now() } = {}) {
+    const [issued, signature] = typeof token === 'string' ? token.split('.') : [];
+    const issuedAt = Number(issued);
+    if (!signature || !Number.isSafeInteger(issuedAt)) return { valid: false, age: 0 };
+
+    const expected = Buffer.from(sign(secret, issuedAt));
+    const actual = Buffer.from(signature);
+    const age = now - issuedAt;
+    const valid = actual.length === expected.length && crypto.timingSafeEqual(actual, expected) && age >= 0 && age <= maxAge;
+    return { valid, age };
+}
+
+/**
+ * Score how spam-like a message is from keywords and link density
+ * @param {string} text - Message and other free text
+ * @returns {number} - 0 for clean text; SPAM_THRESHOLD or more is spam
+ */
+export function spamScore(text) {
+    const lower = String(text || '').toLowerCase();
+    const words = lower.split(/\s+/).filter(Boolean).length;
+    const links = (lower.match(LINK_PATTERN) || []).length;
+
+    let score = SPAM_KEYWORDS.filter(keyword => lower.includes(keyword)).length * 2;
+    score += links;
+    // A short message that is mostly links is almost never a genuine enquiry
+    if (links > 0 && links / Math.max(words, 1) > 0.2) score += 3;
+    return score;
+}
+
+/**
+ * Fingerprint a message so re-sends of the same text can be spotted
+ * @param {string} email - Sender address
+ * @param {string} message - Message text
+ * @returns {string} - Hex digest
+ */
+export function messageFingerprint(email, message) {
+    const normalize = (value) => String(value || '').toLowerCase().replace(/\s+/g, ' ').trim();
+    return crypto.createHash('sha256').update(`${normalize(email)}\n${normalize(message)}`).digest('hex');
+}
+
+/** Fixed-window counter per key, kept in memory */
+export class RateLimiter {
+    /**
+     * @param {Object} options
+     * @param {number} options.limit - Hits allowed per window
+     * @param {number} options.windowMs - Window length in ms
+     */
+    constructor({ limit, windowMs }) {
+        this.limit = limit;
+        this.windowMs = windowMs;
+        this.hits = new Map();
+    }
+
+    /**
+     * Count a hit for a key
+     * @param {string} key - IP address, email, ...
+     * @param {number} [now] - Current time
+     * @returns {{allowed: boolean, retryAfter: number}} - retryAfter in seconds
+     */
+    hit(key, now = Date.now()) {
+        this.prune(now);
+
+        const entry = this.hits.get(key) || { count: 0, resetAt: now + this.windowMs };
+        entry.count += 1;
+        this.hits.set(key, entry);
+
+        return {
+            allowed: entry.count <= this.limit,
+            retryAfter: Math.ceil((entry.resetAt - now) / 1000)
+        };
+    }
+
+    /**
+     * Check whether a key has used up its hits without counting a new one
+     * @param {string} key - IP address, email, ...
+     * @param {number} [now] - Current time
+     * @returns {number} - Seconds until the key may try again, 0 if it may now
+     */
+    retryAfter(key, now = Date.now()) {
+        this.prune(now);
+        const entry = this.hits.get(key);
+        return entry && entry.count >= this.limit ? Math.ceil((entry.resetAt - now) / 1000) : 0;
+    }
+
+    /**
+     * Forget windows that have ended
+     * @param {number} now - Current time
+     */
+    prune(now) {
+        for (const [key, entry] of this.hits) {
+            if (entry.resetAt <= now) this.hits.delete(key);
+        }
+    }
+}
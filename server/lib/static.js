@@ -0,0 +1,79 @@
+/* ============================================
+   STATIC FILES
+   Serves the public site from the repository
+   root for local development.
+   ============================================ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.webmanifest': 'application/manifest+json; charset=utf-8',
+    '.xml': 'application/xml; charset=utf-8',
+    '.txt': 'text/plain; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.webp': 'image/webp',
+    '.avif': 'image/avif',
+    '.ico': 'image/x-icon',
+    '.woff2': 'font/woff2'
+};
+
+// Source, tooling and runtime data never leave the server; admin pages go through their own routes
+const PRIVATE_DIRS = new Set(['server', 'data', 'scripts', 'src', 'node_modules', 'test', 'admin']);
+const PRIVATE_FILES = new Set(['package.json', 'package-lock.json']);
+
+/**
+ * Create a handler that serves files below a root directory
+ * @param {string} root - Public root directory
+ * @returns {Function} - (req, res) => boolean, false if nothing was served
+ */
+export function createStaticHandler(root) {
+    return function serveStatic(req, res) {
+        if (req.method !== 'GET' && req.method !== 'HEAD') return false;
+        
+        let pathname;
+        try {
+            pathname = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+        } catch {
+            return false;
+        }
+        if (pathname.endsWith('/')) pathname += 'index.html';
+        
+        const segments = pathname.split('/').filter(Boolean);
+        if (segments.some(segment => segment.startsWith('.')) || PRIVATE_DIRS.has(segments[0]) ||
+            PRIVATE_FILES.has(segments.join('/'))) {
+            return false;
+        }
+        
+        const file = path.join(root, ...segments);
+        const type = MIME_TYPES[path.extname(file).toLowerCase()];
+        if (!type || !file.startsWith(root + path.sep)) return false;
+        
+        let stat;
+        try {
+            stat = fs.statSync(file);
+        } catch {
+            return false;
+        }
+        if (!stat.isFile()) return false;
+        
+        res.writeHead(200, {
+            'Content-Type': type,
+            'Content-Length': stat.size,
+            'Last-Modified': stat.mtime.toUTCString()
+        });
+        if (req.method === 'HEAD') {
+            res.end();
+        } else {
+            fs.createReadStream(file).pipe(res);
+        }
+        return true;
+    };
+}
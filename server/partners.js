@@ -0,0 +1,248 @@
+/* ============================================
+   PARTNER APPLICATIONS API
+   POST  /api/partner-applications        - validate and
+         store an importer/distributor application
+         with its documents (base64 in the JSON body)
+   POST  /api/partner-applications/status - review
+         status by reference and email address
+   GET   /api/admin/partner-applications  - all
+         applications, newest first
+   PATCH /api/admin/partner-applications/:id
+         - status, message to the applicant and notes
+   GET   /api/admin/partner-applications/:id/documents/:field
+         - one uploaded document
+   Documents are written to their own directory,
+   one folder per application reference.
+   ============================================ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { HttpError, readBody, sendJson } from './lib/http.js';
+import { pickLocale, getMessages } from './lib/i18n.js';
+import { RateLimiter } from './lib/spam.js';
+import { createReference, checkSubmission, enforceLimit } from './enquiries.js';
+import { normalizePhone } from '../src/js/phone.js';
+import {
+    PARTNER_STATUSES, PARTNER_DOCUMENTS, PARTNER_LIMITS, DOCUMENT_TYPES, MAX_DOCUMENT_SIZE,
+    validatePartnerApplication, normalizeReference
+} from '../src/js/partner.js';
+
+// Every document at its largest, base64 encoded, plus the fields
+const MAX_BODY_SIZE = Math.ceil(Object.keys(PARTNER_DOCUMENTS).length * MAX_DOCUMENT_SIZE * 4 / 3) + 64 * 1024;
+
+// File signatures of the accepted types
+const SIGNATURES = {
+    'application/pdf': [0x25, 0x50, 0x44, 0x46],
+    'image/jpeg': [0xFF, 0xD8, 0xFF],
+    'image/png': [0x89, 0x50, 0x4E, 0x47]
+};
+
+/**
+ * Type of a file from its first bytes, whatever the browser declared
+ * @param {Buffer} buffer - File contents
+ * @returns {string} - MIME type, or '' when it isn't an accepted type
+ */
+export function sniffDocumentType(buffer) {
+    const match = Object.entries(SIGNATURES).find(([, bytes]) => bytes.every((byte, index) => buffer[index] === byte));
+    return match ? match[0] : '';
+}
+
+/**
+ * Decode the uploaded documents
+ * Types are taken from the contents, so a renamed file is caught
+ * @param {Object} body - Request body, with `documents` as field name to {name, data}
+ * @returns {Object} - Field name to {name, mimeType, size, buffer}
+ */
+function readDocuments(body) {
+    const uploads = body.documents && typeof body.documents === 'object' ? body.documents : {};
+    return Object.fromEntries(Object.keys(PARTNER_DOCUMENTS)
+        .filter(field => typeof uploads[field]?.data === 'string' && uploads[field].data)
+        .map(field => {
+            const { name, data } = uploads[field];
+            const buffer = /^[A-Za-z0-9+/]+={0,2}$/.test(data) ? Buffer.from(data, 'base64') : Buffer.alloc(0);
+            return [field, {
+                // Only the base name, without anything that could make a path
+                name: (typeof name === 'string' ? path.basename(name) : '').replace(/[^\w .()-]/g, '_').slice(0, 120),
+                mimeType: sniffDocumentType(buffer),
+                size: buffer.length,
+                buffer
+            }];
+        }));
+}
+
+/**
+ * Application as the applicant sees it on the status page
+ * @param {Object} record - Stored application
+ * @returns {Object}
+ */
+function toStatus(record) {
+    return {
+        reference: record.reference,
+        company: record.company,
+        status: record.status,
+        applicantMessage: record.applicantMessage || '',
+        createdAt: record.createdAt,
+        updatedAt: record.statusChangedAt || record.createdAt
+    };
+}
+
+/**
+ * Application as listed in the admin, without file paths
+ * @param {Object} record - Stored application
+ * @returns {Object}
+ */
+function toAdminSummary(record) {
+    const documents = Object.fromEntries(Object.entries(record.documents || {})
+        .map(([field, { name, mimeType, size }]) => [field, { name, mimeType, size }]));
+    return { notes: '', applicantMessage: '', ...record, documents };
+}
+
+/**
+ * Validate the editable fields of an application
+ * @param {Object} body - Request body
+ * @returns {Object} - Fields to update
+ * @throws {HttpError} - 422 with field errors
+ */
+function validatePartnerPatch(body) {
+    const patch = {};
+    const errors = {};
+
+    if (body.status !== undefined) {
+        if (Object.hasOwn(PARTNER_STATUSES, body.status)) patch.status = body.status;
+        else errors.status = 'Unknown status.';
+    }
+    Object.entries(PARTNER_LIMITS).forEach(([field, max]) => {
+        if (body[field] === undefined) return;
+        const value = typeof body[field] === 'string' ? body[field].trim() : '';
+        if (value.length > max) errors[field] = `Use at most ${max} characters.`;
+        else patch[field] = value;
+    });
+
+    if (Object.keys(errors).length > 0) {
+        throw new HttpError(422, 'Please correct the highlighted fields.', { errors });
+    }
+    return patch;
+}
+
+/**
+ * Register the partner application routes
+ * @param {Router} router - Application router
+ * @param {Object} deps
+ * @param {JsonStore} deps.store - Application store
+ * @param {string} deps.secret - Key for signing form tokens
+ * @param {Function} deps.requireAdmin - From createAdminAuth()
+ * @param {string} deps.documentDir - Where uploaded documents are kept
+ */
+export function registerPartnerRoutes(router, { store, secret, requireAdmin, documentDir }) {
+    const ipLimiter = new RateLimiter({ limit: 5, windowMs: 10 * 60 * 1000 });
+    const emailLimiter = new RateLimiter({ limit: 3, windowMs: 60 * 60 * 1000 });
+    // Generous for people, but slows down guessing references
+    const lookupLimiter = new RateLimiter({ limit: 20, windowMs: 10 * 60 * 1000 });
+
+    router.post('/api/partner-applications', async (req, res) => {
+        const locale = pickLocale(req);
+        const errors = getMessages(locale, 'errors');
+
+        enforceLimit(res, ipLimiter.hit(req.socket.remoteAddress || 'unknown'), errors);
+
+        const body = await readBody(req, MAX_BODY_SIZE);
+        checkSubmission(body, secret, errors);
+
+        const documents = readDocuments(body);
+        const messages = { ...getMessages(locale, 'validation'), ...getMessages(locale, 'partners').errors };
+        const result = validatePartnerApplication(body, documents, messages);
+        if (!result.valid) {
+            throw new HttpError(422, errors.correctFields, { errors: result.errors });
+        }
+        const { values } = result;
+        enforceLimit(res, emailLimiter.hit(values.email.toLowerCase()), errors);
+
+        const reference = createReference('PTN');
+        const folder = path.join(documentDir, reference);
+        await fs.mkdir(folder, { recursive: true });
+        const stored = {};
+        for (const [field, { name, mimeType, size, buffer }] of Object.entries(documents)) {
+            const file = `${field}.${DOCUMENT_TYPES[mimeType]}`;
+            await fs.writeFile(path.join(folder, file), buffer);
+            stored[field] = { name: name || file, mimeType, size, file: `${reference}/${file}` };
+        }
+
+        const application = await store.insert({
+            reference,
+            status: 'received',
+            locale,
+            ...values,
+            phone: normalizePhone(values.phone),
+            documents: stored,
+            applicantMessage: '',
+            notes: ''
+        });
+
+        console.log(`Partner application ${reference} stored (${values.company}, ${Object.keys(stored).length} documents)`);
+        sendJson(res, 201, { ok: true, reference: application.reference });
+    });
+
+    router.post('/api/partner-applications/status', async (req, res) => {
+        const messages = getMessages(pickLocale(req), 'partners').errors;
+        const { allowed, retryAfter } = lookupLimiter.hit(req.socket.remoteAddress || 'unknown');
+        if (!allowed) {
+            res.setHeader('Retry-After', String(retryAfter));
+            throw new HttpError(429, messages.rateLimited);
+        }
+
+        const body = await readBody(req);
+        const reference = normalizeReference(body.reference);
+        const email = typeof body.email === 'string' ? body.email.trim().toLowerCase() : '';
+        // The email has to match too, so a reference alone shows nothing
+        const application = email && (await store.all())
+            .find(record => record.reference === reference && record.email.toLowerCase() === email);
+        if (!application) throw new HttpError(404, messages.notFound);
+
+        sendJson(res, 200, { ok: true, application: toStatus(application) });
+    });
+
+    router.get('/api/admin/partner-applications', async (req, res) => {
+        requireAdmin(req, res);
+        const applications = (await store.all()).sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+        sendJson(res, 200, { ok: true, statuses: PARTNER_STATUSES, applications: applications.map(toAdminSummary) });
+    });
+
+    router.patch('/api/admin/partner-applications/:id', async (req, res, { id }) => {
+        const user = requireAdmin(req, res);
+        const patch = validatePartnerPatch(await readBody(req));
+
+        const current = await store.get(id);
+        if (!current) throw new HttpError(404, 'Application not found.');
+        // The applicant's "last updated" follows what they can see
+        if ((patch.status && patch.status !== current.status) ||
+            (patch.applicantMessage !== undefined && patch.applicantMessage !== (current.applicantMessage || ''))) {
+            patch.statusChangedAt = new Date().toISOString();
+        }
+        const record = await store.update(id, patch);
+
+        console.log(`Partner application ${record.reference} updated by ${user} (${Object.keys(patch).join(', ')})`);
+        sendJson(res, 200, { ok: true, application: toAdminSummary(record) });
+    });
+
+    router.get('/api/admin/partner-applications/:id/documents/:field', async (req, res, { id, field }) => {
+        const user = requireAdmin(req, res);
+        const application = await store.get(id);
+        // Own fields only, so "__proto__" or "constructor" is a missing document too
+        if (!application?.documents || !Object.hasOwn(application.documents, field)) {
+            throw new HttpError(404, 'Document not found.');
+        }
+        const document = application.documents[field];
+
+        const contents = await fs.readFile(path.join(documentDir, document.file));
+        res.writeHead(200, {
+            'Content-Type': document.mimeType,
+            'Content-Length': contents.length,
+            'Content-Disposition': `inline; filename="${application.reference}-${path.basename(document.file)}"`,
+            'Cache-Control': 'no-store',
+            'X-Content-Type-Options': 'nosniff',
+            'X-Robots-Tag': 'noindex'
+        });
+        res.end(contents);
+        console.log(`Document ${field} of ${application.reference} opened by ${user}`);
+    });
+}
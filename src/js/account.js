@@ -0,0 +1,363 @@
+/* ============================================
+   BUYER ACCOUNT
+   account.html - repeat buyers sign in with a
+   link emailed to them, keep their company
+   profile and delivery ports, follow their RFQs
+   and reorder from one, and download each
+   shipment's document pack. The session lives
+   in an HttpOnly cookie; every change sends the
+   session's CSRF token in X-CSRF-Token.
+   ============================================ */
+
+import { escapeHtml } from './utils.js';
+import { t, getLocale } from './i18n.js';
+import { createForm } from './form-engine.js';
+import { createFormGuard } from './form-guard.js';
+import { postEnquiry, setButtonLoading } from './form.js';
+import { writeStorage, removeStorage } from './storage.js';
+import { loadCart, saveCart, createQuoteItem, localizedLabels } from './quote-cart.js';
+import { DESTINATION_PORTS, MAX_QUOTE_ITEMS, formatQuoteItem, validateQuoteItem } from './rfq.js';
+import { SIGN_IN_SCHEMA, BUYER_PROFILE_SCHEMA, ORDER_STATUSES, SIGN_IN_LINK_MINUTES } from './buyer.js';
+import { BUYER_ENDPOINT, SIGNED_IN_KEY, buyerRequest } from './buyer-session.js';
+
+export const CONSIGNMENTS_ENDPOINT = '/api/consignments';
+
+/**
+ * Format an ISO date in the active language
+ * @param {string} value - ISO timestamp
+ * @returns {string}
+ */
+function formatDate(value) {
+    return new Intl.DateTimeFormat(getLocale(), { dateStyle: 'medium' }).format(new Date(value));
+}
+
+/**
+ * Label/value pairs as a definition list
+ * @param {Array<[string, string]>} rows - Key under buyer.fields and value; empty values are left out
+ * @returns {string}
+ */
+function renderDetails(rows) {
+    return `<dl class="track-step-details">${rows
+        .filter(([, value]) => value)
+        .map(([label, value]) => `<div><dt>${escapeHtml(t(`buyer.fields.${label}`))}</dt><dd>${escapeHtml(value)}</dd></div>`)
+        .join('')}</dl>`;
+}
+
+/**
+ * Render one RFQ with its status and a reorder link
+ * @param {Object} order - From the orders API
+ * @param {Object} labels - From localizedLabels()
+ * @returns {string}
+ */
+function renderOrder(order, labels) {
+    const status = Object.hasOwn(ORDER_STATUSES, order.status) ? order.status : 'new';
+    const items = order.items.map(item => `<li>${escapeHtml(formatQuoteItem(item, labels))}</li>`).join('');
+    return `
+        <li class="track-result account-item" data-reference="${escapeHtml(order.reference)}">
+            <div class="track-summary">
+                <div>
+                    <p class="track-summary-label">${escapeHtml(t('buyer.fields.status'))}</p>
+                    <h3 class="track-summary-id">${escapeHtml(order.reference)}</h3>
+                </div>
+                <span class="track-status order-status-${status}">${escapeHtml(t(`buyer.statuses.${status}`))}</span>
+            </div>
+            <ul class="account-order-items">${items}</ul>
+            ${renderDetails([
+                ['requested', formatDate(order.createdAt)],
+                ['updated', formatDate(order.updatedAt)],
+                ['port', order.destinationPort]
+            ])}
+            <div class="account-actions">
+                <a href="index.html#quote" class="btn btn-secondary" data-reorder="${escapeHtml(order.reference)}" aria-label="${escapeHtml(t('buyer.reorderLabel', { reference: order.reference }))}">${escapeHtml(t('buyer.reorder'))}</a>
+            </div>
+        </li>`;
+}
+
+/**
+ * Render one shipment with its document pack, tracking and cold-chain report links
+ * @param {Object} shipment - From the shipments API
+ * @param {Object} labels - From localizedLabels()
+ * @returns {string}
+ */
+function renderShipment(shipment, labels) {
+    const id = encodeURIComponent(shipment.id);
+    const product = [labels.species[shipment.product] || shipment.product, shipment.breed, labels.cuts[shipment.cut] || shipment.cut]
+        .filter(Boolean).join(' · ');
+    const quantity = shipment.quantity
+        ? `${new Intl.NumberFormat(getLocale()).format(shipment.quantity.value)} ${labels.units[shipment.quantity.unit] || shipment.quantity.unit}`
+        : '';
+    const documents = shipment.documentsReady
+        ? `<a href="${BUYER_ENDPOINT}/shipments/${id}/documents" class="btn btn-primary" download>${escapeHtml(t('buyer.downloadDocuments'))}</a>`
+        : `<p class="account-pending">${escapeHtml(t('buyer.documentsPending'))}</p>`;
+    const report = shipment.hasReport
+        ? `<a href="${CONSIGNMENTS_ENDPOINT}/${id}/report?lang=${getLocale()}" class="btn btn-secondary" download>${escapeHtml(t('buyer.coldChainReport'))}</a>`
+        : '';
+
+    return `
+        <li class="track-result account-item" data-shipment="${escapeHtml(shipment.id)}">
+            <div class="track-summary">
+                <div>
+                    <p class="track-summary-label">${escapeHtml(t('buyer.fields.product'))}</p>
+                    <h3 class="track-summary-id">${escapeHtml(shipment.id)}</h3>
+                    <p class="track-summary-product">${escapeHtml(product)}</p>
+                </div>
+                ${shipment.state ? `<span class="track-status">${escapeHtml(t(`catalog.processing.${shipment.state}`, {}, shipment.state))}</span>` : ''}
+            </div>
+            ${renderDetails([
+                ['quantity', quantity],
+                ['purchaseOrder', shipment.buyerReference],
+                ['port', shipment.portOfDischarge]
+            ])}
+            <div class="account-actions">
+                ${documents}
+                <a href="track.html?id=${id}" class="btn btn-secondary">${escapeHtml(t('buyer.trackShipment'))}</a>
+                ${report}
+            </div>
+        </li>`;
+}
+
+/**
+ * Render the delivery port checkboxes
+ * @param {HTMLElement} list - Container inside the ports fieldset
+ * @param {string[]} checked - Ports to tick
+ */
+function renderPorts(list, checked) {
+    list.innerHTML = DESTINATION_PORTS
+        .map(port => `
+            <label class="partner-choice">
+                <input type="checkbox" name="ports" value="${escapeHtml(port)}"${checked.includes(port) ? ' checked' : ''}>
+                <span>${escapeHtml(port)}</span>
+            </label>`)
+        .join('');
+}
+
+/**
+ * Put an RFQ's lines and port in the quote cart, in place of what was there
+ * @param {Object} order - From the orders API
+ * @returns {number} - Lines added
+ */
+export function reorder(order) {
+    const items = order.items
+        .map(item => validateQuoteItem(item))
+        .filter(result => result.valid)
+        .slice(0, MAX_QUOTE_ITEMS)
+        // Fresh ids, so the new quote's lines are edited on their own
+        .map(({ item }) => ({ ...item, id: createQuoteItem(item.species).id }));
+    saveCart({ items, destinationPort: order.destinationPort || loadCart().destinationPort });
+    return items.length;
+}
+
+/**
+ * Initialize account.html
+ */
+export function initAccount() {
+    const signInSection = document.getElementById('accountSignIn');
+    const panel = document.getElementById('accountPanel');
+    if (!signInSection || !panel) return;
+
+    const signInForm = document.getElementById('signInForm');
+    const signInSubmit = document.getElementById('signInSubmit');
+    const signInMessage = document.getElementById('signInMessage');
+    const signedInAs = document.getElementById('accountSignedInAs');
+    const profileForm = document.getElementById('profileForm');
+    const profileSubmit = document.getElementById('profileSubmit');
+    const profileStatus = document.getElementById('profileStatus');
+    const profileError = document.getElementById('profileFormError');
+    const portList = document.getElementById('profilePortList');
+    const orderList = document.getElementById('orderList');
+    const ordersMessage = document.getElementById('ordersMessage');
+    const shipmentList = document.getElementById('shipmentList');
+    const shipmentsMessage = document.getElementById('shipmentsMessage');
+
+    const guard = createFormGuard(signInForm);
+    const signInEngine = createForm(signInForm, SIGN_IN_SCHEMA);
+    renderPorts(portList, []);
+    const profileEngine = createForm(profileForm, BUYER_PROFILE_SCHEMA);
+
+    let buyer = null;
+    let csrfToken = '';
+    let orders = null;
+    let shipments = null;
+    // What the sign-in message shows, kept to re-render it in another language
+    let notice = null;
+
+    const showNotice = (next) => {
+        notice = next;
+        signInMessage.textContent = notice ? (notice.text || t(notice.key, notice.params)) : '';
+        signInMessage.classList.toggle('track-message-error', Boolean(notice?.error));
+    };
+
+    const renderSignedIn = () => {
+        signedInAs.textContent = t('buyer.signedInAs', { email: buyer.email });
+    };
+
+    const renderOrders = () => {
+        if (!orders) return;
+        const labels = localizedLabels();
+        orderList.innerHTML = orders.map(order => renderOrder(order, labels)).join('');
+        ordersMessage.textContent = orders.length ? '' : t('buyer.noOrders');
+        ordersMessage.classList.remove('track-message-error');
+    };
+
+    const renderShipments = () => {
+        if (!shipments) return;
+        const labels = localizedLabels();
+        shipmentList.innerHTML = shipments.map(shipment => renderShipment(shipment, labels)).join('');
+        shipmentsMessage.textContent = shipments.length ? '' : t('buyer.noShipments');
+        shipmentsMessage.classList.remove('track-message-error');
+    };
+
+    const showProfile = (profile) => {
+        renderPorts(portList, profile.ports);
+        profileEngine.setValues({ ...profile, ports: profile.ports });
+        // Picks the phone number's country
+        profileForm.elements.namedItem('phone').dispatchEvent(new Event('input'));
+    };
+
+    const loadLists = async () => {
+        const [ordersResult, shipmentsResult] = await Promise.allSettled([
+            buyerRequest('/orders'),
+            buyerRequest('/shipments')
+        ]);
+        if (ordersResult.status === 'fulfilled') {
+            orders = ordersResult.value.orders;
+            renderOrders();
+        } else {
+            ordersMessage.textContent = ordersResult.reason.message;
+            ordersMessage.classList.add('track-message-error');
+        }
+        if (shipmentsResult.status === 'fulfilled') {
+            shipments = shipmentsResult.value.shipments;
+            renderShipments();
+        } else {
+            shipmentsMessage.textContent = shipmentsResult.reason.message;
+            shipmentsMessage.classList.add('track-message-error');
+        }
+    };
+
+    const enter = (session) => {
+        buyer = session.buyer;
+        csrfToken = session.csrfToken;
+        writeStorage(SIGNED_IN_KEY, true);
+        showNotice(null);
+        signInSection.hidden = true;
+        panel.hidden = false;
+        renderSignedIn();
+        showProfile(buyer);
+        return loadLists();
+    };
+
+    const leave = (next) => {
+        buyer = null;
+        csrfToken = '';
+        orders = null;
+        shipments = null;
+        removeStorage(SIGNED_IN_KEY);
+        orderList.innerHTML = '';
+        shipmentList.innerHTML = '';
+        profileEngine.reset();
+        panel.hidden = true;
+        signInSection.hidden = false;
+        showNotice(next);
+    };
+
+    signInForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const { valid, values } = signInEngine.validate();
+        if (!valid) return;
+
+        setButtonLoading(signInSubmit, true);
+        showNotice(null);
+        try {
+            await postEnquiry(signInForm.dataset.endpoint, { ...values, ...await guard.fields() });
+            showNotice({ key: 'buyer.linkSent', params: { email: values.email, minutes: SIGN_IN_LINK_MINUTES } });
+        } catch (err) {
+            signInEngine.showErrors(err.fieldErrors);
+            showNotice({ text: err.message, error: true });
+            if (err.reason === 'token') guard.refresh();
+        } finally {
+            setButtonLoading(signInSubmit, false);
+        }
+    });
+
+    profileForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        profileError.hidden = true;
+        profileStatus.textContent = '';
+        const { valid, values } = profileEngine.validate();
+        if (!valid) return;
+
+        setButtonLoading(profileSubmit, true);
+        try {
+            const result = await buyerRequest('/profile', { method: 'PATCH', body: values, csrfToken });
+            buyer = result.buyer;
+            showProfile(buyer);
+            profileStatus.textContent = t('buyer.profileSaved');
+        } catch (err) {
+            if (err.status === 401) {
+                leave({ text: err.message, error: true });
+                return;
+            }
+            profileEngine.showErrors(err.fieldErrors);
+            profileError.textContent = err.message;
+            profileError.hidden = false;
+        } finally {
+            setButtonLoading(profileSubmit, false);
+        }
+    });
+
+    document.getElementById('signOut').addEventListener('click', async () => {
+        try {
+            await buyerRequest('/session', { method: 'DELETE', csrfToken });
+        } catch (err) {
+            // Already signed out is fine; anything else keeps the account open
+            if (err.status !== 401) {
+                profileError.textContent = err.message;
+                profileError.hidden = false;
+                return;
+            }
+        }
+        leave({ key: 'buyer.signedOut' });
+    });
+
+    // Reorder fills the quote cart, then the link opens it on the home page
+    orderList.addEventListener('click', (e) => {
+        const link = e.target.closest('[data-reorder]');
+        const order = link && orders?.find(entry => entry.reference === link.dataset.reorder);
+        if (order) reorder(order);
+    });
+
+    document.addEventListener('localechange', () => {
+        if (notice) showNotice(notice);
+        if (!buyer) return;
+        renderSignedIn();
+        renderOrders();
+        renderShipments();
+    });
+
+    const start = async () => {
+        // A link from the email: #token=...
+        const token = new URLSearchParams(window.location.hash.slice(1)).get('token');
+        if (token) {
+            // Off the address bar and out of the history, it only works once anyway
+            history.replaceState(null, '', window.location.pathname + window.location.search);
+            showNotice({ key: 'buyer.signingIn' });
+            try {
+                await enter(await buyerRequest('/session', { method: 'POST', body: { token } }));
+                return;
+            } catch (err) {
+                // Still shown if there's no session to fall back to
+                showNotice({ text: err.message, error: true });
+            }
+        }
+
+        try {
+            await enter(await buyerRequest('/session'));
+        } catch (err) {
+            removeStorage(SIGNED_IN_KEY);
+            if (err.status !== 401) showNotice({ text: err.message, error: true });
+        }
+    };
+
+    start();
+}
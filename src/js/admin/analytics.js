@@ -0,0 +1,147 @@
+/* ============================================
+   ANALYTICS REPORT
+   The enquiry funnel and the events behind it,
+   from the first-party collector. The period is
+   kept in the query string (?days=) so a reload
+   shows the same report.
+   ============================================ */
+
+import { escapeHtml } from '../utils.js';
+
+export const ANALYTICS_ADMIN_ENDPOINT = '/api/admin/analytics';
+
+const numberFormat = new Intl.NumberFormat('en-GB');
+const dateFormat = new Intl.DateTimeFormat('en-GB', { dateStyle: 'medium' });
+
+/**
+ * Share of a total as a whole percentage
+ * @param {number} part
+ * @param {number} whole
+ * @returns {string}
+ */
+function percent(part, whole) {
+    return whole ? `${Math.round((part / whole) * 100)}%` : '–';
+}
+
+/**
+ * Render the funnel, each step as a bar relative to the first
+ * @param {Array<Object>} funnel - Steps from the report
+ * @returns {string}
+ */
+function renderFunnel(funnel) {
+    const first = funnel[0]?.visitors || 0;
+    return funnel.map((step, index) => {
+        const previous = index > 0 ? funnel[index - 1].visitors : step.visitors;
+        return `
+            <li class="funnel-step" style="--funnel-share: ${first ? (step.visitors / first) * 100 : 0}%">
+                <span class="funnel-label">${escapeHtml(step.label)}</span>
+                <span class="funnel-bar" aria-hidden="true"></span>
+                <strong>${numberFormat.format(step.visitors)}</strong>
+                <span class="funnel-rate">${index > 0 ? `${percent(step.visitors, previous)} of the step before` : 'visitors'}</span>
+            </li>`;
+    }).join('');
+}
+
+/**
+ * Render a table, or a note when it has no rows
+ * @param {string} caption - Table caption
+ * @param {Array<string>} headings - Column headings
+ * @param {Array<Array<string|number>>} rows - Cell values
+ * @returns {string}
+ */
+function renderTable(caption, headings, rows) {
+    const body = rows.length
+        ? rows.map(row => `<tr>${row.map((cell, index) => index === 0
+            ? `<th scope="row">${escapeHtml(cell)}</th>`
+            : `<td>${escapeHtml(typeof cell === 'number' ? numberFormat.format(cell) : cell)}</td>`).join('')}</tr>`).join('')
+        : `<tr><td colspan="${headings.length}">No events yet</td></tr>`;
+
+    return `
+            <div class="analytics-card">
+                <table class="analytics-table">
+                    <caption>${escapeHtml(caption)}</caption>
+                    <thead><tr>${headings.map(heading => `<th scope="col">${escapeHtml(heading)}</th>`).join('')}</tr></thead>
+                    <tbody>${body}</tbody>
+                </table>
+            </div>`;
+}
+
+/**
+ * Render the report below the funnel
+ * @param {Object} report - From the admin API
+ * @returns {string}
+ */
+function renderTables(report) {
+    return [
+        renderTable('Product pages', ['Page', 'Views', 'Visitors', 'Then started the form', 'Then sent an enquiry'],
+            report.productPages.map(row => [row.page, row.views, row.visitors, row.formStarts,
+                `${numberFormat.format(row.enquiries)} (${percent(row.enquiries, row.visitors)})`])),
+        renderTable('Pages', ['Page', 'Views', 'Visitors'],
+            report.pages.map(row => [row.page, row.views, row.visitors])),
+        renderTable('Referring sites', ['Site', 'Visits'],
+            report.referrers.map(row => [row.host, row.visits])),
+        renderTable('Hero slides', ['Slide', 'Impressions'],
+            report.heroSlides.map(row => [`Slide ${row.slide}`, row.impressions])),
+        renderTable('Products menu', ['Page chosen', 'Clicks'],
+            report.productNav.map(row => [row.target, row.clicks])),
+        renderTable('Breed cards seen', ['Breed', 'Views'],
+            report.breedCards.map(row => [row.name, row.views])),
+        renderTable('Enquiry form errors', ['Field or reason', 'Times'],
+            report.formErrors.map(row => [row.field, row.count]))
+    ].join('');
+}
+
+/**
+ * Load the report, signing in through the browser's Basic auth prompt
+ * @param {number} days - Period in days
+ * @returns {Promise<Object>}
+ */
+async function fetchReport(days) {
+    const response = await fetch(`${ANALYTICS_ADMIN_ENDPOINT}?days=${days}`, { headers: { 'Accept': 'application/json' } });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok || !data.ok) throw new Error(data.error || 'Could not load the report.');
+    return data.report;
+}
+
+/**
+ * Initialize the analytics page
+ */
+export async function initAnalyticsReport() {
+    const range = document.getElementById('analyticsRange');
+    const funnel = document.getElementById('analyticsFunnel');
+    if (!range || !funnel) return;
+
+    const status = document.getElementById('analyticsStatus');
+    const totals = document.getElementById('analyticsTotals');
+    const tables = document.getElementById('analyticsTables');
+
+    const load = async () => {
+        status.textContent = 'Loading report…';
+        try {
+            const report = await fetchReport(range.value);
+            totals.innerHTML = [
+                ['Visitors', report.totals.visitors],
+                ['Page views', report.totals.pageviews],
+                ['Enquiries sent', report.totals.enquiries]
+            ].map(([label, value]) => `
+                <li class="admin-stat"><span>${label}</span> <strong>${numberFormat.format(value)}</strong></li>`).join('');
+            funnel.innerHTML = renderFunnel(report.funnel);
+            tables.innerHTML = renderTables(report);
+            status.textContent = `${dateFormat.format(new Date(report.from))} – ${dateFormat.format(new Date(report.to))}`;
+        } catch (err) {
+            status.textContent = err.message;
+        }
+    };
+
+    const days = new URLSearchParams(window.location.search).get('days');
+    if (days && [...range.options].some(option => option.value === days)) range.value = days;
+
+    range.addEventListener('change', () => {
+        const url = new URL(window.location.href);
+        url.searchParams.set('days', range.value);
+        window.history.replaceState(null, '', url);
+        load();
+    });
+
+    await load();
+}
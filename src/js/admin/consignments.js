@@ -0,0 +1,178 @@
+/* ============================================
+   CONSIGNMENTS ADMIN
+   Data-logger uploads per consignment. The CSV
+   is checked in the browser first so a wrong
+   file is caught before it is sent; the server
+   parses it again before storing. Each card also
+   links to the consignment's export documents.
+   ============================================ */
+
+import { escapeHtml } from '../utils.js';
+import { QUOTE_LABELS } from '../rfq.js';
+import { parseTemperatureLog, COLD_CHAIN_LIMITS } from '../cold-chain.js';
+
+export const CONSIGNMENTS_ADMIN_ENDPOINT = '/api/admin/consignments';
+
+// Same keys as DOCUMENT_TYPES in server/lib/export-documents.js
+const EXPORT_DOCUMENTS = {
+    'proforma-invoice': 'Proforma invoice',
+    'packing-list': 'Packing list',
+    'certificate-of-origin': 'Certificate of origin',
+    'halal-declaration': 'Halal declaration'
+};
+
+const dateFormat = new Intl.DateTimeFormat('en-GB', { dateStyle: 'medium', timeStyle: 'short' });
+
+/**
+ * Render the export document links, or what the record still needs
+ * @param {Object} consignment - From the admin API
+ * @returns {string}
+ */
+function renderDocuments(consignment) {
+    const base = `${CONSIGNMENTS_ADMIN_ENDPOINT}/${encodeURIComponent(consignment.id)}/documents`;
+    const problems = consignment.documentProblems || [];
+
+    const body = problems.length
+        ? `<p class="consignment-missing">Complete the consignment record first:</p>
+                <ul class="consignment-missing">${problems.map(problem => `<li>${escapeHtml(problem)}</li>`).join('')}</ul>`
+        : `<p class="consignment-document-links">
+                    <a href="${base}" class="admin-header-link" target="_blank" rel="noopener">Document pack</a>
+                    ${Object.entries(EXPORT_DOCUMENTS).map(([type, label]) => `<a href="${base}/${type}" class="admin-header-link" target="_blank" rel="noopener">${label}</a>`).join('\n                    ')}
+                </p>`;
+
+    return `
+            <div class="consignment-documents">
+                <span class="form-label">Export documents</span>
+                ${body}
+            </div>`;
+}
+
+/**
+ * Render one consignment card
+ * @param {Object} consignment - From the admin API
+ * @returns {string}
+ */
+function renderConsignment(consignment) {
+    const id = `consignment-${escapeHtml(consignment.id)}`;
+    const state = consignment.processing?.state;
+    const log = consignment.temperatureLog;
+    const product = [
+        QUOTE_LABELS.species[consignment.product],
+        consignment.breed,
+        QUOTE_LABELS.cuts[consignment.cut],
+        QUOTE_LABELS.states[state]
+    ].filter(Boolean).join(' · ');
+
+    const logSummary = log
+        ? `<strong>${escapeHtml(log.fileName || 'Logger file')}</strong> · ${log.count} readings · ` +
+            `${log.excursions ? `<span class="consignment-excursions">${log.excursions} excursion(s)</span>` : 'no excursions'} · ` +
+            `uploaded ${escapeHtml(dateFormat.format(new Date(log.uploadedAt)))}`
+        : 'No temperature log yet';
+    const trackUrl = `/track.html?id=${encodeURIComponent(consignment.id)}`;
+
+    return `
+        <article class="lead-card consignment-card" data-id="${escapeHtml(consignment.id)}" aria-labelledby="${id}-title">
+            <header class="lead-header">
+                <div>
+                    <span class="lead-type">${escapeHtml(consignment.buyer || '')}</span>
+                    <h2 class="lead-title" id="${id}-title">${escapeHtml(consignment.id)}</h2>
+                    <p class="lead-meta">${escapeHtml(product)}</p>
+                </div>
+                <span class="lead-badge">≤ ${COLD_CHAIN_LIMITS[state] ?? COLD_CHAIN_LIMITS.chilled} °C</span>
+            </header>
+
+            <p class="consignment-log">${logSummary}</p>
+${renderDocuments(consignment)}
+
+            <form class="lead-form consignment-upload" novalidate>
+                <label class="lead-field">
+                    <span class="form-label">Data-logger CSV</span>
+                    <input type="file" name="log" class="form-input" accept=".csv,.txt,text/csv" required>
+                </label>
+                <div class="lead-actions">
+                    <button type="submit" class="btn btn-primary">Upload log</button>
+                    <a href="${trackUrl}" class="admin-header-link" target="_blank" rel="noopener">Tracking page</a>
+                    ${log ? `<a href="/api/consignments/${encodeURIComponent(consignment.id)}/report" class="admin-header-link" target="_blank" rel="noopener">Compliance report</a>` : ''}
+                    <span class="lead-saved" role="status"></span>
+                </div>
+            </form>
+        </article>`;
+}
+
+/**
+ * Load the consignments
+ * @returns {Promise<Array<Object>>}
+ */
+async function fetchConsignments() {
+    const response = await fetch(CONSIGNMENTS_ADMIN_ENDPOINT, { headers: { 'Accept': 'application/json' } });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok || !data.ok) throw new Error(data.error || 'Could not load consignments.');
+    return data.consignments;
+}
+
+/**
+ * Upload a data-logger export
+ * @param {string} id - Consignment ID
+ * @param {File} file - CSV file
+ * @returns {Promise<Object>} - Updated consignment
+ */
+async function uploadLog(id, file) {
+    const csv = await file.text();
+
+    // Same parser as the server, so the error names the bad row straight away
+    const { valid, error } = parseTemperatureLog(csv);
+    if (!valid) throw new Error(error);
+
+    const response = await fetch(`${CONSIGNMENTS_ADMIN_ENDPOINT}/${encodeURIComponent(id)}/temperature-log`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+        body: JSON.stringify({ fileName: file.name, csv })
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok || !data.ok) throw new Error(data.error || 'Could not upload the log.');
+    return data.consignment;
+}
+
+/**
+ * Initialize the consignments page
+ */
+export async function initConsignments() {
+    const list = document.getElementById('consignmentList');
+    if (!list) return;
+
+    const status = document.getElementById('consignmentStatus');
+
+    list.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const form = e.target;
+        const card = form.closest('.consignment-card');
+        const saved = form.querySelector('.lead-saved');
+        const button = form.querySelector('button[type="submit"]');
+        const [file] = form.elements.log.files;
+
+        if (!file) {
+            saved.textContent = 'Choose a CSV file first.';
+            return;
+        }
+
+        button.disabled = true;
+        saved.textContent = 'Uploading…';
+        try {
+            const updated = await uploadLog(card.dataset.id, file);
+            card.insertAdjacentHTML('afterend', renderConsignment(updated));
+            card.nextElementSibling.querySelector('.lead-saved').textContent = 'Uploaded';
+            card.remove();
+        } catch (err) {
+            saved.textContent = err.message;
+            button.disabled = false;
+        }
+    });
+
+    try {
+        const consignments = await fetchConsignments();
+        list.innerHTML = consignments.map(renderConsignment).join('');
+        status.textContent = `${consignments.length} consignments`;
+    } catch (err) {
+        status.textContent = err.message;
+    }
+}
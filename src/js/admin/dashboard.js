@@ -0,0 +1,251 @@
+/* ============================================
+   LEADS DASHBOARD
+   Lists stored enquiries and RFQs with their
+   pipeline status, assignee and notes. Filters
+   live in the query string so the CSV export
+   and reloads use the same selection.
+   ============================================ */
+
+import { escapeHtml } from '../utils.js';
+import { ENQUIRY_SUBJECTS } from '../validation.js';
+import { buildWhatsAppUrl } from '../form.js';
+import { buildQuoteFollowUp } from '../quote-cart.js';
+import { formatQuoteItem } from '../rfq.js';
+import { formatPhone } from '../phone.js';
+import { LEAD_STATUSES, LEAD_FILTERS, LEAD_LIMITS, readLeadFilters, filterLeads } from './leads.js';
+
+export const LEADS_ENDPOINT = '/api/admin/enquiries';
+
+const dateFormat = new Intl.DateTimeFormat('en-GB', { dateStyle: 'medium', timeStyle: 'short' });
+
+/**
+ * Phone number as wa.me digits, if it is in international format
+ * Local numbers give '' so WhatsApp asks which chat to use
+ * @param {string} phone - Phone number as typed by the lead
+ * @returns {string}
+ */
+export function whatsAppNumber(phone) {
+    const value = String(phone || '').trim();
+    return /^(?:\+|00)/.test(value) ? value.replace(/^00/, '').replace(/\D/g, '') : '';
+}
+
+/**
+ * Phone number formatted for reading, as a call link when it is international
+ * @param {string} phone - Stored phone number (E.164 for new leads)
+ * @returns {string} - HTML
+ */
+function renderPhone(phone) {
+    if (!phone) return '—';
+    const number = whatsAppNumber(phone);
+    const text = escapeHtml(formatPhone(phone));
+    return number ? `<a href="tel:+${number}">${text}</a>` : text;
+}
+
+/**
+ * WhatsApp reply link prefilled with the contact form's enquiry template
+ * @param {Object} lead - Stored enquiry or RFQ
+ * @returns {string}
+ */
+export function buildReplyUrl(lead) {
+    const number = whatsAppNumber(lead.phone);
+    if (lead.type === 'rfq') {
+        const { followUp, subject } = buildQuoteFollowUp(lead, lead.reference);
+        return buildWhatsAppUrl(followUp, subject, number);
+    }
+    return buildWhatsAppUrl(lead, lead.subjectLabel || ENQUIRY_SUBJECTS[lead.subject], number);
+}
+
+/**
+ * Render <option> elements
+ * @param {Object} choices - Value to label map
+ * @param {string} selected - Selected value
+ * @returns {string}
+ */
+function renderOptions(choices, selected) {
+    return Object.entries(choices)
+        .map(([value, label]) => `<option value="${escapeHtml(value)}"${value === selected ? ' selected' : ''}>${escapeHtml(label)}</option>`)
+        .join('');
+}
+
+/**
+ * Render one lead card
+ * @param {Object} lead - Lead from the API
+ * @returns {string}
+ */
+function renderLead(lead) {
+    const id = `lead-${escapeHtml(lead.id)}`;
+    const received = dateFormat.format(new Date(lead.createdAt));
+    const details = [
+        ['Email', `<a href="mailto:${escapeHtml(lead.email)}">${escapeHtml(lead.email)}</a>`],
+        ['Phone', renderPhone(lead.phone)],
+        ['Subject', escapeHtml(lead.subjectLabel || ENQUIRY_SUBJECTS[lead.subject] || lead.subject)],
+        ['Destination', lead.destinationPort ? escapeHtml(lead.destinationPort) : '']
+    ].filter(([, value]) => value);
+    const items = (lead.items || []).map(item => `<li>${escapeHtml(formatQuoteItem(item))}</li>`).join('');
+
+    return `
+        <article class="lead-card lead-status-${escapeHtml(lead.status)}" data-id="${escapeHtml(lead.id)}" aria-labelledby="${id}-title">
+            <header class="lead-header">
+                <div>
+                    <span class="lead-type">${lead.type === 'rfq' ? 'RFQ' : 'Enquiry'}</span>
+                    <h2 class="lead-title" id="${id}-title">${escapeHtml(lead.name)}</h2>
+                    <p class="lead-meta"><strong>${escapeHtml(lead.reference)}</strong> · <time datetime="${escapeHtml(lead.createdAt)}">${escapeHtml(received)}</time></p>
+                </div>
+                <span class="lead-badge">${escapeHtml(LEAD_STATUSES[lead.status])}</span>
+            </header>
+
+            <dl class="lead-details">
+                ${details.map(([term, value]) => `<div><dt>${term}</dt><dd>${value}</dd></div>`).join('')}
+            </dl>
+            ${items ? `<ul class="lead-items">${items}</ul>` : ''}
+            ${lead.message ? `<p class="lead-message">${escapeHtml(lead.message)}</p>` : ''}
+
+            <form class="lead-form" novalidate>
+                <label class="lead-field">
+                    <span class="form-label">Status</span>
+                    <select name="status" class="form-input form-select">${renderOptions(LEAD_STATUSES, lead.status)}</select>
+                </label>
+                <label class="lead-field">
+                    <span class="form-label">Assignee</span>
+                    <input type="text" name="assignee" class="form-input" list="assigneeList" maxlength="${LEAD_LIMITS.assignee}" value="${escapeHtml(lead.assignee)}">
+                </label>
+                <label class="lead-field">
+                    <span class="form-label">Country</span>
+                    <input type="text" name="country" class="form-input" maxlength="${LEAD_LIMITS.country}" value="${escapeHtml(lead.country)}">
+                </label>
+                <label class="lead-field lead-field-notes">
+                    <span class="form-label">Notes</span>
+                    <textarea name="notes" class="form-input form-textarea" rows="2" maxlength="${LEAD_LIMITS.notes}">${escapeHtml(lead.notes)}</textarea>
+                </label>
+                <div class="lead-actions">
+                    <button type="submit" class="btn btn-primary">Save</button>
+                    <a href="${escapeHtml(buildReplyUrl(lead))}" class="whatsapp-link" target="_blank" rel="noopener">Reply on WhatsApp</a>
+                    <span class="lead-saved" role="status"></span>
+                </div>
+            </form>
+        </article>`;
+}
+
+/**
+ * Load the leads, signing in through the browser's Basic auth prompt
+ * @returns {Promise<Array<Object>>}
+ */
+async function fetchLeads() {
+    const response = await fetch(LEADS_ENDPOINT, { headers: { 'Accept': 'application/json' } });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok || !data.ok) throw new Error(data.error || 'Could not load leads.');
+    return data.enquiries;
+}
+
+/**
+ * Save edited lead fields
+ * @param {string} id - Lead id
+ * @param {Object} patch - Fields to change
+ * @returns {Promise<Object>} - Updated lead
+ */
+async function saveLead(id, patch) {
+    const response = await fetch(`${LEADS_ENDPOINT}/${encodeURIComponent(id)}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+        body: JSON.stringify(patch)
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok || !data.ok) {
+        throw new Error(Object.values(data.errors || {})[0] || data.error || 'Could not save.');
+    }
+    return data.enquiry;
+}
+
+/**
+ * Initialize the leads dashboard
+ */
+export async function initDashboard() {
+    const filtersForm = document.getElementById('leadFilters');
+    const list = document.getElementById('leadList');
+    if (!filtersForm || !list) return;
+
+    const status = document.getElementById('leadStatus');
+    const stats = document.getElementById('leadStats');
+    const exportLink = document.getElementById('exportCsv');
+    const assignees = document.getElementById('assigneeList');
+    let leads = [];
+
+    filtersForm.elements.status.insertAdjacentHTML('beforeend', renderOptions(LEAD_STATUSES, ''));
+    filtersForm.elements.subject.insertAdjacentHTML('beforeend', renderOptions(ENQUIRY_SUBJECTS, ''));
+
+    // Restore the filters from the address bar
+    const initial = readLeadFilters(new URLSearchParams(window.location.search));
+
+    const currentFilters = () => Object.fromEntries(LEAD_FILTERS.map(name => [name, filtersForm.elements[name].value.trim()]));
+
+    const renderStats = () => {
+        // Counts ignore the status filter so the whole pipeline stays visible
+        const pipeline = filterLeads(leads, { ...currentFilters(), status: '' });
+        stats.innerHTML = Object.entries(LEAD_STATUSES).map(([value, label]) => `
+            <li class="admin-stat lead-status-${value}"><span>${escapeHtml(label)}</span> <strong>${pipeline.filter(lead => lead.status === value).length}</strong></li>`).join('');
+    };
+
+    const render = () => {
+        const filters = currentFilters();
+        const query = new URLSearchParams(Object.entries(filters).filter(([, value]) => value)).toString();
+        history.replaceState(null, '', query ? `?${query}` : window.location.pathname);
+        exportLink.href = `${LEADS_ENDPOINT}.csv${query ? `?${query}` : ''}`;
+
+        const shown = filterLeads(leads, filters);
+        list.innerHTML = shown.map(renderLead).join('');
+        status.textContent = `${shown.length} of ${leads.length} leads`;
+        renderStats();
+    };
+
+    const fillChoices = () => {
+        const countries = [...new Set(leads.map(lead => lead.country).filter(Boolean))].sort();
+        const select = filtersForm.elements.country;
+        const selected = select.value || initial.country;
+        select.innerHTML = `<option value="">All countries</option>${renderOptions(Object.fromEntries(countries.map(country => [country, country])), selected)}`;
+
+        const names = [...new Set(leads.map(lead => lead.assignee).filter(Boolean))].sort();
+        assignees.innerHTML = names.map(name => `<option value="${escapeHtml(name)}"></option>`).join('');
+    };
+
+    filtersForm.addEventListener('input', render);
+    filtersForm.addEventListener('submit', (e) => e.preventDefault());
+
+    list.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const form = e.target;
+        const card = form.closest('.lead-card');
+        const saved = form.querySelector('.lead-saved');
+        const button = form.querySelector('button[type="submit"]');
+        const patch = Object.fromEntries(['status', 'assignee', 'country', 'notes'].map(name => [name, form.elements[name].value]));
+
+        button.disabled = true;
+        saved.textContent = 'Saving…';
+        try {
+            const updated = await saveLead(card.dataset.id, patch);
+            leads = leads.map(lead => (lead.id === updated.id ? updated : lead));
+            fillChoices();
+            renderStats();
+
+            // Replace only this card so unsaved edits elsewhere survive; it stays until the filters change
+            card.insertAdjacentHTML('afterend', renderLead(updated));
+            card.nextElementSibling.querySelector('.lead-saved').textContent = 'Saved';
+            card.remove();
+        } catch (err) {
+            saved.textContent = err.message;
+            button.disabled = false;
+        }
+    });
+
+    try {
+        leads = await fetchLeads();
+    } catch (err) {
+        status.textContent = err.message;
+        return;
+    }
+
+    LEAD_FILTERS.forEach(name => {
+        if (name !== 'country') filtersForm.elements[name].value = initial[name];
+    });
+    fillChoices();
+    render();
+}
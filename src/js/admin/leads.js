@@ -0,0 +1,61 @@
+/* ============================================
+   LEADS
+   Pipeline statuses and filters for stored
+   enquiries and RFQs, shared by the admin
+   dashboard and the server's CSV export.
+   ============================================ */
+
+/** Pipeline statuses in order, with their labels */
+export const LEAD_STATUSES = {
+    new: 'New',
+    contacted: 'Contacted',
+    quoted: 'Quoted',
+    won: 'Won',
+    lost: 'Lost'
+};
+
+/** Filters read from a query string; empty values match everything */
+export const LEAD_FILTERS = ['q', 'status', 'subject', 'country', 'type'];
+
+/** Longest assignee, country and notes values accepted */
+export const LEAD_LIMITS = {
+    assignee: 60,
+    country: 60,
+    notes: 5000
+};
+
+/**
+ * Read the lead filters from query parameters
+ * @param {URLSearchParams} params - Query parameters
+ * @returns {Object} - Filter values by name
+ */
+export function readLeadFilters(params) {
+    return Object.fromEntries(LEAD_FILTERS.map(name => [name, (params.get(name) || '').trim()]));
+}
+
+/**
+ * Keep the leads that match every filter
+ * @param {Array<Object>} leads - Stored enquiries and RFQs
+ * @param {Object} filters - From readLeadFilters()
+ * @returns {Array<Object>}
+ */
+export function filterLeads(leads, { q = '', status = '', subject = '', country = '', type = '' } = {}) {
+    const query = q.toLowerCase();
+
+    return leads.filter(lead =>
+        (!status || lead.status === status) &&
+        (!subject || lead.subject === subject) &&
+        (!country || (lead.country || '').toLowerCase() === country.toLowerCase()) &&
+        (!type || lead.type === type) &&
+        (!query || [lead.reference, lead.name, lead.email, lead.phone, lead.assignee, lead.message]
+            .some(value => String(value || '').toLowerCase().includes(query))));
+}
+
+/**
+ * Newest leads first
+ * @param {Array<Object>} leads - Stored enquiries and RFQs
+ * @returns {Array<Object>} - Sorted copy
+ */
+export function sortLeads(leads) {
+    return [...leads].sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+}
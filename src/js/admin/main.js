@@ -0,0 +1,16 @@
+/* ============================================
+   FRESHFLOW FOODS - ADMIN JAVASCRIPT
+   Entry point for js/admin.optimized.js
+   Build with: node scripts/build.js
+   ============================================ */
+
+import { onReady } from '../utils.js';
+import { initDashboard } from './dashboard.js';
+import { initConsignments } from './consignments.js';
+import { initPartnerApplications } from './partners.js';
+import { initAnalyticsReport } from './analytics.js';
+
+onReady(initDashboard);
+onReady(initConsignments);
+onReady(initPartnerApplications);
+onReady(initAnalyticsReport);
@@ -0,0 +1,191 @@
+/* ============================================
+   PARTNER APPLICATIONS ADMIN
+   Reviews importer and distributor applications:
+   company, licence, markets, volumes and the
+   uploaded documents. The status and the message
+   to the applicant are what the applicant sees
+   on the status lookup; notes stay internal.
+   ============================================ */
+
+import { escapeHtml } from '../utils.js';
+import { QUOTE_LABELS } from '../rfq.js';
+import { formatPhone } from '../phone.js';
+import { PARTNER_STATUSES, PARTNER_DOCUMENTS, PARTNER_LIMITS, PARTNER_BUSINESS_TYPES, COLD_STORAGE_OPTIONS } from '../partner.js';
+
+export const PARTNERS_ADMIN_ENDPOINT = '/api/admin/partner-applications';
+
+const dateFormat = new Intl.DateTimeFormat('en-GB', { dateStyle: 'medium', timeStyle: 'short' });
+
+/**
+ * Render <option> elements
+ * @param {Object} choices - Value to label map
+ * @param {string} selected - Selected value
+ * @returns {string}
+ */
+function renderOptions(choices, selected) {
+    return Object.entries(choices)
+        .map(([value, label]) => `<option value="${escapeHtml(value)}"${value === selected ? ' selected' : ''}>${escapeHtml(label)}</option>`)
+        .join('');
+}
+
+/**
+ * Monthly volumes per species, e.g. "Goat 20 t · Lamb 5 t"
+ * @param {Object} volumes - Species to tonnes
+ * @returns {string}
+ */
+function formatVolumes(volumes = {}) {
+    return Object.entries(volumes)
+        .filter(([, tonnes]) => tonnes > 0)
+        .map(([species, tonnes]) => `${QUOTE_LABELS.species[species] || species} ${tonnes} t`)
+        .join(' · ');
+}
+
+/**
+ * Render the uploaded document links
+ * @param {Object} application - From the admin API
+ * @returns {string}
+ */
+function renderDocuments(application) {
+    const base = `${PARTNERS_ADMIN_ENDPOINT}/${encodeURIComponent(application.id)}/documents`;
+    const links = Object.entries(PARTNER_DOCUMENTS)
+        .filter(([field]) => application.documents?.[field])
+        .map(([field, { label }]) => {
+            const { name, size } = application.documents[field];
+            return `<a href="${base}/${field}" class="admin-header-link" target="_blank" rel="noopener" title="${escapeHtml(name)}">${escapeHtml(label)} (${Math.ceil(size / 1024)} KB)</a>`;
+        });
+
+    return `
+            <div class="consignment-documents">
+                <span class="form-label">Documents</span>
+                <p class="consignment-document-links">${links.length ? links.join('\n                    ') : 'None uploaded'}</p>
+            </div>`;
+}
+
+/**
+ * Render one application card
+ * @param {Object} application - From the admin API
+ * @returns {string}
+ */
+function renderApplication(application) {
+    const id = `partner-${escapeHtml(application.id)}`;
+    const received = dateFormat.format(new Date(application.createdAt));
+    const markets = new Intl.DisplayNames(['en'], { type: 'region' });
+    const storage = application.coldStorage === 'none'
+        ? COLD_STORAGE_OPTIONS.none
+        : `${COLD_STORAGE_OPTIONS[application.coldStorage] || application.coldStorage}, ${application.storageCapacity} t`;
+    const details = [
+        ['Contact', escapeHtml(application.name)],
+        ['Email', `<a href="mailto:${escapeHtml(application.email)}">${escapeHtml(application.email)}</a>`],
+        ['Phone', application.phone ? `<a href="tel:${escapeHtml(application.phone)}">${escapeHtml(formatPhone(application.phone))}</a>` : '—'],
+        ['Licence number', escapeHtml(application.licenceNumber)],
+        ['Markets', escapeHtml((application.markets || []).map(code => markets.of(code) || code).join(', '))],
+        ['Monthly volume', escapeHtml(formatVolumes(application.volumes))],
+        ['Cold storage', escapeHtml(storage)]
+    ];
+
+    return `
+        <article class="lead-card partner-card partner-status-${escapeHtml(application.status)}" data-id="${escapeHtml(application.id)}" aria-labelledby="${id}-title">
+            <header class="lead-header">
+                <div>
+                    <span class="lead-type">${escapeHtml(PARTNER_BUSINESS_TYPES[application.businessType] || application.businessType)} · ${escapeHtml(application.country)}</span>
+                    <h2 class="lead-title" id="${id}-title">${escapeHtml(application.company)}</h2>
+                    <p class="lead-meta"><strong>${escapeHtml(application.reference)}</strong> · <time datetime="${escapeHtml(application.createdAt)}">${escapeHtml(received)}</time></p>
+                </div>
+                <span class="lead-badge">${escapeHtml(PARTNER_STATUSES[application.status])}</span>
+            </header>
+
+            <dl class="lead-details">
+                ${details.map(([term, value]) => `<div><dt>${term}</dt><dd>${value}</dd></div>`).join('')}
+            </dl>
+            ${application.message ? `<p class="lead-message">${escapeHtml(application.message)}</p>` : ''}
+${renderDocuments(application)}
+
+            <form class="lead-form" novalidate>
+                <label class="lead-field">
+                    <span class="form-label">Status</span>
+                    <select name="status" class="form-input form-select">${renderOptions(PARTNER_STATUSES, application.status)}</select>
+                </label>
+                <label class="lead-field lead-field-notes">
+                    <span class="form-label">Message to the applicant</span>
+                    <textarea name="applicantMessage" class="form-input form-textarea" rows="2" maxlength="${PARTNER_LIMITS.applicantMessage}">${escapeHtml(application.applicantMessage)}</textarea>
+                </label>
+                <label class="lead-field lead-field-notes">
+                    <span class="form-label">Internal notes</span>
+                    <textarea name="notes" class="form-input form-textarea" rows="2" maxlength="${PARTNER_LIMITS.notes}">${escapeHtml(application.notes)}</textarea>
+                </label>
+                <div class="lead-actions">
+                    <button type="submit" class="btn btn-primary">Save</button>
+                    <span class="lead-saved" role="status"></span>
+                </div>
+            </form>
+        </article>`;
+}
+
+/**
+ * Load the applications
+ * @returns {Promise<Array<Object>>}
+ */
+async function fetchApplications() {
+    const response = await fetch(PARTNERS_ADMIN_ENDPOINT, { headers: { 'Accept': 'application/json' } });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok || !data.ok) throw new Error(data.error || 'Could not load applications.');
+    return data.applications;
+}
+
+/**
+ * Save the review fields of an application
+ * @param {string} id - Application id
+ * @param {Object} patch - Fields to change
+ * @returns {Promise<Object>} - Updated application
+ */
+async function saveApplication(id, patch) {
+    const response = await fetch(`${PARTNERS_ADMIN_ENDPOINT}/${encodeURIComponent(id)}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+        body: JSON.stringify(patch)
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok || !data.ok) {
+        throw new Error(Object.values(data.errors || {})[0] || data.error || 'Could not save.');
+    }
+    return data.application;
+}
+
+/**
+ * Initialize the partner applications page
+ */
+export async function initPartnerApplications() {
+    const list = document.getElementById('partnerList');
+    if (!list) return;
+
+    const status = document.getElementById('partnerListStatus');
+
+    list.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const form = e.target;
+        const card = form.closest('.partner-card');
+        const saved = form.querySelector('.lead-saved');
+        const button = form.querySelector('button[type="submit"]');
+        const patch = Object.fromEntries(['status', 'applicantMessage', 'notes'].map(name => [name, form.elements[name].value]));
+
+        button.disabled = true;
+        saved.textContent = 'Saving…';
+        try {
+            const updated = await saveApplication(card.dataset.id, patch);
+            card.insertAdjacentHTML('afterend', renderApplication(updated));
+            card.nextElementSibling.querySelector('.lead-saved').textContent = 'Saved';
+            card.remove();
+        } catch (err) {
+            saved.textContent = err.message;
+            button.disabled = false;
+        }
+    });
+
+    try {
+        const applications = await fetchApplications();
+        list.innerHTML = applications.map(renderApplication).join('');
+        status.textContent = `${applications.length} applications`;
+    } catch (err) {
+        status.textContent = err.message;
+    }
+}
@@ -0,0 +1,115 @@
+/* ============================================
+   FIRST-PARTY ANALYTICS
+   Page views and the steps towards an enquiry,
+   sent to our own server (/api/events) with
+   navigator.sendBeacon. Nothing is stored in the
+   browser - no cookies, no storage - and nothing
+   is sent until the visitor allows analytics in
+   the consent banner, or while Do Not Track or
+   Global Privacy Control is on. The server tells
+   visitors apart with a hash that changes every
+   day.
+   ============================================ */
+
+import { hasConsent, onConsent } from './consent.js';
+
+export const ANALYTICS_ENDPOINT = '/api/events';
+
+/** Events the collector accepts, and the properties each may carry */
+export const ANALYTICS_EVENTS = {
+    pageview: ['referrer'],
+    hero_slide: ['slide'],
+    product_nav: ['target'],
+    breed_card_view: ['breed', 'species'],
+    form_start: [],
+    form_error: ['fields', 'reason'],
+    form_submit: ['subject', 'queued']
+};
+
+// Events are batched for this long, then sent together (or sooner, when the page is hidden)
+const FLUSH_DELAY_MS = 2000;
+
+let enabled = false;
+let pending = [];
+let flushTimer = null;
+
+/**
+ * Whether the visitor has asked not to be tracked
+ * @returns {boolean}
+ */
+export function isTrackingOptedOut() {
+    const doNotTrack = navigator.doNotTrack ?? window.doNotTrack ?? navigator.msDoNotTrack;
+    return doNotTrack === '1' || doNotTrack === 'yes' || navigator.globalPrivacyControl === true;
+}
+
+/**
+ * Send the batched events
+ */
+function flush() {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+    if (pending.length === 0) return;
+
+    const body = JSON.stringify({ events: pending });
+    pending = [];
+
+    if (navigator.sendBeacon?.(ANALYTICS_ENDPOINT, new Blob([body], { type: 'application/json' }))) return;
+    // No beacon, or it was refused (too much queued): a keepalive request outlives the page too
+    fetch(ANALYTICS_ENDPOINT, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body,
+        keepalive: true
+    }).catch(() => {});
+}
+
+/**
+ * Record an event on this page
+ * Does nothing until initAnalytics() has run and analytics is allowed, or when the visitor opted out
+ * @param {string} name - A key of ANALYTICS_EVENTS
+ * @param {Object} [props] - Event properties (no personal data)
+ */
+export function trackEvent(name, props = {}) {
+    if (!enabled || !hasConsent('analytics')) return;
+
+    pending.push({ name, page: window.location.pathname, props });
+    if (!flushTimer) flushTimer = setTimeout(flush, FLUSH_DELAY_MS);
+}
+
+/**
+ * The referring site's host name, if the visitor came from another site
+ * @returns {string}
+ */
+function externalReferrer() {
+    try {
+        const { host } = new URL(document.referrer);
+        return host === window.location.host ? '' : host;
+    } catch {
+        return '';
+    }
+}
+
+/**
+ * Start recording once analytics is allowed: count this page view and send what is left when the page is hidden
+ */
+export function initAnalytics() {
+    if (isTrackingOptedOut()) return;
+
+    onConsent('analytics', () => {
+        enabled = true;
+        trackEvent('pageview', { referrer: externalReferrer() });
+
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') flush();
+        });
+        window.addEventListener('pagehide', flush);
+    });
+
+    // Withdrawn: drop what has not been sent yet
+    document.addEventListener('consentchange', () => {
+        if (hasConsent('analytics')) return;
+        clearTimeout(flushTimer);
+        flushTimer = null;
+        pending = [];
+    });
+}
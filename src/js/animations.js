@@ -0,0 +1,113 @@
+/* ============================================
+   SCROLL ANIMATIONS, LAZY IMAGES & PRELOADER
+   ============================================ */
+
+import { prefersReducedMotion } from './utils.js';
+import { trackEvent } from './analytics.js';
+
+/**
+ * Scroll-triggered animations with IntersectionObserver
+ */
+export function initScrollAnimations() {
+    const elements = document.querySelectorAll('[data-animate]');
+    if (elements.length === 0) return;
+    
+    // Respect reduced motion preference
+    if (prefersReducedMotion()) {
+        elements.forEach(el => el.classList.add('animated'));
+        return;
+    }
+    
+    const observer = new IntersectionObserver((entries) => {
+        entries.forEach(entry => {
+            if (entry.isIntersecting) {
+                const delay = entry.target.dataset.delay || 0;
+                setTimeout(() => entry.target.classList.add('animated'), delay);
+                observer.unobserve(entry.target);
+            }
+        });
+    }, {
+        rootMargin: '0px 0px -50px 0px',
+        threshold: 0.1
+    });
+    
+    elements.forEach((el, index) => {
+        // Stagger elements in the same section
+        if (!el.dataset.delay) el.dataset.delay = (index % 6) * 100;
+        observer.observe(el);
+    });
+}
+
+/**
+ * Breed and region cards fade-up animation
+ * A breed card coming into view is also recorded for analytics
+ */
+export function initBreedCardsAnimation() {
+    const cards = [...document.querySelectorAll('.breed-card'), ...document.querySelectorAll('.region-card')];
+    if (cards.length === 0) return;
+    
+    // Without motion the cards show at once, but are still watched to count breed card views
+    if (prefersReducedMotion()) {
+        cards.forEach(card => card.classList.add('animate-in'));
+    }
+    
+    const observer = new IntersectionObserver((entries) => {
+        entries.forEach(entry => {
+            if (entry.isIntersecting) {
+                entry.target.classList.add('animate-in');
+                if (entry.target.classList.contains('breed-card')) {
+                    trackEvent('breed_card_view', { breed: entry.target.id.replace(/^breed-/, ''), species: entry.target.dataset.species });
+                }
+                observer.unobserve(entry.target);
+            }
+        });
+    }, {
+        rootMargin: '0px 0px -80px 0px',
+        threshold: 0.15
+    });
+    
+    cards.forEach(card => observer.observe(card));
+}
+
+/**
+ * Lazy load images marked up with data-src
+ */
+export function initLazyImages() {
+    const lazyImages = document.querySelectorAll('img[data-src]');
+    if (lazyImages.length === 0) return;
+    
+    const loadImage = (img) => {
+        img.src = img.dataset.src;
+        img.removeAttribute('data-src');
+    };
+    
+    // Fallback for browsers without IntersectionObserver
+    if (!('IntersectionObserver' in window)) {
+        lazyImages.forEach(loadImage);
+        return;
+    }
+    
+    const observer = new IntersectionObserver((entries) => {
+        entries.forEach(entry => {
+            if (entry.isIntersecting) {
+                loadImage(entry.target);
+                observer.unobserve(entry.target);
+            }
+        });
+    });
+    
+    lazyImages.forEach(img => observer.observe(img));
+}
+
+/**
+ * Remove the preloader once the page has fully loaded
+ */
+export function initPreloader() {
+    window.addEventListener('load', () => {
+        const preloader = document.getElementById('preloader');
+        if (preloader) {
+            preloader.classList.add('loaded');
+            setTimeout(() => preloader.remove(), 500);
+        }
+    });
+}
@@ -0,0 +1,92 @@
+/* ============================================
+   BUYER SESSION
+   The buyer API client shared by account.html
+   and the pages with a contact or quote form,
+   where a signed-in buyer's details fill in the
+   form. Loaded by js/account.optimized.js and
+   js/quote.optimized.js, not the main bundle.
+   ============================================ */
+
+import { t, getLocale } from './i18n.js';
+import { readStorage, removeStorage } from './storage.js';
+
+export const BUYER_ENDPOINT = '/api/buyer';
+
+// Set while signed in, so other pages only ask for the session when there is one
+export const SIGNED_IN_KEY = 'buyerSignedIn';
+
+/**
+ * Call the buyer API
+ * @param {string} path - Path after /api/buyer
+ * @param {Object} [options]
+ * @param {string} [options.method]
+ * @param {Object} [options.body] - Sent as JSON
+ * @param {string} [options.csrfToken] - The session's token, for changes
+ * @returns {Promise<Object>} - Parsed response body
+ * @throws {Error} - With the server's message, its `status` and any `fieldErrors`
+ */
+export async function buyerRequest(path, { method = 'GET', body, csrfToken } = {}) {
+    let response;
+    try {
+        response = await fetch(`${BUYER_ENDPOINT}${path}`, {
+            method,
+            credentials: 'same-origin',
+            headers: {
+                'Accept': 'application/json',
+                'Accept-Language': getLocale(),
+                ...(body ? { 'Content-Type': 'application/json' } : {}),
+                ...(csrfToken ? { 'X-CSRF-Token': csrfToken } : {})
+            },
+            body: body ? JSON.stringify(body) : undefined
+        });
+    } catch {
+        const error = new Error(t('buyer.errors.loadFailed'));
+        error.status = 0;
+        throw error;
+    }
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok || !data.ok) {
+        const error = new Error(data.error || t('buyer.errors.loadFailed'));
+        error.status = response.status;
+        error.fieldErrors = data.errors || {};
+        throw error;
+    }
+    return data;
+}
+
+/**
+ * Fill a field the visitor hasn't filled in yet
+ * @param {HTMLInputElement} input
+ * @param {string} value
+ */
+function fillEmpty(input, value) {
+    if (!input || !value || input.value.trim()) return;
+    input.value = value;
+    input.dispatchEvent(new Event('input', { bubbles: true }));
+}
+
+/**
+ * Fill the contact and quote forms from a signed-in buyer's profile
+ * Runs after initQuoteCart(), which adds the quote form
+ * @returns {Promise<void>}
+ */
+export async function initBuyerPrefill() {
+    const contactForm = document.getElementById('contactForm');
+    const quoteForm = document.getElementById('quoteForm');
+    if ((!contactForm && !quoteForm) || !readStorage(SIGNED_IN_KEY, false)) return;
+
+    let buyer;
+    try {
+        ({ buyer } = await buyerRequest('/session'));
+    } catch (err) {
+        if (err.status === 401) removeStorage(SIGNED_IN_KEY);
+        return;
+    }
+
+    [contactForm, quoteForm].filter(Boolean).forEach(form => {
+        ['name', 'email', 'phone'].forEach(name => fillEmpty(form.elements.namedItem(name), buyer[name]));
+    });
+    // The quote cart keeps the port with the cart, through the input event
+    if (quoteForm && buyer.ports.length) fillEmpty(quoteForm.elements.namedItem('destinationPort'), buyer.ports[0]);
+}
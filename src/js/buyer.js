@@ -0,0 +1,45 @@
+/* ============================================
+   BUYER ACCOUNTS
+   Profile fields and order statuses of the trade
+   buyer portal, shared by account.html and the
+   server. Buyers sign in with a link emailed to
+   them, so the address is the account and can't
+   be changed from the profile.
+   ============================================ */
+
+import en from '../../locales/en.json' with { type: 'json' };
+import { ENQUIRY_SCHEMA } from './validation.js';
+import { DESTINATION_PORTS } from './rfq.js';
+
+/** Minutes a sign-in link works for */
+export const SIGN_IN_LINK_MINUTES = 15;
+
+/** What a buyer sees for each lead status, with the English labels */
+export const ORDER_STATUSES = en.buyer.statuses;
+
+export const SIGN_IN_SCHEMA = {
+    email: ENQUIRY_SCHEMA.email
+};
+
+/** Company profile; `ports` are the saved delivery ports, from the quote form's list */
+export const BUYER_PROFILE_SCHEMA = {
+    company: { required: true, minLength: 2, maxLength: 120 },
+    name: ENQUIRY_SCHEMA.name,
+    phone: ENQUIRY_SCHEMA.phone,
+    country: { maxLength: 60 },
+    address: { maxLength: 300 },
+    taxId: { maxLength: 40 },
+    ports: { multiple: true, oneOf: DESTINATION_PORTS }
+};
+
+/**
+ * A buyer's profile as sent to the browser
+ * @param {Object} buyer - Stored buyer
+ * @returns {Object}
+ */
+export function toBuyerProfile(buyer) {
+    return {
+        email: buyer.email,
+        ...Object.fromEntries(Object.keys(BUYER_PROFILE_SCHEMA).map(field => [field, buyer[field] ?? (field === 'ports' ? [] : '')]))
+    };
+}
@@ -0,0 +1,143 @@
+/* ============================================
+   CATALOG CARDS
+   Builds the product, breed and region grids from
+   the catalog. Containers opt in with data-catalog:
+
+   <div class="products-grid" data-catalog="products" data-exclude="goat"></div>
+   <div class="breeds-grid" data-catalog="breeds" data-species="goat"></div>
+   <div class="region-breeds-grid" data-catalog="regions" data-species="sheep"></div>
+   <ul class="product-features" data-catalog="specs" data-product="goat" data-spec="packaging"></ul>
+
+   Text is rendered in English with data-i18n keys
+   (see localizeCatalog) so the page translator can
+   switch it like the static copy.
+   ============================================ */
+
+import { escapeHtml } from './utils.js';
+import { t } from './i18n.js';
+import { CATALOG, getProduct, getBreeds, getRegions } from './catalog.js';
+
+/**
+ * Render a product card linking to its product page
+ * @param {Object} product - Catalog product
+ * @returns {string}
+ */
+export function renderProductCard(product) {
+    const { image } = product;
+    const page = escapeHtml(product.page);
+    const key = `catalog.products.${escapeHtml(product.id)}`;
+
+    return `
+        <div class="product-card" id="product-${escapeHtml(product.id)}" data-animate="fade-up" data-species="${escapeHtml(product.id)}">
+            <div class="product-image">
+                <picture>
+                    <source srcset="${escapeHtml(image.webp)}" type="image/webp">
+                    <img src="${escapeHtml(image.src)}" alt="${escapeHtml(image.alt)}" data-i18n-attr="alt:${key}.image_alt" loading="lazy" decoding="async" width="${image.width}" height="${image.height}">
+                </picture>
+                <div class="product-overlay">
+                    <a href="${page}" class="btn btn-primary" data-i18n="catalog.learnMore">Learn More</a>
+                </div>
+            </div>
+            <div class="product-info">
+                <h3 class="product-title" data-i18n="${key}.title">${escapeHtml(product.title)}</h3>
+                <p class="product-description" data-i18n="${key}.description">${escapeHtml(product.description)}</p>
+                <a href="${page}" class="product-link" data-product="${escapeHtml(product.id)}" aria-label="Learn more about ${escapeHtml(product.title)}" data-i18n="catalog.learnMoreLink">Learn More →</a>
+            </div>
+        </div>`;
+}
+
+/**
+ * Render a numbered breed card
+ * @param {Object} breed - Catalog breed with a features list
+ * @param {number} index - Position in the grid
+ * @returns {string}
+ */
+export function renderBreedCard(breed, index) {
+    const features = (breed.features || [])
+        .map((feature, i) => `<li><span class="check-icon">✓</span> <span data-i18n="catalog.breeds.${escapeHtml(breed.id)}.features.${i}">${escapeHtml(feature)}</span></li>`)
+        .join('');
+
+    return `
+        <div class="breed-card" id="breed-${escapeHtml(breed.id)}" data-animate="fade-up" data-species="${escapeHtml(breed.species)}" data-breed="${escapeHtml(breed.name)}">
+            <div class="breed-header">
+                <span class="breed-number">${String(index + 1).padStart(2, '0')}</span>
+                <h3 class="breed-name">${escapeHtml(breed.name)}</h3>
+            </div>
+            <ul class="breed-features">${features}</ul>
+        </div>`;
+}
+
+/**
+ * Render a sourcing region card listing its breeds
+ * @param {Object} region - Region from getRegions()
+ * @returns {string}
+ */
+export function renderRegionCard(region) {
+    const key = `catalog.regions.${escapeHtml(region.id)}`;
+    const breeds = region.breeds
+        .map(breed => `<li><span class="check-icon">✓</span> <strong>${escapeHtml(breed.name)}</strong> – <span data-i18n="catalog.breeds.${escapeHtml(breed.id)}.summary">${escapeHtml(breed.summary)}</span></li>`)
+        .join('');
+
+    return `
+        <div class="region-card" id="region-${escapeHtml(region.id)}" data-animate="fade-up">
+            <div class="region-header">
+                <h3 class="region-name" data-i18n="${key}.name">${escapeHtml(region.name)}</h3>
+                <span class="region-states" data-i18n="${key}.states">${escapeHtml(region.states)}</span>
+            </div>
+            <ul class="region-breeds-list">${breeds}</ul>
+        </div>`;
+}
+
+/**
+ * Render the markup for one data-catalog container
+ * @param {HTMLElement} container - Element with data-catalog
+ * @returns {string}
+ */
+function renderContainer(container) {
+    const { catalog: type, species, exclude = '', product: productId, spec } = container.dataset;
+
+    switch (type) {
+        case 'products': {
+            const excluded = exclude.split(/[\s,]+/);
+            return CATALOG.products
+                .filter(product => !excluded.includes(product.id))
+                .map(renderProductCard)
+                .join('');
+        }
+        case 'breeds':
+            return getBreeds(species).map(renderBreedCard).join('');
+        case 'regions':
+            return getRegions(species).map(renderRegionCard).join('');
+        case 'specs': {
+            const items = getProduct(productId)?.specs[spec] || [];
+            const key = `catalog.products.${escapeHtml(productId)}.specs.${escapeHtml(spec)}`;
+            return items.map((item, i) => `<li data-i18n="${key}.${i}">${escapeHtml(item)}</li>`).join('');
+        }
+        default:
+            return '';
+    }
+}
+
+/**
+ * Name the product links after their product in the active language
+ */
+function labelProductLinks() {
+    document.querySelectorAll('.product-link[data-product]').forEach(link => {
+        const product = getProduct(link.dataset.product);
+        if (!product) return;
+        const title = t(`catalog.products.${product.id}.title`, {}, product.title);
+        link.setAttribute('aria-label', t('catalog.learnMoreAbout', { title }));
+    });
+}
+
+/**
+ * Fill every data-catalog container on the page
+ * Runs before the deferred features so animations and quote
+ * buttons find the rendered cards
+ */
+export function initCatalog() {
+    document.querySelectorAll('[data-catalog]').forEach(container => {
+        container.innerHTML = renderContainer(container);
+    });
+    document.addEventListener('localechange', labelProductLinks);
+}
@@ -0,0 +1,109 @@
+/* ============================================
+   PRODUCT CATALOG
+   Lookups over src/data/catalog.json, shared by
+   the page renderer, the quote cart and the server.
+   ============================================ */
+
+import catalog from '../data/catalog.json' with { type: 'json' };
+
+export const CATALOG = catalog;
+
+/**
+ * Find a product by id
+ * @param {string} id - Product id (goat, sheep, lamb)
+ * @returns {Object|undefined}
+ */
+export function getProduct(id) {
+    return catalog.products.find(product => product.id === id);
+}
+
+/**
+ * Cuts offered for a product, in catalog order
+ * @param {string} productId - Product id
+ * @returns {Array<{id: string, name: string}>}
+ */
+export function getProductCuts(productId) {
+    const product = getProduct(productId);
+    if (!product) return [];
+    return catalog.cuts.filter(cut => product.cuts.includes(cut.id));
+}
+
+/**
+ * Breeds of one species, in catalog order
+ * @param {string} species - goat or sheep
+ * @returns {Array<Object>}
+ */
+export function getBreeds(species) {
+    return catalog.breeds.filter(breed => breed.species === species);
+}
+
+/**
+ * Breeds a buyer can ask for under a product
+ * @param {string} productId - Product id
+ * @returns {Array<Object>}
+ */
+export function getProductBreeds(productId) {
+    return catalog.breeds.filter(breed => breed.products.includes(productId));
+}
+
+/**
+ * Sourcing regions of one species, each with its breeds
+ * @param {string} species - Species id
+ * @returns {Array<Object>} - Regions with a `breeds` array
+ */
+export function getRegions(species) {
+    return catalog.regions
+        .filter(region => region.species === species)
+        .map(region => ({
+            ...region,
+            breeds: catalog.breeds.filter(breed => breed.region === region.id)
+        }));
+}
+
+/**
+ * Copy of the catalog with its display text translated
+ * Message keys follow the catalog structure, e.g.
+ * catalog.products.goat.title or catalog.breeds.barbari.features.0
+ * @param {Function} translate - (key, englishText) => text
+ * @param {Object} [source] - Catalog data
+ * @returns {Object}
+ */
+export function localizeCatalog(translate, source = catalog) {
+    const text = (key, english) => translate(`catalog.${key}`, english);
+    const list = (key, items = []) => items.map((item, i) => text(`${key}.${i}`, item));
+
+    return {
+        ...source,
+        products: source.products.map(product => ({
+            ...product,
+            name: text(`products.${product.id}.name`, product.name),
+            title: text(`products.${product.id}.title`, product.title),
+            description: text(`products.${product.id}.description`, product.description),
+            image: { ...product.image, alt: text(`products.${product.id}.image_alt`, product.image.alt) },
+            specs: Object.fromEntries(Object.entries(product.specs)
+                .map(([spec, items]) => [spec, list(`products.${product.id}.specs.${spec}`, items)]))
+        })),
+        processing: source.processing.map(type => ({ ...type, name: text(`processing.${type.id}`, type.name) })),
+        cuts: source.cuts.map(cut => ({ ...cut, name: text(`cuts.${cut.id}`, cut.name) })),
+        breeds: source.breeds.map(breed => ({
+            ...breed,
+            ...(breed.features && { features: list(`breeds.${breed.id}.features`, breed.features) }),
+            ...(breed.summary && { summary: text(`breeds.${breed.id}.summary`, breed.summary) })
+        })),
+        regions: source.regions.map(region => ({
+            ...region,
+            name: text(`regions.${region.id}.name`, region.name),
+            states: text(`regions.${region.id}.states`, region.states)
+        })),
+        markets: (source.markets || []).map(item => ({
+            ...item,
+            name: text(`markets.${item.id}.name`, item.name),
+            description: text(`markets.${item.id}.description`, item.description)
+        })),
+        certifications: (source.certifications || []).map(item => ({
+            ...item,
+            name: text(`certifications.${item.id}.name`, item.name),
+            description: text(`certifications.${item.id}.description`, item.description)
+        }))
+    };
+}
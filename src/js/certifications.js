@@ -0,0 +1,226 @@
+/* ============================================
+   CERTIFICATION REGISTRY
+   Renders the certificates in
+   src/data/certifications.json as badges with
+   their number, validity and status, and opens
+   the scanned certificate in a dialog.
+
+   <div class="certification-badges" data-certifications></div>
+
+   The status is worked out in the browser from
+   the validity dates, so a badge turns from
+   valid to expiring to expired on its own.
+   Entries marked "specimen" are sample data and
+   are never shown.
+   ============================================ */
+
+import certificates from '../data/certifications.json' with { type: 'json' };
+import { escapeHtml } from './utils.js';
+import { t, tPlural, getLocale } from './i18n.js';
+
+export const CERTIFICATES = certificates;
+
+/**
+ * The certificates buyers may see, leaving out sample entries
+ * @param {Array<Object>} [list] - Entries from certifications.json
+ * @returns {Array<Object>}
+ */
+export function publishedCertificates(list = CERTIFICATES) {
+    return list.filter(certificate => !certificate.specimen);
+}
+
+/** Days before expiry when a certificate shows as expiring */
+export const EXPIRING_WITHIN_DAYS = 90;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const SHIELD_ICON = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="currentColor" aria-hidden="true">
+                                <path d="M12 1L3 5v6c0 5.55 3.84 10.74 9 12 5.16-1.26 9-6.45 9-12V5l-9-4zm-2 16l-4-4 1.41-1.41L10 14.17l6.59-6.59L18 9l-8 8z"/>
+                            </svg>`;
+
+/**
+ * Where a certificate stands on a given day
+ * Valid until the end of its last day
+ * @param {Object} certificate - Entry from certifications.json
+ * @param {Date} [now] - Reference time
+ * @returns {{status: string, days: number}} - Status (valid, expiring, expired) and whole days left
+ */
+export function certificateStatus(certificate, now = new Date()) {
+    const expires = new Date(`${certificate.validUntil}T23:59:59.999Z`);
+    const days = Math.floor((expires - now) / DAY_MS);
+
+    if (expires < now) return { status: 'expired', days: 0 };
+    if (days < EXPIRING_WITHIN_DAYS) return { status: 'expiring', days };
+    return { status: 'valid', days };
+}
+
+/**
+ * Format a YYYY-MM-DD date in the active language
+ * @param {string} value - ISO date
+ * @returns {string}
+ */
+function formatDate(value) {
+    return new Intl.DateTimeFormat(getLocale(), { dateStyle: 'medium', timeZone: 'UTC' }).format(new Date(value));
+}
+
+/**
+ * Certificate text in the active language (names and numbers stay as issued)
+ * @param {Object} certificate - Entry from certifications.json
+ * @param {string} field - "name" or "scope"
+ * @returns {string}
+ */
+function localized(certificate, field) {
+    return t(`certificates.registry.${certificate.id}.${field}`, {}, certificate[field]);
+}
+
+/**
+ * Status label, e.g. "Expires in 58 days"
+ * @param {{status: string, days: number}} state - From certificateStatus()
+ * @returns {string}
+ */
+function statusLabel({ status, days }) {
+    return status === 'expiring' ? tPlural('certificates.expiresIn', days) : t(`certificates.status.${status}`);
+}
+
+/**
+ * Render one certificate badge
+ * @param {Object} certificate - Entry from certifications.json
+ * @param {Date} [now] - Reference time
+ * @returns {string}
+ */
+export function renderCertificateBadge(certificate, now = new Date()) {
+    const state = certificateStatus(certificate, now);
+    const id = escapeHtml(certificate.id);
+
+    return `
+        <button type="button" class="cert-badge cert-status-${state.status}" data-certificate="${id}" aria-haspopup="dialog">
+            <span class="cert-icon">${SHIELD_ICON}</span>
+            <span class="cert-scheme">${escapeHtml(certificate.scheme)}</span>
+            <span class="cert-name">${escapeHtml(localized(certificate, 'name'))}</span>
+            <span class="cert-number">${escapeHtml(t('certificates.number'))} ${escapeHtml(certificate.number)}</span>
+            <span class="cert-validity">${escapeHtml(t('certificates.validUntil'))} ${escapeHtml(formatDate(certificate.validUntil))}</span>
+            <span class="cert-status">${escapeHtml(statusLabel(state))}</span>
+        </button>`;
+}
+
+/**
+ * Render the dialog body for a certificate
+ * @param {Object} certificate - Entry from certifications.json
+ * @returns {string}
+ */
+function renderCertificateDetails(certificate) {
+    const state = certificateStatus(certificate);
+    const scan = escapeHtml(certificate.document);
+    const details = [
+        ['issuer', escapeHtml(certificate.issuer)],
+        ['number', escapeHtml(certificate.number)],
+        ['scope', escapeHtml(localized(certificate, 'scope'))],
+        ['issuedOn', escapeHtml(formatDate(certificate.issuedOn))],
+        ['validUntil', escapeHtml(formatDate(certificate.validUntil))],
+        ['statusLabel', `<span class="cert-status cert-status-${state.status}">${escapeHtml(statusLabel(state))}</span>`]
+    ];
+
+    return `
+        <div class="cert-modal-header">
+            <div>
+                <p class="cert-scheme">${escapeHtml(certificate.scheme)}</p>
+                <h2 class="cert-modal-title" id="certModalTitle">${escapeHtml(localized(certificate, 'name'))}</h2>
+            </div>
+            <button type="button" class="cert-modal-close" data-action="close" aria-label="${escapeHtml(t('certificates.close'))}">×</button>
+        </div>
+        <div class="cert-modal-body">
+            <a href="${scan}" class="cert-document" target="_blank" rel="noopener">
+                <img src="${scan}" alt="${escapeHtml(t('certificates.documentAlt', { name: localized(certificate, 'name') }))}" loading="lazy">
+            </a>
+            <div>
+                <dl class="cert-details">
+                    ${details.map(([label, value]) => `<div><dt>${escapeHtml(t(`certificates.${label}`))}</dt><dd>${value}</dd></div>`).join('')}
+                </dl>
+                <div class="cert-modal-actions">
+                    <a href="${scan}" class="btn btn-secondary" target="_blank" rel="noopener">${escapeHtml(t('certificates.openDocument'))}</a>
+                    ${certificate.verifyUrl ? `<a href="${escapeHtml(certificate.verifyUrl)}" class="btn btn-primary" target="_blank" rel="noopener">${escapeHtml(t('certificates.verify'))}</a>` : ''}
+                </div>
+            </div>
+        </div>`;
+}
+
+/**
+ * Initialize the certification registry
+ */
+export function initCertifications() {
+    const containers = document.querySelectorAll('[data-certifications]');
+    const published = publishedCertificates();
+    // Until real certificates are recorded the page keeps its generic badges
+    if (containers.length === 0 || published.length === 0) return;
+
+    document.body.insertAdjacentHTML('beforeend', `
+        <div class="cert-modal" id="certModal" hidden>
+            <div class="cert-modal-backdrop" data-action="close"></div>
+            <div class="cert-modal-panel" role="dialog" aria-modal="true" aria-labelledby="certModalTitle"></div>
+        </div>`);
+    const modal = document.getElementById('certModal');
+    const panel = modal.querySelector('.cert-modal-panel');
+    let opener = null;
+    let current = null;
+
+    const render = () => {
+        containers.forEach(container => {
+            container.innerHTML = published.map(certificate => renderCertificateBadge(certificate)).join('');
+        });
+        if (current) panel.innerHTML = renderCertificateDetails(current);
+    };
+
+    const close = () => {
+        if (modal.hidden) return;
+        modal.hidden = true;
+        current = null;
+        document.body.style.overflow = '';
+        opener?.focus();
+    };
+
+    const open = (certificate, button) => {
+        opener = button;
+        current = certificate;
+        panel.innerHTML = renderCertificateDetails(certificate);
+        modal.hidden = false;
+        document.body.style.overflow = 'hidden';
+        panel.querySelector('.cert-modal-close').focus();
+    };
+
+    containers.forEach(container => container.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-certificate]');
+        const certificate = button && published.find(item => item.id === button.dataset.certificate);
+        if (certificate) open(certificate, button);
+    }));
+
+    modal.addEventListener('click', (e) => {
+        if (e.target.closest('[data-action="close"]')) close();
+    });
+
+    panel.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            close();
+        } else if (e.key === 'Tab') {
+            // Keep focus inside the dialog
+            const focusable = [...panel.querySelectorAll('a[href], button')];
+            const first = focusable[0];
+            const last = focusable[focusable.length - 1];
+            if (e.shiftKey && document.activeElement === first) {
+                e.preventDefault();
+                last.focus();
+            } else if (!e.shiftKey && document.activeElement === last) {
+                e.preventDefault();
+                first.focus();
+            }
+        }
+    });
+
+    document.addEventListener('localechange', () => {
+        render();
+        // The badges were re-rendered, so return focus to the new one
+        if (opener) opener = document.querySelector(`[data-certificate="${opener.dataset.certificate}"]`);
+    });
+
+    render();
+}
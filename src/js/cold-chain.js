@@ -0,0 +1,246 @@
+/* ============================================
+   COLD CHAIN
+   Parses data-logger CSV exports (timestamp,
+   temperature, humidity) and finds excursions
+   above the chilled or frozen limit. Shared by
+   the tracking page, the admin upload and the
+   compliance report.
+   ============================================ */
+
+import en from '../../locales/en.json' with { type: 'json' };
+
+/** Highest temperature allowed per processing state, in °C */
+export const COLD_CHAIN_LIMITS = {
+    chilled: 4,
+    frozen: -18
+};
+
+/** Readings accepted per upload (a 5-minute logger over six weeks) */
+export const MAX_READINGS = 12000;
+
+export const COLD_CHAIN_MESSAGES = en.coldChain;
+
+const DELIMITERS = [',', ';', '\t'];
+
+/**
+ * Split CSV text into rows of cells
+ * Handles quoted cells, doubled quotes and CRLF line endings
+ * @param {string} text - CSV text
+ * @param {string} delimiter - Cell separator
+ * @returns {Array<Array<string>>}
+ */
+function splitCsv(text, delimiter) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (quoted) {
+            if (ch === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (ch === '"') {
+                quoted = false;
+            } else {
+                cell += ch;
+            }
+        } else if (ch === '"') {
+            quoted = true;
+        } else if (ch === delimiter) {
+            row.push(cell);
+            cell = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += ch;
+        }
+    }
+    row.push(cell);
+    rows.push(row);
+
+    return rows.map(cells => cells.map(value => value.trim())).filter(cells => cells.some(Boolean));
+}
+
+/**
+ * Parse a logger timestamp as UTC
+ * Accepts ISO 8601 (with or without an offset) and day-first dates
+ * such as 05/10/2026 14:30 or 05-10-2026 14:30:00
+ * @param {string} value - Timestamp cell
+ * @returns {number} - Milliseconds since the epoch, or NaN
+ */
+export function parseTimestamp(value) {
+    const iso = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{1,2}):(\d{2})(?::(\d{2}))?(?:\.\d+)?)?\s*(Z|[+-]\d{2}:?\d{2})?$/i.exec(value);
+    const dayFirst = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/.exec(value);
+    if (!iso && !dayFirst) return NaN;
+
+    const [year, month, day] = iso ? [iso[1], iso[2], iso[3]] : [dayFirst[3], dayFirst[2], dayFirst[1]];
+    const [, , , , hours = 0, minutes = 0, seconds = 0] = iso || dayFirst;
+    const time = Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hours), Number(minutes), Number(seconds));
+
+    // Reject rollovers such as 31/02 or month 13
+    const date = new Date(time);
+    if (date.getUTCDate() !== Number(day) || date.getUTCMonth() !== Number(month) - 1) return NaN;
+
+    const offset = iso?.[7];
+    if (!offset || offset.toUpperCase() === 'Z') return time;
+    const [, sign, offsetHours, offsetMinutes] = /([+-])(\d{2}):?(\d{2})/.exec(offset);
+    return time - (sign === '-' ? -1 : 1) * (Number(offsetHours) * 60 + Number(offsetMinutes)) * 60000;
+}
+
+/**
+ * Parse a number that may use a decimal comma
+ * @param {string} value - Cell text, e.g. "-18,4" or "4.2 °C"
+ * @returns {number} - NaN when empty or not a number
+ */
+function parseNumber(value) {
+    const cleaned = value.replace(/[^\d,.+-]/g, '').replace(',', '.');
+    return cleaned ? Number(cleaned) : NaN;
+}
+
+/**
+ * Find the timestamp, temperature and humidity columns
+ * @param {Array<string>} header - Header cells
+ * @returns {{date: number, time: number, temperature: number, humidity: number, fahrenheit: boolean}}
+ */
+function findColumns(header) {
+    const names = header.map(name => name.toLowerCase());
+    const find = pattern => names.findIndex(name => pattern.test(name));
+
+    const timestamp = find(/timestamp|date.?time|recorded/);
+    const date = find(/date/);
+    const time = find(/^time/);
+    const temperature = find(/temp|°[cf]|celsius|fahrenheit/);
+    return {
+        // A separate time column is joined to the date
+        date: timestamp >= 0 ? timestamp : date >= 0 ? date : time,
+        time: timestamp < 0 && date >= 0 ? time : -1,
+        temperature,
+        humidity: find(/humid|\brh\b|%/),
+        fahrenheit: temperature >= 0 && /°f|fahrenheit|\(f\)/.test(names[temperature])
+    };
+}
+
+/**
+ * Parse a data-logger CSV export
+ * The header row names the columns; the delimiter (comma, semicolon
+ * or tab) is taken from it. Times without an offset are read as UTC.
+ * @param {string} text - CSV text
+ * @param {Object} [messages] - Error messages, see COLD_CHAIN_MESSAGES
+ * @returns {{valid: boolean, readings: Array<{at: string, celsius: number, humidity?: number}>, error: string}}
+ */
+export function parseTemperatureLog(text, messages = COLD_CHAIN_MESSAGES) {
+    const source = String(text || '').replace(/^\uFEFF/, '');
+    const firstLine = source.split(/\r?\n/, 1)[0];
+    const delimiter = DELIMITERS.reduce((best, candidate) => (
+        firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best
+    ));
+
+    const [header = [], ...rows] = splitCsv(source, delimiter);
+    const columns = findColumns(header);
+    if (columns.date < 0 || columns.temperature < 0) {
+        return { valid: false, readings: [], error: messages.errors.columns };
+    }
+    if (rows.length === 0) {
+        return { valid: false, readings: [], error: messages.errors.empty };
+    }
+    if (rows.length > MAX_READINGS) {
+        return { valid: false, readings: [], error: messages.errors.tooMany.replace('{max}', MAX_READINGS) };
+    }
+
+    const readings = [];
+    for (const [index, cells] of rows.entries()) {
+        const stamp = columns.time >= 0 ? `${cells[columns.date]} ${cells[columns.time]}` : cells[columns.date];
+        const at = parseTimestamp(stamp || '');
+        let celsius = parseNumber(cells[columns.temperature] || '');
+        if (columns.fahrenheit) celsius = (celsius - 32) * 5 / 9;
+
+        if (!Number.isFinite(at) || !Number.isFinite(celsius) || celsius < -60 || celsius > 60) {
+            // Header is row 1
+            return { valid: false, readings: [], error: messages.errors.row.replace('{row}', index + 2) };
+        }
+
+        const reading = { at: new Date(at).toISOString(), celsius: Math.round(celsius * 10) / 10 };
+        const humidity = columns.humidity >= 0 ? parseNumber(cells[columns.humidity] || '') : NaN;
+        if (Number.isFinite(humidity)) reading.humidity = humidity;
+        readings.push(reading);
+    }
+
+    readings.sort((a, b) => a.at.localeCompare(b.at));
+    return { valid: true, readings, error: '' };
+}
+
+/**
+ * Find every stretch of readings above the limit
+ * An excursion runs from the first reading above the limit to the next
+ * reading back within it, or to the last reading if it never recovered
+ * @param {Array<{at: string, celsius: number}>} readings - Sorted readings
+ * @param {number} limit - Highest allowed temperature
+ * @returns {Array<{start: string, end: string, durationMs: number, peak: number, ongoing: boolean}>}
+ */
+export function findExcursions(readings, limit) {
+    const excursions = [];
+    let current = null;
+
+    readings.forEach(reading => {
+        if (reading.celsius > limit) {
+            if (!current) current = { start: reading.at, peak: reading.celsius };
+            current.peak = Math.max(current.peak, reading.celsius);
+        } else if (current) {
+            excursions.push({ ...current, end: reading.at, ongoing: false });
+            current = null;
+        }
+    });
+    if (current) excursions.push({ ...current, end: readings[readings.length - 1].at, ongoing: true });
+
+    return excursions.map(excursion => ({
+        ...excursion,
+        durationMs: new Date(excursion.end) - new Date(excursion.start)
+    }));
+}
+
+/**
+ * Summarize a temperature log against its limit
+ * @param {Array<Object>} readings - Sorted readings
+ * @param {string} state - Processing state, "chilled" or "frozen"
+ * @returns {Object|null} - Null without readings
+ */
+export function summarizeTemperatureLog(readings, state) {
+    if (!readings?.length) return null;
+    const limit = COLD_CHAIN_LIMITS[state] ?? COLD_CHAIN_LIMITS.chilled;
+    const temperatures = readings.map(reading => reading.celsius);
+    const humidity = readings.map(reading => reading.humidity).filter(Number.isFinite);
+    const excursions = findExcursions(readings, limit);
+
+    return {
+        limit,
+        count: readings.length,
+        from: readings[0].at,
+        to: readings[readings.length - 1].at,
+        min: Math.min(...temperatures),
+        max: Math.max(...temperatures),
+        mean: Math.round(temperatures.reduce((sum, value) => sum + value, 0) / temperatures.length * 10) / 10,
+        humidity: humidity.length ? { min: Math.min(...humidity), max: Math.max(...humidity) } : null,
+        excursions,
+        excursionMs: excursions.reduce((sum, excursion) => sum + excursion.durationMs, 0)
+    };
+}
+
+/**
+ * Format a duration, e.g. "2 h 15 min"
+ * @param {number} ms - Duration in milliseconds
+ * @param {Object} [messages] - See COLD_CHAIN_MESSAGES
+ * @returns {string}
+ */
+export function formatDuration(ms, messages = COLD_CHAIN_MESSAGES) {
+    const total = Math.round(ms / 60000);
+    const hours = Math.floor(total / 60);
+    const minutes = total % 60;
+    const template = !hours ? messages.minutes : minutes ? messages.hours : messages.wholeHours;
+    return template.replace('{hours}', hours).replace('{minutes}', minutes);
+}
@@ -0,0 +1,321 @@
+/* ============================================
+   CONSENT MANAGER
+   Optional features that send data to another
+   party, or count visits, wait for the visitor's
+   choice in the banner or the preferences dialog
+   (reopened from "Privacy Settings" in the
+   footer). The choice is kept in localStorage,
+   never in a cookie. Pages mark what to hold back:
+   - <template data-consent="…"> - contents (e.g.
+     preconnect hints) added when granted
+   - <iframe data-consent="…" data-src="…"> -
+     loaded when granted, with a sibling
+     [data-consent-placeholder] shown until then
+   - <a data-consent="…"> - asks before following
+   Other code uses hasConsent()/onConsent() and
+   the "consentchange" event on document.
+   ============================================ */
+
+import { readStorage, writeStorage } from './storage.js';
+import { translatePage } from './i18n.js';
+
+/** Optional categories. Storage the site needs (language, drafts, the offline queue) is always allowed */
+export const CONSENT_CATEGORIES = {
+    analytics: {
+        title: 'Analytics',
+        description: 'Visit counts recorded by our own server, without cookies, so we can see which products buyers look at.'
+    },
+    maps: {
+        title: 'Maps',
+        description: 'The Google Maps embed on the contact page. Google receives your IP address and may set cookies.'
+    },
+    messaging: {
+        title: 'WhatsApp',
+        description: 'WhatsApp chat links and connecting to WhatsApp in advance. What you send, including your enquiry details, goes to WhatsApp (Meta).'
+    }
+};
+
+const STORAGE_KEY = 'consent';
+
+// Raise when a category is added, so everyone is asked again
+const CONSENT_VERSION = 1;
+
+// Choices are asked for again after a year
+const CONSENT_MAX_AGE_MS = 365 * 24 * 60 * 60 * 1000;
+
+// Choices read from storage: { analytics: true, ... }, or null until the visitor decides
+let choices;
+
+// Elements added from <template data-consent>, to take out again if consent is withdrawn
+const activated = new Map();
+
+/**
+ * Stored choices, if they are current
+ * @returns {Object|null}
+ */
+function readChoices() {
+    const stored = readStorage(STORAGE_KEY, null);
+    const age = Date.now() - Date.parse(stored?.decidedAt);
+    if (stored?.version !== CONSENT_VERSION || !(age < CONSENT_MAX_AGE_MS)) return null;
+
+    return Object.fromEntries(Object.keys(CONSENT_CATEGORIES).map(category => [category, stored.choices?.[category] === true]));
+}
+
+/**
+ * The visitor's choices
+ * @returns {Object|null} - Granted flag per category, or null until the visitor decides
+ */
+export function getConsent() {
+    if (choices === undefined) choices = readChoices();
+    return choices && { ...choices };
+}
+
+/**
+ * Whether a category has been granted
+ * @param {string} category - A key of CONSENT_CATEGORIES
+ * @returns {boolean}
+ */
+export function hasConsent(category) {
+    return getConsent()?.[category] === true;
+}
+
+/**
+ * Run a callback once a category is granted: now, or when the visitor grants it
+ * @param {string} category - A key of CONSENT_CATEGORIES
+ * @param {Function} callback
+ */
+export function onConsent(category, callback) {
+    if (hasConsent(category)) {
+        callback();
+        return;
+    }
+    const listener = () => {
+        if (!hasConsent(category)) return;
+        document.removeEventListener('consentchange', listener);
+        callback();
+    };
+    document.addEventListener('consentchange', listener);
+}
+
+/**
+ * Add or remove what each category holds back on the page
+ */
+function applyConsent() {
+    document.querySelectorAll('template[data-consent]').forEach(template => {
+        const granted = hasConsent(template.dataset.consent);
+        if (granted && !activated.has(template)) {
+            const nodes = [...template.content.cloneNode(true).childNodes];
+            template.after(...nodes);
+            activated.set(template, nodes);
+        } else if (!granted && activated.has(template)) {
+            activated.get(template).forEach(node => node.remove());
+            activated.delete(template);
+        }
+    });
+
+    document.querySelectorAll('iframe[data-consent]').forEach(frame => {
+        const granted = hasConsent(frame.dataset.consent);
+        if (granted && !frame.hasAttribute('src')) frame.src = frame.dataset.src;
+        else if (!granted) frame.removeAttribute('src');
+    });
+
+    document.querySelectorAll('[data-consent-placeholder]').forEach(placeholder => {
+        placeholder.hidden = hasConsent(placeholder.dataset.consentPlaceholder);
+    });
+}
+
+/**
+ * Store the visitor's choices and apply them
+ * Categories left out are refused
+ * @param {Object} granted - { analytics: true, maps: false, ... }
+ */
+export function setConsent(granted) {
+    choices = Object.fromEntries(Object.keys(CONSENT_CATEGORIES).map(category => [category, granted[category] === true]));
+    writeStorage(STORAGE_KEY, { version: CONSENT_VERSION, decidedAt: new Date().toISOString(), choices });
+
+    applyConsent();
+    document.dispatchEvent(new CustomEvent('consentchange', { detail: { consent: getConsent() } }));
+}
+
+/**
+ * Grant or refuse every category
+ * @param {boolean} granted
+ */
+function setAll(granted) {
+    setConsent(Object.fromEntries(Object.keys(CONSENT_CATEGORIES).map(category => [category, granted])));
+}
+
+/**
+ * Append the banner and the preferences dialog to the page
+ * @returns {{banner: HTMLElement, dialog: HTMLElement}}
+ */
+function createConsentUi() {
+    const options = Object.entries(CONSENT_CATEGORIES).map(([category, { title, description }]) => `
+                        <label class="consent-option">
+                            <input type="checkbox" name="${category}">
+                            <span>
+                                <strong data-i18n="consent.categories.${category}.title">${title}</strong>
+                                <span data-i18n="consent.categories.${category}.description">${description}</span>
+                            </span>
+                        </label>`).join('');
+
+    document.body.insertAdjacentHTML('beforeend', `
+        <div class="consent-banner" id="consentBanner" role="region" aria-label="Privacy choices" data-i18n-attr="aria-label:consent.region" hidden>
+            <p class="consent-text" data-i18n="consent.banner">We would like to count visits and use Google Maps and WhatsApp, which share data with other companies. Nothing optional is switched on until you choose.</p>
+            <div class="consent-actions">
+                <button type="button" class="btn btn-primary" data-consent-action="reject" data-i18n="consent.rejectAll">Reject All</button>
+                <button type="button" class="btn btn-primary" data-consent-action="accept" data-i18n="consent.acceptAll">Accept All</button>
+                <button type="button" class="btn btn-secondary" data-consent-action="open" data-i18n="consent.choose">Choose</button>
+            </div>
+        </div>
+        <div class="consent-dialog" id="consentDialog" hidden>
+            <div class="consent-backdrop" data-consent-action="close"></div>
+            <div class="consent-panel" role="dialog" aria-modal="true" aria-labelledby="consentTitle">
+                <h2 class="consent-title" id="consentTitle" data-i18n="consent.title">Privacy Settings</h2>
+                <p class="consent-intro" data-i18n="consent.intro">Choose which optional features to allow. You can change this at any time from "Privacy Settings" at the bottom of every page.</p>
+                <form class="consent-form" id="consentForm">
+                    <div class="consent-options">
+                        <label class="consent-option">
+                            <input type="checkbox" checked disabled>
+                            <span>
+                                <strong data-i18n="consent.necessary.title">Necessary</strong>
+                                <span data-i18n="consent.necessary.description">Your language, enquiry drafts and enquiries saved while offline, kept on this device. Always on.</span>
+                            </span>
+                        </label>${options}
+                    </div>
+                    <div class="consent-actions">
+                        <button type="button" class="btn btn-secondary" data-consent-action="reject" data-i18n="consent.rejectAll">Reject All</button>
+                        <button type="button" class="btn btn-secondary" data-consent-action="accept" data-i18n="consent.acceptAll">Accept All</button>
+                        <button type="submit" class="btn btn-primary" data-i18n="consent.save">Save Choices</button>
+                    </div>
+                </form>
+                <button type="button" class="consent-close" data-consent-action="close" aria-label="Close" data-i18n-attr="aria-label:consent.close">&times;</button>
+            </div>
+        </div>`);
+
+    return {
+        banner: document.getElementById('consentBanner'),
+        dialog: document.getElementById('consentDialog')
+    };
+}
+
+let openPreferences = () => {};
+
+/**
+ * Open the preferences dialog
+ * @param {string} [category] - Category to put focus on (e.g. the one a link needs)
+ * @returns {Promise<boolean>} - Whether that category is granted when the dialog closes
+ */
+export function openConsentPreferences(category) {
+    return openPreferences(category);
+}
+
+/**
+ * Initialize the consent manager: apply stored choices, ask if there are none
+ */
+export function initConsent() {
+    applyConsent();
+
+    const { banner, dialog } = createConsentUi();
+    translatePage(banner);
+    translatePage(dialog);
+
+    const panel = dialog.querySelector('.consent-panel');
+    const form = document.getElementById('consentForm');
+    let opener = null;
+    let settle = null;
+
+    banner.hidden = getConsent() !== null;
+
+    const close = () => {
+        if (dialog.hidden) return;
+        dialog.hidden = true;
+        document.body.style.overflow = '';
+        settle?.();
+        settle = null;
+        opener?.focus();
+    };
+
+    openPreferences = (category) => {
+        const current = getConsent() || {};
+        Object.keys(CONSENT_CATEGORIES).forEach(name => {
+            form.elements[name].checked = current[name] === true;
+        });
+
+        opener = document.activeElement;
+        dialog.hidden = false;
+        document.body.style.overflow = 'hidden';
+        (form.elements[category] || form.querySelector('input:not([disabled])')).focus();
+
+        return new Promise(resolve => {
+            settle = () => resolve(category ? hasConsent(category) : false);
+        });
+    };
+
+    const decide = (action) => {
+        if (action === 'accept' || action === 'reject') setAll(action === 'accept');
+        banner.hidden = true;
+        close();
+    };
+
+    banner.addEventListener('click', (e) => {
+        const action = e.target.closest('[data-consent-action]')?.dataset.consentAction;
+        if (action === 'open') openPreferences();
+        else if (action) decide(action);
+    });
+
+    dialog.addEventListener('click', (e) => {
+        const action = e.target.closest('[data-consent-action]')?.dataset.consentAction;
+        if (action === 'close') close();
+        else if (action) decide(action);
+    });
+
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        setConsent(Object.fromEntries(Object.keys(CONSENT_CATEGORIES).map(name => [name, form.elements[name].checked])));
+        decide('save');
+    });
+
+    panel.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            close();
+        } else if (e.key === 'Tab') {
+            // Keep focus inside the dialog
+            const focusable = [...panel.querySelectorAll('input:not([disabled]), button')];
+            const first = focusable[0];
+            const last = focusable[focusable.length - 1];
+            if (e.shiftKey && document.activeElement === first) {
+                e.preventDefault();
+                last.focus();
+            } else if (!e.shiftKey && document.activeElement === last) {
+                e.preventDefault();
+                first.focus();
+            }
+        }
+    });
+
+    document.addEventListener('click', (e) => {
+        // "Privacy Settings" in the footer, and buttons that grant one category (e.g. "Show Map")
+        const control = e.target.closest('[data-consent-open], [data-consent-grant]');
+        if (control) {
+            if (control.dataset.consentGrant) {
+                setConsent({ ...getConsent(), [control.dataset.consentGrant]: true });
+                banner.hidden = true;
+            } else {
+                openPreferences();
+            }
+            return;
+        }
+
+        // Links to another party ask first, then open once granted
+        const link = e.target.closest('a[data-consent]');
+        if (!link || hasConsent(link.dataset.consent)) return;
+        e.preventDefault();
+        openPreferences(link.dataset.consent).then(granted => {
+            if (!granted) return;
+            if (link.target === '_blank') window.open(link.href, '_blank', 'noopener');
+            else window.location.assign(link.href);
+        });
+    });
+}
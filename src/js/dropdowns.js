@@ -0,0 +1,178 @@
+/* ============================================
+   DROPDOWN MENUS
+   Disclosure pattern: each .dropdown-toggle
+   controls its .dropdown-menu and reports the
+   state in aria-expanded. Opens on click (every
+   width), on hover (desktop) and from the
+   keyboard: Arrow Up/Down move through the open
+   menu, Home/End jump to its ends, Escape closes
+   it and returns focus to the toggle, and on
+   desktop Arrow Left/Right move between the
+   top-level links.
+   ============================================ */
+
+import { isMobileViewport } from './utils.js';
+import { trackEvent } from './analytics.js';
+
+let menuCount = 0;
+
+/**
+ * Focusable items of a dropdown's menu
+ * @param {HTMLElement} dropdown - .dropdown element
+ * @returns {HTMLElement[]}
+ */
+function menuItems(dropdown) {
+    return [...dropdown.querySelectorAll('.dropdown-menu .dropdown-link')];
+}
+
+/**
+ * Open a dropdown
+ * @param {HTMLElement} dropdown - .dropdown element
+ */
+export function openDropdown(dropdown) {
+    dropdown.classList.add('active');
+    dropdown.querySelector('.dropdown-toggle')?.setAttribute('aria-expanded', 'true');
+
+    // Only one open at a time
+    document.querySelectorAll('.dropdown.active').forEach(other => {
+        if (other !== dropdown) closeDropdown(other);
+    });
+}
+
+/**
+ * Close a dropdown
+ * @param {HTMLElement} dropdown - .dropdown element
+ * @param {Object} [options]
+ * @param {boolean} [options.returnFocus] - Move focus back to the toggle
+ */
+export function closeDropdown(dropdown, { returnFocus = false } = {}) {
+    const toggle = dropdown.querySelector('.dropdown-toggle');
+    dropdown.classList.remove('active');
+    delete dropdown.dataset.openedBy;
+    toggle?.setAttribute('aria-expanded', 'false');
+    if (returnFocus) toggle?.focus();
+}
+
+/**
+ * Close every open dropdown
+ */
+export function closeAllDropdowns() {
+    document.querySelectorAll('.dropdown.active').forEach(dropdown => closeDropdown(dropdown));
+}
+
+/**
+ * Move focus to the next or previous element in a list, wrapping around
+ * @param {HTMLElement[]} items - Focusable elements
+ * @param {number} step - +1 or -1
+ */
+function moveFocus(items, step) {
+    const index = items.indexOf(document.activeElement);
+    items[(index + step + items.length) % items.length]?.focus();
+}
+
+/**
+ * Wire up one dropdown
+ * @param {HTMLElement} dropdown - .dropdown element
+ */
+function initDropdown(dropdown) {
+    const toggle = dropdown.querySelector('.dropdown-toggle');
+    const menu = dropdown.querySelector('.dropdown-menu');
+    if (!toggle || !menu) return;
+
+    menu.id ||= `dropdownMenu${++menuCount}`;
+    toggle.setAttribute('aria-controls', menu.id);
+    toggle.setAttribute('aria-expanded', 'false');
+    // The Products link still leads to its section when scripts don't run
+    if (toggle.tagName === 'A') toggle.setAttribute('role', 'button');
+
+    toggle.addEventListener('click', (e) => {
+        e.preventDefault();
+        // A click on a menu the pointer already opened keeps it open
+        if (dropdown.dataset.openedBy === 'hover') {
+            dropdown.dataset.openedBy = 'click';
+        } else if (dropdown.classList.contains('active')) {
+            closeDropdown(dropdown);
+        } else {
+            openDropdown(dropdown);
+        }
+    });
+
+    toggle.addEventListener('keydown', (e) => {
+        if (e.key === ' ' && toggle.tagName === 'A') {
+            // role="button" links activate on Space like buttons
+            e.preventDefault();
+            toggle.click();
+        } else if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            openDropdown(dropdown);
+            const items = menuItems(dropdown);
+            items[e.key === 'ArrowDown' ? 0 : items.length - 1]?.focus();
+        }
+    });
+
+    menu.addEventListener('keydown', (e) => {
+        const items = menuItems(dropdown);
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            moveFocus(items, e.key === 'ArrowDown' ? 1 : -1);
+        } else if (e.key === 'Home' || e.key === 'End') {
+            e.preventDefault();
+            items[e.key === 'Home' ? 0 : items.length - 1]?.focus();
+        }
+    });
+
+    dropdown.addEventListener('keydown', (e) => {
+        if (e.key !== 'Escape' || !dropdown.classList.contains('active')) return;
+        // Handled here so the mobile menu stays open
+        e.stopPropagation();
+        closeDropdown(dropdown, { returnFocus: true });
+    });
+
+    // Tabbing out closes the menu
+    dropdown.addEventListener('focusout', (e) => {
+        if (!dropdown.contains(e.relatedTarget) && e.relatedTarget) closeDropdown(dropdown);
+    });
+
+    // Desktop menus also open on hover
+    dropdown.addEventListener('mouseenter', () => {
+        if (isMobileViewport() || dropdown.classList.contains('active')) return;
+        openDropdown(dropdown);
+        dropdown.dataset.openedBy = 'hover';
+    });
+    dropdown.addEventListener('mouseleave', () => {
+        if (dropdown.dataset.openedBy === 'hover') closeDropdown(dropdown);
+    });
+
+    // Which product page the menu sends visitors to
+    dropdown.querySelectorAll('.dropdown-link').forEach(link => {
+        link.addEventListener('click', () => {
+            trackEvent('product_nav', { target: link.pathname });
+        });
+    });
+}
+
+/**
+ * Initialize the navbar dropdowns and arrow-key navigation
+ */
+export function initDropdowns() {
+    document.querySelectorAll('.dropdown').forEach(initDropdown);
+
+    document.addEventListener('click', (e) => {
+        document.querySelectorAll('.dropdown.active').forEach(dropdown => {
+            if (!dropdown.contains(e.target)) closeDropdown(dropdown);
+        });
+    });
+
+    // Arrow Left/Right between the top-level links of the desktop bar
+    const navMenu = document.getElementById('navMenu');
+    navMenu?.addEventListener('keydown', (e) => {
+        if ((e.key !== 'ArrowLeft' && e.key !== 'ArrowRight') || isMobileViewport()) return;
+        const links = [...navMenu.querySelectorAll(':scope > .nav-item > .nav-link')];
+        if (!links.includes(document.activeElement)) return;
+
+        e.preventDefault();
+        const forward = (e.key === 'ArrowRight') === (document.documentElement.dir !== 'rtl');
+        closeAllDropdowns();
+        moveFocus(links, forward ? 1 : -1);
+    });
+}
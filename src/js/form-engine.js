@@ -0,0 +1,302 @@
+/* ============================================
+   FORM ENGINE
+   Binds a form to a schema of field rules (see
+   validateRule in validation.js). Each field's
+   error is linked with aria-describedby and
+   flagged with aria-invalid; a failed submit
+   lists every error in a summary announced to
+   screen readers and moves focus to the first
+   invalid field. Messages follow the page
+   language, and fields with a `when` rule are
+   hidden and disabled while it doesn't hold.
+   Tel inputs with an intlPhone rule get the
+   country-code selector; a multiple rule binds
+   a checkbox group through its fieldset.
+   ============================================ */
+
+import { validateRule } from './validation.js';
+import { t, tPlural, getMessages } from './i18n.js';
+import { createPhoneInput } from './phone-input.js';
+
+/**
+ * Show an error message for a field
+ * @param {HTMLElement} input - Input element
+ * @param {HTMLElement} errorEl - Error message element
+ * @param {string} message - Error message
+ */
+export function showFieldError(input, errorEl, message) {
+    input.classList.add('error');
+    input.setAttribute('aria-invalid', 'true');
+    if (errorEl) errorEl.textContent = message;
+}
+
+/**
+ * Clear the error message for a field
+ * @param {HTMLElement} input - Input element
+ * @param {HTMLElement} errorEl - Error message element
+ */
+export function clearFieldError(input, errorEl) {
+    input.classList.remove('error');
+    input.removeAttribute('aria-invalid');
+    if (errorEl) errorEl.textContent = '';
+}
+
+/**
+ * Add an id to an element's aria-describedby, keeping the ones it has
+ * @param {HTMLElement} el
+ * @param {string} id
+ */
+function describeBy(el, id) {
+    const ids = (el.getAttribute('aria-describedby') || '').split(/\s+/).filter(Boolean);
+    if (!ids.includes(id)) el.setAttribute('aria-describedby', [...ids, id].join(' '));
+}
+
+/**
+ * A field's visible label (a group's legend), without the required marker
+ * @param {HTMLElement} input
+ * @returns {string}
+ */
+export function labelText(input) {
+    const label = input.tagName === 'FIELDSET'
+        ? input.querySelector('legend')
+        : input.id && input.form?.querySelector(`label[for="${input.id}"]`);
+    if (!label) return input.getAttribute('aria-label') || input.name;
+    const copy = label.cloneNode(true);
+    copy.querySelectorAll('.required').forEach(marker => marker.remove());
+    return copy.textContent.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * The error summary of a form, added at its top when the markup has none
+ * @param {HTMLFormElement} form
+ * @returns {HTMLElement}
+ */
+function summaryElement(form) {
+    let summary = form.querySelector('.form-error-summary');
+    if (!summary) {
+        summary = document.createElement('div');
+        summary.className = 'form-error-summary';
+        summary.hidden = true;
+        summary.innerHTML = '<p class="form-error-summary-title"></p><ul></ul>';
+        form.prepend(summary);
+    }
+    summary.setAttribute('role', 'alert');
+    summary.tabIndex = -1;
+    return summary;
+}
+
+/**
+ * Bind a form to a schema
+ * Inputs are found by name; each one's error element is #<input id>Error,
+ * created after the input when the markup has none. A checkbox group
+ * (multiple rule) stands for its fieldset, which carries the id.
+ * @param {HTMLFormElement} form
+ * @param {Object} schema - Field name to rule, see validateRule()
+ * @param {Object} [options]
+ * @param {Function} [options.messages] - Returns the error messages to use (called on every check)
+ * @returns {Object} - { fields, values, setValues, validate, validateField, showErrors, clearErrors, reset }
+ */
+export function createForm(form, schema, { messages = () => getMessages('validation') } = {}) {
+    const summary = summaryElement(form);
+    // Which fields show an error found here (rather than by the server), re-checked on a language change
+    const checked = new Set();
+    let summaryErrors = null;
+
+    const fields = Object.entries(schema)
+        .map(([name, rule]) => {
+            const control = form.elements.namedItem(name);
+            // Several checkboxes share a name, so the lookup gives a list
+            const input = rule.multiple ? (control?.nodeType ? control : control?.[0])?.closest('fieldset') : control;
+            if (!input || !input.id) return null;
+
+            const phone = rule.format === 'intlPhone' && input.type === 'tel' ? createPhoneInput(input) : null;
+
+            let errorEl = document.getElementById(`${input.id}Error`);
+            if (!errorEl) {
+                errorEl = document.createElement('span');
+                errorEl.className = 'error-message';
+                errorEl.id = `${input.id}Error`;
+                (input.closest('.phone-field') || input).after(errorEl);
+            }
+            describeBy(input, errorEl.id);
+            const boxes = () => [...input.querySelectorAll(`[name="${name}"]`)];
+            return {
+                name,
+                rule,
+                input,
+                errorEl,
+                // commit() tidies the value before it is checked (the phone number's format)
+                commit: phone ? phone.commit : () => {},
+                read: rule.multiple ? () => boxes().filter(box => box.checked).map(box => box.value) : () => input.value.trim(),
+                write: rule.multiple
+                    ? (value) => boxes().forEach(box => { box.checked = [].concat(value).includes(box.value); })
+                    : (value) => { input.value = value; },
+                focus: () => (rule.multiple ? boxes()[0] : input)?.focus()
+            };
+        })
+        .filter(Boolean);
+
+    const values = () => Object.fromEntries(fields.map(({ name, read }) => [name, read()]));
+
+    const isActive = ({ rule }, current) => !rule.when || rule.when(current);
+
+    // Conditional fields: shown and required only while their rules say so
+    const updateConditions = () => {
+        const current = values();
+        fields.forEach(field => {
+            const active = isActive(field, current);
+            if (field.rule.when) {
+                const group = field.input.closest('.form-group') || field.input;
+                group.hidden = !active;
+                field.input.disabled = !active;
+                if (!active) clearFieldError(field.input, field.errorEl);
+            }
+            if (typeof field.rule.required === 'function') {
+                field.input.setAttribute('aria-required', String(active && field.rule.required(current)));
+            }
+        });
+    };
+
+    const checkField = (field, current = values()) => {
+        const message = isActive(field, current) ? validateRule(field.rule, current[field.name], current, messages()) : '';
+        clearFieldError(field.input, field.errorEl);
+        checked.delete(field.name);
+        if (!message) return '';
+        showFieldError(field.input, field.errorEl, message);
+        checked.add(field.name);
+        return message;
+    };
+
+    const renderSummary = (errors) => {
+        const invalid = fields.filter(({ name }) => errors[name]);
+        summaryErrors = invalid.length ? errors : null;
+        summary.hidden = invalid.length === 0;
+        if (!invalid.length) return;
+
+        summary.querySelector('.form-error-summary-title').textContent = tPlural('forms.summary', invalid.length);
+        const list = summary.querySelector('ul');
+        list.innerHTML = '';
+        invalid.forEach(({ name, input, focus }) => {
+            const link = document.createElement('a');
+            link.href = `#${input.id}`;
+            link.textContent = t('forms.summaryItem', { label: labelText(input), message: errors[name] });
+            link.addEventListener('click', (e) => {
+                e.preventDefault();
+                focus();
+            });
+            const item = document.createElement('li');
+            item.appendChild(link);
+            list.appendChild(item);
+        });
+    };
+
+    const focusFirstError = (errors) => {
+        fields.find(({ name }) => errors[name])?.focus();
+    };
+
+    /**
+     * Check every field, show the errors and the summary
+     * @param {Object} [options]
+     * @param {boolean} [options.focus] - Move focus to the first invalid field
+     * @param {string[]} [options.only] - Check just these fields (e.g. one step of a long form)
+     * @returns {{valid: boolean, errors: Object, values: Object}}
+     */
+    const validate = ({ focus = true, only } = {}) => {
+        const checking = only ? fields.filter(({ name }) => only.includes(name)) : fields;
+        checking.forEach(field => field.commit());
+        const current = values();
+        const errors = {};
+        checking.forEach(field => {
+            const message = checkField(field, current);
+            if (message) errors[field.name] = message;
+        });
+        fields.filter(field => !isActive(field, current)).forEach(({ name, rule }) => { current[name] = rule.multiple ? [] : ''; });
+
+        renderSummary(errors);
+        if (focus) focusFirstError(errors);
+        return { valid: Object.keys(errors).length === 0, errors, values: current };
+    };
+
+    /**
+     * Show errors found elsewhere (e.g. the server's field errors)
+     * @param {Object} errors - Field name to message
+     * @param {Object} [options]
+     * @param {boolean} [options.focus] - Move focus to the first invalid field
+     */
+    const showErrors = (errors = {}, { focus = true } = {}) => {
+        fields.forEach(({ name, input, errorEl }) => {
+            if (!errors[name]) return;
+            showFieldError(input, errorEl, errors[name]);
+            checked.delete(name);
+        });
+        renderSummary(errors);
+        if (focus) focusFirstError(errors);
+    };
+
+    const clearErrors = () => {
+        fields.forEach(({ input, errorEl }) => clearFieldError(input, errorEl));
+        checked.clear();
+        renderSummary({});
+    };
+
+    fields.forEach(field => {
+        // A group is checked once focus leaves all of its boxes
+        field.input.addEventListener(field.rule.multiple ? 'focusout' : 'blur', (e) => {
+            if (field.input.disabled || field.input.contains(e.relatedTarget)) return;
+            field.commit();
+            checkField(field);
+        });
+        field.input.addEventListener('input', () => {
+            clearFieldError(field.input, field.errorEl);
+            checked.delete(field.name);
+        });
+    });
+
+    if (fields.some(({ rule }) => rule.when || typeof rule.required === 'function')) {
+        form.addEventListener('input', updateConditions);
+        form.addEventListener('change', updateConditions);
+        updateConditions();
+    }
+
+    // Errors found here are written again in the new language
+    document.addEventListener('localechange', () => {
+        const current = values();
+        const errors = { ...summaryErrors };
+        fields.filter(({ name }) => checked.has(name)).forEach(field => {
+            const message = checkField(field, current);
+            if (summaryErrors?.[field.name]) errors[field.name] = message;
+        });
+        if (summaryErrors) renderSummary(errors);
+    });
+
+    /**
+     * Fill in fields, e.g. from a saved draft; names not in the schema are ignored
+     * File inputs can't be set and are left as they are
+     * @param {Object} data - Field name to value
+     */
+    const setValues = (data = {}) => {
+        fields.forEach(field => {
+            if (!Object.hasOwn(data, field.name) || field.input.type === 'file') return;
+            field.write(data[field.name] ?? '');
+        });
+        updateConditions();
+    };
+
+    return {
+        fields,
+        values,
+        setValues,
+        validate,
+        validateField: (name) => {
+            const field = fields.find(entry => entry.name === name);
+            return field ? !checkField(field) : true;
+        },
+        showErrors,
+        clearErrors,
+        reset: () => {
+            form.reset();
+            clearErrors();
+            updateConditions();
+        }
+    };
+}
@@ -0,0 +1,63 @@
+/* ============================================
+   FORM GUARD
+   Anti-spam fields sent with public forms:
+   a signed timestamp token from the server and
+   a honeypot input that people never see.
+   The server rejects forms sent too quickly,
+   with a bad token or a filled honeypot.
+   ============================================ */
+
+export const FORM_TOKEN_ENDPOINT = '/api/form-token';
+export const HONEYPOT_FIELD = 'website';
+
+/**
+ * Request a new form token
+ * @param {string} endpoint - Token URL
+ * @returns {Promise<string>} - Token, or '' when the server is unreachable
+ */
+async function fetchFormToken(endpoint) {
+    try {
+        const response = await fetch(endpoint, { headers: { 'Accept': 'application/json' } });
+        const data = await response.json();
+        return response.ok && typeof data.token === 'string' ? data.token : '';
+    } catch {
+        return '';
+    }
+}
+
+/**
+ * Attach the anti-spam fields to a form
+ * @param {HTMLFormElement} form - Form containing the honeypot input
+ * @param {Object} [options]
+ * @param {boolean} [options.eager] - Fetch the token now rather than on first focus
+ * @param {string} [options.endpoint] - Token URL
+ * @returns {{fields: Function, refresh: Function}}
+ */
+export function createFormGuard(form, { eager = true, endpoint = FORM_TOKEN_ENDPOINT } = {}) {
+    let request = null;
+
+    const refresh = () => {
+        request = fetchFormToken(endpoint);
+        return request;
+    };
+
+    if (eager) {
+        refresh();
+    } else {
+        // Forms that are rarely used only ask for a token once someone starts filling them
+        form.addEventListener('focusin', () => request || refresh());
+    }
+
+    return {
+        /**
+         * Values to merge into the submitted payload
+         * @returns {Promise<Object>}
+         */
+        async fields() {
+            const formToken = await (request || refresh());
+            const honeypot = form.elements.namedItem(HONEYPOT_FIELD);
+            return { formToken, [HONEYPOT_FIELD]: honeypot ? honeypot.value : '' };
+        },
+        refresh
+    };
+}
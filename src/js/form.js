@@ -0,0 +1,299 @@
+/* ============================================
+   CONTACT FORM VALIDATION & SUBMISSION
+   ============================================ */
+
+import { ENQUIRY_SCHEMA } from './validation.js';
+import { t, getLocale } from './i18n.js';
+import { createForm } from './form-engine.js';
+import { createFormGuard } from './form-guard.js';
+import { readStorage, writeStorage, removeStorage } from './storage.js';
+import { canQueueEnquiries, queueEnquiry } from './offline-queue.js';
+import { requestQueueSync } from './pwa.js';
+import { trackEvent } from './analytics.js';
+
+const WHATSAPP_NUMBER = '917794084488';
+const ENQUIRY_EMAIL = 'freshflowfoods@gmail.com';
+export const ENQUIRY_ENDPOINT = '/api/enquiries';
+
+// Enquiry started on another page (e.g. the cost estimator), picked up by contact.html
+const DRAFT_KEY = 'enquiryDraft';
+const CONTACT_PAGE = 'contact.html';
+
+/**
+ * Template values shared by the WhatsApp and email follow-ups
+ * @param {Object} formData - Trimmed form values
+ * @param {string} subjectLabel - Human readable subject
+ * @returns {Object}
+ */
+function templateParams(formData, subjectLabel) {
+    return {
+        name: formData.name,
+        email: formData.email,
+        phone: formData.phone || t('whatsapp.notProvided'),
+        subject: subjectLabel,
+        message: formData.message
+    };
+}
+
+/**
+ * Build the WhatsApp deep link for an enquiry, in the active language
+ * @param {Object} formData - Trimmed form values
+ * @param {string} subjectLabel - Human readable subject
+ * @param {string} [number] - Recipient in international digits; '' lets WhatsApp ask
+ * @returns {string} - wa.me URL with the prefilled message
+ */
+export function buildWhatsAppUrl(formData, subjectLabel, number = WHATSAPP_NUMBER) {
+    const message = t('whatsapp.enquiry', templateParams(formData, subjectLabel));
+    return `https://wa.me/${number}?text=${encodeURIComponent(message)}`;
+}
+
+/**
+ * Build a mailto link that follows up on a stored enquiry
+ * @param {Object} formData - Trimmed form values
+ * @param {string} subjectLabel - Human readable subject
+ * @param {string} reference - Enquiry reference
+ * @returns {string} - mailto URL with subject and body
+ */
+export function buildEmailUrl(formData, subjectLabel, reference) {
+    const params = { ...templateParams(formData, subjectLabel), reference };
+    const query = new URLSearchParams({
+        subject: t('email.subject', params),
+        body: t('email.body', params)
+    });
+    // Mail clients expect %20 rather than + for spaces
+    return `mailto:${ENQUIRY_EMAIL}?${query.toString().replace(/\+/g, '%20')}`;
+}
+
+/**
+ * POST an enquiry as JSON
+ * @param {string} endpoint - API URL
+ * @param {Object} payload - Enquiry fields
+ * @returns {Promise<Object>} - Parsed response body
+ * @throws {Error} - With `fieldErrors` when the server rejected fields,
+ *                   `reason` when it was turned away as spam or abuse and
+ *                   `offline` when it never reached the server
+ */
+export async function postEnquiry(endpoint, payload) {
+    let response;
+    try {
+        response = await fetch(endpoint, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Accept': 'application/json',
+                'Accept-Language': getLocale()
+            },
+            body: JSON.stringify(payload)
+        });
+    } catch {
+        // Offline or the server could not be reached
+        const error = new Error(t('errors.submit'));
+        error.offline = true;
+        throw error;
+    }
+
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok || !data.ok) {
+        const error = new Error(data.error || t('errors.submit'));
+        error.fieldErrors = data.errors || {};
+        error.reason = data.reason || '';
+        throw error;
+    }
+    return data;
+}
+
+/**
+ * Toggle a submit button between its text and loading labels
+ * @param {HTMLButtonElement} button - Button with .btn-text and .btn-loading
+ * @param {boolean} loading - Loading state
+ */
+export function setButtonLoading(button, loading) {
+    if (!button) return;
+    button.querySelector('.btn-text').style.display = loading ? 'none' : 'inline';
+    button.querySelector('.btn-loading').style.display = loading ? 'inline' : 'none';
+    button.disabled = loading;
+}
+
+/**
+ * Put a subject and message into the contact form
+ * The message goes after anything the visitor already wrote
+ * @param {HTMLFormElement} form - #contactForm
+ * @param {{subject: string, message: string}} draft
+ */
+function fillEnquiry(form, { subject, message }) {
+    const subjectSelect = form.querySelector('#subject');
+    const messageInput = form.querySelector('#message');
+    if (subjectSelect && [...subjectSelect.options].some(option => option.value === subject)) subjectSelect.value = subject;
+    if (messageInput) {
+        const current = messageInput.value.trim();
+        messageInput.value = current ? `${current}\n\n${message}` : message;
+        messageInput.classList.remove('error');
+        messageInput.removeAttribute('aria-invalid');
+    }
+}
+
+/**
+ * Start an enquiry with a subject and message
+ * Fills the contact form on this page, or saves the draft and opens the contact page
+ * @param {{subject: string, message: string}} draft
+ * @returns {boolean} - True if the form on this page was filled
+ */
+export function prefillEnquiry(draft) {
+    const form = document.getElementById('contactForm');
+    if (!form) {
+        writeStorage(DRAFT_KEY, draft);
+        window.location.href = `${CONTACT_PAGE}#contactForm`;
+        return false;
+    }
+
+    fillEnquiry(form, draft);
+    form.style.display = 'block';
+    document.getElementById('formSuccess')?.style.setProperty('display', 'none');
+    document.getElementById('name')?.focus();
+    return true;
+}
+
+/**
+ * Initialize contact form validation
+ */
+export function initContactForm() {
+    const form = document.getElementById('contactForm');
+    if (!form) return;
+
+    const formSuccess = document.getElementById('formSuccess');
+    const formQueued = document.getElementById('formQueued');
+    const formQueuedError = document.getElementById('formQueuedError');
+    const formError = document.getElementById('formError');
+    const formReference = document.getElementById('formReference');
+    const whatsappFollowUp = document.getElementById('whatsappFollowUp');
+    const emailFollowUp = document.getElementById('emailFollowUp');
+    const resetBtn = document.getElementById('resetForm');
+    const resetQueuedBtn = document.getElementById('resetQueued');
+    const submitBtn = document.getElementById('submitBtn');
+    const endpoint = form.dataset.endpoint || ENQUIRY_ENDPOINT;
+    const guard = createFormGuard(form);
+    // Queue id of the enquiry the "saved while offline" panel is showing
+    let queuedId = null;
+
+    const draft = readStorage(DRAFT_KEY, null);
+    if (typeof draft?.message === 'string') fillEnquiry(form, draft);
+    removeStorage(DRAFT_KEY);
+
+    const engine = createForm(form, ENQUIRY_SCHEMA);
+
+    // Importers and distributors are pointed to the partner application
+    const subjectSelect = form.elements.namedItem('subject');
+    const partnershipHint = document.getElementById('partnershipHint');
+    const updatePartnershipHint = () => {
+        if (partnershipHint && subjectSelect) partnershipHint.hidden = subjectSelect.value !== 'partnership';
+    };
+    subjectSelect?.addEventListener('change', updatePartnershipHint);
+    updatePartnershipHint();
+
+    const showFormError = (message) => {
+        if (!formError) return;
+        formError.textContent = message;
+        formError.hidden = !message;
+    };
+
+    const setLoading = (loading) => {
+        setButtonLoading(submitBtn, loading);
+        form.setAttribute('aria-busy', String(loading));
+    };
+
+    const showSent = (formData, reference) => {
+        const subjectLabel = t(`subjects.${formData.subject || 'general'}`);
+        if (formReference) formReference.textContent = reference;
+        // data-consent="messaging": the consent manager asks before handing the enquiry to WhatsApp
+        if (whatsappFollowUp) whatsappFollowUp.href = buildWhatsAppUrl(formData, subjectLabel);
+        if (emailFollowUp) emailFollowUp.href = buildEmailUrl(formData, subjectLabel, reference);
+
+        form.style.display = 'none';
+        if (formQueued) formQueued.hidden = true;
+        if (formSuccess) formSuccess.style.display = 'block';
+    };
+
+    // Offline: keep the enquiry on this device and send it when the connection returns
+    const queue = async (payload) => {
+        if (!formQueued || !canQueueEnquiries()) return false;
+        try {
+            queuedId = await queueEnquiry(endpoint, payload, getLocale());
+        } catch {
+            return false;
+        }
+
+        form.style.display = 'none';
+        if (formQueuedError) formQueuedError.hidden = true;
+        formQueued.hidden = false;
+        requestQueueSync();
+        return true;
+    };
+
+    // Analytics: the first field (or button) the visitor reaches starts the enquiry
+    form.addEventListener('focusin', () => trackEvent('form_start'), { once: true });
+
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        showFormError('');
+
+        // Every field is checked so all errors show at once
+        const { valid, errors, values: formData } = engine.validate();
+        if (!valid) {
+            trackEvent('form_error', { fields: Object.keys(errors).join(',') });
+            return;
+        }
+
+        setLoading(true);
+        const payload = { ...formData, ...await guard.fields() };
+
+        try {
+            const result = await postEnquiry(endpoint, payload);
+            trackEvent('form_submit', { subject: formData.subject || 'general' });
+            showSent(formData, result.reference);
+        } catch (err) {
+            if (err.offline && await queue(payload)) {
+                trackEvent('form_submit', { subject: formData.subject || 'general', queued: true });
+                return;
+            }
+            trackEvent('form_error', {
+                fields: Object.keys(err.fieldErrors || {}).join(','),
+                reason: err.reason || (err.offline ? 'offline' : 'server')
+            });
+
+            // Map server-side field errors back onto the form
+            engine.showErrors(err.fieldErrors);
+            showFormError(err.message || t('errors.submit'));
+            // An expired token is replaced so the next attempt can go through
+            if (err.reason === 'token') guard.refresh();
+        } finally {
+            setLoading(false);
+        }
+    });
+
+    // The queued enquiry went out (or was turned away) after the connection came back
+    document.addEventListener('enquiryqueue', ({ detail }) => {
+        const sent = detail.sent.find(entry => entry.id === queuedId);
+        const rejected = detail.rejected.find(entry => entry.id === queuedId);
+        if (sent) {
+            queuedId = null;
+            showSent(sent.payload, sent.reference);
+        } else if (rejected && formQueuedError) {
+            queuedId = null;
+            formQueuedError.textContent = rejected.error || t('errors.submit');
+            formQueuedError.hidden = false;
+        }
+    });
+
+    [resetBtn, resetQueuedBtn].filter(Boolean).forEach(button => {
+        button.addEventListener('click', () => {
+            engine.reset();
+            updatePartnershipHint();
+            showFormError('');
+            queuedId = null;
+            form.style.display = 'block';
+            if (formSuccess) formSuccess.style.display = 'none';
+            if (formQueued) formQueued.hidden = true;
+        });
+    });
+}
@@ -0,0 +1,52 @@
+/* ============================================
+   HEADER / NAVIGATION
+   ============================================ */
+
+import { throttle } from './utils.js';
+
+/**
+ * Initialize header scroll behavior
+ * Adds 'scrolled' class when page is scrolled
+ */
+export function initHeader() {
+    const header = document.getElementById('header');
+    if (!header) return;
+    
+    const checkScroll = () => {
+        header.classList.toggle('scrolled', window.scrollY > 50);
+    };
+    
+    checkScroll();
+    window.addEventListener('scroll', throttle(checkScroll, 100), { passive: true });
+}
+
+/**
+ * Update active navigation link based on scroll position
+ */
+export function initActiveNav() {
+    const sections = document.querySelectorAll('section[id]');
+    const navLinks = document.querySelectorAll('.nav-link');
+    if (sections.length === 0) return;
+    
+    const updateActiveNav = () => {
+        const scrollPosition = window.scrollY + 100;
+        
+        sections.forEach(section => {
+            const sectionTop = section.offsetTop;
+            const sectionHeight = section.offsetHeight;
+            const sectionId = section.getAttribute('id');
+            
+            if (scrollPosition >= sectionTop && scrollPosition < sectionTop + sectionHeight) {
+                navLinks.forEach(link => {
+                    link.classList.remove('active');
+                    if (link.getAttribute('href') === '#' + sectionId || 
+                        link.getAttribute('href').endsWith('#' + sectionId)) {
+                        link.classList.add('active');
+                    }
+                });
+            }
+        });
+    };
+    
+    window.addEventListener('scroll', throttle(updateActiveNav, 100), { passive: true });
+}
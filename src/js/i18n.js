@@ -0,0 +1,255 @@
+/* ============================================
+   INTERNATIONALIZATION
+   Runtime locale switching for the static pages.
+   English copy lives in the HTML and in
+   locales/en.json (bundled); other locales are
+   fetched from locales/<locale>.json and cached.
+
+   <h2 data-i18n="common.our_products">Our Products</h2>
+   <input data-i18n-attr="placeholder:contact.enter_your_full_name">
+   ============================================ */
+
+import en from '../../locales/en.json' with { type: 'json' };
+import { readStorage, writeStorage } from './storage.js';
+
+export const DEFAULT_LOCALE = 'en';
+
+/** Supported locales, their native names and text direction */
+export const LOCALES = {
+    en: { name: 'English', dir: 'ltr' },
+    ar: { name: 'العربية', dir: 'rtl' },
+    fr: { name: 'Français', dir: 'ltr' }
+};
+
+const STORAGE_KEY = 'locale';
+
+const catalogs = { en };
+let activeLocale = DEFAULT_LOCALE;
+
+// Original English text and attributes, restored when switching back
+const originals = new WeakMap();
+
+/**
+ * Pick the locale in the URL (?lang=fr, the sitemap's hreflang links) and remember it,
+ * else the stored locale, else the first supported browser language
+ * @returns {string}
+ */
+function detectLocale() {
+    const requested = new URLSearchParams(window.location.search).get('lang');
+    if (Object.hasOwn(LOCALES, requested)) {
+        writeStorage(STORAGE_KEY, requested);
+        return requested;
+    }
+
+    const stored = readStorage(STORAGE_KEY, null);
+    if (Object.hasOwn(LOCALES, stored)) return stored;
+
+    const preferred = (navigator.languages || [navigator.language || ''])
+        .map(tag => String(tag).toLowerCase().split('-')[0])
+        .find(lang => Object.hasOwn(LOCALES, lang));
+    return preferred || DEFAULT_LOCALE;
+}
+
+/**
+ * Look up a dotted key ("validation.required", "specs.features.0")
+ * @param {Object} messages - Locale catalog
+ * @param {string} key - Dotted path
+ * @returns {*} - The value, or undefined
+ */
+function lookup(messages, key) {
+    return key.split('.').reduce((node, part) => (node == null ? undefined : node[part]), messages);
+}
+
+/**
+ * Replace {name} placeholders
+ * @param {string} template - Message with placeholders
+ * @param {Object} [params] - Values by name
+ * @returns {string}
+ */
+export function formatMessage(template, params = {}) {
+    return template.replace(/\{(\w+)\}/g, (match, name) => (Object.hasOwn(params, name) ? String(params[name]) : match));
+}
+
+/**
+ * Active locale code
+ * @returns {string}
+ */
+export function getLocale() {
+    return activeLocale;
+}
+
+/**
+ * Text direction of a locale
+ * @param {string} [locale] - Locale code (defaults to the active one)
+ * @returns {'ltr'|'rtl'}
+ */
+export function getDirection(locale = activeLocale) {
+    return LOCALES[locale]?.dir || 'ltr';
+}
+
+/**
+ * Translate a key in the active locale
+ * Falls back to English, then to the given fallback, then to the key
+ * @param {string} key - Dotted message key
+ * @param {Object} [params] - Placeholder values
+ * @param {string} [fallback] - Text to use when no catalog has the key
+ * @returns {string}
+ */
+export function t(key, params, fallback) {
+    const value = [catalogs[activeLocale], en]
+        .map(messages => messages && lookup(messages, key))
+        .find(message => typeof message === 'string');
+    return formatMessage(value ?? fallback ?? key, params);
+}
+
+/**
+ * Translate a count-dependent message using the locale's plural rules
+ * Keys hold one entry per plural category (zero, one, two, few, many, other)
+ * @param {string} key - Key of the plural group
+ * @param {number} count - Number to select the form and fill {count}
+ * @returns {string}
+ */
+export function tPlural(key, count) {
+    const category = new Intl.PluralRules(activeLocale).select(count);
+    const group = lookup(catalogs[activeLocale] || {}, key);
+    const form = group && typeof group[category] === 'string' ? category : 'other';
+    return t(`${key}.${form}`, { count });
+}
+
+/**
+ * All messages of one namespace, active locale over English
+ * Used to hand localized messages to the shared validators
+ * @param {string} namespace - Top-level key, e.g. "validation"
+ * @returns {Object}
+ */
+export function getMessages(namespace) {
+    return { ...en[namespace], ...catalogs[activeLocale]?.[namespace] };
+}
+
+/**
+ * Parse data-i18n-attr ("placeholder:key;aria-label:key")
+ * @param {string} value - Attribute value
+ * @returns {Array<[string, string]>} - Attribute name and key pairs
+ */
+function parseAttrKeys(value) {
+    return value.split(';')
+        .map(pair => pair.split(':').map(part => part.trim()))
+        .filter(([attr, key]) => attr && key);
+}
+
+/**
+ * Apply the active locale to marked-up elements
+ * English restores the text the page was authored with
+ * @param {ParentNode} [root] - Subtree to translate
+ */
+export function translatePage(root = document) {
+    const messages = catalogs[activeLocale];
+
+    root.querySelectorAll('[data-i18n], [data-i18n-attr]').forEach(el => {
+        if (!originals.has(el)) {
+            originals.set(el, {
+                text: el.textContent,
+                attrs: Object.fromEntries(parseAttrKeys(el.dataset.i18nAttr || '').map(([attr]) => [attr, el.getAttribute(attr)]))
+            });
+        }
+        const original = originals.get(el);
+        const translate = (key, english) => {
+            const value = activeLocale === DEFAULT_LOCALE ? undefined : lookup(messages, key);
+            return typeof value === 'string' ? value : english;
+        };
+
+        if (el.dataset.i18n) {
+            const text = translate(el.dataset.i18n, original.text);
+            if (el.textContent !== text) el.textContent = text;
+        }
+        parseAttrKeys(el.dataset.i18nAttr || '').forEach(([attr, key]) => {
+            const value = translate(key, original.attrs[attr]);
+            if (value != null) el.setAttribute(attr, value);
+        });
+    });
+}
+
+/**
+ * Set lang and dir on <html>
+ * @param {string} locale - Locale code
+ */
+function applyDocumentLocale(locale) {
+    document.documentElement.lang = locale;
+    document.documentElement.dir = getDirection(locale);
+}
+
+/**
+ * Fetch a locale catalog, keeping a copy for the next page load
+ * @param {string} locale - Locale code
+ * @returns {Promise<Object>}
+ */
+async function loadCatalog(locale) {
+    const response = await fetch(`locales/${locale}.json`, { headers: { 'Accept': 'application/json' } });
+    if (!response.ok) throw new Error(`Could not load locale "${locale}" (${response.status})`);
+
+    const messages = await response.json();
+    writeStorage(`messages.${locale}`, messages);
+    return messages;
+}
+
+/**
+ * Make a locale active: translate the page and notify listeners
+ * @param {string} locale - Locale code
+ */
+function activate(locale) {
+    activeLocale = locale;
+    applyDocumentLocale(locale);
+    translatePage();
+    document.dispatchEvent(new CustomEvent('localechange', {
+        detail: { locale, dir: getDirection(locale) }
+    }));
+}
+
+/**
+ * Switch the site language and remember the choice
+ * @param {string} locale - Locale code
+ * @returns {Promise<boolean>} - False if the locale could not be loaded
+ */
+export async function setLocale(locale) {
+    if (!Object.hasOwn(LOCALES, locale)) return false;
+
+    if (!catalogs[locale]) {
+        try {
+            catalogs[locale] = await loadCatalog(locale);
+        } catch (err) {
+            console.warn(err.message);
+            return false;
+        }
+    }
+
+    writeStorage(STORAGE_KEY, locale);
+    activate(locale);
+    return true;
+}
+
+/**
+ * Apply the preferred locale
+ * A cached catalog is applied straight away to avoid a flash of English,
+ * then refreshed from the server in the background
+ */
+export function initI18n() {
+    const locale = detectLocale();
+    if (locale === DEFAULT_LOCALE) {
+        applyDocumentLocale(locale);
+        return;
+    }
+
+    const cached = readStorage(`messages.${locale}`, null);
+    if (cached) {
+        catalogs[locale] = cached;
+        activate(locale);
+    }
+
+    loadCatalog(locale)
+        .then(messages => {
+            catalogs[locale] = messages;
+            // Don't undo a language picked while the request was in flight
+            if (activeLocale === locale || (!cached && activeLocale === DEFAULT_LOCALE)) activate(locale);
+        })
+        .catch(err => console.warn(err.message));
+}
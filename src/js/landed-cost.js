@@ -0,0 +1,176 @@
+/* ============================================
+   LANDED COST
+   Indicative price of an order under EXW, FOB,
+   CFR or CIF, and what it costs the buyer landed
+   at the destination port. Prices, freight,
+   insurance and port charges come from
+   src/data/freight-rates.json (USD); other
+   currencies from src/data/exchange-rates.json.
+   ============================================ */
+
+import en from '../../locales/en.json' with { type: 'json' };
+import freightRates from '../data/freight-rates.json' with { type: 'json' };
+import exchangeRates from '../data/exchange-rates.json' with { type: 'json' };
+import { QUOTE_SPECIES, PACKING_STATES, QUANTITY_UNITS, getQuoteCuts } from './rfq.js';
+
+export const FREIGHT_RATES = freightRates;
+
+export const EXCHANGE_RATES = exchangeRates;
+
+/** Incoterms offered, each including everything the one before it does */
+export const INCOTERMS = ['EXW', 'FOB', 'CFR', 'CIF'];
+
+/** Largest order the estimator prices, in tonnes */
+export const MAX_ESTIMATE_TONNES = 500;
+
+/** Error messages; quantity has a {max} placeholder */
+export const ESTIMATOR_MESSAGES = en.estimator.errors;
+
+/** Page that hosts the full estimator, used by links from the quote cart */
+export const ESTIMATOR_PAGE = 'markets.html';
+
+/** Query-string names of the estimator's fields */
+export const ESTIMATOR_PARAMS = {
+    product: 'species',
+    cut: 'cut',
+    state: 'state',
+    quantity: 'quantity',
+    unit: 'unit',
+    port: 'port',
+    incoterm: 'incoterm',
+    container: 'container',
+    currency: 'currency'
+};
+
+// Cost lines in order, and the first Incoterm whose price includes each
+const COST_LINES = [
+    ['goods', 'EXW'],
+    ['origin', 'FOB'],
+    ['freight', 'CFR'],
+    ['insurance', 'CIF'],
+    ['destination', null]
+];
+
+/**
+ * Round money to cents
+ * @param {number} value - Amount
+ * @returns {number}
+ */
+function roundMoney(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * Containers needed for a weight; part loads still take a whole reefer
+ * @param {number} kg - Net weight
+ * @param {string} container - Key of FREIGHT_RATES.containers
+ * @param {Object} [rates] - Rate table
+ * @returns {number}
+ */
+export function containersNeeded(kg, container, rates = FREIGHT_RATES) {
+    return Math.max(1, Math.ceil(kg / rates.containers[container].payloadKg));
+}
+
+/**
+ * Convert a rate-table amount into another currency
+ * @param {number} amount - Amount in the rate table's currency
+ * @param {string} currency - ISO 4217 code in the exchange-rate file
+ * @param {Object} [exchange] - Exchange-rate file
+ * @returns {number}
+ */
+export function convertCurrency(amount, currency, exchange = EXCHANGE_RATES) {
+    return roundMoney(amount * exchange.rates[currency]);
+}
+
+/**
+ * Estimate an order's price and landed cost
+ * @param {Object} input
+ * @param {string} input.species - Product id (goat, sheep, lamb)
+ * @param {string} input.cut - Cut id
+ * @param {string} input.state - chilled or frozen
+ * @param {number} input.quantity - Amount in `unit`
+ * @param {string} input.unit - kg or t
+ * @param {string} input.incoterm - One of INCOTERMS
+ * @param {string} input.port - Destination port in the rate table
+ * @param {string} input.container - reefer20 or reefer40
+ * @param {string} input.currency - Currency in the exchange-rate file
+ * @param {Object} [options]
+ * @param {Object} [options.rates] - Rate table
+ * @param {Object} [options.exchange] - Exchange-rate file
+ * @param {Object} [options.messages] - Error messages, see ESTIMATOR_MESSAGES
+ * @returns {{valid: boolean, estimate: Object|null, error: string}}
+ */
+export function estimateLandedCost(input, { rates = FREIGHT_RATES, exchange = EXCHANGE_RATES, messages = ESTIMATOR_MESSAGES } = {}) {
+    const quantity = Number(input.quantity);
+    const kg = input.unit === 't' ? quantity * 1000 : quantity;
+    const fail = error => ({ valid: false, estimate: null, error });
+
+    const known = Object.hasOwn(QUOTE_SPECIES, input.species) &&
+        Object.hasOwn(getQuoteCuts(input.species), input.cut) &&
+        Object.hasOwn(PACKING_STATES, input.state) &&
+        Object.hasOwn(QUANTITY_UNITS, input.unit) &&
+        INCOTERMS.includes(input.incoterm) &&
+        Object.hasOwn(rates.containers, input.container) &&
+        Object.hasOwn(exchange.rates, input.currency) &&
+        Number.isFinite(rates.prices[input.species]?.[input.state]);
+    if (!known) return fail(messages.invalid);
+    if (!Number.isFinite(kg) || kg < 100 || kg > MAX_ESTIMATE_TONNES * 1000) {
+        return fail(messages.quantity.replace('{max}', MAX_ESTIMATE_TONNES));
+    }
+    if (!Object.hasOwn(rates.ports, input.port)) return fail(messages.port);
+
+    const port = rates.ports[input.port];
+    const containers = containersNeeded(kg, input.container, rates);
+    const basePrice = rates.prices[input.species][input.state] * (rates.cutFactors[input.cut] ?? 1);
+
+    // Everything in the rate table's currency until the end
+    const goods = kg * basePrice;
+    const origin = containers * rates.containers[input.container].originCharges;
+    const freight = containers * port.freight[input.container];
+    const insurance = (goods + origin + freight) * rates.insurance.cover * rates.insurance.rate;
+    const destination = containers * port.destinationCharges[input.container];
+    const amounts = { goods, origin, freight, insurance, destination };
+
+    const included = INCOTERMS.indexOf(input.incoterm);
+    const lines = COST_LINES.map(([id, from]) => ({
+        id,
+        amount: convertCurrency(amounts[id], input.currency, exchange),
+        included: from !== null && INCOTERMS.indexOf(from) <= included
+    }));
+    const price = roundMoney(lines.filter(line => line.included).reduce((sum, line) => sum + line.amount, 0));
+    const landed = roundMoney(lines.reduce((sum, line) => sum + line.amount, 0));
+
+    return {
+        valid: true,
+        estimate: {
+            ...input,
+            quantity,
+            kg,
+            containers,
+            unitPrice: convertCurrency(basePrice, input.currency, exchange),
+            lines,
+            price,
+            landed,
+            pricePerKg: roundMoney(price / kg),
+            landedPerKg: roundMoney(landed / kg),
+            exchangeRate: exchange.rates[input.currency],
+            ratesUpdatedOn: rates.updatedOn
+        },
+        error: ''
+    };
+}
+
+/**
+ * Link to the estimator prefilled with an order
+ * Lives here rather than in cost-estimator.js so the quote cart can
+ * link to the estimator without loading it
+ * @param {Object} values - Any of the estimator fields (species, cut, state, quantity, unit, port...)
+ * @returns {string}
+ */
+export function buildEstimatorUrl(values) {
+    const params = new URLSearchParams();
+    Object.entries(ESTIMATOR_PARAMS).forEach(([param, field]) => {
+        if (values[field] !== undefined && values[field] !== '') params.set(param, values[field]);
+    });
+    return `${ESTIMATOR_PAGE}?${params}#estimator`;
+}
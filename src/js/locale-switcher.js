@@ -0,0 +1,65 @@
+/* ============================================
+   LANGUAGE SWITCHER
+   Navbar dropdown listing the supported locales.
+   Uses the regular dropdown markup, so it must be
+   added before initDropdowns() runs.
+   ============================================ */
+
+import { escapeHtml } from './utils.js';
+import { LOCALES, getLocale, setLocale, t } from './i18n.js';
+import { closeDropdown } from './dropdowns.js';
+
+const GLOBE_ICON = '<svg class="nav-locale-icon" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="currentColor" aria-hidden="true"><path d="M12 2a10 10 0 1 0 0 20 10 10 0 0 0 0-20zm6.93 6h-2.95a15.65 15.65 0 0 0-1.38-3.56A8.03 8.03 0 0 1 18.93 8zM12 4.04c.83 1.2 1.48 2.53 1.91 3.96h-3.82c.43-1.43 1.08-2.76 1.91-3.96zM4.26 14a8.2 8.2 0 0 1 0-4h3.38a16.5 16.5 0 0 0 0 4H4.26zm.81 2h2.95c.32 1.25.78 2.45 1.38 3.56A7.99 7.99 0 0 1 5.07 16zm2.95-8H5.07a7.99 7.99 0 0 1 4.33-3.56A15.65 15.65 0 0 0 8.02 8zM12 19.96c-.83-1.2-1.48-2.53-1.91-3.96h3.82c-.43 1.43-1.08 2.76-1.91 3.96zM14.34 14H9.66a14.7 14.7 0 0 1 0-4h4.68a14.7 14.7 0 0 1 0 4zm.25 5.56c.6-1.11 1.06-2.31 1.38-3.56h2.95a8.03 8.03 0 0 1-4.33 3.56zM16.36 14a16.5 16.5 0 0 0 0-4h3.38a8.2 8.2 0 0 1 0 4h-3.38z"/></svg>';
+
+/**
+ * Reflect the active locale on the toggle and options
+ * @param {HTMLElement} item - Switcher list item
+ */
+function updateSwitcher(item) {
+    const locale = getLocale();
+    const toggle = item.querySelector('.nav-locale-toggle');
+
+    toggle.querySelector('.nav-locale-code').textContent = locale.toUpperCase();
+    toggle.setAttribute('aria-label', `${t('language.label')}: ${LOCALES[locale].name}`);
+    toggle.title = t('language.choose');
+
+    item.querySelectorAll('[data-locale]').forEach(option => {
+        const current = option.dataset.locale === locale;
+        option.classList.toggle('active', current);
+        if (current) option.setAttribute('aria-current', 'true');
+        else option.removeAttribute('aria-current');
+    });
+}
+
+/**
+ * Add the language dropdown to the end of the navigation
+ */
+export function initLocaleSwitcher() {
+    const navMenu = document.getElementById('navMenu');
+    if (!navMenu) return;
+
+    const options = Object.entries(LOCALES)
+        .map(([code, { name }]) => `<li><button type="button" class="dropdown-link" data-locale="${code}" lang="${code}">${escapeHtml(name)}</button></li>`)
+        .join('');
+
+    const item = document.createElement('li');
+    item.className = 'nav-item dropdown nav-locale';
+    item.innerHTML = `
+        <button type="button" class="nav-link dropdown-toggle nav-locale-toggle">
+            ${GLOBE_ICON}
+            <span class="nav-locale-code"></span>
+        </button>
+        <ul class="dropdown-menu">${options}</ul>`;
+    navMenu.appendChild(item);
+
+    item.querySelector('.dropdown-menu').addEventListener('click', async (e) => {
+        const option = e.target.closest('[data-locale]');
+        if (!option) return;
+
+        closeDropdown(item, { returnFocus: true });
+        await setLocale(option.dataset.locale);
+    });
+
+    document.addEventListener('localechange', () => updateSwitcher(item));
+    updateSwitcher(item);
+}
@@ -0,0 +1,78 @@
+/* ============================================
+   FRESHFLOW FOODS - MAIN JAVASCRIPT
+   Entry point for js/main.optimized.js
+   Build with: node scripts/build.js
+   ============================================ */
+
+import { deferInit, onReady, initPageFeatures } from './utils.js';
+import { initHeader, initActiveNav } from './header.js';
+import { initMobileMenu, initResponsiveHandlers } from './menu.js';
+import { initDropdowns } from './dropdowns.js';
+import { initI18n } from './i18n.js';
+import { initLocaleSwitcher } from './locale-switcher.js';
+import { initCatalog } from './catalog-cards.js';
+import { initSearch } from './search.js';
+import { initHeroSwiper } from './swiper.js';
+import { initSmoothScroll, initBackToTop, scrollToHash } from './scroll.js';
+import { initScrollAnimations, initBreedCardsAnimation, initLazyImages, initPreloader } from './animations.js';
+import { initContactForm } from './form.js';
+import { initQuoteCart } from './quote-cart.js';
+import { initOfflineSupport } from './pwa.js';
+import { initConsent } from './consent.js';
+import { initAnalytics } from './analytics.js';
+
+/* ============================================
+   CRITICAL - Run Immediately for Core Functionality
+   ============================================ */
+
+onReady(() => {
+    // Stored choices first: analytics and the WhatsApp hints wait for them
+    initConsent();
+    initAnalytics();
+    initHeader();
+    initMobileMenu();
+    initLocaleSwitcher();
+    initDropdowns();
+    initCatalog();
+    initSearch();
+    
+    // Translate after the catalog and search markup exist
+    initI18n();
+    
+    // Deep links (e.g. from search results) land below the fixed header
+    if (window.location.hash) scrollToHash();
+});
+
+/* ============================================
+   DEFERRED - Initialize After First Paint
+   ============================================ */
+
+/**
+ * Initialize non-critical features after first paint
+ * Swiper waits two animation frames, the rest waits for idle time
+ */
+function initDeferredFeatures() {
+    requestAnimationFrame(() => {
+        requestAnimationFrame(() => {
+            initHeroSwiper();
+            
+            deferInit(() => {
+                initSmoothScroll();
+                initScrollAnimations();
+                initBreedCardsAnimation();
+                initLazyImages();
+                initContactForm();
+                initOfflineSupport();
+                initQuoteCart();
+                // The page's own bundle, e.g. js/partner.optimized.js
+                initPageFeatures();
+                initActiveNav();
+                initBackToTop();
+                initResponsiveHandlers();
+            });
+        });
+    });
+}
+
+onReady(initDeferredFeatures);
+initPreloader();
@@ -0,0 +1,114 @@
+/* ============================================
+   MOBILE MENU
+   The hamburger is a disclosure button for the
+   off-canvas menu. While the menu is open, Tab
+   cycles through the button and the menu,
+   Escape closes it and focus goes back to the
+   button.
+   ============================================ */
+
+import { debounce, MOBILE_BREAKPOINT } from './utils.js';
+import { closeAllDropdowns } from './dropdowns.js';
+
+const FOCUSABLE = 'a[href], button:not([disabled]), input:not([disabled]), select, textarea, [tabindex]:not([tabindex="-1"])';
+
+/**
+ * Close the mobile menu and restore body scrolling
+ * @param {HTMLElement} navToggle - Hamburger button
+ * @param {HTMLElement} navMenu - Navigation list
+ * @param {Object} [options]
+ * @param {boolean} [options.returnFocus] - Move focus back to the hamburger
+ */
+export function closeMobileMenu(navToggle, navMenu, { returnFocus = false } = {}) {
+    navToggle.classList.remove('active');
+    navToggle.setAttribute('aria-expanded', 'false');
+    navMenu.classList.remove('active');
+    document.body.style.overflow = '';
+    if (returnFocus) navToggle.focus();
+}
+
+/**
+ * Open the mobile menu and move focus to its first link
+ * @param {HTMLElement} navToggle - Hamburger button
+ * @param {HTMLElement} navMenu - Navigation list
+ */
+function openMobileMenu(navToggle, navMenu) {
+    navToggle.classList.add('active');
+    navToggle.setAttribute('aria-expanded', 'true');
+    navMenu.classList.add('active');
+
+    // Prevent body scroll when menu is open
+    document.body.style.overflow = 'hidden';
+    navMenu.querySelector(FOCUSABLE)?.focus();
+}
+
+/**
+ * Initialize mobile menu toggle
+ */
+export function initMobileMenu() {
+    const navToggle = document.getElementById('navToggle');
+    const navMenu = document.getElementById('navMenu');
+
+    if (!navToggle || !navMenu) return;
+
+    navToggle.setAttribute('aria-controls', navMenu.id);
+    navToggle.setAttribute('aria-expanded', 'false');
+    const isOpen = () => navMenu.classList.contains('active');
+
+    // Toggle menu on button click
+    navToggle.addEventListener('click', () => {
+        if (isOpen()) closeMobileMenu(navToggle, navMenu);
+        else openMobileMenu(navToggle, navMenu);
+    });
+
+    // Close on outside click
+    document.addEventListener('click', (e) => {
+        if (isOpen() && !navMenu.contains(e.target) && !navToggle.contains(e.target)) {
+            closeMobileMenu(navToggle, navMenu);
+        }
+    });
+
+    // Close on link click
+    navMenu.querySelectorAll('.nav-link:not(.dropdown-toggle)').forEach(link => {
+        link.addEventListener('click', () => closeMobileMenu(navToggle, navMenu));
+    });
+
+    document.addEventListener('keydown', (e) => {
+        if (!isOpen()) return;
+
+        if (e.key === 'Escape') {
+            closeMobileMenu(navToggle, navMenu, { returnFocus: true });
+        } else if (e.key === 'Tab') {
+            // Keep focus on the button and the menu items, skipping closed dropdowns
+            const focusable = [navToggle, ...[...navMenu.querySelectorAll(FOCUSABLE)]
+                .filter(el => !el.closest('.dropdown:not(.active) .dropdown-menu'))];
+            const first = focusable[0];
+            const last = focusable[focusable.length - 1];
+            if (e.shiftKey && document.activeElement === first) {
+                e.preventDefault();
+                last.focus();
+            } else if (!e.shiftKey && (document.activeElement === last || !focusable.includes(document.activeElement))) {
+                e.preventDefault();
+                first.focus();
+            }
+        }
+    });
+}
+
+/**
+ * Reset the mobile menu and dropdowns when resizing to desktop
+ */
+export function initResponsiveHandlers() {
+    const handleResize = debounce(() => {
+        if (window.innerWidth > MOBILE_BREAKPOINT) {
+            const navMenu = document.getElementById('navMenu');
+            const navToggle = document.getElementById('navToggle');
+            if (navMenu && navToggle) {
+                closeMobileMenu(navToggle, navMenu);
+            }
+            closeAllDropdowns();
+        }
+    }, 150);
+
+    window.addEventListener('resize', handleResize, { passive: true });
+}
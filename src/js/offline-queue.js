@@ -0,0 +1,200 @@
+/* ============================================
+   OFFLINE ENQUIRY QUEUE
+   Enquiries that could not reach the server are
+   kept in IndexedDB and sent when the connection
+   returns: by the service worker's background
+   sync where the browser has it, else by the page
+   on its next "online" event or visit. Runs in
+   both the page bundle and sw.js, so it only uses
+   globals the two share.
+   ============================================ */
+
+import { FORM_TOKEN_ENDPOINT } from './form-guard.js';
+
+/** Background sync tag the page registers and sw.js listens for */
+export const SYNC_TAG = 'enquiry-queue';
+
+/** Message type sw.js posts to the pages after sending queued enquiries */
+export const QUEUE_MESSAGE = 'enquiry-queue';
+
+const DB_NAME = 'freshflow';
+const DB_VERSION = 1;
+const STORE = 'enquiries';
+
+// server/lib/spam.js accepts tokens up to a day old; leave an hour for the request
+const TOKEN_MAX_AGE_MS = 23 * 60 * 60 * 1000;
+
+// server/enquiries.js turns away forms sent within 3 s of their token
+const FRESH_TOKEN_WAIT_MS = 3500;
+
+// Responses worth trying again later; anything else will never be accepted
+const RETRY_STATUSES = [408, 429, 500, 502, 503, 504];
+
+/**
+ * Settle an IndexedDB request or transaction
+ * @param {IDBRequest|IDBTransaction} target
+ * @returns {Promise<*>} - The request's result
+ */
+function settle(target) {
+    return new Promise((resolve, reject) => {
+        if ('oncomplete' in target) {
+            target.oncomplete = () => resolve();
+            target.onabort = target.onerror = () => reject(target.error);
+        } else {
+            target.onsuccess = () => resolve(target.result);
+            target.onerror = () => reject(target.error);
+        }
+    });
+}
+
+/**
+ * Open the queue database
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase() {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+    };
+    return settle(request);
+}
+
+/**
+ * Run one request against the queue store and wait for its transaction
+ * @param {IDBTransactionMode} mode - readonly or readwrite
+ * @param {Function} action - (store) => IDBRequest
+ * @returns {Promise<*>} - The request's result
+ */
+async function withStore(mode, action) {
+    const db = await openDatabase();
+    try {
+        const transaction = db.transaction(STORE, mode);
+        const [result] = await Promise.all([settle(action(transaction.objectStore(STORE))), settle(transaction)]);
+        return result;
+    } finally {
+        db.close();
+    }
+}
+
+/**
+ * Whether this browser can queue enquiries
+ * @returns {boolean}
+ */
+export function canQueueEnquiries() {
+    return typeof indexedDB !== 'undefined';
+}
+
+/**
+ * Store an enquiry to send later
+ * @param {string} endpoint - API URL it was meant for
+ * @param {Object} payload - Request body, including the form guard fields
+ * @param {string} locale - Language for the server's replies
+ * @returns {Promise<number>} - Queue id
+ */
+export function queueEnquiry(endpoint, payload, locale) {
+    return withStore('readwrite', store => store.add({ endpoint, payload, locale, queuedAt: new Date().toISOString() }));
+}
+
+/**
+ * Enquiries waiting to be sent, oldest first
+ * @returns {Promise<Object[]>}
+ */
+export function queuedEnquiries() {
+    return withStore('readonly', store => store.getAll());
+}
+
+/**
+ * Take an enquiry off the queue
+ * @param {number} id - Queue id
+ * @returns {Promise<void>}
+ */
+function removeEnquiry(id) {
+    return withStore('readwrite', store => store.delete(id));
+}
+
+/**
+ * Keep a changed entry
+ * @param {Object} entry - Queue entry with its id
+ * @returns {Promise<void>}
+ */
+function updateEnquiry(entry) {
+    return withStore('readwrite', store => store.put(entry));
+}
+
+/**
+ * Whether a form token can still be used
+ * @param {string} token - "<issuedAt>.<signature>"
+ * @param {number} now - Current time
+ * @returns {boolean}
+ */
+function tokenUsable(token, now) {
+    const issuedAt = Number(String(token || '').split('.')[0]);
+    return issuedAt > 0 && now - issuedAt < TOKEN_MAX_AGE_MS;
+}
+
+/**
+ * Payload with a form token the server will accept
+ * A token fetched now is only accepted once it is a few seconds old
+ * @param {Object} payload - Queued payload
+ * @returns {Promise<Object>}
+ */
+async function withFreshToken(payload) {
+    if (tokenUsable(payload.formToken, Date.now())) return payload;
+
+    const response = await fetch(FORM_TOKEN_ENDPOINT, { headers: { 'Accept': 'application/json' } });
+    const data = await response.json();
+    if (!response.ok || typeof data.token !== 'string') throw new Error('No form token');
+
+    await new Promise(resolve => setTimeout(resolve, FRESH_TOKEN_WAIT_MS));
+    return { ...payload, formToken: data.token };
+}
+
+/**
+ * Send every queued enquiry, oldest first, stopping at the first that cannot be sent yet
+ * @returns {Promise<{sent: Object[], rejected: Object[], pending: number}>} -
+ *          sent: {id, reference, payload}; rejected: {id, error, payload} (turned away for good)
+ */
+export async function sendQueuedEnquiries() {
+    const entries = await queuedEnquiries();
+    const sent = [];
+    const rejected = [];
+
+    for (const [index, entry] of entries.entries()) {
+        let response;
+        try {
+            const payload = await withFreshToken(entry.payload);
+            response = await fetch(entry.endpoint, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Accept': 'application/json',
+                    'Accept-Language': entry.locale
+                },
+                body: JSON.stringify(payload)
+            });
+        } catch {
+            // Still offline
+            return { sent, rejected, pending: entries.length - index };
+        }
+
+        const data = await response.json().catch(() => ({}));
+        if (RETRY_STATUSES.includes(response.status)) return { sent, rejected, pending: entries.length - index };
+
+        if (data.reason === 'token' || data.reason === 'too_fast') {
+            // Clock skew: drop the token so the next attempt fetches a new one
+            await updateEnquiry({ ...entry, payload: { ...entry.payload, formToken: '' } });
+            return { sent, rejected, pending: entries.length - index };
+        }
+
+        await removeEnquiry(entry.id);
+        if (response.ok && data.ok) {
+            sent.push({ id: entry.id, reference: data.reference, payload: entry.payload });
+        } else if (data.reason === 'duplicate') {
+            // An earlier attempt got through but its reply was lost
+            sent.push({ id: entry.id, reference: '', payload: entry.payload });
+        } else {
+            rejected.push({ id: entry.id, error: data.error || '', payload: entry.payload });
+        }
+    }
+    return { sent, rejected, pending: 0 };
+}
@@ -0,0 +1,11 @@
+/* ============================================
+   ACCOUNT PAGE
+   Entry point for js/account.optimized.js, which
+   account.html loads after js/main.optimized.js
+   Build with: node scripts/build.js
+   ============================================ */
+
+import { addPageFeature } from '../utils.js';
+import { initAccount } from '../account.js';
+
+addPageFeature(initAccount);
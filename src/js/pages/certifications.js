@@ -0,0 +1,12 @@
+/* ============================================
+   CERTIFICATION REGISTRY PAGE
+   Entry point for js/certifications.optimized.js,
+   which markets.html loads after
+   js/main.optimized.js
+   Build with: node scripts/build.js
+   ============================================ */
+
+import { addPageFeature } from '../utils.js';
+import { initCertifications } from '../certifications.js';
+
+addPageFeature(initCertifications);
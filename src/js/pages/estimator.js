@@ -0,0 +1,12 @@
+/* ============================================
+   COST ESTIMATOR PAGES
+   Entry point for js/estimator.optimized.js,
+   which markets.html and contact.html load after
+   js/main.optimized.js
+   Build with: node scripts/build.js
+   ============================================ */
+
+import { addPageFeature } from '../utils.js';
+import { initCostEstimator } from '../cost-estimator.js';
+
+addPageFeature(initCostEstimator);
@@ -0,0 +1,12 @@
+/* ============================================
+   PARTNER PAGE
+   Entry point for js/partner.optimized.js, which
+   partner.html loads after js/main.optimized.js
+   Build with: node scripts/build.js
+   ============================================ */
+
+import { addPageFeature } from '../utils.js';
+import { initPartnerApplication, initPartnerStatus } from '../partner-application.js';
+
+addPageFeature(initPartnerApplication);
+addPageFeature(initPartnerStatus);
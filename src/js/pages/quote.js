@@ -0,0 +1,16 @@
+/* ============================================
+   QUOTE PAGES
+   Entry point for js/quote.optimized.js, which
+   the pages with the contact form or product
+   cards (and so the quote cart) load after
+   js/main.optimized.js: the home page, where a
+   reorder opens the cart, contact and the lamb,
+   goat and sheep product pages
+   Build with: node scripts/build.js
+   ============================================ */
+
+import { addPageFeature } from '../utils.js';
+import { initBuyerPrefill } from '../buyer-session.js';
+
+// Runs after initQuoteCart(), which adds the quote form
+addPageFeature(initBuyerPrefill);
@@ -0,0 +1,14 @@
+/* ============================================
+   TRACKING PAGE
+   Entry point for js/track.optimized.js, which
+   track.html loads after js/main.optimized.js
+   Build with: node scripts/build.js
+   ============================================ */
+
+import { onReady } from '../utils.js';
+import { initTracking } from '../track.js';
+
+// A scanned label should show its consignment without waiting for idle
+// time, so this runs with the critical features (after the page is
+// translated), not with the deferred page features
+onReady(initTracking);
@@ -0,0 +1,401 @@
+/* ============================================
+   PARTNER APPLICATION
+   partner.html - a four-step application for
+   importers and distributors. Each step is
+   checked before the next one opens, answers are
+   kept as a draft in localStorage (documents
+   can't be, so they are attached again) and the
+   documents are sent base64 encoded with the
+   form. Applicants look up their review status
+   with the reference and their email address.
+   ============================================ */
+
+import { escapeHtml } from './utils.js';
+import { t, getLocale, getMessages } from './i18n.js';
+import { createForm, labelText } from './form-engine.js';
+import { createFormGuard } from './form-guard.js';
+import { postEnquiry, setButtonLoading } from './form.js';
+import { readStorage, writeStorage, removeStorage } from './storage.js';
+import { flagEmoji } from './phone.js';
+import {
+    PARTNER_SCHEMA, PARTNER_DOCUMENTS, PARTNER_MARKETS, PARTNER_STATUSES,
+    checkDocuments, normalizeReference
+} from './partner.js';
+
+export const PARTNER_ENDPOINT = '/api/partner-applications';
+export const PARTNER_STATUS_ENDPOINT = `${PARTNER_ENDPOINT}/status`;
+
+const DRAFT_KEY = 'partnerDraft';
+
+/** Schema of the form: the fields plus the uploads, whose type and size are checked separately */
+const FORM_SCHEMA = {
+    ...PARTNER_SCHEMA,
+    ...Object.fromEntries(Object.entries(PARTNER_DOCUMENTS).map(([field, { required }]) => [field, { required }]))
+};
+
+/**
+ * Format an ISO date in the active language
+ * @param {string} value - ISO timestamp
+ * @returns {string}
+ */
+function formatDate(value) {
+    return new Intl.DateTimeFormat(getLocale(), { dateStyle: 'medium' }).format(new Date(value));
+}
+
+/**
+ * Country names in the active language
+ * @returns {Function} - (code) => name
+ */
+function countryNames() {
+    try {
+        const names = new Intl.DisplayNames([getLocale()], { type: 'region' });
+        return code => names.of(code) || code;
+    } catch {
+        return code => code;
+    }
+}
+
+/**
+ * Render the target market checkboxes, sorted by name in the active language
+ * @param {HTMLElement} list - Container inside the markets fieldset
+ * @param {string[]} checked - Country codes to tick
+ */
+function renderMarkets(list, checked) {
+    const name = countryNames();
+    const collator = new Intl.Collator(getLocale());
+    list.innerHTML = PARTNER_MARKETS
+        .map(code => ({ code, label: name(code) }))
+        .sort((a, b) => collator.compare(a.label, b.label))
+        .map(({ code, label }) => `
+            <label class="partner-choice">
+                <input type="checkbox" name="markets" value="${code}"${checked.includes(code) ? ' checked' : ''}>
+                <span><span aria-hidden="true">${flagEmoji(code)}</span> ${escapeHtml(label)}</span>
+            </label>`)
+        .join('');
+}
+
+/**
+ * Read a file as base64, without the data: URL prefix
+ * @param {File} file
+ * @returns {Promise<string>}
+ */
+function readBase64(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new window.FileReader();
+        reader.onload = () => resolve(String(reader.result).split(',')[1] || '');
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(file);
+    });
+}
+
+/**
+ * The file chosen in each upload field
+ * @param {HTMLFormElement} form
+ * @returns {Object} - Field name to File
+ */
+function chosenFiles(form) {
+    return Object.fromEntries(Object.keys(PARTNER_DOCUMENTS)
+        .map(field => [field, form.elements.namedItem(field)?.files?.[0]])
+        .filter(([, file]) => file));
+}
+
+/**
+ * A field's answer as shown in the review
+ * @param {Object} field - Engine field
+ * @param {*} value - Its value
+ * @returns {string}
+ */
+function reviewValue(field, value) {
+    const { input } = field;
+    if (Array.isArray(value)) {
+        const name = countryNames();
+        return value.map(name).join(', ');
+    }
+    if (!value) return '';
+    if (input.tagName === 'SELECT') return input.selectedOptions[0]?.textContent.trim() || value;
+    if (input.type === 'number') return t('partners.tonnes', { amount: new Intl.NumberFormat(getLocale()).format(Number(value)) });
+    return value;
+}
+
+/**
+ * Initialize the partner application
+ */
+export function initPartnerApplication() {
+    const form = document.getElementById('partnerForm');
+    if (!form) return;
+
+    const steps = [...form.querySelectorAll('.partner-step')];
+    const progress = [...document.querySelectorAll('#partnerProgress li')];
+    const marketList = document.getElementById('partnerMarketList');
+    const draftNotice = document.getElementById('partnerDraft');
+    const draftText = document.getElementById('partnerDraftText');
+    const discardBtn = document.getElementById('partnerDiscard');
+    const backBtn = document.getElementById('partnerBack');
+    const nextBtn = document.getElementById('partnerNext');
+    const saveBtn = document.getElementById('partnerSave');
+    const submitBtn = document.getElementById('partnerSubmit');
+    const saved = document.getElementById('partnerSaved');
+    const formError = document.getElementById('partnerFormError');
+    const success = document.getElementById('partnerSuccess');
+    const review = document.getElementById('partnerReview');
+    const guard = createFormGuard(form, { eager: false });
+    let current = 0;
+
+    const draft = readStorage(DRAFT_KEY, null);
+    const restored = draft && typeof draft.values === 'object' ? draft : null;
+    renderMarkets(marketList, [].concat(restored?.values.markets ?? []));
+
+    const engine = createForm(form, FORM_SCHEMA, {
+        messages: () => ({ ...getMessages('validation'), ...getMessages('partners').errors })
+    });
+
+    const stepFields = step => engine.fields.filter(({ input }) => step.contains(input)).map(({ name }) => name);
+    const stepOf = name => steps.findIndex(step => stepFields(step).includes(name));
+
+    const showFormError = (message) => {
+        formError.textContent = message;
+        formError.hidden = !message;
+    };
+
+    const renderReview = () => {
+        const values = engine.values();
+        review.innerHTML = engine.fields
+            .filter(field => !steps.at(-1).contains(field.input) && !field.input.disabled)
+            .map(field => `<div><dt>${escapeHtml(labelText(field.input))}</dt><dd>${escapeHtml(reviewValue(field, values[field.name]) || t('partners.notGiven'))}</dd></div>`)
+            .join('');
+    };
+
+    const showStep = (index, { focus = true } = {}) => {
+        current = Math.max(0, Math.min(index, steps.length - 1));
+        steps.forEach((step, i) => { step.hidden = i !== current; });
+        progress.forEach((item, i) => {
+            item.classList.toggle('is-done', i < current);
+            if (i === current) item.setAttribute('aria-current', 'step');
+            else item.removeAttribute('aria-current');
+        });
+        const last = current === steps.length - 1;
+        backBtn.hidden = current === 0;
+        nextBtn.hidden = last;
+        submitBtn.hidden = !last;
+        if (last) renderReview();
+        if (focus) steps[current].querySelector('.partner-step-title')?.focus();
+    };
+
+    // Uploads stay out of the draft: browsers can't put a file back into an input
+    const saveDraft = () => {
+        const values = Object.fromEntries(Object.entries(engine.values()).filter(([name]) => !Object.hasOwn(PARTNER_DOCUMENTS, name)));
+        return writeStorage(DRAFT_KEY, { step: current, values, savedAt: new Date().toISOString() });
+    };
+
+    const showDraftNotice = () => {
+        draftText.textContent = t('partners.draftRestored', { date: formatDate(restored.savedAt) });
+    };
+
+    if (restored) {
+        engine.setValues(restored.values);
+        showStep(Number(restored.step) || 0, { focus: false });
+        if (restored.savedAt) {
+            showDraftNotice();
+            draftNotice.hidden = false;
+        }
+    } else {
+        showStep(0, { focus: false });
+    }
+
+    form.addEventListener('input', () => {
+        saved.textContent = '';
+        saveDraft();
+    });
+    form.addEventListener('change', () => saveDraft());
+
+    nextBtn.addEventListener('click', () => {
+        const { valid } = engine.validate({ only: stepFields(steps[current]) });
+        if (!valid) return;
+        showStep(current + 1);
+        saveDraft();
+    });
+
+    backBtn.addEventListener('click', () => {
+        engine.clearErrors();
+        showStep(current - 1);
+        saveDraft();
+    });
+
+    saveBtn.addEventListener('click', () => {
+        saved.textContent = saveDraft() ? t('partners.draftSaved') : t('partners.draftNotSaved');
+    });
+
+    discardBtn.addEventListener('click', () => {
+        removeStorage(DRAFT_KEY);
+        engine.reset();
+        // Restored markets were rendered ticked by default, which a reset keeps
+        renderMarkets(marketList, []);
+        draftNotice.hidden = true;
+        showFormError('');
+        saved.textContent = '';
+        showStep(0);
+    });
+
+    // Errors can be in an earlier step: open it before pointing at them
+    const showErrorsInStep = (errors) => {
+        const first = engine.fields.find(({ name }) => errors[name]);
+        if (first) showStep(stepOf(first.name), { focus: false });
+        engine.showErrors(errors);
+    };
+
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        showFormError('');
+
+        const files = chosenFiles(form);
+        const { errors, values } = engine.validate({ focus: false });
+        const documentErrors = checkDocuments(
+            Object.fromEntries(Object.entries(files).map(([field, file]) => [field, { mimeType: file.type, size: file.size }])),
+            { ...getMessages('validation'), ...getMessages('partners').errors }
+        );
+        const allErrors = { ...errors, ...documentErrors };
+        if (Object.keys(allErrors).length) {
+            showErrorsInStep(allErrors);
+            return;
+        }
+
+        setButtonLoading(submitBtn, true);
+        form.setAttribute('aria-busy', 'true');
+        try {
+            const documents = {};
+            for (const [field, file] of Object.entries(files)) {
+                documents[field] = { name: file.name, data: await readBase64(file) };
+            }
+            const payload = { ...values, documents, ...await guard.fields() };
+            Object.keys(PARTNER_DOCUMENTS).forEach(field => delete payload[field]);
+
+            const result = await postEnquiry(form.dataset.endpoint || PARTNER_ENDPOINT, payload);
+            removeStorage(DRAFT_KEY);
+            document.getElementById('partnerReference').textContent = result.reference;
+            // The status lookup is ready to go with the same details
+            document.getElementById('statusReference').value = result.reference;
+            document.getElementById('statusEmail').value = values.email;
+
+            form.hidden = true;
+            draftNotice.hidden = true;
+            document.getElementById('partnerProgress').hidden = true;
+            success.hidden = false;
+        } catch (err) {
+            if (err.fieldErrors && Object.keys(err.fieldErrors).length) showErrorsInStep(err.fieldErrors);
+            showFormError(err.message || t('errors.submit'));
+            // An expired token is replaced so the next attempt can go through
+            if (err.reason === 'token') guard.refresh();
+        } finally {
+            setButtonLoading(submitBtn, false);
+            form.setAttribute('aria-busy', 'false');
+        }
+    });
+
+    document.addEventListener('localechange', () => {
+        renderMarkets(marketList, engine.values().markets);
+        if (current === steps.length - 1) renderReview();
+        if (!draftNotice.hidden && restored?.savedAt) showDraftNotice();
+    });
+}
+
+/**
+ * Render an application's status
+ * @param {Object} application - From the status API
+ * @returns {string}
+ */
+function renderStatus(application) {
+    const status = Object.hasOwn(PARTNER_STATUSES, application.status) ? application.status : 'received';
+    const details = [
+        ['company', application.company],
+        ['submitted', formatDate(application.createdAt)],
+        ['updated', formatDate(application.updatedAt)]
+    ].map(([label, value]) => `<div><dt>${escapeHtml(t(`partners.fields.${label}`))}</dt><dd>${escapeHtml(value)}</dd></div>`).join('');
+
+    return `
+        <div class="track-summary">
+            <div>
+                <p class="track-summary-label">${escapeHtml(t('partners.fields.status'))}</p>
+                <h3 class="track-summary-id">${escapeHtml(application.reference)}</h3>
+            </div>
+            <span class="track-status partner-status-${status}">${escapeHtml(t(`partners.statuses.${status}`))}</span>
+        </div>
+        <p class="partner-status-note">${escapeHtml(t(`partners.statusNotes.${status}`))}</p>
+        <dl class="track-step-details">${details}</dl>
+        ${application.applicantMessage ? `
+        <div class="partner-status-message">
+            <h4>${escapeHtml(t('partners.fields.message'))}</h4>
+            <p>${escapeHtml(application.applicantMessage)}</p>
+        </div>` : ''}`;
+}
+
+/**
+ * Look up an application
+ * @param {string} reference
+ * @param {string} email
+ * @returns {Promise<Object>}
+ * @throws {Error} - With a message to show
+ */
+async function fetchStatus(reference, email) {
+    let response;
+    try {
+        response = await fetch(PARTNER_STATUS_ENDPOINT, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'Accept': 'application/json', 'Accept-Language': getLocale() },
+            body: JSON.stringify({ reference, email })
+        });
+    } catch {
+        throw new Error(t('partners.errors.lookupFailed'));
+    }
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok || !data.ok) throw new Error(data.error || t('partners.errors.lookupFailed'));
+    return data.application;
+}
+
+/**
+ * Initialize the application status lookup
+ */
+export function initPartnerStatus() {
+    const form = document.getElementById('partnerStatusForm');
+    const result = document.getElementById('partnerStatusResult');
+    if (!form || !result) return;
+
+    const message = document.getElementById('partnerStatusMessage');
+    const referenceInput = form.elements.namedItem('reference');
+    const emailInput = form.elements.namedItem('email');
+    let application = null;
+
+    const showMessage = (text, isError = false) => {
+        message.textContent = text;
+        message.classList.toggle('track-message-error', isError);
+    };
+
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        application = null;
+        result.hidden = true;
+        referenceInput.value = normalizeReference(referenceInput.value);
+        const email = emailInput.value.trim();
+        if (!referenceInput.value || !email) {
+            showMessage(t('partners.enterReference'), true);
+            return;
+        }
+
+        showMessage(t('partners.checking'));
+        form.setAttribute('aria-busy', 'true');
+        try {
+            application = await fetchStatus(referenceInput.value, email);
+            showMessage('');
+            result.innerHTML = renderStatus(application);
+            result.hidden = false;
+        } catch (err) {
+            showMessage(err.message, true);
+        } finally {
+            form.setAttribute('aria-busy', 'false');
+        }
+    });
+
+    document.addEventListener('localechange', () => {
+        if (application) result.innerHTML = renderStatus(application);
+    });
+}
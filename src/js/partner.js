@@ -0,0 +1,139 @@
+/* ============================================
+   PARTNER APPLICATIONS
+   Fields, documents and review statuses of the
+   importer and distributor application, shared
+   by partner.html, the server and the admin.
+   Documents travel as base64 in the JSON body,
+   so they are kept small.
+   ============================================ */
+
+import en from '../../locales/en.json' with { type: 'json' };
+import { validateSchema, MAX_LENGTHS, VALIDATION_MESSAGES } from './validation.js';
+import { QUOTE_SPECIES } from './rfq.js';
+
+export const PARTNER_BUSINESS_TYPES = en.partners.businessTypes;
+
+export const COLD_STORAGE_OPTIONS = en.partners.coldStorage;
+
+/** Markets an applicant can distribute in (ISO 3166-1 codes, named with Intl.DisplayNames) */
+export const PARTNER_MARKETS = ['AE', 'SA', 'QA', 'KW', 'OM', 'BH', 'JO', 'LB', 'EG', 'MY', 'SG', 'ID', 'HK', 'MV', 'KE', 'NG'];
+
+/** Review statuses in order, with their English labels */
+export const PARTNER_STATUSES = en.partners.statuses;
+
+/** Uploads by field name, with their English labels and whether they are needed */
+export const PARTNER_DOCUMENTS = {
+    licenceDocument: { label: en.partners.documents.licenceDocument, required: true },
+    registrationDocument: { label: en.partners.documents.registrationDocument, required: true },
+    storageDocument: { label: en.partners.documents.storageDocument, required: false }
+};
+
+/** Accepted document types and the extension they are stored with */
+export const DOCUMENT_TYPES = {
+    'application/pdf': 'pdf',
+    'image/jpeg': 'jpg',
+    'image/png': 'png'
+};
+
+export const MAX_DOCUMENT_SIZE = 3 * 1024 * 1024;
+
+/** Longest message to the applicant and internal notes accepted in the review */
+export const PARTNER_LIMITS = {
+    applicantMessage: 2000,
+    notes: 5000
+};
+
+/** Messages of the partner checks, over the validation messages */
+export const PARTNER_MESSAGES = { ...VALIDATION_MESSAGES, ...en.partners.errors };
+
+// Tonnes a month; an empty volume means the species isn't wanted
+const volumeRule = { format: 'number', min: 0.5, max: 5000 };
+const noVolume = values => !Object.keys(QUOTE_SPECIES).some(species => values[volumeField(species)]);
+
+/**
+ * Field name of a species' monthly volume
+ * @param {string} species - Product id, e.g. goat
+ * @returns {string} - e.g. volumeGoat
+ */
+export function volumeField(species) {
+    return `volume${species.charAt(0).toUpperCase()}${species.slice(1)}`;
+}
+
+/** Application fields (the documents are checked by checkDocuments) */
+export const PARTNER_SCHEMA = {
+    company: { required: true, minLength: 2, maxLength: 120 },
+    country: { required: true, minLength: 2, maxLength: 60 },
+    businessType: { required: true, oneOf: PARTNER_BUSINESS_TYPES },
+    name: { required: true, minLength: 2, maxLength: MAX_LENGTHS.name, messages: { minLength: 'name' } },
+    email: { required: true, maxLength: MAX_LENGTHS.email, format: 'email' },
+    phone: { required: true, maxLength: MAX_LENGTHS.phone, format: 'intlPhone' },
+    licenceNumber: { required: true, pattern: /[A-Za-z0-9][A-Za-z0-9/ .-]{3,39}/, messages: { pattern: 'licence' } },
+    markets: { required: true, multiple: true, oneOf: PARTNER_MARKETS, messages: { required: 'markets' } },
+    // One "at least one species" error is enough, so it goes on the first volume
+    ...Object.fromEntries(Object.keys(QUOTE_SPECIES).map((species, index) => [
+        volumeField(species),
+        index === 0 ? { ...volumeRule, required: noVolume, messages: { required: 'volume' } } : volumeRule
+    ])),
+    coldStorage: { required: true, oneOf: COLD_STORAGE_OPTIONS },
+    storageCapacity: { required: true, format: 'number', min: 1, max: 100000, when: values => Boolean(values.coldStorage) && values.coldStorage !== 'none' },
+    message: { maxLength: 2000 }
+};
+
+/**
+ * Check one uploaded document's type and size
+ * @param {{mimeType: string, size: number}} file - Declared (or sniffed) type and size in bytes
+ * @param {Object} [messages] - Error messages, see PARTNER_MESSAGES
+ * @returns {string} - Error message, or an empty string if it is acceptable
+ */
+export function checkDocument({ mimeType, size }, messages = PARTNER_MESSAGES) {
+    if (!Object.hasOwn(DOCUMENT_TYPES, mimeType)) return messages.fileType;
+    if (!(size > 0) || size > MAX_DOCUMENT_SIZE) {
+        return messages.fileSize.replace('{max}', MAX_DOCUMENT_SIZE / (1024 * 1024));
+    }
+    return '';
+}
+
+/**
+ * Check the uploaded documents: the required ones must be there, all must be acceptable
+ * @param {Object} documents - Field name to {mimeType, size}; missing fields are not uploaded
+ * @param {Object} [messages] - Error messages, see PARTNER_MESSAGES
+ * @returns {Object} - Field name to error message
+ */
+export function checkDocuments(documents = {}, messages = PARTNER_MESSAGES) {
+    const errors = {};
+    Object.entries(PARTNER_DOCUMENTS).forEach(([field, { required }]) => {
+        const file = documents[field];
+        const error = file ? checkDocument(file, messages) : (required ? messages.required : '');
+        if (error) errors[field] = error;
+    });
+    return errors;
+}
+
+/**
+ * Validate a complete application
+ * Volumes and the storage capacity come back as numbers (0 when not given)
+ * @param {Object} data - Raw submitted values
+ * @param {Object} [documents] - See checkDocuments()
+ * @param {Object} [messages] - Error messages, see PARTNER_MESSAGES
+ * @returns {{valid: boolean, errors: Object, values: Object}}
+ */
+export function validatePartnerApplication(data, documents, messages = PARTNER_MESSAGES) {
+    const result = validateSchema(PARTNER_SCHEMA, data, messages);
+    const errors = { ...result.errors, ...checkDocuments(documents, messages) };
+
+    const values = { ...result.values };
+    values.volumes = Object.fromEntries(Object.keys(QUOTE_SPECIES).map(species => [species, Number(values[volumeField(species)]) || 0]));
+    Object.keys(QUOTE_SPECIES).forEach(species => delete values[volumeField(species)]);
+    values.storageCapacity = Number(values.storageCapacity) || 0;
+
+    return { valid: Object.keys(errors).length === 0, errors, values };
+}
+
+/**
+ * Normalize a reference as typed (PTN-20261018-7K2Q)
+ * @param {string} reference
+ * @returns {string}
+ */
+export function normalizeReference(reference) {
+    return String(reference || '').trim().toUpperCase();
+}
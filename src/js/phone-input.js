@@ -0,0 +1,122 @@
+/* ============================================
+   PHONE INPUT
+   Puts a country-code selector with flags in
+   front of a tel input. The country starts as
+   the visitor's last choice, or is guessed from
+   the browser's languages; typing +<code> picks
+   it too. On commit (blur, submit) the number is
+   rewritten in international format, so what is
+   sent always carries its country code.
+   ============================================ */
+
+import { PHONE_METADATA, parsePhone, formatPhone, formatNationalNumber, flagEmoji, countryFromLanguages } from './phone.js';
+import { t, getLocale } from './i18n.js';
+import { readStorage, writeStorage } from './storage.js';
+
+const STORAGE_KEY = 'phoneCountry';
+
+/**
+ * Country names in the active language
+ * @returns {Function} - (code) => name
+ */
+function countryNames() {
+    try {
+        const names = new Intl.DisplayNames([getLocale()], { type: 'region' });
+        return code => names.of(code) || code;
+    } catch {
+        return code => code;
+    }
+}
+
+/**
+ * Render the country <option>s, sorted by name in the active language
+ * @param {HTMLSelectElement} select
+ * @param {string} selected - Country code
+ */
+function renderCountries(select, selected) {
+    const name = countryNames();
+    const collator = new Intl.Collator(getLocale());
+    select.innerHTML = '';
+    Object.keys(PHONE_METADATA)
+        .map(code => ({ code, label: name(code) }))
+        .sort((a, b) => collator.compare(a.label, b.label))
+        .forEach(({ code, label }) => {
+            const option = document.createElement('option');
+            option.value = code;
+            option.textContent = `${flagEmoji(code)} ${label} (+${PHONE_METADATA[code].dialCode})`;
+            option.defaultSelected = option.selected = code === selected;
+            select.appendChild(option);
+        });
+}
+
+/**
+ * Add the country selector to a tel input
+ * @param {HTMLInputElement} input
+ * @returns {{commit: Function, getCountry: Function}} - commit() rewrites the number in
+ *          international format; getCountry() is the selected country code
+ */
+export function createPhoneInput(input) {
+    const stored = readStorage(STORAGE_KEY, '');
+    let country = parsePhone(input.value).country ||
+        (Object.hasOwn(PHONE_METADATA, stored) ? stored : countryFromLanguages(navigator.languages || [navigator.language]));
+
+    const field = document.createElement('div');
+    field.className = 'phone-field';
+    field.innerHTML = `
+        <div class="phone-country">
+            <span class="phone-country-display" aria-hidden="true"></span>
+            <select class="phone-country-select" id="${input.id}Country"></select>
+        </div>`;
+    input.before(field);
+    field.appendChild(input);
+    input.setAttribute('autocomplete', 'tel');
+    input.setAttribute('inputmode', 'tel');
+
+    const select = field.querySelector('select');
+    const display = field.querySelector('.phone-country-display');
+
+    const label = () => {
+        select.setAttribute('aria-label', t('phone.country'));
+        renderCountries(select, country);
+    };
+
+    const setCountry = (code) => {
+        country = code;
+        // Also the default, so resetting the form keeps it
+        [...select.options].forEach(option => {
+            option.defaultSelected = option.selected = option.value === code;
+        });
+        display.textContent = `${flagEmoji(code)} +${PHONE_METADATA[code].dialCode}`;
+    };
+
+    select.addEventListener('change', () => {
+        const previous = parsePhone(input.value, country);
+        setCountry(select.value);
+        writeStorage(STORAGE_KEY, country);
+        // An international number moves to the new country's code
+        if (previous.dialCode && /^(?:\+|00)/.test(input.value.trim())) {
+            input.value = `+${PHONE_METADATA[country].dialCode} ${formatNationalNumber(previous.nationalNumber, country)}`.trim();
+        }
+    });
+
+    // Typing +<code> selects its country
+    input.addEventListener('input', () => {
+        if (!/^\s*(?:\+|00)/.test(input.value)) return;
+        const detected = parsePhone(input.value, country).country;
+        if (detected && detected !== country) setCountry(detected);
+    });
+
+    document.addEventListener('localechange', label);
+    label();
+    setCountry(country);
+
+    return {
+        commit() {
+            const phone = parsePhone(input.value, country);
+            if (!phone.dialCode) return;
+            if (phone.country && phone.country !== country) setCountry(phone.country);
+            input.value = formatPhone(input.value, country);
+        },
+        getCountry: () => country
+    };
+}
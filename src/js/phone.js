@@ -0,0 +1,150 @@
+/* ============================================
+   PHONE NUMBERS
+   E.164 parsing, validation and formatting from
+   src/data/phone-metadata.json (dialling code,
+   trunk prefix, national number lengths and
+   digit groups per country). Shared by the phone
+   input, the server and the admin dashboard.
+   Numbers from countries not in the metadata are
+   accepted when they are valid E.164.
+   ============================================ */
+
+import metadata from '../data/phone-metadata.json' with { type: 'json' };
+
+export const PHONE_METADATA = metadata;
+
+/** Used when the browser's language names no country we know */
+export const DEFAULT_PHONE_COUNTRY = 'IN';
+
+// Dialling code to countries; the first listed is assumed when a code is shared (+1)
+const BY_DIAL_CODE = Object.entries(metadata).reduce((codes, [country, { dialCode }]) => {
+    (codes[dialCode] ||= []).push(country);
+    return codes;
+}, {});
+
+/**
+ * Flag emoji of a country (regional indicator symbols)
+ * @param {string} country - ISO 3166-1 alpha-2 code
+ * @returns {string}
+ */
+export function flagEmoji(country) {
+    return [...country.toUpperCase()].map(letter => String.fromCodePoint(0x1F1A5 + letter.charCodeAt(0))).join('');
+}
+
+/**
+ * Guess the visitor's country from their languages ("ar-AE" -> AE)
+ * @param {string[]} languages - BCP 47 tags, e.g. navigator.languages
+ * @returns {string} - Country code in the metadata
+ */
+export function countryFromLanguages(languages = []) {
+    for (const tag of languages) {
+        const region = String(tag).split(/[-_]/).slice(1).find(part => /^[a-z]{2}$/i.test(part));
+        if (region && Object.hasOwn(metadata, region.toUpperCase())) return region.toUpperCase();
+    }
+    return DEFAULT_PHONE_COUNTRY;
+}
+
+/**
+ * Country of an international number's dialling code
+ * Dialling codes are prefix-free, so the first match is the only one
+ * @param {string} digits - Digits after the +
+ * @param {string} [preferred] - Country to pick when it shares the code
+ * @returns {string} - Country code, or '' when not in the metadata
+ */
+function countryForDigits(digits, preferred) {
+    for (let length = 1; length <= 3; length++) {
+        const countries = BY_DIAL_CODE[digits.slice(0, length)];
+        if (countries) return countries.includes(preferred) ? preferred : countries[0];
+    }
+    return '';
+}
+
+/**
+ * Remove a country's trunk prefix (the 0 in 050) from the front of a national number
+ * No national number of a country with a trunk prefix starts with it, so
+ * it is also dropped after a dialling code ("+44 (0)20", "+971 050")
+ * @param {string} digits - National number
+ * @param {string} country - Country code in the metadata
+ * @returns {string}
+ */
+function withoutTrunkPrefix(digits, country) {
+    const prefix = metadata[country]?.nationalPrefix;
+    return prefix && digits.startsWith(prefix) ? digits.slice(prefix.length) : digits;
+}
+
+/**
+ * Parse a phone number as typed
+ * International numbers start with + or 00; anything else is read as a
+ * national number of `country`. Either way the trunk prefix is dropped.
+ * @param {string} value - Phone number as typed
+ * @param {string} [country] - Country of national numbers (and of a shared dialling code)
+ * @returns {{country: string, dialCode: string, nationalNumber: string, e164: string, valid: boolean}}
+ */
+export function parsePhone(value, country = '') {
+    const text = String(value || '').trim();
+    const empty = { country: '', dialCode: '', nationalNumber: '', e164: '', valid: false };
+    // Digits, spaces and the usual separators only
+    if (!text || !/^(?:\+|00)?[\d\s().-]+$/.test(text)) return empty;
+
+    const international = /^(?:\+|00)/.test(text);
+    let digits = text.replace(/\D/g, '');
+    if (text.startsWith('00')) digits = digits.slice(2);
+
+    let target = country;
+    let dialCode;
+    let nationalNumber;
+    if (international) {
+        target = countryForDigits(digits, country);
+        dialCode = target ? metadata[target].dialCode : '';
+        nationalNumber = withoutTrunkPrefix(digits.slice(dialCode.length), target);
+    } else {
+        if (!metadata[country]) return empty;
+        dialCode = metadata[country].dialCode;
+        nationalNumber = withoutTrunkPrefix(digits, country);
+    }
+
+    const e164 = `+${dialCode}${nationalNumber}`;
+    const valid = target
+        ? metadata[target].lengths.includes(nationalNumber.length)
+        : /^\+[1-9]\d{7,14}$/.test(e164);
+    return { country: target, dialCode, nationalNumber, e164, valid };
+}
+
+/**
+ * Group a national number the way the country writes it
+ * @param {string} nationalNumber - Digits without the trunk prefix
+ * @param {string} country - Country code
+ * @returns {string} - e.g. "50 123 4567"; the digits as they are when no rule fits
+ */
+export function formatNationalNumber(nationalNumber, country) {
+    const format = metadata[country]?.formats.find(({ leading, groups }) =>
+        groups.reduce((sum, size) => sum + size, 0) === nationalNumber.length &&
+        (!leading || new RegExp(`^(?:${leading})`).test(nationalNumber)));
+    if (!format) return nationalNumber;
+
+    let start = 0;
+    return format.groups.map(size => nationalNumber.slice(start, start += size)).join(' ');
+}
+
+/**
+ * Write a number in international format, e.g. "+971 50 123 4567"
+ * @param {string} value - Phone number as typed or stored
+ * @param {string} [country] - Country of national numbers
+ * @returns {string} - The value unchanged when it can't be parsed
+ */
+export function formatPhone(value, country) {
+    const phone = parsePhone(value, country);
+    if (!phone.dialCode) return String(value || '').trim();
+    return `+${phone.dialCode} ${formatNationalNumber(phone.nationalNumber, phone.country)}`.trim();
+}
+
+/**
+ * Normalize a number to E.164 ("+971501234567")
+ * @param {string} value - Phone number as typed
+ * @param {string} [country] - Country of national numbers
+ * @returns {string} - '' when it isn't a valid number
+ */
+export function normalizePhone(value, country) {
+    const phone = parsePhone(value, country);
+    return phone.valid ? phone.e164 : '';
+}
@@ -0,0 +1,86 @@
+/* ============================================
+   OFFLINE SUPPORT
+   Registers the service worker (sw.js) and sends
+   enquiries queued while offline: through
+   background sync where the browser supports it,
+   else from the page when the connection returns.
+   Either way the page hears about it through an
+   "enquiryqueue" event on document.
+   ============================================ */
+
+import { SYNC_TAG, QUEUE_MESSAGE, canQueueEnquiries, queuedEnquiries, sendQueuedEnquiries } from './offline-queue.js';
+
+export const SERVICE_WORKER_URL = 'sw.js';
+
+let flushing = null;
+
+/**
+ * Tell the page which queued enquiries were sent or turned away
+ * @param {{sent: Object[], rejected: Object[], pending: number}} detail
+ */
+function announce(detail) {
+    if (!detail.sent.length && !detail.rejected.length) return;
+    document.dispatchEvent(new CustomEvent('enquiryqueue', { detail }));
+}
+
+/**
+ * Whether the service worker will send the queue by background sync
+ * @returns {Promise<boolean>}
+ */
+async function hasBackgroundSync() {
+    if (!('serviceWorker' in navigator)) return false;
+    const registration = await navigator.serviceWorker.getRegistration();
+    return Boolean(registration?.active && 'sync' in registration);
+}
+
+/**
+ * Send the queue from the page, one run at a time
+ * @returns {Promise<void>}
+ */
+function flushQueue() {
+    if (!flushing) {
+        flushing = queuedEnquiries()
+            .then(entries => entries.length ? sendQueuedEnquiries().then(announce) : null)
+            .catch(err => console.warn('Could not send queued enquiries:', err.message))
+            .finally(() => { flushing = null; });
+    }
+    return flushing;
+}
+
+/**
+ * Arrange for the queue to be sent once the connection is back
+ * @returns {Promise<void>}
+ */
+export async function requestQueueSync() {
+    if (await hasBackgroundSync()) {
+        const registration = await navigator.serviceWorker.ready;
+        try {
+            await registration.sync.register(SYNC_TAG);
+            return;
+        } catch {
+            // Sync can be refused (e.g. by site settings); the page sends it instead
+        }
+    }
+    if (navigator.onLine) flushQueue();
+}
+
+/**
+ * Register the service worker and send anything queued on an earlier visit
+ */
+export function initOfflineSupport() {
+    if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.register(SERVICE_WORKER_URL)
+            .catch(err => console.warn('Service worker registration failed:', err.message));
+
+        navigator.serviceWorker.addEventListener('message', event => {
+            if (event.data?.type === QUEUE_MESSAGE) announce(event.data);
+        });
+    }
+
+    if (!canQueueEnquiries()) return;
+
+    window.addEventListener('online', () => {
+        hasBackgroundSync().then(sync => sync || flushQueue());
+    });
+    requestQueueSync();
+}
@@ -0,0 +1,427 @@
+/* ============================================
+   QR CODE ENCODER
+   Byte-mode QR codes (versions 1-10, error
+   correction level M) rendered as SVG. Used for
+   the printable consignment tracking labels.
+   Follows ISO/IEC 18004; no dependencies.
+   ============================================ */
+
+// Per version (index 1-10): error correction codewords per block and the
+// [count, data codewords] of each block group, for error correction level M
+const BLOCKS_M = [
+    null,
+    { ec: 10, groups: [[1, 16]] },
+    { ec: 16, groups: [[1, 28]] },
+    { ec: 26, groups: [[1, 44]] },
+    { ec: 18, groups: [[2, 32]] },
+    { ec: 24, groups: [[2, 43]] },
+    { ec: 16, groups: [[4, 27]] },
+    { ec: 18, groups: [[4, 31]] },
+    { ec: 22, groups: [[2, 38], [2, 39]] },
+    { ec: 22, groups: [[3, 36], [2, 37]] },
+    { ec: 26, groups: [[4, 43], [1, 44]] }
+];
+
+// Centre coordinates of the alignment patterns per version
+const ALIGNMENT = [null, [], [6, 18], [6, 22], [6, 26], [6, 30], [6, 34], [6, 22, 38], [6, 24, 42], [6, 26, 46], [6, 28, 50]];
+
+const MAX_VERSION = BLOCKS_M.length - 1;
+
+// Format information bits of error correction level M
+const EC_LEVEL_M = 0;
+
+const MASKS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+    (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+    (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+];
+
+/* ============================================
+   REED-SOLOMON ERROR CORRECTION
+   ============================================ */
+
+const EXP = new Array(512);
+const LOG = new Array(256);
+
+(function buildGaloisTables() {
+    let value = 1;
+    for (let i = 0; i < 255; i++) {
+        EXP[i] = value;
+        LOG[value] = i;
+        value <<= 1;
+        if (value & 0x100) value ^= 0x11D;
+    }
+    for (let i = 255; i < 512; i++) EXP[i] = EXP[i - 255];
+})();
+
+/**
+ * Multiply in GF(256)
+ * @param {number} a
+ * @param {number} b
+ * @returns {number}
+ */
+function gfMultiply(a, b) {
+    return a === 0 || b === 0 ? 0 : EXP[LOG[a] + LOG[b]];
+}
+
+/**
+ * Generator polynomial for a number of error correction codewords
+ * @param {number} degree - Error correction codewords per block
+ * @returns {number[]} - Coefficients, highest power first
+ */
+function generatorPolynomial(degree) {
+    let poly = [1];
+    for (let i = 0; i < degree; i++) {
+        const next = new Array(poly.length + 1).fill(0);
+        poly.forEach((coefficient, j) => {
+            next[j] ^= coefficient;
+            next[j + 1] ^= gfMultiply(coefficient, EXP[i]);
+        });
+        poly = next;
+    }
+    return poly;
+}
+
+/**
+ * Error correction codewords for one block
+ * @param {number[]} data - Data codewords
+ * @param {number[]} generator - From generatorPolynomial()
+ * @returns {number[]}
+ */
+function errorCorrection(data, generator) {
+    const remainder = new Array(generator.length - 1).fill(0);
+    data.forEach(byte => {
+        const factor = byte ^ remainder.shift();
+        remainder.push(0);
+        remainder.forEach((value, j) => {
+            remainder[j] = value ^ gfMultiply(generator[j + 1], factor);
+        });
+    });
+    return remainder;
+}
+
+/* ============================================
+   DATA ENCODING
+   ============================================ */
+
+/**
+ * Data codewords available in a version
+ * @param {number} version - 1-10
+ * @returns {number}
+ */
+function dataCapacity(version) {
+    return BLOCKS_M[version].groups.reduce((sum, [count, size]) => sum + count * size, 0);
+}
+
+/**
+ * Encode bytes as data codewords: mode, length, data, terminator and padding
+ * @param {Uint8Array} bytes - Payload
+ * @param {number} version - 1-10
+ * @returns {number[]}
+ */
+function encodeData(bytes, version) {
+    const bits = [];
+    const push = (value, length) => {
+        for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+    };
+
+    const capacity = dataCapacity(version) * 8;
+    push(0b0100, 4);
+    push(bytes.length, version < 10 ? 8 : 16);
+    bytes.forEach(byte => push(byte, 8));
+    push(0, Math.min(4, capacity - bits.length));
+    while (bits.length % 8 !== 0) bits.push(0);
+
+    const codewords = [];
+    for (let i = 0; i < bits.length; i += 8) {
+        codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+    }
+    for (let pad = 0xEC; codewords.length < capacity / 8; pad ^= 0xEC ^ 0x11) codewords.push(pad);
+    return codewords;
+}
+
+/**
+ * Split data into blocks, add error correction and interleave
+ * @param {number[]} data - Data codewords
+ * @param {number} version - 1-10
+ * @returns {number[]} - Final codeword sequence
+ */
+function interleave(data, version) {
+    const { ec, groups } = BLOCKS_M[version];
+    const generator = generatorPolynomial(ec);
+    const blocks = [];
+    let offset = 0;
+
+    groups.forEach(([count, size]) => {
+        for (let i = 0; i < count; i++) {
+            const block = data.slice(offset, offset + size);
+            blocks.push({ data: block, ec: errorCorrection(block, generator) });
+            offset += size;
+        }
+    });
+
+    const result = [];
+    const longest = Math.max(...blocks.map(block => block.data.length));
+    for (let i = 0; i < longest; i++) {
+        blocks.forEach(block => {
+            if (i < block.data.length) result.push(block.data[i]);
+        });
+    }
+    for (let i = 0; i < ec; i++) blocks.forEach(block => result.push(block.ec[i]));
+    return result;
+}
+
+/* ============================================
+   MATRIX
+   ============================================ */
+
+/**
+ * Module grid plus a map of the function patterns that masks must skip
+ * @param {number} version - 1-10
+ * @returns {{size: number, modules: boolean[][], reserved: boolean[][], set: Function}}
+ */
+function createMatrix(version) {
+    const size = version * 4 + 17;
+    const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+    const reserved = Array.from({ length: size }, () => new Array(size).fill(false));
+    const set = (x, y, dark) => {
+        modules[y][x] = dark;
+        reserved[y][x] = true;
+    };
+    return { size, modules, reserved, set };
+}
+
+/**
+ * Draw finder, timing and alignment patterns, version information
+ * and a placeholder for the format information
+ * @param {Object} matrix - From createMatrix()
+ * @param {number} version - 1-10
+ */
+function drawFunctionPatterns(matrix, version) {
+    const { size, set } = matrix;
+
+    for (let i = 0; i < size; i++) {
+        set(6, i, i % 2 === 0);
+        set(i, 6, i % 2 === 0);
+    }
+
+    // Finder patterns with their light separators
+    [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+        for (let dy = -4; dy <= 4; dy++) {
+            for (let dx = -4; dx <= 4; dx++) {
+                const x = cx + dx;
+                const y = cy + dy;
+                const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                if (x >= 0 && x < size && y >= 0 && y < size) set(x, y, distance !== 2 && distance !== 4);
+            }
+        }
+    });
+
+    const positions = ALIGNMENT[version];
+    const last = positions.length - 1;
+    positions.forEach((cy, i) => {
+        positions.forEach((cx, j) => {
+            // Skip the three corners taken by finder patterns
+            if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+            for (let dy = -2; dy <= 2; dy++) {
+                for (let dx = -2; dx <= 2; dx++) {
+                    set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                }
+            }
+        });
+    });
+
+    drawFormatBits(matrix, 0);
+
+    if (version >= 7) {
+        let remainder = version;
+        for (let i = 0; i < 12; i++) remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+        const bits = (version << 12) | remainder;
+        for (let i = 0; i < 18; i++) {
+            const dark = ((bits >>> i) & 1) === 1;
+            const a = size - 11 + (i % 3);
+            const b = Math.floor(i / 3);
+            set(a, b, dark);
+            set(b, a, dark);
+        }
+    }
+}
+
+/**
+ * Draw both copies of the format information for a mask
+ * @param {Object} matrix - From createMatrix()
+ * @param {number} mask - 0-7
+ */
+function drawFormatBits(matrix, mask) {
+    const { size, set } = matrix;
+    const data = (EC_LEVEL_M << 3) | mask;
+    let remainder = data;
+    for (let i = 0; i < 10; i++) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    const bits = ((data << 10) | remainder) ^ 0x5412;
+    const bit = (i) => ((bits >>> i) & 1) === 1;
+
+    for (let i = 0; i <= 5; i++) set(8, i, bit(i));
+    set(8, 7, bit(6));
+    set(8, 8, bit(7));
+    set(7, 8, bit(8));
+    for (let i = 9; i < 15; i++) set(14 - i, 8, bit(i));
+
+    for (let i = 0; i < 8; i++) set(size - 1 - i, 8, bit(i));
+    for (let i = 8; i < 15; i++) set(8, size - 15 + i, bit(i));
+    set(8, size - 8, true);
+}
+
+/**
+ * Place codewords in the zigzag column pairs, right to left
+ * @param {Object} matrix - From createMatrix()
+ * @param {number[]} codewords - Interleaved codewords
+ */
+function placeCodewords(matrix, codewords) {
+    const { size, modules, reserved } = matrix;
+    let index = 0;
+
+    for (let right = size - 1; right >= 1; right -= 2) {
+        // The vertical timing pattern shifts the pairs left of it by one
+        if (right === 6) right = 5;
+        const upward = ((right + 1) & 2) === 0;
+        for (let step = 0; step < size; step++) {
+            const y = upward ? size - 1 - step : step;
+            for (let j = 0; j < 2; j++) {
+                const x = right - j;
+                if (reserved[y][x] || index >= codewords.length * 8) continue;
+                modules[y][x] = ((codewords[index >>> 3] >>> (7 - (index & 7))) & 1) === 1;
+                index++;
+            }
+        }
+    }
+}
+
+/**
+ * Flip the data modules selected by a mask
+ * Applying the same mask twice restores the original
+ * @param {Object} matrix - From createMatrix()
+ * @param {number} mask - 0-7
+ */
+function applyMask(matrix, mask) {
+    const { size, modules, reserved } = matrix;
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            if (!reserved[y][x] && MASKS[mask](x, y)) modules[y][x] = !modules[y][x];
+        }
+    }
+}
+
+/**
+ * Penalty score used to pick the mask that reads best
+ * @param {boolean[][]} modules - Module grid
+ * @returns {number}
+ */
+function penalty(modules) {
+    const size = modules.length;
+    const finderLike = [[1, 0, 1, 1, 1, 0, 1, 0, 0, 0, 0], [0, 0, 0, 0, 1, 0, 1, 1, 1, 0, 1]];
+    let score = 0;
+    let dark = 0;
+
+    const scoreLine = (get) => {
+        let run = 1;
+        for (let i = 1; i <= size; i++) {
+            if (i < size && get(i) === get(i - 1)) {
+                run++;
+                continue;
+            }
+            if (run >= 5) score += 3 + (run - 5);
+            run = 1;
+        }
+        for (let i = 0; i + 11 <= size; i++) {
+            if (finderLike.some(pattern => pattern.every((value, k) => get(i + k) === (value === 1)))) score += 40;
+        }
+    };
+
+    for (let i = 0; i < size; i++) {
+        scoreLine(x => modules[i][x]);
+        scoreLine(y => modules[y][i]);
+    }
+
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            if (modules[y][x]) dark++;
+            if (x < size - 1 && y < size - 1) {
+                const color = modules[y][x];
+                if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) score += 3;
+            }
+        }
+    }
+
+    const total = size * size;
+    score += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+    return score;
+}
+
+/* ============================================
+   PUBLIC API
+   ============================================ */
+
+/**
+ * Encode text (UTF-8) as a QR code
+ * @param {string} text - Usually a URL
+ * @returns {{size: number, modules: boolean[][]}} - modules[y][x], true is dark
+ * @throws {RangeError} - If the text does not fit in version 10
+ */
+export function encodeQr(text) {
+    const bytes = new TextEncoder().encode(text);
+    let version = 1;
+    // Mode (4 bits) and length (8 or 16 bits) come before the data
+    while (version <= MAX_VERSION && Math.ceil((4 + (version < 10 ? 8 : 16)) / 8 + bytes.length) > dataCapacity(version)) {
+        version++;
+    }
+    if (version > MAX_VERSION) {
+        throw new RangeError(`Text is too long for a QR code label (${bytes.length} bytes, at most ${dataCapacity(MAX_VERSION) - 3})`);
+    }
+
+    const matrix = createMatrix(version);
+    drawFunctionPatterns(matrix, version);
+    placeCodewords(matrix, interleave(encodeData(bytes, version), version));
+
+    let best = 0;
+    let bestScore = Infinity;
+    MASKS.forEach((mask, index) => {
+        applyMask(matrix, index);
+        drawFormatBits(matrix, index);
+        const score = penalty(matrix.modules);
+        if (score < bestScore) {
+            best = index;
+            bestScore = score;
+        }
+        applyMask(matrix, index);
+    });
+
+    applyMask(matrix, best);
+    drawFormatBits(matrix, best);
+    return { size: matrix.size, modules: matrix.modules };
+}
+
+/**
+ * Render a QR code as an SVG document
+ * @param {string} text - Text to encode
+ * @param {Object} [options]
+ * @param {number} [options.margin] - Quiet zone in modules (the standard asks for 4)
+ * @param {string} [options.title] - Accessible name
+ * @returns {string} - <svg> markup that scales to its container
+ */
+export function qrToSvg(text, { margin = 4, title = '' } = {}) {
+    const { size, modules } = encodeQr(text);
+    const extent = size + margin * 2;
+    let path = '';
+    modules.forEach((row, y) => row.forEach((dark, x) => {
+        if (dark) path += `M${x + margin} ${y + margin}h1v1h-1z`;
+    }));
+
+    const label = title.replace(/[<>&"]/g, ch => `&#${ch.charCodeAt(0)};`);
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${extent} ${extent}" shape-rendering="crispEdges" role="img"${label ? ` aria-label="${label}"` : ''}>` +
+        `<rect width="${extent}" height="${extent}" fill="#fff"/><path d="${path}" fill="#000"/></svg>`;
+}
@@ -0,0 +1,472 @@
+/* ============================================
+   QUOTE CART (REQUEST FOR QUOTATION)
+   "Add to quote" on product and breed cards,
+   a persistent cart drawer and one RFQ
+   submission through the enquiry endpoint.
+   ============================================ */
+
+import { escapeHtml } from './utils.js';
+import { readStorage, writeStorage } from './storage.js';
+import { t, getMessages, translatePage } from './i18n.js';
+import { createFormGuard, HONEYPOT_FIELD } from './form-guard.js';
+import { FREIGHT_RATES, buildEstimatorUrl } from './landed-cost.js';
+import { setButtonLoading, postEnquiry, buildWhatsAppUrl, buildEmailUrl, ENQUIRY_ENDPOINT } from './form.js';
+import { createForm } from './form-engine.js';
+import {
+    QUOTE_SPECIES, QUOTE_BREEDS, ANY_BREED, QUOTE_LABELS, DESTINATION_PORTS, MAX_QUOTE_ITEMS,
+    RFQ_SCHEMA, validateQuoteItem, formatQuoteItem, getQuoteCuts
+} from './rfq.js';
+
+const STORAGE_KEY = 'quoteCart';
+
+/**
+ * Load the saved cart, dropping anything that no longer validates
+ * @returns {{items: Array, destinationPort: string}}
+ */
+export function loadCart() {
+    const saved = readStorage(STORAGE_KEY, null);
+    const items = Array.isArray(saved?.items) ? saved.items : [];
+
+    return {
+        items: items
+            .filter(item => item && typeof item.id === 'string' && validateQuoteItem(item).valid)
+            .slice(0, MAX_QUOTE_ITEMS),
+        destinationPort: typeof saved?.destinationPort === 'string' ? saved.destinationPort : ''
+    };
+}
+
+/**
+ * Persist the cart
+ * @param {{items: Array, destinationPort: string}} cart
+ */
+export function saveCart(cart) {
+    writeStorage(STORAGE_KEY, cart);
+}
+
+/**
+ * Create a quote line with sensible export defaults
+ * @param {string} species - goat, sheep or lamb
+ * @param {string} [breed] - Breed name from the card
+ * @returns {Object}
+ */
+export function createQuoteItem(species, breed) {
+    return {
+        id: Date.now().toString(36) + Math.random().toString(36).slice(2, 7),
+        species,
+        breed: breed || ANY_BREED,
+        cut: Object.keys(getQuoteCuts(species))[0],
+        quantity: 1,
+        unit: 't',
+        state: 'frozen',
+        form: 'carcass'
+    };
+}
+
+/**
+ * Translate the labels of a value/label map
+ * @param {Object} choices - Value to English label map
+ * @param {Function} key - value => message key, e.g. cut => `catalog.cuts.${cut}`
+ * @returns {Object} - Value to localized label map
+ */
+function localizeChoices(choices, key) {
+    return Object.fromEntries(Object.entries(choices).map(([value, label]) => [value, t(key(value), {}, label)]));
+}
+
+/**
+ * Option labels in the active language
+ * @returns {Object} - Same shape as QUOTE_LABELS
+ */
+export function localizedLabels() {
+    return {
+        species: localizeChoices(QUOTE_LABELS.species, id => `catalog.products.${id}.name`),
+        cuts: localizeChoices(QUOTE_LABELS.cuts, id => `catalog.cuts.${id}`),
+        anyBreed: t('quote.anyBreed'),
+        units: localizeChoices(QUOTE_LABELS.units, id => `quote.units.${id}`),
+        states: localizeChoices(QUOTE_LABELS.states, id => `catalog.processing.${id}`),
+        forms: localizeChoices(QUOTE_LABELS.forms, id => `quote.forms.${id}`)
+    };
+}
+
+/**
+ * Follow-up text for a submitted RFQ: one line per item, the port and the notes
+ * @param {Object} rfq - Submitted RFQ (items, destinationPort, message, contact fields)
+ * @param {string} reference - RFQ reference
+ * @returns {{followUp: Object, subject: string}} - Arguments for buildWhatsAppUrl/buildEmailUrl
+ */
+export function buildQuoteFollowUp(rfq, reference) {
+    const labels = localizedLabels();
+    const summary = [
+        ...rfq.items.map(item => formatQuoteItem(item, labels)),
+        t('quote.destination', { port: rfq.destinationPort }),
+        rfq.message
+    ].filter(Boolean).join('\n');
+
+    return {
+        followUp: { ...rfq, message: summary },
+        subject: t('quote.rfqSubject', { reference })
+    };
+}
+
+/**
+ * Render <option> elements for a value/label map
+ * @param {Object} choices - Value to label map
+ * @param {string} selected - Selected value
+ * @returns {string}
+ */
+function renderOptions(choices, selected) {
+    return Object.entries(choices)
+        .map(([value, label]) => `<option value="${escapeHtml(value)}"${value === selected ? ' selected' : ''}>${escapeHtml(label)}</option>`)
+        .join('');
+}
+
+/**
+ * Render one quote line
+ * @param {Object} item - Quote item
+ * @param {number} index - Position in the cart
+ * @param {Object} labels - From localizedLabels()
+ * @returns {string}
+ */
+function renderItem(item, index, labels) {
+    const breeds = [ANY_BREED, ...QUOTE_BREEDS[item.species]];
+    if (!breeds.includes(item.breed)) breeds.push(item.breed);
+    const breedChoices = Object.fromEntries(breeds.map(breed => [breed, breed === ANY_BREED ? labels.anyBreed : breed]));
+    const cuts = Object.fromEntries(Object.keys(getQuoteCuts(item.species)).map(cut => [cut, labels.cuts[cut]]));
+    const species = labels.species[item.species];
+    const id = `quoteItem${index}`;
+
+    return `
+        <li class="quote-item" data-id="${escapeHtml(item.id)}">
+            <div class="quote-item-header">
+                <h3 class="quote-item-title">${escapeHtml(species)}</h3>
+                <button type="button" class="quote-item-remove" data-action="remove" aria-label="${escapeHtml(t('quote.remove', { name: species }))}">&times;</button>
+            </div>
+            <div class="quote-item-grid">
+                <label class="quote-field">
+                    <span class="quote-field-label">${escapeHtml(t('quote.cut'))}</span>
+                    <select class="form-input form-select" data-field="cut">${renderOptions(cuts, item.cut)}</select>
+                </label>
+                <label class="quote-field">
+                    <span class="quote-field-label">${escapeHtml(t('quote.breed'))}</span>
+                    <select class="form-input form-select" data-field="breed">${renderOptions(breedChoices, item.breed)}</select>
+                </label>
+                <div class="quote-field quote-field-quantity">
+                    <label class="quote-field-label" for="${id}Quantity">${escapeHtml(t('quote.quantity'))}</label>
+                    <div class="quote-quantity">
+                        <input type="number" class="form-input" id="${id}Quantity" data-field="quantity" min="0.1" step="any" value="${escapeHtml(item.quantity)}">
+                        <select class="form-input form-select" data-field="unit" aria-label="${escapeHtml(t('quote.unit'))}">${renderOptions(labels.units, item.unit)}</select>
+                    </div>
+                </div>
+                <label class="quote-field">
+                    <span class="quote-field-label">${escapeHtml(t('quote.storage'))}</span>
+                    <select class="form-input form-select" data-field="state">${renderOptions(labels.states, item.state)}</select>
+                </label>
+                <label class="quote-field">
+                    <span class="quote-field-label">${escapeHtml(t('quote.packing'))}</span>
+                    <select class="form-input form-select" data-field="form">${renderOptions(labels.forms, item.form)}</select>
+                </label>
+            </div>
+        </li>`;
+}
+
+/**
+ * Append the cart toggle and drawer to the page
+ * Static labels carry data-i18n keys and are translated with the page
+ * @returns {HTMLElement} - Drawer element
+ */
+function createCartMarkup() {
+    const ports = DESTINATION_PORTS.map(port => `<option value="${escapeHtml(port)}"></option>`).join('');
+
+    document.body.insertAdjacentHTML('beforeend', `
+        <button type="button" class="quote-cart-toggle" id="quoteCartToggle" aria-controls="quoteCart" aria-expanded="false" hidden>
+            <span data-i18n="quote.toggle">My Quote</span>
+            <span class="quote-cart-count" id="quoteCartCount">0</span>
+        </button>
+        <div class="quote-cart-backdrop" id="quoteCartBackdrop" hidden></div>
+        <aside class="quote-cart" id="quoteCart" aria-labelledby="quoteCartTitle" aria-hidden="true">
+            <div class="quote-cart-header">
+                <h2 class="quote-cart-title" id="quoteCartTitle" data-i18n="quote.title">Request a Quote</h2>
+                <button type="button" class="quote-cart-close" id="quoteCartClose" aria-label="Close quote" data-i18n-attr="aria-label:quote.close">&times;</button>
+            </div>
+            <div class="quote-cart-body">
+                <p class="quote-cart-empty" id="quoteCartEmpty" data-i18n="quote.empty">Your quote is empty. Use "Add to quote" on any product or breed.</p>
+                <ul class="quote-items" id="quoteItems"></ul>
+                <span class="error-message" id="quoteItemsError"></span>
+                <a href="markets.html#estimator" class="quote-estimate-link" id="quoteEstimateLink" data-i18n="estimator.link" hidden>Estimate the landed cost</a>
+
+                <form class="quote-form" id="quoteForm" novalidate>
+                    <div class="form-group">
+                        <label for="quotePort" class="form-label"><span data-i18n="quote.port">Destination Port</span> <span class="required">*</span></label>
+                        <input type="text" id="quotePort" name="destinationPort" class="form-input" list="quotePortList" placeholder="e.g. Jebel Ali, UAE" data-i18n-attr="placeholder:quote.portPlaceholder" required>
+                        <datalist id="quotePortList">${ports}</datalist>
+                        <span class="error-message" id="quotePortError"></span>
+                    </div>
+                    <div class="form-group">
+                        <label for="quoteName" class="form-label"><span data-i18n="quote.name">Full Name</span> <span class="required">*</span></label>
+                        <input type="text" id="quoteName" name="name" class="form-input" autocomplete="name" required>
+                        <span class="error-message" id="quoteNameError"></span>
+                    </div>
+                    <div class="form-group">
+                        <label for="quoteEmail" class="form-label"><span data-i18n="quote.emailAddress">Email Address</span> <span class="required">*</span></label>
+                        <input type="email" id="quoteEmail" name="email" class="form-input" autocomplete="email" required>
+                        <span class="error-message" id="quoteEmailError"></span>
+                    </div>
+                    <div class="form-group">
+                        <label for="quotePhone" class="form-label" data-i18n="quote.phone">Phone Number</label>
+                        <input type="tel" id="quotePhone" name="phone" class="form-input" autocomplete="tel">
+                        <span class="error-message" id="quotePhoneError"></span>
+                    </div>
+                    <div class="form-group">
+                        <label for="quoteMessage" class="form-label" data-i18n="quote.notes">Additional Notes</label>
+                        <textarea id="quoteMessage" name="message" class="form-input form-textarea" rows="3" placeholder="Delivery schedule, labelling, certificates required..." data-i18n-attr="placeholder:quote.notesPlaceholder"></textarea>
+                        <span class="error-message" id="quoteMessageError"></span>
+                    </div>
+                    <div class="form-honeypot" aria-hidden="true">
+                        <label for="quoteWebsite">Leave this field empty</label>
+                        <input type="text" id="quoteWebsite" name="${HONEYPOT_FIELD}" tabindex="-1" autocomplete="off">
+                    </div>
+                    <div class="form-error" id="quoteFormError" role="alert" hidden></div>
+                    <button type="submit" class="btn btn-primary btn-block" id="quoteSubmit">
+                        <span class="btn-text" data-i18n="quote.submit">Submit Quote Request</span>
+                        <span class="btn-loading" style="display: none;" data-i18n="quote.sending">Sending...</span>
+                    </button>
+                </form>
+
+                <div class="form-success quote-success" id="quoteSuccess" hidden>
+                    <h3 data-i18n="quote.successTitle">Quote Request Sent</h3>
+                    <p data-i18n="quote.successText">Our export team will reply with pricing within 24 business hours.</p>
+                    <p class="success-reference"><span data-i18n="quote.reference">Your reference:</span> <strong id="quoteReference"></strong></p>
+                    <div class="success-actions">
+                        <a href="https://wa.me/917794084488" class="whatsapp-link" id="quoteWhatsApp" target="_blank" rel="noopener" data-consent="messaging" data-i18n="quote.whatsapp">Follow Up on WhatsApp</a>
+                        <a href="mailto:freshflowfoods@gmail.com" class="btn btn-secondary" id="quoteEmailFollowUp" data-i18n="quote.emailFollowUp">Follow Up by Email</a>
+                        <button type="button" class="btn btn-secondary" id="quoteRestart" data-i18n="quote.restart">Start a New Quote</button>
+                    </div>
+                </div>
+            </div>
+        </aside>`);
+
+    return document.getElementById('quoteCart');
+}
+
+/**
+ * Label the "Add to quote" buttons in the active language
+ * @param {NodeList} cards - Cards with data-species
+ */
+function labelQuoteButtons(cards) {
+    const { species: speciesLabels } = localizedLabels();
+
+    cards.forEach(card => {
+        const button = card.querySelector('.btn-quote');
+        if (!button) return;
+
+        const { species, breed } = card.dataset;
+        const name = breed || t('quote.speciesProducts', { species: speciesLabels[species] });
+        button.textContent = t('quote.add');
+        button.setAttribute('aria-label', t('quote.addLabel', { name }));
+    });
+}
+
+/**
+ * Add "Add to quote" buttons to product and breed cards
+ * @param {NodeList} cards - Cards with data-species
+ * @param {Function} onAdd - (species, breed) => void
+ */
+function addQuoteButtons(cards, onAdd) {
+    cards.forEach(card => {
+        const { species, breed } = card.dataset;
+        if (!Object.hasOwn(QUOTE_SPECIES, species) || card.querySelector('.btn-quote')) return;
+
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'btn-quote';
+        button.addEventListener('click', () => onAdd(species, breed));
+
+        (card.querySelector('.product-info') || card).appendChild(button);
+    });
+    labelQuoteButtons(cards);
+}
+
+/**
+ * Initialize the quote cart
+ */
+export function initQuoteCart() {
+    const cards = document.querySelectorAll('.product-card[data-species], .breed-card[data-species]');
+    let cart = loadCart();
+
+    // Only show the cart where products can be added or a quote is in progress
+    if (cards.length === 0 && cart.items.length === 0) return;
+
+    const drawer = createCartMarkup();
+    const toggle = document.getElementById('quoteCartToggle');
+    translatePage(toggle);
+    translatePage(drawer);
+
+    const backdrop = document.getElementById('quoteCartBackdrop');
+    const count = document.getElementById('quoteCartCount');
+    const list = document.getElementById('quoteItems');
+    const empty = document.getElementById('quoteCartEmpty');
+    const itemsError = document.getElementById('quoteItemsError');
+    const form = document.getElementById('quoteForm');
+    const formError = document.getElementById('quoteFormError');
+    const submitBtn = document.getElementById('quoteSubmit');
+    const success = document.getElementById('quoteSuccess');
+    const portInput = document.getElementById('quotePort');
+    const estimateLink = document.getElementById('quoteEstimateLink');
+    const guard = createFormGuard(form, { eager: false });
+
+    // The port's message lives with the other quote messages
+    const engine = createForm(form, RFQ_SCHEMA, {
+        messages: () => ({ ...getMessages('validation'), port: t('rfq.port') })
+    });
+
+    const showFormError = (message) => {
+        formError.textContent = message;
+        formError.hidden = !message;
+    };
+
+    // Price the first line at the cart's port, when we have rates for it
+    const updateEstimateLink = () => {
+        const [item] = cart.items;
+        estimateLink.hidden = !item;
+        if (!item) return;
+        const port = Object.hasOwn(FREIGHT_RATES.ports, cart.destinationPort.trim()) ? cart.destinationPort.trim() : '';
+        estimateLink.href = buildEstimatorUrl({ ...item, port });
+    };
+
+    const render = () => {
+        const labels = localizedLabels();
+        list.innerHTML = cart.items.map((item, index) => renderItem(item, index, labels)).join('');
+        empty.hidden = cart.items.length > 0;
+        form.hidden = cart.items.length === 0;
+        count.textContent = cart.items.length;
+        toggle.hidden = cart.items.length === 0 && !drawer.classList.contains('open');
+        if (cart.items.length > 0) itemsError.textContent = '';
+        updateEstimateLink();
+    };
+
+    const update = () => {
+        saveCart(cart);
+        render();
+    };
+
+    const open = () => {
+        drawer.classList.add('open');
+        drawer.setAttribute('aria-hidden', 'false');
+        toggle.setAttribute('aria-expanded', 'true');
+        backdrop.hidden = false;
+        toggle.hidden = false;
+    };
+
+    const close = () => {
+        drawer.classList.remove('open');
+        drawer.setAttribute('aria-hidden', 'true');
+        toggle.setAttribute('aria-expanded', 'false');
+        backdrop.hidden = true;
+        render();
+    };
+
+    addQuoteButtons(cards, (species, breed) => {
+        if (cart.items.length >= MAX_QUOTE_ITEMS) {
+            itemsError.textContent = t('rfq.tooManyItems', { max: MAX_QUOTE_ITEMS });
+            open();
+            return;
+        }
+        cart.items.push(createQuoteItem(species, breed));
+        success.hidden = true;
+        update();
+        open();
+        list.lastElementChild?.querySelector('[data-field="cut"]')?.focus();
+    });
+
+    // Item edits and removal (delegated, the list is re-rendered)
+    list.addEventListener('change', (e) => {
+        const field = e.target.dataset.field;
+        const item = cart.items.find(entry => entry.id === e.target.closest('.quote-item')?.dataset.id);
+        if (!field || !item) return;
+
+        item[field] = field === 'quantity' ? Number(e.target.value) : e.target.value;
+        saveCart(cart);
+        updateEstimateLink();
+    });
+
+    list.addEventListener('click', (e) => {
+        if (e.target.dataset.action !== 'remove') return;
+        const id = e.target.closest('.quote-item').dataset.id;
+        cart.items = cart.items.filter(item => item.id !== id);
+        update();
+    });
+
+    portInput.value = cart.destinationPort;
+    portInput.addEventListener('input', () => {
+        cart.destinationPort = portInput.value;
+        saveCart(cart);
+        updateEstimateLink();
+    });
+
+    toggle.addEventListener('click', () => (drawer.classList.contains('open') ? close() : open()));
+    document.getElementById('quoteCartClose').addEventListener('click', close);
+    backdrop.addEventListener('click', close);
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && drawer.classList.contains('open')) close();
+    });
+
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        showFormError('');
+
+        // Contact fields reuse the contact form rules; notes are optional
+        const { valid, values } = engine.validate();
+
+        const rfqMessages = getMessages('rfq');
+        const invalidItem = cart.items.map(item => validateQuoteItem(item, rfqMessages)).find(result => !result.valid);
+        if (invalidItem) itemsError.textContent = invalidItem.error;
+
+        if (!valid || invalidItem) return;
+
+        const payload = {
+            type: 'rfq',
+            ...values,
+            items: cart.items.map(item => validateQuoteItem(item).item)
+        };
+
+        setButtonLoading(submitBtn, true);
+
+        try {
+            const result = await postEnquiry(ENQUIRY_ENDPOINT, { ...payload, ...await guard.fields() });
+            const { followUp, subject } = buildQuoteFollowUp(payload, result.reference);
+
+            document.getElementById('quoteReference').textContent = result.reference;
+            document.getElementById('quoteWhatsApp').href = buildWhatsAppUrl(followUp, subject);
+            document.getElementById('quoteEmailFollowUp').href = buildEmailUrl(followUp, subject, result.reference);
+
+            cart = { items: [], destinationPort: cart.destinationPort };
+            update();
+            engine.reset();
+            portInput.value = cart.destinationPort;
+            empty.hidden = true;
+            success.hidden = false;
+        } catch (err) {
+            engine.showErrors(err.fieldErrors);
+            if (err.fieldErrors?.items) itemsError.textContent = err.fieldErrors.items;
+            showFormError(err.message);
+            if (err.reason === 'token') guard.refresh();
+        } finally {
+            setButtonLoading(submitBtn, false);
+        }
+    });
+
+    document.getElementById('quoteRestart').addEventListener('click', () => {
+        success.hidden = true;
+        render();
+    });
+
+    // Option labels are rendered with the list; static labels follow translatePage()
+    document.addEventListener('localechange', () => {
+        render();
+        labelQuoteButtons(cards);
+    });
+
+    render();
+
+    // index.html#quote opens the cart, e.g. after a reorder from the buyer account
+    if (window.location.hash === '#quote' && cart.items.length) open();
+}
@@ -0,0 +1,156 @@
+/* ============================================
+   REQUEST FOR QUOTATION
+   Options and validation for quote requests,
+   shared by the quote cart and the server.
+   ============================================ */
+
+import en from '../../locales/en.json' with { type: 'json' };
+import { validateSchema, ENQUIRY_SCHEMA, VALIDATION_MESSAGES } from './validation.js';
+import { CATALOG, getProductCuts, getProductBreeds } from './catalog.js';
+
+/** Product id to name, e.g. goat -> Goat */
+export const QUOTE_SPECIES = Object.fromEntries(CATALOG.products.map(product => [product.id, product.name]));
+
+/** Cut id to name, across every product */
+export const QUOTE_CUTS = Object.fromEntries(CATALOG.cuts.map(cut => [cut.id, cut.name]));
+
+/** Breeds buyers can ask for, per product */
+export const QUOTE_BREEDS = Object.fromEntries(
+    CATALOG.products.map(product => [product.id, getProductBreeds(product.id).map(breed => breed.name)])
+);
+
+/**
+ * Cuts offered for one product as an id to name map
+ * @param {string} species - Product id
+ * @returns {Object}
+ */
+export function getQuoteCuts(species) {
+    return Object.fromEntries(getProductCuts(species).map(cut => [cut.id, cut.name]));
+}
+
+/** Stored when the buyer has no breed preference */
+export const ANY_BREED = en.quote.anyBreed;
+
+export const QUANTITY_UNITS = en.quote.units;
+
+/** Processing types (chilled, frozen) from the catalog */
+export const PACKING_STATES = Object.fromEntries(CATALOG.processing.map(type => [type.id, type.name]));
+
+export const PACKING_FORMS = en.quote.forms;
+
+/** Common destination ports offered as suggestions */
+export const DESTINATION_PORTS = [
+    'Jebel Ali, UAE',
+    'Dammam, Saudi Arabia',
+    'Jeddah, Saudi Arabia',
+    'Hamad, Qatar',
+    'Shuwaikh, Kuwait',
+    'Sohar, Oman',
+    'Khalifa Bin Salman, Bahrain',
+    'Port Klang, Malaysia',
+    'Singapore',
+    'Tanjung Priok, Indonesia',
+    'Mombasa, Kenya',
+    'Lagos (Apapa), Nigeria'
+];
+
+export const MAX_QUOTE_ITEMS = 20;
+
+/** Error messages; tooManyItems has a {max} placeholder */
+export const RFQ_MESSAGES = en.rfq;
+
+/** English labels used to describe quote lines */
+export const QUOTE_LABELS = {
+    species: QUOTE_SPECIES,
+    cuts: QUOTE_CUTS,
+    anyBreed: ANY_BREED,
+    units: QUANTITY_UNITS,
+    states: PACKING_STATES,
+    forms: PACKING_FORMS
+};
+
+/**
+ * Validate and normalize one quote line
+ * @param {Object} item - Raw quote item
+ * @param {Object} [messages] - Error messages, see RFQ_MESSAGES
+ * @returns {{valid: boolean, item: Object, error: string}}
+ */
+export function validateQuoteItem(item, messages = RFQ_MESSAGES) {
+    const raw = item && typeof item === 'object' ? item : {};
+    const breed = typeof raw.breed === 'string' && raw.breed.trim() ? raw.breed.trim() : ANY_BREED;
+    const normalized = {
+        species: raw.species,
+        breed,
+        cut: raw.cut,
+        quantity: Number(raw.quantity),
+        unit: raw.unit,
+        state: raw.state,
+        form: raw.form
+    };
+    
+    const known = Object.hasOwn(QUOTE_SPECIES, normalized.species) &&
+        Object.hasOwn(getQuoteCuts(normalized.species), normalized.cut) &&
+        Object.hasOwn(QUANTITY_UNITS, normalized.unit) &&
+        Object.hasOwn(PACKING_STATES, normalized.state) &&
+        Object.hasOwn(PACKING_FORMS, normalized.form) &&
+        breed.length <= 60;
+    
+    if (!known) {
+        return { valid: false, item: normalized, error: messages.item };
+    }
+    if (!Number.isFinite(normalized.quantity) || normalized.quantity <= 0 || normalized.quantity > 100000) {
+        return { valid: false, item: normalized, error: messages.quantity };
+    }
+    return { valid: true, item: normalized, error: '' };
+}
+
+/**
+ * Contact fields of a quote request: the contact form rules with optional notes
+ * The port's messages come from the rfq namespace (see validateRfq)
+ */
+export const RFQ_SCHEMA = {
+    destinationPort: { required: true, maxLength: 80, messages: { required: 'port', maxLength: 'port' } },
+    name: ENQUIRY_SCHEMA.name,
+    email: ENQUIRY_SCHEMA.email,
+    phone: ENQUIRY_SCHEMA.phone,
+    message: { ...ENQUIRY_SCHEMA.message, required: false }
+};
+
+/**
+ * Validate a complete request for quotation
+ * Contact fields use the same rules as the contact form; the message is optional
+ * @param {Object} data - Raw submitted values
+ * @param {Object} [messages] - Quote error messages, see RFQ_MESSAGES
+ * @param {Object} [fieldMessages] - Contact field messages, see VALIDATION_MESSAGES
+ * @returns {{valid: boolean, errors: Object, values: Object}}
+ */
+export function validateRfq(data, messages = RFQ_MESSAGES, fieldMessages = VALIDATION_MESSAGES) {
+    const source = data && typeof data === 'object' ? data : {};
+    const { errors, values } = validateSchema(RFQ_SCHEMA, source, { ...fieldMessages, port: messages.port });
+    
+    const items = Array.isArray(source.items) ? source.items : [];
+    if (items.length === 0) {
+        errors.items = messages.noItems;
+    } else if (items.length > MAX_QUOTE_ITEMS) {
+        errors.items = messages.tooManyItems.replace('{max}', MAX_QUOTE_ITEMS);
+    }
+    
+    values.items = items.slice(0, MAX_QUOTE_ITEMS).map(item => {
+        const result = validateQuoteItem(item, messages);
+        if (!result.valid && !errors.items) errors.items = result.error;
+        return result.item;
+    });
+    
+    return { valid: Object.keys(errors).length === 0, errors, values };
+}
+
+/**
+ * Describe a quote line in one line of text
+ * @param {Object} item - Validated quote item
+ * @param {Object} [labels] - Option labels, see QUOTE_LABELS
+ * @returns {string} - e.g. "Goat, Black Bengal - Leg - 2 tonnes - Frozen, Primal Cuts"
+ */
+export function formatQuoteItem(item, labels = QUOTE_LABELS) {
+    const breed = item.breed === ANY_BREED ? labels.anyBreed : item.breed;
+    return `${labels.species[item.species]}, ${breed} - ${labels.cuts[item.cut]} - ${item.quantity} ${labels.units[item.unit]} - ${labels.states[item.state]}, ${labels.forms[item.form]}`;
+}
@@ -0,0 +1,83 @@
+/* ============================================
+   SMOOTH SCROLL & BACK TO TOP
+   ============================================ */
+
+import { throttle } from './utils.js';
+
+/**
+ * Scroll to an element, leaving room for the fixed header
+ * @param {HTMLElement} target - Element to scroll to
+ */
+export function scrollToElement(target) {
+    const header = document.getElementById('header');
+    const headerHeight = header ? header.offsetHeight : 0;
+    const targetPosition = target.getBoundingClientRect().top + window.scrollY - headerHeight;
+    
+    window.scrollTo({
+        top: targetPosition,
+        behavior: 'smooth'
+    });
+}
+
+/**
+ * Move keyboard focus to an in-page link's target, as following the link would
+ * @param {HTMLElement} target - Element scrolled to
+ */
+function focusTarget(target) {
+    if (!target.matches('a[href], button, input, select, textarea, [tabindex]')) target.setAttribute('tabindex', '-1');
+    target.focus({ preventScroll: true });
+}
+
+/**
+ * Scroll to the element named by a URL hash
+ * @param {string} [hash] - e.g. "#breed-sirohi", defaults to the current URL
+ * @returns {boolean} - True if a matching element was found
+ */
+export function scrollToHash(hash = window.location.hash) {
+    const id = decodeURIComponent(hash.replace(/^#/, ''));
+    const target = id && document.getElementById(id);
+    if (!target) return false;
+    
+    scrollToElement(target);
+    return true;
+}
+
+/**
+ * Initialize smooth scroll for anchor links (including the skip link)
+ */
+export function initSmoothScroll() {
+    document.querySelectorAll('a[href^="#"]').forEach(link => {
+        link.addEventListener('click', function(e) {
+            const href = this.getAttribute('href');
+            
+            // Skip if href is just "#" or empty
+            if (href === '#' || href === '') return;
+            
+            const target = document.querySelector(href);
+            if (target) {
+                e.preventDefault();
+                scrollToElement(target);
+                focusTarget(target);
+                
+                // Update URL hash without jumping
+                history.pushState(null, null, href);
+            }
+        });
+    });
+}
+
+/**
+ * Initialize back to top button
+ */
+export function initBackToTop() {
+    const btn = document.getElementById('backToTop');
+    if (!btn) return;
+    
+    window.addEventListener('scroll', throttle(() => {
+        btn.classList.toggle('visible', window.scrollY > 500);
+    }, 100), { passive: true });
+    
+    btn.addEventListener('click', () => {
+        window.scrollTo({ top: 0, behavior: 'smooth' });
+    });
+}
@@ -0,0 +1,199 @@
+/* ============================================
+   CATALOG SEARCH INDEX
+   Flattens the catalog into searchable entries
+   and ranks them with a small fuzzy matcher.
+   ============================================ */
+
+import { CATALOG, getProduct } from './catalog.js';
+
+/** English result type labels; the palette shows search.types.* */
+export const RESULT_TYPES = {
+    product: 'Product',
+    breed: 'Breed',
+    region: 'Region',
+    market: 'Markets',
+    certification: 'Certification'
+};
+
+const MAX_RESULTS = 12;
+
+/**
+ * Normalize text for matching: lower case, no accents or Arabic vowel marks
+ * @param {string} text - Raw text
+ * @returns {string}
+ */
+function normalize(text) {
+    return String(text).normalize('NFD').replace(/[\u0300-\u036f\u064b-\u065f\u0670]/g, '').toLowerCase();
+}
+
+/**
+ * Combine the species, processing and halal facets of some products
+ * @param {string[]} productIds - Product ids
+ * @returns {{species: string[], processing: string[], halal: boolean}}
+ */
+function productFacets(productIds) {
+    const products = productIds.map(getProduct).filter(Boolean);
+    return {
+        species: products.map(product => product.id),
+        processing: [...new Set(products.flatMap(product => product.processing))],
+        halal: products.length > 0 && products.every(product => product.halal)
+    };
+}
+
+/**
+ * Build the list of searchable entries from the catalog
+ * Product-related entries carry facets for filtering; market
+ * pages and certifications do not
+ * @param {Object} [catalog] - Catalog data
+ * @returns {Array<Object>} - Entries with type, title, subtitle, keywords, href and facets
+ */
+export function buildSearchIndex(catalog = CATALOG) {
+    const pageFor = (species) => catalog.products.find(product => product.id === species)?.page || 'index.html';
+    const entries = [];
+
+    catalog.products.forEach(product => {
+        entries.push({
+            type: 'product',
+            title: product.title,
+            subtitle: product.description,
+            keywords: [product.name, ...product.cuts.map(id => catalog.cuts.find(cut => cut.id === id)?.name || id)].join(' '),
+            href: product.page,
+            facets: productFacets([product.id])
+        });
+    });
+
+    catalog.breeds.forEach(breed => {
+        const region = catalog.regions.find(item => item.id === breed.region);
+        entries.push({
+            type: 'breed',
+            title: breed.name,
+            subtitle: region ? `${region.name} · ${breed.summary}` : (breed.features || [])[0] || '',
+            keywords: [breed.species, ...(breed.features || []), region?.states || ''].join(' '),
+            href: `${pageFor(breed.species)}#${region ? `region-${region.id}` : `breed-${breed.id}`}`,
+            facets: productFacets(breed.products)
+        });
+    });
+
+    catalog.regions.forEach(region => {
+        const breeds = catalog.breeds.filter(breed => breed.region === region.id);
+        entries.push({
+            type: 'region',
+            title: region.name,
+            subtitle: region.states,
+            keywords: [region.species, ...breeds.map(breed => breed.name)].join(' '),
+            href: `${pageFor(region.species)}#region-${region.id}`,
+            facets: productFacets([...new Set(breeds.flatMap(breed => breed.products))])
+        });
+    });
+
+    [['market', catalog.markets || []], ['certification', catalog.certifications || []]].forEach(([type, items]) => {
+        items.forEach(item => {
+            entries.push({
+                type,
+                title: item.name,
+                subtitle: item.description,
+                keywords: '',
+                href: `${item.page}#${item.anchor}`,
+                facets: null
+            });
+        });
+    });
+
+    return entries.map(entry => ({
+        ...entry,
+        search: {
+            title: normalize(entry.title),
+            text: normalize(`${entry.subtitle} ${entry.keywords}`)
+        }
+    }));
+}
+
+/**
+ * Match a query token against text
+ * Substrings score highest (more at a word start), then
+ * in-order subsequences with few gaps ("blkbngl")
+ * @param {string} token - Normalized query token
+ * @param {string} text - Normalized text
+ * @returns {{score: number, indices: number[]}|null}
+ */
+export function fuzzyMatch(token, text) {
+    const at = text.indexOf(token);
+    if (at !== -1) {
+        const wordStart = at === 0 || !/[\p{L}\p{N}]/u.test(text[at - 1]);
+        return {
+            score: (wordStart ? 100 : 60) - Math.min(at, 20),
+            indices: Array.from(token, (ch, i) => at + i)
+        };
+    }
+
+    const indices = [];
+    let from = 0;
+    for (const ch of token) {
+        const found = text.indexOf(ch, from);
+        if (found === -1) return null;
+        indices.push(found);
+        from = found + 1;
+    }
+
+    const gaps = indices[indices.length - 1] - indices[0] + 1 - token.length;
+    if (gaps > token.length * 3) return null;
+    return { score: Math.max(5, 40 - gaps * 3), indices };
+}
+
+/**
+ * Check an entry against the active filters
+ * Entries without facets only show when no filter is set
+ * @param {Object} entry - Search entry
+ * @param {{species?: string, processing?: string, halal?: boolean}} filters
+ * @returns {boolean}
+ */
+export function matchesFilters(entry, filters = {}) {
+    const active = filters.species || filters.processing || filters.halal;
+    if (!active) return true;
+    if (!entry.facets) return false;
+
+    return (!filters.species || entry.facets.species.includes(filters.species)) &&
+        (!filters.processing || entry.facets.processing.includes(filters.processing)) &&
+        (!filters.halal || entry.facets.halal);
+}
+
+/**
+ * Rank entries for a query
+ * Every query word has to match the title or the text; title matches count three times
+ * @param {Array<Object>} entries - From buildSearchIndex()
+ * @param {string} query - User input
+ * @param {Object} [filters] - See matchesFilters()
+ * @param {number} [limit] - Maximum results
+ * @returns {Array<{entry: Object, score: number, highlights: number[]}>}
+ */
+export function searchCatalog(entries, query, filters = {}, limit = MAX_RESULTS) {
+    const tokens = normalize(query).split(/\s+/).filter(Boolean);
+    const candidates = entries.filter(entry => matchesFilters(entry, filters));
+
+    if (tokens.length === 0) {
+        return candidates.slice(0, limit).map(entry => ({ entry, score: 0, highlights: [] }));
+    }
+
+    const results = [];
+    candidates.forEach(entry => {
+        let score = 0;
+        const highlights = new Set();
+
+        for (const token of tokens) {
+            const inTitle = fuzzyMatch(token, entry.search.title);
+            const inText = fuzzyMatch(token, entry.search.text);
+            const titleScore = inTitle ? inTitle.score * 3 : 0;
+            const textScore = inText ? inText.score : 0;
+            if (!titleScore && !textScore) return;
+
+            if (titleScore >= textScore) inTitle.indices.forEach(i => highlights.add(i));
+            score += Math.max(titleScore, textScore);
+        }
+
+        results.push({ entry, score, highlights: [...highlights].sort((a, b) => a - b) });
+    });
+
+    return results
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+}
@@ -0,0 +1,287 @@
+/* ============================================
+   CATALOG SEARCH PALETTE
+   Header search button that opens a command palette
+   over products, breeds, regions, markets and
+   certifications. Opens with Ctrl/Cmd+K or "/".
+   The index is rebuilt in the active language.
+   ============================================ */
+
+import { escapeHtml } from './utils.js';
+import { closeMobileMenu } from './menu.js';
+import { scrollToHash } from './scroll.js';
+import { CATALOG, localizeCatalog } from './catalog.js';
+import { t, tPlural } from './i18n.js';
+import { buildSearchIndex, searchCatalog, RESULT_TYPES } from './search-index.js';
+
+const SEARCH_ICON = '<svg class="search-icon" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="currentColor" aria-hidden="true"><path d="M15.5 14h-.79l-.28-.27A6.47 6.47 0 0 0 16 9.5 6.5 6.5 0 1 0 9.5 16c1.61 0 3.09-.59 4.23-1.57l.27.28v.79l5 4.99L20.49 19l-4.99-5zm-6 0C7.01 14 5 11.99 5 9.5S7.01 5 9.5 5 14 7.01 14 9.5 11.99 14 9.5 14z"/></svg>';
+
+/**
+ * Wrap the matched characters of a title in <mark>
+ * @param {string} title - Original title
+ * @param {number[]} highlights - Matched character positions
+ * @returns {string} - Escaped HTML
+ */
+function highlightTitle(title, highlights) {
+    const marked = new Set(highlights);
+    // Positions refer to the normalized title; skip marks if normalizing changed its length
+    if (marked.size === 0 || title.normalize('NFD').length !== title.length) return escapeHtml(title);
+
+    return Array.from(title, (ch, i) => marked.has(i) ? `<mark>${escapeHtml(ch)}</mark>` : escapeHtml(ch))
+        .join('')
+        .replace(/<\/mark><mark>/g, '');
+}
+
+/**
+ * Build the search index from the catalog in the active language
+ * @returns {Array<Object>}
+ */
+function buildLocalizedIndex() {
+    return buildSearchIndex(localizeCatalog((key, english) => t(key, {}, english)));
+}
+
+/**
+ * Check whether a URL points at the page that is already open
+ * @param {URL} url - Resolved link
+ * @returns {boolean}
+ */
+function isCurrentPage(url) {
+    const page = (pathname) => pathname.split('/').pop() || 'index.html';
+    return url.origin === window.location.origin && page(url.pathname) === page(window.location.pathname);
+}
+
+/**
+ * Check whether a key press is aimed at a text field
+ * @param {EventTarget} target - Event target
+ * @returns {boolean}
+ */
+function isTyping(target) {
+    return target instanceof HTMLElement &&
+        (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName));
+}
+
+/**
+ * Append the search button to the nav, next to the products dropdown
+ * @param {HTMLElement} navMenu - Navigation list
+ * @returns {HTMLButtonElement}
+ */
+function createToggle(navMenu) {
+    const item = document.createElement('li');
+    item.className = 'nav-item nav-search';
+    item.innerHTML = `
+        <button type="button" class="nav-link nav-search-toggle" id="searchToggle" aria-haspopup="dialog" aria-controls="searchPalette" aria-expanded="false" aria-keyshortcuts="Control+K Meta+K /">
+            ${SEARCH_ICON}
+            <span class="nav-search-label" data-i18n="search.button">Search</span>
+            <kbd class="nav-search-kbd" aria-hidden="true">/</kbd>
+        </button>`;
+
+    const dropdown = navMenu.querySelector('.nav-item.dropdown');
+    if (dropdown) dropdown.after(item);
+    else navMenu.appendChild(item);
+
+    return item.querySelector('button');
+}
+
+/**
+ * Append the palette dialog to the page
+ * @returns {HTMLElement}
+ */
+function createPalette() {
+    const species = CATALOG.products
+        .map(product => `<option value="${escapeHtml(product.id)}" data-i18n="catalog.products.${escapeHtml(product.id)}.name">${escapeHtml(product.name)}</option>`)
+        .join('');
+    const processing = CATALOG.processing
+        .map(type => `<option value="${escapeHtml(type.id)}" data-i18n="catalog.processing.${escapeHtml(type.id)}">${escapeHtml(type.name)}</option>`)
+        .join('');
+
+    document.body.insertAdjacentHTML('beforeend', `
+        <div class="search-palette" id="searchPalette" hidden>
+            <div class="search-backdrop" data-action="close"></div>
+            <div class="search-panel" role="dialog" aria-modal="true" aria-label="Search products, breeds and markets" data-i18n-attr="aria-label:search.dialog">
+                <div class="search-input-row">
+                    ${SEARCH_ICON}
+                    <input type="search" class="search-input" id="searchInput" placeholder="Search products, breeds, regions, markets…" data-i18n-attr="placeholder:search.placeholder" role="combobox" aria-expanded="true" aria-controls="searchResults" aria-autocomplete="list" autocomplete="off" spellcheck="false">
+                    <button type="button" class="search-close" data-action="close" aria-label="Close search" data-i18n-attr="aria-label:search.close">Esc</button>
+                </div>
+                <div class="search-filters" role="group" aria-label="Filters" data-i18n-attr="aria-label:search.filters">
+                    <select class="search-filter" id="searchSpecies" aria-label="Species" data-i18n-attr="aria-label:search.species">
+                        <option value="" data-i18n="search.allSpecies">All species</option>${species}
+                    </select>
+                    <select class="search-filter" id="searchProcessing" aria-label="Processing type" data-i18n-attr="aria-label:search.processing">
+                        <option value="" data-i18n="search.anyProcessing">Any processing</option>${processing}
+                    </select>
+                    <label class="search-filter-check">
+                        <input type="checkbox" id="searchHalal"> <span data-i18n="search.halal">Halal only</span>
+                    </label>
+                </div>
+                <ul class="search-results" id="searchResults" role="listbox" aria-label="Search results" data-i18n-attr="aria-label:search.results"></ul>
+                <p class="search-status" id="searchStatus" role="status" aria-live="polite"></p>
+                <p class="search-hints" aria-hidden="true"><kbd>↑</kbd> <kbd>↓</kbd> <span data-i18n="search.hintMove">to move</span> · <kbd>Enter</kbd> <span data-i18n="search.hintOpen">to open</span> · <kbd>Esc</kbd> <span data-i18n="search.hintClose">to close</span></p>
+            </div>
+        </div>`);
+
+    return document.getElementById('searchPalette');
+}
+
+/**
+ * Initialize the search palette
+ */
+export function initSearch() {
+    const navMenu = document.getElementById('navMenu');
+    if (!navMenu) return;
+
+    let entries = buildLocalizedIndex();
+    const toggle = createToggle(navMenu);
+    const palette = createPalette();
+    const panel = palette.querySelector('.search-panel');
+    const input = document.getElementById('searchInput');
+    const list = document.getElementById('searchResults');
+    const status = document.getElementById('searchStatus');
+    const speciesFilter = document.getElementById('searchSpecies');
+    const processingFilter = document.getElementById('searchProcessing');
+    const halalFilter = document.getElementById('searchHalal');
+
+    let results = [];
+    let activeIndex = -1;
+
+    const setActive = (index) => {
+        const options = list.querySelectorAll('[role="option"]');
+        if (options.length === 0) {
+            activeIndex = -1;
+            input.removeAttribute('aria-activedescendant');
+            return;
+        }
+
+        activeIndex = (index + options.length) % options.length;
+        options.forEach((option, i) => option.setAttribute('aria-selected', String(i === activeIndex)));
+
+        const active = options[activeIndex];
+        input.setAttribute('aria-activedescendant', active.id);
+        active.scrollIntoView({ block: 'nearest' });
+    };
+
+    const render = () => {
+        results = searchCatalog(entries, input.value, {
+            species: speciesFilter.value,
+            processing: processingFilter.value,
+            halal: halalFilter.checked
+        });
+
+        list.innerHTML = results.map(({ entry, highlights }, i) => `
+            <li class="search-result" id="searchOption${i}" role="option" aria-selected="false" data-index="${i}">
+                <a class="search-result-link" href="${escapeHtml(entry.href)}" tabindex="-1">
+                    <span class="search-result-type">${escapeHtml(t(`search.types.${entry.type}`, {}, RESULT_TYPES[entry.type]))}</span>
+                    <span class="search-result-title">${highlightTitle(entry.title, highlights)}</span>
+                    <span class="search-result-subtitle">${escapeHtml(entry.subtitle)}</span>
+                </a>
+            </li>`).join('');
+
+        status.textContent = results.length === 0 ? t('search.noMatches') : tPlural('search.count', results.length);
+        setActive(0);
+    };
+
+    const close = (restoreFocus = true) => {
+        if (palette.hidden) return;
+        palette.hidden = true;
+        toggle.setAttribute('aria-expanded', 'false');
+        document.body.style.overflow = '';
+        if (restoreFocus) toggle.focus();
+    };
+
+    const open = () => {
+        const navToggle = document.getElementById('navToggle');
+        if (navToggle) closeMobileMenu(navToggle, navMenu);
+
+        palette.hidden = false;
+        toggle.setAttribute('aria-expanded', 'true');
+        document.body.style.overflow = 'hidden';
+        render();
+        input.focus();
+        input.select();
+    };
+
+    // Same-page results scroll below the fixed header; others navigate
+    const go = (href) => {
+        const url = new URL(href, window.location.href);
+        if (!isCurrentPage(url)) {
+            window.location.href = url.href;
+            return;
+        }
+
+        close(false);
+        if (url.hash && scrollToHash(url.hash)) {
+            history.pushState(null, '', url.hash);
+        } else {
+            window.scrollTo({ top: 0, behavior: 'smooth' });
+        }
+    };
+
+    toggle.addEventListener('click', open);
+
+    palette.addEventListener('click', (e) => {
+        if (e.target.closest('[data-action="close"]')) close();
+    });
+
+    input.addEventListener('input', render);
+    [speciesFilter, processingFilter, halalFilter].forEach(filter => filter.addEventListener('change', render));
+
+    list.addEventListener('mousemove', (e) => {
+        const option = e.target.closest('[role="option"]');
+        if (option && Number(option.dataset.index) !== activeIndex) setActive(Number(option.dataset.index));
+    });
+
+    list.addEventListener('click', (e) => {
+        const link = e.target.closest('.search-result-link');
+        // Let modified clicks open a new tab as usual
+        if (!link || e.ctrlKey || e.metaKey || e.shiftKey || e.button !== 0) return;
+        e.preventDefault();
+        go(link.getAttribute('href'));
+    });
+
+    panel.addEventListener('keydown', (e) => {
+        switch (e.key) {
+            case 'ArrowDown':
+            case 'ArrowUp':
+                if (e.target !== input) return;
+                e.preventDefault();
+                setActive(activeIndex + (e.key === 'ArrowDown' ? 1 : -1));
+                break;
+            case 'Enter':
+                if (e.target !== input || !results[activeIndex]) return;
+                e.preventDefault();
+                go(results[activeIndex].entry.href);
+                break;
+            case 'Escape':
+                e.preventDefault();
+                close();
+                break;
+            case 'Tab': {
+                // Keep focus inside the dialog
+                const focusable = [...panel.querySelectorAll('input, select, button')];
+                const first = focusable[0];
+                const last = focusable[focusable.length - 1];
+                if (e.shiftKey && document.activeElement === first) {
+                    e.preventDefault();
+                    last.focus();
+                } else if (!e.shiftKey && document.activeElement === last) {
+                    e.preventDefault();
+                    first.focus();
+                }
+                break;
+            }
+        }
+    });
+
+    document.addEventListener('localechange', () => {
+        entries = buildLocalizedIndex();
+        if (!palette.hidden) render();
+    });
+
+    document.addEventListener('keydown', (e) => {
+        if (!palette.hidden) return;
+        const shortcut = (e.key === 'k' || e.key === 'K') && (e.ctrlKey || e.metaKey);
+        if (shortcut || (e.key === '/' && !isTyping(e.target))) {
+            e.preventDefault();
+            open();
+        }
+    });
+}
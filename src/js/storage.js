@@ -0,0 +1,49 @@
+/* ============================================
+   LOCAL STORAGE
+   JSON helpers that never throw (private mode,
+   quota errors and corrupt values are ignored)
+   ============================================ */
+
+const PREFIX = 'freshflow.';
+
+/**
+ * Read a JSON value
+ * @param {string} key - Key without the site prefix
+ * @param {*} fallback - Returned when nothing usable is stored
+ * @returns {*}
+ */
+export function readStorage(key, fallback) {
+    try {
+        const raw = window.localStorage.getItem(PREFIX + key);
+        return raw === null ? fallback : JSON.parse(raw);
+    } catch {
+        return fallback;
+    }
+}
+
+/**
+ * Write a JSON value
+ * @param {string} key - Key without the site prefix
+ * @param {*} value - Serializable value
+ * @returns {boolean} - False if the value could not be stored
+ */
+export function writeStorage(key, value) {
+    try {
+        window.localStorage.setItem(PREFIX + key, JSON.stringify(value));
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Remove a stored value
+ * @param {string} key - Key without the site prefix
+ */
+export function removeStorage(key) {
+    try {
+        window.localStorage.removeItem(PREFIX + key);
+    } catch {
+        // Storage unavailable - nothing to remove
+    }
+}
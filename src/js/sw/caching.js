@@ -0,0 +1,213 @@
+/* ============================================
+   SERVICE WORKER CACHING
+   Precache: the files the build lists, stored
+   under "?__rev=<revision>" so a new build only
+   downloads what changed. Pages: stale-while-
+   revalidate, falling back to offline.html.
+   Images outside the precache: cache first,
+   kept to the most recent RUNTIME_MAX_ENTRIES;
+   offline, the precached width of the same image.
+   Admin pages and responses marked no-store are
+   never cached.
+   ============================================ */
+
+const PRECACHE = 'freshflow-precache';
+const PAGES = 'freshflow-pages';
+const RUNTIME = 'freshflow-runtime';
+
+/** Page shown for navigations that are neither cached nor reachable */
+export const OFFLINE_PAGE = 'offline.html';
+
+const REVISION_PARAM = '__rev';
+const RUNTIME_MAX_ENTRIES = 80;
+
+// Width and format suffix of the generated images, e.g. hero1-1280.avif
+const IMAGE_WIDTH_RE = /-\d+\.(?:webp|avif)$/;
+
+/**
+ * Absolute URL of a path in the worker's scope
+ * @param {string} path - Path relative to the site root
+ * @returns {string}
+ */
+function scopeUrl(path) {
+    return new URL(path, self.registration.scope).href;
+}
+
+/**
+ * URL a request is cached under: no query or hash, and "/" as index.html
+ * @param {string} href - Request URL
+ * @returns {string}
+ */
+function pageKey(href) {
+    const url = new URL(href);
+    return url.origin + (url.pathname.endsWith('/') ? `${url.pathname}index.html` : url.pathname);
+}
+
+/**
+ * Whether a response may be kept for later
+ * @param {Response} response - From the network
+ * @returns {boolean}
+ */
+function storable(response) {
+    return response.ok && !/(^|,)\s*no-store\s*(,|$)/i.test(response.headers.get('Cache-Control') || '');
+}
+
+/**
+ * Whether a path is one of the admin pages, which hold data no cache should keep
+ * @param {string} pathname - URL path
+ * @returns {boolean}
+ */
+function isAdminPath(pathname) {
+    return pathname === '/admin' || pathname.startsWith('/admin/');
+}
+
+/**
+ * Map each precached URL to its revisioned cache key
+ * @param {Array<{url: string, revision: string}>} manifest - Injected by the build
+ * @returns {Map<string, string>}
+ */
+export function precacheIndex(manifest) {
+    return new Map(manifest.map(({ url, revision }) => {
+        const key = new URL(scopeUrl(url));
+        key.searchParams.set(REVISION_PARAM, revision);
+        return [scopeUrl(url), key.href];
+    }));
+}
+
+/**
+ * Download every precached file whose revision is not cached yet
+ * @param {Map<string, string>} index - From precacheIndex()
+ * @returns {Promise<void>}
+ */
+export async function precache(index) {
+    const cache = await caches.open(PRECACHE);
+    await Promise.all([...index].map(async ([url, key]) => {
+        if (await cache.match(key)) return;
+
+        const response = await fetch(url, { cache: 'reload' });
+        if (!response.ok) throw new Error(`Could not precache ${url} (${response.status})`);
+        await cache.put(key, response);
+    }));
+}
+
+/**
+ * Drop old revisions from the precache and pages fetched for the previous build
+ * @param {Map<string, string>} index - From precacheIndex()
+ * @returns {Promise<void>}
+ */
+export async function cleanCaches(index) {
+    const current = new Set(index.values());
+    const cache = await caches.open(PRECACHE);
+    const stale = (await cache.keys()).filter(request => !current.has(request.url));
+
+    await Promise.all(stale.map(request => cache.delete(request)));
+    await caches.delete(PAGES);
+}
+
+/**
+ * Cached copy of a precached URL
+ * @param {Map<string, string>} index - From precacheIndex()
+ * @param {string} url - Page key
+ * @returns {Promise<Response|undefined>}
+ */
+async function matchPrecache(index, url) {
+    return index.has(url) ? caches.match(index.get(url), { cacheName: PRECACHE }) : undefined;
+}
+
+/**
+ * Stale-while-revalidate for page navigations
+ * The cached page is shown at once and refreshed for next time; with neither, the offline page
+ * @param {FetchEvent} event - Navigation
+ * @param {Map<string, string>} index - From precacheIndex()
+ * @returns {Promise<Response>}
+ */
+async function navigate(event, index) {
+    const url = pageKey(event.request.url);
+    const pages = await caches.open(PAGES);
+    const cached = await pages.match(url) || await matchPrecache(index, url);
+
+    const network = fetch(event.request).then(async response => {
+        // Redirected responses cannot answer a later navigation
+        if (storable(response) && !response.redirected) await pages.put(url, response.clone());
+        return response;
+    });
+
+    if (cached) {
+        event.waitUntil(network.catch(() => {}));
+        return cached;
+    }
+    return network.catch(async () => await matchPrecache(index, scopeUrl(OFFLINE_PAGE)) || Response.error());
+}
+
+/**
+ * Remove the oldest entries beyond a limit
+ * @param {Cache} cache - Runtime cache
+ * @param {number} limit - Entries to keep
+ * @returns {Promise<void>}
+ */
+async function trimCache(cache, limit) {
+    const keys = await cache.keys();
+    await Promise.all(keys.slice(0, Math.max(0, keys.length - limit)).map(request => cache.delete(request)));
+}
+
+/**
+ * Precached width of a generated image, for when the width asked for cannot be fetched
+ * @param {Map<string, string>} index - From precacheIndex()
+ * @param {string} url - Image URL
+ * @returns {Promise<Response|undefined>}
+ */
+async function matchOtherWidth(index, url) {
+    const key = pageKey(url);
+    if (!IMAGE_WIDTH_RE.test(key)) return undefined;
+
+    const family = key.replace(IMAGE_WIDTH_RE, '');
+    const sibling = [...index.keys()].find(candidate => IMAGE_WIDTH_RE.test(candidate) && candidate.replace(IMAGE_WIDTH_RE, '') === family);
+    return sibling ? matchPrecache(index, sibling) : undefined;
+}
+
+/**
+ * Cache-first for images the precache does not have (AVIF and the other widths)
+ * @param {FetchEvent} event - Image request
+ * @param {Map<string, string>} index - From precacheIndex()
+ * @returns {Promise<Response>}
+ */
+async function cacheFirst(event, index) {
+    const cache = await caches.open(RUNTIME);
+    const cached = await cache.match(event.request);
+    if (cached) return cached;
+
+    let response;
+    try {
+        response = await fetch(event.request);
+    } catch (err) {
+        const fallback = await matchOtherWidth(index, event.request.url);
+        if (fallback) return fallback;
+        throw err;
+    }
+    if (storable(response)) {
+        await cache.put(event.request, response.clone());
+        event.waitUntil(trimCache(cache, RUNTIME_MAX_ENTRIES));
+    }
+    return response;
+}
+
+/**
+ * Answer a fetch from the caches, or leave it to the network
+ * API calls, admin pages, other origins and non-GET requests always go to the network
+ * @param {FetchEvent} event - Fetch event
+ * @param {Map<string, string>} index - From precacheIndex()
+ * @returns {Promise<Response>|null} - Null to let the browser handle it
+ */
+export function handleFetch(event, index) {
+    const { request } = event;
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return null;
+    if (url.pathname.startsWith('/api/') || isAdminPath(url.pathname)) return null;
+
+    if (request.mode === 'navigate') return navigate(event, index);
+
+    const key = pageKey(request.url);
+    if (index.has(key)) return matchPrecache(index, key).then(cached => cached || fetch(request));
+    if (request.destination === 'image') return cacheFirst(event, index);
+    return null;
+}
@@ -0,0 +1,44 @@
+/* ============================================
+   FRESHFLOW FOODS - SERVICE WORKER
+   Entry point for sw.js
+   Build with: node scripts/build.js, which puts
+   the files to precache and their revisions in
+   place of self.__PRECACHE_MANIFEST
+   ============================================ */
+
+import { precacheIndex, precache, cleanCaches, handleFetch } from './caching.js';
+import { SYNC_TAG, QUEUE_MESSAGE, sendQueuedEnquiries } from '../offline-queue.js';
+
+const index = precacheIndex(self.__PRECACHE_MANIFEST);
+
+/**
+ * Send the queued enquiries and tell the open pages what happened
+ * Rejects while some are still queued, so the browser tries again later
+ * @returns {Promise<void>}
+ */
+async function syncEnquiries() {
+    const { sent, rejected, pending } = await sendQueuedEnquiries();
+
+    if (sent.length || rejected.length) {
+        const clients = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+        clients.forEach(client => client.postMessage({ type: QUEUE_MESSAGE, sent, rejected, pending }));
+    }
+    if (pending) throw new Error(`${pending} queued enquiries not sent yet`);
+}
+
+self.addEventListener('install', event => {
+    event.waitUntil(precache(index).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(cleanCaches(index).then(() => self.clients.claim()));
+});
+
+self.addEventListener('fetch', event => {
+    const response = handleFetch(event, index);
+    if (response) event.respondWith(response);
+});
+
+self.addEventListener('sync', event => {
+    if (event.tag === SYNC_TAG) event.waitUntil(syncEnquiries());
+});
@@ -0,0 +1,159 @@
+/* ============================================
+   HERO SWIPER CAROUSEL
+   Rotates every 5 s with a pause/play button.
+   Rotation stops for good once keyboard focus
+   enters the carousel or the visitor moves the
+   slides, pauses while the pointer is over it,
+   and never starts with reduced motion. While it
+   is stopped, slide changes are announced in a
+   polite live region.
+   ============================================ */
+
+import { getDirection, t } from './i18n.js';
+import { prefersReducedMotion } from './utils.js';
+import { trackEvent } from './analytics.js';
+
+const PAUSE_ICON = '<svg viewBox="0 0 24 24" width="20" height="20" fill="currentColor" aria-hidden="true"><path d="M6 5h4v14H6zM14 5h4v14h-4z"/></svg>';
+const PLAY_ICON = '<svg viewBox="0 0 24 24" width="20" height="20" fill="currentColor" aria-hidden="true"><path d="M8 5v14l11-7z"/></svg>';
+
+/**
+ * Swiper's a11y messages in the active language
+ * @returns {Object}
+ */
+function a11yMessages() {
+    return {
+        prevSlideMessage: t('hero.previous'),
+        nextSlideMessage: t('hero.next'),
+        paginationBulletMessage: t('hero.goToSlide'),
+        containerMessage: t('hero.label'),
+        containerRoleDescriptionMessage: t('hero.carousel'),
+        itemRoleDescriptionMessage: t('hero.slide')
+    };
+}
+
+/**
+ * Initialize Swiper for the hero section
+ * Called after first paint for better LCP. The slide
+ * direction and arrows follow the page language (RTL for Arabic)
+ */
+export function initHeroSwiper() {
+    const heroSwiper = document.querySelector('.hero-swiper');
+    if (!heroSwiper) return;
+
+    // Swiper is only loaded on pages with a hero slider
+    if (typeof Swiper === 'undefined') {
+        console.warn('Swiper library not loaded');
+        return;
+    }
+
+    const reducedMotion = prefersReducedMotion();
+    const slideCount = heroSwiper.querySelectorAll('.swiper-slide').length;
+
+    heroSwiper.insertAdjacentHTML('beforeend', `
+        <button type="button" class="hero-autoplay" id="heroAutoplay"></button>
+        <p class="visually-hidden" id="heroStatus" aria-live="polite" aria-atomic="true"></p>`);
+    const autoplayButton = document.getElementById('heroAutoplay');
+    const status = document.getElementById('heroStatus');
+
+    // Arrow keys belong to the navigation menus, so Swiper's keyboard module stays off
+    const swiper = new Swiper(heroSwiper, {
+        loop: true,
+        speed: reducedMotion ? 0 : 800,
+        autoplay: {
+            enabled: !reducedMotion,
+            delay: 5000,
+            disableOnInteraction: true,
+            pauseOnMouseEnter: true,
+        },
+        effect: 'fade',
+        fadeEffect: {
+            crossFade: true
+        },
+        navigation: {
+            nextEl: '.swiper-button-next',
+            prevEl: '.swiper-button-prev',
+        },
+        pagination: {
+            el: '.swiper-pagination',
+            clickable: true,
+        },
+        a11y: a11yMessages(),
+        // Performance optimizations
+        watchSlidesProgress: true,
+        preloadImages: false,
+        lazy: {
+            loadPrevNext: true,
+            loadPrevNextAmount: 1,
+        },
+    });
+
+    // Slides are announced by #heroStatus instead of the wrapper
+    swiper.wrapperEl.setAttribute('aria-live', 'off');
+
+    const updateAutoplayButton = () => {
+        const running = swiper.autoplay.running;
+        autoplayButton.setAttribute('aria-label', t(running ? 'hero.pause' : 'hero.play'));
+        autoplayButton.innerHTML = running ? PAUSE_ICON : PLAY_ICON;
+    };
+
+    // Faded-out slides keep their links out of the tab order
+    const updateSlides = () => {
+        swiper.slides.forEach((slide, index) => {
+            slide.inert = index !== swiper.activeIndex;
+        });
+    };
+
+    const announce = () => {
+        if (swiper.autoplay.running) return;
+        const slide = swiper.slides[swiper.activeIndex];
+        status.textContent = t('hero.slideStatus', {
+            index: swiper.realIndex + 1,
+            total: slideCount,
+            title: slide?.querySelector('.hero-title')?.textContent.trim() || ''
+        });
+    };
+
+    autoplayButton.addEventListener('click', () => {
+        if (swiper.autoplay.running) swiper.autoplay.stop();
+        else swiper.autoplay.start();
+    });
+
+    // Rotation stops once focus is inside and only the button starts it again
+    heroSwiper.addEventListener('focusin', (e) => {
+        if (e.target !== autoplayButton && swiper.autoplay.running) swiper.autoplay.stop();
+    });
+
+    swiper.on('autoplayStart', updateAutoplayButton);
+    swiper.on('autoplayStop', updateAutoplayButton);
+    swiper.on('slideChange', updateSlides);
+    swiper.on('slideChange', announce);
+    updateAutoplayButton();
+    updateSlides();
+
+    // Each slide counts once per page view
+    const shownSlides = new Set();
+    const recordImpression = () => {
+        const slide = swiper.realIndex + 1;
+        if (shownSlides.has(slide)) return;
+        shownSlides.add(slide);
+        trackEvent('hero_slide', { slide });
+    };
+    recordImpression();
+    swiper.on('slideChange', recordImpression);
+
+    document.addEventListener('localechange', () => {
+        swiper.changeLanguageDirection(getDirection());
+
+        // The a11y module only labels the arrows and bullets on init
+        Object.assign(swiper.params.a11y, a11yMessages());
+        swiper.navigation.prevEl?.setAttribute('aria-label', t('hero.previous'));
+        swiper.navigation.nextEl?.setAttribute('aria-label', t('hero.next'));
+        swiper.pagination.bullets.forEach((bullet, index) => {
+            bullet.setAttribute('aria-label', t('hero.goToSlide').replace('{{index}}', index + 1));
+        });
+        swiper.el.setAttribute('aria-label', t('hero.label'));
+        swiper.el.setAttribute('aria-roledescription', t('hero.carousel'));
+        swiper.slides.forEach(slide => slide.setAttribute('aria-roledescription', t('hero.slide')));
+        updateAutoplayButton();
+    });
+}
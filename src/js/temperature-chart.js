@@ -0,0 +1,116 @@
+/* ============================================
+   TEMPERATURE CHART
+   Line chart of a cold-chain log as an SVG
+   string, with the limit and excursions marked.
+   Used on the tracking page and in the
+   compliance report, so it needs no DOM.
+   ============================================ */
+
+import { escapeHtml } from './utils.js';
+
+const PADDING = { top: 16, right: 16, bottom: 36, left: 52 };
+
+/**
+ * Round tick values for an axis
+ * @param {number} min - Lowest value
+ * @param {number} max - Highest value
+ * @param {number} [count] - Roughly how many ticks
+ * @returns {Array<number>}
+ */
+function niceTicks(min, max, count = 5) {
+    const span = max - min || 1;
+    const raw = span / count;
+    const magnitude = 10 ** Math.floor(Math.log10(raw));
+    const step = [1, 2, 5, 10].map(factor => factor * magnitude).find(value => value >= raw);
+    const ticks = [];
+    for (let value = Math.ceil(min / step) * step; value <= max + step / 1000; value += step) {
+        ticks.push(Math.round(value * 100) / 100);
+    }
+    return ticks;
+}
+
+/**
+ * Render a temperature log as an SVG line chart
+ * @param {Array<{at: string, celsius: number}>} readings - Sorted readings
+ * @param {Object} options
+ * @param {number} options.limit - Highest allowed temperature
+ * @param {Array<{start: string, end: string}>} [options.excursions] - Shaded on the chart
+ * @param {string} [options.title] - Accessible name
+ * @param {string} [options.limitLabel] - Label of the limit line
+ * @param {Function} [options.formatTime] - Timestamp (ms) => axis label
+ * @param {Function} [options.formatTemperature] - °C => axis label
+ * @param {number} [options.width] - Drawing width (the SVG scales to its container)
+ * @param {number} [options.height] - Drawing height
+ * @returns {string} - <svg> markup
+ */
+export function renderTemperatureChart(readings, {
+    limit,
+    excursions = [],
+    title = '',
+    limitLabel = '',
+    formatTime = time => new Date(time).toISOString().slice(5, 10),
+    formatTemperature = celsius => `${celsius} °C`,
+    width = 720,
+    height = 280
+}) {
+    const times = readings.map(reading => new Date(reading.at).getTime());
+    const temperatures = readings.map(reading => reading.celsius);
+    const start = times[0];
+    const end = times[times.length - 1] > start ? times[times.length - 1] : start + 1;
+
+    // Keep the limit in view with some headroom either side
+    const low = Math.min(...temperatures, limit);
+    const high = Math.max(...temperatures, limit);
+    const margin = Math.max((high - low) * 0.1, 0.5);
+    const yTicks = niceTicks(low - margin, high + margin);
+    const yMin = Math.min(yTicks[0], low - margin);
+    const yMax = Math.max(yTicks[yTicks.length - 1], high + margin);
+
+    const plotWidth = width - PADDING.left - PADDING.right;
+    const plotHeight = height - PADDING.top - PADDING.bottom;
+    const x = time => PADDING.left + (time - start) / (end - start) * plotWidth;
+    const y = celsius => PADDING.top + (yMax - celsius) / (yMax - yMin) * plotHeight;
+    const round = value => Math.round(value * 10) / 10;
+
+    const grid = yTicks.map(tick => `
+        <line x1="${PADDING.left}" x2="${width - PADDING.right}" y1="${round(y(tick))}" y2="${round(y(tick))}" class="chart-grid"/>
+        <text x="${PADDING.left - 8}" y="${round(y(tick))}" class="chart-label" text-anchor="end" dominant-baseline="middle">${escapeHtml(formatTemperature(tick))}</text>`).join('');
+
+    const xTickCount = Math.min(6, readings.length);
+    const xTicks = Array.from({ length: xTickCount }, (_, i) => start + (end - start) * (xTickCount > 1 ? i / (xTickCount - 1) : 0));
+    const xLabels = xTicks.map((time, i) => {
+        const anchor = i === 0 ? 'start' : i === xTicks.length - 1 ? 'end' : 'middle';
+        return `<text x="${round(x(time))}" y="${height - PADDING.bottom + 20}" class="chart-label" text-anchor="${anchor}">${escapeHtml(formatTime(time))}</text>`;
+    }).join('');
+
+    const bands = excursions.map(excursion => {
+        const from = x(new Date(excursion.start).getTime());
+        const to = x(new Date(excursion.end).getTime());
+        // Keep single-reading excursions visible
+        return `<rect x="${round(from)}" y="${PADDING.top}" width="${round(Math.max(to - from, 2))}" height="${plotHeight}" class="chart-excursion"/>`;
+    }).join('');
+
+    const points = readings.map((reading, i) => `${round(x(times[i]))},${round(y(reading.celsius))}`).join(' ');
+    const limitY = round(y(limit));
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" class="temperature-chart" role="img"${title ? ` aria-label="${escapeHtml(title)}"` : ''}>
+        <style>
+            .temperature-chart { direction: ltr; }
+            .chart-grid { stroke: #EEEEEE; }
+            .chart-axis { stroke: #9E9E9E; }
+            .chart-label { fill: #616161; font: 11px 'Segoe UI', Tahoma, sans-serif; }
+            .chart-limit { stroke: #C62828; stroke-dasharray: 6 4; }
+            .chart-limit-label { fill: #C62828; font: 600 11px 'Segoe UI', Tahoma, sans-serif; }
+            .chart-excursion { fill: rgba(229, 57, 53, 0.15); }
+            .chart-line { fill: none; stroke: #1565C0; stroke-width: 2; stroke-linejoin: round; }
+        </style>
+        ${grid}
+        ${bands}
+        <line x1="${PADDING.left}" x2="${PADDING.left}" y1="${PADDING.top}" y2="${height - PADDING.bottom}" class="chart-axis"/>
+        <line x1="${PADDING.left}" x2="${width - PADDING.right}" y1="${height - PADDING.bottom}" y2="${height - PADDING.bottom}" class="chart-axis"/>
+        <line x1="${PADDING.left}" x2="${width - PADDING.right}" y1="${limitY}" y2="${limitY}" class="chart-limit"/>
+        ${limitLabel ? `<text x="${width - PADDING.right}" y="${limitY - 6}" class="chart-limit-label" text-anchor="end">${escapeHtml(limitLabel)}</text>` : ''}
+        <polyline points="${points}" class="chart-line"/>
+        ${xLabels}
+    </svg>`;
+}
@@ -0,0 +1,330 @@
+/* ============================================
+   SHIPMENT TRACKING
+   track.html?id=<lot/consignment ID> - the URL
+   printed on the QR labels. Looks the ID up in
+   the tracking API and renders the timeline
+   from farm origin to arrival.
+   ============================================ */
+
+import { escapeHtml } from './utils.js';
+import { t, getLocale, getMessages } from './i18n.js';
+import { QUOTE_LABELS } from './rfq.js';
+import { summarizeTemperatureLog, formatDuration } from './cold-chain.js';
+import { renderTemperatureChart } from './temperature-chart.js';
+
+export const CONSIGNMENTS_ENDPOINT = '/api/consignments';
+
+/**
+ * Format an ISO date in the active language
+ * @param {string} value - ISO date or timestamp
+ * @returns {string}
+ */
+function formatDate(value) {
+    return new Intl.DateTimeFormat(getLocale(), { dateStyle: 'medium', timeZone: 'UTC' }).format(new Date(value));
+}
+
+/**
+ * Format an ISO timestamp in the active language (UTC, like the logger files)
+ * @param {string|number} value - ISO timestamp or milliseconds
+ * @returns {string}
+ */
+function formatDateTime(value) {
+    return new Intl.DateTimeFormat(getLocale(), { dateStyle: 'medium', timeStyle: 'short', timeZone: 'UTC' }).format(new Date(value));
+}
+
+/**
+ * Format a temperature in the active language
+ * @param {number} celsius - Temperature
+ * @returns {string}
+ */
+function formatTemperature(celsius) {
+    return new Intl.NumberFormat(getLocale(), { style: 'unit', unit: 'celsius', maximumFractionDigits: 1 }).format(celsius);
+}
+
+/**
+ * Build the tracking timeline
+ * Steps without a date yet (e.g. no vessel booked) are listed as pending
+ * @param {Object} consignment - From the tracking API
+ * @param {Date} [now] - Reference time for completed steps
+ * @returns {Array<{key: string, date: string, done: boolean, details: Array<[string, string]>}>}
+ */
+export function buildTimeline(consignment, now = new Date()) {
+    const { origin = {}, slaughter = {}, processing = {}, coldStorage, container, vessel } = consignment;
+    const readings = coldStorage?.readings || [];
+    const temperatures = readings.map(reading => reading.celsius);
+
+    const steps = [
+        {
+            key: 'origin',
+            date: origin.collectedOn,
+            details: [['farm', origin.farm], ['region', origin.region], ['breed', consignment.breed]]
+        },
+        {
+            key: 'slaughter',
+            date: slaughter.date,
+            details: [['plant', slaughter.plant], ['location', slaughter.location], ['halal', slaughter.halal ? t('tracking.fields.yes') : '']]
+        },
+        {
+            key: 'processing',
+            date: processing.packedOn,
+            details: [
+                ['storage', processing.state && t(`catalog.processing.${processing.state}`, {}, QUOTE_LABELS.states[processing.state] || processing.state)],
+                ['form', processing.form && t(`quote.forms.${processing.form}`, {}, QUOTE_LABELS.forms[processing.form] || processing.form)]
+            ]
+        },
+        {
+            key: 'coldStorage',
+            date: readings[0]?.at,
+            details: coldStorage ? [
+                ['facility', coldStorage.facility],
+                ['setPoint', coldStorage.setPoint != null ? formatTemperature(coldStorage.setPoint) : ''],
+                ['range', temperatures.length ? `${formatTemperature(Math.min(...temperatures))} – ${formatTemperature(Math.max(...temperatures))}` : ''],
+                ['latest', readings.length ? `${formatTemperature(readings[readings.length - 1].celsius)} (${formatDate(readings[readings.length - 1].at)})` : '']
+            ] : []
+        },
+        {
+            key: 'container',
+            date: container?.loadedOn,
+            details: container ? [['container', container.number], ['type', container.type], ['seal', container.seal]] : []
+        },
+        {
+            key: 'vessel',
+            date: vessel?.departedOn,
+            details: vessel ? [
+                ['vessel', vessel.name], ['voyage', vessel.voyage],
+                ['from', vessel.portOfLoading], ['to', vessel.portOfDischarge]
+            ] : []
+        },
+        {
+            key: consignment.arrivedOn ? 'arrived' : 'arrival',
+            date: consignment.arrivedOn || consignment.eta,
+            details: vessel ? [['to', vessel.portOfDischarge]] : []
+        }
+    ];
+
+    return steps.map(step => ({
+        ...step,
+        // The ETA is a forecast, so arrival only counts once it is recorded
+        done: Boolean(step.date) && step.key !== 'arrival' && new Date(step.date) <= now,
+        details: step.details.filter(([, value]) => value)
+    }));
+}
+
+/**
+ * Overall status for the summary badge
+ * @param {Array} timeline - From buildTimeline()
+ * @returns {string} - Status key under tracking.status
+ */
+function trackingStatus(timeline) {
+    const done = new Set(timeline.filter(step => step.done).map(step => step.key));
+    if (done.has('arrived')) return 'arrived';
+    if (done.has('vessel') || done.has('container')) return 'inTransit';
+    if (done.has('coldStorage')) return 'inStorage';
+    return 'processing';
+}
+
+/**
+ * Render the data-logger chart, its excursions and the report link
+ * @param {Object} consignment - From the tracking API
+ * @returns {string} - Empty until a log is uploaded
+ */
+function renderTemperatureLog(consignment) {
+    const readings = consignment.temperatureLog?.readings;
+    const state = consignment.processing?.state;
+    const summary = summarizeTemperatureLog(readings, state);
+    if (!summary) return '';
+
+    const messages = getMessages('coldChain');
+    const limit = formatTemperature(summary.limit);
+    const chart = renderTemperatureChart(readings, {
+        limit: summary.limit,
+        excursions: summary.excursions,
+        title: t('coldChain.chartTitle', { id: consignment.id }),
+        limitLabel: t('coldChain.limitLabel', { state: t(`catalog.processing.${state}`, {}, QUOTE_LABELS.states[state] || state), limit }),
+        formatTime: time => new Intl.DateTimeFormat(getLocale(), { day: 'numeric', month: 'short', timeZone: 'UTC' }).format(time),
+        formatTemperature
+    });
+
+    const stats = [
+        ['readings', new Intl.NumberFormat(getLocale()).format(summary.count)],
+        ['period', `${formatDateTime(summary.from)} – ${formatDateTime(summary.to)}`],
+        ['range', `${formatTemperature(summary.min)} – ${formatTemperature(summary.max)}`],
+        ['mean', formatTemperature(summary.mean)],
+        ['humidity', summary.humidity ? `${summary.humidity.min}% – ${summary.humidity.max}%` : '']
+    ].filter(([, value]) => value)
+        .map(([label, value]) => `<div><dt>${escapeHtml(t(`coldChain.${label}`))}</dt><dd>${escapeHtml(value)}</dd></div>`)
+        .join('');
+
+    const rows = summary.excursions.map(excursion => `
+        <tr>
+            <td>${escapeHtml(formatDateTime(excursion.start))}</td>
+            <td>${escapeHtml(excursion.ongoing ? t('coldChain.ongoing') : formatDateTime(excursion.end))}</td>
+            <td>${escapeHtml(formatDuration(excursion.durationMs, messages))}</td>
+            <td>${escapeHtml(formatTemperature(excursion.peak))}</td>
+        </tr>`).join('');
+
+    const verdict = summary.excursions.length
+        ? t('coldChain.excursionsFound', { limit, count: summary.excursions.length, duration: formatDuration(summary.excursionMs, messages) })
+        : t('coldChain.noExcursions', { limit });
+
+    return `
+        <section class="track-log" aria-labelledby="trackLogTitle">
+            <h3 class="track-log-title" id="trackLogTitle">${escapeHtml(t('coldChain.title'))}</h3>
+            <div class="track-log-chart">${chart}</div>
+            <dl class="track-step-details track-log-stats">${stats}</dl>
+            <p class="track-log-verdict ${summary.excursions.length ? 'track-log-fail' : 'track-log-pass'}">${escapeHtml(verdict)}</p>
+            ${rows ? `
+            <div class="track-log-table-wrap">
+                <table class="track-log-table">
+                    <caption>${escapeHtml(t('coldChain.excursions'))}</caption>
+                    <thead>
+                        <tr>
+                            <th scope="col">${escapeHtml(t('coldChain.started'))}</th>
+                            <th scope="col">${escapeHtml(t('coldChain.ended'))}</th>
+                            <th scope="col">${escapeHtml(t('coldChain.duration'))}</th>
+                            <th scope="col">${escapeHtml(t('coldChain.peak'))}</th>
+                        </tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>` : ''}
+            <p class="track-log-note">${escapeHtml(t('coldChain.note'))}</p>
+            <a href="${CONSIGNMENTS_ENDPOINT}/${encodeURIComponent(consignment.id)}/report?lang=${getLocale()}" class="btn btn-secondary" download>${escapeHtml(t('coldChain.download'))}</a>
+        </section>`;
+}
+
+/**
+ * Render the consignment summary and timeline
+ * @param {Object} consignment - From the tracking API
+ * @returns {string}
+ */
+function renderConsignment(consignment) {
+    const timeline = buildTimeline(consignment);
+    const status = trackingStatus(timeline);
+    const lastDone = timeline.map(step => step.done).lastIndexOf(true);
+    const { quantity = {} } = consignment;
+
+    const product = [
+        t(`catalog.products.${consignment.product}.name`, {}, QUOTE_LABELS.species[consignment.product] || consignment.product),
+        consignment.breed,
+        consignment.cut && t(`catalog.cuts.${consignment.cut}`, {}, QUOTE_LABELS.cuts[consignment.cut] || consignment.cut)
+    ].filter(Boolean).join(' · ');
+    const amount = quantity.value ? `${quantity.value} ${t(`quote.units.${quantity.unit}`, {}, QUOTE_LABELS.units[quantity.unit] || quantity.unit)}` : '';
+
+    const steps = timeline.map((step, index) => {
+        const state = index === lastDone ? 'current' : step.done ? 'done' : 'upcoming';
+        const details = step.details
+            .map(([label, value]) => `<div><dt>${escapeHtml(t(`tracking.fields.${label}`))}</dt><dd>${escapeHtml(value)}</dd></div>`)
+            .join('');
+
+        return `
+            <li class="track-step track-step-${state}"${state === 'current' ? ' aria-current="step"' : ''}>
+                <div class="track-step-marker" aria-hidden="true"></div>
+                <div class="track-step-body">
+                    <h3 class="track-step-title">${escapeHtml(t(`tracking.steps.${step.key}`))}</h3>
+                    <p class="track-step-date">${step.date ? escapeHtml(formatDate(step.date)) : escapeHtml(t('tracking.pending'))}</p>
+                    ${details ? `<dl class="track-step-details">${details}</dl>` : ''}
+                </div>
+            </li>`;
+    }).join('');
+
+    return `
+        <div class="track-summary">
+            <div>
+                <p class="track-summary-label">${escapeHtml(t('tracking.consignment'))}</p>
+                <h2 class="track-summary-id">${escapeHtml(consignment.id)}</h2>
+                <p class="track-summary-product">${escapeHtml([amount, product].filter(Boolean).join(' · '))}</p>
+            </div>
+            <span class="track-status track-status-${status}">${escapeHtml(t(`tracking.status.${status}`))}</span>
+        </div>
+        <ol class="track-timeline">${steps}</ol>
+        ${renderTemperatureLog(consignment)}`;
+}
+
+/**
+ * Fetch a consignment
+ * @param {string} id - Lot/consignment ID
+ * @returns {Promise<Object>}
+ * @throws {Error} - With a message to show
+ */
+async function fetchConsignment(id) {
+    let response;
+    try {
+        response = await fetch(`${CONSIGNMENTS_ENDPOINT}/${encodeURIComponent(id)}`, {
+            headers: { 'Accept': 'application/json', 'Accept-Language': getLocale() }
+        });
+    } catch {
+        throw new Error(t('tracking.loadError'));
+    }
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok || !data.ok) throw new Error(data.error || t('tracking.loadError'));
+    return data.consignment;
+}
+
+/**
+ * Initialize the tracking page
+ */
+export function initTracking() {
+    const form = document.getElementById('trackForm');
+    const result = document.getElementById('trackResult');
+    if (!form || !result) return;
+
+    const input = document.getElementById('trackId');
+    const message = document.getElementById('trackMessage');
+    let consignment = null;
+
+    const showMessage = (text, isError = false) => {
+        message.textContent = text;
+        message.classList.toggle('track-message-error', isError);
+    };
+
+    const lookup = async (id) => {
+        consignment = null;
+        result.hidden = true;
+        if (!id) {
+            showMessage(t('tracking.enterId'), true);
+            return;
+        }
+
+        showMessage(t('tracking.loading'));
+        form.setAttribute('aria-busy', 'true');
+        try {
+            consignment = await fetchConsignment(id);
+            showMessage('');
+            result.innerHTML = renderConsignment(consignment);
+            result.hidden = false;
+        } catch (err) {
+            showMessage(err.message, true);
+        } finally {
+            form.setAttribute('aria-busy', 'false');
+        }
+    };
+
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        const id = input.value.trim().toUpperCase();
+        input.value = id;
+
+        // Keep the ID in the address bar so the page can be shared or bookmarked
+        const url = new URL(window.location.href);
+        url.searchParams.set('id', id);
+        history.pushState(null, '', url);
+        lookup(id);
+    });
+
+    window.addEventListener('popstate', () => {
+        input.value = new URLSearchParams(window.location.search).get('id') || '';
+        lookup(input.value.trim());
+    });
+
+    document.addEventListener('localechange', () => {
+        if (consignment) result.innerHTML = renderConsignment(consignment);
+    });
+
+    const scanned = new URLSearchParams(window.location.search).get('id');
+    if (scanned) {
+        input.value = scanned.trim().toUpperCase();
+        lookup(input.value);
+    }
+}
@@ -0,0 +1,113 @@
+/* ============================================
+   UTILITY FUNCTIONS
+   ============================================ */
+
+/** Viewport width at or below which the mobile navigation is used */
+export const MOBILE_BREAKPOINT = 991;
+
+/**
+ * Debounce function to limit how often a function fires
+ * @param {Function} func - Function to debounce
+ * @param {number} wait - Wait time in milliseconds
+ * @returns {Function} - Debounced function
+ */
+export function debounce(func, wait) {
+    let timeout;
+    return function(...args) {
+        clearTimeout(timeout);
+        timeout = setTimeout(() => func.apply(this, args), wait);
+    };
+}
+
+/**
+ * Throttle function to limit function calls
+ * @param {Function} func - Function to throttle
+ * @param {number} limit - Minimum time between calls
+ * @returns {Function} - Throttled function
+ */
+export function throttle(func, limit) {
+    let inThrottle;
+    return function(...args) {
+        if (!inThrottle) {
+            func.apply(this, args);
+            inThrottle = true;
+            setTimeout(() => inThrottle = false, limit);
+        }
+    };
+}
+
+/**
+ * Run a callback when the browser is idle (setTimeout fallback)
+ * @param {Function} callback - Work to schedule
+ */
+export function deferInit(callback) {
+    if ('requestIdleCallback' in window) {
+        requestIdleCallback(callback, { timeout: 2000 });
+    } else {
+        setTimeout(callback, 100);
+    }
+}
+
+// Init functions from the page bundles (src/js/pages), run with the deferred features
+const pageFeatures = [];
+let pageFeaturesStarted = false;
+
+/**
+ * Add a page bundle's feature to the deferred start-up
+ * Page bundles load after the main bundle, before the DOM is ready
+ * @param {Function} init - Init function
+ */
+export function addPageFeature(init) {
+    if (pageFeaturesStarted) deferInit(init);
+    else pageFeatures.push(init);
+}
+
+/**
+ * Run the page bundles' features (from main.js)
+ */
+export function initPageFeatures() {
+    pageFeaturesStarted = true;
+    pageFeatures.splice(0).forEach(init => init());
+}
+
+/**
+ * Run a callback once the DOM is ready
+ * @param {Function} callback - Work to run
+ */
+export function onReady(callback) {
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', callback);
+    } else {
+        callback();
+    }
+}
+
+/**
+ * Check the user's reduced motion preference
+ * @returns {boolean} - True if animations should be skipped
+ */
+export function prefersReducedMotion() {
+    return window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+}
+
+/**
+ * Check whether the mobile navigation layout is active
+ * @returns {boolean} - True at or below the mobile breakpoint
+ */
+export function isMobileViewport() {
+    return window.innerWidth <= MOBILE_BREAKPOINT;
+}
+
+/**
+ * Escape text for safe use inside HTML markup
+ * @param {*} value - Text to escape
+ * @returns {string} - Escaped text
+ */
+export function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
@@ -0,0 +1,217 @@
+/* ============================================
+   FORM VALIDATION
+   Declarative field rules shared by the forms
+   and the server so both apply exactly the
+   same checks.
+   Messages default to English; callers pass a
+   localized set from locales/<locale>.json.
+   ============================================ */
+
+import en from '../../locales/en.json' with { type: 'json' };
+import { parsePhone } from './phone.js';
+
+/** Subject options offered by the contact form (English labels are stored) */
+export const ENQUIRY_SUBJECTS = en.subjects;
+
+/** Longest value accepted per field */
+export const MAX_LENGTHS = {
+    name: 100,
+    email: 254,
+    phone: 30,
+    message: 5000
+};
+
+export const VALIDATION_MESSAGES = en.validation;
+
+/**
+ * Validate email format
+ * @param {string} email - Email address to validate
+ * @returns {boolean} - True if valid
+ */
+export function isValidEmail(email) {
+    return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+}
+
+/**
+ * Validate a loosely formatted phone number (digits, spaces, + - . ( ))
+ * @param {string} phone - Phone number to validate
+ * @returns {boolean} - True if valid
+ */
+export function isValidPhone(phone) {
+    return /^\+?[\d\s().-]+$/.test(phone) && phone.replace(/\D/g, '').length >= 6;
+}
+
+/**
+ * Validate a phone number written with its country code (+ or 00)
+ * The national number must have a length the country uses (see phone.js)
+ * @param {string} phone - Phone number to validate
+ * @returns {boolean} - True if valid
+ */
+export function isValidInternationalPhone(phone) {
+    return /^(?:\+|00)/.test(phone) && parsePhone(phone).valid;
+}
+
+/**
+ * Fill {name} placeholders in a message
+ * @param {string} message
+ * @param {Object} params
+ * @returns {string}
+ */
+function fillMessage(message, params) {
+    return String(message).replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+}
+
+/**
+ * Check a format rule
+ * @param {string} format - email, phone, intlPhone or number
+ * @param {string} value - Trimmed value
+ * @returns {boolean}
+ */
+function matchesFormat(format, value) {
+    switch (format) {
+        case 'email':
+            return isValidEmail(value);
+        case 'phone':
+            return isValidPhone(value);
+        case 'intlPhone':
+            return isValidInternationalPhone(value);
+        case 'number':
+            return /^\d+(?:\.\d+)?$/.test(value);
+        default:
+            return true;
+    }
+}
+
+// Message used for a failed check when the rule doesn't name one
+const DEFAULT_MESSAGE_KEYS = {
+    required: 'required',
+    minLength: 'minLength',
+    maxLength: 'tooLong',
+    pattern: 'pattern',
+    oneOf: 'choice',
+    email: 'email',
+    phone: 'phone',
+    intlPhone: 'phone',
+    number: 'number',
+    range: 'range',
+    // An international number without its country code
+    countryCode: 'phoneCountryCode'
+};
+
+/**
+ * Validate one value against a field rule
+ *
+ * A rule is plain data, so the browser and the server share it:
+ *   required   true, or (values) => boolean for a conditional requirement
+ *   minLength, maxLength
+ *   format     'email', 'phone' (loose), 'intlPhone' (with country code,
+ *              see phone.js) or 'number' (digits, optional decimals)
+ *   min, max   Range of a number
+ *   pattern    RegExp the whole value must match
+ *   oneOf      Allowed values (array or object keys)
+ *   multiple   The value is a list (a checkbox group); oneOf applies to
+ *              each entry and required means at least one
+ *   when       (values) => boolean; the field only applies while true
+ *   messages   Message keys by check, e.g. { minLength: 'name' }
+ *
+ * Checks run in that order and the first failure wins. Empty optional
+ * fields pass. Messages may use {min} and {max}.
+ * @param {Object} rule - Field rule
+ * @param {string|string[]} value - Trimmed value, or the list of a multiple rule
+ * @param {Object} [values] - Every trimmed value, for conditional rules
+ * @param {Object} [messages] - Error messages, see VALIDATION_MESSAGES
+ * @returns {string} - Error message, or an empty string if valid
+ */
+export function validateRule(rule, value, values = {}, messages = VALIDATION_MESSAGES) {
+    if (!rule || (rule.when && !rule.when(values))) return '';
+
+    const fail = (check) => {
+        const key = rule.messages?.[check] || DEFAULT_MESSAGE_KEYS[check];
+        return fillMessage(messages[key] ?? VALIDATION_MESSAGES[key] ?? messages.required, {
+            min: rule.min ?? rule.minLength,
+            max: rule.max ?? rule.maxLength
+        });
+    };
+    const isChoice = entry => (Array.isArray(rule.oneOf) ? rule.oneOf.includes(entry) : Object.hasOwn(rule.oneOf, entry));
+
+    const required = typeof rule.required === 'function' ? rule.required(values) : Boolean(rule.required);
+    if (Array.isArray(value)) {
+        if (!value.length) return required ? fail('required') : '';
+        return rule.oneOf && !value.every(isChoice) ? fail('oneOf') : '';
+    }
+    if (!value) return required ? fail('required') : '';
+    if (rule.maxLength && value.length > rule.maxLength) return fail('maxLength');
+    if (rule.minLength && value.length < rule.minLength) return fail('minLength');
+    if (rule.format && !matchesFormat(rule.format, value)) {
+        return fail(rule.format === 'intlPhone' && !/^(?:\+|00)/.test(value) ? 'countryCode' : rule.format);
+    }
+    if ((rule.min !== undefined && Number(value) < rule.min) || (rule.max !== undefined && Number(value) > rule.max)) {
+        return fail('range');
+    }
+    if (rule.pattern && !new RegExp(`^(?:${rule.pattern.source})$`, rule.pattern.flags).test(value)) return fail('pattern');
+    if (rule.oneOf && !isChoice(value)) return fail('oneOf');
+    return '';
+}
+
+/**
+ * Validate values against a schema of field rules
+ * Values are trimmed (multiple rules give a list of distinct strings);
+ * fields whose `when` doesn't hold come back empty
+ * @param {Object} schema - Field name to rule, see validateRule()
+ * @param {Object} data - Raw submitted values
+ * @param {Object} [messages] - Error messages, see VALIDATION_MESSAGES
+ * @returns {{valid: boolean, errors: Object, values: Object}} - Field errors and trimmed values
+ */
+export function validateSchema(schema, data, messages = VALIDATION_MESSAGES) {
+    const source = data && typeof data === 'object' ? data : {};
+    const values = {};
+    const errors = {};
+
+    const trim = raw => (typeof raw === 'string' ? raw.trim() : '');
+    Object.entries(schema).forEach(([field, rule]) => {
+        const raw = source[field];
+        values[field] = rule.multiple
+            ? [...new Set([].concat(raw ?? []).map(trim).filter(Boolean))]
+            : trim(raw);
+    });
+    Object.entries(schema).forEach(([field, rule]) => {
+        if (rule.when && !rule.when(values)) {
+            values[field] = rule.multiple ? [] : '';
+            return;
+        }
+        const error = validateRule(rule, values[field], values, messages);
+        if (error) errors[field] = error;
+    });
+
+    return { valid: Object.keys(errors).length === 0, errors, values };
+}
+
+/** Contact form fields */
+export const ENQUIRY_SCHEMA = {
+    name: { required: true, minLength: 2, maxLength: MAX_LENGTHS.name, messages: { minLength: 'name' } },
+    email: { required: true, maxLength: MAX_LENGTHS.email, format: 'email' },
+    phone: { maxLength: MAX_LENGTHS.phone, format: 'intlPhone' },
+    subject: { oneOf: ENQUIRY_SUBJECTS, messages: { oneOf: 'subject' } },
+    message: { required: true, minLength: 10, maxLength: MAX_LENGTHS.message, messages: { minLength: 'message' } }
+};
+
+/**
+ * Validate a single contact form value
+ * @param {string} type - Field name: name, email, phone, subject or message
+ * @param {string} value - Trimmed value
+ * @param {Object} [messages] - Error messages, see VALIDATION_MESSAGES
+ * @returns {string} - Error message, or an empty string if valid
+ */
+export function validateValue(type, value, messages = VALIDATION_MESSAGES) {
+    return validateRule(ENQUIRY_SCHEMA[type], value, {}, messages);
+}
+
+/**
+ * Validate a complete enquiry
+ * @param {Object} data - Raw submitted values
+ * @param {Object} [messages] - Error messages, see VALIDATION_MESSAGES
+ * @returns {{valid: boolean, errors: Object, values: Object}} - Field errors and trimmed values
+ */
+export function validateEnquiry(data, messages = VALIDATION_MESSAGES) {
+    return validateSchema(ENQUIRY_SCHEMA, data, messages);
+}
@@ -0,0 +1,37 @@
+/*! Freshflow Foods | generated from src/js by scripts/build.js - do not edit */
+(function(){'use strict';const __sw_caching=(()=>{const PRECACHE='freshflow-precache';const PAGES='freshflow-pages';const RUNTIME='freshflow-runtime';const OFFLINE_PAGE='offline.html';const REVISION_PARAM='__rev';const RUNTIME_MAX_ENTRIES=80;const IMAGE_WIDTH_RE=/-\d+\.(?:webp|avif)$/;function scopeUrl(path){return new URL(path,self.registration.scope).href;}
+function pageKey(href){const url=new URL(href);return url.origin+(url.pathname.endsWith('/')?`${url.pathname}index.html`:url.pathname);}
+function storable(response){return response.ok&&!/(^|,)\s*no-store\s*(,|$)/i.test(response.headers.get('Cache-Control')||'');}
+function isAdminPath(pathname){return pathname==='/admin'||pathname.startsWith('/admin/');}
+function precacheIndex(manifest){return new Map(manifest.map(({url,revision})=>{const key=new URL(scopeUrl(url));key.searchParams.set(REVISION_PARAM,revision);return[scopeUrl(url),key.href];}));}
+async function precache(index){const cache=await caches.open(PRECACHE);await Promise.all([...index].map(async([url,key])=>{if(await cache.match(key))return;const response=await fetch(url,{cache:'reload'});if(!response.ok)throw new Error(`Could not precache ${url} (${response.status})`);await cache.put(key,response);}));}
+async function cleanCaches(index){const current=new Set(index.values());const cache=await caches.open(PRECACHE);const stale=(await cache.keys()).filter(request=>!current.has(request.url));await Promise.all(stale.map(request=>cache.delete(request)));await caches.delete(PAGES);}
+async function matchPrecache(index,url){return index.has(url)?caches.match(index.get(url),{cacheName:PRECACHE}):undefined;}
+async function navigate(event,index){const url=pageKey(event.request.url);const pages=await caches.open(PAGES);const cached=await pages.match(url)||await matchPrecache(index,url);const network=fetch(event.request).then(async response=>{if(storable(response)&&!response.redirected)await pages.put(url,response.clone());return response;});if(cached){event.waitUntil(network.catch(()=>{}));return cached;}
+return network.catch(async()=>await matchPrecache(index,scopeUrl(OFFLINE_PAGE))||Response.error());}
+async function trimCache(cache,limit){const keys=await cache.keys();await Promise.all(keys.slice(0,Math.max(0,keys.length-limit)).map(request=>cache.delete(request)));}
+async function matchOtherWidth(index,url){const key=pageKey(url);if(!IMAGE_WIDTH_RE.test(key))return undefined;const family=key.replace(IMAGE_WIDTH_RE,'');const sibling=[...index.keys()].find(candidate=>IMAGE_WIDTH_RE.test(candidate)&&candidate.replace(IMAGE_WIDTH_RE,'')===family);return sibling?matchPrecache(index,sibling):undefined;}
+async function cacheFirst(event,index){const cache=await caches.open(RUNTIME);const cached=await cache.match(event.request);if(cached)return cached;let response;try{response=await fetch(event.request);}catch(err){const fallback=await matchOtherWidth(index,event.request.url);if(fallback)return fallback;throw err;}
+if(storable(response)){await cache.put(event.request,response.clone());event.waitUntil(trimCache(cache,RUNTIME_MAX_ENTRIES));}
+return response;}
+function handleFetch(event,index){const{request}=event;const url=new URL(request.url);if(request.method!=='GET'||url.origin!==self.location.origin)return null;if(url.pathname.startsWith('/api/')||isAdminPath(url.pathname))return null;if(request.mode==='navigate')return navigate(event,index);const key=pageKey(request.url);if(index.has(key))return matchPrecache(index,key).then(cached=>cached||fetch(request));if(request.destination==='image')return cacheFirst(event,index);return null;}
+return{OFFLINE_PAGE,precacheIndex,precache,cleanCaches,handleFetch};})();const __form_guard=(()=>{const FORM_TOKEN_ENDPOINT='/api/form-token';const HONEYPOT_FIELD='website';async function fetchFormToken(endpoint){try{const response=await fetch(endpoint,{headers:{'Accept':'application/json'}});const data=await response.json();return response.ok&&typeof data.token==='string'?data.token:'';}catch{return'';}}
+function createFormGuard(form,{eager=true,endpoint=FORM_TOKEN_ENDPOINT}={}){let request=null;const refresh=()=>{request=fetchFormToken(endpoint);return request;};if(eager){refresh();}else{form.addEventListener('focusin',()=>request||refresh());}
+return{async fields(){const formToken=await(request||refresh());const honeypot=form.elements.namedItem(HONEYPOT_FIELD);return{formToken,[HONEYPOT_FIELD]:honeypot?honeypot.value:''};},refresh};}
+return{FORM_TOKEN_ENDPOINT,HONEYPOT_FIELD,createFormGuard};})();const __offline_queue=(()=>{const{FORM_TOKEN_ENDPOINT}=__form_guard;const SYNC_TAG='enquiry-queue';const QUEUE_MESSAGE='enquiry-queue';const DB_NAME='freshflow';const DB_VERSION=1;const STORE='enquiries';const TOKEN_MAX_AGE_MS=23*60*60*1000;const FRESH_TOKEN_WAIT_MS=3500;const RETRY_STATUSES=[408,429,500,502,503,504];function settle(target){return new Promise((resolve,reject)=>{if('oncomplete'in target){target.oncomplete=()=>resolve();target.onabort=target.onerror=()=>reject(target.error);}else{target.onsuccess=()=>resolve(target.result);target.onerror=()=>reject(target.error);}});}
+function openDatabase(){const request=indexedDB.open(DB_NAME,DB_VERSION);request.onupgradeneeded=()=>{request.result.createObjectStore(STORE,{keyPath:'id',autoIncrement:true});};return settle(request);}
+async function withStore(mode,action){const db=await openDatabase();try{const transaction=db.transaction(STORE,mode);const[result]=await Promise.all([settle(action(transaction.objectStore(STORE))),settle(transaction)]);return result;}finally{db.close();}}
+function canQueueEnquiries(){return typeof indexedDB!=='undefined';}
+function queueEnquiry(endpoint,payload,locale){return withStore('readwrite',store=>store.add({endpoint,payload,locale,queuedAt:new Date().toISOString()}));}
+function queuedEnquiries(){return withStore('readonly',store=>store.getAll());}
+function removeEnquiry(id){return withStore('readwrite',store=>store.delete(id));}
+function updateEnquiry(entry){return withStore('readwrite',store=>store.put(entry));}
+function tokenUsable(token,now){const issuedAt=Number(String(token||'').split('.')[0]);return issuedAt>0&&now-issuedAt<TOKEN_MAX_AGE_MS;}
+async function withFreshToken(payload){if(tokenUsable(payload.formToken,Date.now()))return payload;const response=await fetch(FORM_TOKEN_ENDPOINT,{headers:{'Accept':'application/json'}});const data=await response.json();if(!response.ok||typeof data.token!=='string')throw new Error('No form token');await new Promise(resolve=>setTimeout(resolve,FRESH_TOKEN_WAIT_MS));return{...payload,formToken:data.token};}
+async function sendQueuedEnquiries(){const entries=await queuedEnquiries();const sent=[];const rejected=[];for(const[index,entry]of entries.entries()){let response;try{const payload=await withFreshToken(entry.payload);response=await fetch(entry.endpoint,{method:'POST',headers:{'Content-Type':'application/json','Accept':'application/json','Accept-Language':entry.locale},body:JSON.stringify(payload)});}catch{return{sent,rejected,pending:entries.length-index};}
+const data=await response.json().catch(()=>({}));if(RETRY_STATUSES.includes(response.status))return{sent,rejected,pending:entries.length-index};if(data.reason==='token'||data.reason==='too_fast'){await updateEnquiry({...entry,payload:{...entry.payload,formToken:''}});return{sent,rejected,pending:entries.length-index};}
+await removeEnquiry(entry.id);if(response.ok&&data.ok){sent.push({id:entry.id,reference:data.reference,payload:entry.payload});}else if(data.reason==='duplicate'){sent.push({id:entry.id,reference:'',payload:entry.payload});}else{rejected.push({id:entry.id,error:data.error||'',payload:entry.payload});}}
+return{sent,rejected,pending:0};}
+return{SYNC_TAG,QUEUE_MESSAGE,canQueueEnquiries,queueEnquiry,queuedEnquiries,sendQueuedEnquiries};})();const{precacheIndex,precache,cleanCaches,handleFetch}=__sw_caching;const{SYNC_TAG,QUEUE_MESSAGE,sendQueuedEnquiries}=__offline_queue;const index=precacheIndex([{"url":"account.html","revision":"9252920568bd"},{"url":"contact.html","revision":"9c56a392928b"},{"url":"goat-products.html","revision":"8cc5debf987b"},{"url":"index.html","revision":"cf491831b870"},{"url":"lamb-products.html","revision":"95bf912337e8"},{"url":"markets.html","revision":"2165ea9c1b80"},{"url":"offline.html","revision":"9eba4aa0ff4a"},{"url":"partner.html","revision":"4a0abd7dd3dd"},{"url":"profile.html","revision":"44877bcc449b"},{"url":"sheep-products.html","revision":"43d0f62b55fc"},{"url":"track.html","revision":"9bd3dccd3276"},{"url":"js/main.optimized.js","revision":"a6b6f22bed1c"},{"url":"js/partner.optimized.js","revision":"1591d6fae435"},{"url":"js/account.optimized.js","revision":"72608259d33f"},{"url":"js/quote.optimized.js","revision":"b4453578ce77"},{"url":"js/track.optimized.js","revision":"f3d9f5ad758f"},{"url":"js/estimator.optimized.js","revision":"d3b471011df7"},{"url":"js/certifications.optimized.js","revision":"b67a3cf97ad5"},{"url":"css/style.css","revision":"21ee935551aa"},{"url":"libs/swiper/swiper-bundle.min.css","revision":"608313b8ede8"},{"url":"libs/swiper/swiper-bundle.min.js","revision":"985f1224c0ee"},{"url":"locales/ar.json","revision":"2daceca6777a"},{"url":"locales/fr.json","revision":"624d0c618249"},{"url":"manifest.webmanifest","revision":"7e7870941812"},{"url":"images/generated/icons/icon-192.png","revision":"7e705fcdd5b7"},{"url":"images/generated/icons/icon-512.png","revision":"5bc84f2e5bae"},{"url":"images/generated/icons/icon-maskable-512.png","revision":"dafac55d435e"},{"url":"images/brand/logo.webp","revision":"27bf5885ba6a"},{"url":"images/generated/hero/hero1-768.webp","revision":"3056d05407dd"},{"url":"images/generated/hero/contact1-1000.webp","revision":"9090fd4a1abf"},{"url":"images/products/goat-meat.webp","revision":"4c949569c244"},{"url":"images/generated/products/goat-736.webp","revision":"060cb8c151ee"},{"url":"images/products/profile2.webp","revision":"1dc77065ba64"},{"url":"images/generated/hero/hero2-768.webp","revision":"55e84f5cf099"},{"url":"images/generated/hero/hero3-680.webp","revision":"84cdb87914c3"},{"url":"images/generated/products/lamb-1280.webp","revision":"7c6f482fa4be"},{"url":"images/generated/hero/market_hero-1280.webp","revision":"b16627151dc0"},{"url":"images/hero/profile-hero.webp","revision":"b387e8951a04"},{"url":"images/generated/hero/profile-hero-853.webp","revision":"fc47ff9ebe5b"},{"url":"images/products/farm_process.webp","revision":"03d4e980f27d"},{"url":"images/products/profile.webp","revision":"499c248c97bf"},{"url":"images/generated/products/sheep-1280.webp","revision":"96b3e4391e79"},{"url":"images/products/goat.webp","revision":"664c83054395"},{"url":"images/products/sheep.webp","revision":"16e2b6afb388"},{"url":"images/products/lamb.webp","revision":"88598e85cecd"}]);async function syncEnquiries(){const{sent,rejected,pending}=await sendQueuedEnquiries();if(sent.length||rejected.length){const clients=await self.clients.matchAll({type:'window',includeUncontrolled:true});clients.forEach(client=>client.postMessage({type:QUEUE_MESSAGE,sent,rejected,pending}));}
+if(pending)throw new Error(`${pending} queued enquiries not sent yet`);}
+self.addEventListener('install',event=>{event.waitUntil(precache(index).then(()=>self.skipWaiting()));});self.addEventListener('activate',event=>{event.waitUntil(cleanCaches(index).then(()=>self.clients.claim()));});self.addEventListener('fetch',event=>{const response=handleFetch(event,index);if(response)event.respondWith(response);});self.addEventListener('sync',event=>{if(event.tag===SYNC_TAG)event.waitUntil(syncEnquiries());});})();
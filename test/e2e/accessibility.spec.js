@@ -0,0 +1,108 @@
+import fs from 'node:fs';
+import { test, expect } from '@playwright/test';
+import AxeBuilder from '@axe-core/playwright';
+
+const PAGES = fs.readdirSync(new URL('../..', import.meta.url)).filter(file => file.endsWith('.html'));
+const WCAG_22_AA = ['wcag2a', 'wcag2aa', 'wcag21a', 'wcag21aa', 'wcag22aa'];
+
+// Every page starts with the consent banner out of the way
+test.beforeEach(async ({ page }) => {
+    await page.addInitScript(() => {
+        window.localStorage.setItem('freshflow.consent', JSON.stringify({
+            version: 1,
+            decidedAt: new Date().toISOString(),
+            choices: { analytics: false, maps: false, messaging: false }
+        }));
+    });
+});
+
+for (const file of PAGES) {
+    test(`${file} passes axe (WCAG 2.2 AA)`, async ({ page }) => {
+        await page.goto(`/${file}`);
+        await page.waitForLoadState('networkidle');
+        const { violations } = await new AxeBuilder({ page }).withTags(WCAG_22_AA).analyze();
+        expect(violations.map(v => `${v.id}: ${v.nodes.map(node => node.target.join(' ')).join(', ')}`)).toEqual([]);
+    });
+}
+
+test('the first Tab reaches the skip link, which moves focus to the main content', async ({ page }) => {
+    await page.goto('/index.html');
+    await page.keyboard.press('Tab');
+    const skip = page.locator('.skip-link');
+    await expect(skip).toBeFocused();
+    await expect(skip).toBeInViewport();
+
+    await page.keyboard.press('Enter');
+    await expect(page.locator('#main')).toBeFocused();
+});
+
+test.describe('at 992px', () => {
+    test.use({ viewport: { width: 992, height: 800 } });
+
+    test('the Products menu works from the keyboard alone', async ({ page }) => {
+        await page.goto('/index.html');
+        const toggle = page.locator('.dropdown:not(.nav-locale) .dropdown-toggle');
+        const items = page.locator('.dropdown:not(.nav-locale) .dropdown-link');
+
+        await toggle.focus();
+        await page.keyboard.press('ArrowDown');
+        await expect(toggle).toHaveAttribute('aria-expanded', 'true');
+        await expect(items.first()).toBeFocused();
+        await expect(items.first()).toBeVisible();
+
+        await page.keyboard.press('End');
+        await expect(items.last()).toBeFocused();
+
+        await page.keyboard.press('Escape');
+        await expect(toggle).toHaveAttribute('aria-expanded', 'false');
+        await expect(toggle).toBeFocused();
+    });
+});
+
+test.describe('at 991px', () => {
+    test.use({ viewport: { width: 991, height: 800 } });
+
+    test('focus stays in the open menu and Escape returns it to the hamburger', async ({ page }) => {
+        await page.goto('/index.html');
+        const toggle = page.locator('#navToggle');
+        await toggle.focus();
+        await page.keyboard.press('Enter');
+        await expect(toggle).toHaveAttribute('aria-expanded', 'true');
+        await expect(page.locator('#navMenu .nav-link').first()).toBeFocused();
+
+        await page.keyboard.press('Shift+Tab');
+        await expect(toggle).toBeFocused();
+        await page.keyboard.press('Shift+Tab');
+        await expect(page.locator('.nav-locale-toggle')).toBeFocused();
+
+        await page.keyboard.press('Escape');
+        await expect(toggle).toHaveAttribute('aria-expanded', 'false');
+        await expect(toggle).toBeFocused();
+    });
+
+    test('the closed menu cannot be reached with Tab', async ({ page }) => {
+        await page.goto('/index.html');
+        await expect(page.locator('#navMenu .nav-link').first()).toBeHidden();
+    });
+});
+
+test('the hero carousel can be paused and its slides are announced', async ({ page }) => {
+    await page.goto('/index.html');
+    const button = page.locator('#heroAutoplay');
+    await expect(button).toHaveAttribute('aria-label', 'Pause slideshow');
+
+    await button.click();
+    await expect(button).toHaveAttribute('aria-label', 'Play slideshow');
+
+    await page.locator('.hero-swiper .swiper-button-next').click();
+    await expect(page.locator('#heroStatus')).toHaveText(/^Slide 2 of 3: /);
+});
+
+test.describe('with reduced motion', () => {
+    test.use({ reducedMotion: 'reduce' });
+
+    test('the hero carousel does not rotate on its own', async ({ page }) => {
+        await page.goto('/index.html');
+        await expect(page.locator('#heroAutoplay')).toHaveAttribute('aria-label', 'Play slideshow');
+    });
+});
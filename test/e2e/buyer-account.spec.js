@@ -0,0 +1,75 @@
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { test, expect } from '@playwright/test';
+
+// Where the server's mailer writes while the suite runs (DATA_DIR in playwright.config.js)
+const OUTBOX = path.join(os.tmpdir(), 'freshflow-e2e', 'outbox');
+
+/**
+ * The sign-in link in the newest email to an address
+ * @param {string} email
+ * @returns {Promise<string>}
+ */
+async function signInLink(email) {
+    let link = '';
+    await expect.poll(async () => {
+        const files = (await fs.readdir(OUTBOX).catch(() => [])).filter(file => file.endsWith('.eml')).sort().reverse();
+        for (const file of files) {
+            const message = await fs.readFile(path.join(OUTBOX, file), 'utf8');
+            if (!message.includes(`To: <${email}>`)) continue;
+            link = message.match(/https?:\/\/\S+#token=[\w-]+/)?.[0] || '';
+            break;
+        }
+        return link;
+    }).not.toBe('');
+    return link;
+}
+
+test('a buyer signs in with the emailed link, saves their profile and has it filled in on the contact page', async ({ page, context }) => {
+    const email = `buyer-${Date.now()}@importer.example`;
+
+    const formReady = page.waitForResponse('**/api/form-token');
+    await page.goto('/account.html');
+    await formReady;
+    await page.locator('#consentBanner [data-consent-action="reject"]').click();
+
+    await page.fill('#signInEmail', email);
+    // The server turns away forms sent within 3 seconds of loading
+    await page.waitForTimeout(3100);
+    await page.click('#signInSubmit');
+    await expect(page.locator('#signInMessage')).toContainText(`We sent a sign-in link to ${email}`);
+
+    // Opened from the email, in a new tab
+    const link = await signInLink(email);
+    const tab = await context.newPage();
+    await tab.goto(link);
+    await expect(tab.locator('#accountPanel')).toBeVisible();
+    await expect(tab.locator('#accountSignedInAs')).toHaveText(`Signed in as ${email}`);
+    expect(tab.url()).not.toContain('token=');
+    await expect(tab.locator('#ordersMessage')).toHaveText('No quote requests from this account yet.');
+
+    const [cookie] = (await context.cookies()).filter(entry => entry.name === 'ff_buyer');
+    expect(cookie).toMatchObject({ httpOnly: true, sameSite: 'Lax' });
+
+    await tab.fill('#profileCompany', 'Gulf Fresh Trading LLC');
+    await tab.fill('#profileName', 'Amira Haddad');
+    await tab.fill('#profilePhone', '+971 50 123 4567');
+    await tab.getByLabel('Jebel Ali, UAE').check();
+    await tab.click('#profileSubmit');
+    await expect(tab.locator('#profileStatus')).toContainText('Profile saved');
+
+    await tab.goto('/contact.html');
+    await expect(tab.locator('#email')).toHaveValue(email);
+    await expect(tab.locator('#name')).toHaveValue('Amira Haddad');
+
+    await tab.goto('/account.html');
+    await tab.click('#signOut');
+    await expect(tab.locator('#signInMessage')).toHaveText('You have signed out.');
+
+    // The link only works once
+    const again = await context.newPage();
+    await again.goto(link);
+    await expect(again.locator('#signInMessage')).toContainText('expired or has already been used');
+    await expect(again.locator('#accountPanel')).toBeHidden();
+});
@@ -0,0 +1,109 @@
+import { test, expect } from '@playwright/test';
+
+const ENQUIRY = {
+    name: 'Amira Haddad',
+    email: 'amira@importer.example',
+    phone: '+971 50 123 4567',
+    subject: 'export',
+    message: 'Please quote 2 x 40ft reefers of frozen goat carcass, CIF Jebel Ali.'
+};
+
+test.beforeEach(async ({ page }) => {
+    // Record window.open instead of opening WhatsApp
+    await page.addInitScript(() => {
+        window.__opened = [];
+        window.open = (...args) => {
+            window.__opened.push(args);
+            return null;
+        };
+    });
+
+    // initContactForm runs at idle time and asks for a form token first thing
+    const formReady = page.waitForResponse('**/api/form-token');
+    await page.goto('/contact.html');
+    await formReady;
+
+    await page.locator('#consentBanner [data-consent-action="reject"]').click();
+});
+
+/**
+ * Fill the contact form
+ * @param {import('@playwright/test').Page} page
+ * @param {Object} values - By field id
+ */
+async function fill(page, values) {
+    for (const [id, value] of Object.entries(values)) {
+        if (id === 'subject') await page.selectOption('#subject', value);
+        else await page.fill(`#${id}`, value);
+    }
+}
+
+test('every invalid field shows its error and nothing is sent', async ({ page }) => {
+    let posted = false;
+    await page.route('**/api/enquiries', route => {
+        posted = true;
+        return route.abort();
+    });
+
+    await fill(page, { email: 'amira@importer', phone: '12345', message: 'Too short' });
+    await page.click('#submitBtn');
+
+    await expect(page.locator('#nameError')).toHaveText('This field is required.');
+    await expect(page.locator('#emailError')).toHaveText('Please enter a valid email address.');
+    await expect(page.locator('#phoneError')).toHaveText('Please enter a valid phone number.');
+    await expect(page.locator('#messageError')).toHaveText('Message must be at least 10 characters.');
+    expect(posted).toBe(false);
+
+    // Screen readers hear the summary; focus lands on the first problem
+    await expect(page.locator('#contactForm .form-error-summary')).toContainText('There are 4 problems with this form');
+    await expect(page.locator('#name')).toBeFocused();
+    await expect(page.locator('#email')).toHaveAttribute('aria-invalid', 'true');
+});
+
+test('an enquiry is posted with a form token and hands over to WhatsApp after consent', async ({ page }) => {
+    let payload = null;
+    await page.route('**/api/enquiries', async route => {
+        payload = route.request().postDataJSON();
+        await route.fulfill({ status: 201, json: { ok: true, reference: 'FF-ENQ-0001' } });
+    });
+
+    await fill(page, ENQUIRY);
+    await page.click('#submitBtn');
+
+    await expect(page.locator('#formSuccess')).toBeVisible();
+    await expect(page.locator('#formReference')).toHaveText('FF-ENQ-0001');
+    expect(payload).toMatchObject({ ...ENQUIRY, website: '' });
+    expect(payload.formToken).toEqual(expect.any(String));
+    expect(payload.formToken).not.toBe('');
+
+    const href = await page.locator('#whatsappFollowUp').getAttribute('href');
+    const text = new URL(href).searchParams.get('text');
+    expect(href).toMatch(/^https:\/\/wa\.me\/917794084488\?text=/);
+    for (const value of [ENQUIRY.name, ENQUIRY.email, ENQUIRY.phone, 'Export Inquiry', ENQUIRY.message]) {
+        expect(text).toContain(value);
+    }
+
+    // WhatsApp was refused in the banner, so the link asks again before opening
+    await page.click('#whatsappFollowUp');
+    await expect(page.locator('#consentDialog')).toBeVisible();
+    await expect(page.locator('#consentForm input[name="messaging"]')).toBeFocused();
+    expect(await page.evaluate(() => window.__opened)).toEqual([]);
+
+    await page.check('#consentForm input[name="messaging"]');
+    await page.click('#consentForm button[type="submit"]');
+    await expect.poll(() => page.evaluate(() => window.__opened)).toEqual([[href, '_blank', 'noopener']]);
+});
+
+test('errors the server sends back show on their fields', async ({ page }) => {
+    await page.route('**/api/enquiries', route => route.fulfill({
+        status: 400,
+        json: { ok: false, error: 'Please correct the highlighted fields.', errors: { email: 'That mailbox does not exist.' } }
+    }));
+
+    await fill(page, ENQUIRY);
+    await page.click('#submitBtn');
+
+    await expect(page.locator('#formError')).toHaveText('Please correct the highlighted fields.');
+    await expect(page.locator('#emailError')).toHaveText('That mailbox does not exist.');
+    await expect(page.locator('#submitBtn')).toBeEnabled();
+});
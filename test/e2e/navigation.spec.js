@@ -0,0 +1,124 @@
+import { test, expect } from '@playwright/test';
+
+// Every page starts with the consent banner out of the way
+test.beforeEach(async ({ page }) => {
+    await page.addInitScript(() => {
+        window.localStorage.setItem('freshflow.consent', JSON.stringify({
+            version: 1,
+            decidedAt: new Date().toISOString(),
+            choices: { analytics: false, maps: false, messaging: false }
+        }));
+    });
+});
+
+/**
+ * Wait for the features main.js starts at idle time (smooth scrolling, resize handling, ...)
+ * Callbacks run in the order they were queued, so ours runs after main.js's
+ * @param {import('@playwright/test').Page} page
+ */
+async function deferredFeaturesReady(page) {
+    await page.evaluate(() => new Promise(resolve => {
+        requestAnimationFrame(() => requestAnimationFrame(() => requestIdleCallback(resolve, { timeout: 2000 })));
+    }));
+}
+
+test.describe('at 991px', () => {
+    test.use({ viewport: { width: 991, height: 800 } });
+
+    test('the hamburger opens and closes the menu', async ({ page }) => {
+        await page.goto('/index.html');
+        const toggle = page.locator('#navToggle');
+        const menu = page.locator('#navMenu');
+
+        await expect(toggle).toBeVisible();
+        await toggle.click();
+        await expect(menu).toHaveClass(/\bactive\b/);
+        await expect(page.locator('body')).toHaveCSS('overflow', 'hidden');
+
+        await toggle.click();
+        await expect(menu).not.toHaveClass(/\bactive\b/);
+    });
+
+    test('only one dropdown is open at a time', async ({ page }) => {
+        await page.goto('/index.html');
+        await page.locator('#navToggle').click();
+
+        const products = page.locator('.dropdown:not(.nav-locale)');
+        const locale = page.locator('.dropdown.nav-locale');
+
+        await products.locator('.dropdown-toggle').click();
+        await expect(products).toHaveClass(/\bactive\b/);
+        await expect(page).toHaveURL(/\/index\.html$/);
+
+        await locale.locator('.dropdown-toggle').click();
+        await expect(locale).toHaveClass(/\bactive\b/);
+        await expect(products).not.toHaveClass(/\bactive\b/);
+    });
+
+    test('widening the window past the breakpoint closes the menu', async ({ page }) => {
+        await page.goto('/index.html');
+        await deferredFeaturesReady(page);
+        await page.locator('#navToggle').click();
+        await page.setViewportSize({ width: 992, height: 800 });
+
+        await expect(page.locator('#navMenu')).not.toHaveClass(/\bactive\b/);
+        await expect(page.locator('#navToggle')).toBeHidden();
+    });
+});
+
+test.describe('at 992px', () => {
+    test.use({ viewport: { width: 992, height: 800 } });
+
+    test('the navigation is inline and dropdowns open on hover', async ({ page }) => {
+        await page.goto('/index.html');
+        await expect(page.locator('#navToggle')).toBeHidden();
+
+        const products = page.locator('.dropdown').first();
+        await products.hover();
+        await expect(products.locator('.dropdown-menu')).toBeVisible();
+    });
+});
+
+test('anchor links stop below the fixed header', async ({ page }) => {
+    await page.goto('/index.html');
+    await deferredFeaturesReady(page);
+    await page.locator('footer a[href="#products"]').click();
+    await expect(page).toHaveURL(/#products$/);
+
+    // The section's top meets the header's bottom, unless the page ends first
+    await expect.poll(async () => page.evaluate(() => {
+        const header = document.getElementById('header').offsetHeight;
+        const target = document.getElementById('products').getBoundingClientRect().top + window.scrollY - header;
+        const maxScroll = document.documentElement.scrollHeight - window.innerHeight;
+        return Math.abs(window.scrollY - Math.min(target, maxScroll));
+    })).toBeLessThanOrEqual(1);
+});
+
+test('the header turns solid once the page scrolls', async ({ page }) => {
+    await page.goto('/index.html');
+    const header = page.locator('#header');
+    await expect(header).not.toHaveClass(/\bscrolled\b/);
+
+    await page.mouse.wheel(0, 400);
+    await expect(header).toHaveClass(/\bscrolled\b/);
+});
+
+test.describe('with reduced motion', () => {
+    test.use({ reducedMotion: 'reduce' });
+
+    test('animated content is visible without scrolling to it', async ({ page }) => {
+        await page.goto('/index.html');
+        const animated = page.locator('[data-animate]');
+        await expect(animated.first()).toHaveClass(/\banimated\b/);
+        await expect(animated.last()).toHaveClass(/\banimated\b/);
+    });
+});
+
+test('without reduced motion content animates as it scrolls into view', async ({ page }) => {
+    await page.goto('/index.html');
+    const last = page.locator('[data-animate]').last();
+    await expect(last).not.toHaveClass(/\banimated\b/);
+
+    await last.scrollIntoViewIfNeeded();
+    await expect(last).toHaveClass(/\banimated\b/);
+});
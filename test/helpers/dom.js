@@ -0,0 +1,159 @@
+/* ============================================
+   JSDOM PAGE HARNESS
+   Loads one of the site's pages into jsdom and
+   installs its window as the globals the modules
+   in src/js use (window, document, fetch, ...).
+   jsdom has no layout, so sizes and positions
+   are set by the test (setLayout) and scroll
+   calls are recorded instead of scrolling.
+   ============================================ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { JSDOM } from 'jsdom';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../..');
+
+// Window properties the modules read as bare globals
+const GLOBALS = [
+    'document', 'navigator', 'localStorage', 'history', 'location',
+    'Event', 'CustomEvent', 'KeyboardEvent', 'MouseEvent', 'HTMLElement', 'Node',
+    'requestAnimationFrame', 'cancelAnimationFrame', 'getComputedStyle'
+];
+
+/**
+ * IntersectionObserver stand-in: nothing intersects until the test says so
+ */
+class FakeIntersectionObserver {
+    constructor(callback, options) {
+        this.callback = callback;
+        this.options = options;
+        this.targets = new Set();
+        FakeIntersectionObserver.instances.push(this);
+    }
+
+    observe(target) {
+        this.targets.add(target);
+    }
+
+    unobserve(target) {
+        this.targets.delete(target);
+    }
+
+    disconnect() {
+        this.targets.clear();
+    }
+}
+FakeIntersectionObserver.instances = [];
+
+/**
+ * Load a page of the site as the current document
+ * @param {string} file - Page path from the site root (e.g. "index.html")
+ * @param {Object} [options]
+ * @param {number} [options.width] - window.innerWidth
+ * @param {boolean} [options.reducedMotion] - What (prefers-reduced-motion: reduce) matches
+ * @param {Function} [options.fetch] - fetch stub; the default answers every request with a 404
+ * @returns {{window: Window, document: Document, scrollCalls: Array, openCalls: Array}}
+ */
+export function loadPage(file, { width = 1280, reducedMotion = false, fetch } = {}) {
+    const html = fs.readFileSync(path.join(ROOT, file), 'utf8');
+    // outside-only: the page's own scripts don't run, but tests can window.eval() a library
+    const dom = new JSDOM(html, { url: `http://localhost/${file}`, pretendToBeVisual: true, runScripts: 'outside-only' });
+    const { window } = dom;
+
+    const scrollCalls = [];
+    const openCalls = [];
+
+    Object.defineProperty(window, 'innerWidth', { value: width, writable: true, configurable: true });
+    Object.defineProperty(window, 'scrollY', { value: 0, writable: true, configurable: true });
+    window.scrollTo = (options) => scrollCalls.push(options);
+    window.open = (...args) => {
+        openCalls.push(args);
+        return null;
+    };
+    window.matchMedia = (query) => ({
+        matches: reducedMotion && query.includes('prefers-reduced-motion: reduce'),
+        media: query,
+        addEventListener() {},
+        removeEventListener() {}
+    });
+    window.IntersectionObserver = FakeIntersectionObserver;
+    window.fetch = fetch || (async () => jsonResponse(404, { ok: false }));
+    FakeIntersectionObserver.instances = [];
+
+    globalThis.window = window;
+    GLOBALS.forEach(name => {
+        Object.defineProperty(globalThis, name, { value: window[name], writable: true, configurable: true });
+    });
+    globalThis.IntersectionObserver = FakeIntersectionObserver;
+    globalThis.fetch = window.fetch;
+
+    return { window, document: window.document, scrollCalls, openCalls };
+}
+
+/**
+ * A minimal fetch Response
+ * @param {number} status - HTTP status
+ * @param {Object} body - JSON body
+ * @returns {Object}
+ */
+export function jsonResponse(status, body) {
+    return { ok: status >= 200 && status < 300, status, json: async () => body };
+}
+
+/**
+ * Give an element a layout (jsdom reports zero for all of these)
+ * @param {HTMLElement} el
+ * @param {Object} layout - Any of offsetTop, offsetHeight, top (getBoundingClientRect)
+ */
+export function setLayout(el, { offsetTop, offsetHeight, top } = {}) {
+    if (offsetTop !== undefined) Object.defineProperty(el, 'offsetTop', { value: offsetTop, configurable: true });
+    if (offsetHeight !== undefined) Object.defineProperty(el, 'offsetHeight', { value: offsetHeight, configurable: true });
+    if (top !== undefined) el.getBoundingClientRect = () => ({ top, bottom: top + (offsetHeight || 0), left: 0, right: 0, width: 0, height: offsetHeight || 0 });
+}
+
+/**
+ * Scroll the window and fire the scroll event
+ * @param {number} y - New window.scrollY
+ */
+export function scrollWindow(y) {
+    window.scrollY = y;
+    window.dispatchEvent(new window.Event('scroll'));
+}
+
+/**
+ * Report elements as in view to every observer watching them
+ * @param {...HTMLElement} elements
+ */
+export function intersect(...elements) {
+    FakeIntersectionObserver.instances.forEach(observer => {
+        const entries = elements
+            .filter(el => observer.targets.has(el))
+            .map(target => ({ target, isIntersecting: true }));
+        if (entries.length) observer.callback(entries, observer);
+    });
+}
+
+/**
+ * Wait for a condition, polling on the timer queue
+ * @param {Function} condition - Returns truthy when done
+ * @param {number} [timeout] - Milliseconds before giving up
+ * @returns {Promise<void>}
+ */
+export async function waitFor(condition, timeout = 1000) {
+    const started = Date.now();
+    while (!condition()) {
+        if (Date.now() - started > timeout) throw new Error('waitFor: condition not met in time');
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
+
+/**
+ * Resolve after a delay (throttle and debounce windows)
+ * @param {number} ms
+ * @returns {Promise<void>}
+ */
+export function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
@@ -0,0 +1,60 @@
+/* ============================================
+   SERVER HARNESS
+   Starts the app from server/index.js on a free
+   port with its data in a fresh temp directory,
+   for tests that go through the real routes.
+   ============================================ */
+
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import fs from 'node:fs/promises';
+import { createApp } from '../../server/index.js';
+
+export const ADMIN = { user: 'admin', password: 'test-password' };
+
+/**
+ * Start the app
+ * @param {Object} [options] - Passed on to createApp, over the test defaults
+ * @returns {Promise<Object>} - { origin, dataDir, request(), close() }
+ */
+export async function startApp(options = {}) {
+    const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'freshflow-test-'));
+    const server = http.createServer(createApp({ dataDir, formSecret: 'test-secret', admin: ADMIN, ...options }));
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const origin = `http://127.0.0.1:${server.address().port}`;
+
+    return {
+        origin,
+        dataDir,
+
+        /**
+         * Send a request; an object body is sent as JSON
+         * @param {string} url - Path on the app
+         * @param {Object} [init] - fetch() options
+         * @returns {Promise<Response>}
+         */
+        request(url, { body, headers = {}, ...init } = {}) {
+            const json = body && typeof body === 'object' && !(body instanceof URLSearchParams);
+            return fetch(`${origin}${url}`, {
+                ...init,
+                headers: { ...(json ? { 'Content-Type': 'application/json' } : {}), ...headers },
+                body: json ? JSON.stringify(body) : body
+            });
+        },
+
+        async close() {
+            server.closeAllConnections();
+            await new Promise(resolve => server.close(resolve));
+            await fs.rm(dataDir, { recursive: true, force: true });
+        }
+    };
+}
+
+/**
+ * Basic auth header for the test admin
+ * @returns {Object}
+ */
+export function adminHeaders() {
+    return { Authorization: `Basic ${Buffer.from(`${ADMIN.user}:${ADMIN.password}`).toString('base64')}` };
+}
@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { loadPage, setLayout } from '../helpers/dom.js';
+import { initMobileMenu } from '../../src/js/menu.js';
+import { initDropdowns } from '../../src/js/dropdowns.js';
+import { initLocaleSwitcher } from '../../src/js/locale-switcher.js';
+import { initSmoothScroll } from '../../src/js/scroll.js';
+
+const AXE = fs.readFileSync(new URL('../../node_modules/axe-core/axe.min.js', import.meta.url), 'utf8');
+const PAGES = fs.readdirSync(new URL('../..', import.meta.url)).filter(file => file.endsWith('.html'));
+
+// Browser-only checks (colour contrast needs canvas) run in the Playwright suite
+const AXE_OPTIONS = {
+    runOnly: { type: 'tag', values: ['wcag2a', 'wcag2aa', 'wcag21a', 'wcag21aa', 'wcag22aa'] },
+    rules: { 'color-contrast': { enabled: false } }
+};
+
+for (const file of PAGES) {
+    test(`${file} has no WCAG 2.2 AA violations axe can find`, async () => {
+        const { window } = loadPage(file);
+        initMobileMenu();
+        initLocaleSwitcher();
+        initDropdowns();
+
+        window.eval(AXE);
+        const { violations } = await window.axe.run(window.document, AXE_OPTIONS);
+        const summary = Array.from(violations, v => `${v.id}: ${v.nodes.map(node => node.target.join(' ')).join(', ')}`);
+        assert.deepEqual(summary, []);
+    });
+
+    test(`${file} starts with a skip link to its main content`, () => {
+        const { document } = loadPage(file);
+        const skip = document.querySelector('body a');
+        assert.equal(skip.classList.contains('skip-link'), true);
+        assert.equal(skip.getAttribute('href'), '#main');
+        assert.equal(document.querySelector('main').id, 'main');
+    });
+}
+
+test('the skip link moves keyboard focus to the main content', () => {
+    const { window, document, scrollCalls } = loadPage('index.html');
+    setLayout(document.getElementById('header'), { offsetHeight: 80 });
+    initSmoothScroll();
+
+    document.querySelector('.skip-link').dispatchEvent(new window.MouseEvent('click', { bubbles: true, cancelable: true }));
+    const main = document.getElementById('main');
+    assert.equal(document.activeElement, main);
+    assert.equal(main.getAttribute('tabindex'), '-1');
+    assert.equal(scrollCalls.length, 1);
+});
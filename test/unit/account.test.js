@@ -0,0 +1,230 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadPage, jsonResponse, waitFor } from '../helpers/dom.js';
+import { initAccount } from '../../src/js/account.js';
+import { initBuyerPrefill, BUYER_ENDPOINT } from '../../src/js/buyer-session.js';
+import { initContactForm } from '../../src/js/form.js';
+import { FORM_TOKEN_ENDPOINT } from '../../src/js/form-guard.js';
+
+const BUYER = {
+    email: 'procurement@alnoortrading.example',
+    company: 'Al Noor Trading LLC',
+    name: 'Omar Haddad',
+    phone: '+971501234567',
+    country: 'United Arab Emirates',
+    address: '',
+    taxId: '',
+    ports: ['Jebel Ali, UAE']
+};
+
+const ORDER = {
+    reference: 'RFQ-20261018-K7JN',
+    status: 'quoted',
+    destinationPort: 'Dammam, Saudi Arabia',
+    items: [{ species: 'goat', breed: 'Black Bengal', cut: 'carcass', quantity: 18, unit: 't', state: 'frozen', form: 'carcass' }],
+    message: '',
+    createdAt: '2026-10-01T09:00:00.000Z',
+    updatedAt: '2026-10-03T09:00:00.000Z'
+};
+
+const SHIPMENTS = [
+    { id: 'FF-2609-0142', product: 'goat', breed: 'Black Bengal', cut: 'carcass', state: 'frozen', quantity: { value: 18, unit: 't' }, buyerReference: 'PO AN-2026-118', portOfDischarge: 'Jebel Ali, UAE', documentsReady: true, hasReport: true },
+    { id: 'FF-2610-0201', product: 'lamb', breed: '', cut: 'leg', state: 'chilled', quantity: { value: 4, unit: 't' }, buyerReference: '', portOfDischarge: '', documentsReady: false, hasReport: false }
+];
+
+/**
+ * Load account.html with a fake buyer API and start it
+ * @param {Object} [options]
+ * @param {string} [options.hash] - Location hash, e.g. the emailed link's #token=
+ * @param {Object} [options.routes] - "METHOD /path" to a response (or a function returning one), over the signed-in defaults
+ * @returns {Object} - The page, plus the requests it made
+ */
+function loadAccount({ hash = '', routes = {} } = {}) {
+    const requests = [];
+    const session = jsonResponse(200, { ok: true, buyer: BUYER, csrfToken: 'csrf-1' });
+    const responses = {
+        'GET /session': session,
+        'POST /session': session,
+        'GET /orders': jsonResponse(200, { ok: true, orders: [ORDER] }),
+        'GET /shipments': jsonResponse(200, { ok: true, shipments: SHIPMENTS }),
+        ...routes
+    };
+    const page = loadPage('account.html', {
+        fetch: async (url, init = {}) => {
+            requests.push({ url, method: init.method || 'GET', headers: init.headers || {}, body: init.body ? JSON.parse(init.body) : undefined });
+            if (url === FORM_TOKEN_ENDPOINT) return jsonResponse(200, { token: 'signed-token' });
+            const response = responses[`${init.method || 'GET'} ${url.replace(BUYER_ENDPOINT, '')}`] || jsonResponse(404, { ok: false });
+            return typeof response === 'function' ? response() : response;
+        }
+    });
+    if (hash) page.window.location.hash = hash;
+    initAccount();
+    const { document } = page;
+    return {
+        ...page,
+        requests,
+        panel: document.getElementById('accountPanel'),
+        signIn: document.getElementById('accountSignIn')
+    };
+}
+
+const signedOut = { 'GET /session': jsonResponse(401, { ok: false, error: 'Please sign in to continue.' }) };
+
+test('signed out, the page asks for an email address and sends the sign-in link request', async () => {
+    const { window, document, panel, signIn, requests } = loadAccount({
+        routes: { ...signedOut, 'POST /login': jsonResponse(200, { ok: true, minutes: 15 }) }
+    });
+    await waitFor(() => requests.some(request => request.url === `${BUYER_ENDPOINT}/session`));
+    assert.equal(panel.hidden, true);
+    assert.equal(signIn.hidden, false);
+
+    const form = document.getElementById('signInForm');
+    form.dispatchEvent(new window.Event('submit', { cancelable: true }));
+    assert.equal(document.getElementById('signInEmail').getAttribute('aria-invalid'), 'true');
+
+    document.getElementById('signInEmail').value = BUYER.email;
+    form.dispatchEvent(new window.Event('submit', { cancelable: true }));
+    const message = document.getElementById('signInMessage');
+    await waitFor(() => message.textContent);
+
+    const login = requests.find(request => request.url === `${BUYER_ENDPOINT}/login`);
+    assert.equal(login.method, 'POST');
+    assert.deepEqual({ email: login.body.email, formToken: login.body.formToken, website: login.body.website }, { email: BUYER.email, formToken: 'signed-token', website: '' });
+    assert.equal(message.textContent, `We sent a sign-in link to ${BUYER.email}. It works once, within 15 minutes.`);
+    assert.equal(window.localStorage.getItem('freshflow.buyerSignedIn'), null);
+});
+
+test('the emailed link signs in, leaves the address bar and shows the profile, orders and shipments', async () => {
+    const { window, document, panel, signIn, requests } = loadAccount({ hash: '#token=link-token' });
+    await waitFor(() => document.getElementById('shipmentList').children.length);
+
+    const exchange = requests.find(request => request.method === 'POST' && request.url === `${BUYER_ENDPOINT}/session`);
+    assert.deepEqual(exchange.body, { token: 'link-token' });
+    assert.equal(window.location.hash, '');
+    assert.equal(panel.hidden, false);
+    assert.equal(signIn.hidden, true);
+    assert.equal(window.localStorage.getItem('freshflow.buyerSignedIn'), 'true');
+
+    assert.equal(document.getElementById('accountSignedInAs').textContent, `Signed in as ${BUYER.email}`);
+    const form = document.getElementById('profileForm');
+    assert.equal(form.elements.namedItem('company').value, BUYER.company);
+    assert.deepEqual(Array.from(form.querySelectorAll('input[name="ports"]:checked'), box => box.value), BUYER.ports);
+
+    const order = document.querySelector('#orderList [data-reference]');
+    assert.match(order.textContent, /RFQ-20261018-K7JN/);
+    assert.match(order.textContent, /Quote sent/);
+    assert.match(order.textContent, /Dammam, Saudi Arabia/);
+
+    const [ready, pending] = document.querySelectorAll('#shipmentList [data-shipment]');
+    assert.equal(ready.querySelector('a[download]').getAttribute('href'), `${BUYER_ENDPOINT}/shipments/FF-2609-0142/documents`);
+    assert.match(ready.textContent, /PO AN-2026-118/);
+    assert.equal(ready.querySelector('a[href^="track.html"]').getAttribute('href'), 'track.html?id=FF-2609-0142');
+    assert.equal(pending.querySelector(`a[href*="/documents"]`), null);
+    assert.match(pending.textContent, /Documents are being prepared/);
+});
+
+test('an expired link says so and leaves the sign-in form', async () => {
+    const { document, panel } = loadAccount({
+        hash: '#token=old-token',
+        routes: { ...signedOut, 'POST /session': jsonResponse(400, { ok: false, error: 'This sign-in link has expired or has already been used.', reason: 'link_expired' }) }
+    });
+    const message = document.getElementById('signInMessage');
+    await waitFor(() => message.classList.contains('track-message-error'));
+    assert.match(message.textContent, /expired/);
+    assert.equal(panel.hidden, true);
+});
+
+test('saving the profile sends the CSRF token and shows the server\'s field errors', async () => {
+    const saved = { ...BUYER, ports: ['Jebel Ali, UAE', 'Dammam, Saudi Arabia'] };
+    let profileResponse = jsonResponse(422, { ok: false, error: 'Please correct the highlighted fields.', errors: { taxId: 'Use at most 40 characters.' } });
+    const { window, document, requests } = loadAccount({ routes: { 'PATCH /profile': () => profileResponse } });
+    await waitFor(() => document.getElementById('orderList').children.length);
+
+    const form = document.getElementById('profileForm');
+    form.querySelector('input[value="Dammam, Saudi Arabia"]').checked = true;
+    form.dispatchEvent(new window.Event('submit', { cancelable: true }));
+    await waitFor(() => !document.getElementById('profileFormError').hidden);
+    assert.equal(document.getElementById('profileTaxId').getAttribute('aria-invalid'), 'true');
+
+    const patch = requests.find(request => request.method === 'PATCH');
+    assert.equal(patch.headers['X-CSRF-Token'], 'csrf-1');
+    assert.deepEqual(patch.body.ports, saved.ports);
+    assert.equal(patch.body.company, BUYER.company);
+
+    profileResponse = jsonResponse(200, { ok: true, buyer: saved });
+    form.dispatchEvent(new window.Event('submit', { cancelable: true }));
+    await waitFor(() => document.getElementById('profileStatus').textContent);
+    assert.match(document.getElementById('profileStatus').textContent, /Profile saved/);
+});
+
+test('reorder puts the quote\'s lines and port in the quote cart', async () => {
+    const { window, document } = loadAccount();
+    await waitFor(() => document.getElementById('orderList').children.length);
+    window.localStorage.setItem('freshflow.quoteCart', JSON.stringify({ items: [], destinationPort: 'Doha, Qatar' }));
+
+    const link = document.querySelector('[data-reorder]');
+    assert.equal(link.getAttribute('href'), 'index.html#quote');
+    assert.equal(link.getAttribute('aria-label'), 'Reorder RFQ-20261018-K7JN');
+    // jsdom can't open another page
+    window.addEventListener('click', e => e.preventDefault());
+    link.click();
+
+    const cart = JSON.parse(window.localStorage.getItem('freshflow.quoteCart'));
+    assert.equal(cart.destinationPort, ORDER.destinationPort);
+    assert.equal(cart.items.length, 1);
+    const { id, ...item } = cart.items[0];
+    assert.equal(typeof id, 'string');
+    assert.deepEqual(item, ORDER.items[0]);
+});
+
+test('signing out ends the session and goes back to the sign-in form', async () => {
+    const { window, document, panel, signIn, requests } = loadAccount({ routes: { 'DELETE /session': jsonResponse(200, { ok: true }) } });
+    await waitFor(() => document.getElementById('orderList').children.length);
+
+    document.getElementById('signOut').click();
+    await waitFor(() => !signIn.hidden);
+    const signOut = requests.find(request => request.method === 'DELETE');
+    assert.equal(signOut.headers['X-CSRF-Token'], 'csrf-1');
+    assert.equal(panel.hidden, true);
+    assert.equal(document.getElementById('orderList').children.length, 0);
+    assert.equal(document.getElementById('signInMessage').textContent, 'You have signed out.');
+    assert.equal(window.localStorage.getItem('freshflow.buyerSignedIn'), null);
+});
+
+test('a signed-in buyer\'s details fill the empty contact form fields', async () => {
+    const requests = [];
+    const { window, document } = loadPage('contact.html', {
+        fetch: async (url) => {
+            requests.push(url);
+            if (url === FORM_TOKEN_ENDPOINT) return jsonResponse(200, { token: 'signed-token' });
+            return jsonResponse(200, { ok: true, buyer: BUYER, csrfToken: 'csrf-1' });
+        }
+    });
+    window.localStorage.setItem('freshflow.buyerSignedIn', 'true');
+    initContactForm();
+    document.getElementById('name').value = 'Someone Else';
+
+    await initBuyerPrefill();
+    assert.ok(requests.includes(`${BUYER_ENDPOINT}/session`));
+    assert.equal(document.getElementById('name').value, 'Someone Else');
+    assert.equal(document.getElementById('email').value, BUYER.email);
+    assert.equal(document.getElementById('phone').value.replace(/\D/g, ''), '971501234567');
+});
+
+test('the prefill only asks for a session after a sign-in, and forgets it once signed out', async () => {
+    const requests = [];
+    const { window, document } = loadPage('contact.html', {
+        fetch: async (url) => {
+            requests.push(url);
+            return jsonResponse(401, { ok: false });
+        }
+    });
+    await initBuyerPrefill();
+    assert.deepEqual(requests, []);
+
+    window.localStorage.setItem('freshflow.buyerSignedIn', 'true');
+    await initBuyerPrefill();
+    assert.deepEqual(requests, [`${BUYER_ENDPOINT}/session`]);
+    assert.equal(window.localStorage.getItem('freshflow.buyerSignedIn'), null);
+    assert.equal(document.getElementById('email').value, '');
+});
@@ -0,0 +1,109 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp, adminHeaders } from '../helpers/server.js';
+import { createFormToken } from '../../server/lib/spam.js';
+
+const LOG_URL = '/api/admin/consignments/FF-2609-0142/temperature-log';
+const CSV = 'Timestamp,Temperature\n2026-10-05 00:00,-19.5\n2026-10-05 00:10,-19.1\n';
+
+/**
+ * The public tracking details of the sample consignment
+ * @param {Object} app - From startApp()
+ * @returns {Promise<Object>}
+ */
+async function tracked(app) {
+    return (await (await app.request('/api/consignments/FF-2609-0142')).json()).consignment;
+}
+
+test('an admin upload from the site itself replaces the temperature log', async (t) => {
+    const app = await startApp();
+    t.after(() => app.close());
+
+    const response = await app.request(LOG_URL, {
+        method: 'POST',
+        headers: { ...adminHeaders(), Origin: app.origin },
+        body: { fileName: 'logger.csv', csv: CSV }
+    });
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).consignment.temperatureLog.count, 2);
+    assert.equal((await tracked(app)).temperatureLog.readings.length, 2);
+});
+
+test('a cross-site form post with the admin\'s credentials changes nothing', async (t) => {
+    const app = await startApp();
+    t.after(() => app.close());
+    const before = await tracked(app);
+
+    const foreign = await app.request(LOG_URL, {
+        method: 'POST',
+        headers: { ...adminHeaders(), Origin: 'https://evil.example', 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams({ fileName: 'logger.csv', csv: CSV }).toString()
+    });
+    assert.equal(foreign.status, 403);
+
+    const foreignJson = await app.request(LOG_URL, {
+        method: 'POST',
+        headers: { ...adminHeaders(), Origin: 'https://evil.example' },
+        body: { fileName: 'logger.csv', csv: CSV }
+    });
+    assert.equal(foreignJson.status, 403);
+
+    // Without an Origin header, a form still isn't accepted
+    const form = await app.request(LOG_URL, {
+        method: 'POST',
+        headers: { ...adminHeaders(), 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams({ fileName: 'logger.csv', csv: CSV }).toString()
+    });
+    assert.equal(form.status, 415);
+
+    assert.deepEqual(await tracked(app), before);
+});
+
+test('every admin change checks the origin; reads don\'t', async (t) => {
+    const app = await startApp();
+    t.after(() => app.close());
+    const foreign = { ...adminHeaders(), Origin: 'https://evil.example' };
+
+    for (const url of ['/api/admin/enquiries/any-id', '/api/admin/partner-applications/any-id']) {
+        const response = await app.request(url, { method: 'PATCH', headers: foreign, body: { status: 'won' } });
+        assert.equal(response.status, 403, url);
+    }
+    assert.equal((await app.request('/api/admin/consignments', { headers: foreign })).status, 200);
+});
+
+test('only the documents an application has can be opened, not names every object has', async (t) => {
+    const app = await startApp();
+    t.after(() => app.close());
+    const pdf = data => ({ name: 'licence.pdf', data: Buffer.from(data).toString('base64') });
+
+    const sent = await app.request('/api/partner-applications', {
+        method: 'POST',
+        body: {
+            company: 'Gulf Fresh Trading LLC',
+            country: 'United Arab Emirates',
+            businessType: 'importer',
+            name: 'Amira Haddad',
+            email: 'amira@gulffresh.example',
+            phone: '+971 50 123 4567',
+            licenceNumber: 'DXB-IMP/2026-0142',
+            markets: ['AE'],
+            volumeGoat: '20',
+            coldStorage: 'own',
+            storageCapacity: '400',
+            message: '',
+            documents: { licenceDocument: pdf('%PDF-1.7 licence'), registrationDocument: pdf('%PDF-1.7 registration') },
+            website: '',
+            formToken: createFormToken('test-secret', Date.now() - 5000)
+        }
+    });
+    assert.equal(sent.status, 201);
+    const { applications } = await (await app.request('/api/admin/partner-applications', { headers: adminHeaders() })).json();
+    const documents = field => app.request(`/api/admin/partner-applications/${applications[0].id}/documents/${field}`, { headers: adminHeaders() });
+
+    const licence = await documents('licenceDocument');
+    assert.equal(licence.status, 200);
+    assert.equal(await licence.text(), '%PDF-1.7 licence');
+    for (const field of ['__proto__', 'constructor', 'toString', 'hasOwnProperty', 'missingDocument']) {
+        assert.equal((await documents(field)).status, 404, field);
+    }
+});
@@ -0,0 +1,155 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildAnalyticsReport, createVisitorHasher, FUNNEL_STEPS } from '../../server/analytics.js';
+
+const NOW = Date.parse('2026-10-18T12:00:00.000Z');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * A stored event
+ * @param {string} visitor - Visitor id
+ * @param {string} name - Event name
+ * @param {string} page - Page path
+ * @param {Object} [fields] - props and createdAt over the defaults
+ * @returns {Object}
+ */
+function event(visitor, name, page, { props = {}, createdAt = new Date(NOW - DAY_MS).toISOString() } = {}) {
+    return { visitor, name, page, props, createdAt };
+}
+
+/**
+ * A request as the visitor hasher reads it
+ * @param {string} address - Remote address
+ * @param {string} [agent] - User-Agent header
+ * @returns {Object}
+ */
+function request(address, agent = 'Mozilla/5.0') {
+    return { socket: { remoteAddress: address }, headers: { 'user-agent': agent } };
+}
+
+/* ============================================
+   Aggregation
+   ============================================ */
+
+test('the funnel counts each visitor once at the furthest step they reached in order', () => {
+    const report = buildAnalyticsReport([
+        event('a', 'pageview', '/index.html'),
+        event('a', 'pageview', '/goat-products.html'),
+        event('a', 'pageview', '/goat-products.html'),
+        event('a', 'pageview', '/contact.html'),
+        event('a', 'form_start', '/contact.html'),
+        event('a', 'form_submit', '/contact.html', { props: { subject: 'rfq' } }),
+        event('b', 'pageview', '/index.html'),
+        event('b', 'pageview', '/contact.html'),
+        event('b', 'form_start', '/contact.html'),
+        event('c', 'pageview', '/lamb-products.html')
+    ], { now: NOW });
+
+    assert.deepEqual(report.totals, { visitors: 3, pageviews: 7, enquiries: 1 });
+    // b skipped the product pages, and c's only page view is their visit, so both stop at the first step
+    assert.deepEqual(report.funnel.map(step => step.visitors), [3, 1, 1, 1, 1]);
+    assert.deepEqual(report.funnel.map(step => step.id), FUNNEL_STEPS.map(step => step.id));
+    // Ties in alphabetical order
+    assert.deepEqual(report.pages.map(({ page, views }) => [page, views]), [
+        ['/contact.html', 2], ['/goat-products.html', 2], ['/index.html', 2], ['/lamb-products.html', 1]
+    ]);
+    assert.equal(report.pages.find(({ page }) => page === '/goat-products.html').visitors, 1);
+});
+
+test('product pages are credited with the enquiries their visitors started and sent afterwards', () => {
+    const report = buildAnalyticsReport([
+        event('a', 'pageview', '/goat-products.html'),
+        event('a', 'form_start', '/contact.html'),
+        event('a', 'form_submit', '/contact.html'),
+        // Sent before seeing the sheep page, so not the sheep page's enquiry
+        event('b', 'form_start', '/contact.html'),
+        event('b', 'form_submit', '/contact.html'),
+        event('b', 'pageview', '/sheep-products.html'),
+        event('c', 'pageview', '/sheep-products.html'),
+        event('c', 'form_start', '/contact.html')
+    ], { now: NOW });
+
+    const byPage = Object.fromEntries(report.productPages.map(({ page, ...counts }) => [page, counts]));
+    assert.deepEqual(byPage['/goat-products.html'], { views: 1, visitors: 1, formStarts: 1, enquiries: 1 });
+    assert.deepEqual(byPage['/sheep-products.html'], { views: 2, visitors: 2, formStarts: 1, enquiries: 0 });
+    assert.deepEqual(byPage['/lamb-products.html'], { views: 0, visitors: 0, formStarts: 0, enquiries: 0 });
+});
+
+test('event properties are counted most frequent first, hero slides in slide order', () => {
+    const report = buildAnalyticsReport([
+        event('a', 'pageview', '/index.html', { props: { referrer: 'google.com' } }),
+        event('b', 'pageview', '/index.html', { props: { referrer: 'google.com' } }),
+        event('c', 'pageview', '/index.html', { props: { referrer: 'bing.com' } }),
+        event('a', 'hero_slide', '/index.html', { props: { slide: 2 } }),
+        event('a', 'hero_slide', '/index.html', { props: { slide: 1 } }),
+        event('b', 'hero_slide', '/index.html', { props: { slide: 2 } }),
+        event('a', 'breed_card_view', '/goat-products.html', { props: { breed: 'black-bengal' } }),
+        event('a', 'breed_card_view', '/goat-products.html', { props: { breed: 'retired-breed' } }),
+        event('a', 'form_error', '/contact.html', { props: { fields: 'email,phone' } }),
+        event('b', 'form_error', '/contact.html', { props: { fields: 'email' } }),
+        event('c', 'form_error', '/contact.html', { props: { reason: 'network' } })
+    ], { now: NOW });
+
+    assert.deepEqual(report.referrers, [{ host: 'google.com', visits: 2 }, { host: 'bing.com', visits: 1 }]);
+    assert.deepEqual(report.heroSlides, [{ slide: 1, impressions: 1 }, { slide: 2, impressions: 2 }]);
+    assert.deepEqual(report.breedCards.map(card => card.name), ['Black Bengal', 'retired-breed']);
+    assert.deepEqual(report.formErrors, [{ field: 'email', count: 2 }, { field: 'network', count: 1 }, { field: 'phone', count: 1 }]);
+});
+
+/* ============================================
+   Date range
+   ============================================ */
+
+test('the report covers exactly the last `days` days', () => {
+    const at = ms => ({ createdAt: new Date(ms).toISOString() });
+    const events = [
+        event('edge', 'pageview', '/index.html', at(NOW - 7 * DAY_MS)),
+        event('before', 'pageview', '/index.html', at(NOW - 7 * DAY_MS - 1)),
+        event('today', 'pageview', '/index.html', at(NOW))
+    ];
+
+    const week = buildAnalyticsReport(events, { days: 7, now: NOW });
+    assert.equal(week.from, '2026-10-11T12:00:00.000Z');
+    assert.equal(week.to, '2026-10-18T12:00:00.000Z');
+    assert.equal(week.totals.visitors, 2, 'the first instant is in, the one before it is not');
+
+    assert.equal(buildAnalyticsReport(events, { days: 1, now: NOW }).totals.visitors, 1);
+    assert.equal(buildAnalyticsReport(events, { now: NOW }).days, 30);
+    assert.equal(buildAnalyticsReport([], { now: NOW }).totals.visitors, 0);
+});
+
+/* ============================================
+   Daily salt
+   ============================================ */
+
+test('a visitor keeps one id through the day and gets a new one after midnight UTC', () => {
+    const visitorId = createVisitorHasher();
+    const morning = new Date('2026-10-18T00:00:00.000Z');
+    const evening = new Date('2026-10-18T23:59:59.999Z');
+    const nextDay = new Date('2026-10-19T00:00:00.000Z');
+
+    const id = visitorId(request('203.0.113.7'), morning);
+    assert.match(id, /^[0-9a-f]{16}$/);
+    assert.equal(visitorId(request('203.0.113.7'), evening), id);
+    assert.notEqual(visitorId(request('203.0.113.8'), evening), id, 'another address');
+    assert.notEqual(visitorId(request('203.0.113.7', 'Other/1.0'), evening), id, 'another browser');
+    assert.notEqual(visitorId(request('203.0.113.7'), nextDay), id);
+    assert.notEqual(createVisitorHasher()(request('203.0.113.7'), morning), id, 'a restart starts a new salt');
+});
+
+test('visits on either side of midnight count as two visitors, so the funnel does not join them', () => {
+    const visitorId = createVisitorHasher();
+    const req = request('203.0.113.7');
+    const lateVisit = new Date('2026-10-17T23:58:00.000Z');
+    const earlyVisit = new Date('2026-10-18T00:02:00.000Z');
+    const stored = (at, name, page) => event(visitorId(req, at), name, page, { createdAt: at.toISOString() });
+
+    const report = buildAnalyticsReport([
+        stored(lateVisit, 'pageview', '/goat-products.html'),
+        stored(earlyVisit, 'pageview', '/contact.html'),
+        stored(earlyVisit, 'form_submit', '/contact.html')
+    ], { now: NOW });
+
+    assert.equal(report.totals.visitors, 2);
+    assert.equal(report.productPages.find(({ page }) => page === '/goat-products.html').enquiries, 0);
+});
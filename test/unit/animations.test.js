@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadPage, intersect, delay } from '../helpers/dom.js';
+import { initScrollAnimations, initBreedCardsAnimation } from '../../src/js/animations.js';
+
+test('with reduced motion every [data-animate] element shows at once, without an observer', () => {
+    const { document } = loadPage('index.html', { reducedMotion: true });
+    const elements = [...document.querySelectorAll('[data-animate]')];
+    initScrollAnimations();
+
+    assert.ok(elements.length > 0);
+    assert.ok(elements.every(el => el.classList.contains('animated')));
+    assert.ok(elements.every(el => el.dataset.delay === undefined));
+});
+
+test('otherwise elements animate as they scroll into view, staggered in groups of six', async () => {
+    const { document } = loadPage('index.html');
+    const elements = [...document.querySelectorAll('[data-animate]')];
+    initScrollAnimations();
+
+    assert.ok(elements.every(el => !el.classList.contains('animated')));
+    assert.deepEqual(elements.slice(0, 3).map(el => el.dataset.delay), ['0', '100', '200']);
+
+    intersect(elements[0], elements[1]);
+    await delay(150);
+    assert.equal(elements[0].classList.contains('animated'), true);
+    assert.equal(elements[1].classList.contains('animated'), true);
+    assert.equal(elements[2].classList.contains('animated'), false);
+});
+
+test('with reduced motion breed cards show at once', () => {
+    const { document } = loadPage('goat-products.html', { reducedMotion: true });
+    document.body.insertAdjacentHTML('beforeend', '<article class="breed-card" id="breed-test" data-species="goat"></article>');
+    initBreedCardsAnimation();
+
+    assert.equal(document.getElementById('breed-test').classList.contains('animate-in'), true);
+});
+
+test('otherwise breed cards wait until they are in view', () => {
+    const { document } = loadPage('goat-products.html');
+    document.body.insertAdjacentHTML('beforeend', '<article class="breed-card" id="breed-test" data-species="goat"></article>');
+    initBreedCardsAnimation();
+
+    const card = document.getElementById('breed-test');
+    assert.equal(card.classList.contains('animate-in'), false);
+    intersect(card);
+    assert.equal(card.classList.contains('animate-in'), true);
+});
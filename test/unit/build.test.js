@@ -0,0 +1,97 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { BUNDLES, bundle, sharedModules, tokenize, minify } from '../../scripts/build.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../..');
+
+/**
+ * The src/js files a bundle contains, from its module headers
+ * @param {string} code - Unminified bundle
+ * @returns {string[]}
+ */
+function bundledFiles(code) {
+    return [...code.matchAll(/^\/\/ (src\/js\/\S+)$/gm)].map(([, file]) => file);
+}
+
+const [main, ...others] = BUNDLES;
+const pages = others.filter(page => page.sharedWith);
+
+test('page bundles leave out what the main bundle has and borrow it at run time', () => {
+    const mainFiles = bundledFiles(bundle(main.entry, { shares: true }));
+    assert.ok(pages.length > 0);
+
+    for (const page of pages) {
+        const code = bundle(page.entry, { shared: sharedModules(page.sharedWith) });
+        const files = bundledFiles(code);
+        assert.deepEqual(files.filter(file => mainFiles.includes(file)), [], path.relative(ROOT, page.entry));
+        assert.match(code, /= window\.__freshflowModules;/);
+    }
+});
+
+test('the main bundle hands its modules over before its entry runs, and leaves out page features', () => {
+    const code = bundle(main.entry, { shares: true });
+    assert.ok(code.indexOf('window.__freshflowModules = Object.freeze') < code.indexOf('// src/js/main.js'));
+    for (const file of [
+        'src/js/partner-application.js', 'src/js/account.js', 'src/js/buyer-session.js',
+        'src/js/track.js', 'src/js/temperature-chart.js', 'src/js/cold-chain.js', 'src/js/cost-estimator.js', 'src/js/certifications.js'
+    ]) {
+        assert.ok(!bundledFiles(code).includes(file), file);
+    }
+});
+
+/**
+ * The page bundles a page loads, from the script tags right after the main bundle's
+ * @param {string} html - Page markup
+ * @returns {string[]}
+ */
+function pageBundles(html) {
+    const run = html.match(/<script src="js\/main\.optimized\.js" defer><\/script>((?:\n    <script src="[^"]+" defer><\/script>)*)/)?.[1] || '';
+    return [...run.matchAll(/src="([^"]+)"/g)].map(([, src]) => src);
+}
+
+const htmlPages = fs.readdirSync(ROOT)
+    .filter(file => file.endsWith('.html'))
+    .map(file => ({ file, html: fs.readFileSync(path.join(ROOT, file), 'utf8') }));
+
+// Markup each page bundle's features look for
+const PAGE_FEATURES = [
+    ['js/quote.optimized.js', /data-catalog="(products|breeds|regions)"|id="contactForm"/],
+    ['js/estimator.optimized.js', /data-cost-estimator/],
+    ['js/certifications.optimized.js', /data-certifications/]
+];
+
+test('each page bundle is loaded by a page, right after the main bundle', () => {
+    for (const page of pages) {
+        const script = path.relative(ROOT, page.output).split(path.sep).join('/');
+        assert.ok(htmlPages.some(({ html }) => pageBundles(html).includes(script)), script);
+    }
+});
+
+test('every page with the markup of a page bundle\'s feature loads that bundle', () => {
+    for (const [script, markup] of PAGE_FEATURES) {
+        const users = htmlPages.filter(({ html }) => markup.test(html));
+        assert.ok(users.length > 0, script);
+        for (const { file, html } of users) {
+            assert.ok(pageBundles(html).includes(script), `${file} ${script}`);
+        }
+    }
+});
+
+test('a / after the ) of an if, while or for condition starts a regular expression', () => {
+    const src = [
+        'if (ok) /^FF-\\d+$/.test(id) && send(id);',
+        'while (next()) /,/g.exec(line);',
+        'for (const x of xs) /\\/ /.test(x);',
+        'const half = (total) / 2 / (count);',
+        'obj.if(a) / b;'
+    ].join('\n');
+    const regexes = tokenize(src).filter(token => token.type === 'regex').map(token => token.value);
+    assert.deepEqual(regexes, ['/^FF-\\d+$/', '/,/g', '/\\/ /']);
+
+    // Minified, the regular expressions keep their spaces and slashes
+    const code = 'let hits = 0;\nfor (const x of xs) /\\/ /.test(x) && hits++;\nif (hits) /^FF-\\d+$/.test(id) && hits++;\nreturn hits;';
+    assert.equal(new Function('xs', 'id', minify(code))(['a / b', 'a/b'], 'FF-42'), 2);
+});
@@ -0,0 +1,201 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'node:path';
+import fs from 'node:fs/promises';
+import { startApp } from '../helpers/server.js';
+import { createFormToken } from '../../server/lib/spam.js';
+import { SIGN_IN_LINK_MINUTES } from '../../src/js/buyer.js';
+
+const SECRET = 'test-secret';
+const BUYER = 'procurement@alnoortrading.example';
+const OTHER_BUYER = 'imports@gulffreshmeats.example';
+
+/**
+ * Ask for a sign-in link and read its token from the outbox
+ * @param {Object} app - From startApp()
+ * @param {string} email - Buyer address
+ * @returns {Promise<string>}
+ */
+async function requestLink(app, email) {
+    const outbox = path.join(app.dataDir, 'outbox');
+    const before = new Set(await fs.readdir(outbox).catch(() => []));
+    const response = await app.request('/api/buyer/login', {
+        method: 'POST',
+        body: { email, website: '', formToken: createFormToken(SECRET, Date.now() - 5000) }
+    });
+    assert.equal(response.status, 200);
+
+    const [file] = (await fs.readdir(outbox)).filter(name => !before.has(name));
+    const message = await fs.readFile(path.join(outbox, file), 'utf8');
+    return message.match(/#token=([\w-]+)/)[1];
+}
+
+/**
+ * Swap a link's token for a session
+ * @param {Object} app - From startApp()
+ * @param {string} token - From requestLink()
+ * @returns {Promise<Response>}
+ */
+function exchange(app, token) {
+    return app.request('/api/buyer/session', { method: 'POST', body: { token } });
+}
+
+/**
+ * Sign a buyer in
+ * @param {Object} app - From startApp()
+ * @param {string} email - Buyer address
+ * @returns {Promise<{cookie: string, csrfToken: string}>} - Cookie header value and CSRF token
+ */
+async function signIn(app, email) {
+    const response = await exchange(app, await requestLink(app, email));
+    assert.equal(response.status, 200);
+    return {
+        cookie: response.headers.get('set-cookie').split(';')[0],
+        csrfToken: (await response.json()).csrfToken
+    };
+}
+
+/**
+ * A quote request body that passes the bot checks
+ * @param {Object} [fields] - Over the defaults
+ * @returns {Object}
+ */
+function rfq(fields = {}) {
+    return {
+        type: 'rfq',
+        name: 'Omar Al Noor',
+        email: BUYER,
+        destinationPort: 'Jebel Ali, UAE',
+        message: '',
+        items: [{ species: 'goat', breed: 'Black Bengal', cut: 'carcass', quantity: 18, unit: 't', state: 'frozen', form: 'carcass' }],
+        website: '',
+        formToken: createFormToken(SECRET, Date.now() - 5000),
+        ...fields
+    };
+}
+
+/* ============================================
+   Sign-in links
+   ============================================ */
+
+test('a sign-in link works once; a second use is refused', async (t) => {
+    const app = await startApp();
+    t.after(() => app.close());
+    const token = await requestLink(app, BUYER);
+
+    const first = await exchange(app, token);
+    assert.equal(first.status, 200);
+    assert.match(first.headers.get('set-cookie'), /^ff_buyer=[\w-]+;.*HttpOnly; SameSite=Lax/);
+
+    const reused = await exchange(app, token);
+    assert.equal(reused.status, 400);
+    assert.equal((await reused.json()).reason, 'link_expired');
+});
+
+test('an expired sign-in link is refused, and used up', async (t) => {
+    const app = await startApp();
+    t.after(() => app.close());
+    const token = await requestLink(app, BUYER);
+
+    const now = Date.now();
+    t.mock.method(Date, 'now', () => now + (SIGN_IN_LINK_MINUTES * 60 + 1) * 1000);
+    const expired = await exchange(app, token);
+    assert.equal(expired.status, 400);
+    assert.equal((await expired.json()).reason, 'link_expired');
+
+    Date.now.mock.restore();
+    assert.equal((await exchange(app, token)).status, 400);
+    assert.equal((await exchange(app, 'made-up-token')).status, 400);
+});
+
+test('sign-in requests from another site are refused', async (t) => {
+    const app = await startApp();
+    t.after(() => app.close());
+    const token = await requestLink(app, BUYER);
+    const foreign = { Origin: 'https://evil.example' };
+
+    const login = await app.request('/api/buyer/login', {
+        method: 'POST',
+        headers: foreign,
+        body: { email: BUYER, website: '', formToken: createFormToken(SECRET, Date.now() - 5000) }
+    });
+    assert.equal(login.status, 403);
+
+    const session = await app.request('/api/buyer/session', { method: 'POST', headers: foreign, body: { token } });
+    assert.equal(session.status, 403);
+    assert.equal((await exchange(app, token)).status, 200, 'the refused request didn\'t use up the link');
+});
+
+/* ============================================
+   Sessions
+   ============================================ */
+
+test('changes need the session\'s CSRF token and the site\'s own origin', async (t) => {
+    const app = await startApp();
+    t.after(() => app.close());
+    const { cookie, csrfToken } = await signIn(app, BUYER);
+    const patch = headers => app.request('/api/buyer/profile', {
+        method: 'PATCH',
+        headers: { Cookie: cookie, ...headers },
+        body: { company: 'Al Noor Trading', name: 'Omar Al Noor', phone: '+971 4 555 0142' }
+    });
+
+    for (const [label, headers] of [
+        ['missing', {}],
+        ['wrong', { 'X-CSRF-Token': 'not-the-token' }],
+        ['another length', { 'X-CSRF-Token': `${csrfToken}x` }]
+    ]) {
+        const response = await patch(headers);
+        assert.equal(response.status, 403, label);
+        assert.equal((await response.json()).reason, 'csrf', label);
+    }
+    assert.equal((await patch({ 'X-CSRF-Token': csrfToken, Origin: 'https://evil.example' })).status, 403, 'foreign origin');
+
+    const signOut = await app.request('/api/buyer/session', { method: 'DELETE', headers: { Cookie: cookie } });
+    assert.equal(signOut.status, 403);
+
+    const saved = await patch({ 'X-CSRF-Token': csrfToken, Origin: app.origin });
+    assert.equal(saved.status, 200);
+    assert.equal((await saved.json()).buyer.company, 'Al Noor Trading');
+});
+
+test('a malformed session cookie counts as signed out', async (t) => {
+    const app = await startApp();
+    t.after(() => app.close());
+
+    const response = await app.request('/api/buyer/session', { headers: { Cookie: 'ff_buyer=%E0%A4%A' } });
+    assert.equal(response.status, 401);
+});
+
+/* ============================================
+   Orders and shipments
+   ============================================ */
+
+test('order history lists only RFQs sent while signed in, not others using the address', async (t) => {
+    const app = await startApp();
+    t.after(() => app.close());
+    const { cookie } = await signIn(app, BUYER);
+
+    const stranger = await app.request('/api/enquiries', { method: 'POST', body: rfq({ message: 'Sent by someone else.' }) });
+    assert.equal(stranger.status, 201);
+    const own = await app.request('/api/enquiries', { method: 'POST', headers: { Cookie: cookie }, body: rfq() });
+    assert.equal(own.status, 201);
+
+    const { orders } = await (await app.request('/api/buyer/orders', { headers: { Cookie: cookie } })).json();
+    assert.deepEqual(orders.map(order => order.reference), [(await own.json()).reference]);
+});
+
+test('another buyer\'s shipment documents look the same as a missing shipment', async (t) => {
+    const app = await startApp();
+    t.after(() => app.close());
+    const owner = await signIn(app, BUYER);
+    const other = await signIn(app, OTHER_BUYER);
+    const documents = (session, id) => app.request(`/api/buyer/shipments/${id}/documents`, { headers: { Cookie: session.cookie } });
+
+    assert.equal((await documents(owner, 'FF-2609-0142')).status, 200);
+    assert.equal((await documents(other, 'FF-2609-0142')).status, 404);
+    assert.equal((await documents(other, 'FF-0000-0000')).status, 404);
+
+    const { shipments } = await (await app.request('/api/buyer/shipments', { headers: { Cookie: other.cookie } })).json();
+    assert.ok(!shipments.some(shipment => shipment.id === 'FF-2609-0142'));
+});
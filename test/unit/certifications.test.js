@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadPage } from '../helpers/dom.js';
+import { CERTIFICATES, publishedCertificates, certificateStatus, initCertifications } from '../../src/js/certifications.js';
+
+const CERTIFICATE = {
+    id: 'halal',
+    scheme: 'Halal',
+    name: 'Halal Certificate',
+    number: 'HC-1',
+    validUntil: '2026-12-15'
+};
+
+test('sample certificates are never published', () => {
+    assert.deepEqual(publishedCertificates([{ ...CERTIFICATE, specimen: true }, { ...CERTIFICATE, id: 'haccp' }]).map(item => item.id), ['haccp']);
+    assert.ok(CERTIFICATES.every(certificate => certificate.specimen), 'the shipped entries are all samples');
+    assert.deepEqual(publishedCertificates(), []);
+});
+
+test('without published certificates the page keeps its generic badges and no dialog', () => {
+    const { document } = loadPage('markets.html');
+    const container = document.querySelector('[data-certifications]');
+    const before = container.innerHTML;
+
+    initCertifications();
+    assert.equal(container.innerHTML, before);
+    assert.equal(document.querySelector('[data-certificate]'), null);
+    assert.equal(document.getElementById('certModal'), null);
+});
+
+test('a certificate is valid to the end of its last day, and expiring in its last 90', () => {
+    assert.deepEqual(certificateStatus(CERTIFICATE, new Date('2026-12-15T23:00:00Z')), { status: 'expiring', days: 0 });
+    assert.equal(certificateStatus(CERTIFICATE, new Date('2026-12-16T00:00:00Z')).status, 'expired');
+    assert.equal(certificateStatus(CERTIFICATE, new Date('2026-09-01T00:00:00Z')).status, 'valid');
+});
@@ -0,0 +1,149 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    COLD_CHAIN_LIMITS, MAX_READINGS, COLD_CHAIN_MESSAGES as messages,
+    parseTimestamp, parseTemperatureLog, findExcursions, summarizeTemperatureLog
+} from '../../src/js/cold-chain.js';
+
+/**
+ * Readings at 10-minute steps from midnight UTC on 5 October 2026
+ * @param {Array<number>} temperatures - °C
+ * @returns {Array<{at: string, celsius: number}>}
+ */
+function readings(temperatures) {
+    return temperatures.map((celsius, index) => ({
+        at: new Date(Date.UTC(2026, 9, 5, 0, index * 10)).toISOString(),
+        celsius
+    }));
+}
+
+/* ============================================
+   Timestamps
+   ============================================ */
+
+test('ISO timestamps are read as UTC unless they carry an offset', () => {
+    const utc = Date.UTC(2026, 9, 5, 14, 30);
+    assert.equal(parseTimestamp('2026-10-05T14:30:00Z'), utc);
+    assert.equal(parseTimestamp('2026-10-05T14:30:00'), utc);
+    assert.equal(parseTimestamp('2026-10-05 14:30'), utc);
+    assert.equal(parseTimestamp('2026-10-05T14:30:00.250z'), utc);
+    assert.equal(parseTimestamp('2026-10-05T18:30:00+04:00'), utc);
+    assert.equal(parseTimestamp('2026-10-05T20:00:00+0530'), utc);
+    assert.equal(parseTimestamp('2026-10-05T11:30:00-03:00'), utc);
+    assert.equal(parseTimestamp('2026-10-05'), Date.UTC(2026, 9, 5));
+});
+
+test('day-first dates take /, - or . and an optional time', () => {
+    const utc = Date.UTC(2026, 9, 5, 14, 30);
+    assert.equal(parseTimestamp('05/10/2026 14:30'), utc);
+    assert.equal(parseTimestamp('05-10-2026 14:30:00'), utc);
+    assert.equal(parseTimestamp('5.10.2026 14:30'), utc);
+    assert.equal(parseTimestamp('05/10/2026T14:30'), utc);
+    assert.equal(parseTimestamp('5/10/2026'), Date.UTC(2026, 9, 5));
+});
+
+test('impossible dates and other formats are not timestamps', () => {
+    for (const value of ['31/02/2026 10:00', '2026-13-01', '2026-02-29', '00/10/2026', 'yesterday', '10/05/26', '2026/10/05', '1760000000', '']) {
+        assert.ok(Number.isNaN(parseTimestamp(value)), value);
+    }
+    assert.equal(parseTimestamp('29/02/2028'), Date.UTC(2028, 1, 29), 'leap year');
+});
+
+/* ============================================
+   Parsing a logger export
+   ============================================ */
+
+test('columns are found by name, and the delimiter from the header row', () => {
+    const comma = parseTemperatureLog('Timestamp,Temperature (°C),Humidity (%RH)\n2026-10-05T00:10:00Z,-19.2,81\n2026-10-05T00:00:00Z,-19.5,80\n');
+    assert.deepEqual(comma, {
+        valid: true,
+        readings: [
+            { at: '2026-10-05T00:00:00.000Z', celsius: -19.5, humidity: 80 },
+            { at: '2026-10-05T00:10:00.000Z', celsius: -19.2, humidity: 81 }
+        ],
+        error: ''
+    });
+
+    const semicolon = parseTemperatureLog('\uFEFFDate;Time;Temp\r\n05/10/2026;00:00;-18,4\r\n');
+    assert.deepEqual(semicolon.readings, [{ at: '2026-10-05T00:00:00.000Z', celsius: -18.4 }]);
+
+    const tab = parseTemperatureLog('Recorded\tTemperature °F\n2026-10-05 00:00\t39.2\n');
+    assert.deepEqual(tab.readings, [{ at: '2026-10-05T00:00:00.000Z', celsius: 4 }], 'Fahrenheit converted');
+});
+
+test('quoted cells and blank lines are handled', () => {
+    const log = parseTemperatureLog('"Date Time","Temperature, °C","Note"\n\n"2026-10-05 00:00","3,9","Door ""A"" closed"\n\n');
+    assert.equal(log.valid, true);
+    assert.deepEqual(log.readings, [{ at: '2026-10-05T00:00:00.000Z', celsius: 3.9 }]);
+});
+
+test('a missing column, no readings or too many readings reject the whole file', () => {
+    assert.deepEqual(parseTemperatureLog('Timestamp,Humidity\n2026-10-05 00:00,80'), { valid: false, readings: [], error: messages.errors.columns });
+    assert.equal(parseTemperatureLog('Reading,Temperature\n1,-19').error, messages.errors.columns);
+    assert.equal(parseTemperatureLog('').error, messages.errors.columns);
+    assert.equal(parseTemperatureLog('Timestamp,Temperature\n\n').error, messages.errors.empty);
+
+    const rows = Array.from({ length: MAX_READINGS + 1 }, () => '2026-10-05 00:00,-19').join('\n');
+    assert.equal(parseTemperatureLog(`Timestamp,Temperature\n${rows}`).error, `Upload at most ${MAX_READINGS} readings at a time.`);
+});
+
+test('the first unreadable row is named, counting the header as row 1', () => {
+    const rowError = row => messages.errors.row.replace('{row}', row);
+    const header = 'Timestamp,Temperature\n2026-10-05 00:00,-19\n';
+
+    assert.equal(parseTemperatureLog(`${header}31/02/2026 00:10,-19`).error, rowError(3), 'impossible date');
+    assert.equal(parseTemperatureLog(`${header}2026-10-05 00:10,`).error, rowError(3), 'no temperature');
+    assert.equal(parseTemperatureLog(`${header}2026-10-05 00:10,n/a`).error, rowError(3), 'not a number');
+    assert.equal(parseTemperatureLog(`${header}2026-10-05 00:10,-19\n2026-10-05 00:20,85`).error, rowError(4), 'out of range');
+    assert.equal(parseTemperatureLog(`${header}2026-10-05 00:10`).error, rowError(3), 'short row');
+    assert.equal(parseTemperatureLog(`${header}2026-10-05 00:10,-19,extra`).valid, true, 'extra cells are ignored');
+});
+
+test('readings at the edges of the accepted range are kept', () => {
+    const log = parseTemperatureLog('Timestamp,Temperature\n2026-10-05 00:00,-60\n2026-10-05 00:10,60\n2026-10-05 00:20,-18.44');
+    assert.deepEqual(log.readings.map(reading => reading.celsius), [-60, 60, -18.4]);
+});
+
+/* ============================================
+   Excursions
+   ============================================ */
+
+test('a reading exactly at the limit is within it', () => {
+    assert.deepEqual(findExcursions(readings([-19, -18, -18, -19]), COLD_CHAIN_LIMITS.frozen), []);
+    assert.deepEqual(findExcursions(readings([3, 4, 4]), COLD_CHAIN_LIMITS.chilled), []);
+    assert.equal(findExcursions(readings([-18, -17.9, -18]), COLD_CHAIN_LIMITS.frozen).length, 1);
+});
+
+test('an excursion runs to the next reading back within the limit and keeps its peak', () => {
+    const [excursion] = findExcursions(readings([2, 4.5, 6.1, 5, 4, 3]), COLD_CHAIN_LIMITS.chilled);
+    assert.deepEqual(excursion, {
+        start: '2026-10-05T00:10:00.000Z',
+        end: '2026-10-05T00:40:00.000Z',
+        peak: 6.1,
+        ongoing: false,
+        durationMs: 30 * 60000
+    });
+});
+
+test('separate excursions are listed apart, and one still going at the end is ongoing', () => {
+    const excursions = findExcursions(readings([-19, -16, -19, -17, -15]), COLD_CHAIN_LIMITS.frozen);
+    assert.deepEqual(excursions.map(({ start, end, peak, ongoing, durationMs }) => ({ start, end, peak, ongoing, durationMs })), [
+        { start: '2026-10-05T00:10:00.000Z', end: '2026-10-05T00:20:00.000Z', peak: -16, ongoing: false, durationMs: 10 * 60000 },
+        { start: '2026-10-05T00:30:00.000Z', end: '2026-10-05T00:40:00.000Z', peak: -15, ongoing: true, durationMs: 10 * 60000 }
+    ]);
+
+    const [single] = findExcursions(readings([-19, -19, -10]), COLD_CHAIN_LIMITS.frozen);
+    assert.deepEqual({ ongoing: single.ongoing, durationMs: single.durationMs }, { ongoing: true, durationMs: 0 });
+});
+
+test('the summary uses the state\'s limit and adds up the time out of range', () => {
+    const summary = summarizeTemperatureLog(readings([-19, -17, -16, -18, -20]), 'frozen');
+    assert.equal(summary.limit, -18);
+    assert.deepEqual({ min: summary.min, max: summary.max, mean: summary.mean, count: summary.count }, { min: -20, max: -16, mean: -18, count: 5 });
+    assert.equal(summary.excursions.length, 1);
+    assert.equal(summary.excursionMs, 20 * 60000);
+    assert.equal(summary.humidity, null);
+
+    assert.equal(summarizeTemperatureLog(readings([3]), 'unknown').limit, COLD_CHAIN_LIMITS.chilled);
+    assert.equal(summarizeTemperatureLog([], 'frozen'), null);
+});
@@ -0,0 +1,156 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadPage, waitFor } from '../helpers/dom.js';
+import { initConsent, setConsent, getConsent, hasConsent, onConsent, CONSENT_CATEGORIES } from '../../src/js/consent.js';
+import { initAnalytics, trackEvent } from '../../src/js/analytics.js';
+
+const STORAGE_KEY = 'freshflow.consent';
+const YEAR_MS = 365 * 24 * 60 * 60 * 1000;
+
+let reloads = 0;
+
+/**
+ * A new copy of the consent module, as on the next page load
+ * @returns {Promise<Object>} - Its exports
+ */
+function reloadConsent() {
+    reloads += 1;
+    return import(`../../src/js/consent.js?reload=${reloads}`);
+}
+
+/**
+ * Record what analytics sends with navigator.sendBeacon
+ * @param {Window} window - From loadPage()
+ * @returns {Array<Object>} - One { events } body per beacon, filled in as they are sent
+ */
+function recordBeacons(window) {
+    const beacons = [];
+    window.navigator.sendBeacon = (url, blob) => {
+        blob.text().then(text => beacons.push(JSON.parse(text)));
+        return true;
+    };
+    return beacons;
+}
+
+/* ============================================
+   Stored choice
+   ============================================ */
+
+test('a choice is stored with every category and read back on the next page', async () => {
+    loadPage('index.html');
+    setConsent({ analytics: true });
+
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    assert.deepEqual(stored.choices, { analytics: true, maps: false, messaging: false });
+    assert.deepEqual(Object.keys(stored.choices), Object.keys(CONSENT_CATEGORIES));
+
+    const nextPage = await reloadConsent();
+    assert.deepEqual(nextPage.getConsent(), { analytics: true, maps: false, messaging: false });
+    assert.equal(nextPage.hasConsent('maps'), false);
+});
+
+test('no choice, an old one or one from an earlier version means asking again', async () => {
+    const { document } = loadPage('index.html');
+    const store = value => localStorage.setItem(STORAGE_KEY, JSON.stringify(value));
+    const choices = { analytics: true, maps: true, messaging: true };
+
+    assert.equal((await reloadConsent()).getConsent(), null);
+
+    store({ version: 1, decidedAt: new Date(Date.now() - YEAR_MS - 1000).toISOString(), choices });
+    assert.equal((await reloadConsent()).getConsent(), null, 'over a year old');
+
+    store({ version: 0, decidedAt: new Date().toISOString(), choices });
+    assert.equal((await reloadConsent()).getConsent(), null, 'earlier version');
+
+    localStorage.setItem(STORAGE_KEY, '{not json');
+    const consent = await reloadConsent();
+    assert.equal(consent.getConsent(), null, 'unreadable');
+    consent.initConsent();
+    assert.equal(document.getElementById('consentBanner').hidden, false);
+});
+
+test('with a current choice stored the banner stays hidden and the choice applies at once', async () => {
+    const { document } = loadPage('index.html');
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({ version: 1, decidedAt: new Date().toISOString(), choices: { messaging: true, unknown: true } }));
+
+    const consent = await reloadConsent();
+    consent.initConsent();
+    assert.equal(document.getElementById('consentBanner').hidden, true);
+    assert.deepEqual(consent.getConsent(), { analytics: false, maps: false, messaging: true });
+    assert.ok(document.querySelector('link[rel="preconnect"][href="https://wa.me"]'));
+});
+
+/* ============================================
+   Features waiting for consent
+   ============================================ */
+
+test('analytics sends nothing until allowed, then counts the page view', async () => {
+    const { window, document } = loadPage('index.html');
+    const beacons = recordBeacons(window);
+    setConsent({});
+    initConsent();
+    initAnalytics();
+
+    trackEvent('hero_slide', { slide: 1 });
+    window.dispatchEvent(new window.Event('pagehide'));
+    await new Promise(resolve => setImmediate(resolve));
+    assert.deepEqual(beacons, []);
+
+    // Only analytics ticked in the preferences dialog
+    document.querySelector('[data-consent-action="open"]').click();
+    document.getElementById('consentForm').elements.analytics.checked = true;
+    document.getElementById('consentForm').requestSubmit();
+    assert.deepEqual(getConsent(), { analytics: true, maps: false, messaging: false });
+
+    trackEvent('hero_slide', { slide: 2 });
+    window.dispatchEvent(new window.Event('pagehide'));
+    await waitFor(() => beacons.length === 1);
+    assert.deepEqual(beacons[0].events.map(({ name, props }) => [name, props]), [['pageview', { referrer: '' }], ['hero_slide', { slide: 2 }]]);
+});
+
+test('withdrawing analytics drops the events not sent yet', async () => {
+    const { window } = loadPage('index.html');
+    const beacons = recordBeacons(window);
+    setConsent({ analytics: true });
+    initAnalytics();
+
+    trackEvent('product_nav', { target: 'goat' });
+    setConsent({ analytics: false });
+    window.dispatchEvent(new window.Event('pagehide'));
+    await new Promise(resolve => setImmediate(resolve));
+    assert.deepEqual(beacons, []);
+});
+
+test('WhatsApp preconnect hints are added when allowed and taken out when withdrawn', () => {
+    const { document } = loadPage('index.html');
+    setConsent({ analytics: true });
+    initConsent();
+    const preconnect = () => document.querySelector('link[rel="preconnect"][href="https://wa.me"]');
+    assert.equal(preconnect(), null);
+
+    const granted = [];
+    onConsent('messaging', () => granted.push(hasConsent('messaging')));
+    setConsent({ ...getConsent(), messaging: true });
+    assert.ok(preconnect());
+    assert.deepEqual(granted, [true]);
+
+    setConsent({ ...getConsent(), messaging: false });
+    assert.equal(preconnect(), null);
+    setConsent({ ...getConsent(), messaging: true });
+    assert.deepEqual(granted, [true], 'the callback runs once');
+});
+
+test('"Show Map" grants maps alone and loads the embed in place of its placeholder', () => {
+    const { document } = loadPage('contact.html');
+    setConsent({ messaging: true });
+    initConsent();
+    const frame = document.querySelector('iframe[data-consent="maps"]');
+    const placeholder = document.querySelector('[data-consent-placeholder="maps"]');
+    assert.equal(frame.hasAttribute('src'), false);
+    assert.equal(placeholder.hidden, false);
+
+    document.querySelector('[data-consent-grant="maps"]').click();
+    assert.equal(frame.getAttribute('src'), frame.dataset.src);
+    assert.equal(placeholder.hidden, true);
+    assert.deepEqual(getConsent(), { analytics: false, maps: true, messaging: true });
+});
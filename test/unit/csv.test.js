@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { toCsv } from '../../server/lib/csv.js';
+
+/**
+ * The cells of a one-column, one-row CSV
+ * @param {*} value - Cell value
+ * @returns {string} - The row as written
+ */
+function cell(value) {
+    return toCsv(['Value'], [[value]]).slice(1).split('\r\n')[1];
+}
+
+test('cells that start a formula with =, +, - or @ are written as text', () => {
+    assert.equal(cell('=HYPERLINK("https://evil.example","Open")'), `"'=HYPERLINK(""https://evil.example"",""Open"")"`);
+    assert.equal(cell('=1+2'), `'=1+2`);
+    assert.equal(cell('+SUM(A1:A9)'), `'+SUM(A1:A9)`);
+    assert.equal(cell('-2+3+cmd|\' /C calc\'!A0'), `'-2+3+cmd|' /C calc'!A0`);
+    assert.equal(cell('@SUM(A1:A9)'), `'@SUM(A1:A9)`);
+    assert.equal(cell('\t=1+2'), `'\t=1+2`);
+    assert.equal(cell('\r=1+2'), `"'\r=1+2"`);
+});
+
+test('a sign followed by arithmetic is a formula, however number-like', () => {
+    assert.equal(cell('+1-2'), `'+1-2`);
+    assert.equal(cell('-2+3'), `'-2+3`);
+    assert.equal(cell('-1 -1'), `'-1 -1`);
+    assert.equal(cell('+(1)'), `'+(1)`);
+    // Phones are stored in E.164, so a spaced number is unusual; it is kept as text
+    assert.equal(cell('+971 4 123 4567'), `'+971 4 123 4567`);
+});
+
+test('plain numbers and E.164 phone numbers keep their sign', () => {
+    assert.equal(cell('+971501234567'), '+971501234567');
+    assert.equal(cell('-18.5'), '-18.5');
+    assert.equal(cell(-4), '-4');
+    assert.equal(cell('4'), '4');
+});
+
+test('commas, quotes and line breaks are quoted; empty values are blank', () => {
+    assert.equal(cell('Dammam, Saudi Arabia'), '"Dammam, Saudi Arabia"');
+    assert.equal(cell('The "Premium" grade'), '"The ""Premium"" grade"');
+    assert.equal(cell('Line one\nline two'), '"Line one\nline two"');
+    assert.equal(cell(null), '');
+    assert.equal(cell(undefined), '');
+});
+
+test('the document starts with a byte order mark and ends rows with CRLF', () => {
+    assert.equal(toCsv(['Name', 'Port'], [['Amira', 'Jebel Ali, UAE']]), '\uFEFFName,Port\r\nAmira,"Jebel Ali, UAE"\r\n');
+});
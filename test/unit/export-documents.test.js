@@ -0,0 +1,103 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { DOCUMENT_TYPES, documentNumber, renderExportDocuments, sampleRegistrations } from '../../server/lib/export-documents.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../..');
+const [CONSIGNMENT] = JSON.parse(fs.readFileSync(path.join(ROOT, 'server/fixtures/consignments.json'), 'utf8'));
+const DATE = new Date('2026-10-05T00:00:00Z');
+
+/**
+ * Each document's page in a rendered pack
+ * @param {string} html - From renderExportDocuments()
+ * @returns {Array<string>}
+ */
+function documents(html) {
+    return html.split('<article class="document ').slice(1);
+}
+
+/* ============================================
+   Sample registrations
+   ============================================ */
+
+test('sample IECs, GSTINs and specimen certificates are listed as samples', () => {
+    const company = { iec: 'AAFCF4821K', gstin: '37AAFCF4821K1Z6' };
+    const certificates = [{ id: 'fssai', number: '1' }, { id: 'halal', number: '2', specimen: true }];
+
+    assert.deepEqual(sampleRegistrations({ company: { ...company, sampleRegistrations: true }, certificates }), ['IEC', 'GSTIN', 'Halal certificate']);
+    assert.deepEqual(sampleRegistrations({ company, certificates: [{ id: 'fssai', number: '1' }] }), []);
+    assert.deepEqual(sampleRegistrations({ company: { sampleRegistrations: true }, certificates: [] }), [], 'nothing printed, nothing to mark');
+});
+
+test('while any registration is a sample, every document is a draft that says which numbers', () => {
+    assert.ok(sampleRegistrations().length > 0, 'the shipped data is sample data');
+    const html = renderExportDocuments(CONSIGNMENT, { date: DATE });
+
+    assert.match(html, /<title>Export documents FF-2609-0142 \(Draft\)/);
+    const pages = documents(html);
+    assert.equal(pages.length, Object.keys(DOCUMENT_TYPES).length);
+    for (const page of pages) {
+        assert.match(page, /^document-[a-z-]+ document-draft"/);
+        assert.match(page, /Draft, not for shipping or customs: the IEC, GSTIN, FSSAI, APEDA RCMC, Halal certificate numbers are samples\./);
+        assert.match(page, /<h1>[^<]+\(Draft\)<\/h1>/);
+        assert.doesNotMatch(page, /\(Draft\) \(Draft\)/);
+    }
+
+    const invoice = renderExportDocuments(CONSIGNMENT, { types: ['proforma-invoice'], date: DATE });
+    assert.match(invoice, /<title>Proforma Invoice \(Draft\) FF-2609-0142\/PI/);
+});
+
+/* ============================================
+   Numbering and cross-references
+   ============================================ */
+
+test('documents are numbered from the consignment ID, one suffix per type', () => {
+    assert.deepEqual(Object.keys(DOCUMENT_TYPES).map(type => documentNumber(CONSIGNMENT, type)), [
+        'FF-2609-0142/PI', 'FF-2609-0142/PL', 'FF-2609-0142/CO', 'FF-2609-0142/HD'
+    ]);
+});
+
+test('every document carries its own number and the same date, and lists the whole set', () => {
+    const pages = documents(renderExportDocuments(CONSIGNMENT, { date: DATE }));
+    const set = 'Document set FF-2609-0142/PI · FF-2609-0142/PL · FF-2609-0142/CO · FF-2609-0142/HD';
+
+    Object.keys(DOCUMENT_TYPES).forEach((type, index) => {
+        assert.ok(pages[index].startsWith(`document-${type} `), type);
+        assert.ok(pages[index].includes(`<dt>Number</dt><dd>${documentNumber(CONSIGNMENT, type)}</dd>`), type);
+        assert.ok(pages[index].includes('<dt>Date</dt><dd>5 Oct 2026</dd>'), type);
+        assert.ok(pages[index].includes(set), type);
+    });
+});
+
+test('the invoice and packing list name each other, and the other documents name both', () => {
+    const [invoice, packingList, origin, halal] = documents(renderExportDocuments(CONSIGNMENT, { date: DATE }));
+
+    assert.ok(invoice.includes('<dt>Packing list</dt><dd>FF-2609-0142/PL</dd>'));
+    assert.ok(packingList.includes('<dt>Proforma invoice</dt><dd>FF-2609-0142/PI</dd>'));
+    assert.ok(origin.includes('<dt>10. Invoice</dt><dd>FF-2609-0142/PI of 5 Oct 2026</dd>'));
+    assert.ok(origin.includes('<dt>Packing list</dt><dd>FF-2609-0142/PL</dd>'));
+    assert.ok(halal.includes('<dt>Proforma invoice</dt><dd>FF-2609-0142/PI</dd>'));
+    assert.ok(halal.includes('<dt>Packing list</dt><dd>FF-2609-0142/PL</dd>'));
+});
+
+test('cartons are numbered through the consignment, and the shipping marks use the same ranges', () => {
+    const [invoice, packingList] = documents(renderExportDocuments(CONSIGNMENT, { date: DATE }));
+
+    assert.match(packingList, /<td>FF-2609-0142-A<\/td>\s*<td>[^<]+<\/td>\s*<td>1-450<\/td>/);
+    assert.match(packingList, /<td>FF-2609-0142-B<\/td>\s*<td>[^<]+<\/td>\s*<td>451-900<\/td>/);
+    assert.ok(packingList.includes('<li>FRESHFLOW FOODS / FF-2609-0142-A / JEBEL ALI / PRODUCT OF INDIA / C/NO 1-450</li>'));
+    assert.ok(packingList.includes('<li>FRESHFLOW FOODS / FF-2609-0142-B / JEBEL ALI / PRODUCT OF INDIA / C/NO 451-900</li>'));
+
+    // Both documents total the same cartons and weight
+    for (const page of [invoice, packingList]) {
+        assert.match(page, /<td class="number">900<\/td>\s*<td class="number">18,000\.00 kg<\/td>/);
+    }
+});
+
+test('a document rendered on its own keeps its number and still names the rest of the set', () => {
+    const [alone] = documents(renderExportDocuments(CONSIGNMENT, { types: ['packing-list'], date: DATE }));
+    assert.ok(alone.includes('<dt>Number</dt><dd>FF-2609-0142/PL</dd>'));
+    assert.ok(alone.includes('<dt>Proforma invoice</dt><dd>FF-2609-0142/PI</dd>'));
+});
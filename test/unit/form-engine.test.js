@@ -0,0 +1,156 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { loadPage, jsonResponse } from '../helpers/dom.js';
+import { createForm } from '../../src/js/form-engine.js';
+import { setLocale } from '../../src/js/i18n.js';
+import { validateRule, validateSchema, isValidInternationalPhone, VALIDATION_MESSAGES as messages } from '../../src/js/validation.js';
+
+const FR = JSON.parse(fs.readFileSync(new URL('../../locales/fr.json', import.meta.url), 'utf8'));
+
+/* ============================================
+   Rules
+   ============================================ */
+
+test('length rules fill {min} into their messages', () => {
+    assert.equal(validateRule({ minLength: 3 }, 'ab'), 'Enter at least 3 characters.');
+    assert.equal(validateRule({ maxLength: 3 }, 'abcd'), messages.tooLong);
+    assert.equal(validateRule({ minLength: 3, messages: { minLength: 'name' } }, 'ab'), messages.name);
+});
+
+test('a pattern must match the whole value', () => {
+    const rule = { pattern: /[A-Z]{2}\d{4}/ };
+    assert.equal(validateRule(rule, 'AE1234'), '');
+    assert.equal(validateRule(rule, 'xAE1234'), messages.pattern);
+    assert.equal(validateRule(rule, 'AE12345'), messages.pattern);
+});
+
+test('international phone numbers need a + and a country code', () => {
+    ['+971 50 123 4567', '+44 (20) 7946-0958', '+919876543210'].forEach(phone => {
+        assert.equal(isValidInternationalPhone(phone), true, phone);
+    });
+    ['050 123 4567', '+0 50 123 4567', '+971 50', '+971 50 CALL ME'].forEach(phone => {
+        assert.equal(isValidInternationalPhone(phone), false, phone);
+    });
+    assert.equal(validateRule({ format: 'intlPhone' }, '050 123 4567'), messages.phoneCountryCode);
+});
+
+test('empty optional fields pass; a required function decides from the other values', () => {
+    const rule = { required: values => values.contact === 'phone', format: 'intlPhone' };
+    assert.equal(validateRule(rule, '', { contact: 'email' }), '');
+    assert.equal(validateRule(rule, '', { contact: 'phone' }), messages.required);
+});
+
+test('fields whose `when` does not hold are skipped and come back empty', () => {
+    const schema = {
+        subject: { required: true, oneOf: ['general', 'partnership'] },
+        company: { required: true, minLength: 2, when: values => values.subject === 'partnership' }
+    };
+    assert.deepEqual(validateSchema(schema, { subject: 'general', company: 'x' }), {
+        valid: true,
+        errors: {},
+        values: { subject: 'general', company: '' }
+    });
+    assert.deepEqual(validateSchema(schema, { subject: 'partnership', company: '' }).errors, { company: messages.required });
+    assert.deepEqual(validateSchema(schema, { subject: 'sales' }).errors, { subject: messages.choice });
+});
+
+/* ============================================
+   Forms
+   ============================================ */
+
+const SCHEMA = {
+    subject: { required: true },
+    company: { required: true, when: values => values.subject === 'partnership' },
+    phone: { required: values => values.subject === 'partnership', format: 'intlPhone' }
+};
+
+/**
+ * A page with a small form bound to SCHEMA
+ * @returns {Object}
+ */
+function loadForm() {
+    const page = loadPage('contact.html', {
+        fetch: async (url) => (String(url).includes('locales/fr.json') ? jsonResponse(200, FR) : jsonResponse(404, {}))
+    });
+    page.document.body.insertAdjacentHTML('beforeend', `
+        <form id="testForm" novalidate>
+            <div class="form-group">
+                <label for="testSubject">Subject <span class="required">*</span></label>
+                <select id="testSubject" name="subject">
+                    <option value=""></option>
+                    <option value="general">General</option>
+                    <option value="partnership">Partnership</option>
+                </select>
+            </div>
+            <div class="form-group">
+                <label for="testCompany">Company</label>
+                <input id="testCompany" name="company" aria-describedby="testCompanyHint">
+                <p id="testCompanyHint">As registered</p>
+            </div>
+            <div class="form-group">
+                <label for="testPhone">Phone</label>
+                <input id="testPhone" name="phone">
+            </div>
+        </form>`);
+    const form = page.document.getElementById('testForm');
+    return { ...page, form, engine: createForm(form, SCHEMA) };
+}
+
+test('missing error elements are created and added to aria-describedby', () => {
+    const { document } = loadForm();
+    const company = document.getElementById('testCompany');
+    assert.equal(company.getAttribute('aria-describedby'), 'testCompanyHint testCompanyError');
+    assert.equal(document.getElementById('testCompanyError').classList.contains('error-message'), true);
+});
+
+test('conditional fields are hidden, disabled and unchecked until they apply', () => {
+    const { window, document, engine } = loadForm();
+    const subject = document.getElementById('testSubject');
+    const company = document.getElementById('testCompany');
+    const phone = document.getElementById('testPhone');
+    assert.equal(company.closest('.form-group').hidden, true);
+    assert.equal(company.disabled, true);
+    assert.equal(phone.getAttribute('aria-required'), 'false');
+
+    subject.value = 'general';
+    assert.deepEqual(engine.validate().values, { subject: 'general', company: '', phone: '' });
+
+    subject.value = 'partnership';
+    subject.dispatchEvent(new window.Event('change', { bubbles: true }));
+    assert.equal(company.closest('.form-group').hidden, false);
+    assert.equal(company.disabled, false);
+    assert.equal(phone.getAttribute('aria-required'), 'true');
+    assert.deepEqual(Object.keys(engine.validate().errors), ['company', 'phone']);
+});
+
+test('the summary counts the problems and is hidden again once they are fixed', () => {
+    const { document, form, engine } = loadForm();
+    const summary = form.querySelector('.form-error-summary');
+    assert.equal(form.firstElementChild, summary);
+    assert.equal(summary.hidden, true);
+
+    engine.validate();
+    assert.equal(summary.querySelector('.form-error-summary-title').textContent, 'There is 1 problem with this form');
+    assert.equal(summary.querySelector('a').textContent, `Subject: ${messages.required}`);
+    assert.equal(document.activeElement, document.getElementById('testSubject'));
+
+    document.getElementById('testSubject').value = 'general';
+    assert.equal(engine.validate().valid, true);
+    assert.equal(summary.hidden, true);
+});
+
+test('errors are written again in the new language', async () => {
+    const { document, form, engine } = loadForm();
+    engine.validate();
+    engine.showErrors({ phone: 'Server said no.' }, { focus: false });
+
+    try {
+        assert.equal(await setLocale('fr'), true);
+        assert.equal(document.getElementById('testSubjectError').textContent, FR.validation.required);
+        assert.equal(document.getElementById('testPhoneError').textContent, 'Server said no.', "the server's messages stay");
+        assert.equal(form.querySelector('.form-error-summary-title').textContent, 'Ce formulaire comporte 1 erreur');
+    } finally {
+        await setLocale('en');
+    }
+});
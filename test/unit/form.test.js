@@ -0,0 +1,252 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadPage, jsonResponse, waitFor } from '../helpers/dom.js';
+import { initContactForm, buildWhatsAppUrl, buildEmailUrl, ENQUIRY_ENDPOINT } from '../../src/js/form.js';
+import { FORM_TOKEN_ENDPOINT } from '../../src/js/form-guard.js';
+import { MAX_LENGTHS, VALIDATION_MESSAGES as messages } from '../../src/js/validation.js';
+import { initConsent } from '../../src/js/consent.js';
+
+const ENQUIRY = {
+    name: 'Amira Haddad',
+    email: 'amira@importer.example',
+    phone: '+971 50 123 4567',
+    subject: 'export',
+    message: 'Please quote 2 x 40ft reefers of frozen goat carcass, CIF Jebel Ali.'
+};
+
+/**
+ * Load contact.html with a fake API and start the form
+ * @param {Function} [respond] - (url, init) => response for everything but the form token
+ * @returns {Object} - The page, plus the requests the form made
+ */
+function loadContactForm(respond = () => jsonResponse(201, { ok: true, reference: 'FF-ENQ-0001' })) {
+    const requests = [];
+    const page = loadPage('contact.html', {
+        fetch: async (url, init = {}) => {
+            requests.push({ url, ...init });
+            if (url === FORM_TOKEN_ENDPOINT) return jsonResponse(200, { token: 'signed-token' });
+            return respond(url, init);
+        }
+    });
+    initContactForm();
+    return { ...page, requests, form: page.document.getElementById('contactForm') };
+}
+
+/**
+ * Type values into the contact form
+ * @param {Document} document
+ * @param {Object} values - By field id
+ */
+function fill(document, values) {
+    Object.entries(values).forEach(([id, value]) => {
+        document.getElementById(id).value = value;
+    });
+}
+
+const isShown = el => el.style.display === 'block';
+
+/* ============================================
+   Field validation
+   ============================================ */
+
+const ERROR_PATHS = [
+    ['name', '', messages.required],
+    ['name', '   ', messages.required],
+    ['name', 'A', messages.name],
+    ['name', 'A'.repeat(MAX_LENGTHS.name + 1), messages.tooLong],
+    ['email', '', messages.required],
+    ['email', 'amira@importer', messages.email],
+    ['email', 'amira importer@example.com', messages.email],
+    ['email', `${'a'.repeat(MAX_LENGTHS.email)}@x.io`, messages.tooLong],
+    ['phone', '12345', messages.phone],
+    ['phone', '+971-50-CALL-ME', messages.phone],
+    ['phone', '1'.repeat(MAX_LENGTHS.phone + 1), messages.tooLong],
+    ['message', '', messages.required],
+    ['message', 'Too short', messages.message],
+    ['message', 'x'.repeat(MAX_LENGTHS.message + 1), messages.tooLong]
+];
+
+ERROR_PATHS.forEach(([type, value, expected]) => {
+    test(`leaving ${type} as "${value.length > 20 ? `${value.length} characters` : value}" shows an error`, () => {
+        const { document } = loadContactForm();
+        const input = document.getElementById(type);
+        const errorEl = document.getElementById(`${type}Error`);
+        input.value = value;
+        input.dispatchEvent(new window.Event('blur'));
+
+        assert.equal(errorEl.textContent, expected);
+        assert.equal(input.classList.contains('error'), true);
+        assert.equal(input.getAttribute('aria-invalid'), 'true');
+    });
+});
+
+test('valid values pass and clear an earlier error', () => {
+    const { document } = loadContactForm();
+    Object.entries({ ...ENQUIRY, phone: '' }).filter(([type]) => type !== 'subject').forEach(([type, value]) => {
+        const input = document.getElementById(type);
+        const errorEl = document.getElementById(`${type}Error`);
+        input.value = '';
+        input.dispatchEvent(new window.Event('blur'));
+
+        input.value = value;
+        input.dispatchEvent(new window.Event('blur'));
+        assert.equal(errorEl.textContent, '', type);
+        assert.equal(input.classList.contains('error'), false);
+        assert.equal(input.hasAttribute('aria-invalid'), false);
+    });
+});
+
+test('each field is described by its error message', () => {
+    const { document } = loadContactForm();
+    ['name', 'email', 'phone', 'subject', 'message'].forEach(type => {
+        const errorId = document.getElementById(type).getAttribute('aria-describedby');
+        assert.equal(document.getElementById(errorId)?.classList.contains('error-message'), true, type);
+    });
+});
+
+test('fields are validated on blur and lose the error style while typing', () => {
+    const { document } = loadContactForm();
+    const email = document.getElementById('email');
+    email.value = 'not-an-email';
+
+    email.dispatchEvent(new window.Event('blur'));
+    assert.equal(document.getElementById('emailError').textContent, messages.email);
+    assert.equal(email.classList.contains('error'), true);
+
+    email.dispatchEvent(new window.Event('input'));
+    assert.equal(email.classList.contains('error'), false);
+});
+
+/* ============================================
+   Submission
+   ============================================ */
+
+test('an invalid form shows every error and sends nothing', async () => {
+    const { document, form, requests } = loadContactForm();
+    fill(document, { email: 'nope', message: 'short' });
+    form.requestSubmit();
+
+    assert.equal(document.getElementById('nameError').textContent, messages.required);
+    assert.equal(document.getElementById('emailError').textContent, messages.email);
+    assert.equal(document.getElementById('messageError').textContent, messages.message);
+    assert.deepEqual(requests.map(request => request.url), [FORM_TOKEN_ENDPOINT]);
+});
+
+test('a failed submit lists the errors in a summary and focuses the first invalid field', () => {
+    const { document, form } = loadContactForm();
+    fill(document, { name: ENQUIRY.name, email: 'nope', message: 'short' });
+    form.requestSubmit();
+
+    const summary = form.querySelector('.form-error-summary');
+    assert.equal(summary.hidden, false);
+    assert.equal(summary.getAttribute('role'), 'alert');
+    assert.equal(summary.querySelector('.form-error-summary-title').textContent, 'There are 2 problems with this form');
+    assert.deepEqual([...summary.querySelectorAll('a')].map(link => [link.getAttribute('href'), link.textContent]), [
+        ['#email', `Email Address: ${messages.email}`],
+        ['#message', `Message: ${messages.message}`]
+    ]);
+    assert.equal(document.activeElement, document.getElementById('email'));
+
+    summary.querySelectorAll('a')[1].click();
+    assert.equal(document.activeElement, document.getElementById('message'));
+});
+
+test('a valid enquiry is posted as JSON with the anti-spam fields', async () => {
+    const { document, form, requests } = loadContactForm();
+    fill(document, { ...ENQUIRY, name: `  ${ENQUIRY.name}  ` });
+    form.requestSubmit();
+    await waitFor(() => isShown(document.getElementById('formSuccess')));
+
+    const posted = requests.filter(request => request.url === ENQUIRY_ENDPOINT);
+    assert.equal(posted.length, 1);
+    assert.equal(form.dataset.endpoint, ENQUIRY_ENDPOINT);
+    assert.equal(posted[0].method, 'POST');
+    assert.equal(posted[0].headers['Content-Type'], 'application/json');
+    assert.equal(posted[0].headers['Accept-Language'], 'en');
+    assert.deepEqual(JSON.parse(posted[0].body), { ...ENQUIRY, formToken: 'signed-token', website: '' });
+});
+
+test('after sending, the follow-up links carry the enquiry and its reference', async () => {
+    const { document, form } = loadContactForm();
+    fill(document, ENQUIRY);
+    form.requestSubmit();
+    await waitFor(() => isShown(document.getElementById('formSuccess')));
+
+    assert.equal(form.style.display, 'none');
+    assert.equal(document.getElementById('formReference').textContent, 'FF-ENQ-0001');
+
+    const whatsapp = new URL(document.getElementById('whatsappFollowUp').href);
+    assert.equal(whatsapp.origin + whatsapp.pathname, 'https://wa.me/917794084488');
+    const text = whatsapp.searchParams.get('text');
+    [ENQUIRY.name, ENQUIRY.email, ENQUIRY.phone, 'Export Inquiry', ENQUIRY.message].forEach(value => assert.ok(text.includes(value), value));
+    assert.equal(document.getElementById('whatsappFollowUp').href, buildWhatsAppUrl(ENQUIRY, 'Export Inquiry'));
+
+    const email = document.getElementById('emailFollowUp').href;
+    assert.equal(email, buildEmailUrl(ENQUIRY, 'Export Inquiry', 'FF-ENQ-0001'));
+    assert.ok(email.startsWith('mailto:freshflowfoods@gmail.com?subject=Export%20Inquiry%20%E2%80%93%20FF-ENQ-0001&body='));
+    assert.equal(email.includes('+'), false, 'spaces are %20 for mail clients');
+});
+
+test('a missing phone number reads "Not provided" in the WhatsApp message', () => {
+    const url = new URL(buildWhatsAppUrl({ ...ENQUIRY, phone: '' }, 'Export Inquiry'));
+    assert.ok(url.searchParams.get('text').includes('*Phone:* Not provided'));
+});
+
+test('errors the server returns are shown on their fields', async () => {
+    const { document, form } = loadContactForm(() => jsonResponse(400, {
+        ok: false,
+        error: 'Please correct the highlighted fields.',
+        errors: { email: 'That mailbox does not exist.' }
+    }));
+    fill(document, ENQUIRY);
+    form.requestSubmit();
+
+    const formError = document.getElementById('formError');
+    await waitFor(() => !formError.hidden);
+    assert.equal(formError.textContent, 'Please correct the highlighted fields.');
+    assert.equal(document.getElementById('emailError').textContent, 'That mailbox does not exist.');
+    assert.equal(document.getElementById('email').getAttribute('aria-invalid'), 'true');
+    assert.equal(document.activeElement, document.getElementById('email'));
+    assert.equal(document.getElementById('submitBtn').disabled, false);
+    assert.equal(form.getAttribute('aria-busy'), 'false');
+});
+
+test('an expired form token is replaced for the next attempt', async () => {
+    const { document, form, requests } = loadContactForm(() => jsonResponse(403, { ok: false, error: 'Please try again.', reason: 'token' }));
+    fill(document, ENQUIRY);
+    form.requestSubmit();
+
+    await waitFor(() => !document.getElementById('formError').hidden);
+    assert.equal(requests.filter(request => request.url === FORM_TOKEN_ENDPOINT).length, 2);
+});
+
+test('"Send Another Message" brings back an empty form', async () => {
+    const { document, form } = loadContactForm();
+    fill(document, ENQUIRY);
+    form.requestSubmit();
+    await waitFor(() => isShown(document.getElementById('formSuccess')));
+
+    document.getElementById('resetForm').click();
+    assert.equal(form.style.display, 'block');
+    assert.equal(document.getElementById('formSuccess').style.display, 'none');
+    assert.equal(document.getElementById('name').value, '');
+});
+
+test('the WhatsApp hand-off asks for consent, then opens the built URL', async () => {
+    const { document, form, openCalls } = loadContactForm();
+    initConsent();
+    fill(document, ENQUIRY);
+    form.requestSubmit();
+    await waitFor(() => isShown(document.getElementById('formSuccess')));
+
+    const link = document.getElementById('whatsappFollowUp');
+    const click = new window.MouseEvent('click', { bubbles: true, cancelable: true });
+    link.dispatchEvent(click);
+    assert.equal(click.defaultPrevented, true);
+    assert.equal(document.getElementById('consentDialog').hidden, false);
+    assert.deepEqual(openCalls, []);
+
+    document.querySelector('#consentDialog [data-consent-action="accept"]').click();
+    await waitFor(() => openCalls.length > 0);
+    assert.deepEqual(openCalls, [[buildWhatsAppUrl(ENQUIRY, 'Export Inquiry'), '_blank', 'noopener']]);
+});
@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadPage, setLayout, scrollWindow, delay } from '../helpers/dom.js';
+import { initHeader, initActiveNav } from '../../src/js/header.js';
+
+test('initHeader adds "scrolled" past 50px and removes it back at the top', async () => {
+    const { document } = loadPage('index.html');
+    const header = document.getElementById('header');
+    initHeader();
+    assert.equal(header.classList.contains('scrolled'), false);
+
+    scrollWindow(51);
+    assert.equal(header.classList.contains('scrolled'), true);
+
+    await delay(110);
+    scrollWindow(50);
+    assert.equal(header.classList.contains('scrolled'), false);
+});
+
+test('initHeader marks a page reloaded halfway down straight away', () => {
+    const { window, document } = loadPage('index.html');
+    window.scrollY = 800;
+    initHeader();
+    assert.equal(document.getElementById('header').classList.contains('scrolled'), true);
+});
+
+test('initActiveNav highlights the link of the section under the header', async () => {
+    const { document } = loadPage('index.html');
+    setLayout(document.getElementById('hero'), { offsetTop: 0, offsetHeight: 600 });
+    setLayout(document.getElementById('profile'), { offsetTop: 600, offsetHeight: 800 });
+    setLayout(document.getElementById('products'), { offsetTop: 1400, offsetHeight: 700 });
+    initActiveNav();
+
+    const active = () => [...document.querySelectorAll('.nav-link.active')].map(link => link.getAttribute('href'));
+
+    // scrollY + 100 lands in #products
+    scrollWindow(1350);
+    assert.deepEqual(active(), ['#products']);
+
+    await delay(110);
+    scrollWindow(0);
+    assert.deepEqual(active(), []);
+});
@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { loadPage } from '../helpers/dom.js';
+import { initHeroSwiper } from '../../src/js/swiper.js';
+
+const SWIPER = fs.readFileSync(new URL('../../libs/swiper/swiper-bundle.min.js', import.meta.url), 'utf8');
+
+/**
+ * Load the home page with the real Swiper bundle and start the carousel
+ * @param {Object} [options] - loadPage options
+ */
+function loadHero(options) {
+    const page = loadPage('index.html', options);
+    page.window.eval(SWIPER);
+    globalThis.Swiper = page.window.Swiper;
+
+    // Swiper warns that three faded slides are too few to loop in a 0×0 jsdom layout
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+        initHeroSwiper();
+    } finally {
+        console.warn = warn;
+    }
+
+    const { document } = page;
+    return {
+        ...page,
+        button: document.getElementById('heroAutoplay'),
+        status: document.getElementById('heroStatus'),
+        slides: () => [...document.querySelectorAll('.hero-swiper .swiper-slide')]
+    };
+}
+
+test('the carousel rotates with a Pause button that turns into Play', () => {
+    const { button } = loadHero();
+    assert.equal(button.getAttribute('aria-label'), 'Pause slideshow');
+
+    button.click();
+    assert.equal(button.getAttribute('aria-label'), 'Play slideshow');
+    button.click();
+    assert.equal(button.getAttribute('aria-label'), 'Pause slideshow');
+    button.click();
+});
+
+test('with reduced motion the carousel does not start rotating', () => {
+    const { button } = loadHero({ reducedMotion: true });
+    assert.equal(button.getAttribute('aria-label'), 'Play slideshow');
+});
+
+test('keyboard focus inside the carousel stops the rotation', () => {
+    const { document, button } = loadHero();
+    document.querySelector('.hero-swiper .swiper-button-next').focus();
+    assert.equal(button.getAttribute('aria-label'), 'Play slideshow');
+});
+
+test('only the visible slide can be reached with Tab', () => {
+    const { slides } = loadHero({ reducedMotion: true });
+    assert.equal(slides().filter(slide => !slide.inert).length, 1);
+});
+
+test('while stopped, slide changes are announced politely', () => {
+    const { document, status, slides } = loadHero({ reducedMotion: true });
+    assert.equal(status.getAttribute('aria-live'), 'polite');
+    assert.equal(document.querySelector('.hero-swiper .swiper-wrapper').getAttribute('aria-live'), 'off');
+
+    document.querySelector('.hero-swiper .swiper-button-next').click();
+    const active = slides().find(slide => !slide.inert);
+    const title = active.querySelector('.hero-title').textContent.trim();
+    assert.equal(status.textContent, `Slide 2 of 3: ${title}`);
+});
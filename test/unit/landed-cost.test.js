@@ -0,0 +1,178 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    ESTIMATOR_MESSAGES as messages, MAX_ESTIMATE_TONNES, FREIGHT_RATES, EXCHANGE_RATES,
+    estimateLandedCost, containersNeeded, convertCurrency, buildEstimatorUrl
+} from '../../src/js/landed-cost.js';
+
+// Round numbers so every amount below can be checked by hand
+const RATES = {
+    currency: 'USD',
+    updatedOn: '2026-10-01',
+    prices: { lamb: { chilled: 12, frozen: 10 }, goat: { frozen: 8 } },
+    cutFactors: { leg: 1.5 },
+    containers: { reefer20: { payloadKg: 10000, originCharges: 500 } },
+    insurance: { rate: 0.01, cover: 1.1 },
+    ports: {
+        'Port A': { freight: { reefer20: 1000 }, destinationCharges: { reefer20: 200 } }
+    }
+};
+
+const EXCHANGE = { base: 'USD', updatedOn: '2026-10-01', rates: { USD: 1, KWD: 0.306, IDR: 16450 } };
+
+const ORDER = {
+    species: 'lamb',
+    cut: 'leg',
+    state: 'frozen',
+    quantity: 15,
+    unit: 't',
+    incoterm: 'CIF',
+    port: 'Port A',
+    container: 'reefer20',
+    currency: 'USD'
+};
+
+/**
+ * Estimate with the test tables
+ * @param {Object} [changes] - Over ORDER
+ * @returns {Object} - estimateLandedCost() result
+ */
+function estimate(changes = {}) {
+    return estimateLandedCost({ ...ORDER, ...changes }, { rates: RATES, exchange: EXCHANGE });
+}
+
+/**
+ * Cost line amounts by id
+ * @param {Object} result - estimateLandedCost() result
+ * @returns {Object}
+ */
+function amounts(result) {
+    return Object.fromEntries(result.estimate.lines.map(line => [line.id, line.amount]));
+}
+
+/* ============================================
+   Pricing
+   ============================================ */
+
+test('CIF adds origin charges, freight and insurance on 110% of CFR to the goods', () => {
+    const result = estimate();
+    assert.equal(result.valid, true);
+    assert.deepEqual(amounts(result), { goods: 225000, origin: 1000, freight: 2000, insurance: 2508, destination: 400 });
+    assert.equal(result.estimate.containers, 2);
+    assert.equal(result.estimate.unitPrice, 15, 'cut factor applied');
+    assert.equal(result.estimate.price, 230508);
+    assert.equal(result.estimate.landed, 230908);
+    assert.equal(result.estimate.pricePerKg, 15.37);
+    assert.equal(result.estimate.landedPerKg, 15.39);
+});
+
+test('each Incoterm includes the lines up to it; the landed cost is the same for all', () => {
+    const prices = { EXW: 225000, FOB: 226000, CFR: 228000, CIF: 230508 };
+    for (const [incoterm, price] of Object.entries(prices)) {
+        const result = estimate({ incoterm });
+        assert.equal(result.estimate.price, price, incoterm);
+        assert.equal(result.estimate.landed, 230908, incoterm);
+        assert.equal(result.estimate.lines.find(line => line.id === 'destination').included, false, 'destination charges are always the buyer\'s');
+    }
+    assert.deepEqual(estimate({ incoterm: 'FOB' }).estimate.lines.map(line => line.included), [true, true, false, false, false]);
+});
+
+test('a cut without a factor is priced as the carcass', () => {
+    assert.equal(estimate({ cut: 'carcass' }).estimate.unitPrice, 10);
+});
+
+test('part loads take a whole container, and the next kilogram over a payload another', () => {
+    assert.equal(containersNeeded(100, 'reefer20', RATES), 1);
+    assert.equal(containersNeeded(10000, 'reefer20', RATES), 1);
+    assert.equal(containersNeeded(10001, 'reefer20', RATES), 2);
+    assert.equal(estimate({ cut: 'carcass', quantity: 10, unit: 't', incoterm: 'FOB' }).estimate.price, 100500);
+    assert.equal(estimate({ cut: 'carcass', quantity: 10001, unit: 'kg', incoterm: 'FOB' }).estimate.price, 101010);
+});
+
+/* ============================================
+   Tariff problems
+   ============================================ */
+
+test('quantities from 100 kg to the maximum are priced; the rest are refused', () => {
+    const quantityError = messages.quantity.replace('{max}', MAX_ESTIMATE_TONNES);
+    assert.equal(estimate({ quantity: 100, unit: 'kg' }).valid, true);
+    assert.equal(estimate({ quantity: '0.1', unit: 't' }).valid, true, 'numeric strings from the form');
+    assert.equal(estimate({ quantity: MAX_ESTIMATE_TONNES, unit: 't' }).valid, true);
+
+    for (const [quantity, unit] of [[99, 'kg'], [0, 't'], [-5, 't'], [MAX_ESTIMATE_TONNES + 0.001, 't'], ['', 't'], ['ten', 't'], [Infinity, 'kg']]) {
+        assert.deepEqual(estimate({ quantity, unit }), { valid: false, estimate: null, error: quantityError }, `${quantity} ${unit}`);
+    }
+});
+
+test('products, states, cuts and containers missing from the tariff are refused', () => {
+    for (const changes of [
+        { species: 'beef' },
+        { species: 'sheep' },                   // no prices in the test tariff
+        { species: 'goat', state: 'chilled' },  // priced frozen only
+        { cut: 'fillet' },
+        { state: 'ambient' },
+        { unit: 'lb' },
+        { incoterm: 'DDP' },
+        { container: 'reefer40' },
+        { species: '__proto__' }
+    ]) {
+        assert.deepEqual(estimate(changes), { valid: false, estimate: null, error: messages.invalid }, JSON.stringify(changes));
+    }
+});
+
+test('a port without rates is refused with its own message', () => {
+    assert.equal(estimate({ port: 'Port B' }).error, messages.port);
+    assert.equal(estimate({ port: 'toString' }).error, messages.port);
+});
+
+/* ============================================
+   Currencies
+   ============================================ */
+
+test('amounts are converted line by line and rounded to cents', () => {
+    const result = estimate({ currency: 'KWD' });
+    assert.deepEqual(amounts(result), { goods: 68850, origin: 306, freight: 612, insurance: 767.45, destination: 122.4 });
+    assert.equal(result.estimate.price, 70535.45);
+    assert.equal(result.estimate.landed, 70657.85);
+    assert.equal(result.estimate.unitPrice, 4.59);
+    assert.equal(result.estimate.exchangeRate, 0.306);
+});
+
+test('large exchange rates keep whole amounts exact', () => {
+    const result = estimate({ currency: 'IDR', incoterm: 'EXW' });
+    assert.equal(result.estimate.price, 3_701_250_000);
+    assert.equal(result.estimate.pricePerKg, 246_750);
+});
+
+test('currencies missing from the exchange-rate file are refused', () => {
+    for (const currency of ['EUR', 'usd', '', 'constructor']) {
+        assert.equal(estimate({ currency }).error, messages.invalid, currency);
+    }
+});
+
+test('convertCurrency rounds half-cents and leaves the base currency alone', () => {
+    assert.equal(convertCurrency(10, 'USD', EXCHANGE), 10);
+    assert.equal(convertCurrency(0.125, 'USD', EXCHANGE), 0.13);
+    assert.equal(convertCurrency(1, 'KWD', EXCHANGE), 0.31);
+});
+
+test('the shipped tables price every product, state and port they list', () => {
+    for (const species of Object.keys(FREIGHT_RATES.prices)) {
+        for (const state of Object.keys(FREIGHT_RATES.prices[species])) {
+            for (const port of Object.keys(FREIGHT_RATES.ports)) {
+                for (const container of Object.keys(FREIGHT_RATES.containers)) {
+                    const result = estimateLandedCost({ ...ORDER, species, state, port, container, cut: 'carcass', currency: 'EUR' });
+                    assert.equal(result.valid, true, `${species} ${state} ${port} ${container}`);
+                    assert.equal(result.estimate.exchangeRate, EXCHANGE_RATES.rates.EUR);
+                }
+            }
+        }
+    }
+});
+
+test('estimator links carry the order in the query string and skip empty fields', () => {
+    assert.equal(
+        buildEstimatorUrl({ species: 'lamb', cut: 'leg', quantity: 15, unit: 't', port: 'Jebel Ali, UAE', state: '' }),
+        'markets.html?product=lamb&cut=leg&quantity=15&unit=t&port=Jebel+Ali%2C+UAE#estimator'
+    );
+});
@@ -0,0 +1,280 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadPage, delay } from '../helpers/dom.js';
+import { initMobileMenu, initResponsiveHandlers } from '../../src/js/menu.js';
+import { initDropdowns } from '../../src/js/dropdowns.js';
+import { initLocaleSwitcher } from '../../src/js/locale-switcher.js';
+import { MOBILE_BREAKPOINT } from '../../src/js/utils.js';
+
+/**
+ * Load the home page with the navigation scripts main.js runs
+ * @param {number} width - Viewport width
+ */
+function loadNavigation(width) {
+    const page = loadPage('index.html', { width });
+    initMobileMenu();
+    initLocaleSwitcher();
+    initDropdowns();
+    return {
+        ...page,
+        toggle: page.document.getElementById('navToggle'),
+        menu: page.document.getElementById('navMenu'),
+        dropdowns: [...page.document.querySelectorAll('.dropdown')]
+    };
+}
+
+test('the mobile menu breakpoint is 991px', () => {
+    assert.equal(MOBILE_BREAKPOINT, 991);
+});
+
+test('the hamburger opens and closes the menu and locks body scrolling while open', () => {
+    const { document, toggle, menu } = loadNavigation(MOBILE_BREAKPOINT);
+
+    toggle.click();
+    assert.equal(menu.classList.contains('active'), true);
+    assert.equal(toggle.classList.contains('active'), true);
+    assert.equal(document.body.style.overflow, 'hidden');
+
+    toggle.click();
+    assert.equal(menu.classList.contains('active'), false);
+    assert.equal(document.body.style.overflow, '');
+});
+
+test('the menu closes on a click outside it and on a page link', () => {
+    const { document, toggle, menu } = loadNavigation(MOBILE_BREAKPOINT);
+
+    toggle.click();
+    document.querySelector('main, section').click();
+    assert.equal(menu.classList.contains('active'), false);
+
+    toggle.click();
+    menu.querySelector('.nav-link:not(.dropdown-toggle)').click();
+    assert.equal(menu.classList.contains('active'), false);
+    assert.equal(document.body.style.overflow, '');
+});
+
+test('at 991px a dropdown toggle opens its menu instead of following the link', () => {
+    const { window, dropdowns } = loadNavigation(MOBILE_BREAKPOINT);
+    const [products] = dropdowns;
+    const click = new window.MouseEvent('click', { bubbles: true, cancelable: true });
+
+    products.querySelector('.dropdown-toggle').dispatchEvent(click);
+    assert.equal(click.defaultPrevented, true);
+    assert.equal(products.classList.contains('active'), true);
+});
+
+test('at 992px a dropdown toggle opens its menu too (hover is not the only way)', () => {
+    const { window, dropdowns } = loadNavigation(MOBILE_BREAKPOINT + 1);
+    const [products] = dropdowns;
+    const toggle = products.querySelector('.dropdown-toggle');
+    const click = new window.MouseEvent('click', { bubbles: true, cancelable: true });
+
+    toggle.dispatchEvent(click);
+    assert.equal(click.defaultPrevented, true);
+    assert.equal(products.classList.contains('active'), true);
+    assert.equal(toggle.getAttribute('aria-expanded'), 'true');
+});
+
+test('at 992px hovering opens a dropdown and a click keeps it open', () => {
+    const { window, dropdowns } = loadNavigation(MOBILE_BREAKPOINT + 1);
+    const [products] = dropdowns;
+    const toggle = products.querySelector('.dropdown-toggle');
+
+    products.dispatchEvent(new window.MouseEvent('mouseenter'));
+    assert.equal(toggle.getAttribute('aria-expanded'), 'true');
+    products.dispatchEvent(new window.MouseEvent('mouseleave'));
+    assert.equal(toggle.getAttribute('aria-expanded'), 'false');
+
+    products.dispatchEvent(new window.MouseEvent('mouseenter'));
+    toggle.click();
+    products.dispatchEvent(new window.MouseEvent('mouseleave'));
+    assert.equal(products.classList.contains('active'), true);
+});
+
+test('opening one dropdown closes the others', () => {
+    const { dropdowns } = loadNavigation(MOBILE_BREAKPOINT);
+    assert.ok(dropdowns.length >= 2, 'the products and language dropdowns');
+    const [products, locale] = dropdowns;
+
+    products.querySelector('.dropdown-toggle').click();
+    locale.querySelector('.dropdown-toggle').click();
+    assert.equal(locale.classList.contains('active'), true);
+    assert.equal(products.classList.contains('active'), false);
+
+    locale.querySelector('.dropdown-toggle').click();
+    assert.deepEqual(dropdowns.filter(dropdown => dropdown.classList.contains('active')), []);
+});
+
+test('resizing past 991px closes the mobile menu and any open dropdown', async () => {
+    const { window, document, toggle, menu, dropdowns } = loadNavigation(MOBILE_BREAKPOINT);
+    initResponsiveHandlers();
+
+    toggle.click();
+    dropdowns[0].querySelector('.dropdown-toggle').click();
+
+    // Still mobile: nothing changes
+    window.dispatchEvent(new window.Event('resize'));
+    await delay(200);
+    assert.equal(menu.classList.contains('active'), true);
+
+    window.innerWidth = MOBILE_BREAKPOINT + 1;
+    window.dispatchEvent(new window.Event('resize'));
+    await delay(200);
+    assert.equal(menu.classList.contains('active'), false);
+    assert.equal(dropdowns[0].classList.contains('active'), false);
+    assert.equal(document.body.style.overflow, '');
+});
+
+/* ============================================
+   Keyboard and screen readers
+   ============================================ */
+
+/**
+ * Press a key on the focused element
+ * @param {string} key - KeyboardEvent.key
+ * @param {Object} [options] - e.g. { shiftKey: true }
+ * @returns {KeyboardEvent}
+ */
+function press(key, options = {}) {
+    const event = new window.KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...options });
+    (document.activeElement || document.body).dispatchEvent(event);
+    return event;
+}
+
+test('the hamburger reports its state and controls the menu', () => {
+    const { toggle, menu } = loadNavigation(MOBILE_BREAKPOINT);
+    assert.equal(toggle.getAttribute('aria-controls'), menu.id);
+    assert.equal(toggle.getAttribute('aria-expanded'), 'false');
+
+    toggle.click();
+    assert.equal(toggle.getAttribute('aria-expanded'), 'true');
+    toggle.click();
+    assert.equal(toggle.getAttribute('aria-expanded'), 'false');
+});
+
+test('opening the mobile menu focuses its first link, Escape closes it and returns focus', () => {
+    const { document, toggle, menu } = loadNavigation(MOBILE_BREAKPOINT);
+    toggle.focus();
+    toggle.click();
+    assert.equal(document.activeElement, menu.querySelector('.nav-link'));
+
+    press('Escape');
+    assert.equal(menu.classList.contains('active'), false);
+    assert.equal(toggle.getAttribute('aria-expanded'), 'false');
+    assert.equal(document.activeElement, toggle);
+});
+
+test('Tab stays inside the open mobile menu', () => {
+    const { document, toggle, menu } = loadNavigation(MOBILE_BREAKPOINT);
+    toggle.click();
+
+    // The last item is the language toggle: its dropdown is closed
+    const last = menu.querySelector('.nav-locale-toggle');
+    last.focus();
+    assert.equal(press('Tab').defaultPrevented, true);
+    assert.equal(document.activeElement, toggle);
+
+    assert.equal(press('Tab', { shiftKey: true }).defaultPrevented, true);
+    assert.equal(document.activeElement, last);
+
+    // Anywhere in between the browser moves focus
+    menu.querySelector('.nav-link').focus();
+    assert.equal(press('Tab').defaultPrevented, false);
+});
+
+test('Escape in an open dropdown closes only the dropdown', () => {
+    const { document, toggle, menu, dropdowns } = loadNavigation(MOBILE_BREAKPOINT);
+    toggle.click();
+    const [products] = dropdowns;
+    const productsToggle = products.querySelector('.dropdown-toggle');
+    productsToggle.click();
+    products.querySelector('.dropdown-link').focus();
+
+    press('Escape');
+    assert.equal(products.classList.contains('active'), false);
+    assert.equal(document.activeElement, productsToggle);
+    assert.equal(menu.classList.contains('active'), true);
+});
+
+test('dropdown toggles are disclosure buttons for their menus', () => {
+    const { document, dropdowns } = loadNavigation(MOBILE_BREAKPOINT + 1);
+    dropdowns.forEach(dropdown => {
+        const toggle = dropdown.querySelector('.dropdown-toggle');
+        const menu = dropdown.querySelector('.dropdown-menu');
+        assert.equal(document.getElementById(toggle.getAttribute('aria-controls')), menu);
+        assert.equal(toggle.getAttribute('aria-expanded'), 'false');
+        assert.ok(toggle.tagName === 'BUTTON' || toggle.getAttribute('role') === 'button');
+    });
+});
+
+test('arrow keys open a dropdown and move through its items', () => {
+    const { document, dropdowns } = loadNavigation(MOBILE_BREAKPOINT + 1);
+    const [products] = dropdowns;
+    const toggle = products.querySelector('.dropdown-toggle');
+    const items = [...products.querySelectorAll('.dropdown-link')];
+
+    toggle.focus();
+    assert.equal(press('ArrowDown').defaultPrevented, true);
+    assert.equal(toggle.getAttribute('aria-expanded'), 'true');
+    assert.equal(document.activeElement, items[0]);
+
+    press('ArrowDown');
+    assert.equal(document.activeElement, items[1]);
+    press('End');
+    assert.equal(document.activeElement, items[items.length - 1]);
+    press('ArrowDown');
+    assert.equal(document.activeElement, items[0], 'wraps to the first item');
+    press('ArrowUp');
+    assert.equal(document.activeElement, items[items.length - 1], 'wraps to the last item');
+    press('Home');
+    assert.equal(document.activeElement, items[0]);
+
+    press('Escape');
+    assert.equal(toggle.getAttribute('aria-expanded'), 'false');
+    assert.equal(document.activeElement, toggle);
+
+    press('ArrowUp');
+    assert.equal(document.activeElement, items[items.length - 1]);
+});
+
+test('Space opens the Products dropdown like a button', () => {
+    const { dropdowns } = loadNavigation(MOBILE_BREAKPOINT + 1);
+    const toggle = dropdowns[0].querySelector('.dropdown-toggle');
+    assert.equal(toggle.tagName, 'A');
+
+    toggle.focus();
+    assert.equal(press(' ').defaultPrevented, true);
+    assert.equal(toggle.getAttribute('aria-expanded'), 'true');
+});
+
+test('moving focus out of a dropdown closes it', () => {
+    const { document, dropdowns } = loadNavigation(MOBILE_BREAKPOINT + 1);
+    const [products] = dropdowns;
+    products.querySelector('.dropdown-toggle').click();
+    products.querySelector('.dropdown-link').focus();
+
+    document.querySelector('.nav-logo').focus();
+    assert.equal(products.classList.contains('active'), false);
+});
+
+test('Arrow Left/Right move between the top-level links on desktop, mirrored right-to-left', () => {
+    const { document, menu } = loadNavigation(MOBILE_BREAKPOINT + 1);
+    const links = [...menu.querySelectorAll(':scope > .nav-item > .nav-link')];
+
+    links[0].focus();
+    press('ArrowRight');
+    assert.equal(document.activeElement, links[1]);
+    press('ArrowLeft');
+    press('ArrowLeft');
+    assert.equal(document.activeElement, links[links.length - 1], 'wraps around');
+
+    document.documentElement.dir = 'rtl';
+    press('ArrowLeft');
+    assert.equal(document.activeElement, links[0]);
+});
+
+test('Arrow Left/Right are left alone in the mobile menu', () => {
+    const { menu } = loadNavigation(MOBILE_BREAKPOINT);
+    menu.querySelector('.nav-link').focus();
+    assert.equal(press('ArrowRight').defaultPrevented, false);
+});
@@ -0,0 +1,182 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { queueEnquiry, queuedEnquiries, sendQueuedEnquiries } from '../../src/js/offline-queue.js';
+import { FORM_TOKEN_ENDPOINT } from '../../src/js/form-guard.js';
+import { createFormToken } from '../../server/lib/spam.js';
+
+/**
+ * Just enough of IndexedDB for the queue: one database of keyPath/autoIncrement
+ * stores, requests that succeed on a later turn and transactions that complete after them
+ */
+class FakeIndexedDB {
+    constructor() {
+        this.stores = null;
+    }
+
+    open() {
+        const request = { result: null, error: null, onsuccess: null, onerror: null, onupgradeneeded: null };
+        setImmediate(() => {
+            request.result = new FakeDatabase(this);
+            if (!this.stores) {
+                this.stores = new Map();
+                request.onupgradeneeded?.();
+            }
+            request.onsuccess?.();
+        });
+        return request;
+    }
+}
+
+class FakeDatabase {
+    constructor(factory) {
+        this.factory = factory;
+    }
+
+    createObjectStore(name, { keyPath }) {
+        this.factory.stores.set(name, { keyPath, records: new Map(), nextId: 1 });
+    }
+
+    transaction(name) {
+        return new FakeTransaction(this.factory.stores.get(name));
+    }
+
+    close() {}
+}
+
+class FakeTransaction {
+    constructor(store) {
+        this.store = store;
+        this.error = null;
+        this.oncomplete = null;
+        this.onerror = null;
+        this.onabort = null;
+    }
+
+    objectStore() {
+        const { store } = this;
+        const run = action => {
+            const request = { result: undefined, error: null, onsuccess: null, onerror: null };
+            setImmediate(() => {
+                request.result = action();
+                request.onsuccess?.();
+                setImmediate(() => this.oncomplete?.());
+            });
+            return request;
+        };
+        return {
+            add: value => run(() => {
+                const id = store.nextId++;
+                store.records.set(id, structuredClone({ ...value, [store.keyPath]: id }));
+                return id;
+            }),
+            put: value => run(() => {
+                store.records.set(value[store.keyPath], structuredClone(value));
+                return value[store.keyPath];
+            }),
+            getAll: () => run(() => [...store.records.values()].map(value => structuredClone(value))),
+            delete: id => run(() => {
+                store.records.delete(id);
+            })
+        };
+    }
+}
+
+const ENDPOINT = '/api/enquiries';
+
+let posted;
+
+beforeEach(() => {
+    globalThis.indexedDB = new FakeIndexedDB();
+    posted = [];
+});
+
+/**
+ * Answer the queue's requests
+ * @param {Function} reply - (payload) => {status, body}, or throws to act offline
+ * @returns {Function} - fetch stand-in
+ */
+function server(reply) {
+    return async (url, { body, headers } = {}) => {
+        if (url === FORM_TOKEN_ENDPOINT) return Response.json({ token: createFormToken('test-secret') });
+
+        const payload = JSON.parse(body);
+        posted.push({ payload, language: headers['Accept-Language'] });
+        const { status = 200, body: data } = reply(payload);
+        return Response.json(data, { status });
+    };
+}
+
+/**
+ * Queue enquiries with usable form tokens
+ * @param {string[]} names - One enquiry per name, oldest first
+ * @returns {Promise<void>}
+ */
+async function queue(names) {
+    for (const name of names) {
+        await queueEnquiry(ENDPOINT, { name, formToken: createFormToken('test-secret', Date.now() - 60_000) }, 'ar');
+    }
+}
+
+/* ============================================
+   Replaying the queue
+   ============================================ */
+
+test('queued enquiries are sent oldest first in their own language, then taken off the queue', async (t) => {
+    await queue(['first', 'second']);
+    t.mock.method(globalThis, 'fetch', server(({ name }) => ({ status: 201, body: { ok: true, reference: `FF-${name}` } })));
+
+    const result = await sendQueuedEnquiries();
+    assert.deepEqual(result.sent.map(({ reference }) => reference), ['FF-first', 'FF-second']);
+    assert.deepEqual(posted.map(({ payload, language }) => [payload.name, language]), [['first', 'ar'], ['second', 'ar']]);
+    assert.equal(result.pending, 0);
+    assert.deepEqual(await queuedEnquiries(), []);
+});
+
+test('still offline, or the server busy: the replay stops and keeps the rest for next time', async (t) => {
+    await queue(['first', 'second', 'third']);
+    t.mock.method(globalThis, 'fetch', async () => { throw new TypeError('Failed to fetch'); });
+    assert.deepEqual(await sendQueuedEnquiries(), { sent: [], rejected: [], pending: 3 });
+
+    t.mock.method(globalThis, 'fetch', server(({ name }) => (name === 'first'
+        ? { status: 201, body: { ok: true, reference: 'FF-first' } }
+        : { status: 503, body: { ok: false } })));
+    const result = await sendQueuedEnquiries();
+    assert.equal(result.sent.length, 1);
+    assert.equal(result.pending, 2);
+    assert.deepEqual((await queuedEnquiries()).map(entry => entry.payload.name), ['second', 'third']);
+});
+
+test('a duplicate counts as sent, and an enquiry the server turns away is dropped as rejected', async (t) => {
+    await queue(['duplicate', 'invalid', 'good']);
+    t.mock.method(globalThis, 'fetch', server(({ name }) => ({
+        duplicate: { status: 409, body: { ok: false, reason: 'duplicate' } },
+        invalid: { status: 422, body: { ok: false, error: 'Please enter your email.' } },
+        good: { status: 201, body: { ok: true, reference: 'FF-good' } }
+    })[name]));
+
+    const result = await sendQueuedEnquiries();
+    assert.deepEqual(result.sent.map(({ reference, payload }) => [payload.name, reference]), [['duplicate', ''], ['good', 'FF-good']]);
+    assert.deepEqual(result.rejected.map(({ error, payload }) => [payload.name, error]), [['invalid', 'Please enter your email.']]);
+    assert.deepEqual(await queuedEnquiries(), []);
+});
+
+test('a refused form token is dropped, and the next replay sends a fresh one after the wait', async (t) => {
+    await queue(['first']);
+    t.mock.method(globalThis, 'fetch', server(() => ({ status: 400, body: { ok: false, reason: 'token' } })));
+
+    assert.equal((await sendQueuedEnquiries()).pending, 1);
+    const [kept] = await queuedEnquiries();
+    assert.equal(kept.payload.formToken, '');
+
+    const waits = [];
+    t.mock.method(globalThis, 'setTimeout', (callback, ms) => {
+        waits.push(ms);
+        callback();
+    });
+    t.mock.method(globalThis, 'fetch', server(() => ({ status: 201, body: { ok: true, reference: 'FF-first' } })));
+
+    const result = await sendQueuedEnquiries();
+    assert.deepEqual(result.sent.map(({ reference }) => reference), ['FF-first']);
+    assert.match(posted.at(-1).payload.formToken, /^\d+\.[\w-]+$/);
+    assert.ok(waits.some(ms => ms >= 3000), 'waited before using the new token');
+});
@@ -0,0 +1,270 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadPage, jsonResponse, waitFor } from '../helpers/dom.js';
+import { initPartnerApplication, initPartnerStatus, PARTNER_ENDPOINT, PARTNER_STATUS_ENDPOINT } from '../../src/js/partner-application.js';
+import { validatePartnerApplication, checkDocuments, PARTNER_MESSAGES as messages, MAX_DOCUMENT_SIZE } from '../../src/js/partner.js';
+import { FORM_TOKEN_ENDPOINT } from '../../src/js/form-guard.js';
+
+const APPLICATION = {
+    company: 'Gulf Fresh Trading LLC',
+    country: 'United Arab Emirates',
+    businessType: 'importer',
+    name: 'Amira Haddad',
+    email: 'amira@gulffresh.example',
+    phone: '+971 50 123 4567',
+    licenceNumber: 'DXB-IMP/2026-0142',
+    markets: ['AE', 'OM'],
+    volumeGoat: '20',
+    volumeSheep: '',
+    volumeLamb: '5.5',
+    coldStorage: 'own',
+    storageCapacity: '400',
+    message: ''
+};
+
+const PDF = { mimeType: 'application/pdf', size: 120 * 1024 };
+
+/* ============================================
+   Validation
+   ============================================ */
+
+test('a complete application passes with its volumes and capacity as numbers', () => {
+    const { valid, errors, values } = validatePartnerApplication(APPLICATION, { licenceDocument: PDF, registrationDocument: PDF });
+    assert.deepEqual(errors, {});
+    assert.equal(valid, true);
+    assert.deepEqual(values.volumes, { goat: 20, sheep: 0, lamb: 5.5 });
+    assert.equal(values.storageCapacity, 400);
+    assert.deepEqual(values.markets, ['AE', 'OM']);
+    assert.equal('volumeGoat' in values, false);
+});
+
+test('at least one species needs a volume, and volumes must be numbers in range', () => {
+    const none = { ...APPLICATION, volumeGoat: '', volumeLamb: '' };
+    assert.deepEqual(validatePartnerApplication(none, {}).errors.volumeGoat, messages.volume);
+
+    const { errors } = validatePartnerApplication({ ...APPLICATION, volumeGoat: 'twenty', volumeLamb: '9000' }, {});
+    assert.equal(errors.volumeGoat, messages.number);
+    assert.equal(errors.volumeLamb, 'Enter a number from 0.5 to 5000.');
+});
+
+test('markets must be picked from the list', () => {
+    assert.equal(validatePartnerApplication({ ...APPLICATION, markets: [] }, {}).errors.markets, messages.markets);
+    assert.equal(validatePartnerApplication({ ...APPLICATION, markets: ['AE', 'XX'] }, {}).errors.markets, messages.choice);
+    // A single checkbox arrives as a string
+    assert.deepEqual(validatePartnerApplication({ ...APPLICATION, markets: 'SA' }, {}).values.markets, ['SA']);
+});
+
+test('the storage capacity is only asked for when there is cold storage', () => {
+    const { errors, values } = validatePartnerApplication({ ...APPLICATION, coldStorage: 'none', storageCapacity: 'lots' }, {});
+    assert.equal(errors.storageCapacity, undefined);
+    assert.equal(values.storageCapacity, 0);
+    assert.equal(validatePartnerApplication({ ...APPLICATION, storageCapacity: '' }, {}).errors.storageCapacity, messages.required);
+});
+
+test('documents must be there when required, and be small PDFs or images', () => {
+    assert.deepEqual(checkDocuments({}), {
+        licenceDocument: messages.required,
+        registrationDocument: messages.required
+    });
+    assert.deepEqual(checkDocuments({
+        licenceDocument: { mimeType: 'application/zip', size: 1000 },
+        registrationDocument: { mimeType: 'image/png', size: MAX_DOCUMENT_SIZE + 1 },
+        storageDocument: { mimeType: 'image/jpeg', size: 1000 }
+    }), {
+        licenceDocument: messages.fileType,
+        registrationDocument: 'Each file can be up to 3 MB.'
+    });
+});
+
+/* ============================================
+   Multi-step form
+   ============================================ */
+
+/**
+ * Load partner.html with a fake API and start the application
+ * @param {Object} [options]
+ * @param {Object} [options.draft] - Draft to leave in localStorage first
+ * @param {Function} [options.respond] - (url, init) => response for everything but the form token
+ * @returns {Object} - The page, plus the requests it made
+ */
+function loadApplication({ draft, respond = () => jsonResponse(201, { ok: true, reference: 'PTN-20261018-7K2Q' }) } = {}) {
+    const requests = [];
+    const page = loadPage('partner.html', {
+        fetch: async (url, init = {}) => {
+            requests.push({ url, ...init });
+            if (url === FORM_TOKEN_ENDPOINT) return jsonResponse(200, { token: 'signed-token' });
+            return respond(url, init);
+        }
+    });
+    if (draft) page.window.localStorage.setItem('freshflow.partnerDraft', JSON.stringify(draft));
+    initPartnerApplication();
+    initPartnerStatus();
+    const { document } = page;
+    return {
+        ...page,
+        requests,
+        form: document.getElementById('partnerForm'),
+        steps: Array.from(document.querySelectorAll('.partner-step')),
+        next: () => document.getElementById('partnerNext').click()
+    };
+}
+
+/**
+ * Fill fields by name, ticking checkboxes for arrays
+ * @param {HTMLFormElement} form
+ * @param {Object} values
+ */
+function fill(form, values) {
+    Object.entries(values).forEach(([name, value]) => {
+        if (Array.isArray(value)) {
+            form.querySelectorAll(`input[name="${name}"]`).forEach(box => { box.checked = value.includes(box.value); });
+        } else {
+            form.elements.namedItem(name).value = value;
+        }
+    });
+    form.dispatchEvent(new window.Event('input', { bubbles: true }));
+}
+
+/**
+ * Choose a file in an upload field
+ * @param {HTMLInputElement} input
+ * @param {string} name - File name
+ * @param {string} type - MIME type
+ */
+function attach(input, name, type) {
+    const file = new window.File(['%PDF-1.7 test'], name, { type });
+    Object.defineProperty(input, 'files', { value: [file], configurable: true });
+    // What browsers report once a file is chosen
+    Object.defineProperty(input, 'value', { value: `C:\\fakepath\\${name}`, configurable: true });
+}
+
+const shownStep = steps => steps.findIndex(step => !step.hidden);
+
+test('a step only opens once the current one is valid', () => {
+    const { document, form, steps, next } = loadApplication();
+    assert.equal(shownStep(steps), 0);
+    assert.equal(document.getElementById('partnerBack').hidden, true);
+    assert.equal(document.getElementById('partnerSubmit').hidden, true);
+
+    next();
+    assert.equal(shownStep(steps), 0);
+    assert.equal(document.getElementById('partnerCompany').getAttribute('aria-invalid'), 'true');
+    // Later steps aren't checked yet
+    assert.notEqual(document.getElementById('partnerLicence').getAttribute('aria-invalid'), 'true');
+
+    fill(form, { company: APPLICATION.company, country: APPLICATION.country, businessType: 'importer', name: APPLICATION.name, email: APPLICATION.email, phone: APPLICATION.phone });
+    next();
+    assert.equal(shownStep(steps), 1);
+    assert.equal(document.activeElement, steps[1].querySelector('.partner-step-title'));
+    assert.equal(document.querySelectorAll('#partnerProgress li')[1].getAttribute('aria-current'), 'step');
+
+    next();
+    assert.equal(shownStep(steps), 1);
+    assert.equal(document.getElementById('partnerMarkets').classList.contains('error'), true);
+});
+
+test('answers are kept as a draft, without the documents, and restored on the next visit', () => {
+    const { window, form } = loadApplication();
+    fill(form, { company: APPLICATION.company, markets: ['AE', 'OM'] });
+    document.getElementById('partnerSave').click();
+
+    const draft = JSON.parse(window.localStorage.getItem('freshflow.partnerDraft'));
+    assert.equal(draft.values.company, APPLICATION.company);
+    assert.deepEqual(draft.values.markets.sort(), ['AE', 'OM']);
+    assert.equal('licenceDocument' in draft.values, false);
+    assert.match(document.getElementById('partnerSaved').textContent, /Saved on this device/);
+
+    const restored = loadApplication({ draft: { ...draft, step: 2 } });
+    assert.equal(restored.form.elements.namedItem('company').value, APPLICATION.company);
+    assert.deepEqual(Array.from(restored.form.querySelectorAll('input[name="markets"]:checked'), box => box.value).sort(), ['AE', 'OM']);
+    assert.equal(shownStep(restored.steps), 2);
+    assert.equal(restored.document.getElementById('partnerDraft').hidden, false);
+
+    restored.document.getElementById('partnerDiscard').click();
+    assert.equal(restored.window.localStorage.getItem('freshflow.partnerDraft'), null);
+    assert.equal(restored.form.elements.namedItem('company').value, '');
+    assert.equal(restored.form.querySelectorAll('input[name="markets"]:checked').length, 0);
+    assert.equal(shownStep(restored.steps), 0);
+});
+
+test('the application is sent with its documents and the reference fills in the status lookup', async () => {
+    const { window, document, form, steps, requests } = loadApplication({ draft: { step: 3, values: APPLICATION, savedAt: new Date().toISOString() } });
+    assert.equal(shownStep(steps), 3);
+    assert.match(document.getElementById('partnerReview').textContent, /Gulf Fresh Trading LLC/);
+
+    // The required documents are missing
+    form.dispatchEvent(new window.Event('submit', { cancelable: true }));
+    assert.equal(document.getElementById('partnerLicenceDocument').getAttribute('aria-invalid'), 'true');
+
+    attach(document.getElementById('partnerLicenceDocument'), 'licence.pdf', 'application/pdf');
+    attach(document.getElementById('partnerRegistrationDocument'), 'registration.pdf', 'application/pdf');
+    form.dispatchEvent(new window.Event('submit', { cancelable: true }));
+    await waitFor(() => !document.getElementById('partnerSuccess').hidden);
+
+    const sent = requests.find(({ url }) => url === PARTNER_ENDPOINT);
+    const body = JSON.parse(sent.body);
+    assert.equal(body.company, APPLICATION.company);
+    assert.equal(body.formToken, 'signed-token');
+    assert.deepEqual(Object.keys(body.documents), ['licenceDocument', 'registrationDocument']);
+    assert.equal(Buffer.from(body.documents.licenceDocument.data, 'base64').toString(), '%PDF-1.7 test');
+    assert.equal('licenceDocument' in body, false);
+
+    assert.equal(document.getElementById('partnerReference').textContent, 'PTN-20261018-7K2Q');
+    assert.equal(document.getElementById('statusReference').value, 'PTN-20261018-7K2Q');
+    assert.equal(window.localStorage.getItem('freshflow.partnerDraft'), null);
+});
+
+test('server field errors open the step they belong to', async () => {
+    const { window, document, form, steps } = loadApplication({
+        draft: { step: 3, values: APPLICATION, savedAt: new Date().toISOString() },
+        respond: () => jsonResponse(422, { ok: false, error: 'Please correct the highlighted fields.', errors: { licenceNumber: messages.licence } })
+    });
+    attach(document.getElementById('partnerLicenceDocument'), 'licence.pdf', 'application/pdf');
+    attach(document.getElementById('partnerRegistrationDocument'), 'registration.pdf', 'application/pdf');
+    form.dispatchEvent(new window.Event('submit', { cancelable: true }));
+    await waitFor(() => !document.getElementById('partnerFormError').hidden);
+
+    assert.equal(shownStep(steps), 1);
+    assert.equal(document.getElementById('partnerLicence').getAttribute('aria-invalid'), 'true');
+    assert.equal(document.getElementById('partnerSuccess').hidden, true);
+});
+
+/* ============================================
+   Status lookup
+   ============================================ */
+
+test('the status lookup shows the review status and the team\'s message', async () => {
+    const { window, document } = loadApplication({
+        respond: (url, init) => {
+            const { reference } = JSON.parse(init.body);
+            return reference === 'PTN-20261018-7K2Q'
+                ? jsonResponse(200, { ok: true, application: { reference, company: APPLICATION.company, status: 'infoRequested', applicantMessage: 'Please send the halal certificate of your cold store.', createdAt: '2026-10-18T08:00:00Z', updatedAt: '2026-10-19T08:00:00Z' } })
+                : jsonResponse(404, { ok: false, error: messages.notFound });
+        }
+    });
+    const form = document.getElementById('partnerStatusForm');
+    const result = document.getElementById('partnerStatusResult');
+
+    form.elements.reference.value = ' ptn-20261018-7k2q ';
+    form.elements.email.value = APPLICATION.email;
+    form.dispatchEvent(new window.Event('submit', { cancelable: true }));
+    await waitFor(() => !result.hidden);
+
+    assert.equal(form.elements.reference.value, 'PTN-20261018-7K2Q');
+    assert.match(result.textContent, /Information requested/);
+    assert.match(result.textContent, /halal certificate/);
+
+    form.elements.reference.value = 'PTN-20261018-0000';
+    form.dispatchEvent(new window.Event('submit', { cancelable: true }));
+    await waitFor(() => document.getElementById('partnerStatusMessage').textContent === messages.notFound);
+    assert.equal(result.hidden, true);
+});
+
+test('the status endpoint is only asked once both fields are filled', () => {
+    const { window, document, requests } = loadApplication();
+    const form = document.getElementById('partnerStatusForm');
+    form.elements.reference.value = 'PTN-20261018-7K2Q';
+    form.dispatchEvent(new window.Event('submit', { cancelable: true }));
+    assert.equal(requests.some(({ url }) => url === PARTNER_STATUS_ENDPOINT), false);
+    assert.equal(document.getElementById('partnerStatusMessage').textContent, 'Enter the reference and email address from your application.');
+});
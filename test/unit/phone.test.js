@@ -0,0 +1,162 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadPage } from '../helpers/dom.js';
+import { parsePhone, formatPhone, normalizePhone, flagEmoji, countryFromLanguages, DEFAULT_PHONE_COUNTRY } from '../../src/js/phone.js';
+import { createForm } from '../../src/js/form-engine.js';
+import { ENQUIRY_SCHEMA, VALIDATION_MESSAGES as messages } from '../../src/js/validation.js';
+
+/* ============================================
+   Parsing and formatting
+   ============================================ */
+
+test('international numbers are read from their dialling code', () => {
+    assert.deepEqual(parsePhone('+971 50 123 4567'), {
+        country: 'AE',
+        dialCode: '971',
+        nationalNumber: '501234567',
+        e164: '+971501234567',
+        valid: true
+    });
+    assert.equal(parsePhone('00966 51 234 5678').e164, '+966512345678');
+    assert.equal(parsePhone('+44 (20) 7946-0958').country, 'GB');
+});
+
+test('national numbers take the selected country and lose their trunk prefix', () => {
+    assert.equal(parsePhone('050 123 4567', 'AE').e164, '+971501234567');
+    assert.equal(parsePhone('98765 43210', 'IN').e164, '+919876543210');
+    assert.equal(parsePhone('3312 3456', 'QA').e164, '+97433123456');
+    assert.equal(parsePhone('050 123 4567').valid, false, 'no country to read it in');
+});
+
+test('a trunk prefix written after the dialling code is dropped', () => {
+    assert.equal(parsePhone('+44 (0)20 7946 0000').e164, '+442079460000');
+    assert.equal(parsePhone('+971 050 123 4567').e164, '+971501234567');
+    assert.equal(parsePhone('00971 050 123 4567').valid, true);
+    assert.equal(formatPhone('+44 (0)20 7946 0000'), formatPhone('+44 20 7946 0000'));
+    assert.equal(normalizePhone('+91 098765 43210'), '+919876543210');
+    // Qatar has no trunk prefix, so a leading 0 is part of the number
+    assert.equal(parsePhone('+974 0331 2345').nationalNumber, '03312345');
+});
+
+test('a shared dialling code keeps the selected country', () => {
+    assert.equal(parsePhone('+1 506 234 5678').country, 'US');
+    assert.equal(parsePhone('+1 506 234 5678', 'CA').country, 'CA');
+});
+
+test('numbers are valid only with a length their country uses', () => {
+    assert.equal(parsePhone('+971 50 123 45').valid, false);
+    assert.equal(parsePhone('+974 3312 34567').valid, false);
+    assert.equal(parsePhone('+971 50 CALL ME').valid, false);
+    // Countries outside the metadata only need to be valid E.164
+    assert.equal(parsePhone('+351 912 345 678').valid, true);
+    assert.equal(parsePhone('+351 9').valid, false);
+});
+
+test('numbers are written the way their country groups them', () => {
+    assert.equal(formatPhone('+971501234567'), '+971 50 123 4567');
+    assert.equal(formatPhone('04 123 4567', 'AE'), '+971 4 123 4567');
+    assert.equal(formatPhone('9876543210', 'IN'), '+91 98765 43210');
+    assert.equal(formatPhone('+33612345678'), '+33 6 12 34 56 78');
+    assert.equal(formatPhone('+351912345678'), '+351912345678', 'no rules: digits as they are');
+    assert.equal(formatPhone('call me'), 'call me');
+});
+
+test('normalizePhone gives E.164, or nothing for an invalid number', () => {
+    assert.equal(normalizePhone('+971 50 123 4567'), '+971501234567');
+    assert.equal(normalizePhone('0501234567', 'AE'), '+971501234567');
+    assert.equal(normalizePhone('12345'), '');
+});
+
+test('the default country comes from the first language with a known region', () => {
+    assert.equal(countryFromLanguages(['ar', 'ar-AE', 'en-US']), 'AE');
+    assert.equal(countryFromLanguages(['zh-Hans-CN']), 'CN');
+    assert.equal(countryFromLanguages(['fr', 'pt-BR']), DEFAULT_PHONE_COUNTRY);
+    assert.equal(flagEmoji('ae'), '\u{1F1E6}\u{1F1EA}');
+});
+
+/* ============================================
+   Phone input
+   ============================================ */
+
+/**
+ * The contact form bound to the enquiry schema
+ * @param {string[]} [languages] - navigator.languages
+ * @returns {Object}
+ */
+function loadPhoneInput(languages = ['en-GB']) {
+    const page = loadPage('contact.html');
+    Object.defineProperty(page.window.navigator, 'languages', { value: languages, configurable: true });
+    const form = page.document.getElementById('contactForm');
+    const engine = createForm(form, ENQUIRY_SCHEMA);
+    const { document } = page;
+    return {
+        ...page,
+        engine,
+        input: document.getElementById('phone'),
+        select: document.getElementById('phoneCountry'),
+        display: document.querySelector('.phone-country-display')
+    };
+}
+
+test('the country selector starts at the browser language\'s country', () => {
+    const { document, input, select, display } = loadPhoneInput(['ar-QA']);
+    assert.equal(select.value, 'QA');
+    assert.equal(select.getAttribute('aria-label'), 'Country code');
+    assert.equal(display.textContent, `${flagEmoji('QA')} +974`);
+    assert.equal(input.parentElement, select.closest('.phone-field'));
+    assert.equal(document.getElementById('phoneError').previousElementSibling, input.parentElement);
+});
+
+test('a national number is sent with the selected country code', () => {
+    const { window, input, select } = loadPhoneInput(['en-GB']);
+    select.value = 'AE';
+    select.dispatchEvent(new window.Event('change'));
+
+    input.value = '050 123 4567';
+    input.dispatchEvent(new window.Event('blur'));
+    assert.equal(input.value, '+971 50 123 4567');
+    assert.equal(input.hasAttribute('aria-invalid'), false);
+    assert.equal(window.localStorage.getItem('freshflow.phoneCountry'), '"AE"');
+});
+
+test('typing a dialling code selects its country', () => {
+    const { window, input, select, display } = loadPhoneInput(['en-IN']);
+    input.value = '+96';
+    input.dispatchEvent(new window.Event('input'));
+    assert.equal(select.value, 'IN');
+
+    input.value = '+966';
+    input.dispatchEvent(new window.Event('input'));
+    assert.equal(select.value, 'SA');
+    assert.equal(display.textContent, `${flagEmoji('SA')} +966`);
+});
+
+test('choosing another country moves an international number to its code', () => {
+    const { window, input, select } = loadPhoneInput();
+    input.value = '+1 506 234 5678';
+    select.value = 'CA';
+    select.dispatchEvent(new window.Event('change'));
+    assert.equal(input.value, '+1 506 234 5678');
+
+    select.value = 'AU';
+    select.dispatchEvent(new window.Event('change'));
+    assert.equal(input.value, '+61 5062345678');
+});
+
+test('submitting formats the number first; a wrong length is an error', () => {
+    const { input, select, engine } = loadPhoneInput();
+    select.value = 'IN';
+    select.dispatchEvent(new window.Event('change'));
+
+    input.value = '98765 4321';
+    assert.equal(engine.validate({ focus: false }).errors.phone, messages.phone);
+    assert.equal(input.value, '+91 987654321');
+});
+
+test('resetting the form keeps the chosen country', () => {
+    const { select, engine } = loadPhoneInput();
+    select.value = 'OM';
+    select.dispatchEvent(new window.Event('change'));
+    engine.reset();
+    assert.equal(select.value, 'OM');
+});
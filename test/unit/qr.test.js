@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import jsQR from 'jsqr';
+import { encodeQr, qrToSvg } from '../../src/js/qr.js';
+
+const SCALE = 4;
+const QUIET_ZONE = 4;
+
+/**
+ * Read a code back the way a phone would: from pixels, with an independent decoder
+ * @param {{size: number, modules: boolean[][]}} code - From encodeQr()
+ * @returns {Object|null} - jsQR's result
+ */
+function scan({ size, modules }) {
+    const extent = (size + QUIET_ZONE * 2) * SCALE;
+    const pixels = new Uint8ClampedArray(extent * extent * 4).fill(255);
+    modules.forEach((row, y) => row.forEach((dark, x) => {
+        if (!dark) return;
+        for (let dy = 0; dy < SCALE; dy++) {
+            const start = (((y + QUIET_ZONE) * SCALE + dy) * extent + (x + QUIET_ZONE) * SCALE) * 4;
+            for (let offset = start; offset < start + SCALE * 4; offset += 4) pixels.fill(0, offset, offset + 3);
+        }
+    }));
+    return jsQR(pixels, extent, extent, { inversionAttempts: 'dontInvert' });
+}
+
+/**
+ * The longest text of each version, from a tracking URL grown a character at a time
+ * @returns {Map<number, string>} - Version to text
+ */
+function longestPerVersion() {
+    const texts = new Map();
+    for (let extra = 0; ; extra++) {
+        const text = `https://freshflow.co.in/track.html?id=FF-2609-0142&c=${'7'.repeat(extra)}`;
+        let size;
+        try {
+            ({ size } = encodeQr(text));
+        } catch {
+            return texts;
+        }
+        texts.set((size - 17) / 4, text);
+    }
+}
+
+test('codes of every version decode back to their text', () => {
+    const texts = longestPerVersion();
+    assert.deepEqual([...texts.keys()], [4, 5, 6, 7, 8, 9, 10]);
+    texts.set(1, 'FF-2609-0142');
+    texts.set(2, 'https://freshflow.co.in/');
+    texts.set(3, 'https://freshflow.co.in/track.html?id=1');
+
+    for (const [version, text] of texts) {
+        const code = encodeQr(text);
+        assert.equal(code.size, 17 + version * 4, text);
+        const result = scan(code);
+        assert.ok(result, `version ${version} did not scan`);
+        assert.equal(result.data, text, `version ${version}`);
+        assert.equal(result.version, version);
+    }
+});
+
+test('text is encoded as UTF-8', () => {
+    const text = 'فريش فلو - Freshflow Foods';
+    assert.deepEqual(Buffer.from(scan(encodeQr(text)).binaryData), Buffer.from(text));
+});
+
+test('text longer than version 10 holds is refused', () => {
+    assert.throws(() => encodeQr('x'.repeat(214)), RangeError);
+});
+
+test('the SVG has the quiet zone and an escaped accessible name', () => {
+    const { size } = encodeQr('FF-2609-0142');
+    const svg = qrToSvg('FF-2609-0142', { title: 'Track <FF-2609-0142>' });
+    assert.match(svg, new RegExp(`viewBox="0 0 ${size + 8} ${size + 8}"`));
+    assert.match(svg, /aria-label="Track &#60;FF-2609-0142&#62;"/);
+});
@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadPage, setLayout, scrollWindow, delay } from '../helpers/dom.js';
+import { initSmoothScroll, initBackToTop, scrollToHash } from '../../src/js/scroll.js';
+
+test('anchor links scroll to the target less the fixed header height and update the hash', () => {
+    const { window, document, scrollCalls } = loadPage('index.html');
+    setLayout(document.getElementById('header'), { offsetHeight: 80 });
+    setLayout(document.getElementById('products'), { top: 1200 });
+    window.scrollY = 300;
+    initSmoothScroll();
+
+    const click = new window.MouseEvent('click', { bubbles: true, cancelable: true });
+    document.querySelector('a[href="#products"]').dispatchEvent(click);
+
+    assert.equal(click.defaultPrevented, true);
+    assert.deepEqual(scrollCalls, [{ top: 1200 + 300 - 80, behavior: 'smooth' }]);
+    assert.equal(window.location.hash, '#products');
+});
+
+test('links to "#" and to missing targets are left alone', () => {
+    const { window, document, scrollCalls } = loadPage('index.html');
+    document.body.insertAdjacentHTML('beforeend', '<a href="#" id="top">Top</a><a href="#nowhere" id="missing">Missing</a>');
+    initSmoothScroll();
+
+    ['top', 'missing'].forEach(id => {
+        const click = new window.MouseEvent('click', { bubbles: true, cancelable: true });
+        document.getElementById(id).dispatchEvent(click);
+        assert.equal(click.defaultPrevented, false);
+    });
+    assert.deepEqual(scrollCalls, []);
+});
+
+test('scrollToHash lands deep links below the header', () => {
+    const { document, scrollCalls } = loadPage('index.html');
+    setLayout(document.getElementById('header'), { offsetHeight: 72 });
+    setLayout(document.getElementById('profile'), { top: 640 });
+
+    assert.equal(scrollToHash('#profile'), true);
+    assert.deepEqual(scrollCalls, [{ top: 640 - 72, behavior: 'smooth' }]);
+    assert.equal(scrollToHash('#nowhere'), false);
+    assert.equal(scrollCalls.length, 1);
+});
+
+test('the back-to-top button shows past 500px and scrolls to the top', async () => {
+    const { document, scrollCalls } = loadPage('index.html');
+    // No page ships the button yet; initBackToTop wires it up wherever it is added
+    document.body.insertAdjacentHTML('beforeend', '<button type="button" class="back-to-top" id="backToTop">Top</button>');
+    const button = document.getElementById('backToTop');
+    initBackToTop();
+
+    scrollWindow(500);
+    assert.equal(button.classList.contains('visible'), false);
+
+    await delay(110);
+    scrollWindow(501);
+    assert.equal(button.classList.contains('visible'), true);
+
+    button.click();
+    assert.deepEqual(scrollCalls, [{ top: 0, behavior: 'smooth' }]);
+});
+
+test('initBackToTop does nothing on pages without the button', () => {
+    loadPage('index.html');
+    assert.doesNotThrow(() => initBackToTop());
+});
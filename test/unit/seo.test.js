@@ -0,0 +1,26 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { renderRobots, SITE_URL } from '../../scripts/seo.js';
+
+/**
+ * Whether a robots.txt blocks a path for every crawler (prefix rules only)
+ * @param {string} robots - File text
+ * @param {string} pathname - Path to check
+ * @returns {boolean}
+ */
+function isDisallowed(robots, pathname) {
+    return robots.split('\n')
+        .filter(line => line.startsWith('Disallow: '))
+        .some(line => pathname.startsWith(line.slice('Disallow: '.length)));
+}
+
+test('robots.txt keeps crawlers out of the admin pages and the API, and points at the sitemap', () => {
+    const robots = renderRobots();
+    for (const pathname of ['/admin', '/admin/', '/admin/consignments', '/admin/partners', '/api/consignments/FF-2609-0142']) {
+        assert.ok(isDisallowed(robots, pathname), pathname);
+    }
+    for (const pathname of ['/', '/products.html', '/account.html', '/track.html']) {
+        assert.ok(!isDisallowed(robots, pathname), pathname);
+    }
+    assert.match(robots, new RegExp(`^Sitemap: ${SITE_URL}/sitemap.xml$`, 'm'));
+});
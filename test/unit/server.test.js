@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'node:os';
+import path from 'node:path';
+import fs from 'node:fs/promises';
+import { startApp } from '../helpers/server.js';
+import { JsonStore } from '../../server/lib/json-store.js';
+
+test('a malformed escape in a route parameter is a 400, not a server error', async (t) => {
+    const app = await startApp();
+    t.after(() => app.close());
+
+    const response = await app.request('/api/consignments/%E0%A4%A');
+    assert.equal(response.status, 400);
+    assert.deepEqual(await response.json(), { ok: false, error: 'Malformed URL.' });
+
+    assert.equal((await app.request('/api/consignments/FF-2609-0142')).status, 200);
+});
+
+test('a failed write rejects that save only; the next one still reaches the disk without the failed record', async (t) => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'freshflow-store-'));
+    t.after(() => fs.rm(dir, { recursive: true, force: true }));
+    // A file where the store's directory should be makes mkdir fail
+    const blocked = path.join(dir, 'blocked');
+    await fs.writeFile(blocked, '');
+    const store = new JsonStore(path.join(dir, 'records.json'));
+    await store.load();
+    store.file = path.join(blocked, 'records.json');
+
+    await assert.rejects(store.insert({ name: 'first' }), { code: /ENOTDIR|EEXIST/ });
+
+    store.file = path.join(dir, 'records.json');
+    await store.insert({ name: 'second' });
+    const saved = JSON.parse(await fs.readFile(store.file, 'utf8'));
+    assert.deepEqual(saved.map(record => record.name), ['second']);
+    assert.deepEqual((await store.all()).map(record => record.name), ['second']);
+});
+
+test('requests that reach a store before its first load share that load', async (t) => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'freshflow-store-'));
+    t.after(() => fs.rm(dir, { recursive: true, force: true }));
+    const file = path.join(dir, 'records.json');
+    await fs.writeFile(file, JSON.stringify([{ id: 'x', name: 'x' }]));
+    const store = new JsonStore(file);
+
+    await Promise.all([1, 2].map(n => store.insert({ name: n })));
+    assert.deepEqual((await store.all()).map(record => record.name), ['x', 1, 2]);
+    assert.deepEqual(JSON.parse(await fs.readFile(file, 'utf8')).map(record => record.name), ['x', 1, 2]);
+});
@@ -0,0 +1,194 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { oneWidthPerImage } from '../../scripts/service-worker.js';
+import { precacheIndex, handleFetch, OFFLINE_PAGE } from '../../src/js/sw/caching.js';
+
+const ORIGIN = 'https://freshflow.test';
+
+/**
+ * In-memory stand-in for one Cache, keyed by URL
+ */
+class FakeCache {
+    constructor() {
+        this.entries = new Map();
+    }
+
+    async match(request) {
+        return this.entries.get(request.url ?? request)?.clone();
+    }
+
+    async put(request, response) {
+        this.entries.set(request.url ?? request, response);
+    }
+
+    async keys() {
+        return [...this.entries.keys()].map(url => ({ url }));
+    }
+
+    async delete(request) {
+        return this.entries.delete(request.url ?? request);
+    }
+}
+
+/**
+ * In-memory stand-in for the worker's CacheStorage
+ */
+class FakeCacheStorage {
+    constructor() {
+        this.stores = new Map();
+    }
+
+    async open(name) {
+        if (!this.stores.has(name)) this.stores.set(name, new FakeCache());
+        return this.stores.get(name);
+    }
+
+    async match(request, { cacheName }) {
+        return (await this.open(cacheName)).match(request);
+    }
+
+    async delete(name) {
+        return this.stores.delete(name);
+    }
+}
+
+let network;
+
+beforeEach(() => {
+    network = { requests: [], respond: () => new Response('network') };
+    globalThis.self = { registration: { scope: `${ORIGIN}/` }, location: { origin: ORIGIN } };
+    globalThis.caches = new FakeCacheStorage();
+    globalThis.fetch = async request => {
+        network.requests.push(request.url ?? request);
+        return network.respond(request);
+    };
+});
+
+/**
+ * A fetch event the way the worker receives it
+ * @param {string} path - From the site root, or an absolute URL
+ * @param {Object} [fields] - Request fields over a same-origin GET
+ * @returns {Object}
+ */
+function fetchEvent(path, fields = {}) {
+    const pending = [];
+    return {
+        request: { url: new URL(path, ORIGIN).href, method: 'GET', mode: 'no-cors', destination: '', ...fields },
+        waitUntil: promise => pending.push(promise),
+        settled: () => Promise.all(pending)
+    };
+}
+
+/**
+ * A precache index with its files already stored
+ * @param {string[]} files - Paths from the site root
+ * @returns {Promise<Map<string, string>>}
+ */
+async function precached(files) {
+    const index = precacheIndex(files.map(url => ({ url, revision: 'abc123' })));
+    const cache = await caches.open('freshflow-precache');
+    for (const [url, key] of index) await cache.put(key, new Response(`precached ${new URL(url).pathname}`));
+    return index;
+}
+
+/* ============================================
+   Precache list
+   ============================================ */
+
+test('the precache keeps one width of each generated image, the nearest 768', () => {
+    assert.deepEqual(oneWidthPerImage([
+        'images/generated/hero/hero1-480.webp',
+        'images/generated/hero/hero1-768.webp',
+        'images/generated/hero/hero1-1280.webp',
+        'images/generated/hero/hero3-480.webp',
+        'images/generated/hero/hero3-680.webp',
+        'images/generated/products/lamb-1280.webp',
+        'images/generated/products/lamb-1920.webp',
+        'images/brand/logo.webp'
+    ]), [
+        'images/generated/hero/hero1-768.webp',
+        'images/generated/hero/hero3-680.webp',
+        'images/generated/products/lamb-1280.webp',
+        'images/brand/logo.webp'
+    ]);
+});
+
+/* ============================================
+   Which requests the worker answers
+   ============================================ */
+
+test('API calls, admin pages, other origins and non-GET requests are left to the browser', async () => {
+    const index = await precached(['index.html']);
+
+    for (const event of [
+        fetchEvent('/api/consignments/FF-2609-0142'),
+        fetchEvent('/admin', { mode: 'navigate' }),
+        fetchEvent('/admin/analytics', { mode: 'navigate' }),
+        fetchEvent('https://cdn.example/photo.webp', { destination: 'image' }),
+        fetchEvent('/index.html', { method: 'POST' })
+    ]) {
+        assert.equal(handleFetch(event, index), null, event.request.url);
+    }
+    assert.deepEqual(network.requests, []);
+});
+
+test('precached files come from the precache without a network request', async () => {
+    const index = await precached(['css/styles.min.css']);
+
+    const response = await handleFetch(fetchEvent('/css/styles.min.css?v=2', { destination: 'style' }), index);
+    assert.equal(await response.text(), 'precached /css/styles.min.css');
+    assert.deepEqual(network.requests, []);
+});
+
+test('other images are cached on first use, except responses marked no-store', async () => {
+    const index = await precached([]);
+
+    const first = fetchEvent('/images/generated/hero/hero1-1280.avif', { destination: 'image' });
+    assert.equal(await (await handleFetch(first, index)).text(), 'network');
+    await first.settled();
+    const again = await handleFetch(fetchEvent('/images/generated/hero/hero1-1280.avif', { destination: 'image' }), index);
+    assert.equal(await again.text(), 'network');
+    assert.equal(network.requests.length, 1);
+
+    network.respond = () => new Response('private', { headers: { 'Cache-Control': 'private, no-store' } });
+    await handleFetch(fetchEvent('/images/partner-scan.webp', { destination: 'image' }), index);
+    await handleFetch(fetchEvent('/images/partner-scan.webp', { destination: 'image' }), index);
+    assert.equal(network.requests.length, 3);
+});
+
+test('offline, an image width that was never fetched falls back to the precached width', async () => {
+    const index = await precached(['images/generated/hero/hero1-768.webp']);
+    network.respond = () => { throw new TypeError('Failed to fetch'); };
+
+    const response = await handleFetch(fetchEvent('/images/generated/hero/hero1-1920.avif', { destination: 'image' }), index);
+    assert.equal(await response.text(), 'precached /images/generated/hero/hero1-768.webp');
+    await assert.rejects(handleFetch(fetchEvent('/images/generated/hero/hero2-1920.avif', { destination: 'image' }), index), TypeError);
+});
+
+/* ============================================
+   Page navigations
+   ============================================ */
+
+test('a visited page is shown from the cache next time, and refreshed behind it', async () => {
+    const index = await precached([]);
+    network.respond = () => new Response('markets v1');
+
+    const first = fetchEvent('/markets.html', { mode: 'navigate' });
+    assert.equal(await (await handleFetch(first, index)).text(), 'markets v1');
+
+    network.respond = () => new Response('markets v2');
+    const second = fetchEvent('/markets.html?utm_source=mail', { mode: 'navigate' });
+    assert.equal(await (await handleFetch(second, index)).text(), 'markets v1');
+    await second.settled();
+    assert.equal(await (await handleFetch(fetchEvent('/markets.html', { mode: 'navigate' }), index)).text(), 'markets v2');
+});
+
+test('pages marked no-store are not kept, so offline they give the offline page', async () => {
+    const index = await precached([OFFLINE_PAGE]);
+    network.respond = () => new Response('signed-in account', { headers: { 'Cache-Control': 'no-store' } });
+    await handleFetch(fetchEvent('/account.html', { mode: 'navigate' }), index);
+
+    network.respond = () => { throw new TypeError('Failed to fetch'); };
+    const offline = await handleFetch(fetchEvent('/account.html', { mode: 'navigate' }), index);
+    assert.equal(await offline.text(), `precached /${OFFLINE_PAGE}`);
+});
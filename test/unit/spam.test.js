@@ -0,0 +1,191 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp } from '../helpers/server.js';
+import {
+    SPAM_THRESHOLD, RateLimiter,
+    createFormToken, verifyFormToken, spamScore, messageFingerprint
+} from '../../server/lib/spam.js';
+import { checkSubmission } from '../../server/enquiries.js';
+import { HttpError } from '../../server/lib/http.js';
+import en from '../../locales/en.json' with { type: 'json' };
+
+const SECRET = 'test-secret';
+const DAY = 24 * 60 * 60 * 1000;
+
+/* ============================================
+   Form tokens
+   ============================================ */
+
+test('a form token verifies with its secret and reports its age', () => {
+    const token = createFormToken(SECRET, 1_000_000);
+    assert.match(token, /^1000000\.[\w-]+$/);
+    assert.deepEqual(verifyFormToken(SECRET, token, { now: 1_004_000 }), { valid: true, age: 4000 });
+    assert.equal(verifyFormToken('another-secret', token, { now: 1_004_000 }).valid, false);
+});
+
+test('tampered, expired, future and malformed tokens are invalid', () => {
+    const issuedAt = 1_000_000;
+    const [, signature] = createFormToken(SECRET, issuedAt).split('.');
+
+    assert.equal(verifyFormToken(SECRET, `${issuedAt - 10_000}.${signature}`, { now: issuedAt }).valid, false, 'issue time moved back');
+    assert.equal(verifyFormToken(SECRET, `${issuedAt}.${signature}`, { now: issuedAt + DAY }).valid, true, 'exactly at maxAge');
+    assert.equal(verifyFormToken(SECRET, `${issuedAt}.${signature}`, { now: issuedAt + DAY + 1 }).valid, false, 'past maxAge');
+    assert.equal(verifyFormToken(SECRET, `${issuedAt}.${signature}`, { now: issuedAt + 5000, maxAge: 1000 }).valid, false);
+    assert.equal(verifyFormToken(SECRET, `${issuedAt}.${signature}`, { now: issuedAt - 1 }).valid, false, 'issued in the future');
+
+    for (const token of [undefined, null, 42, '', 'abc', `${issuedAt}`, `${issuedAt}.`, `x.${signature}`, `${issuedAt}.${signature}x`]) {
+        assert.equal(verifyFormToken(SECRET, token, { now: issuedAt }).valid, false, String(token));
+    }
+});
+
+/* ============================================
+   Rate limits
+   ============================================ */
+
+test('a rate limiter allows its limit per window, then says when to retry', () => {
+    const limiter = new RateLimiter({ limit: 2, windowMs: 60_000 });
+
+    assert.deepEqual(limiter.hit('1.2.3.4', 0), { allowed: true, retryAfter: 60 });
+    assert.deepEqual(limiter.hit('1.2.3.4', 15_000), { allowed: true, retryAfter: 45 });
+    assert.deepEqual(limiter.hit('1.2.3.4', 30_500), { allowed: false, retryAfter: 30 });
+    assert.equal(limiter.hit('5.6.7.8', 30_500).allowed, true, 'keys are counted apart');
+
+    assert.deepEqual(limiter.hit('1.2.3.4', 60_000), { allowed: true, retryAfter: 60 }, 'a new window starts');
+});
+
+test('retryAfter() checks a key without counting a hit', () => {
+    const limiter = new RateLimiter({ limit: 2, windowMs: 60_000 });
+    limiter.hit('key', 0);
+    assert.equal(limiter.retryAfter('key', 1000), 0);
+    assert.equal(limiter.retryAfter('key', 1000), 0);
+
+    limiter.hit('key', 1000);
+    assert.equal(limiter.retryAfter('key', 10_000), 50);
+    assert.equal(limiter.retryAfter('key', 60_000), 0, 'window over');
+    assert.equal(limiter.hits.size, 0, 'ended windows are forgotten');
+});
+
+/* ============================================
+   Spam score and fingerprints
+   ============================================ */
+
+test('ordinary enquiries score 0, and one link in a long message only 1', () => {
+    assert.equal(spamScore('We import 20 tonnes of frozen mutton a month into Jebel Ali. Please send your price list.'), 0);
+    assert.equal(spamScore(''), 0);
+    assert.equal(spamScore(undefined), 0);
+    assert.equal(spamScore('Our company profile is at https://importer.example and we would like a quote for lamb legs and shoulders delivered to Dammam.'), 1);
+});
+
+test('keywords add 2 each and link-heavy text adds 3 more', () => {
+    assert.equal(spamScore('Cheap VIAGRA and Casino bonus'), 4);
+    assert.equal(spamScore('Visit https://a.example www.b.example'), 2 + 3);
+    assert.equal(spamScore('Best SEO service, guest post and backlink offers: https://seo.example'), 3 * 2 + 1, 'one link in nine words');
+    assert.ok(spamScore('Click here to make money: <a href="https://x.example">win</a>') >= SPAM_THRESHOLD);
+});
+
+test('fingerprints ignore case and spacing', () => {
+    const fingerprint = messageFingerprint('Buyer@Importer.example', 'Please quote  20 t\nof lamb.');
+    assert.equal(messageFingerprint('buyer@importer.example ', 'please quote 20 t of lamb.'), fingerprint);
+    assert.notEqual(messageFingerprint('buyer@importer.example', 'Please quote 21 t of lamb.'), fingerprint);
+    assert.notEqual(messageFingerprint('other@importer.example', 'Please quote 20 t of lamb.'), fingerprint);
+});
+
+/* ============================================
+   checkSubmission
+   ============================================ */
+
+/**
+ * The reason checkSubmission() turned a body away, or null
+ * @param {Object} body - Request body
+ * @returns {string|null}
+ */
+function rejection(body) {
+    try {
+        checkSubmission(body, SECRET, en.errors);
+        return null;
+    } catch (err) {
+        assert.ok(err instanceof HttpError);
+        assert.equal(err.status, 400);
+        return err.details.reason;
+    }
+}
+
+test('checkSubmission turns away a filled honeypot, a bad token and a form sent too quickly', () => {
+    const token = createFormToken(SECRET, Date.now() - 5000);
+
+    assert.equal(rejection({ formToken: token }), null);
+    assert.equal(rejection({ formToken: token, website: '' }), null);
+    assert.equal(rejection({ formToken: token, website: 'https://bot.example' }), 'honeypot');
+    assert.equal(rejection({}), 'token');
+    assert.equal(rejection({ formToken: createFormToken('another-secret', Date.now() - 5000) }), 'token');
+    assert.equal(rejection({ formToken: createFormToken(SECRET, Date.now() - 2 * DAY) }), 'token');
+    assert.equal(rejection({ formToken: createFormToken(SECRET, Date.now() - 1000) }), 'too_fast');
+});
+
+test('the messages are the localized ones passed in', () => {
+    assert.throws(() => checkSubmission({ website: 'x' }, SECRET, en.errors), { message: en.errors.rejected });
+    assert.throws(() => checkSubmission({}, SECRET, en.errors), { message: en.errors.formExpired });
+    assert.throws(() => checkSubmission({ formToken: createFormToken(SECRET) }, SECRET, en.errors), { message: en.errors.tooFast });
+});
+
+/* ============================================
+   Through the enquiries API
+   ============================================ */
+
+/**
+ * A contact form body that passes the bot checks
+ * @param {Object} [fields] - Over the defaults
+ * @returns {Object}
+ */
+function enquiry(fields = {}) {
+    return {
+        name: 'Amira Haddad',
+        email: 'amira@importer.example',
+        subject: 'products',
+        message: 'Please send prices for frozen lamb carcasses to Jebel Ali.',
+        website: '',
+        formToken: createFormToken(SECRET, Date.now() - 5000),
+        ...fields
+    };
+}
+
+test('the API stores a clean enquiry and rejects spam and a repeat with their reasons', async (t) => {
+    const app = await startApp({ formSecret: SECRET });
+    t.after(() => app.close());
+
+    const stored = await app.request('/api/enquiries', { method: 'POST', body: enquiry() });
+    assert.equal(stored.status, 201);
+
+    const repeat = await app.request('/api/enquiries', { method: 'POST', body: enquiry({ message: ' please send prices for frozen LAMB carcasses to Jebel Ali. ' }) });
+    assert.equal(repeat.status, 409);
+    assert.equal((await repeat.json()).reason, 'duplicate');
+
+    const spam = await app.request('/api/enquiries', { method: 'POST', body: enquiry({ message: 'Crypto casino bonus, click here https://spam.example' }) });
+    assert.equal(spam.status, 422);
+    assert.equal((await spam.json()).reason, 'spam');
+
+    const fast = await app.request('/api/enquiries', { method: 'POST', body: enquiry({ formToken: createFormToken(SECRET) }) });
+    assert.equal(fast.status, 400);
+    assert.equal((await fast.json()).reason, 'too_fast');
+});
+
+test('the API allows three enquiries an hour per address, then answers 429 with Retry-After', async (t) => {
+    const app = await startApp({ formSecret: SECRET });
+    t.after(() => app.close());
+
+    for (const product of ['carcasses', 'legs', 'shoulders']) {
+        const response = await app.request('/api/enquiries', { method: 'POST', body: enquiry({ message: `Please quote frozen lamb ${product}.` }) });
+        assert.equal(response.status, 201);
+    }
+    const limited = await app.request('/api/enquiries', {
+        method: 'POST',
+        headers: { 'Accept-Language': 'fr' },
+        body: enquiry({ email: 'AMIRA@importer.example', message: 'Please quote frozen lamb racks.' })
+    });
+    assert.equal(limited.status, 429);
+    assert.ok(Number(limited.headers.get('retry-after')) > 3500);
+    const body = await limited.json();
+    assert.equal(body.reason, 'rate_limited');
+    assert.doesNotMatch(body.error, /\{minutes\}/);
+    assert.notEqual(body.error, en.errors.rateLimited.replace('{minutes}', '60'), 'in French');
+});